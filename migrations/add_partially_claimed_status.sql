@@ -0,0 +1,37 @@
+-- ============================================
+-- Add 'partially_claimed' as a valid order status
+-- Migration for split fulfilment of multi-item orders
+-- ============================================
+
+-- Orders can now be released line by line. Each entry in orders.items carries:
+--   fulfillment_status: 'pending' | 'released' | 'backordered' | 'voided'
+--   released_quantity:  units already handed over
+-- An order with some (but not all) lines released is 'partially_claimed'.
+
+-- Step 1: Drop the existing check constraint
+ALTER TABLE orders
+DROP CONSTRAINT IF EXISTS orders_status_check;
+
+-- Step 2: Add the updated check constraint with 'partially_claimed' included
+ALTER TABLE orders
+ADD CONSTRAINT orders_status_check
+CHECK (status IN (
+  'pending',
+  'paid',
+  'processing',
+  'ready',
+  'payment_pending',
+  'partially_claimed',
+  'claimed',
+  'completed',
+  'cancelled'
+));
+
+-- Verify the constraint was added
+SELECT
+    con.conname AS constraint_name,
+    pg_get_constraintdef(con.oid) AS constraint_definition
+FROM pg_constraint con
+JOIN pg_class rel ON rel.oid = con.conrelid
+WHERE rel.relname = 'orders'
+AND con.conname = 'orders_status_check';
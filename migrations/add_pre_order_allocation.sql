@@ -0,0 +1,39 @@
+-- ============================================
+-- Pre-Order Queue Allocation
+-- La Verdad Uniform Ordering System - First-come-first-served pre-orders on restock
+-- ============================================
+-- Pre-orders for the same item, size and education level form a queue ordered by
+-- orders.created_at. When stock is added, the oldest pre-orders get the units first:
+-- each pre-order line records what was set aside for it in orders.items:
+--   allocated_quantity: units already taken out of stock for this pre-order line
+-- Once every line is fully allocated the pre-order becomes a regular order.
+-- Set-aside units leave stock with a PRE_ORDER_ALLOCATED ledger movement and come back
+-- (ORDER_RESTOCK) if the pre-order is cancelled.
+-- Run after create_order_returns_table.sql.
+-- ============================================
+
+-- Queue scans: waiting pre-orders, oldest first
+CREATE INDEX IF NOT EXISTS idx_orders_pre_order_queue
+  ON orders(created_at, id)
+  WHERE order_type = 'pre-order' AND is_active = true;
+
+-- Ledger reason for restocked units set aside for a queued pre-order
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_reason_code_check;
+ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_reason_code_check CHECK (reason_code IN (
+  'OPENING_BALANCE',
+  'INITIAL_STOCK',
+  'PURCHASE',
+  'ADJUSTMENT',
+  'ITEM_EDIT',
+  'RETURN',
+  'ORDER_PLACED',
+  'ORDER_RESTOCK',
+  'EXCHANGE',
+  'PRE_ORDER_ALLOCATED'
+));
+
+-- Verify
+SELECT indexname, indexdef
+FROM pg_indexes
+WHERE tablename = 'orders'
+AND indexname = 'idx_orders_pre_order_queue';
@@ -0,0 +1,25 @@
+-- ============================================
+-- Stock Count Lines: System Stock at Count Time
+-- La Verdad Uniform Ordering System - Variance against the stock when the line was counted
+-- ============================================
+-- Stock keeps moving while a count session is open (orders, releases, restocks), so the
+-- variance of a line is measured against the system stock at the moment it was counted:
+--   stock_at_count: system stock (size variant or item row) when counted_quantity was saved
+--   variance = counted_quantity - stock_at_count
+-- Posting applies that variance to the live stock, so movements made after the count are
+-- kept instead of being reversed. Lines counted before this column existed fall back to
+-- system_stock (the stock when the session was opened).
+--
+-- Run after migrations/create_stock_count_tables.sql
+-- ============================================
+
+ALTER TABLE stock_count_lines
+ADD COLUMN IF NOT EXISTS stock_at_count INTEGER;
+
+COMMENT ON COLUMN stock_count_lines.stock_at_count IS 'System stock when the line was counted; the variance is counted_quantity - stock_at_count';
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'stock_count_lines'
+AND column_name = 'stock_at_count';
@@ -0,0 +1,56 @@
+-- ============================================
+-- Create Email Notification Preferences Table
+-- La Verdad Uniform Ordering System - Order Email Notifications
+-- ============================================
+-- Students receive an email when their order is placed, ready for pickup, claimed,
+-- cancelled, auto-voided, or when a pre-order is converted. Each student can turn
+-- individual emails (or all of them) off. Students without a row get every email.
+-- Rows are keyed by email because every order carries student_email.
+
+-- Enable UUID extension if not already enabled
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS email_notification_preferences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  -- Owner
+  email TEXT NOT NULL UNIQUE, -- lowercased student email
+  student_id UUID, -- students.id when known
+
+  -- Per-event opt-in (true = send)
+  order_placed BOOLEAN NOT NULL DEFAULT true,
+  order_ready BOOLEAN NOT NULL DEFAULT true,
+  order_claimed BOOLEAN NOT NULL DEFAULT true,
+  order_cancelled BOOLEAN NOT NULL DEFAULT true,
+  order_auto_voided BOOLEAN NOT NULL DEFAULT true,
+  pre_order_converted BOOLEAN NOT NULL DEFAULT true,
+
+  -- Master switch: when true no order emails are sent
+  unsubscribed_all BOOLEAN NOT NULL DEFAULT false,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_notification_preferences_student_id
+  ON email_notification_preferences(student_id);
+
+COMMENT ON TABLE email_notification_preferences IS 'Per-student opt-out settings for order lifecycle emails';
+COMMENT ON COLUMN email_notification_preferences.unsubscribed_all IS 'When true, no order emails are sent regardless of the per-event columns';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE email_notification_preferences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to email_notification_preferences"
+  ON email_notification_preferences
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'email_notification_preferences'
+ORDER BY ordinal_position;
@@ -0,0 +1,65 @@
+-- ============================================
+-- Create Fiscal Year Closing Snapshots Table
+-- La Verdad Uniform Ordering System - Frozen closing figures per fiscal year
+-- ============================================
+-- A fiscal year rollover overwrites beginning inventory and purchases, so the closing
+-- figures of the year it ends are frozen here first, one row per item and size:
+-- beginning inventory, purchases, released, returns, ending inventory and its FIFO
+-- valuation, for the period from the item's fiscal year start to the day before the
+-- rollover (same figures as the inventory report export for that period).
+-- Rows are written once by the rollover run and never updated. Rows of a run that was
+-- rolled back are kept for the audit trail but no longer count as the year's closing.
+--
+-- Run after migrations/create_fiscal_year_rollover_tables.sql
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS fiscal_year_closing_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  fiscal_year TEXT NOT NULL, -- e.g. '2025-2026'
+  run_id UUID NOT NULL REFERENCES fiscal_year_rollover_runs(id) ON DELETE CASCADE,
+  item_id UUID NOT NULL REFERENCES items(id),
+  item_name TEXT NOT NULL,
+  education_level TEXT,
+  category TEXT,
+  size TEXT NOT NULL DEFAULT 'N/A',
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+
+  beginning_inventory INTEGER NOT NULL DEFAULT 0,
+  purchases INTEGER NOT NULL DEFAULT 0,
+  released INTEGER NOT NULL DEFAULT 0,
+  returns INTEGER NOT NULL DEFAULT 0,
+  ending_inventory INTEGER NOT NULL DEFAULT 0,
+
+  -- Valuation (FIFO: releases use up beginning inventory first)
+  unit_price_beginning NUMERIC(12, 4) NOT NULL DEFAULT 0,
+  purchase_unit_price NUMERIC(12, 4) NOT NULL DEFAULT 0,
+  ending_value NUMERIC(14, 2) NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT fiscal_year_closing_snapshots_run_item_size_unique UNIQUE (run_id, item_id, size)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_closing_snapshots_fiscal_year ON fiscal_year_closing_snapshots(fiscal_year);
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_closing_snapshots_item_id ON fiscal_year_closing_snapshots(item_id);
+
+COMMENT ON TABLE fiscal_year_closing_snapshots IS 'Frozen closing inventory per fiscal year, item and size, written by the fiscal year rollover';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE fiscal_year_closing_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to fiscal_year_closing_snapshots"
+  ON fiscal_year_closing_snapshots
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'fiscal_year_closing_snapshots';
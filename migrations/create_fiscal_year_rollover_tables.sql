@@ -0,0 +1,91 @@
+-- ============================================
+-- Create Fiscal Year Rollover Tables
+-- La Verdad Uniform Ordering System - Rollover history, snapshots and rollback
+-- ============================================
+-- A fiscal year rollover carries each item's ending inventory forward as the new
+-- beginning inventory and resets purchases. Every rollover run is now recorded per
+-- fiscal year (school year label of the rollover date, e.g. 2026-2027), together with a
+-- snapshot of each item it changed as it was before the rollover:
+--   before: beginning_inventory, purchases, beginning_inventory_date, fiscal_year_start,
+--           note (size variants with their own beginning inventory / purchases)
+--   after:  the values the rollover wrote
+--   sizes:  per-size carry-forward (beginning / purchases before, beginning after)
+-- A system admin can roll a run back: beginning inventory and fiscal year start come back
+-- from the snapshot, and purchases recorded after the rollover are added to the restored
+-- purchases. Stock is never touched. Only the latest run that is still in effect can be
+-- rolled back.
+--
+-- Run status: completed -> rolled_back
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS fiscal_year_rollover_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  fiscal_year TEXT NOT NULL, -- e.g. '2026-2027'
+  rollover_date DATE NOT NULL,
+  status TEXT NOT NULL DEFAULT 'completed' CHECK (status IN ('completed', 'rolled_back')),
+
+  items_processed INTEGER NOT NULL DEFAULT 0,
+  items_updated INTEGER NOT NULL DEFAULT 0,
+  items_skipped INTEGER NOT NULL DEFAULT 0,
+
+  performed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  performed_by_email TEXT,
+  rolled_back_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  rolled_back_by_email TEXT,
+  rolled_back_at TIMESTAMPTZ,
+  rollback_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_rollover_runs_fiscal_year ON fiscal_year_rollover_runs(fiscal_year);
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_rollover_runs_created_at ON fiscal_year_rollover_runs(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS fiscal_year_rollover_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id UUID NOT NULL REFERENCES fiscal_year_rollover_runs(id) ON DELETE CASCADE,
+  item_id UUID NOT NULL REFERENCES items(id),
+  item_name TEXT NOT NULL,
+  education_level TEXT,
+
+  before JSONB NOT NULL,
+  after JSONB NOT NULL,
+  sizes JSONB NOT NULL DEFAULT '[]'::jsonb,
+
+  -- Rollback
+  restored_at TIMESTAMPTZ,
+  restore_skipped_reason TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT fiscal_year_rollover_snapshots_run_item_unique UNIQUE (run_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_rollover_snapshots_run_id ON fiscal_year_rollover_snapshots(run_id);
+CREATE INDEX IF NOT EXISTS idx_fiscal_year_rollover_snapshots_item_id ON fiscal_year_rollover_snapshots(item_id);
+
+COMMENT ON TABLE fiscal_year_rollover_runs IS 'Every fiscal year rollover run, per fiscal year';
+COMMENT ON TABLE fiscal_year_rollover_snapshots IS 'Pre-rollover state of each item a rollover run changed, for rollback';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE fiscal_year_rollover_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fiscal_year_rollover_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to fiscal_year_rollover_runs"
+  ON fiscal_year_rollover_runs
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to fiscal_year_rollover_snapshots"
+  ON fiscal_year_rollover_snapshots
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('fiscal_year_rollover_runs', 'fiscal_year_rollover_snapshots');
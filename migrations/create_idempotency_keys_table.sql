@@ -0,0 +1,56 @@
+-- ============================================
+-- Create Idempotency Keys Table
+-- La Verdad Uniform Ordering System - Safe retries for mutating requests
+-- ============================================
+-- Stores the first response for requests sent with an Idempotency-Key header
+-- (POST /api/orders, POST /api/items/:id/add-stock, PATCH /api/items/:id/adjust).
+-- Repeats within the window (IDEMPOTENCY_KEY_TTL_HOURS, default 24) replay the stored response.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  -- Key is unique per scope (user + method + path)
+  scope TEXT NOT NULL,
+  idempotency_key TEXT NOT NULL,
+  user_id TEXT,
+
+  -- SHA-256 of the request body; a reused key with a different body is rejected
+  request_hash TEXT NOT NULL,
+
+  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  CONSTRAINT idempotency_keys_scope_key_unique UNIQUE (scope, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+COMMENT ON TABLE idempotency_keys IS 'Stored responses for requests sent with an Idempotency-Key header';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to idempotency_keys"
+  ON idempotency_keys
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Optional cleanup (expired keys are also replaced on reuse):
+-- DELETE FROM idempotency_keys WHERE expires_at < NOW();
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'idempotency_keys'
+ORDER BY ordinal_position;
@@ -0,0 +1,281 @@
+-- ============================================
+-- Create Item Variants and Purchase Batches Tables
+-- La Verdad Uniform Ordering System - Normalize size variants out of items.note
+-- ============================================
+-- Variant stock, prices, purchase_batches and accessory accessoryEntries used to live
+-- only as JSON inside items.note. This migration adds first-class tables:
+--   item_variants          one row per size variation / accessory entry
+--   item_purchase_batches  one row per FIFO purchase batch of a variant
+-- and converts every existing note.
+--
+-- Transition: screens that still save items.note keep working. The trigger below
+-- mirrors every note change into the tables, so read paths (items, orders, inventory
+-- report, available sizes) query item_variants directly.
+-- Order placement updates item_variants.stock directly; a second trigger copies that
+-- stock back into items.note / items.stock so both stay in step.
+-- migrations/move_item_variant_writes_to_tables.sql ends that transition: it drops both
+-- triggers and the tables become the only place variants are written.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- ============================================
+-- Tables
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS item_variants (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+
+  -- 'size' = note.sizeVariations[], 'accessory_entry' = note.accessoryEntries[]
+  kind TEXT NOT NULL DEFAULT 'size' CHECK (kind IN ('size', 'accessory_entry')),
+  position INTEGER NOT NULL, -- index in the original JSON array (FIFO order for accessory entries)
+  size TEXT,
+
+  -- NULL = not set (legacy notes distinguish "missing" from 0)
+  stock INTEGER,
+  price NUMERIC,
+  purchase_unit_price NUMERIC,
+  beginning_inventory INTEGER,
+  beginning_inventory_unit_price NUMERIC,
+  purchases INTEGER,
+  reorder_point INTEGER,
+
+  -- Any other keys from the JSON entry (e.g. grade_level on accessories)
+  extra JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT item_variants_item_kind_position_unique UNIQUE (item_id, kind, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_variants_item_id ON item_variants(item_id);
+CREATE INDEX IF NOT EXISTS idx_item_variants_size ON item_variants(LOWER(size));
+
+CREATE TABLE IF NOT EXISTS item_purchase_batches (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  variant_id UUID NOT NULL REFERENCES item_variants(id) ON DELETE CASCADE,
+  item_id UUID NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL, -- FIFO order
+  qty INTEGER NOT NULL DEFAULT 0,
+  unit_price NUMERIC,
+  extra JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT item_purchase_batches_variant_position_unique UNIQUE (variant_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_purchase_batches_variant_id ON item_purchase_batches(variant_id);
+CREATE INDEX IF NOT EXISTS idx_item_purchase_batches_item_id ON item_purchase_batches(item_id);
+
+COMMENT ON TABLE item_variants IS 'Size variations and accessory entries of an item (formerly items.note JSON)';
+COMMENT ON TABLE item_purchase_batches IS 'FIFO purchase batches per item variant (formerly sizeVariations[].purchase_batches)';
+
+-- ============================================
+-- Helpers
+-- ============================================
+
+-- Parse a note without failing on plain-text notes
+CREATE OR REPLACE FUNCTION item_note_to_jsonb(p_note TEXT)
+RETURNS JSONB AS $$
+BEGIN
+  IF p_note IS NULL OR btrim(p_note) NOT LIKE '{%' THEN
+    RETURN NULL;
+  END IF;
+  RETURN p_note::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- JSON number or numeric string -> NUMERIC; "" / null / anything else -> NULL
+CREATE OR REPLACE FUNCTION item_note_numeric(p_value JSONB)
+RETURNS NUMERIC AS $$
+BEGIN
+  IF p_value IS NULL THEN
+    RETURN NULL;
+  ELSIF jsonb_typeof(p_value) = 'number' THEN
+    RETURN p_value::text::numeric;
+  ELSIF jsonb_typeof(p_value) = 'string' AND (p_value #>> '{}') ~ '^\s*-?\d+(\.\d+)?\s*$' THEN
+    RETURN btrim(p_value #>> '{}')::numeric;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Rebuild item_variants / item_purchase_batches for one item from its note.
+-- Same precedence as the application: non-empty accessoryEntries wins over sizeVariations.
+-- Variant rows are upserted by position so their ids stay stable across edits.
+CREATE OR REPLACE FUNCTION sync_item_variants_from_note(p_item_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_note JSONB;
+  v_kind TEXT;
+  v_entries JSONB;
+  v_entry JSONB;
+  v_position INTEGER;
+  v_variant_id UUID;
+  v_count INTEGER := 0;
+BEGIN
+  SELECT item_note_to_jsonb(note) INTO v_note FROM items WHERE id = p_item_id;
+
+  IF v_note IS NOT NULL
+     AND jsonb_typeof(v_note -> 'accessoryEntries') = 'array'
+     AND jsonb_array_length(v_note -> 'accessoryEntries') > 0 THEN
+    v_kind := 'accessory_entry';
+    v_entries := v_note -> 'accessoryEntries';
+  ELSIF v_note IS NOT NULL
+     AND jsonb_typeof(v_note -> 'sizeVariations') = 'array'
+     AND jsonb_array_length(v_note -> 'sizeVariations') > 0 THEN
+    v_kind := 'size';
+    v_entries := v_note -> 'sizeVariations';
+  END IF;
+
+  IF v_kind IS NOT NULL THEN
+    FOR v_entry, v_position IN
+      SELECT e.value, (e.ordinality - 1)::int
+      FROM jsonb_array_elements(v_entries) WITH ORDINALITY AS e(value, ordinality)
+    LOOP
+      INSERT INTO item_variants (
+        item_id, kind, position, size, stock, price, purchase_unit_price,
+        beginning_inventory, beginning_inventory_unit_price, purchases, reorder_point,
+        extra, updated_at
+      ) VALUES (
+        p_item_id, v_kind, v_position,
+        NULLIF(v_entry ->> 'size', ''),
+        ROUND(item_note_numeric(v_entry -> 'stock'))::int,
+        item_note_numeric(v_entry -> 'price'),
+        item_note_numeric(v_entry -> 'purchase_unit_price'),
+        ROUND(item_note_numeric(v_entry -> 'beginning_inventory'))::int,
+        item_note_numeric(v_entry -> 'beginning_inventory_unit_price'),
+        ROUND(item_note_numeric(v_entry -> 'purchases'))::int,
+        ROUND(item_note_numeric(v_entry -> 'reorder_point'))::int,
+        CASE WHEN jsonb_typeof(v_entry) = 'object'
+          THEN v_entry - ARRAY['size', 'stock', 'price', 'purchase_unit_price', 'beginning_inventory',
+                               'beginning_inventory_unit_price', 'purchases', 'reorder_point', 'purchase_batches']
+          ELSE '{}'::jsonb
+        END,
+        NOW()
+      )
+      ON CONFLICT (item_id, kind, position) DO UPDATE SET
+        size = EXCLUDED.size,
+        stock = EXCLUDED.stock,
+        price = EXCLUDED.price,
+        purchase_unit_price = EXCLUDED.purchase_unit_price,
+        beginning_inventory = EXCLUDED.beginning_inventory,
+        beginning_inventory_unit_price = EXCLUDED.beginning_inventory_unit_price,
+        purchases = EXCLUDED.purchases,
+        reorder_point = EXCLUDED.reorder_point,
+        extra = EXCLUDED.extra,
+        updated_at = NOW()
+      RETURNING id INTO v_variant_id;
+
+      DELETE FROM item_purchase_batches WHERE variant_id = v_variant_id;
+      IF jsonb_typeof(v_entry -> 'purchase_batches') = 'array' THEN
+        INSERT INTO item_purchase_batches (variant_id, item_id, position, qty, unit_price, extra)
+        SELECT
+          v_variant_id,
+          p_item_id,
+          (b.ordinality - 1)::int,
+          COALESCE(ROUND(item_note_numeric(b.value -> 'qty'))::int, 0),
+          item_note_numeric(b.value -> 'unit_price'),
+          b.value - ARRAY['qty', 'unit_price']
+        FROM jsonb_array_elements(v_entry -> 'purchase_batches') WITH ORDINALITY AS b(value, ordinality)
+        WHERE jsonb_typeof(b.value) = 'object';
+      END IF;
+
+      v_count := v_count + 1;
+    END LOOP;
+  END IF;
+
+  -- Drop variants that no longer exist in the note (removed sizes, switched kind, plain note)
+  DELETE FROM item_variants
+  WHERE item_id = p_item_id
+    AND (kind IS DISTINCT FROM v_kind OR position >= v_count);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION items_sync_variants_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM sync_item_variants_from_note(NEW.id);
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_items_sync_variants ON items;
+CREATE TRIGGER trigger_items_sync_variants
+  AFTER INSERT OR UPDATE OF note ON items
+  FOR EACH ROW
+  EXECUTE FUNCTION items_sync_variants_trigger();
+
+-- Stock changed directly on a size variant (order placement): mirror it into items.note
+-- and recompute items.stock. Skipped when the change came from the note sync above.
+CREATE OR REPLACE FUNCTION item_variants_sync_note_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE items
+  SET
+    note = jsonb_set(
+      item_note_to_jsonb(note),
+      ARRAY['sizeVariations', NEW.position::text, 'stock'],
+      to_jsonb(NEW.stock)
+    )::text,
+    stock = (
+      SELECT COALESCE(SUM(v.stock), 0)
+      FROM item_variants v
+      WHERE v.item_id = NEW.item_id AND v.kind = 'size'
+    )
+  WHERE id = NEW.item_id
+    AND jsonb_typeof(item_note_to_jsonb(note) -> 'sizeVariations' -> NEW.position) = 'object';
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_item_variants_sync_note ON item_variants;
+CREATE TRIGGER trigger_item_variants_sync_note
+  AFTER UPDATE OF stock ON item_variants
+  FOR EACH ROW
+  WHEN (pg_trigger_depth() = 0 AND NEW.kind = 'size' AND NEW.stock IS DISTINCT FROM OLD.stock)
+  EXECUTE FUNCTION item_variants_sync_note_trigger();
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE item_variants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE item_purchase_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to item_variants"
+  ON item_variants
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to item_purchase_batches"
+  ON item_purchase_batches
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- ============================================
+-- Convert existing notes
+-- ============================================
+
+SELECT sync_item_variants_from_note(id)
+FROM items
+WHERE item_note_to_jsonb(note) IS NOT NULL;
+
+-- Verify
+SELECT
+  (SELECT COUNT(DISTINCT item_id) FROM item_variants) AS items_with_variants,
+  (SELECT COUNT(*) FROM item_variants WHERE kind = 'size') AS size_variants,
+  (SELECT COUNT(*) FROM item_variants WHERE kind = 'accessory_entry') AS accessory_entries,
+  (SELECT COUNT(*) FROM item_purchase_batches) AS purchase_batches;
+
+-- Items whose row stock does not match the sum of their size variants (should be empty)
+SELECT i.id, i.name, i.education_level, i.stock, SUM(v.stock) AS variant_stock
+FROM items i
+JOIN item_variants v ON v.item_id = i.id AND v.kind = 'size'
+WHERE i.is_active = true
+GROUP BY i.id, i.name, i.education_level, i.stock
+HAVING i.stock IS DISTINCT FROM SUM(v.stock);
@@ -0,0 +1,89 @@
+-- ============================================
+-- Create Max Order Rules Tables
+-- La Verdad Uniform Ordering System - Admin-editable Max Per Item
+-- ============================================
+-- Replaces the hard-coded SEGMENT_RULES in src/config/itemMaxOrder.js.
+-- A rule sets the max quantity of one item for one segment
+-- (education level × student type × gender) over an effective date range.
+-- Every change is recorded in max_order_rule_audit.
+--
+-- Seeding: the defaults live only in itemMaxOrder.js. After running this migration,
+-- call POST /api/system-admin/max-order-rules/seed once to copy them into the table.
+-- Until then every segment has no rules and allows each item once (DEFAULT_MAX).
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS max_order_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  -- Segment
+  education_level TEXT NOT NULL, -- Kindergarten, Elementary, Junior High School, Senior High School, College (Vocational uses College)
+  student_type TEXT NOT NULL CHECK (student_type IN ('new', 'old')),
+  gender TEXT NOT NULL CHECK (gender IN ('Male', 'Female')),
+
+  -- Rule
+  item_key TEXT NOT NULL, -- normalized item name (see resolveItemKey)
+  max_quantity INTEGER NOT NULL CHECK (max_quantity >= 0),
+  effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+  effective_to DATE,
+  notes TEXT,
+
+  -- Status / audit columns
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT max_order_rules_effective_range CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_max_order_rules_segment
+  ON max_order_rules(education_level, student_type, gender)
+  WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_max_order_rules_item_key ON max_order_rules(item_key);
+
+CREATE TABLE IF NOT EXISTS max_order_rule_audit (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rule_id UUID REFERENCES max_order_rules(id) ON DELETE SET NULL,
+  action TEXT NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'DELETE', 'SEED')),
+  old_values JSONB,
+  new_values JSONB,
+  changed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_max_order_rule_audit_rule_id ON max_order_rule_audit(rule_id);
+CREATE INDEX IF NOT EXISTS idx_max_order_rule_audit_changed_at ON max_order_rule_audit(changed_at DESC);
+
+COMMENT ON TABLE max_order_rules IS 'Max quantity per item per segment (education level × student type × gender), with effective dates';
+COMMENT ON COLUMN max_order_rules.item_key IS 'Normalized item name as returned by resolveItemKey (e.g. logo patch, jhs skirt)';
+COMMENT ON TABLE max_order_rule_audit IS 'Audit trail of every change to max_order_rules';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE max_order_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE max_order_rule_audit ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to max_order_rules"
+  ON max_order_rules
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to max_order_rule_audit"
+  ON max_order_rule_audit
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- ============================================
+-- Verification Queries
+-- ============================================
+
+SELECT education_level, student_type, gender, COUNT(*) AS rule_count
+FROM max_order_rules
+WHERE is_active = true
+GROUP BY education_level, student_type, gender
+ORDER BY education_level, student_type, gender;
@@ -0,0 +1,55 @@
+-- ============================================
+-- Create Non-Working Days Table
+-- La Verdad Uniform Ordering System - School Holiday Calendar
+-- ============================================
+-- The claim window (VOID_UNCLAIMED_AFTER_DAYS) counts Mon-Fri only. Dates listed here
+-- (holidays, exam weeks, custodian office closures) are skipped as well, both by the
+-- auto-void job and by the claim_deadline shown on orders.
+-- Each row covers start_date..end_date inclusive; a single day has start_date = end_date.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS non_working_days (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  name TEXT NOT NULL, -- e.g. "Independence Day", "Midterm exam week"
+  type TEXT NOT NULL DEFAULT 'holiday'
+    CHECK (type IN ('holiday', 'exam_week', 'office_closure', 'other')),
+  notes TEXT,
+
+  -- Status / audit columns
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT non_working_days_date_range CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_non_working_days_dates
+  ON non_working_days (start_date, end_date)
+  WHERE is_active = true;
+
+COMMENT ON TABLE non_working_days IS 'Holidays, exam weeks and office closures excluded from the claim window';
+COMMENT ON COLUMN non_working_days.end_date IS 'Inclusive; equal to start_date for a single day';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE non_working_days ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to non_working_days"
+  ON non_working_days
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'non_working_days'
+ORDER BY ordinal_position;
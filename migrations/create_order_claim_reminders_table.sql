@@ -0,0 +1,54 @@
+-- ============================================
+-- Create Order Claim Reminders Table
+-- La Verdad Uniform Ordering System - Claim Deadline Reminders
+-- ============================================
+-- Unclaimed orders are auto-voided VOID_UNCLAIMED_AFTER_DAYS weekdays after they are
+-- placed, and the student gets a void strike. A daily job warns students
+-- CLAIM_REMINDER_WEEKDAYS weekdays before that cutoff (in-app + email).
+-- Each (order, threshold) pair is recorded here so a reminder is only sent once.
+-- Run after create_email_notification_preferences_table.sql.
+
+-- Enable UUID extension if not already enabled
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS order_claim_reminders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  order_number TEXT,
+  threshold_weekdays INTEGER NOT NULL CHECK (threshold_weekdays > 0), -- weekdays before the void cutoff
+  claim_deadline TIMESTAMPTZ, -- last moment the order could be claimed when the reminder went out
+
+  -- Delivery
+  in_app_sent BOOLEAN NOT NULL DEFAULT false,
+  email_sent BOOLEAN NOT NULL DEFAULT false,
+
+  sent_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT order_claim_reminders_order_threshold_unique UNIQUE (order_id, threshold_weekdays)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_claim_reminders_order_id ON order_claim_reminders(order_id);
+
+COMMENT ON TABLE order_claim_reminders IS 'Claim-deadline reminders already sent, one per order per threshold';
+
+-- Students can opt out of reminder emails like the other order emails
+ALTER TABLE email_notification_preferences
+  ADD COLUMN IF NOT EXISTS claim_reminder BOOLEAN NOT NULL DEFAULT true;
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE order_claim_reminders ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to order_claim_reminders"
+  ON order_claim_reminders
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'order_claim_reminders'
+ORDER BY ordinal_position;
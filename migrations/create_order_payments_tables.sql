@@ -0,0 +1,84 @@
+-- ============================================
+-- Create Order Payments Tables
+-- La Verdad Uniform Ordering System - Cashier Payments and Official Receipts
+-- ============================================
+-- Every peso received or returned for an order is a row in order_payments:
+--   kind = 'payment': walk-in (cash, e-wallet, bank, check) or online payment; gets the next
+--                     official receipt (OR) number from receipt_number_sequences
+--   kind = 'refund':  money returned for a cancelled order
+-- An order is fully paid when SUM(payments) - SUM(refunds) reaches orders.total_amount;
+-- smaller amounts are partial payments.
+--
+-- OR numbers are issued inside the same transaction as the payment row, so the sequence
+-- has no gaps. The format is <prefix><next_number zero-padded to padding digits>, e.g. OR-000123.
+-- Run after create_payment_transactions_tables.sql.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS receipt_number_sequences (
+  name TEXT PRIMARY KEY, -- 'official_receipt'
+  prefix TEXT NOT NULL DEFAULT 'OR-',
+  next_number BIGINT NOT NULL DEFAULT 1 CHECK (next_number > 0),
+  padding INTEGER NOT NULL DEFAULT 6 CHECK (padding BETWEEN 1 AND 12),
+  updated_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO receipt_number_sequences (name, prefix, next_number, padding)
+VALUES ('official_receipt', 'OR-', 1, 6)
+ON CONFLICT (name) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS order_payments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  order_id UUID NOT NULL REFERENCES orders(id),
+  order_number TEXT,
+  kind TEXT NOT NULL DEFAULT 'payment' CHECK (kind IN ('payment', 'refund')),
+  method TEXT NOT NULL
+    CHECK (method IN ('cash', 'gcash', 'maya', 'bank_transfer', 'check', 'online')),
+
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0), -- applied to the order (or refunded)
+  amount_tendered NUMERIC(10, 2), -- handed over by the payer (cash)
+  change_given NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (change_given >= 0),
+
+  or_number TEXT UNIQUE, -- official receipt number (payments only)
+  reference_number TEXT, -- e-wallet / bank / check reference
+  refund_reason TEXT,
+  payment_transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL, -- online checkout
+  notes TEXT,
+
+  -- Cashier (NULL for online payments)
+  cashier_id UUID REFERENCES staff(id) ON DELETE SET NULL,
+  cashier_name TEXT,
+  cashier_email TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_payments_order_id ON order_payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_payments_cashier_date ON order_payments(cashier_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_order_payments_created_at ON order_payments(created_at);
+
+COMMENT ON TABLE receipt_number_sequences IS 'Configurable official receipt number sequences';
+COMMENT ON TABLE order_payments IS 'Payments and refunds per order, with OR number and cashier';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE receipt_number_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to receipt_number_sequences"
+  ON receipt_number_sequences
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to order_payments"
+  ON order_payments
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT * FROM receipt_number_sequences;
@@ -0,0 +1,90 @@
+-- ============================================
+-- Create Order Returns Table
+-- La Verdad Uniform Ordering System - Returns and Size Exchanges
+-- ============================================
+-- A return or exchange is tied to one released line of an order (orders.items[line_index]):
+--   type = 'return':   the units come back and are refunded
+--   type = 'exchange': the units come back and the same item in another size is handed
+--                      over in the same step
+-- The returned units are restocked (stock_movements RETURN); the replacement is taken out of
+-- stock (stock_movements EXCHANGE). Both movements, the order line changes and this row are
+-- written in one transaction.
+--
+-- orders.total_amount is adjusted by the price difference (or the refunded amount), so the
+-- cashier balance shows what the student still owes or what has to be refunded.
+-- Run after create_stock_movements_table.sql.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS order_returns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  order_id UUID NOT NULL REFERENCES orders(id),
+  order_number TEXT,
+  line_index INTEGER NOT NULL CHECK (line_index >= 0),
+  type TEXT NOT NULL CHECK (type IN ('return', 'exchange')),
+
+  -- Returned units
+  item_id UUID REFERENCES items(id) ON DELETE SET NULL,
+  item_name TEXT NOT NULL,
+  returned_size TEXT NOT NULL DEFAULT 'N/A',
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_price NUMERIC(10, 2) NOT NULL DEFAULT 0,
+
+  -- Replacement (exchanges only)
+  replacement_item_id UUID REFERENCES items(id) ON DELETE SET NULL,
+  replacement_size TEXT,
+  replacement_unit_price NUMERIC(10, 2),
+
+  -- Money: price_difference = (replacement - returned) x quantity for exchanges
+  price_difference NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  amount_due NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (amount_due >= 0), -- student pays
+  refund_amount NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (refund_amount >= 0), -- student gets back
+
+  reason TEXT NOT NULL,
+  notes TEXT,
+
+  processed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  processed_by_name TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT order_returns_exchange_has_replacement
+    CHECK (type = 'return' OR replacement_size IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_returns_order_id ON order_returns(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_returns_created_at ON order_returns(created_at);
+
+COMMENT ON TABLE order_returns IS 'Returns and size exchanges per order line, with price difference or refund';
+
+-- Ledger reason for the replacement size handed over in an exchange
+ALTER TABLE stock_movements DROP CONSTRAINT IF EXISTS stock_movements_reason_code_check;
+ALTER TABLE stock_movements ADD CONSTRAINT stock_movements_reason_code_check CHECK (reason_code IN (
+  'OPENING_BALANCE',
+  'INITIAL_STOCK',
+  'PURCHASE',
+  'ADJUSTMENT',
+  'ITEM_EDIT',
+  'RETURN',
+  'ORDER_PLACED',
+  'ORDER_RESTOCK',
+  'EXCHANGE'
+));
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE order_returns ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to order_returns"
+  ON order_returns
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'order_returns'
+ORDER BY ordinal_position;
@@ -0,0 +1,79 @@
+-- ============================================
+-- Create Payment Transactions Tables
+-- La Verdad Uniform Ordering System - Online Payments
+-- ============================================
+-- A student starts an online checkout for an order (order status -> payment_pending).
+-- The payment provider (PAYMENT_PROVIDER, e.g. the local mock gateway) calls
+-- POST /api/payments/webhooks/:provider; signed "paid" events move the order to paid.
+--   payment_transactions:   one row per checkout attempt
+--   payment_webhook_events: every webhook received, unique per provider event id so
+--                           redelivered events are only processed once
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS payment_transactions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  order_number TEXT,
+  provider TEXT NOT NULL, -- e.g. 'mock', 'gcash', 'maya'
+  provider_reference TEXT NOT NULL, -- checkout / payment id on the provider side
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+  currency TEXT NOT NULL DEFAULT 'PHP',
+
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'paid', 'failed', 'expired')),
+  checkout_url TEXT,
+  expires_at TIMESTAMPTZ,
+  paid_at TIMESTAMPTZ,
+  failure_reason TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT payment_transactions_provider_reference_unique UNIQUE (provider, provider_reference)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_order_id ON payment_transactions(order_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  provider TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT,
+  provider_reference TEXT,
+  payload JSONB,
+
+  processed_at TIMESTAMPTZ,
+  result TEXT, -- what the event did, e.g. 'order_paid', 'ignored: order cancelled'
+  received_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT payment_webhook_events_provider_event_unique UNIQUE (provider, event_id)
+);
+
+COMMENT ON TABLE payment_transactions IS 'Online checkout attempts per order';
+COMMENT ON TABLE payment_webhook_events IS 'Verified payment provider webhooks, one row per provider event';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE payment_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_webhook_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to payment_transactions"
+  ON payment_transactions
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to payment_webhook_events"
+  ON payment_webhook_events
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('payment_transactions', 'payment_webhook_events');
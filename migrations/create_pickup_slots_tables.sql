@@ -0,0 +1,86 @@
+-- ============================================
+-- Create Pickup Slots and Appointments Tables
+-- La Verdad Uniform Ordering System - Claim Appointment Scheduling
+-- ============================================
+-- Custodians open pickup time windows with a capacity (students per slot). Students
+-- with orders ready for pickup book one slot per order and can reschedule or cancel.
+-- A job reminds students PICKUP_REMINDER_MINUTES before their slot, and the custodian
+-- gets a per-slot queue of the orders (items and sizes) to prepare.
+--
+-- Appointment status: booked -> cancelled. Rescheduling moves a booked appointment to
+-- another slot in place (slot_id changes, reschedule_count goes up).
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS pickup_slots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  capacity INTEGER NOT NULL CHECK (capacity > 0), -- max booked orders in this slot
+  notes TEXT,
+
+  -- Status / audit columns
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT pickup_slots_time_range CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pickup_slots_starts_at
+  ON pickup_slots (starts_at)
+  WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS pickup_appointments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  slot_id UUID NOT NULL REFERENCES pickup_slots(id) ON DELETE CASCADE,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  order_number TEXT,
+  student_id UUID, -- as stored on orders.student_id
+  student_email TEXT,
+
+  status TEXT NOT NULL DEFAULT 'booked' CHECK (status IN ('booked', 'cancelled')),
+  reschedule_count INTEGER NOT NULL DEFAULT 0,
+  reminder_sent_at TIMESTAMPTZ, -- reset when the appointment moves to another slot
+  cancelled_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One booked appointment per order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pickup_appointments_one_booked
+  ON pickup_appointments (order_id)
+  WHERE status = 'booked';
+CREATE INDEX IF NOT EXISTS idx_pickup_appointments_slot_id ON pickup_appointments(slot_id, status);
+CREATE INDEX IF NOT EXISTS idx_pickup_appointments_student_email ON pickup_appointments(student_email);
+
+COMMENT ON TABLE pickup_slots IS 'Claim appointment time windows opened by the property custodian';
+COMMENT ON TABLE pickup_appointments IS 'Student bookings of pickup slots, one booked appointment per order';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE pickup_slots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pickup_appointments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to pickup_slots"
+  ON pickup_slots
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to pickup_appointments"
+  ON pickup_appointments
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('pickup_slots', 'pickup_appointments');
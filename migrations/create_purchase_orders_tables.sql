@@ -0,0 +1,174 @@
+-- ============================================
+-- Create Supplier and Purchase Order Tables
+-- La Verdad Uniform Ordering System - Purchase orders for restocking
+-- ============================================
+-- Suppliers carry their contact details and quoted lead time (days from ordering to
+-- delivery). A purchase order (PO) has one line per item / size with the ordered quantity
+-- and unit cost. Deliveries are received against the PO, in full or in parts; each
+-- delivered line is posted to stock through add stock (purchases / FIFO batch, stock
+-- ledger PURCHASE movement with the PO number as reference).
+--
+-- PO status: draft -> ordered -> partially_received -> received
+--            draft / ordered -> cancelled (nothing received yet)
+--            partially_received -> closed (remaining balance no longer expected)
+--
+-- PO numbers come from receipt_number_sequences (name 'purchase_order'), e.g. PO-000001.
+-- Run after create_order_payments_tables.sql.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS suppliers (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  contact_person TEXT,
+  email TEXT,
+  phone TEXT,
+  address TEXT,
+  lead_time_days INTEGER CHECK (lead_time_days IS NULL OR lead_time_days >= 0), -- quoted
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_suppliers_name_unique ON suppliers(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  po_number TEXT NOT NULL UNIQUE,
+  supplier_id UUID NOT NULL REFERENCES suppliers(id),
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN (
+    'draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'
+  )),
+  expected_date DATE, -- defaults to ordered date + supplier lead time
+  notes TEXT,
+
+  created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  ordered_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  ordered_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ, -- last line fully received
+  closed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  closed_at TIMESTAMPTZ,
+  close_reason TEXT,
+  cancelled_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_created_at ON purchase_orders(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  item_id UUID NOT NULL REFERENCES items(id),
+  variant_id UUID, -- item_variants.id when the line is a size variant
+  item_name TEXT NOT NULL,
+  education_level TEXT,
+  size TEXT NOT NULL DEFAULT 'N/A',
+  quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+  unit_cost NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT purchase_order_lines_received_check CHECK (quantity_received <= quantity_ordered),
+  CONSTRAINT purchase_order_lines_po_item_size_unique UNIQUE (purchase_order_id, item_id, size)
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_po_id ON purchase_order_lines(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_item_id ON purchase_order_lines(item_id);
+
+CREATE TABLE IF NOT EXISTS purchase_order_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  delivery_reference TEXT, -- supplier's delivery receipt / invoice number
+  delivered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notes TEXT,
+
+  received_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  received_by_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_deliveries_po_id ON purchase_order_deliveries(purchase_order_id);
+
+-- Delivered quantities; posted_at is set once add stock has put the units in stock
+CREATE TABLE IF NOT EXISTS purchase_order_delivery_lines (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  delivery_id UUID NOT NULL REFERENCES purchase_order_deliveries(id) ON DELETE CASCADE,
+  purchase_order_line_id UUID NOT NULL REFERENCES purchase_order_lines(id) ON DELETE CASCADE,
+  item_id UUID NOT NULL REFERENCES items(id),
+  size TEXT NOT NULL DEFAULT 'N/A',
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  unit_cost NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+  posted_at TIMESTAMPTZ,
+  post_error TEXT, -- last add stock failure; the line can be posted again
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_delivery_lines_delivery_id ON purchase_order_delivery_lines(delivery_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_delivery_lines_unposted
+  ON purchase_order_delivery_lines(delivery_id)
+  WHERE posted_at IS NULL;
+
+INSERT INTO receipt_number_sequences (name, prefix, next_number, padding)
+VALUES ('purchase_order', 'PO-', 1, 6)
+ON CONFLICT (name) DO NOTHING;
+
+COMMENT ON TABLE suppliers IS 'Uniform and item suppliers with quoted lead time';
+COMMENT ON TABLE purchase_orders IS 'Purchase orders for restocking';
+COMMENT ON TABLE purchase_order_lines IS 'PO lines: one per item / size with ordered and received quantities';
+COMMENT ON TABLE purchase_order_deliveries IS 'Deliveries received against a purchase order';
+COMMENT ON TABLE purchase_order_delivery_lines IS 'Quantities per PO line in a delivery, posted to stock through add stock';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_delivery_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to suppliers"
+  ON suppliers
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to purchase_orders"
+  ON purchase_orders
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to purchase_order_lines"
+  ON purchase_order_lines
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to purchase_order_deliveries"
+  ON purchase_order_deliveries
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to purchase_order_delivery_lines"
+  ON purchase_order_delivery_lines
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN (
+  'suppliers',
+  'purchase_orders',
+  'purchase_order_lines',
+  'purchase_order_deliveries',
+  'purchase_order_delivery_lines'
+);
@@ -0,0 +1,94 @@
+-- ============================================
+-- Create Stock Count Tables
+-- La Verdad Uniform Ordering System - Physical stock count (cycle count) sessions
+-- ============================================
+-- A count session snapshots the count sheet (one line per item / size, optionally
+-- for one education level). Custodians enter counted quantities, review the variance
+-- against system stock, approve each variance with a reason, then post the approved
+-- variances as stock adjustments (logged in transactions and the stock ledger).
+--
+-- Session status: open -> posted, or open -> cancelled
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS stock_count_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  title TEXT NOT NULL,
+  education_level TEXT, -- NULL = whole stockroom
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'posted', 'cancelled')),
+  notes TEXT,
+
+  opened_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  posted_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  cancelled_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  posted_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_count_sessions_status ON stock_count_sessions(status);
+CREATE INDEX IF NOT EXISTS idx_stock_count_sessions_created_at ON stock_count_sessions(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS stock_count_lines (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES stock_count_sessions(id) ON DELETE CASCADE,
+  item_id UUID NOT NULL REFERENCES items(id),
+  variant_id UUID, -- item_variants.id when the line is a size variant
+  item_name TEXT NOT NULL,
+  education_level TEXT,
+  size TEXT NOT NULL DEFAULT 'N/A',
+
+  -- System stock when the session was opened (the variance uses stock_at_count, see
+  -- add_stock_count_line_stock_at_count.sql)
+  system_stock INTEGER NOT NULL DEFAULT 0,
+
+  -- Count
+  counted_quantity INTEGER CHECK (counted_quantity IS NULL OR counted_quantity >= 0),
+  counted_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  counted_at TIMESTAMPTZ,
+
+  -- Review
+  approved BOOLEAN NOT NULL DEFAULT false,
+  reason TEXT,
+  reviewed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+
+  -- Posting
+  posted_adjustment INTEGER,
+  posted_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT stock_count_lines_session_item_size_unique UNIQUE (session_id, item_id, size)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_count_lines_session_id ON stock_count_lines(session_id);
+CREATE INDEX IF NOT EXISTS idx_stock_count_lines_item_id ON stock_count_lines(item_id);
+
+COMMENT ON TABLE stock_count_sessions IS 'Physical stock count (cycle count) sessions';
+COMMENT ON TABLE stock_count_lines IS 'Count sheet lines: one per item / size, with counted quantity and variance approval';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE stock_count_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_count_lines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to stock_count_sessions"
+  ON stock_count_sessions
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to stock_count_lines"
+  ON stock_count_lines
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('stock_count_sessions', 'stock_count_lines');
@@ -0,0 +1,122 @@
+-- ============================================
+-- Create Stock Movements Table (Stock Ledger)
+-- La Verdad Uniform Ordering System - Append-only history of every stock change
+-- ============================================
+-- items.stock / item_variants.stock only hold the current quantity, so past on-hand
+-- could not be rebuilt and drift could not be detected. Every stock change is now
+-- also written here as a signed delta with a reason code, the order / return it
+-- belongs to and who made it. Rows can never be updated or deleted.
+--
+-- Requires: create_item_variants_tables.sql
+--
+-- Reason codes:
+--   OPENING_BALANCE  stock on hand when this migration ran
+--   INITIAL_STOCK    new item created with stock
+--   PURCHASE         add stock
+--   ADJUSTMENT       manual stock adjustment
+--   ITEM_EDIT        stock changed from the item edit form
+--   RETURN           student returned an item
+--   ORDER_PLACED     stock reserved for an order (negative)
+--   ORDER_RESTOCK    unreleased order stock put back on cancel / void
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  item_id UUID NOT NULL REFERENCES items(id),
+  variant_id UUID, -- item_variants.id at the time (no FK: variants can be removed, history stays)
+  size TEXT NOT NULL DEFAULT 'N/A',
+  delta INTEGER NOT NULL CHECK (delta <> 0),
+  reason_code TEXT NOT NULL CHECK (reason_code IN (
+    'OPENING_BALANCE',
+    'INITIAL_STOCK',
+    'PURCHASE',
+    'ADJUSTMENT',
+    'ITEM_EDIT',
+    'RETURN',
+    'ORDER_PLACED',
+    'ORDER_RESTOCK'
+  )),
+
+  -- References
+  order_id UUID,
+  order_number TEXT,
+  return_id UUID,
+  reference TEXT,
+
+  -- Actor (auth user id or staff/student id, whichever the write path knows)
+  actor_id TEXT,
+  actor_email TEXT,
+
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_item_created ON stock_movements(item_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_variant_id ON stock_movements(variant_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_order_id ON stock_movements(order_id);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_reason_code ON stock_movements(reason_code);
+
+COMMENT ON TABLE stock_movements IS 'Append-only stock ledger: one signed delta per stock change';
+
+-- ============================================
+-- Append-only
+-- ============================================
+
+CREATE OR REPLACE FUNCTION prevent_stock_movement_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'stock_movements is append-only; record a correcting movement instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_stock_movements_append_only ON stock_movements;
+CREATE TRIGGER trigger_stock_movements_append_only
+  BEFORE UPDATE OR DELETE ON stock_movements
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_stock_movement_changes();
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role has full access to stock_movements" ON stock_movements;
+CREATE POLICY "Service role has full access to stock_movements"
+  ON stock_movements
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- ============================================
+-- Opening balances
+-- ============================================
+
+-- One row per size variant
+INSERT INTO stock_movements (item_id, variant_id, size, delta, reason_code, note)
+SELECT v.item_id, v.id, COALESCE(v.size, 'N/A'), v.stock, 'OPENING_BALANCE', 'Stock on hand when the ledger was introduced'
+FROM item_variants v
+WHERE v.kind = 'size'
+  AND COALESCE(v.stock, 0) <> 0
+  AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.item_id = v.item_id);
+
+-- One row per item without size variants (plain items and accessories)
+INSERT INTO stock_movements (item_id, size, delta, reason_code, note)
+SELECT i.id, COALESCE(i.size, 'N/A'), i.stock, 'OPENING_BALANCE', 'Stock on hand when the ledger was introduced'
+FROM items i
+WHERE COALESCE(i.stock, 0) <> 0
+  AND NOT EXISTS (SELECT 1 FROM item_variants v WHERE v.item_id = i.id AND v.kind = 'size')
+  AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.item_id = i.id);
+
+-- Verify
+SELECT reason_code, COUNT(*) AS movements, SUM(delta) AS total_delta
+FROM stock_movements
+GROUP BY reason_code;
+
+-- Items whose stock does not match the ledger (should be empty right after the migration)
+SELECT i.id, i.name, i.education_level, i.stock, COALESCE(SUM(m.delta), 0) AS ledger_stock
+FROM items i
+LEFT JOIN stock_movements m ON m.item_id = i.id
+GROUP BY i.id, i.name, i.education_level, i.stock
+HAVING COALESCE(i.stock, 0) <> COALESCE(SUM(m.delta), 0);
@@ -0,0 +1,73 @@
+-- ============================================
+-- Create Total Item Limit Policies Table
+-- La Verdad Uniform Ordering System - Configurable default Total Item Limit
+-- ============================================
+-- Replaces the hard-coded defaults (8 for new students, 2 for old students)
+-- used by order placement and GET /api/auth/max-quantities.
+-- The most specific active policy wins:
+--   education level + school year > education level > school year > catch-all
+-- A student's own total_item_limit (set by a system admin) still overrides these.
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS total_item_limit_policies (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  -- Scope (NULL = applies to all)
+  education_level TEXT,
+  student_type TEXT NOT NULL CHECK (student_type IN ('new', 'old')),
+  school_year TEXT CHECK (school_year IS NULL OR school_year ~ '^\d{4}-\d{4}$'), -- e.g. 2025-2026
+
+  -- Limit (number of distinct item types in placed orders)
+  total_item_limit INTEGER NOT NULL CHECK (total_item_limit >= 0),
+  notes TEXT,
+
+  -- Status / audit columns
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One active policy per scope
+CREATE UNIQUE INDEX IF NOT EXISTS idx_total_item_limit_policies_scope
+  ON total_item_limit_policies (COALESCE(education_level, ''), student_type, COALESCE(school_year, ''))
+  WHERE is_active = true;
+
+COMMENT ON TABLE total_item_limit_policies IS 'Default total item limits per education level, student type and school year';
+COMMENT ON COLUMN total_item_limit_policies.education_level IS 'NULL = all education levels';
+COMMENT ON COLUMN total_item_limit_policies.school_year IS 'NULL = any school year; format YYYY-YYYY';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE total_item_limit_policies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to total_item_limit_policies"
+  ON total_item_limit_policies
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- ============================================
+-- Seed Data (previous hard-coded defaults)
+-- ============================================
+
+INSERT INTO total_item_limit_policies (education_level, student_type, school_year, total_item_limit, notes)
+SELECT NULL, v.student_type, NULL, v.total_item_limit, 'Previous built-in default'
+FROM (VALUES ('new', 8), ('old', 2)) AS v(student_type, total_item_limit)
+WHERE NOT EXISTS (
+  SELECT 1 FROM total_item_limit_policies p
+  WHERE p.is_active = true
+    AND p.education_level IS NULL
+    AND p.school_year IS NULL
+    AND p.student_type = v.student_type
+);
+
+-- Verify
+SELECT education_level, student_type, school_year, total_item_limit
+FROM total_item_limit_policies
+WHERE is_active = true
+ORDER BY student_type, education_level NULLS FIRST, school_year NULLS FIRST;
@@ -0,0 +1,110 @@
+-- ============================================
+-- Create Void Strike History and Appeals Tables
+-- La Verdad Uniform Ordering System - Void Strike Appeals / Reinstatement
+-- ============================================
+-- Every auto-voided (unclaimed) order adds a strike to students.unclaimed_void_count.
+-- At UNCLAIMED_VOID_STRIKES_BEFORE_BLOCK strikes the student's total_item_limit is set
+-- to 0 (blocked from ordering).
+--   student_void_strikes: one row per strike (which order, when, limit before the strike)
+--   void_strike_appeals:  student-submitted appeals; approving one clears the strikes
+--                         and restores the limit the student had before the block
+--   void_strike_audit:    audit trail of strikes, appeals and reviews
+-- ============================================
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE TABLE IF NOT EXISTS void_strike_appeals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL CHECK (length(trim(reason)) > 0),
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected')),
+  strike_count_at_submission INTEGER NOT NULL DEFAULT 0,
+
+  -- Review
+  reviewed_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_notes TEXT,
+  strikes_cleared INTEGER,
+  blocked_total_item_limit INTEGER, -- limit when the appeal was approved (0 = blocked)
+  restored_total_item_limit INTEGER, -- limit restored on approval (NULL = policy default)
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One open appeal per student
+CREATE UNIQUE INDEX IF NOT EXISTS idx_void_strike_appeals_one_pending
+  ON void_strike_appeals (student_id)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_void_strike_appeals_status ON void_strike_appeals(status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS student_void_strikes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  order_number TEXT,
+  strike_number INTEGER NOT NULL, -- unclaimed_void_count after this strike
+  total_item_limit_before INTEGER, -- student's limit before this strike (NULL = policy default)
+  caused_block BOOLEAN NOT NULL DEFAULT false, -- this strike set total_item_limit to 0
+
+  -- Cleared by an approved appeal
+  cleared_at TIMESTAMPTZ,
+  cleared_by UUID REFERENCES staff(id) ON DELETE SET NULL,
+  cleared_by_appeal_id UUID REFERENCES void_strike_appeals(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_void_strikes_student_id ON student_void_strikes(student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_student_void_strikes_active
+  ON student_void_strikes(student_id)
+  WHERE cleared_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS void_strike_audit (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  student_id UUID REFERENCES students(id) ON DELETE CASCADE,
+  appeal_id UUID REFERENCES void_strike_appeals(id) ON DELETE SET NULL,
+  action TEXT NOT NULL
+    CHECK (action IN ('STRIKE', 'APPEAL_SUBMITTED', 'APPEAL_APPROVED', 'APPEAL_REJECTED')),
+  old_values JSONB,
+  new_values JSONB,
+  changed_by UUID REFERENCES staff(id) ON DELETE SET NULL, -- NULL for the auto-void job / student actions
+  changed_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_void_strike_audit_student_id ON void_strike_audit(student_id, changed_at DESC);
+
+COMMENT ON TABLE student_void_strikes IS 'One row per unclaimed-order strike; cleared rows were forgiven by an approved appeal';
+COMMENT ON TABLE void_strike_appeals IS 'Student appeals against a void-strike block';
+COMMENT ON TABLE void_strike_audit IS 'Audit trail of void strikes, appeals and appeal reviews';
+
+-- ============================================
+-- Row Level Security (RLS) Policies
+-- ============================================
+
+ALTER TABLE student_void_strikes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE void_strike_appeals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE void_strike_audit ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role has full access to student_void_strikes"
+  ON student_void_strikes
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to void_strike_appeals"
+  ON void_strike_appeals
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role has full access to void_strike_audit"
+  ON void_strike_audit
+  FOR ALL
+  USING (auth.role() = 'service_role');
+
+-- Verify
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('student_void_strikes', 'void_strike_appeals', 'void_strike_audit');
@@ -0,0 +1,66 @@
+-- ============================================
+-- Move Item Variant Writes to the Variant Tables
+-- La Verdad Uniform Ordering System - item_variants / item_purchase_batches become the only store
+-- ============================================
+-- create_item_variants_tables.sql kept items.note as the place variants were written and
+-- mirrored it into the tables with two triggers (note -> tables, variant stock -> note).
+-- The application now writes item_variants / item_purchase_batches directly and keeps
+-- items.stock equal to the sum of the size variants itself, so:
+--   1. the tables get one last sync from the notes (no-op where the trigger already ran)
+--   2. both sync triggers and their functions are dropped
+--   3. _type / sizeVariations / accessoryEntries are removed from items.note; any other keys
+--      (e.g. grade_level) stay, and a note left empty becomes NULL
+--   4. items.stock is set to the sum of the item's size variants
+-- API clients still send and receive variants inside `note`; the server splits them off.
+--
+-- Run after migrations/create_item_variants_tables.sql
+-- ============================================
+
+BEGIN;
+
+-- 1. Last sync (the note -> tables trigger is still in place here)
+SELECT sync_item_variants_from_note(id)
+FROM items
+WHERE item_note_to_jsonb(note) ?| ARRAY['sizeVariations', 'accessoryEntries'];
+
+-- 2. Drop the sync triggers before the notes are stripped (the note trigger would delete
+--    the variants of every stripped note)
+DROP TRIGGER IF EXISTS trigger_items_sync_variants ON items;
+DROP TRIGGER IF EXISTS trigger_item_variants_sync_note ON item_variants;
+DROP FUNCTION IF EXISTS items_sync_variants_trigger();
+DROP FUNCTION IF EXISTS item_variants_sync_note_trigger();
+
+-- 3. Variants no longer live in the note
+UPDATE items
+SET note = NULLIF(
+  (item_note_to_jsonb(note) - ARRAY['_type', 'sizeVariations', 'accessoryEntries'])::text,
+  '{}'
+)
+WHERE item_note_to_jsonb(note) ?| ARRAY['_type', 'sizeVariations', 'accessoryEntries'];
+
+-- 4. Row stock of items with size variants
+UPDATE items i
+SET stock = v.variant_stock
+FROM (
+  SELECT item_id, COALESCE(SUM(stock), 0)::int AS variant_stock
+  FROM item_variants
+  WHERE kind = 'size'
+  GROUP BY item_id
+) v
+WHERE v.item_id = i.id
+  AND i.stock IS DISTINCT FROM v.variant_stock;
+
+DROP FUNCTION IF EXISTS sync_item_variants_from_note(UUID);
+DROP FUNCTION IF EXISTS item_note_numeric(JSONB);
+DROP FUNCTION IF EXISTS item_note_to_jsonb(TEXT);
+
+COMMIT;
+
+-- Verify: no note still holds variants, no sync trigger left (both should be empty)
+SELECT id, name, note
+FROM items
+WHERE note LIKE '%sizeVariations%' OR note LIKE '%accessoryEntries%';
+
+SELECT tgname
+FROM pg_trigger
+WHERE tgname IN ('trigger_items_sync_variants', 'trigger_item_variants_sync_note');
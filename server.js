@@ -8,9 +8,13 @@ const helmet = require("helmet");
 const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 const routes = require("./src/routes");
+const { validateQRSigningConfig } = require("./src/utils/qrCodeGenerator");
 const passport = require("passport");
 // const { notFound, errorHandler } = require("./middleware/errorHandler");
 
+// Receipt QRs are signed with QR_SIGNING_SECRET / JWT_SECRET; refuse to start without one
+validateQRSigningConfig();
+
 const app = express();
 
 // Trust proxy so req.ip is the client IP behind Render's reverse proxy
@@ -103,6 +107,48 @@ if (voidUnclaimedAfterSeconds != null && voidUnclaimedAfterSeconds > 0) {
   }
 }
 
+// ============================================================================
+// CLAIM-DEADLINE REMINDERS (in-app + email, N weekdays before the auto-void cutoff)
+// ============================================================================
+// Comma-separated weekdays before the cutoff, e.g. "2,1"; "0" turns reminders off
+const claimReminderWeekdays = (process.env.CLAIM_REMINDER_WEEKDAYS || "1")
+  .split(",")
+  .map((value) => parseInt(value.trim(), 10))
+  .filter((value) => value > 0);
+const claimReminderCron = process.env.CLAIM_REMINDER_CRON || "0 8 * * *";
+
+// Reminders follow the weekday void window, so they are off in the seconds/minutes test modes
+if (voidUnclaimedAfterSeconds == null && voidUnclaimedAfterMinutes == null && claimReminderWeekdays.length > 0) {
+  cron.schedule(claimReminderCron, async () => {
+    try {
+      await OrderService.sendClaimDeadlineReminders(voidUnclaimedDays, claimReminderWeekdays, io);
+    } catch (err) {
+      console.error("Claim reminder job error:", err);
+    }
+  });
+  console.log(`Claim reminder job scheduled: ${claimReminderWeekdays.join(", ")} weekday(s) before auto-void (cron: ${claimReminderCron})`);
+}
+
+// ============================================================================
+// PICKUP APPOINTMENT REMINDERS (in-app, N minutes before the booked slot)
+// ============================================================================
+const PickupSlotService = require("./src/services/property_custodian/pickupSlot.service");
+const pickupReminderMinutes = process.env.PICKUP_REMINDER_MINUTES != null
+  ? parseInt(process.env.PICKUP_REMINDER_MINUTES, 10)
+  : 60;
+const pickupReminderCron = process.env.PICKUP_REMINDER_CRON || "*/5 * * * *";
+
+if (pickupReminderMinutes > 0) {
+  cron.schedule(pickupReminderCron, async () => {
+    try {
+      await PickupSlotService.sendPickupReminders(pickupReminderMinutes, io);
+    } catch (err) {
+      console.error("Pickup reminder job error:", err);
+    }
+  });
+  console.log(`Pickup reminder job scheduled: ${pickupReminderMinutes} minute(s) before the slot (cron: ${pickupReminderCron})`);
+}
+
 // ============================================================================
 // MIDDLEWARE CONFIGURATION
 // ============================================================================
@@ -320,7 +366,8 @@ const corsOptions = {
   origin: process.env.FRONTEND_URL || "http://localhost:5173",
   credentials: true,
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed"],
   optionsSuccessStatus: 200,
 };
 
@@ -328,7 +375,15 @@ app.use(cors(corsOptions));
 
 // Body Parser Configuration - Increase limit for base64 image uploads
 // Default limit is 100kb, but we need to support up to 10MB for images
-app.use(express.json({ limit: "10mb" }));
+// Payment webhooks keep the raw body: the provider signature is computed over the exact bytes
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhooks/")) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ limit: "10mb", extended: true }));
 
 // Request interceptor for eligibility bulk update debugging
@@ -1,5 +1,7 @@
 /**
  * Max order per item: rules by education_level × student_type × gender.
+ * Rules are read from the max_order_rules table (managed at /api/system-admin/max-order-rules);
+ * SEGMENT_RULES below is the seed data and is only used directly before the table is migrated.
  * Per-segment limits follow the Max Per Item spec: Preschool/Elementary/Junior High/Senior High/College × New/Old × Girls/Boys.
  * Keys: normalized item names (lowercase, single spaces). Values: max quantity per student.
  * Education levels: Kindergarten (Preschool), Elementary, Junior High School, Senior High School, College.
@@ -160,7 +162,7 @@ function resolveItemKey(name) {
   return n;
 }
 
-// Segment rules: educationLevel_studentType_gender -> { itemKey: maxQty }
+// Seed segment rules: educationLevel_studentType_gender -> { itemKey: maxQty }
 const SEGMENT_RULES = {
   // Preschool = Kindergarten
   Kindergarten_new_Female: {
@@ -306,19 +308,36 @@ SEGMENT_RULES.Vocational_new_Male = SEGMENT_RULES.College_new_Male;
 SEGMENT_RULES.Vocational_old_Female = SEGMENT_RULES.College_old_Female;
 SEGMENT_RULES.Vocational_old_Male = SEGMENT_RULES.College_old_Male;
 
+/**
+ * Load the rules currently in effect for a segment from max_order_rules.
+ * Falls back to SEGMENT_RULES only while the table has not been migrated yet; once it exists,
+ * a segment without rules in effect (all removed or expired) has no limits beyond DEFAULT_MAX.
+ * @returns {Promise<Object|null>} { itemKey: maxQty } ({} when the segment has no rules in
+ *   effect), or null when the table is missing and SEGMENT_RULES has no entry for the segment
+ */
+async function loadSegmentRules(educationLevel, studentType, gender) {
+  const level = normalizeEducationLevel(educationLevel || "");
+  const type = (studentType || "new").toLowerCase();
+  const g = (gender || "").trim();
+  const effectiveLevel = level === "Vocational" ? "College" : level;
+
+  // Lazy require: the service imports helpers from this file
+  const { getSegmentRules } = require("../services/system_admin/maxOrderRules.service");
+  const rules = await getSegmentRules(effectiveLevel, type, g);
+  if (rules !== null) return rules;
+  return SEGMENT_RULES[segmentKey(effectiveLevel, type, g)] || null;
+}
+
 /**
  * Get max quantity allowed for an item for a given segment.
  * @param {string} itemName - Item name as stored (e.g. "Kinder Dress", "Logo Patch")
  * @param {string} educationLevel - e.g. "Kindergarten", "Elementary", "Junior High School", "Senior High School", "College", "Vocational"
  * @param {string} studentType - "new" or "old"
  * @param {string} gender - "Male" or "Female"
- * @returns {number} Max quantity (default DEFAULT_MAX if no rule)
+ * @returns {Promise<number>} Max quantity (default DEFAULT_MAX if no rule)
  */
-function getMaxQuantityForItem(itemName, educationLevel, studentType, gender) {
-  const level = normalizeEducationLevel(educationLevel || "");
-  const effectiveLevel = level === "Vocational" ? "College" : level;
-  const key = segmentKey(effectiveLevel, studentType, gender);
-  const rules = SEGMENT_RULES[key];
+async function getMaxQuantityForItem(itemName, educationLevel, studentType, gender) {
+  const rules = await loadSegmentRules(educationLevel, studentType, gender);
   if (!rules) return DEFAULT_MAX;
 
   const itemKey = resolveItemKey(itemName);
@@ -337,14 +356,10 @@ function getMaxQuantityForItem(itemName, educationLevel, studentType, gender) {
 /**
  * Build full maxQuantities map for a segment. Keys are normalized item names; values are max qty.
  * Used by GET /auth/max-quantities to return { maxQuantities: { "kinder dress": 1, ... } }.
+ * @returns {Promise<Object>}
  */
-function getMaxQuantitiesForStudent(educationLevel, studentType, gender) {
-  const level = normalizeEducationLevel(educationLevel || "");
-  const type = (studentType || "new").toLowerCase();
-  const g = (gender || "").trim();
-  const effectiveLevel = level === "Vocational" ? "College" : level;
-  const key = segmentKey(effectiveLevel, type, g);
-  const rules = SEGMENT_RULES[key];
+async function getMaxQuantitiesForStudent(educationLevel, studentType, gender) {
+  const rules = await loadSegmentRules(educationLevel, studentType, gender);
   if (!rules) return {};
 
   const out = {};
@@ -360,4 +375,6 @@ module.exports = {
   normalizeItemName,
   resolveItemKey,
   DEFAULT_MAX,
+  // Seed data for max_order_rules (see maxOrderRules.service seedRulesFromDefaults)
+  SEED_SEGMENT_RULES: SEGMENT_RULES,
 };
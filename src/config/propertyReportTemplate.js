@@ -0,0 +1,48 @@
+/**
+ * Property report template: header lines and column headers of the school's inventory
+ * (property) report, used by the CSV / Excel export of GET /api/items/inventory-report.
+ * Keep the column headers in the same order and wording as the printed form Finance uses.
+ */
+
+require("dotenv").config();
+
+const SCHOOL_NAME = process.env.SCHOOL_NAME || "La Verdad Christian College, Inc.";
+const PROPERTY_OFFICE_NAME = process.env.PROPERTY_OFFICE_NAME || "Property Custodian Office";
+const REPORT_TITLE = "INVENTORY REPORT OF SCHOOL UNIFORMS AND SUPPLIES";
+
+/**
+ * Report columns. `key` is the export row field; `type` drives number formatting.
+ */
+const REPORT_COLUMNS = [
+  { key: "no", header: "No.", width: 6, type: "integer" },
+  { key: "description", header: "Item Description", width: 34, type: "text" },
+  { key: "education_level", header: "Education Level", width: 20, type: "text" },
+  { key: "size", header: "Size", width: 14, type: "text" },
+  { key: "beginning_inventory", header: "Beginning Inventory (Qty)", width: 14, type: "integer" },
+  { key: "unit_price_beginning", header: "Unit Cost (Beginning)", width: 14, type: "currency" },
+  { key: "purchases", header: "Purchases (Qty)", width: 12, type: "integer" },
+  { key: "purchase_unit_price", header: "Unit Cost (Purchases)", width: 14, type: "currency" },
+  { key: "released", header: "Issued / Released (Qty)", width: 14, type: "integer" },
+  { key: "returns", header: "Returns (Qty)", width: 12, type: "integer" },
+  { key: "ending_inventory", header: "Ending Inventory (Qty)", width: 14, type: "integer" },
+  { key: "total_amount", header: "Total Amount (FIFO)", width: 16, type: "currency" },
+  { key: "remarks", header: "Remarks", width: 18, type: "text" },
+];
+
+/** Quantity / amount columns that are summed on item subtotal and grand total rows */
+const TOTALED_COLUMNS = [
+  "beginning_inventory",
+  "purchases",
+  "released",
+  "returns",
+  "ending_inventory",
+  "total_amount",
+];
+
+module.exports = {
+  SCHOOL_NAME,
+  PROPERTY_OFFICE_NAME,
+  REPORT_TITLE,
+  REPORT_COLUMNS,
+  TOTALED_COLUMNS,
+};
@@ -0,0 +1,34 @@
+/**
+ * Purchase request template: title and columns of the purchase request draft exported from
+ * GET /api/items/demand-forecast. Header lines reuse the property report's school and office.
+ */
+
+const { SCHOOL_NAME, PROPERTY_OFFICE_NAME } = require("./propertyReportTemplate");
+
+const PURCHASE_REQUEST_TITLE = "PURCHASE REQUEST (DRAFT)";
+
+/**
+ * Request columns. `key` is the export row field; `type` drives number formatting.
+ */
+const PURCHASE_REQUEST_COLUMNS = [
+  { key: "no", header: "No.", width: 6, type: "integer" },
+  { key: "description", header: "Item Description", width: 34, type: "text" },
+  { key: "education_level", header: "Education Level", width: 20, type: "text" },
+  { key: "size", header: "Size", width: 12, type: "text" },
+  { key: "unit", header: "Unit", width: 8, type: "text" },
+  { key: "quantity", header: "Quantity", width: 10, type: "integer" },
+  { key: "unit_cost", header: "Estimated Unit Cost", width: 14, type: "currency" },
+  { key: "amount", header: "Estimated Amount", width: 16, type: "currency" },
+  { key: "basis", header: "Basis (Forecast + Pre-orders + Reorder Point - On Hand - On Order)", width: 34, type: "text" },
+];
+
+/** Signature block under the table */
+const SIGNATORIES = ["Prepared by:", "Reviewed by:", "Approved by:"];
+
+module.exports = {
+  SCHOOL_NAME,
+  PROPERTY_OFFICE_NAME,
+  PURCHASE_REQUEST_TITLE,
+  PURCHASE_REQUEST_COLUMNS,
+  SIGNATORIES,
+};
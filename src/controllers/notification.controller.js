@@ -1,4 +1,6 @@
 const NotificationService = require("../services/notification.service");
+const OrderEmailService = require("../services/orderEmail.service");
+const { getStudentIdForUser } = require("../services/profileResolver.service");
 
 /**
  * Notification Controller
@@ -127,6 +129,63 @@ class NotificationController {
       });
     }
   }
+
+  /**
+   * Get the authenticated user's order email preferences
+   * GET /api/notifications/email-preferences
+   */
+  async getEmailPreferences(req, res) {
+    try {
+      if (!req.user?.email) {
+        return res.status(400).json({
+          success: false,
+          message: "User email is required",
+        });
+      }
+
+      const result = await OrderEmailService.getPreferences(req.user.email);
+      res.json(result);
+    } catch (error) {
+      console.error("Get email preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to get email preferences",
+      });
+    }
+  }
+
+  /**
+   * Update the authenticated user's order email preferences
+   * PUT /api/notifications/email-preferences
+   *
+   * Request Body (all optional booleans):
+   * - order_placed, order_ready, order_claimed, order_cancelled,
+   *   order_auto_voided, pre_order_converted, claim_reminder, unsubscribed_all
+   */
+  async updateEmailPreferences(req, res) {
+    try {
+      if (!req.user?.email) {
+        return res.status(400).json({
+          success: false,
+          message: "User email is required",
+        });
+      }
+
+      const studentId = await getStudentIdForUser(req.user.id);
+      const result = await OrderEmailService.updatePreferences(
+        req.user.email,
+        req.body || {},
+        studentId
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Update email preferences error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to update email preferences",
+      });
+    }
+  }
 }
 
 module.exports = new NotificationController();
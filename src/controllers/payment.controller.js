@@ -0,0 +1,175 @@
+const PaymentService = require("../services/payment.service");
+const OrderService = require("../services/property_custodian/order.service");
+const { getOrderOwnerIdentity } = require("../services/profileResolver.service");
+const { isOrderOwner } = require("../utils/orderOwnership");
+
+/** Order by id, or null when it does not exist (getOrderById throws on no rows) */
+async function findOrder(orderId) {
+  try {
+    const { data } = await OrderService.getOrderById(orderId);
+    return data || null;
+  } catch (error) {
+    console.error(`Payment: failed to fetch order ${orderId}:`, error.message);
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderMockPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; background: #f3f4f6; padding: 40px 16px;">
+  <div style="max-width: 420px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 24px 32px; box-shadow: 0 4px 6px rgba(0,0,0,0.07);">
+    <p style="margin: 0 0 8px 0; font-size: 12px; color: #F28C28; font-weight: 700;">MOCK PAYMENT GATEWAY – DEVELOPMENT ONLY</p>
+    <h1 style="margin: 0 0 16px 0; font-size: 20px; color: #003363;">${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Payment Controller
+ *
+ * Handles online checkout, provider webhooks and the local mock gateway
+ */
+class PaymentController {
+  /**
+   * Start an online checkout for the student's own order
+   * POST /api/payments/orders/:orderId/checkout
+   *
+   * Response data includes checkout_url; send the student there to pay.
+   */
+  async startCheckout(req, res) {
+    try {
+      const order = await findOrder(req.params.orderId);
+      if (!order || !isOrderOwner(await getOrderOwnerIdentity(req.user), order)) {
+        return res.status(404).json({ success: false, message: "Order not found" });
+      }
+
+      const result = await PaymentService.startCheckout(order);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Start checkout error:", error);
+      const status = error.message?.includes("not found") ? 404 : 400;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to start checkout",
+      });
+    }
+  }
+
+  /**
+   * Payment attempts for an order (the student who placed it, or staff)
+   * GET /api/payments/orders/:orderId
+   */
+  async getOrderPayments(req, res) {
+    try {
+      const order = await findOrder(req.params.orderId);
+      const isStudent = String(req.user?.role || "").toLowerCase() === "student";
+      if (!order || (isStudent && !isOrderOwner(await getOrderOwnerIdentity(req.user), order))) {
+        return res.status(404).json({ success: false, message: "Order not found" });
+      }
+
+      const result = await PaymentService.getPaymentsForOrder(order.id);
+      res.json(result);
+    } catch (error) {
+      console.error("Get order payments error:", error);
+      const status = error.message?.includes("not found") ? 404 : 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to fetch payments",
+      });
+    }
+  }
+
+  /**
+   * Payment provider webhook (no auth; the provider signature is verified instead)
+   * POST /api/payments/webhooks/:provider
+   */
+  async handleWebhook(req, res) {
+    try {
+      const io = req.app.get("io");
+      const result = await PaymentService.handleWebhook(req.params.provider, req.rawBody, req.headers, io);
+      res.json(result);
+    } catch (error) {
+      console.error("Payment webhook error:", error);
+      let status = 500;
+      if (error.message === "Invalid webhook signature") status = 401;
+      else if (error.message === "Invalid webhook payload") status = 400;
+      else if (error.message?.startsWith("Unknown payment provider")) status = 404;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to process webhook",
+      });
+    }
+  }
+
+  /**
+   * Mock gateway checkout page
+   * GET /api/payments/mock/checkout/:reference
+   */
+  async showMockCheckout(req, res) {
+    const reference = req.params.reference;
+    const orderNumber = req.query.ref || "";
+    const action = `${req.baseUrl}/mock/checkout/${encodeURIComponent(reference)}/complete`;
+    const button = (outcome, label, color) =>
+      `<form method="post" action="${escapeHtml(action)}" style="display: inline-block; margin-right: 8px;">
+        <input type="hidden" name="outcome" value="${outcome}">
+        <button type="submit" style="padding: 10px 20px; border: 0; border-radius: 8px; background: ${color}; color: #fff; font-weight: 600; cursor: pointer;">${label}</button>
+      </form>`;
+
+    res.send(
+      renderMockPage(
+        `Pay order ${orderNumber}`,
+        `<p style="color: #374151;">Checkout <code>${escapeHtml(reference)}</code></p>
+    ${button("paid", "Pay", "#16a34a")}${button("failed", "Decline", "#dc2626")}${button("expired", "Let it expire", "#6b7280")}`
+      )
+    );
+  }
+
+  /**
+   * Mock gateway: send the signed webhook for the chosen outcome
+   * POST /api/payments/mock/checkout/:reference/complete
+   * Body: { outcome: "paid" | "failed" | "expired" }
+   */
+  async completeMockCheckout(req, res) {
+    try {
+      const io = req.app.get("io");
+      const outcome = req.body?.outcome || "paid";
+      const result = await PaymentService.completeMockCheckout(req.params.reference, outcome, io);
+
+      if (req.is("application/json")) return res.json(result);
+
+      const frontendUrl = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+      res.send(
+        renderMockPage(
+          outcome === "paid" ? "Payment successful" : "Payment not completed",
+          `<p style="color: #374151;">Webhook result: <code>${escapeHtml(result.result)}</code></p>
+    <p><a href="${escapeHtml(frontendUrl)}" style="color: #003363;">Back to La Verdad OrderFlow</a></p>`
+        )
+      );
+    } catch (error) {
+      console.error("Complete mock checkout error:", error);
+      const status = error.message === "Checkout not found" ? 404 : 400;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to complete mock checkout",
+      });
+    }
+  }
+}
+
+module.exports = new PaymentController();
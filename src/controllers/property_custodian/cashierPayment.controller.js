@@ -0,0 +1,165 @@
+const CashierPaymentService = require("../../services/property_custodian/cashierPayment.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Logged-in cashier: staff id (order_payments.cashier_id references staff.id), name and email
+ */
+async function resolveCashier(req) {
+  const profile = req.user?.id ? await getProfileByUserId(req.user.id) : null;
+  const isStaff = profile && profile.type === "staff";
+  return {
+    staffId: isStaff ? profile.id : null,
+    userId: req.user?.id || null,
+    email: req.user?.email || profile?.row?.email || null,
+    name: (isStaff && profile.row?.name) || req.user?.name || req.user?.email || null,
+  };
+}
+
+function notFoundStatus(error, fallback) {
+  return error.message?.includes("not found") ? 404 : fallback;
+}
+
+/**
+ * Cashier Payment Controller
+ * Handles HTTP requests for walk-in payments, refunds, OR numbering and daily collections
+ */
+class CashierPaymentController {
+  /**
+   * Payments and refunds for an order with its balance
+   * GET /api/cashier/orders/:orderId/payments
+   */
+  async getOrderPayments(req, res) {
+    try {
+      const result = await CashierPaymentService.getOrderPayments(req.params.orderId);
+      res.json(result);
+    } catch (error) {
+      console.error("Get order payments error:", error);
+      res.status(notFoundStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to fetch order payments",
+      });
+    }
+  }
+
+  /**
+   * Record a payment (full or partial) and issue its OR number
+   * POST /api/cashier/orders/:orderId/payments
+   * Body: { method, amount?, amountTendered?, referenceNumber?, notes? }
+   */
+  async recordPayment(req, res) {
+    try {
+      const cashier = await resolveCashier(req);
+      const io = req.app.get("io");
+      const result = await CashierPaymentService.recordPayment(req.params.orderId, req.body || {}, cashier, io);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Record payment error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to record payment",
+      });
+    }
+  }
+
+  /**
+   * Refund money paid on a cancelled order, or paid beyond what the order now costs
+   * POST /api/cashier/orders/:orderId/refunds
+   * Body: { method, reason, amount?, referenceNumber?, notes? }
+   */
+  async refundPayment(req, res) {
+    try {
+      const cashier = await resolveCashier(req);
+      const result = await CashierPaymentService.refundPayment(req.params.orderId, req.body || {}, cashier);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Refund payment error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to record refund",
+      });
+    }
+  }
+
+  /**
+   * Orders that hold money to refund
+   * GET /api/cashier/refunds-due
+   */
+  async getRefundsDue(req, res) {
+    try {
+      const result = await CashierPaymentService.getRefundsDue();
+      res.json(result);
+    } catch (error) {
+      console.error("Get refunds due error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch refunds due",
+      });
+    }
+  }
+
+  /**
+   * Daily collection summary per cashier
+   * GET /api/cashier/daily-summary
+   *
+   * Query Parameters:
+   * - date: YYYY-MM-DD (default today)
+   * - cashierId: only this cashier (staff id); "me" for the logged-in cashier
+   */
+  async getDailySummary(req, res) {
+    try {
+      let cashierId = req.query.cashierId || null;
+      if (cashierId === "me") {
+        cashierId = (await resolveCashier(req)).staffId;
+        if (!cashierId) {
+          return res.status(400).json({ success: false, message: "Only staff accounts have collections" });
+        }
+      }
+      const result = await CashierPaymentService.getDailySummary({ date: req.query.date, cashierId });
+      res.json(result);
+    } catch (error) {
+      console.error("Get daily collection summary error:", error);
+      res.status(error.message === "date must be YYYY-MM-DD" ? 400 : 500).json({
+        success: false,
+        message: error.message || "Failed to fetch daily collection summary",
+      });
+    }
+  }
+
+  /**
+   * Official receipt numbering
+   * GET /api/cashier/receipt-sequence
+   */
+  async getReceiptSequence(req, res) {
+    try {
+      const result = await CashierPaymentService.getReceiptSequence();
+      res.json(result);
+    } catch (error) {
+      console.error("Get receipt sequence error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch receipt sequence",
+      });
+    }
+  }
+
+  /**
+   * Change the OR prefix, padding or next number
+   * PUT /api/cashier/receipt-sequence
+   * Body: { prefix?, nextNumber?, padding? }
+   */
+  async updateReceiptSequence(req, res) {
+    try {
+      const actor = await resolveCashier(req);
+      const result = await CashierPaymentService.updateReceiptSequence(req.body || {}, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Update receipt sequence error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to update receipt sequence",
+      });
+    }
+  }
+}
+
+module.exports = new CashierPaymentController();
@@ -0,0 +1,79 @@
+const FiscalYearClosingService = require("../../services/property_custodian/fiscalYearClosing.service");
+
+function closingStatus(error, fallback) {
+  if (/must (look like|be different)/.test(error.message || "")) return 400;
+  return error.message?.includes("not found") ? 404 : fallback;
+}
+
+/**
+ * Fiscal Year Closing Controller
+ * Handles HTTP requests for frozen fiscal year closings and the year-over-year comparison
+ */
+class FiscalYearClosingController {
+  /**
+   * Closed fiscal years with their totals
+   * GET /api/items/fiscal-year-closings
+   */
+  async getClosings(req, res) {
+    try {
+      const result = await FiscalYearClosingService.getClosings();
+      res.json(result);
+    } catch (error) {
+      console.error("Get fiscal year closings error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch fiscal year closings",
+      });
+    }
+  }
+
+  /**
+   * Closing figures of one fiscal year per item / size
+   * GET /api/items/fiscal-year-closings/:fiscalYear
+   *
+   * Query Parameters:
+   * - educationLevel: Filter by education level
+   */
+  async getClosing(req, res) {
+    try {
+      const result = await FiscalYearClosingService.getClosing(req.params.fiscalYear, {
+        educationLevel: req.query.educationLevel,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Get fiscal year closing error:", error);
+      res.status(closingStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to fetch fiscal year closing",
+      });
+    }
+  }
+
+  /**
+   * Two fiscal years side by side per item / size
+   * GET /api/items/fiscal-year-comparison
+   *
+   * Query Parameters:
+   * - baseYear, compareYear: e.g. 2025-2026 and 2026-2027
+   * - educationLevel: Filter by education level
+   */
+  async compareFiscalYears(req, res) {
+    try {
+      const { baseYear, compareYear, educationLevel } = req.query;
+      const result = await FiscalYearClosingService.compareFiscalYears({
+        baseYear,
+        compareYear,
+        educationLevel,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Compare fiscal years error:", error);
+      res.status(closingStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to compare fiscal years",
+      });
+    }
+  }
+}
+
+module.exports = new FiscalYearClosingController();
@@ -0,0 +1,137 @@
+const FiscalYearRolloverService = require("../../services/property_custodian/fiscalYearRollover.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Who is acting: staff id for the run columns, auth user id / email for transaction logs
+ */
+async function resolveActor(req) {
+  const profile = req.user?.id ? await getProfileByUserId(req.user.id) : null;
+  return {
+    staffId: profile && profile.type === "staff" ? profile.id : null,
+    userId: req.user?.id || null,
+    email: req.user?.email || profile?.row?.email || null,
+  };
+}
+
+function notFoundStatus(error, fallback) {
+  return error.message?.includes("not found") ? 404 : fallback;
+}
+
+function isDryRun(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Fiscal Year Rollover Controller
+ * Handles HTTP requests for the rollover dry run, rollover runs and their rollback
+ */
+class FiscalYearRolloverController {
+  /**
+   * Dry run: per-item / per-size carry-forward without changing anything
+   * GET /api/items/fiscal-year-rollover/preview
+   *
+   * Query Parameters:
+   * - rolloverDate: YYYY-MM-DD (defaults to today)
+   */
+  async previewRollover(req, res) {
+    try {
+      const result = await FiscalYearRolloverService.previewRollover(req.query.rolloverDate);
+      res.json(result);
+    } catch (error) {
+      console.error("Fiscal year rollover preview error:", error);
+      res.status(error.message?.startsWith("rolloverDate must") ? 400 : 500).json({
+        success: false,
+        message: error.message || "Failed to preview fiscal year rollover",
+      });
+    }
+  }
+
+  /**
+   * Perform fiscal year rollover for all items (or a dry run with dryRun: true)
+   * POST /api/items/fiscal-year-rollover
+   * Body: { rolloverDate?, dryRun? } (rolloverDate defaults to today)
+   */
+  async performRollover(req, res) {
+    try {
+      const { rolloverDate, dryRun } = req.body || {};
+      if (isDryRun(dryRun)) {
+        const preview = await FiscalYearRolloverService.previewRollover(rolloverDate);
+        return res.json(preview);
+      }
+
+      const actor = await resolveActor(req);
+      const result = await FiscalYearRolloverService.performRollover(rolloverDate, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Fiscal year rollover error:", error);
+      res.status(error.message?.startsWith("rolloverDate must") ? 400 : 500).json({
+        success: false,
+        message: error.message || "Failed to perform fiscal year rollover",
+      });
+    }
+  }
+
+  /**
+   * Rollover runs, newest first
+   * GET /api/items/fiscal-year-rollover/runs
+   *
+   * Query Parameters:
+   * - fiscalYear: e.g. 2026-2027
+   * - status: completed | rolled_back
+   */
+  async getRuns(req, res) {
+    try {
+      const { fiscalYear, status } = req.query;
+      const result = await FiscalYearRolloverService.getRuns({ fiscalYear, status });
+      res.json(result);
+    } catch (error) {
+      console.error("Get fiscal year rollover runs error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch rollover runs",
+      });
+    }
+  }
+
+  /**
+   * Rollover run with the items it changed
+   * GET /api/items/fiscal-year-rollover/runs/:runId
+   */
+  async getRunById(req, res) {
+    try {
+      const result = await FiscalYearRolloverService.getRunById(req.params.runId);
+      res.json(result);
+    } catch (error) {
+      console.error("Get fiscal year rollover run error:", error);
+      res.status(notFoundStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to fetch rollover run",
+      });
+    }
+  }
+
+  /**
+   * Roll back a rollover run (system admin)
+   * POST /api/items/fiscal-year-rollover/runs/:runId/rollback
+   * Body: { reason }
+   */
+  async rollbackRun(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await FiscalYearRolloverService.rollbackRun(
+        req.params.runId,
+        req.body || {},
+        actor,
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Roll back fiscal year rollover error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to roll back fiscal year rollover",
+      });
+    }
+  }
+}
+
+module.exports = new FiscalYearRolloverController();
@@ -396,6 +396,7 @@ class ItemsController {
         reason,
         io,
         size,
+        req.user?.id || null,
       );
 
       if (result.notificationInfo && result.notificationInfo.notified > 0) {
@@ -451,10 +452,68 @@ class ItemsController {
   /**
    * Get inventory report
    * GET /api/items/inventory-report
+   * Query: { startDate?, endDate?, educationLevel?, search?, format? } (format = csv | xlsx for a download)
    */
   async getInventoryReport(req, res) {
     try {
       const InventoryService = require("../../services/property_custodian/inventory.service");
+      const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+
+      // The dates also end up in the export filename, so only plain YYYY-MM-DD is accepted
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+      for (const key of ["startDate", "endDate"]) {
+        const value = req.query[key];
+        if (value != null && value !== "" && (typeof value !== "string" || !dateRegex.test(value))) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${key} format. Expected YYYY-MM-DD`,
+          });
+        }
+      }
+
+      if (format && format !== "json") {
+        const {
+          EXPORT_FORMATS,
+          buildExportRows,
+          toCsv,
+          toXlsx,
+        } = require("../../utils/inventoryReportExport");
+        if (!EXPORT_FORMATS.includes(format)) {
+          return res.status(400).json({
+            success: false,
+            message: `format must be one of: json, ${EXPORT_FORMATS.join(", ")}`,
+          });
+        }
+
+        const result = await InventoryService.getInventoryReportForExport(req.query);
+        const exportRows = buildExportRows(result.data);
+        const meta = {
+          startDate: req.query.startDate,
+          endDate: req.query.endDate,
+          educationLevel: req.query.educationLevel,
+          generatedAt: new Date().toISOString(),
+        };
+        const levelPart = req.query.educationLevel
+          ? `-${String(req.query.educationLevel).toLowerCase().replace(/[^a-z0-9]+/g, "-")}`
+          : "";
+        const periodPart =
+          req.query.startDate && req.query.endDate
+            ? `-${req.query.startDate}-to-${req.query.endDate}`
+            : `-${meta.generatedAt.slice(0, 10)}`;
+        const filename = `inventory-report${levelPart}${periodPart}.${format}`;
+
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        if (format === "csv") {
+          res.setHeader("Content-Type", "text/csv; charset=utf-8");
+          return res.send(toCsv(exportRows, meta));
+        }
+        res.setHeader(
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        );
+        return res.send(await toXlsx(exportRows, meta));
+      }
+
       const result = await InventoryService.getInventoryReport(req.query);
       res.json(result);
     } catch (error) {
@@ -466,6 +525,60 @@ class ItemsController {
     }
   }
 
+  /**
+   * Demand forecast and suggested purchase quantities for a school year
+   * GET /api/items/demand-forecast
+   * Query: { schoolYear?, historyYears?, educationLevel?, format? } (format = csv | xlsx for a purchase request draft)
+   */
+  async getDemandForecast(req, res) {
+    try {
+      const DemandForecastService = require("../../services/property_custodian/demandForecast.service");
+      const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+      const {
+        EXPORT_FORMATS,
+        buildPurchaseRequestRows,
+        toCsv,
+        toXlsx,
+      } = require("../../utils/purchaseRequestExport");
+
+      if (format && format !== "json" && !EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: json, ${EXPORT_FORMATS.join(", ")}`,
+        });
+      }
+
+      const result = await DemandForecastService.getForecast(req.query);
+      if (!format || format === "json") {
+        return res.json(result);
+      }
+
+      const exportRows = buildPurchaseRequestRows(result.data);
+      const levelPart = req.query.educationLevel
+        ? `-${String(req.query.educationLevel).toLowerCase().replace(/[^a-z0-9]+/g, "-")}`
+        : "";
+      const filename = `purchase-request-${result.data.school_year}${levelPart}.${format}`;
+
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        return res.send(toCsv(exportRows, result.data));
+      }
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+      return res.send(await toXlsx(exportRows, result.data));
+    } catch (error) {
+      console.error("Get demand forecast error:", error);
+      const isValidationError = /^(schoolYear|historyYears) must/.test(error.message || "");
+      res.status(isValidationError ? 400 : 500).json({
+        success: false,
+        message: error.message || "Failed to build demand forecast",
+      });
+    }
+  }
+
   /**
    * Add stock to item (purchases)
    * POST /api/items/:id/add-stock
@@ -506,32 +619,6 @@ class ItemsController {
     }
   }
 
-  /**
-   * Perform fiscal year rollover for all items
-   * POST /api/items/fiscal-year-rollover
-   * Body: { rolloverDate? } (optional, defaults to today)
-   */
-  async performFiscalYearRollover(req, res) {
-    try {
-      const { rolloverDate } = req.body;
-      const InventoryService = require("../../services/property_custodian/inventory.service");
-
-      const result =
-        await InventoryService.performFiscalYearRollover(rolloverDate);
-
-      res.json({
-        success: true,
-        ...result,
-      });
-    } catch (error) {
-      console.error("Fiscal year rollover error:", error);
-      res.status(500).json({
-        success: false,
-        message: error.message || "Failed to perform fiscal year rollover",
-      });
-    }
-  }
-
   /**
    * Record a return (student returned item). Increases stock only; logs "RETURN RECORDED" for Returns table.
    * POST /api/items/:id/record-return
@@ -616,6 +703,70 @@ class ItemsController {
       });
     }
   }
+
+  /**
+   * Stock ledger entries for an item
+   * GET /api/items/:id/stock-movements
+   * Query: { size?, from?, to?, reasonCode?, limit? }
+   */
+  async getStockMovements(req, res) {
+    try {
+      const StockLedgerService = require("../../services/property_custodian/stockLedger.service");
+      const result = await StockLedgerService.getMovements(
+        req.params.id,
+        req.query,
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Get stock movements error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch stock movements",
+      });
+    }
+  }
+
+  /**
+   * On-hand quantity of an item rebuilt from the ledger at a past date
+   * GET /api/items/:id/on-hand
+   * Query: { size?, asOf? } (asOf defaults to now; a date-only value means end of that day)
+   */
+  async getOnHandAt(req, res) {
+    try {
+      const { size, asOf } = req.query;
+      const StockLedgerService = require("../../services/property_custodian/stockLedger.service");
+      const result = await StockLedgerService.getOnHandAt(req.params.id, {
+        size,
+        asOf,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Get on-hand at date error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to rebuild on-hand quantity",
+      });
+    }
+  }
+
+  /**
+   * Items / size variants whose current stock disagrees with the stock ledger
+   * GET /api/items/stock-ledger/reconciliation
+   * Query: { itemId?, educationLevel? }
+   */
+  async getStockReconciliation(req, res) {
+    try {
+      const StockLedgerService = require("../../services/property_custodian/stockLedger.service");
+      const result = await StockLedgerService.reconcile(req.query);
+      res.json(result);
+    } catch (error) {
+      console.error("Stock reconciliation error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to reconcile stock",
+      });
+    }
+  }
 }
 
 module.exports = new ItemsController();
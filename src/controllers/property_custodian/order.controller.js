@@ -1,6 +1,13 @@
 const OrderService = require("../../services/property_custodian/order.service");
-const { getStudentIdForUser } = require("../../services/profileResolver.service");
+const {
+  getStudentIdForUser,
+  getProfileByUserId,
+  getStudentRowById,
+  getOrderOwnerIdentity,
+} = require("../../services/profileResolver.service");
 const NotificationService = require("../../services/notification.service");
+const { buildOrderReceiptPdf, buildClaimSlipsPdf } = require("../../utils/orderReceiptPdf");
+const { isOrderOwner } = require("../../utils/orderOwnership");
 
 /**
  * Order Controller
@@ -81,6 +88,240 @@ class OrderController {
     }
   }
 
+  /**
+   * Printable order receipt (PDF)
+   * GET /api/orders/:id/receipt.pdf
+   *
+   * Students may only download the receipt of their own order.
+   */
+  async getOrderReceiptPdf(req, res) {
+    try {
+      const { id } = req.params;
+      let order;
+      try {
+        const result = await OrderService.getOrderById(id);
+        order = result.data;
+      } catch (fetchError) {
+        order = null;
+      }
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found",
+        });
+      }
+
+      const userRole = (req.user && req.user.role) ? String(req.user.role).toLowerCase() : "";
+      if (userRole === "student" && !isOrderOwner(await getOrderOwnerIdentity(req.user), order)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only download the receipt of your own order.",
+        });
+      }
+
+      order = await OrderService.ensureReceiptQR(order);
+      const pdf = await buildOrderReceiptPdf(order, {
+        claimDeadline: order.claim_deadline,
+        claimDays: parseInt(process.env.VOID_UNCLAIMED_AFTER_DAYS, 10) || 7,
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="receipt-${order.order_number}.pdf"`
+      );
+      res.send(pdf);
+    } catch (error) {
+      console.error("Get order receipt PDF error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to generate order receipt",
+      });
+    }
+  }
+
+  /**
+   * Claim slips for every order that is ready for pickup (PDF, three slips per page)
+   * GET /api/orders/claim-slips.pdf
+   *
+   * Query Parameters:
+   * - education_level: Only orders for this education level
+   */
+  async getClaimSlipsPdf(req, res) {
+    try {
+      const result = await OrderService.getReadyOrders({
+        education_level: req.query.education_level,
+      });
+      const orders = [];
+      for (const order of result.data) orders.push(await OrderService.ensureReceiptQR(order));
+      const pdf = await buildClaimSlipsPdf(orders);
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename="claim-slips-${date}.pdf"`);
+      res.send(pdf);
+    } catch (error) {
+      console.error("Get claim slips PDF error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to generate claim slips",
+      });
+    }
+  }
+
+  /**
+   * Verify a scanned order receipt QR code
+   * POST /api/orders/verify-qr
+   *
+   * Request Body:
+   * {
+   *   qr_data: string | object (required) - raw scanned QR payload
+   * }
+   */
+  async verifyQR(req, res) {
+    try {
+      const qrData = req.body?.qr_data ?? req.body?.qrData;
+      if (!qrData) {
+        return res.status(400).json({
+          success: false,
+          message: "qr_data is required",
+        });
+      }
+      const result = await OrderService.verifyOrderReceiptQR(qrData);
+      res.status(result.valid ? 200 : 422).json(result);
+    } catch (error) {
+      console.error("Verify QR error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to verify QR code",
+      });
+    }
+  }
+
+  /**
+   * Get the claim checklist for a scanned receipt QR
+   * POST /api/orders/claim/checklist
+   *
+   * Request Body:
+   * {
+   *   qr_data: string | object (required) - raw scanned QR payload
+   * }
+   */
+  async getClaimChecklist(req, res) {
+    try {
+      const qrData = req.body?.qr_data ?? req.body?.qrData;
+      if (!qrData) {
+        return res.status(400).json({
+          success: false,
+          message: "qr_data is required",
+        });
+      }
+      const result = await OrderService.getClaimChecklist(qrData);
+      res.status(result.valid ? 200 : 422).json(result);
+    } catch (error) {
+      console.error("Get claim checklist error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to load claim checklist",
+      });
+    }
+  }
+
+  /**
+   * Release confirmed lines of a scanned order
+   * POST /api/orders/claim/release
+   *
+   * Request Body:
+   * {
+   *   qr_data: string | object (required) - raw scanned QR payload
+   *   lines: [{ index: number, quantity: number, backordered: boolean }] (required) - lines handed over;
+   *          omit quantity to release everything remaining on that line, set backordered
+   *          when the size is out of stock
+   * }
+   */
+  async releaseOrder(req, res) {
+    try {
+      const qrData = req.body?.qr_data ?? req.body?.qrData;
+      const { lines } = req.body || {};
+      if (!qrData) {
+        return res.status(400).json({
+          success: false,
+          message: "qr_data is required",
+        });
+      }
+
+      const profile = await getProfileByUserId(req.user.id);
+      const staff = {
+        id: profile && profile.type === "staff" ? profile.id : null,
+        name: profile?.row?.name || null,
+        email: req.user.email || profile?.row?.email || null,
+      };
+
+      const result = await OrderService.releaseOrderFromScan(qrData, lines, staff);
+      const orderData = result.data;
+
+      const io = req.app.get("io");
+      if (io) {
+        io.emit("order:updated", {
+          orderId: orderData.id,
+          order_number: orderData.order_number,
+          orderNumber: orderData.order_number,
+          status: orderData.status,
+          order: orderData,
+        });
+      }
+
+      // Notify the student about what was handed over
+      let studentUserId = orderData.student_id || null;
+      if (orderData.student_id) {
+        const studentRow = await getStudentRowById(orderData.student_id);
+        if (studentRow?.user_id) studentUserId = studentRow.user_id;
+      }
+      if (studentUserId && result.releasedLines.length > 0) {
+        try {
+          const notificationResult = await NotificationService.createOrderClaimedNotification({
+            studentId: studentUserId,
+            orderNumber: orderData.order_number,
+            orderId: orderData.id,
+            items: result.releasedLines,
+            itemNames: result.releasedLines.map((line) => line.name).join(", "),
+            itemCount: result.releasedLines.length,
+          });
+          if (io && notificationResult?.data) {
+            io.emit("notification:created", {
+              userId: studentUserId,
+              notification: notificationResult.data,
+            });
+          }
+        } catch (notifError) {
+          console.error("Failed to create notification for released order:", notifError);
+        }
+      }
+
+      if (io && result.fullyClaimed && studentUserId) {
+        const orderItems = Array.isArray(orderData.items) ? orderData.items : [];
+        io.emit("order:claimed", {
+          orderId: orderData.id,
+          orderNumber: orderData.order_number,
+          userId: studentUserId,
+          items: orderItems,
+          itemCount: orderItems.length,
+          education_level: orderData.education_level || null,
+          educationLevel: orderData.education_level || null,
+          itemName: orderItems.length > 0 ? orderItems[0].name : null,
+        });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error("Release order error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to release order",
+      });
+    }
+  }
+
   /**
    * Create new order
    * POST /api/orders
@@ -148,6 +389,9 @@ class OrderController {
       res.status(400).json({
         success: false,
         message: error.message || "Failed to create order",
+        ...(error.limitRule && { limitRule: error.limitRule }),
+        ...(error.outOfStockLine && { outOfStockLine: error.outOfStockLine }),
+        ...(error.missingInventoryLine && { missingInventoryLine: error.missingInventoryLine }),
       });
     }
   }
@@ -0,0 +1,90 @@
+const OrderReturnService = require("../../services/property_custodian/orderReturn.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Logged-in staff member (order_returns.processed_by references staff.id)
+ */
+async function resolveStaff(req) {
+  const profile = req.user?.id ? await getProfileByUserId(req.user.id) : null;
+  return {
+    id: profile && profile.type === "staff" ? profile.id : null,
+    name: profile?.row?.name || null,
+    email: req.user?.email || profile?.row?.email || null,
+  };
+}
+
+function notFoundStatus(error, fallback) {
+  return error.message?.includes("not found") ? 404 : fallback;
+}
+
+/**
+ * Order Return Controller
+ * Handles HTTP requests for returns and size exchanges of released order lines
+ */
+class OrderReturnController {
+  /**
+   * List returns and exchanges
+   * GET /api/order-returns
+   *
+   * Query Parameters:
+   * - orderId: only this order
+   * - type: return | exchange
+   * - from, to: processed in this range (ISO date/time)
+   */
+  async getReturns(req, res) {
+    try {
+      const result = await OrderReturnService.getReturns({
+        orderId: req.query.orderId,
+        type: req.query.type,
+        from: req.query.from,
+        to: req.query.to,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Get order returns error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch returns",
+      });
+    }
+  }
+
+  /**
+   * Order lines with released and returnable quantities, plus past returns
+   * GET /api/order-returns/orders/:orderId
+   */
+  async getReturnableLines(req, res) {
+    try {
+      const result = await OrderReturnService.getReturnableLines(req.params.orderId);
+      res.json(result);
+    } catch (error) {
+      console.error("Get returnable lines error:", error);
+      res.status(notFoundStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to fetch returnable lines",
+      });
+    }
+  }
+
+  /**
+   * Return or exchange released units of an order line
+   * POST /api/order-returns/orders/:orderId
+   * Body: { lineIndex, quantity, type: "return" | "exchange", replacementSize?, reason, notes? }
+   */
+  async createReturn(req, res) {
+    try {
+      const staff = await resolveStaff(req);
+      const io = req.app.get("io");
+      const result = await OrderReturnService.createReturn(req.params.orderId, req.body || {}, staff, io);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Create order return error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to record return",
+      });
+    }
+  }
+}
+
+module.exports = new OrderReturnController();
@@ -0,0 +1,242 @@
+const PickupSlotService = require("../../services/property_custodian/pickupSlot.service");
+const {
+  getProfileByUserId,
+  getOrderOwnerIdentity,
+} = require("../../services/profileResolver.service");
+
+/**
+ * Resolve auth user id to staff id (pickup_slots.updated_by references staff.id)
+ */
+async function resolveStaffId(req) {
+  if (!req.user?.id) return null;
+  const profile = await getProfileByUserId(req.user.id);
+  return profile && profile.type === "staff" ? profile.id : null;
+}
+
+function notFoundStatus(error, fallback) {
+  return error.message?.includes("not found") ? 404 : fallback;
+}
+
+/**
+ * Pickup Slot Controller
+ * Handles HTTP requests for claim appointment slots and bookings
+ */
+class PickupSlotController {
+  /**
+   * List pickup slots with booked counts
+   * GET /api/pickup-slots
+   *
+   * Query Parameters:
+   * - from, to: only slots starting in this range (ISO date/time)
+   * - includeInactive: "true" to include removed slots
+   */
+  async getSlots(req, res) {
+    try {
+      const result = await PickupSlotService.getSlots({
+        from: req.query.from,
+        to: req.query.to,
+        includeInactive: req.query.includeInactive === "true",
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Get pickup slots error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch pickup slots",
+      });
+    }
+  }
+
+  /**
+   * Open a pickup slot
+   * POST /api/pickup-slots
+   * Body: { startsAt, endsAt, capacity, notes? }
+   */
+  async createSlot(req, res) {
+    try {
+      const staffId = await resolveStaffId(req);
+      const result = await PickupSlotService.createSlot(req.body || {}, staffId);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Create pickup slot error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to create pickup slot",
+      });
+    }
+  }
+
+  /**
+   * Open back-to-back slots for one day
+   * POST /api/pickup-slots/generate
+   * Body: { date, startTime, endTime, slotMinutes, capacity, notes? }
+   */
+  async generateSlots(req, res) {
+    try {
+      const staffId = await resolveStaffId(req);
+      const result = await PickupSlotService.generateSlots(req.body || {}, staffId);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Generate pickup slots error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to create pickup slots",
+      });
+    }
+  }
+
+  /**
+   * Update a slot's time, capacity or notes
+   * PUT /api/pickup-slots/:id
+   */
+  async updateSlot(req, res) {
+    try {
+      const staffId = await resolveStaffId(req);
+      const result = await PickupSlotService.updateSlot(req.params.id, req.body || {}, staffId);
+      res.json(result);
+    } catch (error) {
+      console.error("Update pickup slot error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to update pickup slot",
+      });
+    }
+  }
+
+  /**
+   * Remove a slot with no bookings
+   * DELETE /api/pickup-slots/:id
+   */
+  async deleteSlot(req, res) {
+    try {
+      const staffId = await resolveStaffId(req);
+      const result = await PickupSlotService.deleteSlot(req.params.id, staffId);
+      res.json(result);
+    } catch (error) {
+      console.error("Delete pickup slot error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to remove pickup slot",
+      });
+    }
+  }
+
+  /**
+   * Orders booked in a slot and the items / sizes to prepare
+   * GET /api/pickup-slots/:id/queue
+   */
+  async getSlotQueue(req, res) {
+    try {
+      const result = await PickupSlotService.getSlotQueue(req.params.id);
+      res.json(result);
+    } catch (error) {
+      console.error("Get pickup slot queue error:", error);
+      res.status(notFoundStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to fetch pickup slot queue",
+      });
+    }
+  }
+
+  /**
+   * Upcoming slots with room left
+   * GET /api/pickup-slots/available
+   *
+   * Query Parameters:
+   * - orderId: only slots before this order's claim deadline
+   */
+  async getAvailableSlots(req, res) {
+    try {
+      const student = await getOrderOwnerIdentity(req.user);
+      const result = await PickupSlotService.getAvailableSlots(student, req.query.orderId || null);
+      res.json(result);
+    } catch (error) {
+      console.error("Get available pickup slots error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to fetch available pickup slots",
+      });
+    }
+  }
+
+  /**
+   * The logged-in student's booked appointments
+   * GET /api/pickup-slots/appointments/me
+   */
+  async getMyAppointments(req, res) {
+    try {
+      const student = await getOrderOwnerIdentity(req.user);
+      const result = await PickupSlotService.getMyAppointments(student);
+      res.json(result);
+    } catch (error) {
+      console.error("Get pickup appointments error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch pickup appointments",
+      });
+    }
+  }
+
+  /**
+   * Book a slot for an order
+   * POST /api/pickup-slots/appointments
+   * Body: { orderId, slotId }
+   */
+  async bookAppointment(req, res) {
+    try {
+      const student = await getOrderOwnerIdentity(req.user);
+      const { orderId, slotId } = req.body || {};
+      const result = await PickupSlotService.bookAppointment(orderId, slotId, student);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Book pickup appointment error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to book pickup appointment",
+      });
+    }
+  }
+
+  /**
+   * Move an appointment to another slot
+   * PATCH /api/pickup-slots/appointments/:appointmentId
+   * Body: { slotId }
+   */
+  async rescheduleAppointment(req, res) {
+    try {
+      const student = await getOrderOwnerIdentity(req.user);
+      const result = await PickupSlotService.rescheduleAppointment(
+        req.params.appointmentId,
+        req.body?.slotId,
+        student
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Reschedule pickup appointment error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to reschedule pickup appointment",
+      });
+    }
+  }
+
+  /**
+   * Cancel an appointment
+   * DELETE /api/pickup-slots/appointments/:appointmentId
+   */
+  async cancelAppointment(req, res) {
+    try {
+      const student = await getOrderOwnerIdentity(req.user);
+      const result = await PickupSlotService.cancelAppointment(req.params.appointmentId, student);
+      res.json(result);
+    } catch (error) {
+      console.error("Cancel pickup appointment error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to cancel pickup appointment",
+      });
+    }
+  }
+}
+
+module.exports = new PickupSlotController();
@@ -0,0 +1,227 @@
+const PurchaseOrderService = require("../../services/property_custodian/purchaseOrder.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Who is acting: staff id for the purchase order columns, auth user id / email for
+ * transaction logs and the stock ledger
+ */
+async function resolveActor(req) {
+  const profile = req.user?.id ? await getProfileByUserId(req.user.id) : null;
+  return {
+    staffId: profile && profile.type === "staff" ? profile.id : null,
+    userId: req.user?.id || null,
+    email: req.user?.email || profile?.row?.email || null,
+  };
+}
+
+/** 404 only when the purchase order (or its delivery) itself is missing */
+function purchaseOrderStatus(error, fallback) {
+  return /(Purchase order|Delivery) not found/.test(error.message || "") ? 404 : fallback;
+}
+
+/**
+ * Purchase Order Controller
+ * Handles HTTP requests for purchase orders, deliveries and outstanding balances
+ */
+class PurchaseOrderController {
+  /**
+   * List purchase orders
+   * GET /api/purchase-orders
+   *
+   * Query Parameters:
+   * - status: draft | ordered | partially_received | received | closed | cancelled
+   * - supplierId: Filter by supplier
+   * - search: PO number or supplier name
+   */
+  async getPurchaseOrders(req, res) {
+    try {
+      const { status, supplierId, search } = req.query;
+      const result = await PurchaseOrderService.getPurchaseOrders({ status, supplierId, search });
+      res.json(result);
+    } catch (error) {
+      console.error("Get purchase orders error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch purchase orders",
+      });
+    }
+  }
+
+  /**
+   * Outstanding balances of open purchase orders
+   * GET /api/purchase-orders/outstanding
+   *
+   * Query Parameters:
+   * - supplierId, itemId, educationLevel: Filters
+   */
+  async getOutstanding(req, res) {
+    try {
+      const { supplierId, itemId, educationLevel } = req.query;
+      const result = await PurchaseOrderService.getOutstanding({ supplierId, itemId, educationLevel });
+      res.json(result);
+    } catch (error) {
+      console.error("Get outstanding purchase orders error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch outstanding purchase orders",
+      });
+    }
+  }
+
+  /**
+   * Purchase order with lines and deliveries
+   * GET /api/purchase-orders/:id
+   */
+  async getPurchaseOrderById(req, res) {
+    try {
+      const result = await PurchaseOrderService.getPurchaseOrderById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      console.error("Get purchase order error:", error);
+      res.status(purchaseOrderStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to fetch purchase order",
+      });
+    }
+  }
+
+  /**
+   * Draft a purchase order
+   * POST /api/purchase-orders
+   * Body: { supplierId, expectedDate?, notes?, lines: [{ itemId, size?, quantity, unitCost? }] }
+   */
+  async createPurchaseOrder(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await PurchaseOrderService.createPurchaseOrder(req.body || {}, actor);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Create purchase order error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to create purchase order",
+      });
+    }
+  }
+
+  /**
+   * Edit a draft purchase order
+   * PUT /api/purchase-orders/:id
+   * Body: any of { supplierId, expectedDate, notes, lines }
+   */
+  async updatePurchaseOrder(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await PurchaseOrderService.updatePurchaseOrder(req.params.id, req.body || {}, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Update purchase order error:", error);
+      res.status(purchaseOrderStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to update purchase order",
+      });
+    }
+  }
+
+  /**
+   * Mark a draft as sent to the supplier
+   * POST /api/purchase-orders/:id/order
+   * Body: { expectedDate? }
+   */
+  async placeOrder(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await PurchaseOrderService.placeOrder(req.params.id, req.body || {}, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Place purchase order error:", error);
+      res.status(purchaseOrderStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to place purchase order",
+      });
+    }
+  }
+
+  /**
+   * Receive a full or partial delivery and post it to stock
+   * POST /api/purchase-orders/:id/deliveries
+   * Body: { lines: [{ lineId, quantity, unitCost? }], deliveryReference?, deliveredAt?, notes? }
+   */
+  async receiveDelivery(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const io = req.app.get("io");
+      const result = await PurchaseOrderService.receiveDelivery(req.params.id, req.body || {}, actor, io);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Receive purchase order delivery error:", error);
+      res.status(purchaseOrderStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to receive delivery",
+      });
+    }
+  }
+
+  /**
+   * Post delivery lines that failed to go into stock
+   * POST /api/purchase-orders/:id/deliveries/:deliveryId/post
+   */
+  async postDelivery(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const io = req.app.get("io");
+      const result = await PurchaseOrderService.postDelivery(
+        req.params.id,
+        req.params.deliveryId,
+        actor,
+        io,
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Post purchase order delivery error:", error);
+      res.status(purchaseOrderStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to post delivery",
+      });
+    }
+  }
+
+  /**
+   * Close a partially received purchase order
+   * POST /api/purchase-orders/:id/close
+   * Body: { reason }
+   */
+  async closePurchaseOrder(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await PurchaseOrderService.closePurchaseOrder(req.params.id, req.body || {}, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Close purchase order error:", error);
+      res.status(purchaseOrderStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to close purchase order",
+      });
+    }
+  }
+
+  /**
+   * Cancel a purchase order with nothing received
+   * POST /api/purchase-orders/:id/cancel
+   */
+  async cancelPurchaseOrder(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await PurchaseOrderService.cancelPurchaseOrder(req.params.id, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Cancel purchase order error:", error);
+      res.status(purchaseOrderStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to cancel purchase order",
+      });
+    }
+  }
+}
+
+module.exports = new PurchaseOrderController();
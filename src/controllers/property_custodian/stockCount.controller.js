@@ -0,0 +1,175 @@
+const StockCountService = require("../../services/property_custodian/stockCount.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Who is acting: staff id for the session columns, auth user id / email for transaction logs
+ */
+async function resolveActor(req) {
+  const profile = req.user?.id ? await getProfileByUserId(req.user.id) : null;
+  return {
+    staffId: profile && profile.type === "staff" ? profile.id : null,
+    userId: req.user?.id || null,
+    email: req.user?.email || profile?.row?.email || null,
+  };
+}
+
+/**
+ * Stock Count Controller
+ * Handles HTTP requests for physical stock count (cycle count) sessions
+ */
+class StockCountController {
+  /**
+   * List count sessions
+   * GET /api/stock-counts
+   *
+   * Query Parameters:
+   * - status: open | posted | cancelled
+   * - educationLevel: Filter by education level
+   */
+  async getSessions(req, res) {
+    try {
+      const { status, educationLevel } = req.query;
+      const result = await StockCountService.getSessions({ status, educationLevel });
+      res.json(result);
+    } catch (error) {
+      console.error("Get stock count sessions error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch stock count sessions",
+      });
+    }
+  }
+
+  /**
+   * Open a count session
+   * POST /api/stock-counts
+   * Body: { title?, educationLevel?, notes? }
+   */
+  async openSession(req, res) {
+    try {
+      const { title, educationLevel, notes } = req.body || {};
+      const actor = await resolveActor(req);
+      const result = await StockCountService.openSession(
+        { title, educationLevel, notes },
+        actor,
+      );
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Open stock count session error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to open stock count session",
+      });
+    }
+  }
+
+  /**
+   * Get a session with its count sheet and variances
+   * GET /api/stock-counts/:id
+   *
+   * Query Parameters:
+   * - educationLevel: Only lines for this education level
+   * - onlyVariances: "true" to return counted lines that differ from system stock
+   */
+  async getSessionById(req, res) {
+    try {
+      const result = await StockCountService.getSessionById(req.params.id, {
+        educationLevel: req.query.educationLevel,
+        onlyVariances: req.query.onlyVariances === "true",
+      });
+      res.json(result);
+    } catch (error) {
+      console.error("Get stock count session error:", error);
+      const status = error.message?.includes("not found") ? 404 : 500;
+      res.status(status).json({
+        success: false,
+        message: error.message || "Failed to fetch stock count session",
+      });
+    }
+  }
+
+  /**
+   * Enter counted quantities
+   * PATCH /api/stock-counts/:id/counts
+   * Body: { counts: [{ lineId, countedQuantity }] }
+   */
+  async enterCounts(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await StockCountService.enterCounts(
+        req.params.id,
+        req.body?.counts,
+        actor,
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Enter stock counts error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to save counts",
+      });
+    }
+  }
+
+  /**
+   * Approve or reject variances
+   * PATCH /api/stock-counts/:id/review
+   * Body: { lines: [{ lineId, approved, reason }] }
+   */
+  async reviewVariances(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await StockCountService.reviewVariances(
+        req.params.id,
+        req.body?.lines,
+        actor,
+      );
+      res.json(result);
+    } catch (error) {
+      console.error("Review stock count variances error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to review variances",
+      });
+    }
+  }
+
+  /**
+   * Post approved variances as stock adjustments
+   * POST /api/stock-counts/:id/post
+   */
+  async postSession(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const io = req.app.get("io");
+      const result = await StockCountService.postSession(req.params.id, actor, io);
+      res.json(result);
+    } catch (error) {
+      console.error("Post stock count session error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to post stock count",
+      });
+    }
+  }
+
+  /**
+   * Cancel an open session
+   * POST /api/stock-counts/:id/cancel
+   */
+  async cancelSession(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await StockCountService.cancelSession(req.params.id, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Cancel stock count session error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to cancel stock count",
+      });
+    }
+  }
+}
+
+module.exports = new StockCountController();
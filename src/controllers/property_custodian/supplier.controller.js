@@ -0,0 +1,103 @@
+const SupplierService = require("../../services/property_custodian/supplier.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Who is acting: staff id for created_by, auth user id / email for transaction logs
+ */
+async function resolveActor(req) {
+  const profile = req.user?.id ? await getProfileByUserId(req.user.id) : null;
+  return {
+    staffId: profile && profile.type === "staff" ? profile.id : null,
+    userId: req.user?.id || null,
+    email: req.user?.email || profile?.row?.email || null,
+  };
+}
+
+function notFoundStatus(error, fallback) {
+  return error.message?.includes("not found") ? 404 : fallback;
+}
+
+/**
+ * Supplier Controller
+ * Handles HTTP requests for suppliers, their lead times and outstanding purchase orders
+ */
+class SupplierController {
+  /**
+   * List suppliers
+   * GET /api/suppliers
+   *
+   * Query Parameters:
+   * - active: "true" | "false"
+   * - search: Name or contact person
+   */
+  async getSuppliers(req, res) {
+    try {
+      const { active, search } = req.query;
+      const result = await SupplierService.getSuppliers({ active, search });
+      res.json(result);
+    } catch (error) {
+      console.error("Get suppliers error:", error);
+      res.status(500).json({
+        success: false,
+        message: error.message || "Failed to fetch suppliers",
+      });
+    }
+  }
+
+  /**
+   * Supplier with lead times and open purchase orders
+   * GET /api/suppliers/:id
+   */
+  async getSupplierById(req, res) {
+    try {
+      const result = await SupplierService.getSupplierById(req.params.id);
+      res.json(result);
+    } catch (error) {
+      console.error("Get supplier error:", error);
+      res.status(notFoundStatus(error, 500)).json({
+        success: false,
+        message: error.message || "Failed to fetch supplier",
+      });
+    }
+  }
+
+  /**
+   * Add a supplier
+   * POST /api/suppliers
+   * Body: { name, contactPerson?, email?, phone?, address?, leadTimeDays?, notes? }
+   */
+  async createSupplier(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await SupplierService.createSupplier(req.body || {}, actor);
+      res.status(201).json(result);
+    } catch (error) {
+      console.error("Create supplier error:", error);
+      res.status(400).json({
+        success: false,
+        message: error.message || "Failed to add supplier",
+      });
+    }
+  }
+
+  /**
+   * Update a supplier
+   * PUT /api/suppliers/:id
+   * Body: any of { name, contactPerson, email, phone, address, leadTimeDays, notes, isActive }
+   */
+  async updateSupplier(req, res) {
+    try {
+      const actor = await resolveActor(req);
+      const result = await SupplierService.updateSupplier(req.params.id, req.body || {}, actor);
+      res.json(result);
+    } catch (error) {
+      console.error("Update supplier error:", error);
+      res.status(notFoundStatus(error, 400)).json({
+        success: false,
+        message: error.message || "Failed to update supplier",
+      });
+    }
+  }
+}
+
+module.exports = new SupplierController();
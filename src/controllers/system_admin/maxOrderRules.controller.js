@@ -0,0 +1,156 @@
+const maxOrderRulesService = require("../../services/system_admin/maxOrderRules.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Max Order Rules Controller
+ *
+ * Handles HTTP requests for per-item max order rule management
+ */
+
+/**
+ * Resolve auth user id to staff id (max_order_rules.updated_by references staff.id)
+ */
+async function resolveStaffId(req) {
+  if (!req.user?.id) return null;
+  const profile = await getProfileByUserId(req.user.id);
+  return profile && profile.type === "staff" ? profile.id : null;
+}
+
+/**
+ * List max order rules
+ * GET /api/system-admin/max-order-rules
+ *
+ * Query Parameters:
+ * - education_level, student_type, gender, item_key: filters
+ * - as_of: YYYY-MM-DD, only rules in effect on that date
+ * - include_inactive: "true" to include deleted rules
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const result = await maxOrderRulesService.getRules({
+      education_level: req.query.education_level,
+      student_type: req.query.student_type,
+      gender: req.query.gender,
+      item_key: req.query.item_key,
+      as_of: req.query.as_of,
+      include_inactive: req.query.include_inactive === "true",
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Get max order rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch max order rules",
+    });
+  }
+};
+
+/**
+ * Create a max order rule
+ * POST /api/system-admin/max-order-rules
+ *
+ * Request Body:
+ * {
+ *   education_level: string (required),
+ *   student_type: "new" | "old" (required),
+ *   gender: "Male" | "Female" (required),
+ *   item_key: string (required),
+ *   max_quantity: number (required),
+ *   effective_from: YYYY-MM-DD (optional, default today),
+ *   effective_to: YYYY-MM-DD (optional),
+ *   notes: string (optional)
+ * }
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await maxOrderRulesService.createRule(req.body || {}, staffId);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("Create max order rule error:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Failed to create max order rule",
+    });
+  }
+};
+
+/**
+ * Update a max order rule
+ * PUT /api/system-admin/max-order-rules/:id
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await maxOrderRulesService.updateRule(req.params.id, req.body || {}, staffId);
+    res.json(result);
+  } catch (error) {
+    console.error("Update max order rule error:", error);
+    const status = error.message === "Max order rule not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to update max order rule",
+    });
+  }
+};
+
+/**
+ * Delete (deactivate) a max order rule
+ * DELETE /api/system-admin/max-order-rules/:id
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await maxOrderRulesService.deleteRule(req.params.id, staffId);
+    res.json(result);
+  } catch (error) {
+    console.error("Delete max order rule error:", error);
+    const status = error.message === "Max order rule not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to delete max order rule",
+    });
+  }
+};
+
+/**
+ * Get the audit trail for max order rules
+ * GET /api/system-admin/max-order-rules/audit
+ *
+ * Query Parameters:
+ * - rule_id: only entries for one rule
+ * - limit: max entries (default 100)
+ */
+exports.getRuleAudit = async (req, res) => {
+  try {
+    const result = await maxOrderRulesService.getRuleAudit({
+      rule_id: req.query.rule_id,
+      limit: req.query.limit,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Get max order rule audit error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch max order rule audit",
+    });
+  }
+};
+
+/**
+ * Seed rules from the defaults in src/config/itemMaxOrder.js
+ * POST /api/system-admin/max-order-rules/seed
+ */
+exports.seedRules = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await maxOrderRulesService.seedRulesFromDefaults(staffId);
+    res.json(result);
+  } catch (error) {
+    console.error("Seed max order rules error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to seed max order rules",
+    });
+  }
+};
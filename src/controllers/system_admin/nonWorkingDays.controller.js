@@ -0,0 +1,109 @@
+const nonWorkingDaysService = require("../../services/system_admin/nonWorkingDays.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Non-Working Days Controller
+ *
+ * Handles HTTP requests for the school holiday / office closure calendar
+ */
+
+/**
+ * Resolve auth user id to staff id (non_working_days.updated_by references staff.id)
+ */
+async function resolveStaffId(req) {
+  if (!req.user?.id) return null;
+  const profile = await getProfileByUserId(req.user.id);
+  return profile && profile.type === "staff" ? profile.id : null;
+}
+
+/**
+ * List non-working days
+ * GET /api/system-admin/non-working-days
+ *
+ * Query Parameters:
+ * - from, to: YYYY-MM-DD; entries overlapping this range
+ * - type: holiday | exam_week | office_closure | other
+ * - include_inactive: "true" to include removed entries
+ */
+exports.getNonWorkingDays = async (req, res) => {
+  try {
+    const result = await nonWorkingDaysService.getNonWorkingDays({
+      from: req.query.from,
+      to: req.query.to,
+      type: req.query.type,
+      include_inactive: req.query.include_inactive === "true",
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Get non-working days error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch non-working days",
+    });
+  }
+};
+
+/**
+ * Add a non-working day or range
+ * POST /api/system-admin/non-working-days
+ *
+ * Request Body:
+ * {
+ *   start_date: "YYYY-MM-DD" (required),
+ *   end_date: "YYYY-MM-DD" (optional, defaults to start_date),
+ *   name: string (required),
+ *   type: "holiday" | "exam_week" | "office_closure" | "other" (default: holiday),
+ *   notes: string (optional)
+ * }
+ */
+exports.createNonWorkingDay = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await nonWorkingDaysService.createNonWorkingDay(req.body || {}, staffId);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("Create non-working day error:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Failed to create non-working day",
+    });
+  }
+};
+
+/**
+ * Update a non-working day
+ * PUT /api/system-admin/non-working-days/:id
+ */
+exports.updateNonWorkingDay = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await nonWorkingDaysService.updateNonWorkingDay(req.params.id, req.body || {}, staffId);
+    res.json(result);
+  } catch (error) {
+    console.error("Update non-working day error:", error);
+    const status = error.message === "Non-working day not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to update non-working day",
+    });
+  }
+};
+
+/**
+ * Remove (deactivate) a non-working day
+ * DELETE /api/system-admin/non-working-days/:id
+ */
+exports.deleteNonWorkingDay = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await nonWorkingDaysService.deleteNonWorkingDay(req.params.id, staffId);
+    res.json(result);
+  } catch (error) {
+    console.error("Delete non-working day error:", error);
+    const status = error.message === "Non-working day not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to delete non-working day",
+    });
+  }
+};
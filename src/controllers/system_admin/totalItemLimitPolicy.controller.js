@@ -0,0 +1,145 @@
+const totalItemLimitPolicyService = require("../../services/system_admin/totalItemLimitPolicy.service");
+const { getProfileByUserId } = require("../../services/profileResolver.service");
+
+/**
+ * Total Item Limit Policy Controller
+ *
+ * Handles HTTP requests for default total item limit policies
+ */
+
+/**
+ * Resolve auth user id to staff id (total_item_limit_policies.updated_by references staff.id)
+ */
+async function resolveStaffId(req) {
+  if (!req.user?.id) return null;
+  const profile = await getProfileByUserId(req.user.id);
+  return profile && profile.type === "staff" ? profile.id : null;
+}
+
+/**
+ * List total item limit policies
+ * GET /api/system-admin/total-item-limit-policies
+ *
+ * Query Parameters:
+ * - education_level, student_type, school_year: filters
+ * - include_inactive: "true" to include deleted policies
+ */
+exports.getPolicies = async (req, res) => {
+  try {
+    const result = await totalItemLimitPolicyService.getPolicies({
+      education_level: req.query.education_level,
+      student_type: req.query.student_type,
+      school_year: req.query.school_year,
+      include_inactive: req.query.include_inactive === "true",
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Get total item limit policies error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch total item limit policies",
+    });
+  }
+};
+
+/**
+ * Preview which rule applies to a segment
+ * GET /api/system-admin/total-item-limit-policies/resolve
+ *
+ * Query Parameters:
+ * - education_level, student_type (required), school_year (default: current)
+ */
+exports.resolvePolicy = async (req, res) => {
+  try {
+    const { education_level, student_type, school_year } = req.query;
+    if (!student_type) {
+      return res.status(400).json({
+        success: false,
+        message: "student_type is required",
+      });
+    }
+    const result = await totalItemLimitPolicyService.resolveTotalItemLimit({
+      educationLevel: education_level || null,
+      studentType: student_type,
+      schoolYear: school_year || null,
+    });
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        description: totalItemLimitPolicyService.describeLimitRule(result.rule),
+      },
+    });
+  } catch (error) {
+    console.error("Resolve total item limit policy error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to resolve total item limit policy",
+    });
+  }
+};
+
+/**
+ * Create a total item limit policy
+ * POST /api/system-admin/total-item-limit-policies
+ *
+ * Request Body:
+ * {
+ *   education_level: string (optional, null = all levels),
+ *   student_type: "new" | "old" (required),
+ *   school_year: "2025-2026" (optional, null = any school year),
+ *   total_item_limit: number (required),
+ *   notes: string (optional)
+ * }
+ */
+exports.createPolicy = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await totalItemLimitPolicyService.createPolicy(req.body || {}, staffId);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("Create total item limit policy error:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Failed to create total item limit policy",
+    });
+  }
+};
+
+/**
+ * Update a total item limit policy
+ * PUT /api/system-admin/total-item-limit-policies/:id
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await totalItemLimitPolicyService.updatePolicy(req.params.id, req.body || {}, staffId);
+    res.json(result);
+  } catch (error) {
+    console.error("Update total item limit policy error:", error);
+    const status = error.message === "Total item limit policy not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to update total item limit policy",
+    });
+  }
+};
+
+/**
+ * Delete (deactivate) a total item limit policy
+ * DELETE /api/system-admin/total-item-limit-policies/:id
+ */
+exports.deletePolicy = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await totalItemLimitPolicyService.deletePolicy(req.params.id, staffId);
+    res.json(result);
+  } catch (error) {
+    console.error("Delete total item limit policy error:", error);
+    const status = error.message === "Total item limit policy not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to delete total item limit policy",
+    });
+  }
+};
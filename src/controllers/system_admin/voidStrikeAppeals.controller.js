@@ -0,0 +1,186 @@
+const voidStrikeAppealService = require("../../services/system_admin/voidStrikeAppeal.service");
+const { getProfileByUserId, getStudentIdForUser } = require("../../services/profileResolver.service");
+
+/**
+ * Void Strike Appeals Controller
+ *
+ * Handles HTTP requests for void strike history, student appeals and admin review
+ */
+
+/**
+ * Resolve auth user id to staff id (void_strike_appeals.reviewed_by references staff.id)
+ */
+async function resolveStaffId(req) {
+  if (!req.user?.id) return null;
+  const profile = await getProfileByUserId(req.user.id);
+  return profile && profile.type === "staff" ? profile.id : null;
+}
+
+/**
+ * Get the logged-in student's strikes and appeals
+ * GET /api/void-strikes/me
+ */
+exports.getMyStrikeHistory = async (req, res) => {
+  try {
+    const studentId = await getStudentIdForUser(req.user?.id);
+    if (!studentId) {
+      return res.status(403).json({
+        success: false,
+        message: "Only students have void strike history",
+      });
+    }
+    const result = await voidStrikeAppealService.getStrikeHistory(studentId);
+    res.json(result);
+  } catch (error) {
+    console.error("Get my void strike history error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch void strike history",
+    });
+  }
+};
+
+/**
+ * Submit an appeal against the logged-in student's void strikes
+ * POST /api/void-strikes/appeals
+ *
+ * Request Body:
+ * {
+ *   reason: string (required)
+ * }
+ */
+exports.submitAppeal = async (req, res) => {
+  try {
+    const studentId = await getStudentIdForUser(req.user?.id);
+    if (!studentId) {
+      return res.status(403).json({
+        success: false,
+        message: "Only students can submit void strike appeals",
+      });
+    }
+    const result = await voidStrikeAppealService.submitAppeal(studentId, req.body?.reason);
+    res.status(201).json(result);
+  } catch (error) {
+    console.error("Submit void strike appeal error:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Failed to submit appeal",
+    });
+  }
+};
+
+/**
+ * List appeals
+ * GET /api/system-admin/void-strike-appeals
+ *
+ * Query Parameters:
+ * - status: pending | approved | rejected
+ * - student_id: filter by student
+ * - limit: max rows (default 100)
+ */
+exports.getAppeals = async (req, res) => {
+  try {
+    const result = await voidStrikeAppealService.getAppeals({
+      status: req.query.status,
+      student_id: req.query.student_id,
+      limit: req.query.limit,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Get void strike appeals error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch void strike appeals",
+    });
+  }
+};
+
+/**
+ * Get a student's strike history and appeals
+ * GET /api/system-admin/void-strike-appeals/students/:studentId/strikes
+ */
+exports.getStudentStrikeHistory = async (req, res) => {
+  try {
+    const result = await voidStrikeAppealService.getStrikeHistory(req.params.studentId);
+    res.json(result);
+  } catch (error) {
+    console.error("Get student void strike history error:", error);
+    const status = error.message === "Student not found" ? 404 : 500;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to fetch void strike history",
+    });
+  }
+};
+
+/**
+ * Get the void strike audit trail
+ * GET /api/system-admin/void-strike-appeals/audit
+ *
+ * Query Parameters:
+ * - student_id: only this student's entries
+ * - limit: max rows (default 100)
+ */
+exports.getAudit = async (req, res) => {
+  try {
+    const result = await voidStrikeAppealService.getAudit({
+      student_id: req.query.student_id,
+      limit: req.query.limit,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("Get void strike audit error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to fetch void strike audit",
+    });
+  }
+};
+
+/**
+ * Approve an appeal: clears the student's strikes and restores their previous limit
+ * POST /api/system-admin/void-strike-appeals/:id/approve
+ *
+ * Request Body:
+ * {
+ *   notes: string (optional)
+ * }
+ */
+exports.approveAppeal = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await voidStrikeAppealService.approveAppeal(req.params.id, staffId, req.body?.notes);
+    res.json(result);
+  } catch (error) {
+    console.error("Approve void strike appeal error:", error);
+    const status = error.message === "Appeal not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to approve appeal",
+    });
+  }
+};
+
+/**
+ * Reject an appeal
+ * POST /api/system-admin/void-strike-appeals/:id/reject
+ *
+ * Request Body:
+ * {
+ *   notes: string (required)
+ * }
+ */
+exports.rejectAppeal = async (req, res) => {
+  try {
+    const staffId = await resolveStaffId(req);
+    const result = await voidStrikeAppealService.rejectAppeal(req.params.id, staffId, req.body?.notes);
+    res.json(result);
+  } catch (error) {
+    console.error("Reject void strike appeal error:", error);
+    const status = error.message === "Appeal not found" ? 404 : 400;
+    res.status(status).json({
+      success: false,
+      message: error.message || "Failed to reject appeal",
+    });
+  }
+};
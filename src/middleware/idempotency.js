@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+require("dotenv").config();
+const supabase = require("../config/supabase");
+const { isMissingTableError } = require("../utils/dbErrors");
+
+/**
+ * Idempotency Middleware
+ *
+ * Lets clients safely retry mutating requests (double-clicked "Place order", retries on a
+ * flaky connection) by sending an `Idempotency-Key` header:
+ * - First request with a key runs normally; its response is stored
+ * - Repeats with the same key and body within the window replay the stored response
+ *   (with `Idempotent-Replayed: true`) instead of running again
+ * - A repeat with the same key but a different body gets 409 Conflict
+ * - A repeat while the first request is still running gets 409 Conflict
+ *
+ * Keys are scoped per user and per route (method + path), so two users (or two items)
+ * never share a key. Requests without the header are not affected.
+ */
+
+const IDEMPOTENCY_HEADER = "idempotency-key";
+const MAX_KEY_LENGTH = 255;
+
+/** How long a stored response can be replayed (hours) */
+const IDEMPOTENCY_KEY_TTL_HOURS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+/** JSON with sorted object keys so the same body always hashes the same */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequestBody(body) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(body || {}))
+    .digest("hex");
+}
+
+async function findKey(scope, key) {
+  const { data, error } = await supabase
+    .from("idempotency_keys")
+    .select("*")
+    .eq("scope", scope)
+    .eq("idempotency_key", key)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function deleteKey(id) {
+  const { error } = await supabase.from("idempotency_keys").delete().eq("id", id);
+  if (error) console.error("[Idempotency] Failed to release key:", error.message);
+}
+
+/**
+ * Claim a key for this request.
+ * @returns {Promise<{ claimed: Object }|{ existing: Object }>}
+ */
+async function claimKey(scope, key, requestHash, userId) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { data, error } = await supabase
+      .from("idempotency_keys")
+      .insert({
+        scope,
+        idempotency_key: key,
+        request_hash: requestHash,
+        user_id: userId,
+        status: "processing",
+        expires_at: expiresAt.toISOString(),
+      })
+      .select()
+      .single();
+
+    if (!error) return { claimed: data };
+    if (error.code !== "23505") throw error;
+
+    // Key already used: replay it unless it has expired
+    const existing = await findKey(scope, key);
+    if (!existing) continue;
+    if (new Date(existing.expires_at) > now) return { existing };
+    await deleteKey(existing.id);
+  }
+
+  throw new Error("Could not reserve Idempotency-Key, please retry");
+}
+
+/**
+ * Middleware factory. Place after verifyToken so keys are scoped to the caller.
+ * @returns {Function} Express middleware
+ */
+function idempotency() {
+  return async function (req, res, next) {
+    const key = req.headers[IDEMPOTENCY_HEADER];
+    if (!key) return next();
+
+    if (typeof key !== "string" || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Idempotency-Key must be a string of at most ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    const userId = req.user?.id || null;
+    const scope = `${userId || "anonymous"}:${req.method}:${req.baseUrl}${req.path}`;
+    const requestHash = hashRequestBody(req.body);
+
+    let result;
+    try {
+      result = await claimKey(scope, key, requestHash, userId);
+    } catch (error) {
+      if (isMissingTableError(error)) {
+        console.warn("[Idempotency] idempotency_keys table missing; run migrations/create_idempotency_keys_table.sql");
+        return next();
+      }
+      console.error("[Idempotency] Error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Failed to process Idempotency-Key",
+      });
+    }
+
+    const { existing, claimed } = result;
+
+    if (existing) {
+      if (existing.request_hash !== requestHash) {
+        return res.status(409).json({
+          success: false,
+          message: "Idempotency-Key was already used with a different request body",
+        });
+      }
+      if (existing.status !== "completed") {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+      console.log(`[Idempotency] Replaying stored response for key ${key} (${scope})`);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Capture the response body so it can be stored once the request finishes
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on("finish", async () => {
+      try {
+        // Server errors are not stored, so the client can retry with the same key
+        if (res.statusCode >= 500 || responseBody === null) {
+          await deleteKey(claimed.id);
+          return;
+        }
+        const { error } = await supabase
+          .from("idempotency_keys")
+          .update({
+            status: "completed",
+            response_status: res.statusCode,
+            response_body: responseBody,
+            completed_at: new Date().toISOString(),
+          })
+          .eq("id", claimed.id);
+        if (error) throw error;
+      } catch (error) {
+        console.error("[Idempotency] Failed to store response:", error.message || error);
+      }
+    });
+
+    // Connection dropped before a response was sent: release the key so a retry can run
+    res.on("close", () => {
+      if (!res.writableFinished) deleteKey(claimed.id);
+    });
+
+    return next();
+  };
+}
+
+module.exports = {
+  idempotency,
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  stableStringify,
+  hashRequestBody,
+};
@@ -4,6 +4,11 @@ const passport = require("../config/passport");
 const authController = require("../controllers/auth.controller");
 const { verifyToken } = require("../middleware/auth");
 const { resolveProfile, getStudentIdForUser } = require("../services/profileResolver.service");
+const {
+  RELEASED_ORDER_STATUSES,
+  getReleasedQuantity,
+  getUnreleasedQuantity,
+} = require("../utils/orderFulfillment");
 
 router.get(
   "/google",
@@ -54,21 +59,19 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
     const studentType = (data.student_type || "new").toLowerCase();
     const gender = data.gender || null;
 
-    // Derived Total Item Limit defaults based on student type.
-    // System admins can override via total_item_limit on users; if not set, we fall back to these values.
-    const baseTotalItemLimit =
-      studentType === "new" ? 8 :
-      studentType === "old" ? 2 :
-      null;
-    const effectiveTotalItemLimit =
-      data.total_item_limit != null && Number(data.total_item_limit) > 0
-        ? Number(data.total_item_limit)
-        : baseTotalItemLimit;
+    // Total Item Limit: system admins can override via total_item_limit on the student;
+    // if not set, the total item limit policy (education level × student type × school year) applies.
+    const { resolveTotalItemLimit } = require("../services/system_admin/totalItemLimitPolicy.service");
+    const { limit: effectiveTotalItemLimit, rule: totalItemLimitRule } = await resolveTotalItemLimit({
+      educationLevel,
+      studentType,
+      studentLimit: data.total_item_limit,
+    });
 
     if (!gender && educationLevel) {
       // Still compute maxQuantities by merging both genders (so e.g. Logo Patch max 3 works)
-      const female = getMaxQuantitiesForStudent(educationLevel, studentType, "Female");
-      const male = getMaxQuantitiesForStudent(educationLevel, studentType, "Male");
+      const female = await getMaxQuantitiesForStudent(educationLevel, studentType, "Female");
+      const male = await getMaxQuantitiesForStudent(educationLevel, studentType, "Male");
       const maxQuantitiesNoGender = {};
       const allKeys = new Set([...Object.keys(female), ...Object.keys(male)]);
       for (const key of allKeys) {
@@ -85,10 +88,10 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
       let alreadyOrdered = {};
       if (orParts.length > 0) {
         // Only count active orders - NOT claimed/completed orders
-        const placedStatusesIncomplete = ["pending", "paid", "processing", "ready", "payment_pending"];
+        const placedStatusesIncomplete = ["pending", "paid", "processing", "ready", "payment_pending", "partially_claimed"];
         let ordersQuery = supabase
           .from("orders")
-          .select("items, created_at")
+          .select("items, status, created_at")
           .eq("is_active", true)
           .in("status", placedStatusesIncomplete)
           .or(orParts.join(","));
@@ -110,7 +113,8 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
               if (lower.includes("logo patch")) key = "logo patch";
             }
             if (key && typeof key === "string" && key.toLowerCase().includes("logo patch")) key = "logo patch";
-            if (key) alreadyOrdered[key] = (alreadyOrdered[key] || 0) + (Number(it.quantity) || 0);
+            const unreleased = getUnreleasedQuantity(it, row.status);
+            if (key && unreleased > 0) alreadyOrdered[key] = (alreadyOrdered[key] || 0) + unreleased;
           }
         }
       }
@@ -122,12 +126,11 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
       // Example: New student claims 2 logo patches → changes to old student → still sees 2 claimed, can order 1 more (max 3 - 2 = 1)
       let claimedItems = {};
       if (orParts.length > 0) {
-        const claimedStatuses = ["claimed", "completed"];
         const claimedOrdersQuery = supabase
           .from("orders")
-          .select("items, created_at")
+          .select("items, status, created_at")
           .eq("is_active", true)
-          .in("status", claimedStatuses)
+          .in("status", RELEASED_ORDER_STATUSES)
           .or(orParts.join(","));
         
         // Only count orders created AFTER total_item_limit_set_at (if it exists)
@@ -152,7 +155,7 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
             }
             if (!key) continue;
             // resolveItemKey now always returns "logo patch" for both "new logo patch" and "logo patch" (they're the same item)
-            claimedItems[key] = (claimedItems[key] || 0) + (Number(it.quantity) || 0);
+            claimedItems[key] = (claimedItems[key] || 0) + getReleasedQuantity(it, row.status);
           }
         }
         // Debug logging: Track current student type and claimed order validation
@@ -180,6 +183,7 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
         profileIncomplete: true,
         message: "Complete your profile (gender) to see order limits.",
         totalItemLimit: effectiveTotalItemLimit ?? null,
+        totalItemLimitRule,
         slotsUsedFromPlacedOrders,
       });
     }
@@ -194,7 +198,7 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
       maxQuantities = {};
     } else {
       // New students: Use default segment rules
-      maxQuantities = getMaxQuantitiesForStudent(
+      maxQuantities = await getMaxQuantitiesForStudent(
         educationLevel,
         studentType,
         gender
@@ -205,7 +209,7 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
     // Only count active orders (pending, processing, ready, etc.) - NOT claimed/completed orders.
     // Once an order is claimed/completed, the student should be able to order that item again.
     // IMPORTANT: Only count orders created AFTER total_item_limit_set_at to give students a fresh slate when limit is updated.
-    const placedStatuses = ["pending", "paid", "processing", "ready", "payment_pending"];
+    const placedStatuses = ["pending", "paid", "processing", "ready", "payment_pending", "partially_claimed"];
     const email = (tokenUser.email || "").trim();
     const orParts = [];
     if (studentIdForOrders) orParts.push(`student_id.eq.${studentIdForOrders}`);
@@ -216,7 +220,7 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
       const orFilter = orParts.join(",");
       let ordersQuery = supabase
         .from("orders")
-        .select("items, created_at")
+        .select("items, status, created_at")
         .eq("is_active", true)
         .in("status", placedStatuses)
         .or(orFilter);
@@ -244,7 +248,9 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
           }
           if (key && typeof key === "string" && key.toLowerCase().includes("logo patch")) key = "logo patch";
           if (!key) continue;
-          alreadyOrdered[key] = (alreadyOrdered[key] || 0) + (Number(it.quantity) || 0);
+          const unreleased = getUnreleasedQuantity(it, row.status);
+          if (unreleased <= 0) continue;
+          alreadyOrdered[key] = (alreadyOrdered[key] || 0) + unreleased;
         }
       }
       // Debug: confirm placed orders are included in alreadyOrdered
@@ -262,13 +268,12 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
     // Example: New student claims 2 logo patches → changes to old student → still sees 2 claimed, can order 1 more (max 3 - 2 = 1)
     let claimedItems = {};
     if (orParts.length > 0) {
-      const claimedStatuses = ["claimed", "completed"];
       const orFilter = orParts.join(",");
       let claimedOrdersQuery = supabase
         .from("orders")
-        .select("items, created_at")
+        .select("items, status, created_at")
         .eq("is_active", true)
-        .in("status", claimedStatuses)
+        .in("status", RELEASED_ORDER_STATUSES)
         .or(orFilter);
       
       // Only count orders created AFTER total_item_limit_set_at (if it exists)
@@ -293,7 +298,7 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
           }
           if (!key) continue;
           // resolveItemKey now always returns "logo patch" for both "new logo patch" and "logo patch" (they're the same item)
-          claimedItems[key] = (claimedItems[key] || 0) + (Number(it.quantity) || 0);
+          claimedItems[key] = (claimedItems[key] || 0) + getReleasedQuantity(it, row.status);
         }
       }
       // Debug logging: Track current student type and claimed order validation
@@ -386,6 +391,7 @@ router.get("/max-quantities", verifyToken, async (req, res) => {
       alreadyOrdered,
       claimedItems,
       totalItemLimit: blockedDueToVoid ? 0 : (effectiveTotalItemLimit ?? null),
+      totalItemLimitRule,
       slotsUsedFromPlacedOrders,
       blockedDueToVoid,
     });
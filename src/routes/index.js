@@ -4,9 +4,16 @@ const contactController = require("../controllers/contact.controller");
 const authRoutes = require("./auth");
 const itemsRoutes = require("./property_custodian/items");
 const orderRoutes = require("./property_custodian/orders");
+const stockCountRoutes = require("./property_custodian/stockCounts");
+const pickupSlotRoutes = require("./property_custodian/pickupSlots");
+const cashierPaymentRoutes = require("./property_custodian/cashierPayments");
+const orderReturnRoutes = require("./property_custodian/orderReturns");
+const supplierRoutes = require("./property_custodian/suppliers");
+const purchaseOrderRoutes = require("./property_custodian/purchaseOrders");
 const cartRoutes = require("./cart");
 const notificationRoutes = require("./notification");
 const transactionRoutes = require("./transaction");
+const paymentRoutes = require("./payment");
 const userRoutes = require("./system_admin/users");
 const emailRoleAssignmentRoutes = require("./system_admin/emailRoleAssignments");
 const roleRoutes = require("./system_admin/roles");
@@ -15,6 +22,14 @@ const systemAdminItemsRoutes = require("./system_admin/items");
 const maintenanceRoutes = require("./system_admin/maintenance");
 const studentPermissionsRoutes = require("./system_admin/student_permissions");
 const studentStatusRoutes = require("./system_admin/student_status");
+const maxOrderRulesRoutes = require("./system_admin/maxOrderRules");
+const totalItemLimitPolicyRoutes = require("./system_admin/totalItemLimitPolicies");
+const nonWorkingDaysRoutes = require("./system_admin/nonWorkingDays");
+const voidStrikeAppealRoutes = require("./system_admin/voidStrikeAppeals");
+const voidStrikeRoutes = require("./voidStrikes");
+const { getNonWorkingDateSet } = require("../services/system_admin/nonWorkingDays.service");
+const { toDateOnly } = require("../utils/dateOnly");
+const OrderService = require("../services/property_custodian/order.service");
 const maintenanceController = require("../controllers/system_admin/maintenance.controller");
 
 // Contact routes
@@ -33,15 +48,37 @@ router.use("/items", itemsRoutes);
 // Order routes
 router.use("/orders", orderRoutes);
 
+// Stock count (cycle count) sessions (Property Custodian only)
+router.use("/stock-counts", stockCountRoutes);
+
+// Pickup appointment slots (custodian slots, student bookings)
+router.use("/pickup-slots", pickupSlotRoutes);
+
+// Cashier payments, refunds and official receipt numbers (staff only)
+router.use("/cashier", cashierPaymentRoutes);
+
+// Returns and size exchanges of released order lines (staff only)
+router.use("/order-returns", orderReturnRoutes);
+
+// Suppliers and purchase orders for restocking (staff only)
+router.use("/suppliers", supplierRoutes);
+router.use("/purchase-orders", purchaseOrderRoutes);
+
 // Cart routes (Student only)
 router.use("/cart", cartRoutes);
 
 // Notification routes
 router.use("/notifications", notificationRoutes);
 
+// Void strike history and appeals (Student only)
+router.use("/void-strikes", voidStrikeRoutes);
+
 // Transaction routes (Property Custodian only)
 router.use("/transactions", transactionRoutes);
 
+// Online payments (checkout, provider webhooks, mock gateway in development)
+router.use("/payments", paymentRoutes);
+
 // User management routes (System Admin only)
 router.use("/users", userRoutes);
 
@@ -66,13 +103,54 @@ router.use("/system-admin/student-permissions", studentPermissionsRoutes);
 // Student status routes (System Admin/Property Custodian)
 router.use("/system-admin/students", studentStatusRoutes);
 
+// Max-per-item order rules (System Admin only)
+router.use("/system-admin/max-order-rules", maxOrderRulesRoutes);
+
+// Default total item limit policies (System Admin only)
+router.use("/system-admin/total-item-limit-policies", totalItemLimitPolicyRoutes);
+
+// School holiday / office closure calendar for claim windows (System Admin only)
+router.use("/system-admin/non-working-days", nonWorkingDaysRoutes);
+
+// Void strike appeals review / reinstatement (System Admin only)
+router.use("/system-admin/void-strike-appeals", voidStrikeAppealRoutes);
+
 // Public maintenance status endpoint (no auth required)
 router.get("/maintenance/status", maintenanceController.getMaintenanceStatus);
 
-// Public config for frontend (e.g. QR validity = VOID_UNCLAIMED_AFTER_DAYS, weekdays only)
-router.get("/config", (_req, res) => {
-  const qrValidDays = parseInt(process.env.VOID_UNCLAIMED_AFTER_DAYS, 10) || 7;
-  res.json({ qrValidDays });
+// Public config for frontend. qrValidDays is computed with the non-working days calendar:
+// the calendar days an order placed today stays claimable (VOID_UNCLAIMED_AFTER_DAYS working
+// days, weekends and holidays / closures skipped); claimDeadline is that last day.
+// nonWorkingDays lists the holidays / closures around today; orders also carry claim_deadline.
+router.get("/config", async (_req, res) => {
+  const claimWorkingDays = parseInt(process.env.VOID_UNCLAIMED_AFTER_DAYS, 10) || 7;
+  let calendar = new Set();
+  try {
+    calendar = await getNonWorkingDateSet();
+  } catch (error) {
+    console.error("Config: failed to load non-working days:", error);
+  }
+
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const claimDeadline = await OrderService.getClaimDeadline({ created_at: today }, calendar);
+  claimDeadline.setHours(0, 0, 0, 0);
+  const qrValidDays = Math.round((claimDeadline - today) / (24 * 60 * 60 * 1000));
+
+  const from = new Date(today);
+  from.setDate(from.getDate() - 60);
+  const to = new Date(today);
+  to.setDate(to.getDate() + 120);
+  const fromDay = toDateOnly(from);
+  const toDay = toDateOnly(to);
+  const nonWorkingDays = [...calendar].filter((date) => date >= fromDay && date <= toDay).sort();
+
+  res.json({
+    qrValidDays,
+    claimWorkingDays,
+    claimDeadline: toDateOnly(claimDeadline),
+    nonWorkingDays,
+  });
 });
 
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const notificationController = require("../controllers/notification.controller");
+const { verifyToken } = require("../middleware/auth");
 // const auth = require("../middleware/auth"); // Uncomment when auth middleware is ready
 
 /**
@@ -51,5 +52,23 @@ router.patch("/:id/read", notificationController.markAsRead);
  */
 router.delete("/:id", notificationController.deleteNotification);
 
+// ============================================================================
+// EMAIL PREFERENCES
+// ============================================================================
+
+/**
+ * GET /api/notifications/email-preferences
+ * Order email preferences of the authenticated user (defaults to all on)
+ */
+router.get("/email-preferences", verifyToken, notificationController.getEmailPreferences);
+
+/**
+ * PUT /api/notifications/email-preferences
+ * Turn individual order emails (or all of them) on or off
+ * Request Body: { order_placed?, order_ready?, order_claimed?, order_cancelled?,
+ *                 order_auto_voided?, pre_order_converted?, claim_reminder?, unsubscribed_all? }
+ */
+router.put("/email-preferences", verifyToken, notificationController.updateEmailPreferences);
+
 module.exports = router;
 
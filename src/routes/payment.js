@@ -0,0 +1,58 @@
+const express = require("express");
+const router = express.Router();
+const paymentController = require("../controllers/payment.controller");
+const { verifyToken } = require("../middleware/auth");
+
+/**
+ * Payment Routes
+ * Base path: /api/payments
+ *
+ * Online checkout through the configured payment provider (PAYMENT_PROVIDER)
+ */
+
+// ============================================================================
+// CHECKOUT
+// ============================================================================
+
+/**
+ * POST /api/payments/orders/:orderId/checkout
+ * Start an online checkout for the student's own order (order -> payment_pending)
+ */
+router.post("/orders/:orderId/checkout", verifyToken, paymentController.startCheckout);
+
+/**
+ * GET /api/payments/orders/:orderId
+ * Payment attempts for an order
+ */
+router.get("/orders/:orderId", verifyToken, paymentController.getOrderPayments);
+
+// ============================================================================
+// PROVIDER WEBHOOKS (signature-verified, no auth)
+// ============================================================================
+
+/**
+ * POST /api/payments/webhooks/:provider
+ * Payment events from the provider; paid events move the order to paid
+ */
+router.post("/webhooks/:provider", paymentController.handleWebhook);
+
+// ============================================================================
+// MOCK GATEWAY (development and tests only)
+// ============================================================================
+
+if (process.env.NODE_ENV !== "production") {
+  /**
+   * GET /api/payments/mock/checkout/:reference
+   * Mock checkout page with Pay / Decline / Expire buttons
+   */
+  router.get("/mock/checkout/:reference", paymentController.showMockCheckout);
+
+  /**
+   * POST /api/payments/mock/checkout/:reference/complete
+   * Sends the signed webhook for the chosen outcome
+   * Body: { outcome: "paid" | "failed" | "expired" }
+   */
+  router.post("/mock/checkout/:reference/complete", paymentController.completeMockCheckout);
+}
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require("express");
+const router = express.Router();
+const cashierPaymentController = require("../../controllers/property_custodian/cashierPayment.controller");
+const {
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  requireSystemAdmin,
+} = require("../../middleware/auth");
+
+/**
+ * Cashier Payment Routes
+ * Base path: /api/cashier
+ *
+ * Walk-in payments with official receipt (OR) numbers, refunds and daily collections
+ * (staff only)
+ */
+
+router.use(verifyToken);
+router.use(requireAdminOrPropertyCustodian);
+
+// ============================================================================
+// ORDER PAYMENTS
+// ============================================================================
+
+/**
+ * GET /api/cashier/orders/:orderId/payments
+ * Payments and refunds for an order with total, amount paid, balance and refund due
+ */
+router.get("/orders/:orderId/payments", cashierPaymentController.getOrderPayments);
+
+/**
+ * POST /api/cashier/orders/:orderId/payments
+ * Record a full or partial payment; issues the next OR number. The order moves to paid
+ * once nothing is left to pay.
+ * Body: { method: "cash" | "gcash" | "maya" | "bank_transfer" | "check", amount?,
+ *         amountTendered? (cash), referenceNumber? (required for non-cash), notes? }
+ */
+router.post("/orders/:orderId/payments", cashierPaymentController.recordPayment);
+
+/**
+ * POST /api/cashier/orders/:orderId/refunds
+ * Refund money paid on a cancelled order, or paid beyond what the order now costs
+ * (amount defaults to everything refundable)
+ * Body: { method, reason, amount?, referenceNumber?, notes? }
+ */
+router.post("/orders/:orderId/refunds", cashierPaymentController.refundPayment);
+
+/**
+ * GET /api/cashier/refunds-due
+ * Orders that hold money to refund (cancelled, or paid beyond their total)
+ */
+router.get("/refunds-due", cashierPaymentController.getRefundsDue);
+
+// ============================================================================
+// COLLECTIONS
+// ============================================================================
+
+/**
+ * GET /api/cashier/daily-summary
+ * Collections per cashier for a day: totals by method, refunds, cash on hand, OR range
+ *
+ * Query Parameters:
+ * - date: YYYY-MM-DD (default today)
+ * - cashierId: staff id, or "me"
+ */
+router.get("/daily-summary", cashierPaymentController.getDailySummary);
+
+// ============================================================================
+// OFFICIAL RECEIPT NUMBERING
+// ============================================================================
+
+/**
+ * GET /api/cashier/receipt-sequence
+ * OR prefix, padding and the next number to be issued
+ */
+router.get("/receipt-sequence", cashierPaymentController.getReceiptSequence);
+
+/**
+ * PUT /api/cashier/receipt-sequence
+ * Change the OR numbering (System Admin only); the number cannot go back within a prefix
+ * Body: { prefix?, nextNumber?, padding? }
+ */
+router.put("/receipt-sequence", requireSystemAdmin, cashierPaymentController.updateReceiptSequence);
+
+module.exports = router;
@@ -1,10 +1,14 @@
 const express = require("express");
 const router = express.Router();
 const itemsController = require("../../controllers/property_custodian/items.controller");
+const fiscalYearRolloverController = require("../../controllers/property_custodian/fiscalYearRollover.controller");
+const fiscalYearClosingController = require("../../controllers/property_custodian/fiscalYearClosing.controller");
 const {
   verifyToken,
   requireAdminOrPropertyCustodian,
+  requireSystemAdmin,
 } = require("../../middleware/auth");
+const { idempotency } = require("../../middleware/idempotency");
 
 /**
  * Items Routes
@@ -32,9 +36,87 @@ router.get("/low-stock", itemsController.getLowStockItems);
 /**
  * GET /api/items/inventory-report
  * Get full inventory report with beginning inventory, purchases, etc.
+ *
+ * Query Parameters:
+ * - startDate / endDate: Period for purchases, releases and returns
+ * - educationLevel: Filter by education level
+ * - format: json (default) | csv | xlsx (property report download)
  */
 router.get("/inventory-report", itemsController.getInventoryReport);
 
+/**
+ * GET /api/items/demand-forecast
+ * Forecast demand per item / size and suggest purchase quantities for a school year (staff only)
+ *
+ * Query Parameters:
+ * - schoolYear: School year to buy for, e.g. "2026-2027" (default: next school year)
+ * - historyYears: School years of orders to learn from, 1-5 (default 1)
+ * - educationLevel: Filter by education level
+ * - format: json (default) | csv | xlsx (purchase request draft download)
+ */
+router.get(
+  "/demand-forecast",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  itemsController.getDemandForecast,
+);
+
+/**
+ * GET /api/items/fiscal-year-closings
+ * Fiscal years closed by a rollover, with their totals (staff only)
+ */
+router.get(
+  "/fiscal-year-closings",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  fiscalYearClosingController.getClosings,
+);
+
+/**
+ * GET /api/items/fiscal-year-closings/:fiscalYear
+ * Frozen closing figures of a fiscal year per item / size (staff only)
+ *
+ * Query Parameters:
+ * - educationLevel: Filter by education level
+ */
+router.get(
+  "/fiscal-year-closings/:fiscalYear",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  fiscalYearClosingController.getClosing,
+);
+
+/**
+ * GET /api/items/fiscal-year-comparison
+ * Two fiscal years side by side per item / size, for audit and budgeting (staff only)
+ * A fiscal year not closed yet can only be the current one (live figures)
+ *
+ * Query Parameters:
+ * - baseYear, compareYear: e.g. "2025-2026" and "2026-2027"
+ * - educationLevel: Filter by education level
+ */
+router.get(
+  "/fiscal-year-comparison",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  fiscalYearClosingController.compareFiscalYears,
+);
+
+/**
+ * GET /api/items/stock-ledger/reconciliation
+ * Items / size variants whose current stock disagrees with the stock ledger (staff only)
+ *
+ * Query Parameters:
+ * - itemId: Check a single item
+ * - educationLevel: Filter by education level
+ */
+router.get(
+  "/stock-ledger/reconciliation",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  itemsController.getStockReconciliation,
+);
+
 /**
  * GET /api/items/sizes/:name/:educationLevel
  * Get available sizes for a product by name and education level
@@ -114,37 +196,103 @@ router.put(
 /**
  * PATCH /api/items/:id/adjust
  * Adjust item stock quantity (staff only)
+ * Supports Idempotency-Key header (retries replay the first result)
  */
 router.patch(
   "/:id/adjust",
   verifyToken,
   requireAdminOrPropertyCustodian,
+  idempotency(),
   itemsController.adjustStock,
 );
 
 /**
  * POST /api/items/:id/add-stock
  * Add stock to item (goes to purchases) (staff only)
+ * Supports Idempotency-Key header (retries replay the first result)
  */
 router.post(
   "/:id/add-stock",
   verifyToken,
   requireAdminOrPropertyCustodian,
+  idempotency(),
   itemsController.addStock,
 );
 
+// ============================================================================
+// FISCAL YEAR ROLLOVER
+// ============================================================================
+
+/**
+ * GET /api/items/fiscal-year-rollover/preview
+ * Dry run: per-item / per-size carry-forward the rollover would apply (nothing is changed)
+ *
+ * Query Parameters:
+ * - rolloverDate: YYYY-MM-DD (defaults to today)
+ */
+router.get(
+  "/fiscal-year-rollover/preview",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  fiscalYearRolloverController.previewRollover,
+);
+
 /**
  * POST /api/items/fiscal-year-rollover
  * Perform fiscal year rollover for all items
- * Carries forward ending inventory as beginning inventory for new fiscal year
- * Body: { rolloverDate? } (optional, defaults to today)
- * Note: Add auth.requireAdmin middleware when ready
+ * Carries forward ending inventory as beginning inventory for new fiscal year; the run is
+ * recorded with a snapshot of each item it changes
+ * Body: { rolloverDate?, dryRun? } (rolloverDate defaults to today; dryRun: true only previews)
+ */
+router.post(
+  "/fiscal-year-rollover",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  fiscalYearRolloverController.performRollover,
+);
+
+/**
+ * GET /api/items/fiscal-year-rollover/runs
+ * Rollover runs per fiscal year, newest first
+ *
+ * Query Parameters:
+ * - fiscalYear: e.g. 2026-2027
+ * - status: completed | rolled_back
+ */
+router.get(
+  "/fiscal-year-rollover/runs",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  fiscalYearRolloverController.getRuns,
+);
+
+/**
+ * GET /api/items/fiscal-year-rollover/runs/:runId
+ * Rollover run with each item's before / after beginning inventory, per size
+ */
+router.get(
+  "/fiscal-year-rollover/runs/:runId",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  fiscalYearRolloverController.getRunById,
+);
+
+/**
+ * POST /api/items/fiscal-year-rollover/runs/:runId/rollback
+ * Restore the pre-rollover beginning inventory of a run (system admin only; latest run first)
+ * Body: { reason }
  */
-router.post("/fiscal-year-rollover", itemsController.performFiscalYearRollover);
+router.post(
+  "/fiscal-year-rollover/runs/:runId/rollback",
+  verifyToken,
+  requireSystemAdmin,
+  fiscalYearRolloverController.rollbackRun,
+);
 
 /**
  * POST /api/items/:id/record-return
  * Record a return (student returned item); appears in Returns table (staff only)
+ * Returns and size exchanges of a specific order line go through /api/order-returns
  */
 router.post(
   "/:id/record-return",
@@ -175,6 +323,38 @@ router.post(
   itemsController.resetBeginningInventory,
 );
 
+/**
+ * GET /api/items/:id/stock-movements
+ * Stock ledger entries for an item, newest first (staff only)
+ *
+ * Query Parameters:
+ * - size: Filter by size
+ * - from / to: Date range (to = date-only means end of that day)
+ * - reasonCode: Filter by reason code (PURCHASE, ORDER_PLACED, ...)
+ * - limit: Max entries (default: 200, max: 1000)
+ */
+router.get(
+  "/:id/stock-movements",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  itemsController.getStockMovements,
+);
+
+/**
+ * GET /api/items/:id/on-hand
+ * On-hand quantity rebuilt from the stock ledger at a past date (staff only)
+ *
+ * Query Parameters:
+ * - size: Single size (omit for every size)
+ * - asOf: Date/time (default: now; date-only means end of that day)
+ */
+router.get(
+  "/:id/on-hand",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  itemsController.getOnHandAt,
+);
+
 /**
  * PATCH /api/items/:id/archive
  * Archive item (hidden from default list; show when filter "Archived") (staff only)
@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const orderReturnController = require("../../controllers/property_custodian/orderReturn.controller");
+const { verifyToken, requireAdminOrPropertyCustodian } = require("../../middleware/auth");
+
+/**
+ * Order Return Routes
+ * Base path: /api/order-returns
+ *
+ * Returns and size exchanges of released order lines (staff only)
+ */
+
+router.use(verifyToken);
+router.use(requireAdminOrPropertyCustodian);
+
+/**
+ * GET /api/order-returns
+ * List returns and exchanges, newest first
+ *
+ * Query Parameters:
+ * - orderId: only this order
+ * - type: return | exchange
+ * - from, to: processed in this range (ISO date/time)
+ */
+router.get("/", orderReturnController.getReturns);
+
+/**
+ * GET /api/order-returns/orders/:orderId
+ * Order lines with released, returned and returnable quantities, plus past returns
+ */
+router.get("/orders/:orderId", orderReturnController.getReturnableLines);
+
+/**
+ * POST /api/order-returns/orders/:orderId
+ * Return (refund) or exchange released units of one order line. Restocks the returned size
+ * and, for an exchange, takes the replacement size out of stock and releases it in the same
+ * step. The order total follows the change; settle the difference at /api/cashier.
+ * Body: { lineIndex, quantity, type: "return" | "exchange", replacementSize?, reason, notes? }
+ */
+router.post("/orders/:orderId", orderReturnController.createReturn);
+
+module.exports = router;
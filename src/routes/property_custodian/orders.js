@@ -1,7 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../../controllers/property_custodian/order.controller");
-const { verifyToken } = require("../../middleware/auth");
+const { verifyToken, requireAdminOrPropertyCustodian } = require("../../middleware/auth");
+const { idempotency } = require("../../middleware/idempotency");
 
 /**
  * Orders Routes
@@ -44,6 +45,60 @@ router.get("/", orderController.getOrders);
  */
 router.get("/number/:orderNumber", orderController.getOrderByNumber);
 
+/**
+ * POST /api/orders/verify-qr
+ * Verify a scanned receipt QR (signature + expiry) and return the order's live status
+ */
+router.post(
+  "/verify-qr",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  orderController.verifyQR
+);
+
+/**
+ * POST /api/orders/claim/checklist
+ * Scan-to-release step 1: list the expected items/sizes for a scanned receipt QR
+ */
+router.post(
+  "/claim/checklist",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  orderController.getClaimChecklist
+);
+
+/**
+ * POST /api/orders/claim/release
+ * Scan-to-release step 2: release the lines the custodian confirmed (partial release allowed)
+ */
+router.post(
+  "/claim/release",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  orderController.releaseOrder
+);
+
+/**
+ * GET /api/orders/claim-slips.pdf
+ * Printable claim slips (PDF) for all orders with status "ready"
+ *
+ * Query Parameters:
+ * - education_level: Filter by education level
+ */
+router.get(
+  "/claim-slips.pdf",
+  verifyToken,
+  requireAdminOrPropertyCustodian,
+  orderController.getClaimSlipsPdf
+);
+
+/**
+ * GET /api/orders/:id/receipt.pdf
+ * Printable order receipt (PDF) with QR code and claim deadline
+ * Students may only download their own order's receipt
+ */
+router.get("/:id/receipt.pdf", verifyToken, orderController.getOrderReceiptPdf);
+
 /**
  * GET /api/orders/:id
  * Get single order by ID
@@ -53,8 +108,9 @@ router.get("/:id", orderController.getOrderById);
 /**
  * POST /api/orders
  * Create new order (requires auth so student_id/student_email align with max-quantities)
+ * Supports Idempotency-Key header so a double-clicked "Place order" creates one order
  */
-router.post("/", verifyToken, orderController.createOrder);
+router.post("/", verifyToken, idempotency(), orderController.createOrder);
 
 /**
  * PATCH /api/orders/:id/confirm
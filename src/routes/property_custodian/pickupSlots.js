@@ -0,0 +1,105 @@
+const express = require("express");
+const router = express.Router();
+const pickupSlotController = require("../../controllers/property_custodian/pickupSlot.controller");
+const {
+  verifyToken,
+  requireStudent,
+  requireAdminOrPropertyCustodian,
+} = require("../../middleware/auth");
+
+/**
+ * Pickup Slot Routes
+ * Base path: /api/pickup-slots
+ *
+ * Claim appointment scheduling: custodians open time slots with a capacity,
+ * students with ready orders book, reschedule or cancel a slot
+ */
+
+router.use(verifyToken);
+
+// ============================================================================
+// STUDENT BOOKINGS
+// ============================================================================
+
+/**
+ * GET /api/pickup-slots/available
+ * Upcoming slots with room left
+ *
+ * Query Parameters:
+ * - orderId: only slots before this order's claim deadline
+ */
+router.get("/available", requireStudent, pickupSlotController.getAvailableSlots);
+
+/**
+ * GET /api/pickup-slots/appointments/me
+ * The logged-in student's booked appointments
+ */
+router.get("/appointments/me", requireStudent, pickupSlotController.getMyAppointments);
+
+/**
+ * POST /api/pickup-slots/appointments
+ * Book a slot for an order that is ready for pickup
+ * Body: { orderId, slotId }
+ */
+router.post("/appointments", requireStudent, pickupSlotController.bookAppointment);
+
+/**
+ * PATCH /api/pickup-slots/appointments/:appointmentId
+ * Reschedule to another slot
+ * Body: { slotId }
+ */
+router.patch("/appointments/:appointmentId", requireStudent, pickupSlotController.rescheduleAppointment);
+
+/**
+ * DELETE /api/pickup-slots/appointments/:appointmentId
+ * Cancel an appointment
+ */
+router.delete("/appointments/:appointmentId", requireStudent, pickupSlotController.cancelAppointment);
+
+// ============================================================================
+// SLOTS (staff)
+// ============================================================================
+
+/**
+ * GET /api/pickup-slots
+ * List slots with booked counts and remaining capacity
+ *
+ * Query Parameters:
+ * - from, to: only slots starting in this range
+ * - includeInactive: "true" to include removed slots
+ */
+router.get("/", requireAdminOrPropertyCustodian, pickupSlotController.getSlots);
+
+/**
+ * POST /api/pickup-slots
+ * Open a slot
+ * Body: { startsAt, endsAt, capacity, notes? }
+ */
+router.post("/", requireAdminOrPropertyCustodian, pickupSlotController.createSlot);
+
+/**
+ * POST /api/pickup-slots/generate
+ * Open back-to-back slots for one day
+ * Body: { date, startTime, endTime, slotMinutes, capacity, notes? }
+ */
+router.post("/generate", requireAdminOrPropertyCustodian, pickupSlotController.generateSlots);
+
+/**
+ * GET /api/pickup-slots/:id/queue
+ * Orders booked in the slot and totals per item / size to prepare
+ */
+router.get("/:id/queue", requireAdminOrPropertyCustodian, pickupSlotController.getSlotQueue);
+
+/**
+ * PUT /api/pickup-slots/:id
+ * Change time, capacity or notes
+ */
+router.put("/:id", requireAdminOrPropertyCustodian, pickupSlotController.updateSlot);
+
+/**
+ * DELETE /api/pickup-slots/:id
+ * Remove a slot with no bookings
+ */
+router.delete("/:id", requireAdminOrPropertyCustodian, pickupSlotController.deleteSlot);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require("express");
+const router = express.Router();
+const purchaseOrderController = require("../../controllers/property_custodian/purchaseOrder.controller");
+const { verifyToken, requireAdminOrPropertyCustodian } = require("../../middleware/auth");
+const { idempotency } = require("../../middleware/idempotency");
+
+/**
+ * Purchase Order Routes
+ * Base path: /api/purchase-orders
+ *
+ * Purchase orders for restocking: draft, order, receive deliveries into stock (staff only)
+ */
+
+router.use(verifyToken);
+router.use(requireAdminOrPropertyCustodian);
+
+// ============================================================================
+// PURCHASE ORDERS
+// ============================================================================
+
+/**
+ * GET /api/purchase-orders
+ * List purchase orders with total, received and outstanding quantities
+ *
+ * Query Parameters:
+ * - status: draft | ordered | partially_received | received | closed | cancelled
+ * - supplierId: Filter by supplier
+ * - search: PO number or supplier name
+ */
+router.get("/", purchaseOrderController.getPurchaseOrders);
+
+/**
+ * GET /api/purchase-orders/outstanding
+ * Lines of open purchase orders still to be delivered, and units on order per item / size
+ *
+ * Query Parameters:
+ * - supplierId, itemId, educationLevel: Filters
+ */
+router.get("/outstanding", purchaseOrderController.getOutstanding);
+
+/**
+ * POST /api/purchase-orders
+ * Draft a purchase order; issues the next PO number
+ * Body: { supplierId, expectedDate? (YYYY-MM-DD), notes?,
+ *         lines: [{ itemId, size? (required for items with several sizes), quantity, unitCost? }] }
+ */
+router.post("/", purchaseOrderController.createPurchaseOrder);
+
+/**
+ * GET /api/purchase-orders/:id
+ * Purchase order with its lines (received / outstanding) and deliveries
+ */
+router.get("/:id", purchaseOrderController.getPurchaseOrderById);
+
+/**
+ * PUT /api/purchase-orders/:id
+ * Edit a draft; lines, when given, replace all lines
+ * Body: any of { supplierId, expectedDate, notes, lines }
+ */
+router.put("/:id", purchaseOrderController.updatePurchaseOrder);
+
+/**
+ * POST /api/purchase-orders/:id/order
+ * Mark a draft as sent to the supplier; expectedDate defaults to today + supplier lead time
+ * Body: { expectedDate? }
+ */
+router.post("/:id/order", purchaseOrderController.placeOrder);
+
+// ============================================================================
+// DELIVERIES
+// ============================================================================
+
+/**
+ * POST /api/purchase-orders/:id/deliveries
+ * Receive a full or partial delivery; each line is added to stock (purchases / FIFO batch)
+ * Body: { lines: [{ lineId, quantity, unitCost? }], deliveryReference?, deliveredAt?, notes? }
+ */
+router.post("/:id/deliveries", idempotency(), purchaseOrderController.receiveDelivery);
+
+/**
+ * POST /api/purchase-orders/:id/deliveries/:deliveryId/post
+ * Post delivery lines that could not be added to stock when received
+ */
+router.post("/:id/deliveries/:deliveryId/post", purchaseOrderController.postDelivery);
+
+// ============================================================================
+// CLOSING
+// ============================================================================
+
+/**
+ * POST /api/purchase-orders/:id/close
+ * Close a partially received purchase order; the remaining balance is no longer expected
+ * Body: { reason }
+ */
+router.post("/:id/close", purchaseOrderController.closePurchaseOrder);
+
+/**
+ * POST /api/purchase-orders/:id/cancel
+ * Cancel a draft or ordered purchase order with nothing received
+ */
+router.post("/:id/cancel", purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
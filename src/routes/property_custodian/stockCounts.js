@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+const stockCountController = require("../../controllers/property_custodian/stockCount.controller");
+const { verifyToken, requireAdminOrPropertyCustodian } = require("../../middleware/auth");
+
+/**
+ * Stock Count Routes
+ * Base path: /api/stock-counts
+ *
+ * Physical stock count (cycle count) sessions (staff only)
+ */
+
+router.use(verifyToken);
+router.use(requireAdminOrPropertyCustodian);
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * GET /api/stock-counts
+ * List count sessions
+ *
+ * Query Parameters:
+ * - status: open | posted | cancelled
+ * - educationLevel: Filter by education level
+ */
+router.get("/", stockCountController.getSessions);
+
+/**
+ * POST /api/stock-counts
+ * Open a count session; builds the count sheet (one line per item / size)
+ * Body: { title?, educationLevel?, notes? }
+ */
+router.post("/", stockCountController.openSession);
+
+/**
+ * GET /api/stock-counts/:id
+ * Session with its count sheet and variance against live system stock
+ *
+ * Query Parameters:
+ * - educationLevel: Only lines for this education level
+ * - onlyVariances: "true" for counted lines that differ from system stock
+ */
+router.get("/:id", stockCountController.getSessionById);
+
+// ============================================================================
+// COUNTING & REVIEW
+// ============================================================================
+
+/**
+ * PATCH /api/stock-counts/:id/counts
+ * Enter counted quantities
+ * Body: { counts: [{ lineId, countedQuantity }] }
+ */
+router.patch("/:id/counts", stockCountController.enterCounts);
+
+/**
+ * PATCH /api/stock-counts/:id/review
+ * Approve (with a reason) or reject variances
+ * Body: { lines: [{ lineId, approved, reason }] }
+ */
+router.patch("/:id/review", stockCountController.reviewVariances);
+
+/**
+ * POST /api/stock-counts/:id/post
+ * Post approved variances as stock adjustments and close the session
+ */
+router.post("/:id/post", stockCountController.postSession);
+
+/**
+ * POST /api/stock-counts/:id/cancel
+ * Cancel an open session without changing stock
+ */
+router.post("/:id/cancel", stockCountController.cancelSession);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const supplierController = require("../../controllers/property_custodian/supplier.controller");
+const { verifyToken, requireAdminOrPropertyCustodian } = require("../../middleware/auth");
+
+/**
+ * Supplier Routes
+ * Base path: /api/suppliers
+ *
+ * Suppliers for purchase orders, with lead times and outstanding balances (staff only)
+ */
+
+router.use(verifyToken);
+router.use(requireAdminOrPropertyCustodian);
+
+/**
+ * GET /api/suppliers
+ * List suppliers with quoted and actual lead times, open purchase orders and outstanding balance
+ *
+ * Query Parameters:
+ * - active: "true" | "false"
+ * - search: Name or contact person
+ */
+router.get("/", supplierController.getSuppliers);
+
+/**
+ * POST /api/suppliers
+ * Add a supplier
+ * Body: { name, contactPerson?, email?, phone?, address?, leadTimeDays?, notes? }
+ */
+router.post("/", supplierController.createSupplier);
+
+/**
+ * GET /api/suppliers/:id
+ * Supplier with lead times and its open purchase orders
+ */
+router.get("/:id", supplierController.getSupplierById);
+
+/**
+ * PUT /api/suppliers/:id
+ * Update details, quoted lead time, or deactivate (isActive: false)
+ * Body: any of { name, contactPerson, email, phone, address, leadTimeDays, notes, isActive }
+ */
+router.put("/:id", supplierController.updateSupplier);
+
+module.exports = router;
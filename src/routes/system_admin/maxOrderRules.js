@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const maxOrderRulesController = require("../../controllers/system_admin/maxOrderRules.controller");
+const { verifyToken, requireSystemAdmin } = require("../../middleware/auth");
+
+// All routes require authentication and system admin role
+router.use(verifyToken);
+router.use(requireSystemAdmin);
+
+// List max order rules (filter by segment, item, effective date)
+router.get("/", maxOrderRulesController.getRules);
+
+// Audit trail of rule changes (MUST come before /:id route)
+router.get("/audit", maxOrderRulesController.getRuleAudit);
+
+// Seed rules from itemMaxOrder.js defaults (MUST come before /:id route)
+router.post("/seed", maxOrderRulesController.seedRules);
+
+// Create a rule
+router.post("/", maxOrderRulesController.createRule);
+
+// Update a rule
+router.put("/:id", maxOrderRulesController.updateRule);
+
+// Delete (deactivate) a rule
+router.delete("/:id", maxOrderRulesController.deleteRule);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const nonWorkingDaysController = require("../../controllers/system_admin/nonWorkingDays.controller");
+const { verifyToken, requireSystemAdmin } = require("../../middleware/auth");
+
+// All routes require authentication and system admin role
+router.use(verifyToken);
+router.use(requireSystemAdmin);
+
+// List holidays, exam weeks and office closures
+router.get("/", nonWorkingDaysController.getNonWorkingDays);
+
+// Add a non-working day or date range
+router.post("/", nonWorkingDaysController.createNonWorkingDay);
+
+// Update an entry
+router.put("/:id", nonWorkingDaysController.updateNonWorkingDay);
+
+// Remove (deactivate) an entry
+router.delete("/:id", nonWorkingDaysController.deleteNonWorkingDay);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const totalItemLimitPolicyController = require("../../controllers/system_admin/totalItemLimitPolicy.controller");
+const { verifyToken, requireSystemAdmin } = require("../../middleware/auth");
+
+// All routes require authentication and system admin role
+router.use(verifyToken);
+router.use(requireSystemAdmin);
+
+// List total item limit policies
+router.get("/", totalItemLimitPolicyController.getPolicies);
+
+// Preview which rule applies to a segment (MUST come before /:id route)
+router.get("/resolve", totalItemLimitPolicyController.resolvePolicy);
+
+// Create a policy
+router.post("/", totalItemLimitPolicyController.createPolicy);
+
+// Update a policy
+router.put("/:id", totalItemLimitPolicyController.updatePolicy);
+
+// Delete (deactivate) a policy
+router.delete("/:id", totalItemLimitPolicyController.deletePolicy);
+
+module.exports = router;
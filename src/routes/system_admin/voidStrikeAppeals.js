@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const voidStrikeAppealsController = require("../../controllers/system_admin/voidStrikeAppeals.controller");
+const { verifyToken, requireSystemAdmin } = require("../../middleware/auth");
+
+// All routes require authentication and system admin role
+router.use(verifyToken);
+router.use(requireSystemAdmin);
+
+// List appeals (filter by status / student)
+router.get("/", voidStrikeAppealsController.getAppeals);
+
+// Audit trail of strikes, appeals and reviews
+router.get("/audit", voidStrikeAppealsController.getAudit);
+
+// A student's strike history (which orders, when, cleared or active)
+router.get("/students/:studentId/strikes", voidStrikeAppealsController.getStudentStrikeHistory);
+
+// Approve: clear strikes and restore the student's previous limit
+router.post("/:id/approve", voidStrikeAppealsController.approveAppeal);
+
+// Reject (review notes required)
+router.post("/:id/reject", voidStrikeAppealsController.rejectAppeal);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const voidStrikeAppealsController = require("../controllers/system_admin/voidStrikeAppeals.controller");
+const { verifyToken, requireStudent } = require("../middleware/auth");
+
+/**
+ * Void Strike Routes
+ * Base path: /api/void-strikes
+ *
+ * Students see the strikes from their unclaimed (auto-voided) orders and appeal them.
+ * Appeals are reviewed under /api/system-admin/void-strike-appeals.
+ */
+
+router.use(verifyToken);
+router.use(requireStudent);
+
+/**
+ * GET /api/void-strikes/me
+ * Strike history, block state and appeals of the logged-in student
+ */
+router.get("/me", voidStrikeAppealsController.getMyStrikeHistory);
+
+/**
+ * POST /api/void-strikes/appeals
+ * Submit an appeal with a reason (one pending appeal at a time)
+ */
+router.post("/appeals", voidStrikeAppealsController.submitAppeal);
+
+module.exports = router;
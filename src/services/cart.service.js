@@ -1,5 +1,6 @@
 const supabase = require("../config/supabase");
 const { getStudentIdForUser, getProfileByEmail } = require("./profileResolver.service");
+const ItemVariantsService = require("./property_custodian/itemVariants.service");
 
 /**
  * Cart Service
@@ -144,6 +145,7 @@ class CartService {
       inventoryData.forEach((inv) => {
         inventoryMap[inv.id] = inv;
       });
+      const variantsByItemId = await ItemVariantsService.getVariantsByItemIds(inventoryIds);
 
       // Transform data to include inventory details with correct price for size
       const transformedData = cartItems.map((item) => {
@@ -151,30 +153,24 @@ class CartService {
         let finalPrice = inventoryItem ? inventoryItem.price : 0;
         let stock = inventoryItem ? inventoryItem.stock : 0;
         
-        // Check for variant price in note field
-        if (inventoryItem && inventoryItem.note && item.size && item.size !== "N/A") {
-          try {
-             const parsedNote = JSON.parse(inventoryItem.note);
-             if (parsedNote && parsedNote._type === 'sizeVariations' && Array.isArray(parsedNote.sizeVariations)) {
-                // Find matching variant
-                const variant = parsedNote.sizeVariations.find(v => {
-                   const vSize = v.size || "";
-                   return vSize === item.size || vSize.includes(item.size) || item.size.includes(vSize);
-                });
-                
-                if (variant) {
-                   finalPrice = Number(variant.price) || finalPrice;
-                   stock = Number(variant.stock) || 0; // Variant stock
-                }
-             }
-          } catch (e) {
-             // Ignore parse or lookup errors
+        const layout = ItemVariantsService.getLayout(inventoryItem, variantsByItemId);
+
+        // Use the variant price and stock for the selected size
+        if (inventoryItem && item.size && item.size !== "N/A") {
+          const variant = layout.sizeVariations.find(v => {
+             const vSize = v.size || "";
+             return vSize === item.size || vSize.includes(item.size) || item.size.includes(vSize);
+          });
+
+          if (variant) {
+             finalPrice = Number(variant.price) || finalPrice;
+             stock = Number(variant.stock) || 0; // Variant stock
           }
         }
         
         // Override inventory fields with variant specific data if found
         const enhancedInventory = inventoryItem ? {
-           ...inventoryItem,
+           ...ItemVariantsService.withLayout(inventoryItem, layout),
            price: finalPrice,
            stock: stock // Show variant stock instead of total status
         } : null;
@@ -14,7 +14,7 @@ class NotificationService {
    * @param {string} itemName - Name of the inventory item
    * @param {string} educationLevel - Education level of the item
    * @param {string} size - Size of the item (optional)
-   * @returns {Promise<Array>} - Array of students with pending pre-orders
+   * @returns {Promise<Array>} - Array of students with pending pre-orders, oldest pre-order first
    */
   async findStudentsWithPendingPreOrders(itemName, educationLevel, size = null) {
     try {
@@ -35,7 +35,8 @@ class NotificationService {
         .select("*")
         .eq("order_type", "pre-order")
         .eq("is_active", true)
-        .in("status", ["pending", "processing", "payment_pending"]); // Include payment_pending
+        .in("status", ["pending", "processing", "payment_pending"]) // Include payment_pending
+        .order("created_at", { ascending: true }); // Queue order: first come, first served
 
       if (error) throw error;
 
@@ -136,6 +137,7 @@ class NotificationService {
           studentEmail: order.student_email,
           orderId: order.id,
           orderNumber: order.order_number,
+          createdAt: order.created_at,
           item: matchedItem,
         };
       });
@@ -403,6 +405,142 @@ class NotificationService {
       throw new Error(`Failed to create notification: ${error.message}`);
     }
   }
+
+  /**
+   * Insert one unread notification
+   * @param {Object} notification - { user_id, type, title, message, data }
+   * @param {string} kind - Notification kind for the error log (e.g. "claim reminder")
+   * @returns {Promise<Object>} - Created notification
+   */
+  async _insertNotification(notification, kind) {
+    try {
+      const { data, error } = await supabase
+        .from("notifications")
+        .insert([{ ...notification, is_read: false, created_at: new Date().toISOString() }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        data,
+      };
+    } catch (error) {
+      console.error(`Create ${kind} notification error:`, error);
+      throw new Error(`Failed to create notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create a claim-deadline reminder notification for an unclaimed order
+   * @param {Object} notificationData - { studentId, orderNumber, orderId, claimDeadline, weekdaysLeft }
+   * @returns {Promise<Object>} - Created notification
+   */
+  async createClaimReminderNotification(notificationData) {
+    const { studentId, orderNumber, orderId, claimDeadline, weekdaysLeft } = notificationData;
+
+    const deadlineText = new Date(claimDeadline).toLocaleDateString("en-PH", {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    });
+    const notification = {
+      user_id: studentId,
+      type: "order",
+      title: "Claim Your Order Soon",
+      message: `Your order #${orderNumber} has not been claimed yet. Please claim it on or before ${deadlineText}, or it will be voided automatically.`,
+      data: {
+        orderId,
+        orderNumber,
+        claimDeadline: new Date(claimDeadline).toISOString(),
+        weekdaysLeft,
+        reminder: true,
+      },
+    };
+
+    return this._insertNotification(notification, "claim reminder");
+  }
+
+  /**
+   * Create a reminder that a booked pickup slot is coming up
+   * @param {Object} notificationData - { studentId, orderNumber, orderId, appointmentId, startsAt, endsAt }
+   * @returns {Promise<Object>} - Created notification
+   */
+  async createPickupReminderNotification(notificationData) {
+    const { studentId, orderNumber, orderId, appointmentId, startsAt, endsAt } = notificationData;
+
+    const timeFormat = { hour: "numeric", minute: "2-digit" };
+    const dayText = new Date(startsAt).toLocaleDateString("en-PH", {
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    });
+    const slotText = `${dayText}, ${new Date(startsAt).toLocaleTimeString("en-PH", timeFormat)}–${new Date(
+      endsAt
+    ).toLocaleTimeString("en-PH", timeFormat)}`;
+    const notification = {
+      user_id: studentId,
+      type: "order",
+      title: "Pickup Appointment Soon",
+      message: `Your pickup appointment for order #${orderNumber} is on ${slotText}. Please bring your order receipt or QR code to the Property Custodian Office.`,
+      data: {
+        orderId,
+        orderNumber,
+        appointmentId,
+        startsAt: new Date(startsAt).toISOString(),
+        endsAt: new Date(endsAt).toISOString(),
+        reminder: true,
+      },
+    };
+
+    return this._insertNotification(notification, "pickup reminder");
+  }
+
+  /**
+   * Tell a student still waiting on a pre-order where they stand in the restock queue
+   * @param {Object} notificationData - { studentId, itemName, educationLevel, size, orderNumber, orderId,
+   *   position, waitingQuantity, allocatedQuantity }
+   * @returns {Promise<Object>} - Created notification
+   */
+  async createPreOrderQueueNotification(notificationData) {
+    const {
+      studentId,
+      itemName,
+      educationLevel,
+      size,
+      orderNumber,
+      orderId,
+      position,
+      waitingQuantity,
+      allocatedQuantity = 0,
+    } = notificationData;
+
+    const itemText = size && size !== "N/A" ? `${itemName} (Size: ${size})` : itemName;
+    const setAsideText =
+      allocatedQuantity > 0
+        ? ` ${allocatedQuantity} unit(s) are already set aside for you; ${waitingQuantity} more to go.`
+        : "";
+    const notification = {
+      user_id: studentId,
+      type: "restock",
+      title: "Pre-Order Queue Update",
+      message: `${itemText} was restocked, but not enough for every pre-order yet. You are #${position} in line for pre-order #${orderNumber}.${setAsideText} Your order moves to Orders automatically once your units arrive.`,
+      data: {
+        itemName,
+        educationLevel,
+        size,
+        orderNumber,
+        orderId,
+        position,
+        waitingQuantity,
+        allocatedQuantity,
+        orderConverted: false,
+      },
+    };
+
+    return this._insertNotification(notification, "pre-order queue");
+  }
 }
 
 module.exports = new NotificationService();
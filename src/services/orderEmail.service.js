@@ -0,0 +1,151 @@
+const supabase = require("../config/supabase");
+const { sendEmail } = require("../utils/emailTransport");
+const { ORDER_EMAIL_EVENTS, buildOrderEmail } = require("../utils/orderEmailTemplates");
+const { PROPERTY_OFFICE_NAME } = require("../config/propertyReportTemplate");
+const { isMissingTableError } = require("../utils/dbErrors");
+
+const PREFERENCE_FIELDS = Object.values(ORDER_EMAIL_EVENTS);
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/** Every email on, nothing unsubscribed (students without a preferences row) */
+function defaultPreferences(email) {
+  return {
+    email,
+    ...Object.fromEntries(PREFERENCE_FIELDS.map((field) => [field, true])),
+    unsubscribed_all: false,
+  };
+}
+
+/**
+ * Order Email Service
+ *
+ * Sends order lifecycle emails (placed, ready, claimed, cancelled, auto-voided,
+ * pre-order converted) to students and manages their opt-out preferences.
+ * Sending never throws: a failed email must not fail the order operation.
+ */
+class OrderEmailService {
+  /**
+   * Get a student's email preferences (defaults when none are saved)
+   * @param {string} email - Student email
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getPreferences(email) {
+    try {
+      const normalized = normalizeEmail(email);
+      if (!normalized) throw new Error("Email is required");
+
+      const { data, error } = await supabase
+        .from("email_notification_preferences")
+        .select("*")
+        .eq("email", normalized)
+        .maybeSingle();
+
+      if (error) {
+        if (isMissingTableError(error)) {
+          return { success: true, data: defaultPreferences(normalized) };
+        }
+        throw error;
+      }
+
+      return { success: true, data: data || defaultPreferences(normalized) };
+    } catch (error) {
+      console.error("Get email preferences error:", error);
+      throw new Error(`Failed to fetch email preferences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save a student's email preferences
+   * @param {string} email - Student email
+   * @param {Object} preferences - Any of the event fields and/or unsubscribed_all (booleans)
+   * @param {string|null} studentId - students.id, when known
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async updatePreferences(email, preferences = {}, studentId = null) {
+    try {
+      const normalized = normalizeEmail(email);
+      if (!normalized) throw new Error("Email is required");
+
+      const updates = {};
+      for (const field of [...PREFERENCE_FIELDS, "unsubscribed_all"]) {
+        if (preferences[field] === undefined) continue;
+        if (typeof preferences[field] !== "boolean") {
+          throw new Error(`${field} must be true or false`);
+        }
+        updates[field] = preferences[field];
+      }
+      if (Object.keys(updates).length === 0) {
+        throw new Error("No preferences to update");
+      }
+
+      const { data, error } = await supabase
+        .from("email_notification_preferences")
+        .upsert(
+          {
+            email: normalized,
+            ...(studentId ? { student_id: studentId } : {}),
+            ...updates,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "email" }
+        )
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        success: true,
+        data,
+        message: "Email preferences updated successfully",
+      };
+    } catch (error) {
+      console.error("Update email preferences error:", error);
+      throw new Error(`Failed to update email preferences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Email the student about an order event, unless they opted out
+   * @param {string} event - One of ORDER_EMAIL_EVENTS
+   * @param {Object} order - Order row (needs student_email, order_number, items, total_amount)
+   * @param {Object} extras - { claimDeadline?: Date }
+   * @returns {Promise<Object>} { sent, reason?, transport? }
+   */
+  async notifyOrderEvent(event, order, extras = {}) {
+    try {
+      if (!PREFERENCE_FIELDS.includes(event)) {
+        throw new Error(`Unknown order email event: ${event}`);
+      }
+      const to = normalizeEmail(order?.student_email);
+      if (!to) return { sent: false, reason: "Order has no student email" };
+
+      const { data: preferences } = await this.getPreferences(to);
+      if (preferences.unsubscribed_all || preferences[event] === false) {
+        return { sent: false, reason: "Student opted out" };
+      }
+
+      const email = buildOrderEmail(event, order, {
+        ...extras,
+        officeName: PROPERTY_OFFICE_NAME,
+        portalUrl: process.env.FRONTEND_URL || null,
+      });
+      const result = await sendEmail({ to, ...email });
+      if (!result.success) {
+        return { sent: false, reason: result.error, transport: result.transport };
+      }
+      return { sent: true, transport: result.transport };
+    } catch (error) {
+      console.error(`Order email (${event}) error for order ${order?.order_number || order?.id}:`, error);
+      return { sent: false, reason: error.message };
+    }
+  }
+}
+
+const orderEmailService = new OrderEmailService();
+orderEmailService.EVENTS = ORDER_EMAIL_EVENTS;
+
+module.exports = orderEmailService;
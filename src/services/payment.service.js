@@ -0,0 +1,350 @@
+const crypto = require("crypto");
+const supabase = require("../config/supabase");
+const OrderService = require("./property_custodian/order.service");
+const CashierPaymentService = require("./property_custodian/cashierPayment.service");
+const { getPaymentProvider } = require("./paymentProviders");
+
+/**
+ * Payment Service
+ *
+ * Online checkout for orders through a pluggable payment provider (see ./paymentProviders):
+ * 1. The student starts a checkout; the order moves to payment_pending and the student is
+ *    sent to the provider's checkout page
+ * 2. The provider calls POST /api/payments/webhooks/:provider; the signature is checked on
+ *    the raw body and each provider event is processed once
+ * 3. A paid event is recorded as an order payment with its official receipt number, which
+ *    moves the order from payment_pending to paid; a failed or expired one puts it back to
+ *    pending so the student can try again
+ *
+ * The checkout charges the outstanding balance, so an order part-paid at the cashier can
+ * be settled online.
+ */
+
+const TRANSACTION_STATUS = {
+  PENDING: "pending",
+  PAID: "paid",
+  FAILED: "failed",
+  EXPIRED: "expired",
+};
+
+/** Orders that can still be paid online */
+const PAYABLE_ORDER_STATUSES = ["pending", "payment_pending"];
+
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+async function logPaymentTransaction(action, details, metadata) {
+  try {
+    const TransactionService = require("./transaction.service");
+    await TransactionService.logTransaction("Order", action, null, details, metadata);
+  } catch (txError) {
+    console.error(`Failed to log ${action} transaction:`, txError);
+  }
+}
+
+class PaymentService {
+  /**
+   * Start (or resume) an online checkout for an order
+   * @param {Object} order - Order row (ownership is checked by the caller)
+   * @returns {Promise<Object>} { success, data: payment transaction with checkout_url }
+   */
+  async startCheckout(order) {
+    if (!order || order.is_active === false) throw new Error("Order not found");
+    if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new Error(`Order cannot be paid online while it is ${order.status}`);
+    }
+    const balance = await CashierPaymentService.getOutstandingBalance(order);
+    if (toCents(balance) <= 0) throw new Error("Order has nothing to pay");
+
+    const provider = getPaymentProvider();
+
+    // Reuse an open checkout so double clicks don't create several payments
+    const { data: open, error: openError } = await supabase
+      .from("payment_transactions")
+      .select("*")
+      .eq("order_id", order.id)
+      .eq("provider", provider.name)
+      .eq("status", TRANSACTION_STATUS.PENDING)
+      .gt("expires_at", new Date().toISOString())
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (openError) throw new Error(`Failed to start checkout: ${openError.message}`);
+    if (open && toCents(open.amount) === toCents(balance)) {
+      return { success: true, data: open, message: "Checkout already started" };
+    }
+
+    const checkout = await provider.createCheckout({
+      reference: order.order_number,
+      amount: balance,
+      currency: "PHP",
+      description: `La Verdad uniform order ${order.order_number}`,
+      order,
+    });
+
+    const { data: transaction, error } = await supabase
+      .from("payment_transactions")
+      .insert({
+        order_id: order.id,
+        order_number: order.order_number,
+        provider: provider.name,
+        provider_reference: checkout.providerReference,
+        amount: balance,
+        currency: "PHP",
+        checkout_url: checkout.checkoutUrl,
+        expires_at: checkout.expiresAt || null,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to start checkout: ${error.message}`);
+
+    if (order.status !== "payment_pending") {
+      await OrderService.updateOrderStatus(order.id, "payment_pending");
+    }
+
+    return { success: true, data: transaction, message: "Checkout started" };
+  }
+
+  /**
+   * Payment attempts for an order, newest first
+   * @param {string} orderId
+   */
+  async getPaymentsForOrder(orderId) {
+    try {
+      const { data, error } = await supabase
+        .from("payment_transactions")
+        .select("*")
+        .eq("order_id", orderId)
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error("Get order payments error:", error);
+      throw new Error(`Failed to fetch payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify and process a provider webhook
+   * @param {string} providerName - :provider from the webhook URL
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers (lower-cased)
+   * @param {Object} [io] - Socket.IO instance
+   * @returns {Promise<Object>} { success, duplicate?, result }
+   */
+  async handleWebhook(providerName, rawBody, headers, io = null) {
+    const provider = getPaymentProvider(providerName);
+    if (!rawBody || !provider.verifyWebhook(rawBody, headers)) {
+      throw new Error("Invalid webhook signature");
+    }
+
+    let event;
+    let payload;
+    try {
+      event = provider.parseWebhookEvent(rawBody, headers);
+      payload = JSON.parse(rawBody.toString("utf8"));
+    } catch {
+      throw new Error("Invalid webhook payload");
+    }
+    if (!event?.eventId || !event.type) throw new Error("Invalid webhook payload");
+
+    // Providers redeliver events; the unique (provider, event_id) row makes this idempotent
+    const { data: recorded, error: recordError } = await supabase
+      .from("payment_webhook_events")
+      .upsert(
+        {
+          provider: provider.name,
+          event_id: event.eventId,
+          event_type: event.type,
+          provider_reference: event.providerReference || null,
+          payload,
+        },
+        { onConflict: "provider,event_id", ignoreDuplicates: true }
+      )
+      .select("id");
+    if (recordError) throw new Error(`Failed to record webhook: ${recordError.message}`);
+    if (!recorded || recorded.length === 0) {
+      return { success: true, duplicate: true, result: "duplicate event" };
+    }
+
+    let result;
+    try {
+      result = await this._applyEvent(provider, event, io);
+    } catch (error) {
+      // Let the provider retry: drop the event row so the redelivery is processed
+      await supabase.from("payment_webhook_events").delete().eq("id", recorded[0].id);
+      throw error;
+    }
+
+    await supabase
+      .from("payment_webhook_events")
+      .update({ processed_at: new Date().toISOString(), result })
+      .eq("id", recorded[0].id);
+
+    return { success: true, result };
+  }
+
+  /**
+   * Apply a verified event to the payment transaction and its order
+   * @returns {Promise<string>} What happened (stored on the webhook event)
+   */
+  async _applyEvent(provider, event, io) {
+    const { data: transaction, error } = await supabase
+      .from("payment_transactions")
+      .select("*")
+      .eq("provider", provider.name)
+      .eq("provider_reference", event.providerReference || "")
+      .maybeSingle();
+    if (error) throw error;
+    if (!transaction) return "ignored: unknown checkout";
+
+    const now = new Date().toISOString();
+
+    if (event.type === provider.EVENT_TYPES.PAID) {
+      if (toCents(event.amount) !== toCents(transaction.amount)) {
+        await supabase
+          .from("payment_transactions")
+          .update({
+            status: TRANSACTION_STATUS.FAILED,
+            failure_reason: `Amount mismatch: expected ${transaction.amount}, received ${event.amount}`,
+            updated_at: now,
+          })
+          .eq("id", transaction.id)
+          .eq("status", TRANSACTION_STATUS.PENDING);
+        console.error(`Payment webhook: amount mismatch for ${transaction.provider_reference}`);
+        return "ignored: amount mismatch";
+      }
+
+      const { data: marked } = await supabase
+        .from("payment_transactions")
+        .update({ status: TRANSACTION_STATUS.PAID, paid_at: event.occurredAt || now, updated_at: now })
+        .eq("id", transaction.id)
+        .neq("status", TRANSACTION_STATUS.PAID)
+        .select("id");
+      if (!marked || marked.length === 0) return "ignored: already paid";
+
+      const { data: order } = await supabase
+        .from("orders")
+        .select("id, order_number, status, total_amount")
+        .eq("id", transaction.order_id)
+        .eq("is_active", true)
+        .maybeSingle();
+      if (!order) return "ignored: order not found";
+      if (order.status !== "payment_pending") {
+        // Money was taken for an order that moved on (e.g. cancelled): needs a manual refund
+        console.warn(
+          `Payment webhook: order ${order.order_number} is ${order.status}; payment ${transaction.provider_reference} needs review`
+        );
+        await logPaymentTransaction(
+          "ONLINE PAYMENT NEEDS REVIEW",
+          `Payment received for order ${order.order_number} while it was ${order.status}`,
+          { order_id: order.id, order_number: order.order_number, provider: provider.name, provider_reference: transaction.provider_reference, amount: Number(transaction.amount) }
+        );
+        return `ignored: order is ${order.status}`;
+      }
+
+      try {
+        // Issues the OR number, moves the order to paid and logs PAYMENT RECORDED
+        await CashierPaymentService.recordOnlinePayment(transaction, io);
+      } catch (recordError) {
+        // A cashier took payment while the checkout was open: keep the money for review
+        if (!recordError.message?.startsWith("Payment exceeds") && recordError.message !== "Order is already fully paid") {
+          // Undo the paid mark so the provider's retry records the payment
+          await supabase
+            .from("payment_transactions")
+            .update({ status: transaction.status, paid_at: null, updated_at: now })
+            .eq("id", transaction.id);
+          throw recordError;
+        }
+        await logPaymentTransaction(
+          "ONLINE PAYMENT NEEDS REVIEW",
+          `Online payment for order ${order.order_number} is more than its balance: ${recordError.message}`,
+          { order_id: order.id, order_number: order.order_number, provider: provider.name, provider_reference: transaction.provider_reference, amount: Number(transaction.amount) }
+        );
+        return "ignored: more than the outstanding balance";
+      }
+      return "order_paid";
+    }
+
+    if (event.type === provider.EVENT_TYPES.FAILED || event.type === provider.EVENT_TYPES.EXPIRED) {
+      const status = event.type === provider.EVENT_TYPES.FAILED ? TRANSACTION_STATUS.FAILED : TRANSACTION_STATUS.EXPIRED;
+      const { data: marked } = await supabase
+        .from("payment_transactions")
+        .update({ status, failure_reason: event.failureReason || null, updated_at: now })
+        .eq("id", transaction.id)
+        .eq("status", TRANSACTION_STATUS.PENDING)
+        .select("id");
+      if (!marked || marked.length === 0) return `ignored: payment already ${transaction.status}`;
+
+      // Back to pending unless another checkout for the order is still open
+      const { data: stillOpen } = await supabase
+        .from("payment_transactions")
+        .select("id")
+        .eq("order_id", transaction.order_id)
+        .eq("status", TRANSACTION_STATUS.PENDING)
+        .limit(1);
+      if (!stillOpen || stillOpen.length === 0) {
+        const { data: order } = await supabase
+          .from("orders")
+          .select("id, status")
+          .eq("id", transaction.order_id)
+          .eq("is_active", true)
+          .maybeSingle();
+        if (order?.status === "payment_pending") {
+          await OrderService.updateOrderStatus(order.id, "pending", null, io);
+        }
+      }
+      return `payment_${status}`;
+    }
+
+    return `ignored: unhandled event type ${event.type}`;
+  }
+
+  /**
+   * Mock gateway: finish a mock checkout by sending a signed webhook through the same
+   * path as a real provider (development and tests only)
+   * @param {string} providerReference - mock checkout id
+   * @param {string} outcome - "paid" | "failed" | "expired"
+   * @param {Object} [io]
+   */
+  async completeMockCheckout(providerReference, outcome, io = null) {
+    const provider = getPaymentProvider("mock");
+    const type = {
+      paid: provider.EVENT_TYPES.PAID,
+      failed: provider.EVENT_TYPES.FAILED,
+      expired: provider.EVENT_TYPES.EXPIRED,
+    }[outcome];
+    if (!type) throw new Error('outcome must be one of: paid, failed, expired');
+
+    const { data: transaction, error } = await supabase
+      .from("payment_transactions")
+      .select("*")
+      .eq("provider", provider.name)
+      .eq("provider_reference", providerReference)
+      .maybeSingle();
+    if (error) throw new Error(`Failed to fetch checkout: ${error.message}`);
+    if (!transaction) throw new Error("Checkout not found");
+
+    const rawBody = JSON.stringify({
+      id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+      type,
+      created_at: new Date().toISOString(),
+      data: {
+        checkout_id: providerReference,
+        reference: transaction.order_number,
+        amount: Number(transaction.amount),
+        currency: transaction.currency,
+        failure_reason: outcome === "failed" ? "Declined by the mock gateway" : null,
+      },
+    });
+    const headers = { [provider.signatureHeader]: provider.signPayload(rawBody) };
+    return this.handleWebhook(provider.name, rawBody, headers, io);
+  }
+}
+
+const paymentService = new PaymentService();
+paymentService.TRANSACTION_STATUS = TRANSACTION_STATUS;
+paymentService.PAYABLE_ORDER_STATUSES = PAYABLE_ORDER_STATUSES;
+
+module.exports = paymentService;
@@ -0,0 +1,53 @@
+/**
+ * Payment Providers
+ *
+ * Online payment gateways are plugged in here. A provider is an object with:
+ *
+ * - name: string, also the :provider segment of the webhook URL
+ *         (POST /api/payments/webhooks/:provider)
+ * - EVENT_TYPES: { PAID, FAILED, EXPIRED } -> the provider's event type strings
+ * - createCheckout({ reference, amount, currency, description, order })
+ *     -> Promise<{ providerReference, checkoutUrl, expiresAt }>
+ * - verifyWebhook(rawBody, headers) -> boolean (signature check on the raw request body)
+ * - parseWebhookEvent(rawBody, headers)
+ *     -> { eventId, type, providerReference, amount, occurredAt, failureReason }
+ *
+ * PAYMENT_PROVIDER selects the provider used for new checkouts (default: mock).
+ * Webhooks are accepted for every registered provider, so payments started before a
+ * switch still complete.
+ */
+
+const mockProvider = require("./mock.provider");
+
+const providers = new Map([[mockProvider.name, mockProvider]]);
+
+/**
+ * Add a provider (e.g. a GCash or Maya adapter)
+ * @param {Object} provider - See the interface above
+ */
+function registerPaymentProvider(provider) {
+  for (const key of ["name", "createCheckout", "verifyWebhook", "parseWebhookEvent"]) {
+    if (!provider?.[key]) throw new Error(`Payment provider is missing "${key}"`);
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * @param {string} [name] - Provider name; defaults to PAYMENT_PROVIDER
+ * @returns {Object} Provider
+ */
+function getPaymentProvider(name) {
+  const providerName = String(name || process.env.PAYMENT_PROVIDER || "mock").trim().toLowerCase();
+  const provider = providers.get(providerName);
+  if (!provider) throw new Error(`Unknown payment provider: ${providerName}`);
+  // Its webhook secret has a public default, so it must never accept payments in production
+  if (provider === mockProvider && process.env.NODE_ENV === "production") {
+    throw new Error("The mock payment provider is disabled in production; set PAYMENT_PROVIDER");
+  }
+  return provider;
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+/**
+ * Mock Payment Provider
+ *
+ * Local stand-in for a GCash/Maya-style hosted checkout, for development and tests.
+ * createCheckout returns a URL to the mock gateway page served by
+ * /api/payments/mock/checkout/:reference (non-production only); paying there sends a
+ * signed webhook exactly like a real provider would.
+ *
+ * Webhook signature header (X-Mock-Signature): "t=<unix seconds>,v1=<hex HMAC-SHA256>"
+ * where the HMAC is computed over "<t>.<raw body>" with MOCK_PAYMENT_WEBHOOK_SECRET.
+ */
+
+const SIGNATURE_HEADER = "x-mock-signature";
+/** Signed events older than this are rejected (replay protection) */
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const EVENT_TYPES = {
+  PAID: "payment.paid",
+  FAILED: "payment.failed",
+  EXPIRED: "payment.expired",
+};
+
+function getSecret() {
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET || "mock-payment-webhook-secret";
+}
+
+function getBaseUrl() {
+  const port = process.env.PORT || 5000;
+  return (process.env.MOCK_PAYMENT_BASE_URL || `http://localhost:${port}/api/payments/mock`).replace(/\/$/, "");
+}
+
+function computeSignature(timestamp, rawBody) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+/**
+ * Signature header value for a raw webhook body (used by the mock gateway page)
+ * @param {string} rawBody
+ * @param {number} [timestamp] - Unix seconds (default now)
+ */
+function signPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}`;
+}
+
+const mockProvider = {
+  name: "mock",
+  signatureHeader: SIGNATURE_HEADER,
+  EVENT_TYPES,
+  signPayload,
+
+  /**
+   * @param {Object} checkout - { reference, amount, currency, description }
+   * @returns {Promise<{ providerReference: string, checkoutUrl: string, expiresAt: string }>}
+   */
+  async createCheckout({ reference }) {
+    const providerReference = `mock_${crypto.randomBytes(12).toString("hex")}`;
+    return {
+      providerReference,
+      checkoutUrl: `${getBaseUrl()}/checkout/${providerReference}?ref=${encodeURIComponent(reference)}`,
+      expiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString(),
+    };
+  },
+
+  /**
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {Object} headers - Lower-cased request headers
+   * @returns {boolean}
+   */
+  verifyWebhook(rawBody, headers) {
+    const header = String(headers[SIGNATURE_HEADER] || "");
+    const parts = Object.fromEntries(
+      header.split(",").map((part) => {
+        const [key, ...rest] = part.trim().split("=");
+        return [key, rest.join("=")];
+      })
+    );
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) return false;
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+    const expected = Buffer.from(computeSignature(timestamp, rawBody.toString("utf8")), "hex");
+    const received = Buffer.from(parts.v1, "hex");
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  },
+
+  /**
+   * @param {Buffer|string} rawBody
+   * @returns {{ eventId: string, type: string, providerReference: string, amount: number, occurredAt: string, failureReason: string|null }}
+   */
+  parseWebhookEvent(rawBody) {
+    const event = JSON.parse(rawBody.toString("utf8"));
+    return {
+      eventId: event.id,
+      type: event.type,
+      providerReference: event.data?.checkout_id,
+      amount: Number(event.data?.amount),
+      occurredAt: event.created_at,
+      failureReason: event.data?.failure_reason || null,
+    };
+  },
+};
+
+module.exports = mockProvider;
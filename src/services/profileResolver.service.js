@@ -147,6 +147,20 @@ async function getStudentIdForUser(userId) {
   return null;
 }
 
+/**
+ * Identities an order may be stored under for the logged-in user (see utils/orderOwnership).
+ * @param {Object} user - req.user (JWT payload)
+ * @returns {Promise<{ userId: string|null, studentId: string|null, email: string|null }>}
+ */
+async function getOrderOwnerIdentity(user) {
+  const userId = user?.id || user?.sub || null;
+  return {
+    userId,
+    studentId: userId ? await getStudentIdForUser(userId) : null,
+    email: user?.email || null,
+  };
+}
+
 /**
  * Get student row by students.id (for order service limits, enrichment).
  * @param {string} studentId - students.id
@@ -167,6 +181,7 @@ module.exports = {
   getProfileByEmail,
   resolveProfile,
   getStudentIdForUser,
+  getOrderOwnerIdentity,
   getStudentRowById,
   STAFF_ROLES,
 };
@@ -0,0 +1,683 @@
+const { sql } = require("../../config/database");
+const OrderService = require("./order.service");
+const { toDateOnly, parseDateOnly } = require("../../utils/dateOnly");
+
+/**
+ * Cashier Payment Service
+ *
+ * Money received and returned per order (order_payments):
+ * 1. The cashier records a payment: amount applied, amount tendered / change, method and
+ *    reference; each payment gets the next official receipt (OR) number
+ * 2. Partial payments leave a balance; when the balance reaches zero a pending order moves
+ *    to paid. Online payments (payment.service) are recorded here too, without a cashier
+ * 3. Money paid on an order that was later cancelled, or paid beyond what the order now
+ *    costs (e.g. after a returned item), is returned as refunds
+ * 4. Daily collection summary per cashier for the end-of-day cash count
+ */
+
+const PAYMENT_KIND = {
+  PAYMENT: "payment",
+  REFUND: "refund",
+};
+
+/** Methods a cashier can record; "online" rows come from the payment provider webhook */
+const CASHIER_METHODS = ["cash", "gcash", "maya", "bank_transfer", "check"];
+const ONLINE_METHOD = "online";
+
+/** Methods that need the e-wallet / bank / check reference number */
+const REFERENCE_REQUIRED_METHODS = ["gcash", "maya", "bank_transfer", "check"];
+
+/** Orders that move to paid once fully paid (later statuses are left alone) */
+const UNPAID_ORDER_STATUSES = ["pending", "payment_pending"];
+
+const RECEIPT_SEQUENCE = "official_receipt";
+
+function toCents(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function isProvided(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+/** Positive peso amount from input, in cents (null when missing or invalid) */
+function parseAmountCents(value) {
+  if (!isProvided(value)) return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  return toCents(amount);
+}
+
+function formatReceiptNumber(prefix, number, padding) {
+  return `${prefix || ""}${String(number).padStart(padding, "0")}`;
+}
+
+/** Take the next OR number; runs in the payment's transaction so the sequence has no gaps */
+async function issueReceiptNumber(tx) {
+  const [sequence] = await tx`
+    UPDATE receipt_number_sequences
+    SET next_number = next_number + 1
+    WHERE name = ${RECEIPT_SEQUENCE}
+    RETURNING prefix, next_number - 1 AS number, padding
+  `;
+  if (!sequence) throw new Error("Official receipt sequence is not configured");
+  return formatReceiptNumber(sequence.prefix, sequence.number, sequence.padding);
+}
+
+async function lockOrder(tx, orderId) {
+  const [order] = await tx`
+    SELECT id, order_number, status, total_amount, student_id, student_name, student_email
+    FROM orders
+    WHERE id = ${orderId} AND is_active = true
+    FOR UPDATE
+  `;
+  if (!order) throw new Error("Order not found");
+  return order;
+}
+
+/** Paid and refunded cents for an order */
+async function getTotals(db, orderId) {
+  const [totals] = await db`
+    SELECT
+      COALESCE(SUM(amount) FILTER (WHERE kind = 'payment'), 0) AS paid,
+      COALESCE(SUM(amount) FILTER (WHERE kind = 'refund'), 0) AS refunded
+    FROM order_payments
+    WHERE order_id = ${orderId}
+  `;
+  return { paidCents: toCents(totals.paid), refundedCents: toCents(totals.refunded) };
+}
+
+/** Cents held on an order that are owed back (all of it once the order is cancelled) */
+function refundableCents(order, { paidCents, refundedCents }) {
+  const netCents = paidCents - refundedCents;
+  const owedCents = order.status === "cancelled" ? 0 : toCents(order.total_amount);
+  return Math.max(netCents - owedCents, 0);
+}
+
+/**
+ * Payment position of an order
+ * payment_status: unpaid | partial | paid | refund_due for open orders (refund_due when more
+ * was paid than the order now costs); refund_due | refunded for cancelled orders that had
+ * money paid on them
+ */
+function buildSummary(order, { paidCents, refundedCents }) {
+  const totalCents = toCents(order.total_amount);
+  const netCents = paidCents - refundedCents;
+  const cancelled = order.status === "cancelled";
+
+  const refundDueCents = refundableCents(order, { paidCents, refundedCents });
+
+  let paymentStatus;
+  if (cancelled) {
+    paymentStatus = netCents > 0 ? "refund_due" : paidCents > 0 ? "refunded" : "unpaid";
+  } else if (refundDueCents > 0) {
+    paymentStatus = "refund_due";
+  } else if (netCents <= 0) {
+    paymentStatus = "unpaid";
+  } else {
+    paymentStatus = netCents >= totalCents ? "paid" : "partial";
+  }
+
+  return {
+    order_id: order.id,
+    order_number: order.order_number,
+    order_status: order.status,
+    total_amount: fromCents(totalCents),
+    amount_paid: fromCents(paidCents),
+    amount_refunded: fromCents(refundedCents),
+    net_paid: fromCents(netCents),
+    balance: cancelled ? 0 : fromCents(Math.max(totalCents - netCents, 0)),
+    refund_due: fromCents(refundDueCents),
+    payment_status: paymentStatus,
+  };
+}
+
+function normalizeRow(row) {
+  return {
+    ...row,
+    amount: Number(row.amount),
+    amount_tendered: row.amount_tendered === null ? null : Number(row.amount_tendered),
+    change_given: Number(row.change_given),
+  };
+}
+
+async function logCashierTransaction(action, cashier, details, metadata) {
+  try {
+    const TransactionService = require("../transaction.service");
+    await TransactionService.logTransaction(
+      "Order",
+      action,
+      cashier?.staffId || cashier?.userId || null,
+      details,
+      metadata,
+      cashier?.email || null,
+    );
+  } catch (txError) {
+    console.error(`Failed to log ${action} transaction:`, txError);
+  }
+}
+
+class CashierPaymentService {
+  /**
+   * Amount in whole cents, so sums and differences stay exact
+   * @param {number|string} amount - Pesos
+   * @returns {number} Cents
+   */
+  toCents(amount) {
+    return toCents(amount);
+  }
+
+  /**
+   * @param {number} cents
+   * @returns {number} Pesos
+   */
+  fromCents(cents) {
+    return fromCents(cents);
+  }
+
+  /**
+   * Payments and refunds for an order with its balance
+   * @param {string} orderId
+   * @returns {Promise<Object>} { success, data: { summary, payments } }
+   */
+  async getOrderPayments(orderId) {
+    try {
+      const [order] = await sql`
+        SELECT id, order_number, status, total_amount
+        FROM orders
+        WHERE id = ${orderId} AND is_active = true
+      `;
+      if (!order) throw new Error("Order not found");
+
+      const payments = await sql`
+        SELECT * FROM order_payments
+        WHERE order_id = ${orderId}
+        ORDER BY created_at ASC
+      `;
+      const totals = await getTotals(sql, orderId);
+
+      return {
+        success: true,
+        data: {
+          summary: buildSummary(order, totals),
+          payments: payments.map(normalizeRow),
+        },
+      };
+    } catch (error) {
+      console.error("Get order payments error:", error);
+      throw new Error(`Failed to fetch order payments: ${error.message}`);
+    }
+  }
+
+  /**
+   * What is still left to pay on an open order (after partial payments)
+   * @param {Object} order - { id, status, total_amount }
+   * @returns {Promise<number>}
+   */
+  async getOutstandingBalance(order) {
+    const totals = await getTotals(sql, order.id);
+    return buildSummary(order, totals).balance;
+  }
+
+  /**
+   * Record a walk-in payment and issue its official receipt number
+   * @param {string} orderId
+   * @param {Object} input - { amount?, amountTendered?, method, referenceNumber?, notes? }
+   *   amount defaults to the outstanding balance; amountTendered (cash) defaults to amount
+   * @param {Object} cashier - { staffId, userId, email, name }
+   * @param {Object} [io] - Socket.IO instance
+   * @returns {Promise<Object>} { success, data: { payment, summary }, message }
+   */
+  async recordPayment(orderId, input = {}, cashier = {}, io = null) {
+    const method = String(input.method || "").trim().toLowerCase();
+    if (!CASHIER_METHODS.includes(method)) {
+      throw new Error(`method must be one of: ${CASHIER_METHODS.join(", ")}`);
+    }
+    const referenceNumber = input.referenceNumber ? String(input.referenceNumber).trim() : null;
+    if (REFERENCE_REQUIRED_METHODS.includes(method) && !referenceNumber) {
+      throw new Error(`referenceNumber is required for ${method} payments`);
+    }
+    const amountCents = parseAmountCents(input.amount);
+    if (isProvided(input.amount) && amountCents === null) {
+      throw new Error("amount must be a positive number");
+    }
+    const tenderedCents = parseAmountCents(input.amountTendered);
+    if (isProvided(input.amountTendered) && tenderedCents === null) {
+      throw new Error("amountTendered must be a positive number");
+    }
+
+    return this._record(orderId, {
+      method,
+      amountCents,
+      tenderedCents,
+      referenceNumber,
+      notes: input.notes ? String(input.notes).trim() : null,
+    }, cashier, io);
+  }
+
+  /**
+   * Record a provider-confirmed online payment (called from the payment webhook)
+   * @param {Object} transaction - payment_transactions row
+   * @param {Object} [io]
+   */
+  async recordOnlinePayment(transaction, io = null) {
+    return this._record(transaction.order_id, {
+      method: ONLINE_METHOD,
+      amountCents: toCents(transaction.amount),
+      tenderedCents: null,
+      referenceNumber: transaction.provider_reference,
+      paymentTransactionId: transaction.id,
+      notes: `Online payment via ${transaction.provider}`,
+    }, null, io);
+  }
+
+  /**
+   * Insert a payment with its OR number; amountCents null means the whole balance
+   */
+  async _record(orderId, payment, cashier, io) {
+    const { order, row, summary } = await sql.begin(async (tx) => {
+      const order = await lockOrder(tx, orderId);
+      if (order.status === "cancelled") throw new Error("Cannot take payment for a cancelled order");
+
+      const totals = await getTotals(tx, order.id);
+      const balanceCents = toCents(order.total_amount) - (totals.paidCents - totals.refundedCents);
+      if (balanceCents <= 0) throw new Error("Order is already fully paid");
+
+      const amountCents = payment.amountCents ?? balanceCents;
+      if (amountCents > balanceCents) {
+        throw new Error(`Payment exceeds the outstanding balance of ${fromCents(balanceCents).toFixed(2)}`);
+      }
+
+      // Only cash can be over-tendered; the difference is handed back as change
+      let tenderedCents = amountCents;
+      if (payment.method === "cash" && payment.tenderedCents !== null) {
+        if (payment.tenderedCents < amountCents) {
+          throw new Error("amountTendered cannot be less than the amount being paid");
+        }
+        tenderedCents = payment.tenderedCents;
+      }
+
+      const orNumber = await issueReceiptNumber(tx);
+      const [row] = await tx`
+        INSERT INTO order_payments ${tx({
+          order_id: order.id,
+          order_number: order.order_number,
+          kind: PAYMENT_KIND.PAYMENT,
+          method: payment.method,
+          amount: fromCents(amountCents),
+          amount_tendered: fromCents(tenderedCents),
+          change_given: fromCents(tenderedCents - amountCents),
+          or_number: orNumber,
+          reference_number: payment.referenceNumber || null,
+          payment_transaction_id: payment.paymentTransactionId || null,
+          notes: payment.notes || null,
+          cashier_id: cashier?.staffId || null,
+          cashier_name: cashier?.name || null,
+          cashier_email: cashier?.email || null,
+        })}
+        RETURNING *
+      `;
+
+      const summary = buildSummary(order, {
+        paidCents: totals.paidCents + amountCents,
+        refundedCents: totals.refundedCents,
+      });
+      return { order, row: normalizeRow(row), summary };
+    });
+
+    // Fully paid: a pending order moves to paid (sets payment_date, logs the status change)
+    if (summary.payment_status === "paid" && UNPAID_ORDER_STATUSES.includes(order.status)) {
+      const updated = await OrderService.updateOrderStatus(order.id, "paid", null, io);
+      summary.order_status = "paid";
+      if (io) {
+        io.emit("order:updated", {
+          orderId: order.id,
+          order_number: order.order_number,
+          orderNumber: order.order_number,
+          status: "paid",
+          order: updated?.data,
+        });
+      }
+    }
+
+    await logCashierTransaction(
+      "PAYMENT RECORDED",
+      cashier,
+      `OR ${row.or_number}: ${row.amount.toFixed(2)} (${row.method}) for order ${order.order_number}${order.student_name ? ` of ${order.student_name}` : ""}; balance ${summary.balance.toFixed(2)}`,
+      {
+        order_id: order.id,
+        order_number: order.order_number,
+        payment_id: row.id,
+        or_number: row.or_number,
+        method: row.method,
+        amount: row.amount,
+        amount_tendered: row.amount_tendered,
+        change_given: row.change_given,
+        reference_number: row.reference_number,
+        balance: summary.balance,
+        payment_status: summary.payment_status,
+        cashier_id: row.cashier_id,
+        cashier_name: row.cashier_name,
+      },
+    );
+
+    return {
+      success: true,
+      data: { payment: row, summary },
+      message: summary.payment_status === "paid" ? "Payment recorded; order fully paid" : "Partial payment recorded",
+    };
+  }
+
+  /**
+   * Refund money paid on a cancelled order, or paid beyond what an open order now costs
+   * @param {string} orderId
+   * @param {Object} input - { amount?, method, reason, referenceNumber?, notes? }
+   *   amount defaults to everything still to be refunded
+   * @param {Object} cashier - { staffId, userId, email, name }
+   * @returns {Promise<Object>} { success, data: { refund, summary }, message }
+   */
+  async refundPayment(orderId, input = {}, cashier = {}) {
+    const method = String(input.method || "").trim().toLowerCase();
+    if (!CASHIER_METHODS.includes(method)) {
+      throw new Error(`method must be one of: ${CASHIER_METHODS.join(", ")}`);
+    }
+    const reason = input.reason ? String(input.reason).trim() : "";
+    if (!reason) throw new Error("reason is required");
+    const requestedCents = parseAmountCents(input.amount);
+    if (isProvided(input.amount) && requestedCents === null) {
+      throw new Error("amount must be a positive number");
+    }
+
+    const { order, row, summary } = await sql.begin(async (tx) => {
+      const order = await lockOrder(tx, orderId);
+      const totals = await getTotals(tx, order.id);
+      const availableCents = refundableCents(order, totals);
+      if (availableCents <= 0) throw new Error("Nothing to refund on this order");
+
+      const amountCents = requestedCents ?? availableCents;
+      if (amountCents > availableCents) {
+        throw new Error(`Refund exceeds the refundable amount of ${fromCents(availableCents).toFixed(2)}`);
+      }
+
+      const [row] = await tx`
+        INSERT INTO order_payments ${tx({
+          order_id: order.id,
+          order_number: order.order_number,
+          kind: PAYMENT_KIND.REFUND,
+          method,
+          amount: fromCents(amountCents),
+          refund_reason: reason,
+          reference_number: input.referenceNumber ? String(input.referenceNumber).trim() : null,
+          notes: input.notes ? String(input.notes).trim() : null,
+          cashier_id: cashier?.staffId || null,
+          cashier_name: cashier?.name || null,
+          cashier_email: cashier?.email || null,
+        })}
+        RETURNING *
+      `;
+
+      const summary = buildSummary(order, {
+        paidCents: totals.paidCents,
+        refundedCents: totals.refundedCents + amountCents,
+      });
+      return { order, row: normalizeRow(row), summary };
+    });
+
+    await logCashierTransaction(
+      "PAYMENT REFUNDED",
+      cashier,
+      `Refunded ${row.amount.toFixed(2)} (${row.method}) for ${order.status === "cancelled" ? "cancelled " : ""}order ${order.order_number}${order.student_name ? ` of ${order.student_name}` : ""}: ${reason}`,
+      {
+        order_id: order.id,
+        order_number: order.order_number,
+        refund_id: row.id,
+        method: row.method,
+        amount: row.amount,
+        reason,
+        refund_due: summary.refund_due,
+        cashier_id: row.cashier_id,
+        cashier_name: row.cashier_name,
+      },
+    );
+
+    return {
+      success: true,
+      data: { refund: row, summary },
+      message: summary.refund_due > 0 ? "Partial refund recorded" : "Refund recorded",
+    };
+  }
+
+  /**
+   * Orders holding money to refund: cancelled orders, and orders paid beyond their total
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getRefundsDue() {
+    try {
+      const rows = await sql`
+        SELECT o.id, o.order_number, o.status, o.total_amount, o.student_name, o.student_email,
+               o.updated_at,
+               COALESCE(SUM(p.amount) FILTER (WHERE p.kind = 'payment'), 0) AS paid,
+               COALESCE(SUM(p.amount) FILTER (WHERE p.kind = 'refund'), 0) AS refunded
+        FROM orders o
+        JOIN order_payments p ON p.order_id = o.id
+        WHERE o.is_active = true
+        GROUP BY o.id
+        HAVING COALESCE(SUM(p.amount) FILTER (WHERE p.kind = 'payment'), 0)
+             - COALESCE(SUM(p.amount) FILTER (WHERE p.kind = 'refund'), 0)
+             > CASE WHEN o.status = 'cancelled' THEN 0 ELSE o.total_amount END
+        ORDER BY o.updated_at ASC
+      `;
+
+      return {
+        success: true,
+        data: rows.map((row) => ({
+          ...buildSummary(row, { paidCents: toCents(row.paid), refundedCents: toCents(row.refunded) }),
+          student_name: row.student_name,
+          student_email: row.student_email,
+          updated_at: row.updated_at,
+        })),
+      };
+    } catch (error) {
+      console.error("Get refunds due error:", error);
+      throw new Error(`Failed to fetch refunds due: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collections for one day, per cashier (online payments are grouped without a cashier)
+   * @param {Object} filters - { date? (YYYY-MM-DD, default today), cashierId? }
+   * @returns {Promise<Object>} { success, data: { date, cashiers, totals } }
+   */
+  async getDailySummary(filters = {}) {
+    const date = filters.date || toDateOnly(new Date());
+    const dayStart = parseDateOnly(date);
+    if (!dayStart) throw new Error("date must be YYYY-MM-DD");
+    const dayEnd = new Date(dayStart);
+    dayEnd.setDate(dayEnd.getDate() + 1);
+
+    try {
+      const rows = await sql`
+        SELECT cashier_id, MAX(cashier_name) AS cashier_name, MAX(cashier_email) AS cashier_email,
+               kind, method, COUNT(*)::int AS count, SUM(amount) AS amount,
+               MIN(or_number) AS first_or, MAX(or_number) AS last_or
+        FROM order_payments
+        WHERE created_at >= ${dayStart} AND created_at < ${dayEnd}
+          ${filters.cashierId ? sql`AND cashier_id = ${filters.cashierId}` : sql``}
+        GROUP BY cashier_id, kind, method
+        ORDER BY MAX(cashier_name) NULLS LAST, method
+      `;
+
+      const cashiers = new Map();
+      const totals = { payments_count: 0, collected: 0, refunds_count: 0, refunded: 0 };
+      for (const row of rows) {
+        const key = row.cashier_id || ONLINE_METHOD;
+        if (!cashiers.has(key)) {
+          cashiers.set(key, {
+            cashier_id: row.cashier_id,
+            cashier_name: row.cashier_id ? row.cashier_name : "Online payments",
+            cashier_email: row.cashier_email,
+            payments_count: 0,
+            collected: 0,
+            refunds_count: 0,
+            refunded: 0,
+            by_method: {},
+            first_or: null,
+            last_or: null,
+          });
+        }
+        const entry = cashiers.get(key);
+        const cents = toCents(row.amount);
+        const method = entry.by_method[row.method] || (entry.by_method[row.method] = { collected: 0, refunded: 0 });
+
+        if (row.kind === PAYMENT_KIND.PAYMENT) {
+          entry.payments_count += row.count;
+          entry.collected += cents;
+          method.collected += cents;
+          if (row.first_or && (!entry.first_or || row.first_or < entry.first_or)) entry.first_or = row.first_or;
+          if (row.last_or && (!entry.last_or || row.last_or > entry.last_or)) entry.last_or = row.last_or;
+          totals.payments_count += row.count;
+          totals.collected += cents;
+        } else {
+          entry.refunds_count += row.count;
+          entry.refunded += cents;
+          method.refunded += cents;
+          totals.refunds_count += row.count;
+          totals.refunded += cents;
+        }
+      }
+
+      const summaries = [...cashiers.values()].map((entry) => {
+        const cash = entry.by_method.cash || { collected: 0, refunded: 0 };
+        return {
+          ...entry,
+          collected: fromCents(entry.collected),
+          refunded: fromCents(entry.refunded),
+          net: fromCents(entry.collected - entry.refunded),
+          // What the cashier's drawer should hold from the day's transactions
+          cash_on_hand: fromCents(cash.collected - cash.refunded),
+          by_method: Object.fromEntries(
+            Object.entries(entry.by_method).map(([name, value]) => [
+              name,
+              { collected: fromCents(value.collected), refunded: fromCents(value.refunded) },
+            ])
+          ),
+        };
+      });
+
+      return {
+        success: true,
+        data: {
+          date,
+          cashiers: summaries,
+          totals: {
+            payments_count: totals.payments_count,
+            collected: fromCents(totals.collected),
+            refunds_count: totals.refunds_count,
+            refunded: fromCents(totals.refunded),
+            net: fromCents(totals.collected - totals.refunded),
+          },
+        },
+      };
+    } catch (error) {
+      console.error("Get daily collection summary error:", error);
+      throw new Error(`Failed to fetch daily collection summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Official receipt numbering, with the next number that will be issued
+   */
+  async getReceiptSequence() {
+    try {
+      const [sequence] = await sql`
+        SELECT * FROM receipt_number_sequences WHERE name = ${RECEIPT_SEQUENCE}
+      `;
+      if (!sequence) throw new Error("Official receipt sequence is not configured");
+      return {
+        success: true,
+        data: {
+          ...sequence,
+          next_number: Number(sequence.next_number),
+          next_or_number: formatReceiptNumber(sequence.prefix, sequence.next_number, sequence.padding),
+        },
+      };
+    } catch (error) {
+      console.error("Get receipt sequence error:", error);
+      throw new Error(`Failed to fetch receipt sequence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the OR prefix, padding or next number (e.g. a new booklet series)
+   * Within the same prefix the number can only move forward, so issued ORs are never reused.
+   * @param {Object} input - { prefix?, nextNumber?, padding? }
+   * @param {Object} actor - { staffId, userId, email }
+   */
+  async updateReceiptSequence(input = {}, actor = {}) {
+    const result = await sql.begin(async (tx) => {
+      const [current] = await tx`
+        SELECT * FROM receipt_number_sequences WHERE name = ${RECEIPT_SEQUENCE} FOR UPDATE
+      `;
+      if (!current) throw new Error("Official receipt sequence is not configured");
+
+      const prefix = input.prefix !== undefined ? String(input.prefix ?? "").trim() : current.prefix;
+      const padding = input.padding !== undefined ? parseInt(input.padding, 10) : current.padding;
+      const nextNumber = input.nextNumber !== undefined ? parseInt(input.nextNumber, 10) : Number(current.next_number);
+      if (prefix.length > 20) throw new Error("prefix must be at most 20 characters");
+      if (!Number.isInteger(padding) || padding < 1 || padding > 12) throw new Error("padding must be between 1 and 12");
+      if (!Number.isInteger(nextNumber) || nextNumber < 1) throw new Error("nextNumber must be a positive whole number");
+      if (prefix === current.prefix && nextNumber < Number(current.next_number)) {
+        throw new Error(`nextNumber cannot go back below ${current.next_number} for prefix "${prefix}"`);
+      }
+
+      const [issued] = await tx`
+        SELECT 1 FROM order_payments
+        WHERE or_number = ${formatReceiptNumber(prefix, nextNumber, padding)}
+      `;
+      if (issued) throw new Error("That OR number has already been issued");
+
+      const [updated] = await tx`
+        UPDATE receipt_number_sequences
+        SET prefix = ${prefix},
+            next_number = ${nextNumber},
+            padding = ${padding},
+            updated_by = ${actor?.staffId || null},
+            updated_at = ${new Date()}
+        WHERE name = ${RECEIPT_SEQUENCE}
+        RETURNING *
+      `;
+      return { previous: current, updated };
+    });
+
+    const nextOrNumber = formatReceiptNumber(result.updated.prefix, result.updated.next_number, result.updated.padding);
+    await logCashierTransaction(
+      "OR SEQUENCE UPDATED",
+      actor,
+      `Official receipt numbering set to continue at ${nextOrNumber}`,
+      {
+        previous_prefix: result.previous.prefix,
+        previous_next_number: Number(result.previous.next_number),
+        previous_padding: result.previous.padding,
+        prefix: result.updated.prefix,
+        next_number: Number(result.updated.next_number),
+        padding: result.updated.padding,
+      },
+    );
+
+    return {
+      success: true,
+      data: { ...result.updated, next_number: Number(result.updated.next_number), next_or_number: nextOrNumber },
+      message: "Official receipt sequence updated",
+    };
+  }
+}
+
+const cashierPaymentService = new CashierPaymentService();
+cashierPaymentService.PAYMENT_KIND = PAYMENT_KIND;
+cashierPaymentService.CASHIER_METHODS = CASHIER_METHODS;
+
+module.exports = cashierPaymentService;
@@ -0,0 +1,500 @@
+const { sql } = require("../../config/database");
+const ItemVariantsService = require("./itemVariants.service");
+const {
+  getMaxQuantitiesForStudent,
+  normalizeItemName,
+  resolveItemKey,
+  DEFAULT_MAX,
+} = require("../../config/itemMaxOrder");
+const {
+  getSchoolYearForDate,
+  SCHOOL_YEAR_START_MONTH,
+} = require("../system_admin/totalItemLimitPolicy.service");
+const { sizeRank } = require("../../utils/inventoryReportExport");
+
+/**
+ * Demand Forecast Service
+ *
+ * Suggested purchase quantities per item / size / education level for an upcoming school year:
+ * 1. Past orders of the history school years give, per student type (new / old), how many
+ *    students ordered and how much of their per-item allowance (itemMaxOrder) they used
+ * 2. Expected enrolment is the current students roster per education level, student type
+ *    and gender; each segment's allowance is scaled by the observed participation and uptake
+ *    (a segment without order history is assumed to order up to its limit)
+ * 3. The item forecast is split over sizes by the historical size mix
+ * 4. Suggested quantity = forecast + units still waiting on pre-orders + reorder point - on hand
+ *    - units still to be delivered on open purchase orders
+ * The result can be exported as a purchase request draft (utils/purchaseRequestExport).
+ */
+
+const STUDENT_TYPES = ["new", "old"];
+const ALL_LEVELS = "All Education Levels";
+
+/** Students expected back next school year */
+const ENROLLED_STATUSES = ["currently_enrolled", "eligible_for_enrollment"];
+
+/** Pre-order statuses that still wait for stock (same as the pre-order queue) */
+const QUEUED_PRE_ORDER_STATUSES = ["pending", "processing", "payment_pending"];
+
+/** Purchase order statuses that still expect deliveries */
+const OPEN_PO_STATUSES = ["ordered", "partially_received"];
+
+const SIZE_ABBREVIATIONS = {
+  xxsmall: "XXS",
+  xsmall: "XS",
+  extrasmall: "XS",
+  small: "S",
+  medium: "M",
+  large: "L",
+  xlarge: "XL",
+  extralarge: "XL",
+  "2xlarge": "XXL",
+  doubleextralarge: "XXL",
+  "2xl": "XXL",
+  "3xlarge": "3XL",
+  tripleextralarge: "3XL",
+};
+
+function parseOrderItems(items) {
+  if (Array.isArray(items)) return items;
+  if (typeof items === "string") {
+    try {
+      const parsed = JSON.parse(items);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+function levelKey(level) {
+  return String(level || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+/** "Medium (M)", "medium" and "M" all become "M"; other sizes keep their own spelling */
+function sizeKey(size) {
+  const raw = String(size || "").trim();
+  if (!raw || raw.toUpperCase() === "N/A") return "N/A";
+  const inParens = raw.match(/\(([^)]+)\)/);
+  if (inParens) return inParens[1].trim().toUpperCase();
+  const compact = raw.toLowerCase().replace(/[\s-]+/g, "");
+  return SIZE_ABBREVIATIONS[compact] || raw.toUpperCase();
+}
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * School year to forecast and the date range of the history school years before it
+ * @param {string} [schoolYear] - e.g. "2026-2027" (default: the school year after the current one)
+ * @param {number} historyYears - Completed (or running) school years of orders to learn from
+ */
+function resolvePeriod(schoolYear, historyYears) {
+  let startYear;
+  if (schoolYear) {
+    const match = String(schoolYear).match(/^\s*(\d{4})\s*-\s*(\d{4})\s*$/);
+    if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+      throw new Error('schoolYear must look like "2026-2027"');
+    }
+    startYear = Number(match[1]);
+  } else {
+    startYear = Number(getSchoolYearForDate(new Date()).slice(0, 4)) + 1;
+  }
+  const from = new Date(startYear - historyYears, SCHOOL_YEAR_START_MONTH - 1, 1);
+  const to = new Date(startYear, SCHOOL_YEAR_START_MONTH - 1, 1);
+  return {
+    schoolYear: `${startYear}-${startYear + 1}`,
+    historySchoolYears: Array.from(
+      { length: historyYears },
+      (_, index) => `${startYear - historyYears + index}-${startYear - historyYears + index + 1}`
+    ),
+    from,
+    to,
+  };
+}
+
+class DemandForecastService {
+  /**
+   * Forecast demand and suggest purchase quantities per item and size
+   * @param {Object} filters - { schoolYear?, historyYears? (1-5, default 1), educationLevel? }
+   * @returns {Promise<Object>} { success, data: { school_year, history, enrolment, items, totals } }
+   */
+  async getForecast(filters = {}) {
+    const historyYears = filters.historyYears === undefined ? 1 : Number(filters.historyYears);
+    if (!Number.isInteger(historyYears) || historyYears < 1 || historyYears > 5) {
+      throw new Error("historyYears must be a whole number from 1 to 5");
+    }
+    const period = resolvePeriod(filters.schoolYear, historyYears);
+    const levelFilter = filters.educationLevel ? levelKey(filters.educationLevel) : null;
+
+    try {
+      const groups = await this._loadItemGroups(levelFilter);
+      const enrolment = await this._loadEnrolment(levelFilter);
+      const history = await this._loadOrderHistory(groups, period, levelFilter);
+      const waiting = await this._loadWaitingPreOrders(groups, levelFilter);
+      const onOrder = await this._loadOnOrder(groups, levelFilter);
+
+      // Per-student limits per enrolment segment (education level x student type x gender)
+      const limitsBySegment = new Map();
+      for (const segment of enrolment) {
+        const key = `${segment.education_level}|${segment.student_type}|${segment.gender || ""}`;
+        if (!limitsBySegment.has(key)) {
+          limitsBySegment.set(
+            key,
+            await getMaxQuantitiesForStudent(segment.education_level, segment.student_type, segment.gender)
+          );
+        }
+        segment.limits = limitsBySegment.get(key);
+      }
+
+      const items = [];
+      for (const group of groups.values()) {
+        items.push(this._forecastGroup(group, enrolment, history, waiting, onOrder, historyYears));
+      }
+      items.sort(
+        (a, b) =>
+          String(a.education_level).localeCompare(String(b.education_level)) ||
+          String(a.name).localeCompare(String(b.name))
+      );
+
+      const totals = items.reduce(
+        (sum, item) => {
+          for (const size of item.sizes) {
+            sum.suggested_quantity += size.suggested_quantity;
+            sum.estimated_amount += size.estimated_amount;
+          }
+          return sum;
+        },
+        { suggested_quantity: 0, estimated_amount: 0 }
+      );
+      totals.estimated_amount = roundAmount(totals.estimated_amount);
+
+      return {
+        success: true,
+        data: {
+          school_year: period.schoolYear,
+          education_level: filters.educationLevel || null,
+          history: {
+            school_years: period.historySchoolYears,
+            from: period.from.toISOString(),
+            to: period.to.toISOString(),
+            orders: history.orderCount,
+          },
+          enrolment: enrolment.map(({ limits: _limits, ...segment }) => segment),
+          items,
+          totals,
+        },
+      };
+    } catch (error) {
+      console.error("Demand forecast error:", error);
+      throw new Error(`Failed to build demand forecast: ${error.message}`);
+    }
+  }
+
+  /**
+   * Active items grouped by name and education level, with on-hand stock, reorder point and
+   * latest unit cost per size
+   * @returns {Promise<Map<string, Object>>} keyed by `${levelKey}|${itemName}`
+   */
+  async _loadItemGroups(levelFilter) {
+    const rows = await sql`
+      SELECT id, name, education_level, size, stock, note, price, reorder_point, for_gender
+      FROM items
+      WHERE is_active = true AND COALESCE(is_archived, false) = false
+      ORDER BY name, id
+    `;
+    const visible = rows.filter(
+      (row) =>
+        !levelFilter || levelKey(row.education_level) === levelFilter || row.education_level === ALL_LEVELS
+    );
+    const variantsByItemId = await ItemVariantsService.getVariantsByItemIds(visible.map((row) => row.id));
+
+    const groups = new Map();
+    for (const row of visible) {
+      const key = `${levelKey(row.education_level)}|${normalizeItemName(row.name)}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          name: row.name,
+          education_level: row.education_level,
+          for_gender: row.for_gender || "Unisex",
+          sizes: new Map(),
+        });
+      }
+      const group = groups.get(key);
+      const addSize = (size, stock, reorderPoint, unitCost) => {
+        const sizeId = sizeKey(size);
+        if (!group.sizes.has(sizeId)) {
+          group.sizes.set(sizeId, { size: size || "N/A", on_hand: 0, reorder_point: 0, unit_cost: null });
+        }
+        const entry = group.sizes.get(sizeId);
+        entry.on_hand += toNumber(stock);
+        entry.reorder_point += toNumber(reorderPoint);
+        if (toNumber(unitCost) > 0) entry.unit_cost = toNumber(unitCost);
+      };
+
+      const { sizeVariations } = ItemVariantsService.getLayout(row, variantsByItemId);
+      if (sizeVariations.length > 0) {
+        for (const variant of sizeVariations) {
+          addSize(
+            variant.size,
+            variant.stock,
+            variant.reorder_point ?? row.reorder_point,
+            variant.purchase_unit_price ?? variant.price ?? row.price
+          );
+        }
+      } else {
+        addSize(row.size, row.stock, row.reorder_point, row.price);
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Expected enrolment: active students who are enrolled or eligible, per level, type and gender
+   * @returns {Promise<Array<Object>>} { education_level, student_type, gender, students }
+   */
+  async _loadEnrolment(levelFilter) {
+    const rows = await sql`
+      SELECT education_level,
+             COALESCE(LOWER(student_type), 'new') AS student_type,
+             gender,
+             COUNT(*)::int AS students
+      FROM students
+      WHERE education_level IS NOT NULL
+        AND COALESCE(status, 'active') = 'active'
+        AND (enrollment_status IS NULL OR enrollment_status IN ${sql(ENROLLED_STATUSES)})
+      GROUP BY 1, 2, 3
+      ORDER BY 1, 2, 3
+    `;
+    return rows.filter((row) => !levelFilter || levelKey(row.education_level) === levelFilter);
+  }
+
+  /** Group an order line belongs to: its own level first, then the all-levels item */
+  _findGroup(groups, line, orderLevel) {
+    const name = normalizeItemName(line.name);
+    return (
+      groups.get(`${levelKey(line.education_level || orderLevel)}|${name}`) ||
+      groups.get(`${levelKey(orderLevel)}|${name}`) ||
+      groups.get(`${levelKey(ALL_LEVELS)}|${name}`) ||
+      null
+    );
+  }
+
+  /**
+   * Units ordered in the history window per group, size and student type, and the students
+   * who ordered per education level and type. Cancelled orders, voided lines and pre-orders
+   * still waiting for stock (counted separately) are left out.
+   */
+  async _loadOrderHistory(groups, period, levelFilter) {
+    const orders = await sql`
+      SELECT o.student_id, o.education_level, o.items, st.student_type
+      FROM orders o
+      LEFT JOIN LATERAL (
+        SELECT LOWER(s.student_type) AS student_type
+        FROM students s
+        WHERE s.id::text = o.student_id::text OR s.user_id::text = o.student_id::text
+        LIMIT 1
+      ) st ON true
+      WHERE o.is_active = true
+        AND o.status <> 'cancelled'
+        AND o.order_type IS DISTINCT FROM 'pre-order'
+        AND o.created_at >= ${period.from}
+        AND o.created_at < ${period.to}
+    `;
+
+    const unitsByGroup = new Map();
+    const orderingStudents = new Map();
+    for (const order of orders) {
+      if (levelFilter && levelKey(order.education_level) !== levelFilter) continue;
+      const studentType = STUDENT_TYPES.includes(order.student_type) ? order.student_type : "new";
+      const studentsKey = `${levelKey(order.education_level)}|${studentType}`;
+      if (!orderingStudents.has(studentsKey)) orderingStudents.set(studentsKey, new Set());
+      if (order.student_id) orderingStudents.get(studentsKey).add(String(order.student_id));
+
+      for (const line of parseOrderItems(order.items)) {
+        if (line.fulfillment_status === "voided") continue;
+        const group = this._findGroup(groups, line, order.education_level);
+        if (!group) continue;
+        const quantity = toNumber(line.quantity);
+        if (quantity <= 0) continue;
+
+        if (!unitsByGroup.has(group)) {
+          unitsByGroup.set(group, { total: 0, bySize: new Map(), byType: { new: 0, old: 0 } });
+        }
+        const units = unitsByGroup.get(group);
+        const lineSize = sizeKey(line.size);
+        units.total += quantity;
+        units.byType[studentType] += quantity;
+        units.bySize.set(lineSize, (units.bySize.get(lineSize) || 0) + quantity);
+      }
+    }
+
+    return { orderCount: orders.length, unitsByGroup, orderingStudents };
+  }
+
+  /** Units still waiting on open pre-orders per group and size */
+  async _loadWaitingPreOrders(groups, levelFilter) {
+    const orders = await sql`
+      SELECT education_level, items
+      FROM orders
+      WHERE is_active = true
+        AND order_type = 'pre-order'
+        AND status IN ${sql(QUEUED_PRE_ORDER_STATUSES)}
+    `;
+    const waiting = new Map();
+    for (const order of orders) {
+      if (levelFilter && levelKey(order.education_level) !== levelFilter) continue;
+      for (const line of parseOrderItems(order.items)) {
+        const group = this._findGroup(groups, line, order.education_level);
+        if (!group) continue;
+        const units = Math.max(toNumber(line.quantity) - toNumber(line.allocated_quantity), 0);
+        if (units <= 0) continue;
+        if (!waiting.has(group)) waiting.set(group, new Map());
+        const bySize = waiting.get(group);
+        const lineSize = sizeKey(line.size);
+        bySize.set(lineSize, (bySize.get(lineSize) || 0) + units);
+      }
+    }
+    return waiting;
+  }
+
+  /** Units still to be delivered on open purchase orders per group and size */
+  async _loadOnOrder(groups, levelFilter) {
+    const onOrder = new Map();
+    const [{ has_purchase_orders: hasPurchaseOrders }] = await sql`
+      SELECT to_regclass('purchase_order_lines') IS NOT NULL AS has_purchase_orders
+    `;
+    if (!hasPurchaseOrders) return onOrder;
+
+    const lines = await sql`
+      SELECT l.item_name AS name, l.education_level, l.size,
+             (l.quantity_ordered - l.quantity_received)::int AS units
+      FROM purchase_order_lines l
+      JOIN purchase_orders p ON p.id = l.purchase_order_id
+      WHERE p.status IN ${sql(OPEN_PO_STATUSES)}
+        AND l.quantity_received < l.quantity_ordered
+    `;
+    for (const line of lines) {
+      if (levelFilter && levelKey(line.education_level) !== levelFilter) continue;
+      const group = this._findGroup(groups, line, line.education_level);
+      if (!group) continue;
+      if (!onOrder.has(group)) onOrder.set(group, new Map());
+      const bySize = onOrder.get(group);
+      const lineSize = sizeKey(line.size);
+      bySize.set(lineSize, (bySize.get(lineSize) || 0) + line.units);
+    }
+    return onOrder;
+  }
+
+  /** Per-student allowance of an item for an enrolment segment (0 when the item is not for them) */
+  _segmentLimit(group, segment) {
+    const forAllLevels = group.education_level === ALL_LEVELS;
+    if (!forAllLevels && levelKey(group.education_level) !== levelKey(segment.education_level)) return 0;
+    if (group.for_gender !== "Unisex" && segment.gender && group.for_gender !== segment.gender) return 0;
+    const limit = segment.limits?.[resolveItemKey(group.name)];
+    return limit === undefined ? DEFAULT_MAX : toNumber(limit);
+  }
+
+  _forecastGroup(group, enrolment, history, waiting, onOrder, historyYears) {
+    const units = history.unitsByGroup.get(group) || { total: 0, bySize: new Map(), byType: { new: 0, old: 0 } };
+    const waitingBySize = waiting.get(group) || new Map();
+    const onOrderBySize = onOrder.get(group) || new Map();
+
+    // Expected demand per student type: allowance x participation x uptake
+    let expectedDemand = 0;
+    let ceiling = 0;
+    let hasEnrolment = false;
+    for (const studentType of STUDENT_TYPES) {
+      const segments = enrolment
+        .filter((segment) => segment.student_type === studentType)
+        .map((segment) => ({ ...segment, limit: this._segmentLimit(group, segment) }))
+        .filter((segment) => segment.limit > 0);
+      if (segments.length === 0) continue;
+      hasEnrolment = true;
+
+      const studentsByLevel = new Map();
+      for (const segment of segments) {
+        const key = levelKey(segment.education_level);
+        studentsByLevel.set(key, (studentsByLevel.get(key) || 0) + segment.students);
+      }
+      // Share of today's students at a level who ordered anything in an average history year
+      const participation = (level) => {
+        const ordered = (history.orderingStudents.get(`${level}|${studentType}`)?.size || 0) / historyYears;
+        return ordered > 0 ? Math.min(ordered / studentsByLevel.get(level), 1) : null;
+      };
+      // Share of their allowance the students who ordered actually used for this item
+      const orderedAllowance = segments.reduce((sum, segment) => {
+        const rate = participation(levelKey(segment.education_level));
+        return sum + (rate === null ? 0 : segment.students * rate * segment.limit);
+      }, 0);
+      const uptake =
+        orderedAllowance > 0 ? Math.min(units.byType[studentType] / historyYears / orderedAllowance, 1) : 1;
+
+      for (const segment of segments) {
+        const allowance = segment.students * segment.limit;
+        ceiling += allowance;
+        expectedDemand += allowance * (participation(levelKey(segment.education_level)) ?? 1) * uptake;
+      }
+    }
+    // No roster for this item's levels: repeat the average history year
+    if (!hasEnrolment) expectedDemand = units.total / historyYears;
+
+    // Size mix from history; without history, spread evenly over the sizes carried
+    const sizeIds = new Set([
+      ...group.sizes.keys(),
+      ...units.bySize.keys(),
+      ...waitingBySize.keys(),
+      ...onOrderBySize.keys(),
+    ]);
+    const carriedSizes = [...group.sizes.keys()];
+    const share = (sizeId) => {
+      if (units.total > 0) return (units.bySize.get(sizeId) || 0) / units.total;
+      return group.sizes.has(sizeId) && carriedSizes.length > 0 ? 1 / carriedSizes.length : 0;
+    };
+
+    const sizes = [...sizeIds].sort((a, b) => sizeRank(a) - sizeRank(b)).map((sizeId) => {
+      const stock = group.sizes.get(sizeId) || { size: sizeId, on_hand: 0, reorder_point: 0, unit_cost: null };
+      const forecastDemand = Math.ceil(expectedDemand * share(sizeId));
+      const pendingPreOrders = waitingBySize.get(sizeId) || 0;
+      const onOrderUnits = onOrderBySize.get(sizeId) || 0;
+      const suggested = Math.max(
+        forecastDemand + pendingPreOrders + stock.reorder_point - stock.on_hand - onOrderUnits,
+        0
+      );
+      return {
+        size: stock.size,
+        historical_units: units.bySize.get(sizeId) || 0,
+        forecast_demand: forecastDemand,
+        pending_pre_orders: pendingPreOrders,
+        on_hand: stock.on_hand,
+        on_order: onOrderUnits,
+        reorder_point: stock.reorder_point,
+        suggested_quantity: suggested,
+        unit_cost: stock.unit_cost,
+        estimated_amount: roundAmount(suggested * (stock.unit_cost || 0)),
+      };
+    });
+
+    return {
+      name: group.name,
+      education_level: group.education_level,
+      for_gender: group.for_gender,
+      historical_units: units.total,
+      enrolment_ceiling: ceiling,
+      expected_demand: Math.ceil(expectedDemand),
+      suggested_quantity: sizes.reduce((sum, size) => sum + size.suggested_quantity, 0),
+      sizes,
+    };
+  }
+}
+
+module.exports = new DemandForecastService();
@@ -0,0 +1,435 @@
+const { sql } = require("../../config/database");
+const InventoryService = require("./inventory.service");
+const {
+  getSchoolYearForDate,
+  SCHOOL_YEAR_START_MONTH,
+} = require("../system_admin/totalItemLimitPolicy.service");
+const { toDateOnly, parseDateOnly } = require("../../utils/dateOnly");
+
+/**
+ * Fiscal Year Closing Service
+ *
+ * Frozen closing figures per fiscal year, item and size, and the year-over-year comparison
+ * built on them.
+ * - Capture: called by the fiscal year rollover inside its transaction, before beginning
+ *   inventory and purchases are overwritten. Figures are the inventory report export's
+ *   (beginning, purchases, released, returns, ending, FIFO valuation) for the period from
+ *   the item's fiscal year start to the day before the rollover.
+ * - Closing rows of a run that was rolled back no longer count as the year's closing.
+ * - A fiscal year closed by more than one run (a second rollover within the year) is
+ *   combined per item / size: beginning from the first period, movements summed, ending
+ *   and valuation from the last.
+ * - The current fiscal year has no closing yet; comparisons use its live figures.
+ */
+
+const FIGURE_FIELDS = ["beginning_inventory", "purchases", "released", "returns", "ending_inventory"];
+
+function dateOnly(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function percentChange(from, to) {
+  if (!from) return null;
+  return Math.round(((to - from) / from) * 1000) / 10;
+}
+
+function sizeKey(itemId, size) {
+  return `${itemId}|${String(size || "N/A").toLowerCase().trim()}`;
+}
+
+/** First day of a school year label, e.g. "2025-2026" -> "2025-06-01" */
+function schoolYearStartDate(fiscalYear) {
+  return `${fiscalYear.slice(0, 4)}-${String(SCHOOL_YEAR_START_MONTH).padStart(2, "0")}-01`;
+}
+
+function normalizeFiscalYear(value, field) {
+  const match = String(value || "").match(/^(\d{4})\s*-\s*(\d{4})$/);
+  if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+    throw new Error(`${field} must look like "2025-2026"`);
+  }
+  return `${match[1]}-${match[2]}`;
+}
+
+function emptyFigures() {
+  return {
+    beginning_inventory: 0,
+    purchases: 0,
+    released: 0,
+    returns: 0,
+    ending_inventory: 0,
+    ending_value: 0,
+  };
+}
+
+function figuresOf(row) {
+  return {
+    beginning_inventory: Number(row.beginning_inventory) || 0,
+    purchases: Number(row.purchases) || 0,
+    released: Number(row.released) || 0,
+    returns: Number(row.returns) || 0,
+    ending_inventory: Number(row.ending_inventory) || 0,
+    ending_value: roundAmount(row.ending_value),
+  };
+}
+
+function addFigures(total, figures) {
+  for (const field of [...FIGURE_FIELDS, "ending_value"]) {
+    total[field] += figures[field];
+  }
+  total.ending_value = roundAmount(total.ending_value);
+  return total;
+}
+
+function changeBetween(base, compare) {
+  const from = base || emptyFigures();
+  const to = compare || emptyFigures();
+  const change = {};
+  for (const field of FIGURE_FIELDS) {
+    change[field] = to[field] - from[field];
+  }
+  change.ending_value = roundAmount(to.ending_value - from.ending_value);
+  change.released_pct = base && compare ? percentChange(from.released, to.released) : null;
+  change.ending_value_pct =
+    base && compare ? percentChange(from.ending_value, to.ending_value) : null;
+  return change;
+}
+
+/**
+ * Combine the closing rows of one fiscal year per item / size (rows ordered by period)
+ */
+function combineClosingRows(rows) {
+  const byKey = new Map();
+  for (const row of rows) {
+    const key = sizeKey(row.item_id, row.size);
+    const figures = figuresOf(row);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, {
+        item_id: row.item_id,
+        name: row.item_name,
+        education_level: row.education_level,
+        category: row.category,
+        size: row.size,
+        period_start: dateOnly(row.period_start),
+        period_end: dateOnly(row.period_end),
+        ...figures,
+        unit_price_beginning: Number(row.unit_price_beginning) || 0,
+        purchase_unit_price: Number(row.purchase_unit_price) || 0,
+      });
+      continue;
+    }
+    existing.purchases += figures.purchases;
+    existing.released += figures.released;
+    existing.returns += figures.returns;
+    existing.ending_inventory = figures.ending_inventory;
+    existing.ending_value = figures.ending_value;
+    existing.purchase_unit_price = Number(row.purchase_unit_price) || 0;
+    existing.period_end = dateOnly(row.period_end);
+  }
+  return [...byKey.values()];
+}
+
+function liveRowOf(row, periodStart, periodEnd) {
+  return {
+    item_id: row.item_id,
+    name: row.name,
+    education_level: row.education_level,
+    category: row.category || null,
+    size: row.size || "N/A",
+    period_start: periodStart,
+    period_end: periodEnd,
+    beginning_inventory: Number(row.beginning_inventory) || 0,
+    purchases: Number(row.purchases) || 0,
+    released: Number(row.released) || 0,
+    returns: Number(row.returns) || 0,
+    ending_inventory: Number(row.ending_inventory) || 0,
+    ending_value: roundAmount(row.total_amount),
+    unit_price_beginning: Number(row.unit_price_beginning) || 0,
+    purchase_unit_price: Number(row.purchase_unit_price) || 0,
+  };
+}
+
+class FiscalYearClosingService {
+  /**
+   * Freeze the closing figures of the items a rollover run is about to carry forward.
+   * Runs inside the rollover transaction (tx), with the items already locked.
+   * @param {Function} tx - Transaction of the rollover run
+   * @param {Object} run - fiscal_year_rollover_runs row
+   * @param {Array<Object>} plans - Items being rolled over: [{ item, fiscal_year_start }]
+   * @param {string} rolloverDate - YYYY-MM-DD
+   * @returns {Promise<Object>} { rows, fiscalYears }
+   */
+  async captureClosing(tx, run, plans, rolloverDate) {
+    if (plans.length === 0) return { rows: 0, fiscalYears: [] };
+
+    const [{ exists }] = await tx`
+      SELECT to_regclass('fiscal_year_closing_snapshots') IS NOT NULL AS exists
+    `;
+    if (!exists) {
+      console.warn(
+        "[Fiscal Year Closing] fiscal_year_closing_snapshots table not found; closing figures not frozen (run migrations/create_fiscal_year_closing_snapshots_table.sql)",
+      );
+      return { rows: 0, fiscalYears: [] };
+    }
+
+    const periodEndDate = parseDateOnly(rolloverDate);
+    periodEndDate.setDate(periodEndDate.getDate() - 1);
+    const periodEnd = toDateOnly(periodEndDate);
+    const defaultPeriodStart = schoolYearStartDate(getSchoolYearForDate(periodEndDate));
+
+    // One report per distinct fiscal year start (items usually share one)
+    const itemIdsByStart = new Map();
+    for (const plan of plans) {
+      const periodStart = plan.fiscal_year_start || defaultPeriodStart;
+      if (!itemIdsByStart.has(periodStart)) itemIdsByStart.set(periodStart, new Set());
+      itemIdsByStart.get(periodStart).add(String(plan.item.id));
+    }
+
+    let rowCount = 0;
+    const fiscalYears = new Set();
+    for (const [periodStart, itemIds] of itemIdsByStart) {
+      const fiscalYear = getSchoolYearForDate(parseDateOnly(periodStart));
+      const report = await InventoryService.getInventoryReportForExport({
+        startDate: periodStart,
+        endDate: periodEnd,
+      });
+
+      const seen = new Set();
+      const rows = [];
+      for (const row of report.data || []) {
+        if (!itemIds.has(String(row.item_id))) continue;
+        const size = row.size || "N/A";
+        const key = sizeKey(row.item_id, size);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        rows.push({
+          fiscal_year: fiscalYear,
+          run_id: run.id,
+          item_id: row.item_id,
+          item_name: row.name,
+          education_level: row.education_level || null,
+          category: row.category || null,
+          size,
+          period_start: periodStart,
+          period_end: periodEnd,
+          beginning_inventory: Number(row.beginning_inventory) || 0,
+          purchases: Number(row.purchases) || 0,
+          released: Number(row.released) || 0,
+          returns: Number(row.returns) || 0,
+          ending_inventory: Number(row.ending_inventory) || 0,
+          unit_price_beginning: Number(row.unit_price_beginning) || 0,
+          purchase_unit_price: Number(row.purchase_unit_price) || 0,
+          ending_value: roundAmount(row.total_amount),
+        });
+      }
+
+      for (let i = 0; i < rows.length; i += 500) {
+        await tx`INSERT INTO fiscal_year_closing_snapshots ${tx(rows.slice(i, i + 500))}`;
+      }
+      rowCount += rows.length;
+      if (rows.length > 0) fiscalYears.add(fiscalYear);
+    }
+
+    return { rows: rowCount, fiscalYears: [...fiscalYears].sort() };
+  }
+
+  /**
+   * Closed fiscal years with their totals
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getClosings() {
+    try {
+      const rows = await sql`
+        SELECT c.fiscal_year,
+               MIN(c.period_start) AS period_start,
+               MAX(c.period_end) AS period_end,
+               COUNT(DISTINCT c.item_id)::int AS items,
+               COUNT(*)::int AS size_rows,
+               COALESCE(SUM(c.purchases), 0)::int AS purchases,
+               COALESCE(SUM(c.released), 0)::int AS released,
+               COALESCE(SUM(c.returns), 0)::int AS returns,
+               MAX(c.created_at) AS closed_at,
+               ARRAY_AGG(DISTINCT c.run_id) AS run_ids
+        FROM fiscal_year_closing_snapshots c
+        JOIN fiscal_year_rollover_runs r ON r.id = c.run_id
+        WHERE r.status = 'completed'
+        GROUP BY c.fiscal_year
+        ORDER BY c.fiscal_year DESC
+      `;
+      return {
+        success: true,
+        data: rows.map((row) => ({
+          ...row,
+          period_start: dateOnly(row.period_start),
+          period_end: dateOnly(row.period_end),
+        })),
+      };
+    } catch (error) {
+      console.error("Get fiscal year closings error:", error);
+      throw new Error(`Failed to fetch fiscal year closings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Closing figures of one fiscal year per item / size
+   * @param {string} fiscalYear - e.g. 2025-2026
+   * @param {Object} filters - { educationLevel }
+   * @returns {Promise<Object>} { success, data: { fiscal_year, rows, totals } }
+   */
+  async getClosing(fiscalYear, filters = {}) {
+    try {
+      const year = normalizeFiscalYear(fiscalYear, "fiscalYear");
+      const rows = await this._loadClosingRows(year, filters.educationLevel);
+      if (rows.length === 0) {
+        throw new Error(`Closing snapshot for fiscal year ${year} not found`);
+      }
+      const data = combineClosingRows(rows);
+      return {
+        success: true,
+        data: {
+          fiscal_year: year,
+          rows: data,
+          totals: data.reduce((total, row) => addFigures(total, figuresOf(row)), emptyFigures()),
+        },
+      };
+    } catch (error) {
+      console.error("Get fiscal year closing error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Two fiscal years side by side per item / size, with the change between them.
+   * A fiscal year without a closing snapshot can only be the current one (live figures).
+   * @param {Object} params - { baseYear, compareYear, educationLevel }
+   * @returns {Promise<Object>} { success, data: { base, compare, rows, totals } }
+   */
+  async compareFiscalYears(params = {}) {
+    try {
+      const baseYear = normalizeFiscalYear(params.baseYear, "baseYear");
+      const compareYear = normalizeFiscalYear(params.compareYear, "compareYear");
+      if (baseYear === compareYear) {
+        throw new Error("baseYear must be different from compareYear");
+      }
+
+      const [base, compare] = await Promise.all([
+        this._loadYear(baseYear, params.educationLevel),
+        this._loadYear(compareYear, params.educationLevel),
+      ]);
+
+      const rowsByKey = new Map();
+      for (const [side, year] of [["base", base], ["compare", compare]]) {
+        for (const row of year.rows) {
+          const key = sizeKey(row.item_id, row.size);
+          if (!rowsByKey.has(key)) {
+            rowsByKey.set(key, {
+              item_id: row.item_id,
+              name: row.name,
+              education_level: row.education_level,
+              size: row.size,
+              base: null,
+              compare: null,
+            });
+          }
+          rowsByKey.get(key)[side] = figuresOf(row);
+        }
+      }
+
+      const rows = [...rowsByKey.values()]
+        .map((row) => ({ ...row, change: changeBetween(row.base, row.compare) }))
+        .sort(
+          (a, b) =>
+            String(a.education_level || "").localeCompare(String(b.education_level || "")) ||
+            String(a.name || "").localeCompare(String(b.name || "")) ||
+            String(a.size || "").localeCompare(String(b.size || "")),
+        );
+
+      const baseTotals = base.rows.reduce(
+        (total, row) => addFigures(total, figuresOf(row)),
+        emptyFigures(),
+      );
+      const compareTotals = compare.rows.reduce(
+        (total, row) => addFigures(total, figuresOf(row)),
+        emptyFigures(),
+      );
+
+      const describe = ({ rows: yearRows, ...year }) => year;
+      return {
+        success: true,
+        data: {
+          base: describe(base),
+          compare: describe(compare),
+          rows,
+          totals: {
+            base: baseTotals,
+            compare: compareTotals,
+            change: changeBetween(baseTotals, compareTotals),
+          },
+        },
+      };
+    } catch (error) {
+      console.error("Compare fiscal years error:", error);
+      throw error;
+    }
+  }
+
+  async _loadClosingRows(fiscalYear, educationLevel) {
+    return sql`
+      SELECT c.*
+      FROM fiscal_year_closing_snapshots c
+      JOIN fiscal_year_rollover_runs r ON r.id = c.run_id
+      WHERE r.status = 'completed'
+        AND c.fiscal_year = ${fiscalYear}
+        ${educationLevel ? sql`AND c.education_level = ${educationLevel}` : sql``}
+      ORDER BY c.period_start, c.created_at
+    `;
+  }
+
+  /**
+   * Figures of one fiscal year: its closing snapshot, or live figures for the current year
+   */
+  async _loadYear(fiscalYear, educationLevel) {
+    const closingRows = await this._loadClosingRows(fiscalYear, educationLevel);
+    if (closingRows.length > 0) {
+      const rows = combineClosingRows(closingRows);
+      return {
+        fiscal_year: fiscalYear,
+        source: "closing",
+        period_start: dateOnly(closingRows[0].period_start),
+        period_end: dateOnly(
+          closingRows.reduce(
+            (max, row) => (dateOnly(row.period_end) > max ? dateOnly(row.period_end) : max),
+            "",
+          ),
+        ),
+        rows,
+      };
+    }
+
+    if (fiscalYear !== getSchoolYearForDate(new Date())) {
+      throw new Error(`Closing snapshot for fiscal year ${fiscalYear} not found`);
+    }
+
+    const periodStart = schoolYearStartDate(fiscalYear);
+    const periodEnd = toDateOnly(new Date());
+    const report = await InventoryService.getInventoryReportForExport({
+      startDate: periodStart,
+      endDate: periodEnd,
+      educationLevel: educationLevel || undefined,
+    });
+    return {
+      fiscal_year: fiscalYear,
+      source: "live",
+      period_start: periodStart,
+      period_end: periodEnd,
+      rows: (report.data || []).map((row) => liveRowOf(row, periodStart, periodEnd)),
+    };
+  }
+}
+
+module.exports = new FiscalYearClosingService();
@@ -0,0 +1,608 @@
+const { sql } = require("../../config/database");
+const InventoryService = require("./inventory.service");
+const ItemVariantsService = require("./itemVariants.service");
+const FiscalYearClosingService = require("./fiscalYearClosing.service");
+const { getSchoolYearForDate } = require("../system_admin/totalItemLimitPolicy.service");
+const { toDateOnly, parseDateOnly } = require("../../utils/dateOnly");
+const isProduction = process.env.NODE_ENV === "production";
+
+/**
+ * Fiscal Year Rollover Service
+ *
+ * Carries each active item's ending inventory forward as the beginning inventory of the
+ * new fiscal year and resets purchases (item level and per size for items with size
+ * variations). Stock itself is not changed.
+ * - Dry run: the per-item / per-size carry-forward the rollover would apply, nothing written
+ * - Run: applied in one transaction with the items locked; recorded per fiscal year with a
+ *   snapshot of every item it changed as it was before, and the closing figures of the
+ *   year it ends frozen per item / size (see FiscalYearClosingService)
+ * - Rollback (system admin): restores beginning inventory and fiscal year start from the
+ *   snapshots; purchases recorded since the rollover are added back to the restored purchases
+ * Items whose fiscal year already starts on or after the rollover date are skipped.
+ */
+
+const RUN_STATUS = {
+  COMPLETED: "completed",
+  ROLLED_BACK: "rolled_back",
+};
+
+const SNAPSHOT_BATCH_SIZE = 500;
+
+/** DATE columns come back as UTC-midnight Dates */
+function dateOnly(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function toCount(value) {
+  return Number(value) || 0;
+}
+
+/**
+ * Rollover date as YYYY-MM-DD plus the timestamp written to beginning_inventory_date
+ * (defaults to today)
+ */
+function resolveRolloverDate(rolloverDate) {
+  if (rolloverDate === undefined || rolloverDate === null || rolloverDate === "") {
+    const now = new Date();
+    return { date: toDateOnly(now), timestamp: now.toISOString() };
+  }
+  const value = String(rolloverDate).trim();
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error("rolloverDate must be a valid date (YYYY-MM-DD)");
+  }
+  return {
+    date: parseDateOnly(value) ? value : parsed.toISOString().slice(0, 10),
+    timestamp: parsed.toISOString(),
+  };
+}
+
+/** Size variations of a snapshot taken while variants were still stored in items.note */
+function legacySnapshotHasSizeVariations(before) {
+  if (!before?.note) return false;
+  try {
+    const parsed = JSON.parse(before.note);
+    return Boolean(parsed && parsed._type === "sizeVariations" && Array.isArray(parsed.sizeVariations));
+  } catch (e) {
+    return false; // Not JSON: plain note
+  }
+}
+
+/**
+ * What the rollover does to one item
+ * @param {Object} item - items row
+ * @param {Object} layout - The item's variants (ItemVariantsService)
+ * @param {Object} rollover - { date, timestamp }
+ * @returns {Object} { item, skipReason?, update?, variantUpdates?, before?, sizes }
+ */
+function planItem(item, layout, rollover) {
+  const plan = {
+    item,
+    fiscal_year_start: dateOnly(item.fiscal_year_start),
+    sizes: [],
+  };
+
+  if (plan.fiscal_year_start && plan.fiscal_year_start >= rollover.date) {
+    plan.skipReason = `Fiscal year already starts ${plan.fiscal_year_start}`;
+    return plan;
+  }
+
+  const endingInventory = InventoryService.endingInventoryOf(item);
+  plan.update = {
+    beginning_inventory: endingInventory,
+    purchases: 0,
+    beginning_inventory_date: rollover.timestamp,
+    fiscal_year_start: rollover.date,
+  };
+  plan.variantUpdates = [];
+
+  if (layout.sizeVariations.length > 0) {
+    for (const variant of layout.sizeVariations) {
+      const beginningInventory = toCount(variant.beginning_inventory);
+      const purchases = toCount(variant.purchases);
+      plan.sizes.push({
+        variant_id: variant.variant_id,
+        size: variant.size || "N/A",
+        stock: toCount(variant.stock),
+        beginning_inventory_before: beginningInventory,
+        purchases_before: purchases,
+        beginning_inventory_after: beginningInventory + purchases,
+        purchases_after: 0,
+      });
+      plan.variantUpdates.push({
+        id: variant.variant_id,
+        beginning_inventory: beginningInventory + purchases,
+        purchases: 0,
+      });
+    }
+  } else {
+    plan.sizes.push({
+      size: item.size || "N/A",
+      stock: toCount(item.stock),
+      beginning_inventory_before: toCount(item.beginning_inventory),
+      purchases_before: toCount(item.purchases),
+      beginning_inventory_after: endingInventory,
+      purchases_after: 0,
+    });
+  }
+
+  plan.before = {
+    beginning_inventory: toCount(item.beginning_inventory),
+    purchases: toCount(item.purchases),
+    beginning_inventory_date: item.beginning_inventory_date
+      ? new Date(item.beginning_inventory_date).toISOString()
+      : null,
+    fiscal_year_start: plan.fiscal_year_start,
+  };
+  return plan;
+}
+
+function formatPlan(plan) {
+  return {
+    item_id: plan.item.id,
+    name: plan.item.name,
+    education_level: plan.item.education_level || null,
+    action: plan.skipReason ? "skip" : "rollover",
+    skip_reason: plan.skipReason || null,
+    fiscal_year_start: plan.fiscal_year_start,
+    beginning_inventory_before: toCount(plan.item.beginning_inventory),
+    purchases_before: toCount(plan.item.purchases),
+    beginning_inventory_after: plan.update ? plan.update.beginning_inventory : null,
+    sizes: plan.sizes,
+  };
+}
+
+function summarize(plans) {
+  const toUpdate = plans.filter((plan) => !plan.skipReason);
+  return {
+    itemsProcessed: plans.length,
+    itemsUpdated: toUpdate.length,
+    itemsSkipped: plans.length - toUpdate.length,
+    totals: {
+      beginning_inventory_before: toUpdate.reduce(
+        (sum, plan) => sum + plan.before.beginning_inventory,
+        0,
+      ),
+      purchases_carried_forward: toUpdate.reduce((sum, plan) => sum + plan.before.purchases, 0),
+      beginning_inventory_after: toUpdate.reduce(
+        (sum, plan) => sum + plan.update.beginning_inventory,
+        0,
+      ),
+    },
+  };
+}
+
+/**
+ * Purchases recorded since the rollover go back into the restored year (item level)
+ */
+function restoreUpdate(snapshot, current) {
+  const before = snapshot.before || {};
+  return {
+    beginning_inventory: toCount(before.beginning_inventory),
+    purchases: toCount(before.purchases) + toCount(current.purchases),
+    beginning_inventory_date: before.beginning_inventory_date || null,
+    fiscal_year_start: before.fiscal_year_start || null,
+  };
+}
+
+/**
+ * Same per size variant: matched by variant id (by size for snapshots of runs from before
+ * variants had their own table). Sizes added after the rollover are kept as they are.
+ * @returns {Array<Object>} { id, beginning_inventory, purchases } per variant to restore
+ */
+function restoreVariantUpdates(snapshot, layout) {
+  const sizes = Array.isArray(snapshot.sizes) ? snapshot.sizes : [];
+  const byVariantId = sizes.some((entry) => entry.variant_id);
+  if (!byVariantId && !legacySnapshotHasSizeVariations(snapshot.before)) return [];
+
+  const updates = [];
+  for (const variant of layout.sizeVariations) {
+    const entry = sizes.find((candidate) =>
+      byVariantId
+        ? String(candidate.variant_id) === String(variant.variant_id)
+        : candidate.size === variant.size,
+    );
+    if (!entry) continue;
+    updates.push({
+      id: variant.variant_id,
+      beginning_inventory: toCount(entry.beginning_inventory_before),
+      purchases: toCount(entry.purchases_before) + toCount(variant.purchases),
+    });
+  }
+  return updates;
+}
+
+async function updateVariants(tx, variantUpdates) {
+  for (const update of variantUpdates) {
+    await tx`
+      UPDATE item_variants
+      SET beginning_inventory = ${update.beginning_inventory},
+          purchases = ${update.purchases},
+          updated_at = NOW()
+      WHERE id = ${update.id}
+    `;
+  }
+}
+
+/** Only the latest run still in effect can be rolled back */
+async function getLatestCompletedRunId(db) {
+  const [latest] = await db`
+    SELECT id FROM fiscal_year_rollover_runs
+    WHERE status = ${RUN_STATUS.COMPLETED}
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+  return latest ? latest.id : null;
+}
+
+function formatRun(run, latestCompletedRunId = null) {
+  return {
+    ...run,
+    rollover_date: dateOnly(run.rollover_date),
+    items_processed: toCount(run.items_processed),
+    items_updated: toCount(run.items_updated),
+    items_skipped: toCount(run.items_skipped),
+    can_roll_back: run.status === RUN_STATUS.COMPLETED && run.id === latestCompletedRunId,
+  };
+}
+
+async function logRolloverTransaction(action, actor, details, metadata) {
+  try {
+    const TransactionService = require("../transaction.service");
+    await TransactionService.logTransaction(
+      "Inventory",
+      action,
+      actor?.userId || null,
+      details,
+      metadata,
+      actor?.email || null,
+    );
+  } catch (txError) {
+    console.error(`Failed to log ${action} transaction:`, txError);
+  }
+}
+
+class FiscalYearRolloverService {
+  /**
+   * Dry run: what a rollover on the given date would carry forward, per item and per size
+   * @param {string} [rolloverDate] - YYYY-MM-DD (defaults to today)
+   * @returns {Promise<Object>} { success, dryRun, rolloverDate, fiscalYear, itemsProcessed,
+   *   itemsUpdated, itemsSkipped, totals, previousRuns, items }
+   */
+  async previewRollover(rolloverDate = null) {
+    try {
+      const rollover = resolveRolloverDate(rolloverDate);
+      const fiscalYear = getSchoolYearForDate(parseDateOnly(rollover.date));
+
+      const items = await sql`
+        SELECT * FROM items WHERE is_active = true ORDER BY name, id
+      `;
+      const layouts = await ItemVariantsService.loadLayouts(sql, items.map((item) => item.id));
+      const plans = items.map((item) =>
+        planItem(item, ItemVariantsService.getLayout(item, layouts), rollover),
+      );
+      const previousRuns = await sql`
+        SELECT id, rollover_date, status, items_updated, created_at
+        FROM fiscal_year_rollover_runs
+        WHERE fiscal_year = ${fiscalYear}
+        ORDER BY created_at DESC
+      `;
+      const latestCompletedRunId = await getLatestCompletedRunId(sql);
+
+      return {
+        success: true,
+        dryRun: true,
+        message: "Dry run: no items were changed",
+        rolloverDate: rollover.date,
+        fiscalYear,
+        ...summarize(plans),
+        previousRuns: previousRuns.map((run) => formatRun(run, latestCompletedRunId)),
+        items: plans.map(formatPlan),
+      };
+    } catch (error) {
+      console.error("[Fiscal Year Rollover] ❌ Preview error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform the rollover for all active items in one transaction, recording the run and a
+   * pre-rollover snapshot of each item it changes
+   * @param {string} [rolloverDate] - YYYY-MM-DD (defaults to today)
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, message, runId, rolloverDate, fiscalYear,
+   *   itemsProcessed, itemsUpdated, itemsSkipped, totals, closing, items }
+   */
+  async performRollover(rolloverDate = null, actor = {}) {
+    try {
+      const rollover = resolveRolloverDate(rolloverDate);
+      const fiscalYear = getSchoolYearForDate(parseDateOnly(rollover.date));
+
+      if (!isProduction) {
+        console.log(
+          `[Fiscal Year Rollover] 🗓️ Starting rollover for date: ${rollover.date} (${fiscalYear})`,
+        );
+      }
+
+      const { run, plans, closing } = await sql.begin(async (tx) => {
+        const items = await tx`
+          SELECT * FROM items WHERE is_active = true ORDER BY name, id FOR UPDATE
+        `;
+        const layouts = await ItemVariantsService.loadLayouts(
+          tx,
+          items.map((item) => item.id),
+          { forUpdate: true },
+        );
+        const plans = items.map((item) =>
+          planItem(item, ItemVariantsService.getLayout(item, layouts), rollover),
+        );
+        const summary = summarize(plans);
+
+        const [run] = await tx`
+          INSERT INTO fiscal_year_rollover_runs ${tx({
+            fiscal_year: fiscalYear,
+            rollover_date: rollover.date,
+            status: RUN_STATUS.COMPLETED,
+            items_processed: summary.itemsProcessed,
+            items_updated: summary.itemsUpdated,
+            items_skipped: summary.itemsSkipped,
+            performed_by: actor.staffId || null,
+            performed_by_email: actor.email || null,
+          })}
+          RETURNING *
+        `;
+
+        const toUpdate = plans.filter((plan) => !plan.skipReason);
+        const closing = await FiscalYearClosingService.captureClosing(
+          tx,
+          run,
+          toUpdate,
+          rollover.date,
+        );
+
+        for (let i = 0; i < toUpdate.length; i += SNAPSHOT_BATCH_SIZE) {
+          const snapshots = toUpdate.slice(i, i + SNAPSHOT_BATCH_SIZE).map((plan) => ({
+            run_id: run.id,
+            item_id: plan.item.id,
+            item_name: plan.item.name,
+            education_level: plan.item.education_level || null,
+            before: tx.json(plan.before),
+            after: tx.json(plan.update),
+            sizes: tx.json(plan.sizes),
+          }));
+          await tx`INSERT INTO fiscal_year_rollover_snapshots ${tx(snapshots)}`;
+        }
+
+        for (const plan of toUpdate) {
+          await tx`
+            UPDATE items SET ${tx(plan.update)}
+            WHERE id = ${plan.item.id}
+          `;
+          await updateVariants(tx, plan.variantUpdates);
+        }
+
+        return { run, plans, closing };
+      });
+
+      const summary = summarize(plans);
+      await logRolloverTransaction(
+        "FISCAL YEAR ROLLOVER",
+        actor,
+        `Fiscal year rollover ${fiscalYear} as of ${rollover.date}: ${summary.itemsUpdated} items updated, ${summary.itemsSkipped} skipped`,
+        {
+          run_id: run.id,
+          fiscal_year: fiscalYear,
+          rollover_date: rollover.date,
+          items_updated: summary.itemsUpdated,
+          items_skipped: summary.itemsSkipped,
+          closed_fiscal_years: closing.fiscalYears,
+        },
+      );
+
+      if (!isProduction) {
+        console.log(
+          `[Fiscal Year Rollover] ✅ Completed: ${summary.itemsUpdated} items updated, ${summary.itemsSkipped} items skipped`,
+        );
+      }
+
+      return {
+        success: true,
+        message: "Fiscal year rollover completed successfully",
+        runId: run.id,
+        rolloverDate: rollover.date,
+        fiscalYear,
+        ...summary,
+        closing: { fiscalYears: closing.fiscalYears, rows: closing.rows },
+        items: plans.map(formatPlan),
+      };
+    } catch (error) {
+      console.error("[Fiscal Year Rollover] ❌ Error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rollover runs, newest first
+   * @param {Object} filters - { fiscalYear, status }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getRuns(filters = {}) {
+    try {
+      const runs = await sql`
+        SELECT * FROM fiscal_year_rollover_runs
+        WHERE TRUE
+          ${filters.fiscalYear ? sql`AND fiscal_year = ${filters.fiscalYear}` : sql``}
+          ${filters.status ? sql`AND status = ${filters.status}` : sql``}
+        ORDER BY created_at DESC
+      `;
+      const latestCompletedRunId = await getLatestCompletedRunId(sql);
+      return { success: true, data: runs.map((run) => formatRun(run, latestCompletedRunId)) };
+    } catch (error) {
+      console.error("Get fiscal year rollover runs error:", error);
+      throw new Error(`Failed to fetch rollover runs: ${error.message}`);
+    }
+  }
+
+  /**
+   * A rollover run with the items it changed (before / after, per size)
+   * @param {string} runId
+   * @returns {Promise<Object>} { success, data: { ...run, items } }
+   */
+  async getRunById(runId) {
+    try {
+      const [run] = await sql`SELECT * FROM fiscal_year_rollover_runs WHERE id = ${runId}`;
+      if (!run) throw new Error("Rollover run not found");
+
+      const snapshots = await sql`
+        SELECT id, item_id, item_name, education_level, before, after, sizes,
+               restored_at, restore_skipped_reason
+        FROM fiscal_year_rollover_snapshots
+        WHERE run_id = ${runId}
+        ORDER BY item_name, item_id
+      `;
+      // Runs from before variants had their own table kept the raw note JSON; sizes carries
+      // the per-size figures
+      const withoutNote = ({ note, ...values } = {}) => values;
+      const items = snapshots.map((snapshot) => ({
+        ...snapshot,
+        before: withoutNote(snapshot.before || {}),
+        after: withoutNote(snapshot.after || {}),
+      }));
+
+      const latestCompletedRunId = await getLatestCompletedRunId(sql);
+      return { success: true, data: { ...formatRun(run, latestCompletedRunId), items } };
+    } catch (error) {
+      console.error("Get fiscal year rollover run error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll back a rollover run (system admin). Only the latest run still in effect can be
+   * rolled back; items whose fiscal year start changed since the run are left as they are.
+   * @param {string} runId
+   * @param {Object} input - { reason }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, message, data: { ...run, itemsRestored, itemsSkipped, skipped } }
+   */
+  async rollbackRun(runId, input = {}, actor = {}) {
+    try {
+      const reason = input.reason ? String(input.reason).trim() : "";
+      if (!reason) throw new Error("A reason is required to roll back a rollover");
+
+      const { run, restored, skipped } = await sql.begin(async (tx) => {
+        const [run] = await tx`
+          SELECT * FROM fiscal_year_rollover_runs WHERE id = ${runId} FOR UPDATE
+        `;
+        if (!run) throw new Error("Rollover run not found");
+        if (run.status !== RUN_STATUS.COMPLETED) {
+          throw new Error("This rollover has already been rolled back");
+        }
+
+        const [later] = await tx`
+          SELECT id, rollover_date FROM fiscal_year_rollover_runs
+          WHERE status = ${RUN_STATUS.COMPLETED}
+            AND id <> ${run.id}
+            AND created_at > ${run.created_at}
+          ORDER BY created_at DESC
+          LIMIT 1
+        `;
+        if (later) {
+          throw new Error(
+            `Roll back the later rollover of ${dateOnly(later.rollover_date)} first`,
+          );
+        }
+
+        const snapshots = await tx`
+          SELECT * FROM fiscal_year_rollover_snapshots WHERE run_id = ${run.id}
+        `;
+        const itemIds = snapshots.map((snapshot) => snapshot.item_id);
+        const items = itemIds.length
+          ? await tx`SELECT * FROM items WHERE id IN ${tx(itemIds)} FOR UPDATE`
+          : [];
+        const itemsById = new Map(items.map((item) => [item.id, item]));
+        const layouts = await ItemVariantsService.loadLayouts(tx, itemIds, { forUpdate: true });
+        const rolloverDate = dateOnly(run.rollover_date);
+
+        let restored = 0;
+        const skipped = [];
+        for (const snapshot of snapshots) {
+          const item = itemsById.get(snapshot.item_id);
+          let skipReason = null;
+          if (!item) {
+            skipReason = "Item no longer exists";
+          } else if (dateOnly(item.fiscal_year_start) !== rolloverDate) {
+            skipReason = "Beginning inventory was reset again after this rollover";
+          }
+
+          if (skipReason) {
+            skipped.push({ item_id: snapshot.item_id, name: snapshot.item_name, reason: skipReason });
+            await tx`
+              UPDATE fiscal_year_rollover_snapshots
+              SET restore_skipped_reason = ${skipReason}
+              WHERE id = ${snapshot.id}
+            `;
+            continue;
+          }
+
+          await tx`
+            UPDATE items SET ${tx(restoreUpdate(snapshot, item))}
+            WHERE id = ${item.id}
+          `;
+          await updateVariants(
+            tx,
+            restoreVariantUpdates(snapshot, ItemVariantsService.getLayout(item, layouts)),
+          );
+          await tx`
+            UPDATE fiscal_year_rollover_snapshots SET restored_at = NOW() WHERE id = ${snapshot.id}
+          `;
+          restored += 1;
+        }
+
+        const [updatedRun] = await tx`
+          UPDATE fiscal_year_rollover_runs
+          SET status = ${RUN_STATUS.ROLLED_BACK},
+              rolled_back_by = ${actor.staffId || null},
+              rolled_back_by_email = ${actor.email || null},
+              rolled_back_at = NOW(),
+              rollback_reason = ${reason},
+              updated_at = NOW()
+          WHERE id = ${run.id}
+          RETURNING *
+        `;
+        return { run: updatedRun, restored, skipped };
+      });
+
+      await logRolloverTransaction(
+        "FISCAL YEAR ROLLOVER ROLLED BACK",
+        actor,
+        `Fiscal year rollover ${run.fiscal_year} as of ${dateOnly(run.rollover_date)} rolled back: ${restored} items restored, ${skipped.length} skipped (${reason})`,
+        {
+          run_id: run.id,
+          fiscal_year: run.fiscal_year,
+          rollover_date: dateOnly(run.rollover_date),
+          items_restored: restored,
+          items_skipped: skipped.length,
+          reason,
+        },
+      );
+
+      return {
+        success: true,
+        message: `Rollover of ${dateOnly(run.rollover_date)} rolled back`,
+        data: {
+          ...formatRun(run),
+          itemsRestored: restored,
+          itemsSkipped: skipped.length,
+          skipped,
+        },
+      };
+    } catch (error) {
+      console.error("Roll back fiscal year rollover error:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new FiscalYearRolloverService();
@@ -1,6 +1,25 @@
 const supabase = require("../../config/supabase");
+const ItemVariantsService = require("./itemVariants.service");
+const StockLedgerService = require("./stockLedger.service");
+const PreOrderQueueService = require("./preOrderQueue.service");
+const {
+  RELEASED_ORDER_STATUSES,
+  getReleasedQuantity,
+} = require("../../utils/orderFulfillment");
 const isProduction = process.env.NODE_ENV === "production";
 
+/** Report key for a size: "Medium (M)" and "medium" both become "medium" */
+function normalizeSizeForKey(s) {
+  return (
+    (s || "N/A")
+      .toString()
+      .toLowerCase()
+      .trim()
+      .replace(/\s*\([^)]*\)/g, "")
+      .trim() || "N/A"
+  );
+}
+
 /**
  * Inventory Service
  *
@@ -38,23 +57,32 @@ class InventoryService {
       if (error) throw error;
       if (!item) throw new Error("Item not found");
 
-      const beginningInventory = item.beginning_inventory || 0;
-      const purchases = item.purchases || 0;
-
-      // TODO: Calculate released and returns from orders/transactions
-      // For now, we'll use stock as a proxy
-      const released = 0;
-      const returns = 0;
-
-      const endingInventory =
-        beginningInventory + purchases - released + returns;
-      return Math.max(endingInventory, 0);
+      return this.endingInventoryOf(item);
     } catch (error) {
       console.error("Calculate ending inventory error:", error);
       throw new Error(`Failed to calculate ending inventory: ${error.message}`);
     }
   }
 
+  /**
+   * Ending inventory of an already loaded item row (see calculateEndingInventory)
+   * @param {Object} item - Row with beginning_inventory and purchases
+   * @returns {number}
+   */
+  endingInventoryOf(item) {
+    const beginningInventory = item.beginning_inventory || 0;
+    const purchases = item.purchases || 0;
+
+    // TODO: Calculate released and returns from orders/transactions
+    // For now, we'll use stock as a proxy
+    const released = 0;
+    const returns = 0;
+
+    const endingInventory =
+      beginningInventory + purchases - released + returns;
+    return Math.max(endingInventory, 0);
+  }
+
   /**
    * Calculate available inventory
    * Available = Ending Inventory - Unreleased
@@ -147,162 +175,6 @@ class InventoryService {
     }
   }
 
-  /**
-   * Perform fiscal year rollover for all items
-   * Carries forward ending inventory from prior year as beginning inventory for new fiscal year
-   * Any items added after rollover date will be classified as purchases
-   *
-   * @param {Date|string} rolloverDate - The date when fiscal year rolls over (defaults to today)
-   * @returns {Promise<Object>} Rollover results with counts and details
-   */
-  async performFiscalYearRollover(rolloverDate = null) {
-    try {
-      const rolloverDateObj = rolloverDate
-        ? new Date(rolloverDate)
-        : new Date();
-
-      const rolloverDateStr = rolloverDateObj.toISOString().split("T")[0];
-      const rolloverDateTime = rolloverDateObj.toISOString();
-
-      if (!isProduction) {
-        console.log(
-          `[Fiscal Year Rollover] 🗓️ Starting rollover for date: ${rolloverDateStr}`,
-        );
-      }
-
-      // Fetch all active items
-      const { data: items, error: fetchError } = await supabase
-        .from("items")
-        .select("*")
-        .eq("is_active", true);
-
-      if (fetchError) throw fetchError;
-      if (!items || items.length === 0) {
-        return {
-          success: true,
-          message: "No active items found to rollover",
-          itemsProcessed: 0,
-          itemsUpdated: 0,
-        };
-      }
-
-      let itemsUpdated = 0;
-      let itemsSkipped = 0;
-      const updatePromises = [];
-
-      for (const item of items) {
-        try {
-          // Calculate ending inventory for this item
-          const endingInventory = await this.calculateEndingInventory(item.id);
-
-          // Check if this item already has a fiscal year start date after the rollover date
-          // If so, it's already been rolled over, skip it
-          if (item.fiscal_year_start) {
-            const fiscalYearStart = new Date(item.fiscal_year_start);
-            const rolloverDate = new Date(rolloverDateStr);
-            if (fiscalYearStart >= rolloverDate) {
-              itemsSkipped++;
-              continue;
-            }
-          }
-
-          // Prepare update: carry forward ending inventory as beginning inventory
-          const updateData = {
-            beginning_inventory: endingInventory,
-            purchases: 0, // Reset purchases for new fiscal year
-            beginning_inventory_date: rolloverDateTime,
-            fiscal_year_start: rolloverDateStr,
-          };
-
-          // For JSON variant items, also reset variant-level purchases
-          if (item.note) {
-            try {
-              const parsedNote = JSON.parse(item.note);
-              if (
-                parsedNote &&
-                parsedNote._type === "sizeVariations" &&
-                Array.isArray(parsedNote.sizeVariations)
-              ) {
-                // Reset purchases for each variant
-                parsedNote.sizeVariations.forEach((variant) => {
-                  // Calculate ending inventory for this variant
-                  const variantStock = Number(variant.stock) || 0;
-                  const variantBeginningInventory =
-                    Number(variant.beginning_inventory) || 0;
-                  const variantPurchases = Number(variant.purchases) || 0;
-
-                  // Ending inventory = beginning + purchases (released/returns handled separately)
-                  const variantEndingInventory =
-                    variantBeginningInventory + variantPurchases;
-
-                  // Carry forward ending as new beginning
-                  variant.beginning_inventory = variantEndingInventory;
-                  variant.purchases = 0;
-                });
-                updateData.note = JSON.stringify(parsedNote);
-              }
-            } catch (e) {
-              // Not JSON or parse error, continue with regular update
-            }
-          }
-
-          // Update item
-          const updatePromise = supabase
-            .from("items")
-            .update(updateData)
-            .eq("id", item.id)
-            .then(({ error: updateError }) => {
-              if (updateError) {
-                console.error(
-                  `[Fiscal Year Rollover] ❌ Error updating item ${item.id}:`,
-                  updateError,
-                );
-                throw updateError;
-              }
-              itemsUpdated++;
-              if (!isProduction) {
-                console.log(
-                  `[Fiscal Year Rollover] ✅ Item "${item.name}" (${item.size || "N/A"}): ` +
-                    `Ending=${endingInventory} → Beginning=${endingInventory}, Purchases reset to 0`,
-                );
-              }
-            });
-
-          updatePromises.push(updatePromise);
-        } catch (itemError) {
-          console.error(
-            `[Fiscal Year Rollover] ❌ Error processing item ${item.id}:`,
-            itemError,
-          );
-          // Continue with other items
-        }
-      }
-
-      // Wait for all updates to complete
-      await Promise.all(updatePromises);
-
-      if (!isProduction) {
-        console.log(
-          `[Fiscal Year Rollover] ✅ Completed: ${itemsUpdated} items updated, ${itemsSkipped} items skipped`,
-        );
-      }
-
-      return {
-        success: true,
-        message: `Fiscal year rollover completed successfully`,
-        rolloverDate: rolloverDateStr,
-        itemsProcessed: items.length,
-        itemsUpdated,
-        itemsSkipped,
-      };
-    } catch (error) {
-      console.error("[Fiscal Year Rollover] ❌ Error:", error);
-      throw new Error(
-        `Failed to perform fiscal year rollover: ${error.message}`,
-      );
-    }
-  }
-
   /**
    * Check if an item addition should be classified as a purchase
    * Items added after the fiscal year start date are purchases
@@ -412,6 +284,11 @@ class InventoryService {
           ? String(filters.search).trim().toLowerCase()
           : "";
 
+      // Size variants / accessory entries for every listed item (item_variants table)
+      const variantsByItemId = await ItemVariantsService.getVariantsByItemIds(
+        (items || []).map((item) => item.id),
+      );
+
       const itemsFiltered = searchTerm
         ? (items || []).filter((item) => {
             const blob = [
@@ -422,6 +299,9 @@ class InventoryService {
               item.item_type,
               item.for_gender,
               item.note,
+              ...ItemVariantsService.getLayout(item, variantsByItemId).sizeVariations.map(
+                (variant) => variant.size,
+              ),
             ]
               .filter(Boolean)
               .join(" ")
@@ -456,35 +336,11 @@ class InventoryService {
       const reportData = [];
 
       for (const item of itemsFiltered) {
-        // Check if item has JSON size variations or accessory entries
-        let hasJsonVariations = false;
-        let sizeVariations = [];
-        let hasAccessoryEntries = false;
-        let accessoryEntries = [];
-
-        if (item.note) {
-          try {
-            const parsedNote = JSON.parse(item.note);
-            // Accessory: treat non-empty accessoryEntries as accessory (legacy may omit _type).
-            if (
-              parsedNote &&
-              Array.isArray(parsedNote.accessoryEntries) &&
-              parsedNote.accessoryEntries.length > 0
-            ) {
-              hasAccessoryEntries = true;
-              accessoryEntries = parsedNote.accessoryEntries;
-            } else if (
-              parsedNote &&
-              Array.isArray(parsedNote.sizeVariations) &&
-              parsedNote.sizeVariations.length > 0
-            ) {
-              hasJsonVariations = true;
-              sizeVariations = parsedNote.sizeVariations;
-            }
-          } catch (e) {
-            // Not JSON, continue with regular processing
-          }
-        }
+        // Accessory: non-empty accessory entries win over size variations
+        const { sizeVariations, accessoryEntries } =
+          ItemVariantsService.getLayout(item, variantsByItemId);
+        const hasAccessoryEntries = accessoryEntries.length > 0;
+        const hasJsonVariations = !hasAccessoryEntries && sizeVariations.length > 0;
 
         if (hasAccessoryEntries && accessoryEntries.length > 0) {
           // Accessories: one row per item; valuation uses weighted-average cost (WAC)
@@ -888,13 +744,6 @@ class InventoryService {
       }
 
       // Fetch purchase/return quantities from transactions and merge into report
-      const normalizeSizeForKey = (s) =>
-        (s || "N/A")
-          .toString()
-          .toLowerCase()
-          .trim()
-          .replace(/\s*\([^)]*\)/g, "")
-          .trim() || "N/A";
       const purchaseSumsByItemSize = new Map();
       const firstUnitPriceByItemSize = new Map();
       const returnSumsByItemSize = new Map();
@@ -1025,6 +874,126 @@ class InventoryService {
     }
   }
 
+  /**
+   * Inventory report for the CSV / Excel export.
+   * Same rows and filters as getInventoryReport, plus releases from claimed orders in the
+   * period, so ending inventory (Beginning + Purchases - Released + Returns) and its FIFO
+   * valuation can be filled in server-side instead of by the frontend.
+   * @param {Object} filters - { startDate, endDate, educationLevel, search }
+   * @returns {Promise<Object>} { success, data, total }
+   */
+  async getInventoryReportForExport(filters = {}) {
+    try {
+      const report = await this.getInventoryReport(filters);
+      const rows = report.data || [];
+
+      const startDate = filters.startDate ? new Date(filters.startDate) : null;
+      const endDate = filters.endDate ? new Date(filters.endDate) : null;
+      const hasDateRange =
+        startDate &&
+        endDate &&
+        !Number.isNaN(startDate.getTime()) &&
+        !Number.isNaN(endDate.getTime());
+      const rangeStart = hasDateRange
+        ? new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate(), 0, 0, 0, 0)
+        : null;
+      const rangeEnd = hasDateRange
+        ? new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate(), 23, 59, 59, 999)
+        : null;
+
+      let ordersQuery = supabase
+        .from("orders")
+        .select("items,status,education_level,claimed_date,updated_at")
+        .eq("is_active", true)
+        .in("status", RELEASED_ORDER_STATUSES);
+      if (filters.educationLevel) {
+        ordersQuery = ordersQuery.eq("education_level", filters.educationLevel);
+      }
+      const { data: releasedOrders, error: ordersError } = await ordersQuery;
+      if (ordersError) throw ordersError;
+
+      // Released quantity per education level / item name / size
+      const releasedByKey = new Map();
+      for (const order of releasedOrders || []) {
+        let orderItems = [];
+        if (Array.isArray(order.items)) {
+          orderItems = order.items;
+        } else if (typeof order.items === "string") {
+          try {
+            orderItems = JSON.parse(order.items);
+          } catch {
+            orderItems = [];
+          }
+        }
+
+        for (const orderItem of orderItems) {
+          const qty = getReleasedQuantity(orderItem, order.status);
+          if (qty <= 0) continue;
+          if (hasDateRange) {
+            const releasedAt = new Date(
+              orderItem.released_at || order.claimed_date || order.updated_at,
+            );
+            if (releasedAt < rangeStart || releasedAt > rangeEnd) continue;
+          }
+          const key = `${order.education_level}|${String(orderItem.name || "")
+            .toLowerCase()
+            .trim()}|${normalizeSizeForKey(orderItem.size)}`;
+          releasedByKey.set(key, (releasedByKey.get(key) || 0) + qty);
+        }
+      }
+
+      // Lines for items listed under "All Education Levels" (e.g. Logo Patch) come from any level
+      const rowKeys = new Set(
+        rows.map(
+          (row) =>
+            `${row.education_level}|${String(row.name || "").toLowerCase().trim()}|${normalizeSizeForKey(row.size)}`,
+        ),
+      );
+      const sharedReleases = new Map();
+      for (const [key, qty] of releasedByKey) {
+        if (rowKeys.has(key)) continue;
+        const nameSizeKey = key.slice(key.indexOf("|") + 1);
+        sharedReleases.set(nameSizeKey, (sharedReleases.get(nameSizeKey) || 0) + qty);
+      }
+
+      const exportRows = rows.map((row) => {
+        const nameSizeKey = `${String(row.name || "").toLowerCase().trim()}|${normalizeSizeForKey(row.size)}`;
+        const released =
+          row.education_level === "All Education Levels"
+            ? sharedReleases.get(nameSizeKey) || 0
+            : releasedByKey.get(`${row.education_level}|${nameSizeKey}`) || 0;
+
+        const beginning = Number(row.beginning_inventory) || 0;
+        const purchases = Number(row.purchases) || 0;
+        const returns = Number(row.returns) || 0;
+        const endingInventory = Math.max(0, beginning + purchases - released + returns);
+
+        // FIFO: releases use up beginning inventory first, then purchases; returns go back
+        // at the beginning unit cost
+        const beginningPrice = Number(row.unit_price_beginning) || 0;
+        const purchasePrice = Number(row.purchase_unit_price) || 0;
+        const releasedFromBeginning = Math.min(beginning, released);
+        const releasedFromPurchases = Math.min(purchases, released - releasedFromBeginning);
+        const totalAmount =
+          (beginning - releasedFromBeginning + returns) * beginningPrice +
+          (purchases - releasedFromPurchases) * purchasePrice;
+
+        return {
+          ...row,
+          released,
+          ending_inventory: endingInventory,
+          available: endingInventory,
+          total_amount: endingInventory > 0 ? totalAmount : 0,
+        };
+      });
+
+      return { success: true, data: exportRows, total: exportRows.length };
+    } catch (error) {
+      console.error("Get inventory report for export error:", error);
+      throw new Error(`Failed to build inventory report export: ${error.message}`);
+    }
+  }
+
   /**
    * Add stock to existing item (goes to purchases)
    * @param {string} itemId - Item ID
@@ -1033,6 +1002,9 @@ class InventoryService {
    * @param {number} unitPrice - Optional unit price
    * @param {object} io - Optional Socket.IO instance for real-time updates
    * @param {string} userId - Optional user ID who performed the action
+   * @param {string} userEmail - Optional email of the user who performed the action
+   * @param {object} purchase - Optional { reference, note } of the source document
+   *   (e.g. the purchase order number), kept on the ledger movement and transaction log
    */
   async addStock(
     itemId,
@@ -1042,6 +1014,7 @@ class InventoryService {
     io = null,
     userId = null,
     userEmail = null,
+    purchase = null,
   ) {
     try {
       if (!isProduction) {
@@ -1081,20 +1054,11 @@ class InventoryService {
         );
       }
 
-      // JSON sizeVariations: must update variant in note. Without a size, single-variant items
+      // Size variations: must update the variant row. Without a size, single-variant items
       // auto-target the only row; multi-variant requires an explicit variant (otherwise regular
       // branch only updates item.purchases/stock and variant purchases stay 0 in the report).
-      let isJsonVariant = false;
-      let variantIndex = -1;
-      let parsedNote = null;
-
-      if (item.note) {
-        try {
-          parsedNote = JSON.parse(item.note);
-        } catch (e) {
-          parsedNote = null;
-        }
-      }
+      const layout = await ItemVariantsService.getItemLayout(itemId);
+      let targetVariant = null;
 
       const normalizeForMatch = (s) =>
         (s || "")
@@ -1104,27 +1068,15 @@ class InventoryService {
           .replace(/\([^)]*\)/g, "")
           .trim();
 
-      // Treat as JSON size rows whenever sizeVariations[] exists (not only when _type is set).
-      // Legacy rows sometimes omitted _type; addStock must update note JSON, not only item.purchases.
-      const hasJsonSizeVariations =
-        parsedNote &&
-        parsedNote._type !== "accessoryEntries" &&
-        Array.isArray(parsedNote.sizeVariations) &&
-        parsedNote.sizeVariations.length > 0;
-
-      if (hasJsonSizeVariations) {
-        if (!parsedNote._type) {
-          parsedNote._type = "sizeVariations";
-        }
-        const sv = parsedNote.sizeVariations;
+      const sv = layout.sizeVariations;
+      if (sv.length > 0) {
         const sizeTrim = size != null ? String(size).trim() : "";
 
         if (sv.length === 1 && !sizeTrim) {
-          variantIndex = 0;
-          isJsonVariant = true;
+          targetVariant = sv[0];
         } else if (sizeTrim) {
           const targetNormalized = normalizeForMatch(size);
-          variantIndex = sv.findIndex((v) => {
+          targetVariant = sv.find((v) => {
             const vSize = (v.size || "").toLowerCase().trim();
             const targetSize = size.toLowerCase().trim();
             const vSizeNoParens = vSize.replace(/\([^)]*\)/g, "").trim();
@@ -1137,14 +1089,7 @@ class InventoryService {
               normalizeForMatch(v.size) === targetNormalized
             );
           });
-          if (variantIndex === -1) {
-            variantIndex = sv.findIndex((v) => {
-              return normalizeForMatch(v.size) === targetNormalized;
-            });
-          }
-          if (variantIndex !== -1) {
-            isJsonVariant = true;
-          } else {
+          if (!targetVariant) {
             const availableSizes = sv.map((v) => v.size).join(", ");
             throw new Error(
               `Size "${size}" not found in this item's size variations. Available: ${availableSizes}. Add stock only to one of these sizes.`,
@@ -1157,148 +1102,99 @@ class InventoryService {
         }
       }
 
-      // Handle JSON variant stock update
-      if (isJsonVariant && parsedNote && variantIndex !== -1) {
-        const variant = parsedNote.sizeVariations[variantIndex];
-        const currentVariantStock = Number(variant.stock) || 0;
-        const newVariantStock = currentVariantStock + quantity;
+      // Handle size variant stock update
+      if (targetVariant) {
+        let variant;
+        let currentVariantStock;
+        let newVariantStock;
+        let currentVariantPurchases;
+        let newVariantPurchases;
+
+        // Re-read the variant under the item's row lock so concurrent adds are not lost;
+        // the purchase is recorded in the ledger in the same transaction
+        const { after: data } = await StockLedgerService.updateItemStock(
+          itemId,
+          (lockedItem, lockedLayout) => {
+            variant = lockedLayout.sizeVariations.find(
+              (v) => String(v.variant_id) === String(targetVariant.variant_id),
+            );
+            if (!variant) {
+              throw new Error(
+                `Size "${targetVariant.size}" was removed from this item. Reload and try again.`,
+              );
+            }
+            currentVariantStock = Number(variant.stock) || 0;
+            newVariantStock = currentVariantStock + quantity;
+            variant.stock = newVariantStock;
+
+            // Add to purchases: append one batch for this add only. Do not backfill legacy
+            // variant.purchases into a synthetic batch — that doubled qty (e.g. 5 legacy + 5 new → 10).
+            currentVariantPurchases = Number(variant.purchases) || 0;
+            // Regression: when unit price is omitted, keep the last list price
+            // (purchase_unit_price) on the new batch — do not use variant.price (WAC) alone,
+            // or student/custodian list unit price can drop (e.g. 100 → 75) after add stock.
+            const listPriceForBatch =
+              unitPrice != null && !isNaN(Number(unitPrice))
+                ? Number(unitPrice)
+                : Number(variant.purchase_unit_price) > 0
+                  ? Number(variant.purchase_unit_price)
+                  : Number(variant.price) || Number(lockedItem.price) || 0;
+            variant.purchase_batches = [
+              ...(Array.isArray(variant.purchase_batches) ? variant.purchase_batches : []),
+              { qty: quantity, unit_price: listPriceForBatch },
+            ];
+            newVariantPurchases = currentVariantPurchases + quantity;
+            variant.purchases = newVariantPurchases;
+
+            if (unitPrice != null) {
+              const existingVariantWac =
+                Number(variant.purchase_unit_price) ||
+                Number(variant.price) ||
+                Number(lockedItem.price) ||
+                0;
+              // Weighted average for valuation layers; keep last entered price for display
+              variant.price = this.calculateWeightedAverageCost(
+                currentVariantStock,
+                existingVariantWac,
+                quantity,
+                unitPrice,
+              );
+              variant.purchase_unit_price = Number(unitPrice);
+            }
 
-        // Update variant stock
-        parsedNote.sizeVariations[variantIndex].stock = newVariantStock;
+            if (!isProduction) {
+              console.log(
+                `[addStock] 📊 Variant purchases update: variant="${variant.size}", current=${currentVariantPurchases}, adding=${quantity}, new=${newVariantPurchases}`,
+              );
+            }
 
-        // Recalculate total stock from all variants
-        const newTotalStock = parsedNote.sizeVariations.reduce(
-          (sum, v) => sum + (Number(v.stock) || 0),
-          0,
+            // Also update item-level purchases for backward compatibility;
+            // items.stock is recomputed from the variants.
+            // beginning_inventory is NOT updated - it stays the same
+            return { purchases: (lockedItem.purchases || 0) + quantity };
+          },
+          {
+            reasonCode: StockLedgerService.REASON_CODES.PURCHASE,
+            reference: purchase?.reference || null,
+            note: purchase?.note || null,
+            actorId: userId,
+            actorEmail: userEmail,
+          },
         );
-
-        // Add to purchases: append one batch for this add only. Do not backfill legacy
-        // variant.purchases into a synthetic batch — that doubled qty (e.g. 5 legacy + 5 new → 10).
-        const currentVariantPurchases =
-          Number(parsedNote.sizeVariations[variantIndex].purchases) || 0;
-
-        let purchaseBatches = Array.isArray(
-          parsedNote.sizeVariations[variantIndex].purchase_batches,
-        )
-          ? [...parsedNote.sizeVariations[variantIndex].purchase_batches]
-          : [];
-        // Regression: when unit price is omitted, keep the last list price
-        // (purchase_unit_price) on the new batch — do not use variant.price (WAC) alone,
-        // or student/custodian list unit price can drop (e.g. 100 → 75) after add stock.
-        const listPriceForBatch =
-          unitPrice != null && !isNaN(Number(unitPrice))
-            ? Number(unitPrice)
-            : Number(variant.purchase_unit_price) > 0
-              ? Number(variant.purchase_unit_price)
-              : Number(variant.price) || Number(item.price) || 0;
-        const newBatch = {
-          qty: quantity,
-          unit_price: listPriceForBatch,
-        };
-        purchaseBatches.push(newBatch);
-        parsedNote.sizeVariations[variantIndex].purchase_batches =
-          purchaseBatches;
-        const newVariantPurchases = currentVariantPurchases + quantity;
-        parsedNote.sizeVariations[variantIndex].purchases = newVariantPurchases;
-
-        if (unitPrice != null) {
-          const existingVariantWac =
-            Number(variant.purchase_unit_price) ||
-            Number(variant.price) ||
-            Number(item.price) ||
-            0;
-          const newVariantWac = this.calculateWeightedAverageCost(
-            currentVariantStock,
-            existingVariantWac,
-            quantity,
-            unitPrice,
-          );
-          // Weighted average for valuation layers; keep last entered price for display
-          parsedNote.sizeVariations[variantIndex].price = newVariantWac;
-          parsedNote.sizeVariations[variantIndex].purchase_unit_price =
-            Number(unitPrice);
-        }
-
-        // Also update item-level purchases for backward compatibility
-        const newPurchases = (item.purchases || 0) + quantity;
-        // beginning_inventory remains the same - never changes after first creation
+        const newTotalStock = data.stock;
 
         if (!isProduction) {
           console.log(
-            `[addStock] 📊 Variant purchases update (JSON variant): variant="${variant.size}", current=${currentVariantPurchases}, adding=${quantity}, new=${parsedNote.sizeVariations[variantIndex].purchases}`,
+            `[addStock] ✅ Update successful (size variant): updated_stock=${data?.stock}, updated_purchases=${data?.purchases}, beginning_inventory=${data?.beginning_inventory}`,
           );
         }
 
-        const updateData = {
-          stock: newTotalStock,
-          purchases: newPurchases, // Item-level purchases (for backward compatibility)
-          // beginning_inventory is NOT updated - it stays the same
-          note: JSON.stringify(parsedNote), // Contains variant-level purchases and purchase_batches
-        };
-
-        const { data, error } = await supabase
-          .from("items")
-          .update(updateData)
-          .eq("id", itemId)
-          .select()
-          .single();
-
-        if (error) {
-          console.error(
-            `[addStock] ❌ Database update error (JSON variant):`,
-            error,
-          );
-          throw error;
-        }
-
-        if (!isProduction) {
-          console.log(
-            `[addStock] ✅ Update successful (JSON variant): updated_stock=${data?.stock}, updated_purchases=${data?.purchases}, beginning_inventory=${data?.beginning_inventory}`,
-          );
-        }
-
-        // Verify purchases was actually updated (always check, but only log errors)
-        if (data.purchases === undefined || data.purchases === null) {
-          console.error(
-            `[addStock] ⚠️ WARNING: Updated item (JSON variant) does not have purchases field!`,
-          );
-        } else if (data.purchases !== newPurchases) {
-          console.error(
-            `[addStock] ⚠️ WARNING: Purchases mismatch (JSON variant)! Expected ${newPurchases}, got ${data.purchases}`,
-          );
-        }
-
-        // CRITICAL: Re-fetch the item from database to verify the update persisted (dev only)
-        if (!isProduction) {
-          await new Promise((resolve) => setTimeout(resolve, 100)); // Small delay to ensure commit
-          const { data: verifyData, error: verifyError } = await supabase
-            .from("items")
-            .select("*")
-            .eq("id", itemId)
-            .single();
-
-          if (verifyError) {
-            console.error(
-              `[addStock] ❌ Error verifying update (JSON variant):`,
-              verifyError,
-            );
-          } else if (verifyData.purchases !== newPurchases) {
-            console.error(
-              `[addStock] ❌ CRITICAL: Database verification failed (JSON variant)! Purchases not persisted correctly. Expected ${newPurchases}, got ${verifyData.purchases}`,
-            );
-            // Use verified data if it's different
-            data.purchases = verifyData.purchases;
-            data.stock = verifyData.stock;
-            data.beginning_inventory = verifyData.beginning_inventory;
-          }
-        }
-
-        // Log transaction for stock addition (purchase) - JSON variant
+        // Log transaction for stock addition (purchase) - size variant
         try {
           const TransactionService = require("../../services/transaction.service");
           const itemName = data.name;
           const variantSize = variant.size || "N/A";
-          const details = `Purchase recorded: ${quantity} unit(s) of ${itemName} (Size: ${variantSize})${unitPrice ? ` at ₱${unitPrice} per unit` : ""}`;
+          const details = `Purchase recorded: ${quantity} unit(s) of ${itemName} (Size: ${variantSize})${unitPrice ? ` at ₱${unitPrice} per unit` : ""}${purchase?.reference ? ` (${purchase.reference})` : ""}`;
           await TransactionService.logTransaction(
             "Inventory",
             "PURCHASE RECORDED",
@@ -1314,6 +1210,7 @@ class InventoryService {
               new_stock: newVariantStock,
               previous_purchases: currentVariantPurchases,
               new_purchases: newVariantPurchases,
+              reference: purchase?.reference || null,
             },
           );
         } catch (txError) {
@@ -1323,7 +1220,7 @@ class InventoryService {
           );
         }
 
-        // Emit socket event to notify clients of updated purchases/stock for JSON variants too
+        // Emit socket event to notify clients of updated purchases/stock for size variants too
         if (io) {
           io.emit("item:updated", {
             id: data.id,
@@ -1336,85 +1233,86 @@ class InventoryService {
           });
         }
 
+        const preOrderAllocation = await this._allocateToPreOrders(
+          { ...data, size: variant.size || size },
+          quantity,
+          io,
+        );
+
         return {
           success: true,
           data,
+          preOrderAllocation,
           message: `Added ${quantity} units to ${size} size (purchases). New ${size} stock: ${newVariantStock}, Total stock: ${newTotalStock}. Beginning inventory unchanged.`,
         };
-      } else if (
-        parsedNote &&
-        Array.isArray(parsedNote.accessoryEntries) &&
-        parsedNote.accessoryEntries.length > 0
-      ) {
-        // Accessory JSON note: mirror sizeVariations behavior — persist each add as a
-        // purchase layer in note. Otherwise addStock only bumps items.purchases/stock and
-        // a later Items save recomputes purchases from note.slice(1), resetting totals.
-        if (!parsedNote._type) {
-          parsedNote._type = "accessoryEntries";
-        }
-        const entries = [...parsedNote.accessoryEntries];
-        const currentStock = item.stock || 0;
-        const currentTotalPurchases = entries
-          .slice(1)
-          .reduce((sum, e) => sum + (Number(e.purchases) || 0), 0);
-        const unitPriceNum =
-          unitPrice != null && !isNaN(Number(unitPrice))
-            ? Number(unitPrice)
-            : Number(item.price) || 0;
-        entries.push({
-          stock: quantity,
-          price: unitPriceNum,
-          beginning_inventory: 0,
-          purchases: quantity,
-        });
-        parsedNote.accessoryEntries = entries;
-        const newTotalStock = entries.reduce(
-          (sum, e) => sum + (Number(e.stock) || 0),
-          0,
-        );
-        const newPurchasesFromNote = entries
-          .slice(1)
-          .reduce((sum, e) => sum + (Number(e.purchases) || 0), 0);
-        const totalBeginningInventory =
-          Number(entries[0]?.beginning_inventory) || 0;
-
-        if (!isProduction) {
-          console.log(
-            `[addStock] 📊 Accessory note update: adding=${quantity}, newTotalStock=${newTotalStock}, purchasesFromNote=${newPurchasesFromNote}, beginning=${totalBeginningInventory}`,
-          );
-        }
-
-        const updateData = {
-          stock: newTotalStock,
-          purchases: newPurchasesFromNote,
-          beginning_inventory: totalBeginningInventory,
-          note: JSON.stringify(parsedNote),
-        };
-
-        if (unitPrice !== null) {
-          const existingWac = Number(item.price) || 0;
-          updateData.price = this.calculateWeightedAverageCost(
-            currentStock,
-            existingWac,
-            quantity,
-            unitPrice,
-          );
-        }
+      } else if (layout.accessoryEntries.length > 0) {
+        // Accessory entries: mirror sizeVariations behavior — persist each add as a
+        // purchase layer. Otherwise addStock only bumps items.purchases/stock and
+        // a later Items save recomputes purchases from entries.slice(1), resetting totals.
+        let currentStock;
+        let currentTotalPurchases;
+        let newTotalStock;
+        let newPurchasesFromNote;
+
+        const { after: data } = await StockLedgerService.updateItemStock(
+          itemId,
+          (lockedItem, lockedLayout) => {
+            const entries = lockedLayout.accessoryEntries;
+            currentStock = lockedItem.stock || 0;
+            currentTotalPurchases = entries
+              .slice(1)
+              .reduce((sum, e) => sum + (Number(e.purchases) || 0), 0);
+            const unitPriceNum =
+              unitPrice != null && !isNaN(Number(unitPrice))
+                ? Number(unitPrice)
+                : Number(lockedItem.price) || 0;
+            entries.push({
+              stock: quantity,
+              price: unitPriceNum,
+              beginning_inventory: 0,
+              purchases: quantity,
+            });
+            newTotalStock = entries.reduce(
+              (sum, e) => sum + (Number(e.stock) || 0),
+              0,
+            );
+            newPurchasesFromNote = entries
+              .slice(1)
+              .reduce((sum, e) => sum + (Number(e.purchases) || 0), 0);
+            const totalBeginningInventory =
+              Number(entries[0]?.beginning_inventory) || 0;
 
-        const { data, error } = await supabase
-          .from("items")
-          .update(updateData)
-          .eq("id", itemId)
-          .select()
-          .single();
+            if (!isProduction) {
+              console.log(
+                `[addStock] 📊 Accessory entries update: adding=${quantity}, newTotalStock=${newTotalStock}, purchasesFromEntries=${newPurchasesFromNote}, beginning=${totalBeginningInventory}`,
+              );
+            }
 
-        if (error) {
-          console.error(
-            `[addStock] ❌ Database update error (accessoryEntries):`,
-            error,
-          );
-          throw error;
-        }
+            const updateData = {
+              stock: newTotalStock,
+              purchases: newPurchasesFromNote,
+              beginning_inventory: totalBeginningInventory,
+            };
+
+            if (unitPrice !== null) {
+              const existingWac = Number(lockedItem.price) || 0;
+              updateData.price = this.calculateWeightedAverageCost(
+                currentStock,
+                existingWac,
+                quantity,
+                unitPrice,
+              );
+            }
+            return updateData;
+          },
+          {
+            reasonCode: StockLedgerService.REASON_CODES.PURCHASE,
+            reference: purchase?.reference || null,
+            note: purchase?.note || null,
+            actorId: userId,
+            actorEmail: userEmail,
+          },
+        );
 
         if (!isProduction) {
           console.log(
@@ -1426,7 +1324,7 @@ class InventoryService {
           const TransactionService = require("../../services/transaction.service");
           const itemName = data.name;
           const itemSize = size || data.size || "N/A";
-          const details = `Purchase recorded: ${quantity} unit(s) of ${itemName}${itemSize !== "N/A" ? ` (Size: ${itemSize})` : ""}${unitPrice ? ` at ₱${unitPrice} per unit` : ""}`;
+          const details = `Purchase recorded: ${quantity} unit(s) of ${itemName}${itemSize !== "N/A" ? ` (Size: ${itemSize})` : ""}${unitPrice ? ` at ₱${unitPrice} per unit` : ""}${purchase?.reference ? ` (${purchase.reference})` : ""}`;
           await TransactionService.logTransaction(
             "Inventory",
             "PURCHASE RECORDED",
@@ -1442,6 +1340,7 @@ class InventoryService {
               new_stock: newTotalStock,
               previous_purchases: currentTotalPurchases,
               new_purchases: newPurchasesFromNote,
+              reference: purchase?.reference || null,
             },
             userEmail,
           );
@@ -1464,57 +1363,70 @@ class InventoryService {
           });
         }
 
+        const preOrderAllocation = await this._allocateToPreOrders(
+          data,
+          quantity,
+          io,
+        );
+
         return {
           success: true,
           data,
+          preOrderAllocation,
           message: `Added ${quantity} units to purchases (accessory). New total stock: ${newTotalStock}. Beginning inventory unchanged.`,
         };
       } else {
         // Regular item or size column item
-        const currentStock = item.stock || 0;
-        const currentPurchases = item.purchases || 0;
-        const currentBeginningInventory = item.beginning_inventory || 0;
-        const newStock = currentStock + quantity;
-
-        // IMPORTANT: Add to purchases, beginning_inventory stays unchanged
-        const newPurchases = currentPurchases + quantity;
-        // beginning_inventory remains the same - never changes after first creation
-
-        if (!isProduction) {
-          console.log(
-            `[addStock] Updating item ${itemId}: current_stock=${currentStock}, current_purchases=${currentPurchases}, adding=${quantity}, new_stock=${newStock}, new_purchases=${newPurchases}, beginning_inventory=${currentBeginningInventory} (unchanged)`,
-          );
-        }
-
-        const updateData = {
-          stock: newStock,
-          purchases: newPurchases,
-          // beginning_inventory is NOT updated - it stays the same
-        };
-
-        // Update price if provided
-        if (unitPrice !== null) {
-          const existingWac = Number(item.price) || 0;
-          const newWac = this.calculateWeightedAverageCost(
-            currentStock,
-            existingWac,
-            quantity,
-            unitPrice,
-          );
-          updateData.price = newWac;
-        }
-
-        const { data, error } = await supabase
-          .from("items")
-          .update(updateData)
-          .eq("id", itemId)
-          .select()
-          .single();
+        let currentStock;
+        let currentPurchases;
+        let newStock;
+        let newPurchases;
+
+        // Re-read the stock under the item's row lock so concurrent adds are not lost;
+        // the purchase is recorded in the ledger in the same transaction
+        const { after: data } = await StockLedgerService.updateItemStock(
+          itemId,
+          (lockedItem) => {
+            currentStock = lockedItem.stock || 0;
+            currentPurchases = lockedItem.purchases || 0;
+            newStock = currentStock + quantity;
+
+            // IMPORTANT: Add to purchases, beginning_inventory stays unchanged
+            newPurchases = currentPurchases + quantity;
+            // beginning_inventory remains the same - never changes after first creation
+
+            if (!isProduction) {
+              console.log(
+                `[addStock] Updating item ${itemId}: current_stock=${currentStock}, current_purchases=${currentPurchases}, adding=${quantity}, new_stock=${newStock}, new_purchases=${newPurchases}, beginning_inventory=${lockedItem.beginning_inventory || 0} (unchanged)`,
+              );
+            }
 
-        if (error) {
-          console.error(`[addStock] ❌ Database update error:`, error);
-          throw error;
-        }
+            const updateData = {
+              stock: newStock,
+              purchases: newPurchases,
+              // beginning_inventory is NOT updated - it stays the same
+            };
+
+            // Update price if provided
+            if (unitPrice !== null) {
+              const existingWac = Number(lockedItem.price) || 0;
+              updateData.price = this.calculateWeightedAverageCost(
+                currentStock,
+                existingWac,
+                quantity,
+                unitPrice,
+              );
+            }
+            return updateData;
+          },
+          {
+            reasonCode: StockLedgerService.REASON_CODES.PURCHASE,
+            reference: purchase?.reference || null,
+            note: purchase?.note || null,
+            actorId: userId,
+            actorEmail: userEmail,
+          },
+        );
 
         if (!isProduction) {
           console.log(
@@ -1586,7 +1498,7 @@ class InventoryService {
           const TransactionService = require("../../services/transaction.service");
           const itemName = data.name;
           const itemSize = size || data.size || "N/A";
-          const details = `Purchase recorded: ${quantity} unit(s) of ${itemName}${itemSize !== "N/A" ? ` (Size: ${itemSize})` : ""}${unitPrice ? ` at ₱${unitPrice} per unit` : ""}`;
+          const details = `Purchase recorded: ${quantity} unit(s) of ${itemName}${itemSize !== "N/A" ? ` (Size: ${itemSize})` : ""}${unitPrice ? ` at ₱${unitPrice} per unit` : ""}${purchase?.reference ? ` (${purchase.reference})` : ""}`;
           await TransactionService.logTransaction(
             "Inventory",
             "PURCHASE RECORDED",
@@ -1602,6 +1514,7 @@ class InventoryService {
               new_stock: newStock,
               previous_purchases: currentPurchases,
               new_purchases: newPurchases,
+              reference: purchase?.reference || null,
             },
             userEmail, // Pass userEmail as fallback for user lookup
           );
@@ -1612,9 +1525,16 @@ class InventoryService {
           );
         }
 
+        const preOrderAllocation = await this._allocateToPreOrders(
+          { ...data, size: size || data.size },
+          quantity,
+          io,
+        );
+
         return {
           success: true,
           data,
+          preOrderAllocation,
           message: `Added ${quantity} units to purchases. New total stock: ${newStock}. Beginning inventory unchanged.`,
         };
       }
@@ -1625,6 +1545,22 @@ class InventoryService {
     }
   }
 
+  /**
+   * Hand the units just added to the oldest waiting pre-orders (see PreOrderQueueService).
+   * The purchase is already saved, so a failure here is logged and reported, never thrown.
+   * @param {Object} item - Updated item row, with size set to the size that received stock
+   * @param {number} quantity - Units added
+   * @param {object} io - Optional Socket.IO instance
+   */
+  async _allocateToPreOrders(item, quantity, io = null) {
+    try {
+      return await PreOrderQueueService.allocateRestock(item, { quantity, io });
+    } catch (error) {
+      console.error(`[addStock] ❌ Pre-order allocation error:`, error);
+      return { notified: 0, converted: 0, allocated: 0, total: 0, students: [], error: error.message };
+    }
+  }
+
   /**
    * Record a return (student returned item). Increases stock only (not purchases) and logs "RETURN RECORDED" so it appears in the Returns table.
    */
@@ -1657,93 +1593,69 @@ class InventoryService {
         throw new Error("Item not found");
       }
 
-      let isJsonVariant = false;
-      let variantIndex = -1;
-      let parsedNote = null;
+      let targetVariant = null;
+      const { sizeVariations } = await ItemVariantsService.getItemLayout(itemId);
 
-      if (item.note && size) {
-        try {
-          parsedNote = JSON.parse(item.note);
-          if (
-            parsedNote &&
-            parsedNote._type === "sizeVariations" &&
-            Array.isArray(parsedNote.sizeVariations)
-          ) {
-            const normalizeForMatch = (s) =>
-              (s || "")
-                .toLowerCase()
-                .trim()
-                .replace(/\s+/g, " ")
-                .replace(/\([^)]*\)/g, "")
-                .trim();
-            const targetNormalized = normalizeForMatch(size);
-            variantIndex = parsedNote.sizeVariations.findIndex((v) => {
-              const vSize = (v.size || "").toLowerCase().trim();
-              const targetSize = size.toLowerCase().trim();
-              const vSizeNoParens = vSize.replace(/\([^)]*\)/g, "").trim();
-              const targetSizeNoParens = targetSize
-                .replace(/\([^)]*\)/g, "")
-                .trim();
-              return (
-                vSize === targetSize ||
-                vSizeNoParens === targetSizeNoParens ||
-                normalizeForMatch(v.size) === targetNormalized
-              );
-            });
-            if (variantIndex === -1 && parsedNote.sizeVariations.length > 0) {
-              variantIndex = parsedNote.sizeVariations.findIndex(
-                (v) => normalizeForMatch(v.size) === targetNormalized,
-              );
-            }
-            if (variantIndex !== -1) isJsonVariant = true;
-          }
-        } catch (e) {
-          // not JSON
+      if (size && sizeVariations.length > 0) {
+        const normalizeForMatch = (s) =>
+          (s || "")
+            .toLowerCase()
+            .trim()
+            .replace(/\s+/g, " ")
+            .replace(/\([^)]*\)/g, "")
+            .trim();
+        const targetNormalized = normalizeForMatch(size);
+        targetVariant = sizeVariations.find((v) => {
+          const vSize = (v.size || "").toLowerCase().trim();
+          const targetSize = size.toLowerCase().trim();
+          const vSizeNoParens = vSize.replace(/\([^)]*\)/g, "").trim();
+          const targetSizeNoParens = targetSize
+            .replace(/\([^)]*\)/g, "")
+            .trim();
+          return (
+            vSize === targetSize ||
+            vSizeNoParens === targetSizeNoParens ||
+            normalizeForMatch(v.size) === targetNormalized
+          );
+        });
+        if (!targetVariant) {
+          const availableSizes = sizeVariations.map((v) => v.size).join(", ");
+          throw new Error(
+            `Size "${size}" not found. Available: ${availableSizes}`,
+          );
         }
       }
 
-      if (
-        parsedNote &&
-        parsedNote._type === "sizeVariations" &&
-        Array.isArray(parsedNote.sizeVariations) &&
-        parsedNote.sizeVariations.length > 0 &&
-        size &&
-        variantIndex === -1
-      ) {
-        const availableSizes = parsedNote.sizeVariations
-          .map((v) => v.size)
-          .join(", ");
-        throw new Error(
-          `Size "${size}" not found. Available: ${availableSizes}`,
+      if (targetVariant) {
+        let variant;
+        let currentVariantStock;
+        let newVariantStock;
+
+        // Re-read the variant under the item's row lock; items.stock follows the variants.
+        // The return is recorded in the ledger in the same transaction
+        const { after: data } = await StockLedgerService.updateItemStock(
+          itemId,
+          (_lockedItem, lockedLayout) => {
+            variant = lockedLayout.sizeVariations.find(
+              (v) => String(v.variant_id) === String(targetVariant.variant_id),
+            );
+            if (!variant) {
+              throw new Error(
+                `Size "${targetVariant.size}" was removed from this item. Reload and try again.`,
+              );
+            }
+            currentVariantStock = Number(variant.stock) || 0;
+            newVariantStock = currentVariantStock + quantity;
+            variant.stock = newVariantStock;
+            if (unitPrice != null) variant.price = unitPrice;
+          },
+          {
+            reasonCode: StockLedgerService.REASON_CODES.RETURN,
+            actorId: userId,
+            actorEmail: userEmail,
+            note: remarks || null,
+          },
         );
-      }
-
-      if (isJsonVariant && parsedNote && variantIndex !== -1) {
-        const variant = parsedNote.sizeVariations[variantIndex];
-        const currentVariantStock = Number(variant.stock) || 0;
-        const newVariantStock = currentVariantStock + quantity;
-        parsedNote.sizeVariations[variantIndex].stock = newVariantStock;
-        const newTotalStock = parsedNote.sizeVariations.reduce(
-          (sum, v) => sum + (Number(v.stock) || 0),
-          0,
-        );
-        const updateData = {
-          stock: newTotalStock,
-          note: JSON.stringify(parsedNote),
-        };
-        if (unitPrice != null) {
-          parsedNote.sizeVariations[variantIndex].price = unitPrice;
-          updateData.note = JSON.stringify(parsedNote);
-        }
-
-        const { data, error } = await supabase
-          .from("items")
-          .update(updateData)
-          .eq("id", itemId)
-          .select()
-          .single();
-
-        if (error) throw error;
 
         try {
           const TransactionService = require("../../services/transaction.service");
@@ -1783,20 +1695,25 @@ class InventoryService {
         };
       }
 
-      // Regular item (no size or single size)
-      const currentStock = item.stock || 0;
-      const newStock = currentStock + quantity;
-      const updateData = { stock: newStock };
-      if (unitPrice != null) updateData.price = unitPrice;
-
-      const { data, error } = await supabase
-        .from("items")
-        .update(updateData)
-        .eq("id", itemId)
-        .select()
-        .single();
-
-      if (error) throw error;
+      // Regular item (no size or single size), recorded in the ledger in the same transaction
+      let currentStock;
+      let newStock;
+      const { after: data } = await StockLedgerService.updateItemStock(
+        itemId,
+        (lockedItem) => {
+          currentStock = lockedItem.stock || 0;
+          newStock = currentStock + quantity;
+          const updateData = { stock: newStock };
+          if (unitPrice != null) updateData.price = unitPrice;
+          return updateData;
+        },
+        {
+          reasonCode: StockLedgerService.REASON_CODES.RETURN,
+          actorId: userId,
+          actorEmail: userEmail,
+          note: remarks || null,
+        },
+      );
 
       try {
         const TransactionService = require("../../services/transaction.service");
@@ -1937,7 +1854,7 @@ class InventoryService {
           .from("orders")
           .select("items,status")
           .eq("is_active", true)
-          .in("status", ["claimed", "completed"]);
+          .in("status", RELEASED_ORDER_STATUSES);
       if (releasedOrdersError) throw releasedOrdersError;
 
       for (const order of releasedOrders || []) {
@@ -1965,7 +1882,7 @@ class InventoryService {
           ) {
             continue;
           }
-          releasedQty += Number(orderItem?.quantity) || 0;
+          releasedQty += getReleasedQuantity(orderItem, order.status);
         }
       }
 
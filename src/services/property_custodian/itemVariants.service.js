@@ -0,0 +1,459 @@
+const supabase = require("../../config/supabase");
+const { sql } = require("../../config/database");
+const { isMissingTableError } = require("../../utils/dbErrors");
+
+/**
+ * Item Variants Service
+ *
+ * Size variations and accessory entries live in item_variants / item_purchase_batches
+ * (see migrations/create_item_variants_tables.sql). The tables are the only place variants
+ * are stored; items.note keeps free-form item metadata such as grade_level
+ * (see migrations/move_item_variant_writes_to_tables.sql).
+ *
+ * Rows are returned in the same shape as the legacy items.note entries
+ * ({ size, stock, price, purchase_batches, ... }) plus variant_id / batch_id, so the existing
+ * valuation helpers keep working and writes can tell existing rows from new ones.
+ * API clients still send and receive variants inside `note` (see splitNote / composeNote).
+ */
+
+/** Columns copied onto the legacy-shaped entry (NULL columns are left out, like a missing JSON key) */
+const VARIANT_FIELDS = [
+  "size",
+  "stock",
+  "price",
+  "purchase_unit_price",
+  "beginning_inventory",
+  "beginning_inventory_unit_price",
+  "purchases",
+  "reorder_point",
+];
+
+const NUMERIC_FIELDS = new Set(VARIANT_FIELDS.filter((f) => f !== "size"));
+const INTEGER_FIELDS = new Set(["stock", "beginning_inventory", "purchases", "reorder_point"]);
+
+/** Keep item id lists in `.in()` filters short enough for the PostgREST URL */
+const ID_CHUNK_SIZE = 100;
+/** PostgREST returns at most 1000 rows per request */
+const PAGE_SIZE = 1000;
+
+const MIGRATION_HINT =
+  "item_variants table not found. Please run the migration: migrations/create_item_variants_tables.sql";
+
+function emptyLayout() {
+  return { sizeVariations: [], accessoryEntries: [] };
+}
+
+function toLegacyEntry(row, batches) {
+  const entry = { ...(row.extra || {}) };
+  for (const field of VARIANT_FIELDS) {
+    if (row[field] == null) continue;
+    entry[field] = NUMERIC_FIELDS.has(field) ? Number(row[field]) : row[field];
+  }
+  if (batches && batches.length > 0) {
+    entry.purchase_batches = batches.map((batch) => ({
+      ...(batch.extra || {}),
+      qty: Number(batch.qty) || 0,
+      ...(batch.unit_price != null && { unit_price: Number(batch.unit_price) }),
+      batch_id: batch.id,
+    }));
+  }
+  entry.variant_id = row.id;
+  return entry;
+}
+
+/** JSON number or numeric string -> number; "" / null / anything else -> null (same as the note conversion) */
+function toNumberOrNull(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value === "string" && /^\s*-?\d+(\.\d+)?\s*$/.test(value)) return Number(value);
+  return null;
+}
+
+/** Legacy-shaped entry -> item_variants columns (everything unknown goes to extra) */
+function toVariantColumns(entry) {
+  const {
+    variant_id: _variantId,
+    purchase_batches: _batches,
+    ...rest
+  } = entry && typeof entry === "object" ? entry : {};
+  const columns = {};
+  for (const field of VARIANT_FIELDS) {
+    const value = rest[field];
+    delete rest[field];
+    if (field === "size") {
+      columns.size = value == null || value === "" ? null : String(value);
+      continue;
+    }
+    const number = toNumberOrNull(value);
+    columns[field] = number != null && INTEGER_FIELDS.has(field) ? Math.round(number) : number;
+  }
+  columns.extra = rest;
+  return columns;
+}
+
+function toBatchColumns(batch) {
+  const { batch_id: _batchId, qty, unit_price: unitPrice, ...extra } = batch;
+  const quantity = toNumberOrNull(qty);
+  return {
+    qty: quantity != null ? Math.round(quantity) : 0,
+    unit_price: toNumberOrNull(unitPrice),
+    extra,
+  };
+}
+
+function sameSize(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+async function selectAllForItemIds(table, itemIds) {
+  const rows = [];
+  for (let i = 0; i < itemIds.length; i += ID_CHUNK_SIZE) {
+    const chunk = itemIds.slice(i, i + ID_CHUNK_SIZE);
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from(table)
+        .select("*")
+        .in("item_id", chunk)
+        .order("item_id", { ascending: true })
+        .order("position", { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+  }
+  return rows;
+}
+
+/** Group variant and batch rows into one layout per item id */
+function buildLayouts(variants, batches) {
+  const batchesByVariant = new Map();
+  for (const batch of batches) {
+    if (!batchesByVariant.has(batch.variant_id)) batchesByVariant.set(batch.variant_id, []);
+    batchesByVariant.get(batch.variant_id).push(batch);
+  }
+
+  const layouts = new Map();
+  for (const row of variants) {
+    const key = String(row.item_id);
+    if (!layouts.has(key)) layouts.set(key, emptyLayout());
+    const entry = toLegacyEntry(row, batchesByVariant.get(row.id));
+    if (row.kind === "accessory_entry") {
+      layouts.get(key).accessoryEntries.push(entry);
+    } else {
+      layouts.get(key).sizeVariations.push(entry);
+    }
+  }
+  return layouts;
+}
+
+class ItemVariantsService {
+  /**
+   * Variants for many items at once
+   * @param {Array<string>} itemIds - Item IDs
+   * @returns {Promise<Map<string, { sizeVariations: Array, accessoryEntries: Array }>>} Keyed by item id
+   */
+  async getVariantsByItemIds(itemIds) {
+    const ids = [...new Set((itemIds || []).filter(Boolean).map(String))];
+    if (ids.length === 0) return new Map();
+
+    try {
+      const [variants, batches] = await Promise.all([
+        selectAllForItemIds("item_variants", ids),
+        selectAllForItemIds("item_purchase_batches", ids),
+      ]);
+      return buildLayouts(variants, batches);
+    } catch (error) {
+      if (isMissingTableError(error)) throw new Error(MIGRATION_HINT);
+      console.error("Get item variants error:", error);
+      throw new Error(`Failed to fetch item variants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Variant layout of one item
+   * @param {string} itemId - Item ID
+   * @returns {Promise<{ sizeVariations: Array, accessoryEntries: Array }>}
+   */
+  async getItemLayout(itemId) {
+    const layouts = await this.getVariantsByItemIds([itemId]);
+    return layouts.get(String(itemId)) || emptyLayout();
+  }
+
+  /**
+   * Variant layout of one item from a getVariantsByItemIds result
+   * @param {Object} item - items row
+   * @param {Map} variantsByItemId - Result of getVariantsByItemIds
+   * @returns {{ sizeVariations: Array, accessoryEntries: Array }}
+   */
+  getLayout(item, variantsByItemId) {
+    return variantsByItemId.get(String(item?.id)) || emptyLayout();
+  }
+
+  /**
+   * Variant layouts read inside a transaction (optionally locking the variant and batch rows)
+   * @param {Function} db - postgres sql or transaction
+   * @param {Array<string>} itemIds - Item IDs
+   * @param {Object} [options] - { forUpdate }
+   * @returns {Promise<Map<string, { sizeVariations: Array, accessoryEntries: Array }>>}
+   */
+  async loadLayouts(db, itemIds, { forUpdate = false } = {}) {
+    const ids = [...new Set((itemIds || []).filter(Boolean).map(String))];
+    if (ids.length === 0) return new Map();
+    const lock = forUpdate ? db`FOR UPDATE` : db``;
+    const variants = await db`
+      SELECT * FROM item_variants
+      WHERE item_id IN ${db(ids)}
+      ORDER BY item_id, kind, position
+      ${lock}
+    `;
+    const batches = await db`
+      SELECT * FROM item_purchase_batches
+      WHERE item_id IN ${db(ids)}
+      ORDER BY variant_id, position
+      ${lock}
+    `;
+    return buildLayouts(variants, batches);
+  }
+
+  /**
+   * Change an item and its variants in one transaction.
+   * The items row and its variant rows are locked FOR UPDATE. `change` receives the locked row
+   * and its layout, edits the layout in place and returns the items columns to update.
+   * Existing variants and purchase batches keep their ids; items.stock of an item with size
+   * variations is recomputed from them.
+   * @param {string} itemId - Item ID
+   * @param {(item: Object, layout: Object) => (Object|void|Promise<Object|void>)} change
+   * @param {Function} [tx] - Existing transaction to run in (default: a new one)
+   * @returns {Promise<{ before: Object, after: Object }>} items rows with size_variants,
+   *   accessory_entries and the composed note
+   */
+  async updateItemVariants(itemId, change, tx = null) {
+    const run = async (db) => {
+      const [item] = await db`SELECT * FROM items WHERE id = ${itemId} FOR UPDATE`;
+      if (!item) throw new Error("Item not found");
+      const layouts = await this.loadLayouts(db, [itemId], { forUpdate: true });
+      const layout = layouts.get(String(itemId)) || emptyLayout();
+      const before = this.withLayout(item, JSON.parse(JSON.stringify(layout)));
+
+      const itemUpdates = { ...((await change(item, layout)) || {}) };
+      const saved = await this._writeLayout(db, itemId, layout);
+      if (saved.sizeVariations.length > 0) {
+        itemUpdates.stock = saved.sizeVariations.reduce((sum, v) => sum + (Number(v.stock) || 0), 0);
+      }
+
+      const [updated] =
+        Object.keys(itemUpdates).length > 0
+          ? await db`UPDATE items SET ${db(itemUpdates)} WHERE id = ${itemId} RETURNING *`
+          : [item];
+      return { before, after: this.withLayout(updated, saved) };
+    };
+
+    try {
+      return tx ? await run(tx) : await sql.begin(run);
+    } catch (error) {
+      if (isMissingTableError(error)) throw new Error(MIGRATION_HINT);
+      throw error;
+    }
+  }
+
+  /**
+   * Write a layout back: entries are matched to existing rows by variant_id (then by size for
+   * size variations, by position for accessory entries); unmatched entries are inserted and rows
+   * no longer in the layout are deleted.
+   * @returns {Promise<{ sizeVariations: Array, accessoryEntries: Array }>} Saved layout with ids
+   */
+  async _writeLayout(tx, itemId, layout) {
+    const useAccessories = (layout.accessoryEntries || []).length > 0;
+    const kind = useAccessories ? "accessory_entry" : "size";
+    const entries = (useAccessories ? layout.accessoryEntries : layout.sizeVariations) || [];
+
+    const existing = await tx`SELECT id, kind, position, size FROM item_variants WHERE item_id = ${itemId}`;
+    // Entries may have been reordered: move current positions out of the way first
+    if (existing.length > 0) {
+      await tx`UPDATE item_variants SET position = -1 - position WHERE item_id = ${itemId}`;
+    }
+
+    // Rows named by a variant_id stay with that entry; the rest match by size / position
+    const claimed = new Set(
+      entries
+        .map((entry) => entry?.variant_id && existing.find((row) => String(row.id) === String(entry.variant_id)))
+        .filter(Boolean)
+        .map((row) => row.id),
+    );
+    const findRow = (entry, index) => {
+      if (entry?.variant_id) {
+        const byId = existing.find((row) => String(row.id) === String(entry.variant_id));
+        if (byId) return byId;
+      }
+      const match = existing.find(
+        (row) =>
+          !claimed.has(row.id) &&
+          row.kind === kind &&
+          (kind === "size" ? sameSize(row.size, entry?.size) : row.position === index),
+      );
+      if (match) claimed.add(match.id);
+      return match;
+    };
+
+    const saved = [];
+    for (let index = 0; index < entries.length; index++) {
+      const entry = entries[index] && typeof entries[index] === "object" ? entries[index] : {};
+      const { extra, ...columns } = toVariantColumns(entry);
+      const values = { ...columns, kind, position: index, extra: tx.json(extra), updated_at: new Date() };
+
+      const match = findRow(entry, index);
+      let variantId;
+      if (match) {
+        variantId = match.id;
+        await tx`UPDATE item_variants SET ${tx(values)} WHERE id = ${variantId}`;
+      } else {
+        const [row] = await tx`
+          INSERT INTO item_variants ${tx({ ...values, item_id: itemId })}
+          RETURNING id
+        `;
+        variantId = row.id;
+      }
+
+      const batches = await this._writeBatches(tx, itemId, variantId, entry.purchase_batches);
+      // Same shape as a fresh read (numbers normalized, ids filled in)
+      saved.push(toLegacyEntry({ ...columns, extra, id: variantId }, batches));
+    }
+
+    const stale = existing.filter((row) => !claimed.has(row.id)).map((row) => row.id);
+    if (stale.length > 0) {
+      await tx`DELETE FROM item_variants WHERE id IN ${tx(stale)}`;
+    }
+
+    return useAccessories
+      ? { sizeVariations: [], accessoryEntries: saved }
+      : { sizeVariations: saved, accessoryEntries: [] };
+  }
+
+  /**
+   * Write the FIFO purchase batches of one variant, keeping the ids of batches that stay
+   * @returns {Promise<Array<Object>>} Saved batches as item_purchase_batches rows
+   */
+  async _writeBatches(tx, itemId, variantId, batches) {
+    const list = (Array.isArray(batches) ? batches : []).filter(
+      (batch) => batch && typeof batch === "object",
+    );
+    const existing = await tx`
+      SELECT id, position FROM item_purchase_batches WHERE variant_id = ${variantId}
+    `;
+    if (existing.length > 0) {
+      await tx`UPDATE item_purchase_batches SET position = -1 - position WHERE variant_id = ${variantId}`;
+    }
+
+    const byId = (batch) =>
+      batch.batch_id && existing.find((row) => String(row.id) === String(batch.batch_id));
+    // Batches named by a batch_id keep it; the rest match by position
+    const claimed = new Set(list.map(byId).filter(Boolean).map((row) => row.id));
+    const saved = [];
+    for (let index = 0; index < list.length; index++) {
+      const batch = list[index];
+      const { extra, ...columns } = toBatchColumns(batch);
+      const values = { ...columns, position: index, extra: tx.json(extra) };
+      let match = byId(batch);
+      if (!match) {
+        match = existing.find((row) => !claimed.has(row.id) && row.position === index);
+        if (match) claimed.add(match.id);
+      }
+
+      let batchId;
+      if (match) {
+        batchId = match.id;
+        await tx`UPDATE item_purchase_batches SET ${tx(values)} WHERE id = ${batchId}`;
+      } else {
+        const [row] = await tx`
+          INSERT INTO item_purchase_batches ${tx({ ...values, variant_id: variantId, item_id: itemId })}
+          RETURNING id
+        `;
+        batchId = row.id;
+      }
+      saved.push({ ...columns, extra, id: batchId });
+    }
+
+    const stale = existing.filter((row) => !claimed.has(row.id)).map((row) => row.id);
+    if (stale.length > 0) {
+      await tx`DELETE FROM item_purchase_batches WHERE id IN ${tx(stale)}`;
+    }
+    return saved;
+  }
+
+  /**
+   * Separate the variants an API client sent inside `note` from the rest of the note
+   * @param {string|null} note - items.note as sent by the client
+   * @returns {{ layout: Object|null, note: string|null }} layout is null when the note carries
+   *   neither sizeVariations nor accessoryEntries (the item's variants are then left alone);
+   *   note is what is stored in items.note
+   */
+  splitNote(note) {
+    if (note == null || typeof note !== "string") return { layout: null, note: note ?? null };
+    let parsed;
+    try {
+      parsed = JSON.parse(note);
+    } catch {
+      return { layout: null, note }; // Plain-text note
+    }
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      return { layout: null, note };
+    }
+
+    const { _type, sizeVariations, accessoryEntries, ...rest } = parsed;
+    if (!Array.isArray(sizeVariations) && !Array.isArray(accessoryEntries)) {
+      return { layout: null, note };
+    }
+    // Same precedence as before: non-empty accessoryEntries win over sizeVariations
+    const layout =
+      Array.isArray(accessoryEntries) && accessoryEntries.length > 0
+        ? { sizeVariations: [], accessoryEntries }
+        : { sizeVariations: Array.isArray(sizeVariations) ? sizeVariations : [], accessoryEntries: [] };
+    return { layout, note: Object.keys(rest).length > 0 ? JSON.stringify(rest) : null };
+  }
+
+  /**
+   * items.note as API clients expect it: the stored note with the item's variants put back in
+   * @param {string|null} note - Stored items.note
+   * @param {Object} layout - { sizeVariations, accessoryEntries }
+   * @returns {string|null}
+   */
+  composeNote(note, layout) {
+    const accessoryEntries = layout?.accessoryEntries || [];
+    const sizeVariations = layout?.sizeVariations || [];
+    if (accessoryEntries.length === 0 && sizeVariations.length === 0) return note ?? null;
+
+    let base = {};
+    if (note) {
+      try {
+        const parsed = JSON.parse(note);
+        if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) base = parsed;
+      } catch {
+        // Plain-text note: only the variants can be expressed as JSON
+      }
+    }
+    return JSON.stringify(
+      accessoryEntries.length > 0
+        ? { ...base, _type: "accessoryEntries", accessoryEntries }
+        : { ...base, _type: "sizeVariations", sizeVariations },
+    );
+  }
+
+  /**
+   * items row as returned to API clients: size_variants, accessory_entries and the composed note
+   * @param {Object} item - items row
+   * @param {Object} layout - { sizeVariations, accessoryEntries }
+   * @returns {Object}
+   */
+  withLayout(item, layout) {
+    if (!item) return item;
+    const variants = layout || emptyLayout();
+    return {
+      ...item,
+      note: this.composeNote(item.note, variants),
+      size_variants: variants.sizeVariations,
+      accessory_entries: variants.accessoryEntries,
+    };
+  }
+}
+
+module.exports = new ItemVariantsService();
@@ -1,33 +1,11 @@
 const supabase = require("../../config/supabase");
-const NotificationService = require("../notification.service");
+const { sql } = require("../../config/database");
 const OrderService = require("./order.service");
+const ItemVariantsService = require("./itemVariants.service");
+const StockLedgerService = require("./stockLedger.service");
+const PreOrderQueueService = require("./preOrderQueue.service");
 const isProduction = process.env.NODE_ENV === "production";
 
-function parseItemNoteJson(note) {
-  if (!note || typeof note !== "string") return null;
-  try {
-    return JSON.parse(note);
-  } catch {
-    return null;
-  }
-}
-
-/** Legacy notes may omit _type; treat non-empty accessoryEntries as accessory (same order as sizeVariations check). */
-function hasAccessoryEntriesNote(parsed) {
-  return (
-    parsed &&
-    Array.isArray(parsed.accessoryEntries) &&
-    parsed.accessoryEntries.length > 0
-  );
-}
-
-function hasSizeVariationsNote(parsed) {
-  if (!parsed || hasAccessoryEntriesNote(parsed)) return false;
-  return (
-    Array.isArray(parsed.sizeVariations) && parsed.sizeVariations.length > 0
-  );
-}
-
 /** Match education levels when spacing/spellings differ (e.g. Junior High School vs Junior Highschool). */
 function normalizeEducationLevelForMatch(level) {
   if (level == null || level === "") return "";
@@ -223,6 +201,7 @@ function sizeVariantReportLayersForDisplay(variant, item) {
 /**
  * When Items updateItem changes purchase totals without going through addStock,
  * log PURCHASE RECORDED so getInventoryReport (date range) stays in sync.
+ * Both rows carry size_variants / accessory_entries (ItemVariantsService.withLayout).
  */
 async function logInventoryPurchaseDeltasFromItemEdit(
   currentItem,
@@ -234,14 +213,9 @@ async function logInventoryPurchaseDeltasFromItemEdit(
   const TransactionService = require("../../services/transaction.service");
   const itemName = finalData.name;
   const itemId = finalData.id;
-  const oldNote = parseItemNoteJson(currentItem.note);
-  const newNote = parseItemNoteJson(finalData.note);
-
-  const accessoryOld = hasAccessoryEntriesNote(oldNote);
-  const accessoryNew = hasAccessoryEntriesNote(newNote);
-  if (accessoryOld || accessoryNew) {
-    const oldEntries = accessoryOld ? oldNote.accessoryEntries : [];
-    const newEntries = accessoryNew ? newNote.accessoryEntries : [];
+  const oldEntries = currentItem.accessory_entries || [];
+  const newEntries = finalData.accessory_entries || [];
+  if (oldEntries.length > 0 || newEntries.length > 0) {
     const oldTotal = accessoryPurchaseDisplayTotal(
       oldEntries,
       currentItem.purchases,
@@ -292,11 +266,9 @@ async function logInventoryPurchaseDeltasFromItemEdit(
     return;
   }
 
-  const sizeOld = hasSizeVariationsNote(oldNote);
-  const sizeNew = hasSizeVariationsNote(newNote);
-  if (sizeOld || sizeNew) {
-    const oldSv = sizeOld ? oldNote.sizeVariations : [];
-    const newSv = sizeNew ? newNote.sizeVariations : [];
+  const oldSv = currentItem.size_variants || [];
+  const newSv = finalData.size_variants || [];
+  if (oldSv.length > 0 || newSv.length > 0) {
     const oldMap = new Map();
     for (const v of oldSv) {
       const k = normalizeSizeForPurchaseKey(v.size);
@@ -870,15 +842,20 @@ class ItemsService {
         const itemIdsForPrices = [
           ...new Set(data.map((row) => row.id).filter(Boolean)),
         ];
-        const firstUnitPriceByItemSize =
-          await fetchFirstPurchaseUnitPricesForItemIds(itemIdsForPrices);
+        const [firstUnitPriceByItemSize, variantsByItemId] = await Promise.all([
+          fetchFirstPurchaseUnitPricesForItemIds(itemIdsForPrices),
+          ItemVariantsService.getVariantsByItemIds(itemIdsForPrices),
+        ]);
         data = data.map((row) => {
+          const layout = ItemVariantsService.getLayout(row, variantsByItemId);
+          const withVariants = ItemVariantsService.withLayout(row, layout);
           const priceMap = ItemsService.buildStudentDisplayPricesBySize(
             row,
             firstUnitPriceByItemSize,
+            layout,
           );
-          if (!priceMap || Object.keys(priceMap).length === 0) return row;
-          return { ...row, student_display_prices: priceMap };
+          if (!priceMap || Object.keys(priceMap).length === 0) return withVariants;
+          return { ...withVariants, student_display_prices: priceMap };
         });
       }
 
@@ -911,7 +888,12 @@ class ItemsService {
         .single();
       if (error) throw error;
       if (!data) throw new Error("Item not found");
-      return { success: true, data };
+
+      const layout = await ItemVariantsService.getItemLayout(data.id);
+      return {
+        success: true,
+        data: ItemVariantsService.withLayout(data, layout),
+      };
     } catch (error) {
       console.error("Get item by ID error:", error);
       throw new Error(`Failed to fetch item: ${error.message}`);
@@ -979,6 +961,9 @@ class ItemsService {
         itemData.image = "/assets/image/card1.png";
       }
 
+      // Size variations / accessory entries arrive inside the note; they are stored in item_variants
+      const incomingVariants = ItemVariantsService.splitNote(itemData.note);
+
       // Check if item+size combination already exists
       // If exists, add stock to purchases (beginning inventory never changes after first creation)
       // Only create new item if item+size doesn't exist
@@ -1088,64 +1073,38 @@ class ItemsService {
           console.log(
             `[createItem] No exact size match found. Checking JSON variations and comma-separated sizes...`,
           );
-          // Check for JSON variations if no exact match
-          if (itemData.note) {
-            try {
-              const newParsedNote = JSON.parse(itemData.note);
-              if (
-                newParsedNote &&
-                newParsedNote._type === "sizeVariations" &&
-                Array.isArray(newParsedNote.sizeVariations)
-              ) {
-                // Check each existing item for matching size in JSON variations
-                for (const existing of finalExistingItems) {
-                  if (existing.note) {
-                    try {
-                      const existingParsed = JSON.parse(existing.note);
-                      if (
-                        existingParsed &&
-                        existingParsed._type === "sizeVariations" &&
-                        Array.isArray(existingParsed.sizeVariations)
-                      ) {
-                        // Check if any new variant matches any existing variant
-                        for (const newVariant of newParsedNote.sizeVariations) {
-                          const newVariantSize = this._normalizeSize(
-                            newVariant.size,
-                          );
-                          const matchingVariant =
-                            existingParsed.sizeVariations.find(
-                              (existingVariant) => {
-                                const existingVariantSize = this._normalizeSize(
-                                  existingVariant.size,
-                                );
-                                // Match exact only - don't use includes() as it causes false matches
-                                // (e.g., "Small" would incorrectly match "XSmall")
-                                // Only match if normalized sizes are exactly equal
-                                return newVariantSize === existingVariantSize;
-                              },
-                            );
-
-                          if (matchingVariant) {
-                            // Item+size variant already exists - add to purchases, don't create duplicate
-                            existingItem = existing;
-                            matchingSize = newVariant.size;
-                            isExistingSize = true;
-                            console.log(
-                              `[createItem] ✅ DUPLICATE DETECTED (JSON variant): Found existing item ID: ${existing.id}, name: "${itemData.name}" with JSON variant size "${newVariant.size}". Will add stock to purchases.`,
-                            );
-                            break;
-                          }
-                        }
-                        if (isExistingSize) break;
-                      }
-                    } catch (e) {
-                      // Ignore parse errors
-                    }
-                  }
+          // Check for size variations if no exact match
+          const newSizeVariations = incomingVariants.layout?.sizeVariations || [];
+          if (newSizeVariations.length > 0) {
+            const existingLayouts = await ItemVariantsService.getVariantsByItemIds(
+              finalExistingItems.map((existing) => existing.id),
+            );
+            // Check each existing item for matching size in its size variations
+            for (const existing of finalExistingItems) {
+              const { sizeVariations: existingVariations } =
+                ItemVariantsService.getLayout(existing, existingLayouts);
+              // Check if any new variant matches any existing variant
+              for (const newVariant of newSizeVariations) {
+                const newVariantSize = this._normalizeSize(newVariant.size);
+                // Match exact only - don't use includes() as it causes false matches
+                // (e.g., "Small" would incorrectly match "XSmall")
+                const matchingVariant = existingVariations.find(
+                  (existingVariant) =>
+                    this._normalizeSize(existingVariant.size) === newVariantSize,
+                );
+
+                if (matchingVariant) {
+                  // Item+size variant already exists - add to purchases, don't create duplicate
+                  existingItem = existing;
+                  matchingSize = newVariant.size;
+                  isExistingSize = true;
+                  console.log(
+                    `[createItem] ✅ DUPLICATE DETECTED (size variant): Found existing item ID: ${existing.id}, name: "${itemData.name}" with variant size "${newVariant.size}". Will add stock to purchases.`,
+                  );
+                  break;
                 }
               }
-            } catch (e) {
-              // Not JSON, continue
+              if (isExistingSize) break;
             }
           }
 
@@ -1436,47 +1395,43 @@ class ItemsService {
       let totalBeginningInventory = itemData.stock || 0;
       let totalPurchases = 0;
 
-      if (itemData.note && typeof itemData.note === "string") {
-        try {
-          const parsedNote = JSON.parse(itemData.note);
-          if (
-            parsedNote?._type === "accessoryEntries" &&
-            Array.isArray(parsedNote.accessoryEntries)
-          ) {
-            // Calculate totals from accessory entries
-            // Entry 1 (index 0) is beginning_inventory, Entry 2+ are purchases
-            totalBeginningInventory = 0;
-            totalPurchases = 0;
-
-            parsedNote.accessoryEntries.forEach((entry, index) => {
-              const entryBeginningInv = Number(entry.beginning_inventory) || 0;
-              const entryPurchases = Number(entry.purchases) || 0;
+      const accessoryEntries = incomingVariants.layout?.accessoryEntries || [];
+      const sizeVariations = incomingVariants.layout?.sizeVariations || [];
+      if (accessoryEntries.length > 0) {
+        // Calculate totals from accessory entries
+        // Entry 1 (index 0) is beginning_inventory, Entry 2+ are purchases
+        totalBeginningInventory = 0;
+        totalPurchases = 0;
+
+        accessoryEntries.forEach((entry) => {
+          totalBeginningInventory += Number(entry.beginning_inventory) || 0;
+          totalPurchases += Number(entry.purchases) || 0;
+        });
 
-              totalBeginningInventory += entryBeginningInv;
-              totalPurchases += entryPurchases;
-            });
+        // FIFO: use first entry's price as beginning-inventory unit price
+        const firstEntryPrice = Number(accessoryEntries[0].price);
+        if (!isNaN(firstEntryPrice)) {
+          beginningUnitPrice = firstEntryPrice;
+        }
 
-            // FIFO: use first entry's price as beginning-inventory unit price
-            if (parsedNote.accessoryEntries.length > 0) {
-              const firstEntryPrice = Number(
-                parsedNote.accessoryEntries[0].price,
-              );
-              if (firstEntryPrice != null && !isNaN(firstEntryPrice)) {
-                beginningUnitPrice = firstEntryPrice;
-              }
-            }
+        console.log(
+          `[createItem] Processed accessoryEntries: totalBeginningInventory=${totalBeginningInventory}, totalPurchases=${totalPurchases}, beginningUnitPrice=${beginningUnitPrice}`,
+        );
+      }
 
-            console.log(
-              `[createItem] Processed accessoryEntries: totalBeginningInventory=${totalBeginningInventory}, totalPurchases=${totalPurchases}, beginningUnitPrice=${beginningUnitPrice}`,
-            );
-          }
-        } catch (_) {
-          // Not JSON or parse error, use defaults
+      // FIFO: when creating with sizeVariations, set each variant's beginning_inventory_unit_price from variant.price
+      for (const v of sizeVariations) {
+        if (
+          v.beginning_inventory_unit_price == null &&
+          (v.price != null || v.stock > 0)
+        ) {
+          v.beginning_inventory_unit_price = Number(v.price) ?? beginningUnitPrice;
         }
       }
 
       const itemToInsert = {
         ...itemData,
+        note: incomingVariants.note,
         beginning_inventory: totalBeginningInventory,
         purchases: totalPurchases, // Sum of purchases from Entry 2+
         beginning_inventory_date: new Date().toISOString(),
@@ -1484,30 +1439,6 @@ class ItemsService {
         beginning_inventory_unit_price: beginningUnitPrice,
       };
 
-      // FIFO: when creating with sizeVariations, set each variant's beginning_inventory_unit_price from variant.price
-      if (itemToInsert.note && typeof itemToInsert.note === "string") {
-        try {
-          const parsedNote = JSON.parse(itemToInsert.note);
-          if (
-            parsedNote?._type === "sizeVariations" &&
-            Array.isArray(parsedNote.sizeVariations)
-          ) {
-            for (const v of parsedNote.sizeVariations) {
-              if (
-                v.beginning_inventory_unit_price == null &&
-                (v.price != null || v.stock > 0)
-              ) {
-                v.beginning_inventory_unit_price =
-                  Number(v.price) ?? beginningUnitPrice;
-              }
-            }
-            itemToInsert.note = JSON.stringify(parsedNote);
-          }
-        } catch (_) {
-          /* not JSON, leave note as is */
-        }
-      }
-
       // Only include for_gender if column exists (check first)
       // Default to Unisex if not provided, but don't include if column doesn't exist
       const forGenderValue = itemData.for_gender || "Unisex";
@@ -1563,6 +1494,40 @@ class ItemsService {
 
       if (error) throw error;
 
+      // Store the size variations / accessory entries (items.stock follows the size variations)
+      // and record the opening stock in the ledger in one transaction. If either fails the new
+      // row is removed again, so no item has stock the ledger doesn't know about.
+      const inserted = data;
+      try {
+        data = await sql.begin(async (tx) => {
+          let created = ItemVariantsService.withLayout(inserted, null);
+          if (incomingVariants.layout) {
+            ({ after: created } = await ItemVariantsService.updateItemVariants(
+              inserted.id,
+              (_item, layout) => {
+                layout.sizeVariations = incomingVariants.layout.sizeVariations;
+                layout.accessoryEntries = incomingVariants.layout.accessoryEntries;
+              },
+              tx,
+            ));
+          }
+          await StockLedgerService.recordStockChange(
+            null,
+            created,
+            {
+              reasonCode: StockLedgerService.REASON_CODES.INITIAL_STOCK,
+              actorId: userId,
+              actorEmail: userEmail,
+            },
+            tx,
+          );
+          return created;
+        });
+      } catch (writeError) {
+        await supabase.from("items").delete().eq("id", inserted.id);
+        throw writeError;
+      }
+
       // Automatically create eligibility entry based on item's education_level
       // This ensures items are visible to students in the correct education level
       try {
@@ -1620,15 +1585,13 @@ class ItemsService {
 
       let notificationInfo = { notified: 0 };
       if (data.stock > 0)
-        notificationInfo = await this.handleRestockNotifications(data, io);
+        notificationInfo = await this.handleRestockNotifications(data, io, data.stock);
 
       // Log transaction for item creation
       try {
         const TransactionService = require("../../services/transaction.service");
         const itemSize = data.size || "N/A";
-        const variantCount = data.note
-          ? JSON.parse(data.note)?.sizeVariations?.length || 0
-          : 0;
+        const variantCount = data.size_variants.length;
         const details =
           variantCount > 0
             ? `Item created: ${data.name} (${data.education_level}) with ${variantCount} variant(s)`
@@ -1702,14 +1665,16 @@ class ItemsService {
    */
   async updateItem(id, updates, io = null, userId = null, userEmail = null) {
     try {
-      const { data: currentItem, error: fetchError } = await supabase
+      const { data: currentRow, error: fetchError } = await supabase
         .from("items")
         .select("*")
         .eq("id", id)
         .eq("is_active", true)
         .single();
       if (fetchError) throw fetchError;
-      if (!currentItem) throw new Error("Item not found");
+      if (!currentRow) throw new Error("Item not found");
+      const currentLayout = await ItemVariantsService.getItemLayout(id);
+      const currentItem = ItemVariantsService.withLayout(currentRow, currentLayout);
 
       if (
         updates.image &&
@@ -1722,10 +1687,18 @@ class ItemsService {
         updates.image = "/assets/image/card1.png";
       }
 
-      // When reorder_point is sent and item has sizeVariations, update the matching variant (or the only variant) in note
-      // Use incoming updates.note if it has sizeVariations so we don't overwrite new variants (e.g. XSmall) with old DB note
+      // Size variations / accessory entries sent inside the note replace the item's variants
+      const incomingVariants = Object.prototype.hasOwnProperty.call(updates, "note")
+        ? ItemVariantsService.splitNote(updates.note)
+        : { layout: null, note: currentRow.note };
+      const nextLayout = incomingVariants.layout
+        ? JSON.parse(JSON.stringify(incomingVariants.layout))
+        : null;
+      // Variants the edit refers to: the incoming ones so new variants (e.g. XSmall) are not missed
+      const targetVariations = (nextLayout || currentLayout).sizeVariations;
+
+      // When reorder_point is sent and item has sizeVariations, update the matching variant (or the only variant)
       const sizeOrVariant = updates.size ?? updates.variant;
-      const noteSource = updates.note || currentItem.note;
       const getSingleVariant = (raw) => {
         if (raw == null) return null;
         const value = String(raw).trim();
@@ -1740,76 +1713,50 @@ class ItemsService {
       if (
         updates.variant_json_index !== undefined &&
         updates.variant_json_index !== null &&
-        String(updates.variant_json_index).trim() !== "" &&
-        noteSource
+        String(updates.variant_json_index).trim() !== ""
       ) {
-        try {
-          const parsedForVariant = JSON.parse(noteSource);
-          const idx = Number(updates.variant_json_index);
-          if (
-            parsedForVariant &&
-            parsedForVariant._type === "sizeVariations" &&
-            Array.isArray(parsedForVariant.sizeVariations) &&
-            Number.isInteger(idx) &&
-            idx >= 0 &&
-            idx < parsedForVariant.sizeVariations.length
-          ) {
-            const indexedVariant = parsedForVariant.sizeVariations[idx]?.size;
-            if (
-              indexedVariant != null &&
-              String(indexedVariant).trim() !== ""
-            ) {
-              variantFromIndex = String(indexedVariant).trim();
-            }
+        const idx = Number(updates.variant_json_index);
+        if (Number.isInteger(idx) && idx >= 0 && idx < targetVariations.length) {
+          const indexedVariant = targetVariations[idx]?.size;
+          if (indexedVariant != null && String(indexedVariant).trim() !== "") {
+            variantFromIndex = String(indexedVariant).trim();
           }
-        } catch (e) {
-          // Ignore parse errors; variant resolution will fall back to other sources.
         }
       }
       let variantFromNoteDiff = null;
-      if (currentItem.note && updates.note) {
-        try {
-          const before = JSON.parse(currentItem.note);
-          const after = JSON.parse(updates.note);
-          if (
-            before?._type === "sizeVariations" &&
-            after?._type === "sizeVariations" &&
-            Array.isArray(before.sizeVariations) &&
-            Array.isArray(after.sizeVariations)
-          ) {
-            const normalizeVariantKey = (value) =>
-              String(value || "")
-                .replace(/\([^)]*\)/g, "")
-                .trim()
-                .toLowerCase();
-            const beforeBySize = new Map(
-              before.sizeVariations.map((v) => [
-                normalizeVariantKey(v?.size),
-                v,
-              ]),
-            );
-            const changedVariants = [];
-            for (const v of after.sizeVariations) {
-              const key = normalizeVariantKey(v?.size);
-              if (!key) continue;
-              const prev = beforeBySize.get(key);
-              if (!prev) {
-                changedVariants.push(v?.size);
-                continue;
-              }
-              if (JSON.stringify(prev) !== JSON.stringify(v)) {
-                changedVariants.push(v?.size);
-              }
-            }
-            if (changedVariants.length === 1) {
-              const onlyChanged = changedVariants[0];
-              if (onlyChanged != null && String(onlyChanged).trim() !== "") {
-                variantFromNoteDiff = String(onlyChanged).trim();
-              }
-            }
+      if (
+        nextLayout &&
+        currentLayout.sizeVariations.length > 0 &&
+        nextLayout.sizeVariations.length > 0
+      ) {
+        const normalizeVariantKey = (value) =>
+          String(value || "")
+            .replace(/\([^)]*\)/g, "")
+            .trim()
+            .toLowerCase();
+        // Compare contents only: ids are not part of what the custodian edits
+        const variantContent = ({ variant_id: _variantId, purchase_batches: batches, ...rest }) =>
+          JSON.stringify({
+            ...rest,
+            purchase_batches: (batches || []).map(({ batch_id: _batchId, ...batch }) => batch),
+          });
+        const beforeBySize = new Map(
+          currentLayout.sizeVariations.map((v) => [normalizeVariantKey(v?.size), v]),
+        );
+        const changedVariants = [];
+        for (const v of nextLayout.sizeVariations) {
+          const key = normalizeVariantKey(v?.size);
+          if (!key) continue;
+          const prev = beforeBySize.get(key);
+          if (!prev || variantContent(prev) !== variantContent(v)) {
+            changedVariants.push(v?.size);
+          }
+        }
+        if (changedVariants.length === 1) {
+          const onlyChanged = changedVariants[0];
+          if (onlyChanged != null && String(onlyChanged).trim() !== "") {
+            variantFromNoteDiff = String(onlyChanged).trim();
           }
-        } catch (e) {
-          // Ignore parse errors; this is only a best-effort variant detector.
         }
       }
       const updatedVariant =
@@ -1842,72 +1789,57 @@ class ItemsService {
           s.toLowerCase() === t.toLowerCase()
         );
       };
-      if (isValidReorder && noteSource) {
-        try {
-          const parsed = JSON.parse(noteSource);
-          if (
-            parsed &&
-            parsed._type === "sizeVariations" &&
-            Array.isArray(parsed.sizeVariations) &&
-            parsed.sizeVariations.length > 0
-          ) {
-            let idx = -1;
-            const target =
-              sizeOrVariant != null && String(sizeOrVariant).trim() !== ""
-                ? String(sizeOrVariant).trim()
-                : null;
-
-            const vIdxRaw = updates.variant_json_index;
-            if (
-              vIdxRaw !== undefined &&
-              vIdxRaw !== null &&
-              String(vIdxRaw).trim() !== ""
-            ) {
-              const vi = Number(vIdxRaw);
-              if (
-                Number.isInteger(vi) &&
-                vi >= 0 &&
-                vi < parsed.sizeVariations.length
-              ) {
-                const slotSize = parsed.sizeVariations[vi].size;
-                if (!target || sizeLooselyMatches(slotSize, target)) {
-                  idx = vi;
-                }
-              }
+      // Reorder point of one stored variant, applied under the row lock when no variants were sent
+      let reorderPatch = null;
+      if (isValidReorder && targetVariations.length > 0) {
+        let idx = -1;
+        const target =
+          sizeOrVariant != null && String(sizeOrVariant).trim() !== ""
+            ? String(sizeOrVariant).trim()
+            : null;
+
+        const vIdxRaw = updates.variant_json_index;
+        if (
+          vIdxRaw !== undefined &&
+          vIdxRaw !== null &&
+          String(vIdxRaw).trim() !== ""
+        ) {
+          const vi = Number(vIdxRaw);
+          if (Number.isInteger(vi) && vi >= 0 && vi < targetVariations.length) {
+            if (!target || sizeLooselyMatches(targetVariations[vi].size, target)) {
+              idx = vi;
             }
+          }
+        }
 
-            if (idx === -1 && target) {
-              idx = parsed.sizeVariations.findIndex((v) => {
-                const s = (v.size || "").trim();
-                const sBase = s.replace(/\([^)]*\)/g, "").trim();
-                const tBase = target.replace(/\([^)]*\)/g, "").trim();
-                return (
-                  s === target ||
-                  sBase === tBase ||
-                  s.includes(target) ||
-                  target.includes(s) ||
-                  s.toLowerCase() === target.toLowerCase()
-                );
-              });
-            }
-            // If no variant matched but item has exactly one variant, update that one (e.g. JHS necktie with one size)
-            if (idx === -1 && parsed.sizeVariations.length === 1) {
-              idx = 0;
-            }
-            if (idx !== -1) {
-              parsed.sizeVariations[idx].reorder_point = reorderValue;
-              updates.note = JSON.stringify(parsed);
-              // Do not set items.reorder_point to one variant's threshold when multiple sizes exist
-              if (parsed.sizeVariations.length > 1) {
-                delete updates.reorder_point;
-              }
-            }
+        if (idx === -1 && target) {
+          idx = targetVariations.findIndex((v) => {
+            const s = (v.size || "").trim();
+            const sBase = s.replace(/\([^)]*\)/g, "").trim();
+            const tBase = target.replace(/\([^)]*\)/g, "").trim();
+            return (
+              s === target ||
+              sBase === tBase ||
+              s.includes(target) ||
+              target.includes(s) ||
+              s.toLowerCase() === target.toLowerCase()
+            );
+          });
+        }
+        // If no variant matched but item has exactly one variant, update that one (e.g. JHS necktie with one size)
+        if (idx === -1 && targetVariations.length === 1) {
+          idx = 0;
+        }
+        if (idx !== -1) {
+          if (nextLayout) {
+            nextLayout.sizeVariations[idx].reorder_point = reorderValue;
+          } else {
+            reorderPatch = { variantId: targetVariations[idx].variant_id, value: reorderValue };
+          }
+          // Do not set items.reorder_point to one variant's threshold when multiple sizes exist
+          if (targetVariations.length > 1) {
+            delete updates.reorder_point;
           }
-        } catch (e) {
-          console.warn(
-            "Items.updateItem: could not patch note for reorder_point by variant",
-            e,
-          );
         }
         delete updates.size;
         delete updates.variant;
@@ -1930,60 +1862,42 @@ class ItemsService {
       // Check if beginning inventory expired and reset if needed
       await InventoryService.checkAndResetBeginningInventory(id);
 
-      // When the payload includes note with sizeVariations, use per-variant purchases
+      // When the payload includes sizeVariations, use per-variant purchases
       // so we don't add the total stock delta to item-level purchases (which would
       // make every size show the same purchases in the UI).
-      let noteHasSizeVariations = false;
-      let noteHasAccessoryEntries = false;
-      if (updates.note) {
-        try {
-          const parsedNote = JSON.parse(updates.note);
-          // Process accessoryEntries (legacy notes may omit _type)
-          if (hasAccessoryEntriesNote(parsedNote)) {
-            noteHasAccessoryEntries = true;
-            if (!parsedNote._type) {
-              parsedNote._type = "accessoryEntries";
-            }
-            // Calculate total beginning_inventory (from Entry 1) and total purchases (from Entry 2+)
-            const totalBeginningInventory =
-              parsedNote.accessoryEntries[0]?.beginning_inventory || 0;
-            const totalPurchases = parsedNote.accessoryEntries
-              .slice(1)
-              .reduce((sum, e) => {
-                return sum + (Number(e.purchases) || 0);
-              }, 0);
-
-            // Update item-level fields
-            updates.beginning_inventory = totalBeginningInventory;
-            updates.purchases = totalPurchases;
-            updates.note = JSON.stringify(parsedNote);
+      const noteHasAccessoryEntries = (nextLayout?.accessoryEntries || []).length > 0;
+      const noteHasSizeVariations =
+        !noteHasAccessoryEntries && (nextLayout?.sizeVariations || []).length > 0;
+      if (noteHasAccessoryEntries) {
+        // Calculate total beginning_inventory (from Entry 1) and total purchases (from Entry 2+)
+        const totalBeginningInventory =
+          nextLayout.accessoryEntries[0]?.beginning_inventory || 0;
+        const totalPurchases = nextLayout.accessoryEntries
+          .slice(1)
+          .reduce((sum, e) => sum + (Number(e.purchases) || 0), 0);
+
+        // Update item-level fields
+        updates.beginning_inventory = totalBeginningInventory;
+        updates.purchases = totalPurchases;
 
-            console.log(
-              `[updateItem] Processed accessoryEntries: totalBeginningInventory=${totalBeginningInventory}, totalPurchases=${totalPurchases}`,
-            );
-          }
-          // Process sizeVariations
-          else if (hasSizeVariationsNote(parsedNote)) {
-            noteHasSizeVariations = true;
-            if (!parsedNote._type) {
-              parsedNote._type = "sizeVariations";
-            }
-            // Compute per-variant purchases if missing (stock - beginning_inventory)
-            let totalPurchases = 0;
-            for (const v of parsedNote.sizeVariations) {
-              const stock = Number(v.stock) || 0;
-              const beg = Number(v.beginning_inventory) ?? 0;
-              if (v.purchases === undefined || v.purchases === null) {
-                v.purchases = Math.max(0, stock - beg);
-              }
-              totalPurchases += Number(v.purchases) || 0;
-            }
-            updates.purchases = totalPurchases;
-            updates.note = JSON.stringify(parsedNote);
+        console.log(
+          `[updateItem] Processed accessoryEntries: totalBeginningInventory=${totalBeginningInventory}, totalPurchases=${totalPurchases}`,
+        );
+      } else if (noteHasSizeVariations) {
+        // Compute per-variant purchases if missing (stock - beginning_inventory)
+        let totalPurchases = 0;
+        for (const v of nextLayout.sizeVariations) {
+          const stock = Number(v.stock) || 0;
+          const beg = Number(v.beginning_inventory) ?? 0;
+          if (v.purchases === undefined || v.purchases === null) {
+            v.purchases = Math.max(0, stock - beg);
           }
-        } catch (e) {
-          // Not JSON or parse error, ignore
+          totalPurchases += Number(v.purchases) || 0;
         }
+        updates.purchases = totalPurchases;
+      }
+      if (Object.prototype.hasOwnProperty.call(updates, "note")) {
+        updates.note = incomingVariants.note;
       }
 
       // Only apply "stock increase -> add to purchases" when NOT updating via sizeVariations or accessoryEntries note
@@ -2011,91 +1925,87 @@ class ItemsService {
         delete updates.variant_json_index;
       }
 
-      const { id: _, created_at, ...allowedUpdates } = updates;
-      const { data, error } = await supabase
-        .from("items")
-        .update(allowedUpdates)
-        .eq("id", id)
-        .eq("is_active", true)
-        .select()
-        .single();
-      if (error) throw error;
-      if (!data) throw new Error("Item not found");
+      // Variants are returned to clients on the row; they are never items columns
+      const {
+        id: _,
+        created_at,
+        size_variants: _sizeVariants,
+        accessory_entries: _accessoryEntries,
+        ...allowedUpdates
+      } = updates;
+
+      // Item columns and variants change together under the item's row lock, and any stock
+      // change is recorded in the ledger in the same transaction
+      const { after: finalData } = await StockLedgerService.updateItemStock(
+        id,
+        (item, layout) => {
+          if (!item.is_active) throw new Error("Item not found");
+          if (nextLayout) {
+            layout.sizeVariations = nextLayout.sizeVariations;
+            layout.accessoryEntries = nextLayout.accessoryEntries;
+          } else if (reorderPatch) {
+            const variant = layout.sizeVariations.find(
+              (v) => String(v.variant_id) === String(reorderPatch.variantId),
+            );
+            if (variant) variant.reorder_point = reorderPatch.value;
+          }
+          return allowedUpdates;
+        },
+        {
+          reasonCode: StockLedgerService.REASON_CODES.ITEM_EDIT,
+          actorId: userId,
+          actorEmail: userEmail,
+        },
+      );
 
       let notificationInfo = null;
 
-      // Re-fetch fresh data to get updated stock/note for checks
-      const { data: updatedItemData, error: refetchError } = await supabase
-        .from("items")
-        .select("*")
-        .eq("id", id)
-        .single();
-
-      if (!refetchError && updatedItemData) {
-        // Determine if effectively restocked (including JSON variants)
-        let effectivelyRestocked = false;
-
-        // Check standard stock
-        if (wasOutOfStock && updatedItemData.stock > 0) {
-          effectivelyRestocked = true;
-        }
-
-        // OR Check JSON variants if available
-        if (updatedItemData.note) {
-          try {
-            const parsed = JSON.parse(updatedItemData.note);
-            if (
-              parsed?._type === "sizeVariations" &&
-              Array.isArray(parsed.sizeVariations)
-            ) {
-              // Find all variants that have stock > 0
-              // This allows us to notify specifically for the sizes that are now available
-              const availableVariants = parsed.sizeVariations.filter(
-                (v) => (Number(v.stock) || 0) > 0,
-              );
-
-              if (availableVariants.length > 0) {
-                effectivelyRestocked = true;
+      // Determine if effectively restocked (including size variants)
+      let effectivelyRestocked = false;
 
-                // Notify for EACH available size variant
-                // This ensures that if "Large" is restocked, we notify for "Large" specifically
-                for (const variant of availableVariants) {
-                  const variantItem = {
-                    ...updatedItemData,
-                    size: variant.size, // Override size with variant size
-                  };
-                  console.log(
-                    `📦 JSON Variant restocked: ${updatedItemData.name} (${updatedItemData.education_level}) - Size: ${variant.size}`,
-                  );
-                  // We don't await here to avoid blocking response, but in this context waiting is safer to ensure it runs
-                  await this.handleRestockNotifications(variantItem, io);
-                }
-
-                // Prevent the generic notification below since we handled it here
-                isRestocked = false;
-                effectivelyRestocked = false; // Set to false to skip the generic block below
-              }
-            }
-          } catch (e) {
-            console.warn(
-              "Failed to parse/process item note for notifications:",
-              e,
-            );
-          }
-        }
+      // Check standard stock
+      if (wasOutOfStock && finalData.stock > 0) {
+        effectivelyRestocked = true;
+      }
 
-        if (effectivelyRestocked || isRestocked) {
-          console.log(
-            `📦 Item restocked (Generic/Standard): ${updatedItemData.name} (${updatedItemData.education_level})`,
+      // OR check size variants: notify for the sizes that received stock
+      const availableVariants = finalData.size_variants.filter(
+        (v) => (Number(v.stock) || 0) > 0,
+      );
+      if (availableVariants.length > 0) {
+        // Notify for EACH size that gained units, with only the units it gained
+        // This ensures that if "Large" is restocked, we notify for "Large" specifically
+        for (const variant of availableVariants) {
+          const previous = currentItem.size_variants.find(
+            (v) => String(v.variant_id) === String(variant.variant_id),
           );
-          notificationInfo = await this.handleRestockNotifications(
-            updatedItemData,
-            io,
+          const received = (Number(variant.stock) || 0) - (Number(previous?.stock) || 0);
+          if (received <= 0) continue;
+          const variantItem = {
+            ...finalData,
+            size: variant.size, // Override size with variant size
+          };
+          console.log(
+            `📦 Size variant restocked: ${finalData.name} (${finalData.education_level}) - Size: ${variant.size}`,
           );
+          await this.handleRestockNotifications(variantItem, io, received);
         }
+
+        // Prevent the generic notification below since we handled it here
+        isRestocked = false;
+        effectivelyRestocked = false;
       }
 
-      const finalData = updatedItemData || data;
+      if (effectivelyRestocked || isRestocked) {
+        console.log(
+          `📦 Item restocked (Generic/Standard): ${finalData.name} (${finalData.education_level})`,
+        );
+        notificationInfo = await this.handleRestockNotifications(
+          finalData,
+          io,
+          (Number(finalData.stock) || 0) - (Number(currentItem.stock) || 0),
+        );
+      }
 
       // Log transaction for item update
       try {
@@ -2214,40 +2124,31 @@ class ItemsService {
   /**
    * Adjust item stock
    */
-  async adjustStock(id, adjustment, reason = "", io = null, size = null) {
+  async adjustStock(
+    id,
+    adjustment,
+    reason = "",
+    io = null,
+    size = null,
+    userId = null,
+  ) {
     try {
-      const { data: currentItem, error: fetchError } = await supabase
-        .from("items")
-        .select("*")
-        .eq("id", id)
-        .eq("is_active", true)
-        .single();
-      if (fetchError) throw fetchError;
-      if (!currentItem) throw new Error("Item not found");
-
-      const wasOutOfStock =
-        currentItem.stock === 0 || currentItem.status === "Out of Stock";
-
-      let updatedItem;
-      let newStock;
-
-      // Check if this is a size-specific item with JSON variations
-      let isJsonVariant = false;
-      let variantIndex = -1;
-      let parsedNote = null;
-
-      if (currentItem.note && size) {
-        try {
-          parsedNote = JSON.parse(currentItem.note);
-          if (
-            parsedNote?._type === "sizeVariations" &&
-            Array.isArray(parsedNote.sizeVariations)
-          ) {
-            isJsonVariant = true;
-            // Find the variant index for the specified size
+      // Size and units that received stock, for the pre-order queue
+      const received = { size: null, quantity: 0 };
+
+      // Read and write under the item's row lock so concurrent adjustments don't overwrite each
+      // other; the adjustment is recorded in the ledger in the same transaction
+      const { after: updatedItem } = await StockLedgerService.updateItemStock(
+        id,
+        (item, layout) => {
+          if (!item.is_active) throw new Error("Item not found");
+          const { sizeVariations } = layout;
+
+          if (size && sizeVariations.length > 0) {
+            // Find the variant for the specified size
             // Use flexible matching: "Large" should match "Large (L)" or "Large(L)"
             const normalizedSize = size.toLowerCase().trim();
-            variantIndex = parsedNote.sizeVariations.findIndex((v) => {
+            const variant = sizeVariations.find((v) => {
               if (!v.size) return false;
               const variantSize = v.size.toLowerCase().trim();
               // Exact match
@@ -2261,66 +2162,38 @@ class ItemsService {
               if (baseSize === normalizedSize) return true;
               return false;
             });
-
-            if (variantIndex === -1) {
-              console.warn(
-                `⚠️ Size "${size}" not found in JSON variations for item ${currentItem.name}. Available sizes: ${parsedNote.sizeVariations.map((v) => v.size).join(", ")}`,
+            if (!variant) {
+              throw new Error(
+                `Size "${size}" not found for ${item.name}. Available sizes: ${sizeVariations.map((v) => v.size).join(", ")}`,
               );
             }
-          }
-        } catch (e) {
-          console.warn("Failed to parse item note for size variant:", e);
-        }
-      }
-
-      if (isJsonVariant && variantIndex !== -1) {
-        // Handle JSON variant stock update
-        const variant = parsedNote.sizeVariations[variantIndex];
-        const currentVariantStock = Number(variant.stock) || 0;
-        const newVariantStock = Math.max(0, currentVariantStock + adjustment);
-
-        // Update variant stock
-        parsedNote.sizeVariations[variantIndex].stock = newVariantStock;
-
-        // Recalculate total stock from all variants
-        newStock = parsedNote.sizeVariations.reduce(
-          (sum, v) => sum + (Number(v.stock) || 0),
-          0,
-        );
-
-        const { data, error } = await supabase
-          .from("items")
-          .update({
-            stock: newStock,
-            note: JSON.stringify(parsedNote),
-          })
-          .eq("id", id)
-          .select()
-          .single();
-        if (error) throw error;
-        updatedItem = data;
-
-        console.log(
-          `📦 Adjusted JSON variant stock: ${currentItem.name} (${currentItem.education_level}) - Size: ${size}, Variant: ${currentVariantStock} -> ${newVariantStock}, Total: ${newStock}`,
-        );
-      } else {
-        // Handle regular stock update (no size-specific variant)
-        newStock = Math.max(0, currentItem.stock + adjustment);
-        const { data, error } = await supabase
-          .from("items")
-          .update({ stock: newStock })
-          .eq("id", id)
-          .select()
-          .single();
-        if (error) throw error;
-        updatedItem = data;
 
-        console.log(
-          `📦 Adjusted stock: ${currentItem.name} (${currentItem.education_level}) - ${currentItem.stock} -> ${newStock}`,
-        );
-      }
+            // items.stock is recomputed from the variants when they are written
+            const currentVariantStock = Number(variant.stock) || 0;
+            variant.stock = Math.max(0, currentVariantStock + adjustment);
+            received.size = variant.size;
+            received.quantity = variant.stock - currentVariantStock;
+            console.log(
+              `📦 Adjusted variant stock: ${item.name} (${item.education_level}) - Size: ${size}, Variant: ${currentVariantStock} -> ${variant.stock}`,
+            );
+            return {};
+          }
 
-      const isRestocked = wasOutOfStock && newStock > 0;
+          // Handle regular stock update (no size-specific variant)
+          const stock = Math.max(0, (Number(item.stock) || 0) + adjustment);
+          console.log(
+            `📦 Adjusted stock: ${item.name} (${item.education_level}) - ${item.stock} -> ${stock}`,
+          );
+          received.size = item.size;
+          received.quantity = stock - (Number(item.stock) || 0);
+          return { stock };
+        },
+        {
+          reasonCode: StockLedgerService.REASON_CODES.ADJUSTMENT,
+          actorId: userId,
+          note: reason || null,
+        },
+      );
 
       // Emit Socket.IO event for real-time updates
       if (io) {
@@ -2332,14 +2205,16 @@ class ItemsService {
         console.log(`📡 Socket.IO: Emitted item:updated for item ${id}`);
       }
 
+      // Units added go to waiting pre-orders of that size
       let notificationInfo = null;
-      if (isRestocked) {
+      if (received.quantity > 0) {
         console.log(
           `📦 Item restocked via adjustment: ${updatedItem.name} (${updatedItem.education_level})`,
         );
         notificationInfo = await this.handleRestockNotifications(
-          updatedItem,
+          { ...updatedItem, size: received.size },
           io,
+          received.quantity,
         );
       }
 
@@ -2436,14 +2311,15 @@ class ItemsService {
    * custodian inventory layering). Keys use {@link normalizeSizeForPurchaseKey}.
    * @param {object} item - Raw items row from DB
    * @param {Map<string, number>} firstUnitPriceByItemSize
+   * @param {object} layout - Variant layout from ItemVariantsService.getLayout
    * @returns {Record<string, number>|null}
    */
-  static buildStudentDisplayPricesBySize(item, firstUnitPriceByItemSize) {
+  static buildStudentDisplayPricesBySize(item, firstUnitPriceByItemSize, layout) {
     const map = firstUnitPriceByItemSize || new Map();
     const out = {};
-    const parsed = parseItemNoteJson(item?.note);
-    if (hasSizeVariationsNote(parsed)) {
-      for (const variant of parsed.sizeVariations) {
+    const { sizeVariations } = layout;
+    if (sizeVariations.length > 0) {
+      for (const variant of sizeVariations) {
         let variantSize = variant.size;
         if (variantSize && typeof variantSize === "string") {
           const m = variantSize.match(/^(.+?)\s*\((.+?)\)$/);
@@ -2563,113 +2439,111 @@ class ItemsService {
       const itemIdsForTx = [
         ...new Set((data || []).map((row) => row.id).filter(Boolean)),
       ];
-      const firstUnitPriceByItemSize =
-        await fetchFirstPurchaseUnitPricesForItemIds(itemIdsForTx);
+      const [firstUnitPriceByItemSize, variantsByItemId] = await Promise.all([
+        fetchFirstPurchaseUnitPricesForItemIds(itemIdsForTx),
+        ItemVariantsService.getVariantsByItemIds(itemIdsForTx),
+      ]);
 
       const sizeMap = new Map();
 
       (data || []).forEach((item) => {
-        // Check if item has JSON variations in note field
+        // Size variants come from item_variants (accessory items have none)
+        const { sizeVariations } = ItemVariantsService.getLayout(
+          item,
+          variantsByItemId,
+        );
         let hasJsonVariations = false;
-        if (item.note) {
-          try {
-            const parsedNote = JSON.parse(item.note);
-            // Legacy notes may omit _type; use same rule as inventory (hasSizeVariationsNote).
-            if (hasSizeVariationsNote(parsedNote)) {
-              hasJsonVariations = true;
-
-              // Process each variation from the JSON
-              parsedNote.sizeVariations.forEach((variant) => {
-                let variantSize = variant.size;
-
-                // Normalization:
-                // Admin saves sizes as "Small (S)", "Medium (M)" etc.
-                // Frontend expects "Small", "Medium" to map to "S", "M".
-                // We strip the abbreviation in parens if present.
-                if (variantSize && typeof variantSize === "string") {
-                  const match = variantSize.match(/^(.+?)\s*\((.+?)\)$/);
-                  if (match) {
-                    variantSize = match[1].trim();
-                  }
-                }
-                const variantStock = Number(variant.stock) || 0;
-                const variantReorderPoint =
-                  variant.reorder_point != null && variant.reorder_point !== ""
-                    ? Number(variant.reorder_point) || 0
-                    : 0;
-
-                // Determine status based on variant stock vs reorder_point (matches At Reorder Point table)
-                let variantStatus = "Above Threshold";
-                if (variantStock === 0) variantStatus = "Out of Stock";
-                else if (
-                  variantReorderPoint > 0 &&
-                  variantStock <= variantReorderPoint
-                )
-                  variantStatus = "At Reorder Point";
-                else if (variantStock <= 10) variantStatus = "Critical";
-
-                const strikePrice = ItemsService._studentDisplayStrikePrice(
-                  variant,
-                  item.price,
-                );
-                const purchaseKey = `${String(item.id)}|${normalizeSizeForPurchaseKey(variantSize)}`;
-                const firstTxUnit = firstUnitPriceByItemSize.get(purchaseKey);
-                const purchaseUnitForDisplay =
-                  firstTxUnit != null && Number(firstTxUnit) > 0
-                    ? Number(firstTxUnit)
-                    : strikePrice;
-                const layers = sizeVariantReportLayersForDisplay(
-                  variant,
-                  item,
-                );
-                const custodianDisplay = displayUnitPriceLikeCustodianInventory(
-                  {
-                    beginningInventory: layers.variantBeginningInventory,
-                    released: 0,
-                    endingInventory: layers.endingInventory,
-                    unitPriceBeginning: layers.unitPriceBeginningForRow,
-                    purchaseUnitPrice: purchaseUnitForDisplay,
-                    price: Number(item.price) || 0,
-                  },
-                );
-                const displayPrice =
-                  Number(custodianDisplay) > 0 ? custodianDisplay : strikePrice;
-                if (sizeMap.has(variantSize)) {
-                  const existing = sizeMap.get(variantSize);
-                  existing.stock += variantStock;
-                  // Update status based on new combined stock (use reorder_point when available)
-                  const rp =
-                    existing.reorderPoint != null
-                      ? existing.reorderPoint
-                      : variantReorderPoint;
-                  if (existing.stock === 0) existing.status = "Out of Stock";
-                  else if (rp > 0 && existing.stock <= rp)
-                    existing.status = "At Reorder Point";
-                  else if (existing.stock <= 10) existing.status = "Critical";
-                  else existing.status = "Above Threshold";
-                  if (variantReorderPoint > 0)
-                    existing.reorderPoint = variantReorderPoint;
-                  if (Number(displayPrice) > 0) {
-                    existing.display_price = displayPrice;
-                  }
-                } else {
-                  sizeMap.set(variantSize, {
-                    size: variantSize,
-                    stock: variantStock,
-                    status: variantStatus,
-                    reorderPoint: variantReorderPoint,
-                    id: item.id, // Use parent item ID
-                    price: Number(variant.price) || Number(item.price) || 0,
-                    display_price: displayPrice,
-                    isJsonVariant: true, // Flag to indicate this is from JSON
-                  });
-                }
+        if (sizeVariations.length > 0) {
+          hasJsonVariations = true;
+
+          // Process each size variant
+          sizeVariations.forEach((variant) => {
+            let variantSize = variant.size;
+
+            // Normalization:
+            // Admin saves sizes as "Small (S)", "Medium (M)" etc.
+            // Frontend expects "Small", "Medium" to map to "S", "M".
+            // We strip the abbreviation in parens if present.
+            if (variantSize && typeof variantSize === "string") {
+              const match = variantSize.match(/^(.+?)\s*\((.+?)\)$/);
+              if (match) {
+                variantSize = match[1].trim();
+              }
+            }
+            const variantStock = Number(variant.stock) || 0;
+            const variantReorderPoint =
+              variant.reorder_point != null && variant.reorder_point !== ""
+                ? Number(variant.reorder_point) || 0
+                : 0;
+
+            // Determine status based on variant stock vs reorder_point (matches At Reorder Point table)
+            let variantStatus = "Above Threshold";
+            if (variantStock === 0) variantStatus = "Out of Stock";
+            else if (
+              variantReorderPoint > 0 &&
+              variantStock <= variantReorderPoint
+            )
+              variantStatus = "At Reorder Point";
+            else if (variantStock <= 10) variantStatus = "Critical";
+
+            const strikePrice = ItemsService._studentDisplayStrikePrice(
+              variant,
+              item.price,
+            );
+            const purchaseKey = `${String(item.id)}|${normalizeSizeForPurchaseKey(variantSize)}`;
+            const firstTxUnit = firstUnitPriceByItemSize.get(purchaseKey);
+            const purchaseUnitForDisplay =
+              firstTxUnit != null && Number(firstTxUnit) > 0
+                ? Number(firstTxUnit)
+                : strikePrice;
+            const layers = sizeVariantReportLayersForDisplay(
+              variant,
+              item,
+            );
+            const custodianDisplay = displayUnitPriceLikeCustodianInventory(
+              {
+                beginningInventory: layers.variantBeginningInventory,
+                released: 0,
+                endingInventory: layers.endingInventory,
+                unitPriceBeginning: layers.unitPriceBeginningForRow,
+                purchaseUnitPrice: purchaseUnitForDisplay,
+                price: Number(item.price) || 0,
+              },
+            );
+            const displayPrice =
+              Number(custodianDisplay) > 0 ? custodianDisplay : strikePrice;
+            if (sizeMap.has(variantSize)) {
+              const existing = sizeMap.get(variantSize);
+              existing.stock += variantStock;
+              // Update status based on new combined stock (use reorder_point when available)
+              const rp =
+                existing.reorderPoint != null
+                  ? existing.reorderPoint
+                  : variantReorderPoint;
+              if (existing.stock === 0) existing.status = "Out of Stock";
+              else if (rp > 0 && existing.stock <= rp)
+                existing.status = "At Reorder Point";
+              else if (existing.stock <= 10) existing.status = "Critical";
+              else existing.status = "Above Threshold";
+              if (variantReorderPoint > 0)
+                existing.reorderPoint = variantReorderPoint;
+              if (Number(displayPrice) > 0) {
+                existing.display_price = displayPrice;
+              }
+            } else {
+              sizeMap.set(variantSize, {
+                size: variantSize,
+                stock: variantStock,
+                status: variantStatus,
+                reorderPoint: variantReorderPoint,
+                id: item.id, // Use parent item ID
+                variantId: variant.variant_id || null,
+                price: Number(variant.price) || Number(item.price) || 0,
+                display_price: displayPrice,
+                isJsonVariant: true, // Flag to indicate this is from JSON
               });
             }
-          } catch (e) {
-            // Ignore parse errors, treat as normal item
-            console.warn("Failed to parse item note as JSON:", e);
-          }
+          });
         }
 
         // If not processed as JSON variations, process as standard item row
@@ -2856,9 +2730,14 @@ class ItemsService {
   }
 
   /**
-   * Handle restock notifications for pre-orders
+   * Handle restock notifications for pre-orders: the units received go to the waiting pre-orders
+   * first come, first served (see PreOrderQueueService), completed pre-orders are converted
+   * and the students still waiting are told their queue position
+   * @param {Object} item - Updated item row, with size set to the size that received stock
+   * @param {Object} io - Socket.IO instance
+   * @param {number} quantity - Units received (only these are allocated, never all on-hand stock)
    */
-  async handleRestockNotifications(item, io = null) {
+  async handleRestockNotifications(item, io = null, quantity = 0) {
     try {
       console.log(`🔔 Checking for pre-orders to notify for: ${item.name}`);
 
@@ -2898,169 +2777,11 @@ class ItemsService {
         }
       }
 
-      console.log(
-        `🔍 Matching against size: ${sizeToMatch} (Original: ${item.size})`,
-      );
-
-      const studentsWithPreOrders =
-        await NotificationService.findStudentsWithPendingPreOrders(
-          item.name,
-          item.education_level,
-          sizeToMatch || null,
-        );
-
-      if (studentsWithPreOrders.length === 0) {
-        console.log("ℹ️ No students to notify");
-        return {
-          notified: 0,
-          converted: 0,
-          total: 0,
-          students: [],
-          conversions: [],
-        };
-      }
-
-      console.log(`📧 Notifying ${studentsWithPreOrders.length} students...`);
-      const notificationResults = [];
-
-      // Import getStudentRowById for converting database UUID to Supabase Auth UID
-      const {
-        getStudentRowById,
-      } = require("../../services/profileResolver.service");
-
-      for (const student of studentsWithPreOrders) {
-        try {
-          // Convert database UUID (student.studentId) to Supabase Auth UID (user_id)
-          // This is needed because notifications table uses user_id (Supabase Auth UID)
-          // and frontend expects Supabase Auth UID for matching
-          let supabaseAuthUid = null;
-          try {
-            const studentRow = await getStudentRowById(student.studentId);
-            if (studentRow && studentRow.user_id) {
-              supabaseAuthUid = studentRow.user_id;
-              console.log(
-                `✅ Found Supabase Auth UID for student ${student.studentId}: ${supabaseAuthUid}`,
-              );
-            } else {
-              console.warn(
-                `⚠️ Student ${student.studentId} not found or missing user_id. Student row:`,
-                studentRow ? Object.keys(studentRow) : "null",
-              );
-              // Fallback: try using studentId as Supabase Auth UID if it looks like one
-              if (
-                student.studentId &&
-                typeof student.studentId === "string" &&
-                student.studentId.length > 20
-              ) {
-                console.log(
-                  `⚠️ Attempting to use studentId as Supabase Auth UID: ${student.studentId}`,
-                );
-                supabaseAuthUid = student.studentId;
-              }
-            }
-          } catch (uidError) {
-            console.error(
-              `❌ Error fetching Supabase Auth UID for student ${student.studentId}:`,
-              uidError,
-            );
-            // Fallback: try using studentId as Supabase Auth UID if it looks like one
-            if (
-              student.studentId &&
-              typeof student.studentId === "string" &&
-              student.studentId.length > 20
-            ) {
-              console.log(
-                `⚠️ Fallback: Using studentId as Supabase Auth UID: ${student.studentId}`,
-              );
-              supabaseAuthUid = student.studentId;
-            }
-          }
-
-          // Use Supabase Auth UID for notification (required for notifications table)
-          const notificationUserId = supabaseAuthUid || student.studentId;
-
-          // Create notification (manual conversion - student must click "Order" button)
-          const notification =
-            await NotificationService.createRestockNotification({
-              studentId: notificationUserId, // Use Supabase Auth UID instead of database UUID
-              itemName: item.name,
-              educationLevel: item.education_level,
-              size: student.item.size || item.size || null,
-              orderNumber: student.orderNumber,
-              inventoryId: item.id,
-              orderConverted: false, // Manual conversion - student must order manually
-            });
-
-          if (io) {
-            // Emit Socket.IO event with Supabase Auth UID for frontend matching
-            if (supabaseAuthUid) {
-              io.emit("items:restocked", {
-                userId: supabaseAuthUid, // Use Supabase Auth UID for frontend matching
-                notification: notification.data,
-                item: {
-                  id: item.id,
-                  name: item.name,
-                  educationLevel: item.education_level,
-                  size: student.item.size || item.size || null,
-                  stock: item.stock,
-                },
-                order: {
-                  id: student.orderId,
-                  orderNumber: student.orderNumber,
-                  converted: false, // Manual conversion required
-                },
-              });
-              console.log(
-                `📡 Socket.IO: Emitted items:restocked to student ${supabaseAuthUid} (database UUID: ${student.studentId})`,
-              );
-            } else {
-              console.warn(
-                `⚠️ Cannot emit items:restocked - Supabase Auth UID not found for student ${student.studentId}`,
-              );
-              console.warn(
-                `⚠️ Notification was still created in database with userId: ${notificationUserId}`,
-              );
-            }
-          }
-
-          notificationResults.push({
-            studentId: student.studentId,
-            studentName: student.studentName,
-            orderNumber: student.orderNumber,
-            orderId: student.orderId,
-            success: true,
-          });
-        } catch (error) {
-          console.error(
-            `Failed to create notification for student ${student.studentId}:`,
-            error,
-          );
-          notificationResults.push({
-            studentId: student.studentId,
-            studentName: student.studentName,
-            orderNumber: student.orderNumber,
-            orderId: student.orderId,
-            success: false,
-            error: error.message,
-          });
-        }
-      }
-
-      const successCount = notificationResults.filter((r) => r.success).length;
-      console.log(
-        `✅ Successfully notified ${successCount}/${studentsWithPreOrders.length} students`,
-      );
-      console.log(
-        `ℹ️ Students can now manually convert their pre-orders to regular orders when items are available`,
-      );
-
-      return {
-        notified: successCount,
-        converted: 0, // No automatic conversions
-        total: studentsWithPreOrders.length,
-        students: notificationResults,
-        conversions: [], // No conversions performed automatically
-      };
+      return await PreOrderQueueService.allocateRestock(item, {
+        matchSize: sizeToMatch || null,
+        quantity,
+        io,
+      });
     } catch (error) {
       console.error("Handle restock notifications error:", error);
       return { notified: 0, total: 0, students: [], error: error.message };
@@ -1,9 +1,34 @@
 const supabase = require("../../config/supabase");
-const { generateOrderReceiptQRData } = require("../../utils/qrCodeGenerator");
+const { sql } = require("../../config/database");
+const StockLedgerService = require("./stockLedger.service");
+const OrderEmailService = require("../orderEmail.service");
+const NotificationService = require("../notification.service");
+const { getNonWorkingDateSet } = require("../system_admin/nonWorkingDays.service");
+const { toDateOnly } = require("../../utils/dateOnly");
+const { recordStrike } = require("../system_admin/voidStrikeAppeal.service");
+const {
+  generateOrderReceiptQRData,
+  verifyOrderReceiptQRData,
+} = require("../../utils/qrCodeGenerator");
 const { getMaxQuantityForItem, normalizeItemName, resolveItemKey } = require("../../config/itemMaxOrder");
 const { getStudentRowById } = require("../profileResolver.service");
+const {
+  LINE_STATUS,
+  RELEASED_ORDER_STATUSES,
+  getReleasedQuantity,
+  getUnreleasedQuantity,
+  deriveOrderStatusFromLines,
+  applyLineRelease,
+} = require("../../utils/orderFulfillment");
+const { isMissingTableError } = require("../../utils/dbErrors");
 const isProduction = process.env.NODE_ENV === "production";
 
+/**
+ * Statuses of orders still waiting to be claimed: they count against the student's item
+ * limits, and the auto-void job cancels them when the claim window runs out
+ */
+const CLAIMABLE_STATUSES = ["pending", "paid", "processing", "ready", "payment_pending", "partially_claimed"];
+
 /** JSONB `orders.items` may arrive as an array or a JSON string depending on client/PostgREST. */
 function parseOrderItemsField(items) {
   if (!items) return [];
@@ -19,6 +44,44 @@ function parseOrderItemsField(items) {
   return [];
 }
 
+/**
+ * Find the inventory row (and size variant, if any) an order line draws stock from.
+ * Mirrors the matching used when restoring inventory: size variants first, then the row's size column.
+ * @param {Array<Object>} potentialItems - Item rows with the line's name, each with `sizeVariations`
+ * @param {string} itemSize - Line size ("N/A" when none)
+ * @returns {{ inventoryItem: Object, variantIndex: number }|null} variantIndex is -1 for plain rows
+ */
+function findInventoryMatch(potentialItems, itemSize) {
+  for (const pItem of potentialItems || []) {
+    const variants = pItem.sizeVariations || [];
+    // Flexible matching: check perfect match or abbreviation match
+    const vIndex = variants.findIndex((v) => {
+      const vSize = v.size || "";
+      if (vSize === itemSize) return true;
+      return vSize.includes(itemSize) || itemSize.includes(vSize);
+    });
+    if (vIndex !== -1) return { inventoryItem: pItem, variantIndex: vIndex };
+
+    const dbSize = pItem.size || "N/A";
+    if (dbSize === itemSize || (itemSize === "N/A" && (!pItem.size || pItem.size === "N/A"))) {
+      return { inventoryItem: pItem, variantIndex: -1 };
+    }
+  }
+  return null;
+}
+
+/** Row for a postgres-driver insert: JSONB values wrapped with tx.json, undefined fields dropped. */
+function toSqlRow(tx, row) {
+  return Object.fromEntries(
+    Object.entries(row)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [
+        key,
+        value !== null && typeof value === "object" && !(value instanceof Date) ? tx.json(value) : value,
+      ])
+  );
+}
+
 /** Orders may store `students.id` or auth `users.id` in `student_id`. */
 async function getStudentRowByOrderStudentId(orderStudentId) {
   if (!orderStudentId) return null;
@@ -47,6 +110,15 @@ async function resolveStudentsTableIdFromOrderStudentId(studentId) {
  * Handles all order-related database operations
  */
 class OrderService {
+  /**
+   * Lines of an order's `items` (JSONB may arrive as an array or a JSON string)
+   * @param {Array<Object>|string} items - orders.items
+   * @returns {Array<Object>} Order lines ([] when missing or unreadable)
+   */
+  parseOrderItems(items) {
+    return parseOrderItemsField(items);
+  }
+
   /**
    * Get all orders with optional filtering and pagination
    * @param {Object} filters - Filter criteria
@@ -258,6 +330,8 @@ class OrderService {
         }));
       }
 
+      enhancedData = await this._withClaimDeadlines(enhancedData);
+
       return {
         success: true,
         data: enhancedData,
@@ -341,6 +415,8 @@ class OrderService {
         }
       }
 
+      [enhancedOrder] = await this._withClaimDeadlines([enhancedOrder]);
+
       return {
         success: true,
         data: enhancedOrder,
@@ -401,6 +477,8 @@ class OrderService {
         }
       }
 
+      [enhancedOrder] = await this._withClaimDeadlines([enhancedOrder]);
+
       return {
         success: true,
         data: enhancedOrder,
@@ -412,38 +490,97 @@ class OrderService {
   }
 
   /**
-   * Create new order
-   * @param {Object} orderData - Order data
-   * @returns {Promise<Object>} - Created order
+   * Verify a scanned order receipt QR code
+   * Checks the signature and expiry, then looks up the order to return its live status.
+   * QR codes that were superseded (order edited/re-issued) or belong to an order that is
+   * already claimed or cancelled are rejected. An expired QR is still accepted for a
+   * partially claimed order, so backordered lines can be released after restocking.
+   * @param {string|Object} qrData - Scanned QR payload
+   * @returns {Promise<Object>} - { success, valid, reason?, data: { order, qr } }
    */
-  async createOrder(orderData, io = null) {
+  async verifyOrderReceiptQR(qrData) {
     try {
-      // Validate required fields
-      const requiredFields = [
-        "order_number",
-        "student_name",
-        "student_email",
-        "education_level",
-        "items",
-        "total_amount",
-      ];
+      const verification = verifyOrderReceiptQRData(qrData);
+      if (!verification.valid && !verification.expired) {
+        return {
+          success: true,
+          valid: false,
+          reason: verification.reason,
+          data: { order: null, qr: verification.data || null },
+        };
+      }
 
-      for (const field of requiredFields) {
-        if (!orderData[field] && orderData[field] !== 0) {
-          throw new Error(`Missing required field: ${field}`);
-        }
+      const qr = verification.data;
+      let order;
+      try {
+        const result = await this.getOrderByNumber(qr.orderNumber);
+        order = result.data;
+      } catch (lookupError) {
+        return {
+          success: true,
+          valid: false,
+          reason: "Order not found",
+          data: { order: null, qr },
+        };
       }
 
-      // Set default order_type if not provided (for backward compatibility)
-      if (!orderData.order_type) {
-        orderData.order_type = "regular";
+      // Only the most recently issued QR for the order is accepted
+      const current = verifyOrderReceiptQRData(order.qr_code_data);
+      if (!current.data || current.data.qrIssuedAt !== qr.qrIssuedAt) {
+        return {
+          success: true,
+          valid: false,
+          reason: "QR code has been replaced by a newer receipt",
+          data: { order, qr },
+        };
       }
 
-      // Validate items array
-      if (!Array.isArray(orderData.items) || orderData.items.length === 0) {
-        throw new Error("Order must contain at least one item");
+      const status = String(order.status || "").toLowerCase();
+      if (status === "claimed" || status === "completed") {
+        return {
+          success: true,
+          valid: false,
+          reason: "Order has already been claimed",
+          data: { order, qr },
+        };
+      }
+      if (status === "cancelled") {
+        return {
+          success: true,
+          valid: false,
+          reason: "Order has been cancelled",
+          data: { order, qr },
+        };
+      }
+      if (verification.expired && status !== "partially_claimed") {
+        return {
+          success: true,
+          valid: false,
+          reason: verification.reason,
+          data: { order, qr },
+        };
       }
 
+      return {
+        success: true,
+        valid: true,
+        data: { order, qr },
+      };
+    } catch (error) {
+      console.error("Verify order QR error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enforce system-admin limits before an order is placed: total item limit (slots),
+   * order lockout period and per-item max quantities.
+   * Called inside the order placement transaction while the student's placement lock is held.
+   * @param {Object} orderData - Order being placed
+   * @returns {Promise<void>} Throws when a limit would be exceeded
+   */
+  async _enforceStudentOrderLimits(orderData) {
+    try {
       // Enforce system-admin limits: total_item_limit and order_lockout_period (students table first)
       const studentId = orderData.student_id || null;
       const studentEmail = (orderData.student_email || "").trim();
@@ -470,23 +607,26 @@ class OrderService {
           }
         }
         if (!userErr && userRow) {
-          const rawMaxItems = userRow.total_item_limit;
           const studentType = (userRow.student_type || "new").toLowerCase();
-          const baseMaxItems =
-            studentType === "new" ? 8 :
-            studentType === "old" ? 2 :
-            null;
-          // Admin override (rawMaxItems) wins; otherwise fall back to derived baseMaxItems.
-          const maxItems =
-            rawMaxItems != null && Number(rawMaxItems) > 0
-              ? Number(rawMaxItems)
-              : baseMaxItems;
+          // Admin override (students.total_item_limit) wins; otherwise the total item limit policy applies.
+          const { resolveTotalItemLimit, describeLimitRule } = require("../system_admin/totalItemLimitPolicy.service");
+          const { limit: maxItems, rule: limitRule } = await resolveTotalItemLimit({
+            educationLevel: userRow.education_level || orderData.education_level,
+            studentType,
+            studentLimit: userRow.total_item_limit,
+          });
+          const limitRuleText = describeLimitRule(limitRule);
+          const limitError = (message) => {
+            const err = new Error(`${message} (Rule applied: ${limitRuleText})`);
+            err.limitRule = limitRule;
+            return err;
+          };
           const lockoutPeriod = userRow.order_lockout_period;
           const lockoutUnit = userRow.order_lockout_unit;
           const totalItemLimitSetAt = userRow.total_item_limit_set_at;
 
           if (maxItems == null || Number(maxItems) <= 0) {
-            throw new Error(
+            throw limitError(
               "Your order limit has not been set by the administration. Please contact your school administrator to set your Total Item Limit before placing an order."
             );
           }
@@ -509,12 +649,12 @@ class OrderService {
               // Only count active orders (pending, processing, ready, etc.) - NOT claimed/completed orders.
               // Once an order is claimed/completed, the student should be able to order new item types.
               // Only count orders created AFTER total_item_limit_set_at (when admin reset the limit)
-              const placedStatuses = ["pending", "paid", "processing", "ready", "payment_pending"];
+              // Partially claimed orders still hold slots for their unreleased lines
               let placedOrdersQuery = supabase
                 .from("orders")
-                .select("items, created_at")
+                .select("items, status, created_at")
                 .eq("is_active", true)
-                .in("status", placedStatuses)
+                .in("status", CLAIMABLE_STATUSES)
                 .or(orParts.join(","));
               
               // Only count orders created after limit was set/reset by admin
@@ -527,6 +667,7 @@ class OrderService {
               for (const row of placedOrders || []) {
                 const orderItems = Array.isArray(row.items) ? row.items : [];
                 for (const it of orderItems) {
+                  if (getUnreleasedQuantity(it, row.status) <= 0) continue;
                   let key = resolveItemKey((it.name || "").trim());
                   if (!key && (it.name || "").trim()) {
                     const lower = (it.name || "").trim().toLowerCase();
@@ -542,14 +683,14 @@ class OrderService {
             
             // Check if student has already exceeded their limit
             if (slotsUsedFromPlacedOrders >= Number(maxItems)) {
-              throw new Error(
+              throw limitError(
                 `You have already reached your item type limit. You have used ${slotsUsedFromPlacedOrders} item type${slotsUsedFromPlacedOrders !== 1 ? "s" : ""} in placed orders, which exceeds your maximum of ${maxItems}. You cannot place any more orders until some of your existing orders are completed or cancelled.`
               );
             }
             
             // Check if this order would exceed the remaining limit
             if (slotCount > slotsLeftForThisOrder) {
-              throw new Error(
+              throw limitError(
                 `Order exceeds your item type limit. You have ${slotsLeftForThisOrder} item type${slotsLeftForThisOrder !== 1 ? "s" : ""} left for this order (max ${maxItems} total; ${slotsUsedFromPlacedOrders} already used in placed orders). This order has ${slotCount}. Only placed orders count toward the limit—cart does not.`
               );
             }
@@ -633,7 +774,6 @@ class OrderService {
           // Sum quantities already in placed orders for this student (pending, paid, processing, ready, etc.)
           // Exclude "claimed" and "completed" - once an order is claimed, the student can order that item again
           // Only count orders created AFTER total_item_limit_set_at (when admin reset the limit)
-          const placedStatuses = ["pending", "paid", "processing", "ready", "payment_pending"];
           const orParts = [];
           if (studentId) orParts.push(`student_id.eq.${studentId}`);
           if (studentEmail) orParts.push(`student_email.eq.${studentEmail}`);
@@ -641,9 +781,9 @@ class OrderService {
           if (orParts.length > 0) {
             let placedOrdersQuery = supabase
               .from("orders")
-              .select("items, created_at")
+              .select("items, status, created_at")
               .eq("is_active", true)
-              .in("status", placedStatuses)
+              .in("status", CLAIMABLE_STATUSES)
               .or(orParts.join(","));
             
             // Only count orders created after limit was set/reset by admin
@@ -662,7 +802,7 @@ class OrderService {
                 if (!key) continue;
                 // resolveItemKey now always returns "logo patch" for both "new logo patch" and "logo patch"
                 alreadyOrderedByItem[key] =
-                  (alreadyOrderedByItem[key] || 0) + (Number(it.quantity) || 0);
+                  (alreadyOrderedByItem[key] || 0) + getUnreleasedQuantity(it, row.status);
               }
             }
           }
@@ -676,12 +816,11 @@ class OrderService {
           // Only count claimed orders created AFTER total_item_limit_set_at (when admin reset the limit)
           let claimedItemsByItem = {};
           if (orParts.length > 0) {
-            const claimedStatuses = ["claimed", "completed"];
             let claimedOrdersQuery = supabase
               .from("orders")
-              .select("items, created_at")
+              .select("items, status, created_at")
               .eq("is_active", true)
-              .in("status", claimedStatuses)
+              .in("status", RELEASED_ORDER_STATUSES)
               .or(orParts.join(","));
             
             // Only count orders created after limit was set/reset by admin
@@ -700,7 +839,7 @@ class OrderService {
                 if (!key) continue;
                 // resolveItemKey now always returns "logo patch" for both "new logo patch" and "logo patch"
                 claimedItemsByItem[key] =
-                  (claimedItemsByItem[key] || 0) + (Number(it.quantity) || 0);
+                  (claimedItemsByItem[key] || 0) + getReleasedQuantity(it, row.status);
               }
             }
           }
@@ -724,7 +863,7 @@ class OrderService {
 
           for (const [itemKey, totalQty] of Object.entries(totalsByItem)) {
             // Get max limit based on CURRENT student type (from userRow.student_type, line 417)
-            let max = getMaxQuantityForItem(
+            let max = await getMaxQuantityForItem(
               itemKey,
               educationLevelForSegment,
               studentType,
@@ -814,233 +953,325 @@ class OrderService {
           }
         }
       }
+    } catch (error) {
+      console.error("Enforce order limits error:", error);
+      throw error;
+    }
+  }
 
-      // Generate QR code data if missing or null
-      if (!orderData.qr_code_data) {
-        console.log("QR code data missing, generating...");
-        const qrCodeData = generateOrderReceiptQRData({
-          orderNumber: orderData.order_number,
-          studentId: orderData.student_id,
-          studentName: orderData.student_name,
-          studentEmail: orderData.student_email,
-          items: orderData.items,
-          educationLevel: orderData.education_level,
-          totalAmount: orderData.total_amount,
-          orderDate: new Date().toISOString(),
-          status: orderData.status || "pending",
-        });
-        orderData.qr_code_data = qrCodeData;
-        console.log("QR code data generated successfully");
+  /**
+   * Reserve stock for every line of a regular order inside the placement transaction.
+   * Candidate item rows are locked FOR UPDATE, so a concurrent order for the same stock waits
+   * for this one to commit or roll back. A line asking for more than is on hand, or matching no
+   * inventory item, rejects the whole order with an error naming that line
+   * (error.outOfStockLine / error.missingInventoryLine).
+   * @param {Function} tx - postgres transaction (sql.begin callback argument)
+   * @param {Object} orderData - Order being placed
+   * @returns {Promise<{ inventoryUpdates: Array<Object>, stockMovements: Array<Object> }>}
+   *   stockMovements are the ledger deltas, recorded once the order row exists
+   */
+  async _reserveStockForOrder(tx, orderData) {
+    // Client lines never put stock back
+    const lines = (orderData.items || []).map((item) => ({ ...item, restock: false }));
+    return this._moveStockInTransaction(tx, orderData.education_level, lines);
+  }
+
+  /**
+   * Lock the item rows (and their size variants) that order lines with these names can draw from.
+   * @param {Function} tx - postgres transaction (sql.begin callback argument)
+   * @param {string} educationLevel - Level whose items (plus "All Education Levels") are used
+   * @param {Array<string>} names - Lower-cased item names
+   * @returns {Promise<{ itemLookupMap: Map<string, Array<Object>> }>}
+   *   rows keyed by lower-cased name, each with `sizeVariations`
+   */
+  async _lockInventoryRows(tx, educationLevel, names) {
+    // Items that match student's education level OR "All Education Levels" (e.g. Logo Patch, ID Lace).
+    // Locked in id order so concurrent orders always take row locks in the same sequence.
+    const rows = await tx`
+      SELECT id, name, size, stock, price
+      FROM items
+      WHERE is_active = true
+        AND LOWER(name) IN ${tx(names)}
+        AND (education_level = ${educationLevel} OR education_level = 'All Education Levels')
+      ORDER BY id
+      FOR UPDATE
+    `;
+
+    // Size variants of those items (locked too)
+    const variantRows =
+      rows.length > 0
+        ? await tx`
+            SELECT id, item_id, position, size, stock, price
+            FROM item_variants
+            WHERE item_id IN ${tx(rows.map((row) => row.id))}
+              AND kind = 'size'
+            ORDER BY item_id, position
+            FOR UPDATE
+          `
+        : [];
+
+    const itemLookupMap = new Map();
+    for (const row of rows) {
+      row.sizeVariations = variantRows.filter((v) => String(v.item_id) === String(row.id));
+      const key = (row.name || "").toLowerCase();
+      if (!itemLookupMap.has(key)) itemLookupMap.set(key, []);
+      itemLookupMap.get(key).push(row);
+    }
+
+    return { itemLookupMap };
+  }
+
+  /**
+   * Units on hand for one order line, read under the same row locks _moveStockInTransaction takes
+   * @param {Function} tx - postgres transaction (sql.begin callback argument)
+   * @param {string} educationLevel - Level whose items (plus "All Education Levels") are used
+   * @param {Object} item - { name, size }
+   * @returns {Promise<number|null>} null when no inventory row matches the line
+   */
+  async _availableStockInTransaction(tx, educationLevel, item) {
+    const name = (item.name || "").toLowerCase();
+    if (!name) return null;
+    const { itemLookupMap } = await this._lockInventoryRows(tx, educationLevel, [name]);
+    const match = findInventoryMatch(itemLookupMap.get(name), item.size || "N/A");
+    if (!match) return null;
+    const { inventoryItem, variantIndex } = match;
+    const stock = variantIndex !== -1 ? inventoryItem.sizeVariations[variantIndex].stock : inventoryItem.stock;
+    return Number(stock) || 0;
+  }
+
+  /**
+   * Take stock out for (or, with restock: true, put stock back from) order lines inside a
+   * transaction, with the candidate item rows and size variants locked FOR UPDATE.
+   * Used by order placement, by size exchanges (returned size back, replacement size out) and by
+   * the pre-order queue (restocked units set aside for waiting pre-orders).
+   * @param {Function} tx - postgres transaction (sql.begin callback argument)
+   * @param {string} educationLevel - Level whose items (plus "All Education Levels") are used
+   * @param {Array<Object>} items - { name, size, quantity, restock, optional }
+   *   A line no inventory row matches throws (error.missingInventoryLine) unless it is optional,
+   *   in which case it is skipped (restoring a cancelled order whose item was since removed)
+   * @returns {Promise<{ inventoryUpdates: Array<Object>, stockMovements: Array<Object> }>}
+   *   inventoryUpdates carry the matched itemId, size and unitPrice per line
+   */
+  async _moveStockInTransaction(tx, educationLevel, items) {
+    const names = [...new Set(items.map((item) => (item.name || "").toLowerCase()).filter(Boolean))];
+    if (names.length === 0) return { inventoryUpdates: [], stockMovements: [] };
+
+    const { itemLookupMap } = await this._lockInventoryRows(tx, educationLevel, names);
+
+    // Pending stock per locked row / variant; several lines may draw from the same one
+    const rowStock = new Map();
+    const touchedRows = new Set();
+    const touchedVariants = new Set();
+    const inventoryUpdates = [];
+    const stockMovements = [];
+
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      const itemSize = item.size || "N/A";
+      const match = findInventoryMatch(itemLookupMap.get((item.name || "").toLowerCase()), itemSize);
+
+      if (!match) {
+        if (item.optional) {
+          console.error(
+            `Inventory item not found: ${item.name} (Size: ${itemSize}, Education Level: ${educationLevel})`
+          );
+          continue;
+        }
+        const err = new Error(
+          `No inventory item matches line ${index + 1} (${item.name}, Size: ${itemSize}, Education Level: ${educationLevel})`
+        );
+        err.missingInventoryLine = { index, name: item.name, size: itemSize };
+        throw err;
       }
 
-      // Step 1: Create the order (auto-confirm orders when placed - student has already confirmed by placing order)
-      // This prevents the auto-void system from cancelling newly placed orders
-      if (orderData.student_confirmed_at === undefined) {
-        orderData.student_confirmed_at = new Date().toISOString();
+      const { inventoryItem, variantIndex } = match;
+      const variant = variantIndex !== -1 ? inventoryItem.sizeVariations[variantIndex] : null;
+      if (!rowStock.has(inventoryItem.id)) {
+        rowStock.set(inventoryItem.id, Number(inventoryItem.stock) || 0);
       }
-      const { data, error } = await supabase
-        .from("orders")
-        .insert([orderData])
-        .select()
-        .single();
 
-      if (error) throw error;
+      const quantity = Number(item.quantity) || 0;
+      const previousStock = variant ? Number(variant.stock) || 0 : rowStock.get(inventoryItem.id);
+      const size = variant ? variant.size : itemSize;
+      const restock = item.restock === true;
 
-      // Step 2: Automatically reduce inventory for regular orders only
-      // Pre-orders don't reduce inventory since items are already out of stock
-      const inventoryUpdates = [];
-      const items = orderData.items || [];
-      const isPreOrder = orderData.order_type === "pre-order";
+      if (!restock && quantity > previousStock) {
+        const err = new Error(
+          `Not enough stock for line ${index + 1} (${item.name}, Size: ${size}): requested ${quantity}, only ${previousStock} available. No part of the order was placed.`
+        );
+        err.outOfStockLine = {
+          index,
+          name: item.name,
+          size,
+          requested: quantity,
+          available: previousStock,
+        };
+        throw err;
+      }
 
-      if (!isPreOrder) {
-        // Only reduce inventory for regular orders
-        // Fetch items that match student's education level OR "All Education Levels" (e.g. Logo Patch, ID Lace)
-        const { data: allItems, error: itemsError } = await supabase
-          .from("items")
-          .select("*")
-          .or(`education_level.eq."${orderData.education_level}",education_level.eq."All Education Levels"`)
-          .eq("is_active", true);
-
-        if (itemsError) throw itemsError;
-
-        const itemLookupMap = new Map();
-        for (const row of allItems || []) {
-          const key = (row.name || "").toLowerCase();
-          if (!itemLookupMap.has(key)) itemLookupMap.set(key, []);
-          itemLookupMap.get(key).push(row);
-        }
+      const newStock = restock ? previousStock + quantity : previousStock - quantity;
+      if (variant) {
+        variant.stock = newStock;
+        touchedVariants.add(variant);
+        // Row stock is the sum of its variants
+        rowStock.set(
+          inventoryItem.id,
+          inventoryItem.sizeVariations.reduce((sum, v) => sum + (Number(v.stock) || 0), 0)
+        );
+      } else {
+        rowStock.set(inventoryItem.id, newStock);
+      }
+      touchedRows.add(inventoryItem);
+
+      const unitPrice = variant?.price ?? inventoryItem.price;
+      inventoryUpdates.push({
+        item: item.name,
+        itemId: inventoryItem.id,
+        size,
+        quantity: item.quantity,
+        unitPrice: unitPrice != null && unitPrice !== "" ? Number(unitPrice) : null,
+        previousStock,
+        newStock,
+        success: true,
+      });
+      stockMovements.push({
+        itemId: inventoryItem.id,
+        variantId: variant ? variant.id : null,
+        size: variant ? variant.size : inventoryItem.size || "N/A",
+        delta: restock ? quantity : -quantity,
+      });
 
-        // Process each item in the order
-        for (const item of items) {
-          try {
-            // Find inventory item by name, education level, AND size
-            // This ensures we reduce stock from the correct size variant
-            const itemSize = item.size || "N/A";
+      if (!isProduction) {
+        console.log(
+          `Inventory ${restock ? "restocked" : "reserved"}: ${item.name} (Size: ${size}) from ${previousStock} to ${newStock} (${restock ? "returned" : "ordered"}: ${quantity})`
+        );
+      }
+    }
+
+    for (const variant of touchedVariants) {
+      await tx`
+        UPDATE item_variants
+        SET stock = ${variant.stock}, updated_at = NOW()
+        WHERE id = ${variant.id}
+      `;
+    }
+    // Row stock of an item with size variants is the sum of its variants
+    for (const row of touchedRows) {
+      await tx`UPDATE items SET stock = ${rowStock.get(row.id)} WHERE id = ${row.id}`;
+    }
 
-            // Use pre-fetched items from batch lookup
-            const potentialItems = itemLookupMap.get(item.name.toLowerCase()) || [];
+    return { inventoryUpdates, stockMovements };
+  }
 
-            if (!potentialItems || potentialItems.length === 0) {
-              console.error(
-                `Inventory item not found: ${item.name} (Education Level: ${orderData.education_level})`
-              );
-              continue;
-            }
+  /**
+   * Create new order
+   * @param {Object} orderData - Order data
+   * @returns {Promise<Object>} - Created order
+   */
+  async createOrder(orderData, io = null) {
+    try {
+      // Validate required fields
+      const requiredFields = [
+        "order_number",
+        "student_name",
+        "student_email",
+        "education_level",
+        "items",
+        "total_amount",
+      ];
 
-            let inventoryItem = null;
-            let isJsonVariant = false;
-            let variantIndex = -1;
-
-            // Check if any of the potential items match the size via JSON variants or direct column
-            for (const pItem of potentialItems || []) {
-              // Check 1: Is it a JSON variant item?
-              if (pItem.note) {
-                try {
-                  const parsedNote = JSON.parse(pItem.note);
-                  if (parsedNote && parsedNote._type === 'sizeVariations' && Array.isArray(parsedNote.sizeVariations)) {
-                     // Find matching variant
-                     const vIndex = parsedNote.sizeVariations.findIndex(v => {
-                       // Flexible matching: check perfect match or abbreviation match
-                        const vSize = v.size || "";
-                        if (vSize === itemSize) return true;
-                        return vSize.includes(itemSize) || itemSize.includes(vSize);
-                     });
-                     
-                     if (vIndex !== -1) {
-                       inventoryItem = pItem;
-                       isJsonVariant = true;
-                       variantIndex = vIndex;
-                       break; // Found it
-                     }
-                  }
-                } catch (e) {
-                  // Not JSON
-                }
-              }
-              
-              // Check 2: Direct size match (legacy/standard row)
-              if (!isJsonVariant) {
-                 const dbSize = pItem.size || "N/A";
-                 if (dbSize === itemSize || (itemSize === "N/A" && (!pItem.size || pItem.size === "N/A"))) {
-                   inventoryItem = pItem;
-                   break;
-                 }
-              }
-            }
+      for (const field of requiredFields) {
+        if (!orderData[field] && orderData[field] !== 0) {
+          throw new Error(`Missing required field: ${field}`);
+        }
+      }
 
-            if (!inventoryItem) {
-              console.error(
-                `Inventory item not found: ${item.name} (Size: ${itemSize}, Education Level: ${orderData.education_level})`
-              );
-              continue;
-            }
+      // Set default order_type if not provided (for backward compatibility)
+      if (!orderData.order_type) {
+        orderData.order_type = "regular";
+      }
 
-            if (!isProduction) {
-              console.log(
-                `Found inventory item: ${item.name} (Size: ${itemSize}, Stock: ${inventoryItem.stock}, JSON: ${isJsonVariant})`
-              );
-            }
+      // Validate items array
+      if (!Array.isArray(orderData.items) || orderData.items.length === 0) {
+        throw new Error("Order must contain at least one item");
+      }
 
-            let newStock = 0; // Total new stock for the row
-            let previousStock = 0; // Previous stock for the specific variant
-            
-            if (isJsonVariant) {
-               // Handle JSON Variant Update
-               const parsedNote = JSON.parse(inventoryItem.note);
-               const variant = parsedNote.sizeVariations[variantIndex];
-               previousStock = Number(variant.stock) || 0;
-               
-               // Deduct from variant
-               const newVariantStock = Math.max(0, previousStock - item.quantity);
-               parsedNote.sizeVariations[variantIndex].stock = newVariantStock;
-               
-               // Recalculate total stock for the row
-               newStock = parsedNote.sizeVariations.reduce((sum, v) => sum + (Number(v.stock) || 0), 0);
-               
-               // Update DB
-               const { data: updatedItem, error: updateError } = await supabase
-                .from("items")
-                .update({ 
-                  stock: newStock,
-                  note: JSON.stringify(parsedNote)
-                })
-                .eq("id", inventoryItem.id)
-                .select()
-                .single();
-                
-               if (updateError) {
-                  throw updateError;
-               }
-               
-               if (!isProduction) {
-                 console.log(`Updated JSON variant inventory for ${item.name} size ${variant.size}: ${previousStock} -> ${newVariantStock}. Total row stock: ${newStock}`);
-               }
-               
-               inventoryUpdates.push({
-                item: item.name,
-                size: variant.size,
-                quantity: item.quantity,
-                previousStock: previousStock,
-                newStock: newVariantStock,
-                success: true,
-              });
+      // Always generate QR code data server-side so the receipt carries a valid signature
+      // (client-supplied qr_code_data is ignored)
+      orderData.qr_code_data = generateOrderReceiptQRData({
+        orderNumber: orderData.order_number,
+        studentId: orderData.student_id,
+        studentName: orderData.student_name,
+        studentEmail: orderData.student_email,
+        items: orderData.items,
+        educationLevel: orderData.education_level,
+        totalAmount: orderData.total_amount,
+        orderDate: new Date().toISOString(),
+        status: orderData.status || "pending",
+      });
 
-            } else {
-              // Handle Standard Row Update
-               previousStock = inventoryItem.stock;
-               newStock = Math.max(0, inventoryItem.stock - item.quantity);
-
-              // Update inventory stock
-              const { data: updatedItem, error: updateError } = await supabase
-                .from("items")
-                .update({ stock: newStock })
-                .eq("id", inventoryItem.id)
-                .select()
-                .single();
-
-              if (updateError) {
-                console.error(
-                  `Failed to update inventory for ${item.name}:`,
-                  updateError
-                );
-                continue;
-              }
+      // Every line starts unreleased; claims update fulfillment_status/released_quantity per line
+      orderData.items = orderData.items.map((item) => ({
+        ...item,
+        fulfillment_status: LINE_STATUS.PENDING,
+        released_quantity: 0,
+      }));
 
-              inventoryUpdates.push({
-                item: item.name,
-                size: itemSize,
-                quantity: item.quantity,
-                previousStock: previousStock,
-                newStock: newStock,
-                success: true,
-              });
+      // Auto-confirm orders when placed - student has already confirmed by placing order.
+      // This prevents the auto-void system from cancelling newly placed orders
+      if (orderData.student_confirmed_at === undefined) {
+        orderData.student_confirmed_at = new Date().toISOString();
+      }
 
-              if (!isProduction) {
-                console.log(
-                  `Inventory reduced: ${item.name} (Size: ${itemSize}) from ${previousStock} to ${newStock} (ordered: ${item.quantity})`
-                );
-              }
+      const items = orderData.items || [];
+      const isPreOrder = orderData.order_type === "pre-order";
+      const studentLockKey = String(orderData.student_id || orderData.student_email || "")
+        .trim()
+        .toLowerCase();
+
+      // Limit checks, stock reservation and the order insert run as one transaction:
+      // either all of it is written or none of it is.
+      const { orderId, inventoryUpdates } = await sql.begin(async (tx) => {
+        // Serialize placements by the same student so two requests can't both pass the limit checks
+        if (studentLockKey) {
+          await tx`SELECT pg_advisory_xact_lock(hashtext(${`order-placement:${studentLockKey}`}))`;
+        }
+        await this._enforceStudentOrderLimits(orderData);
+
+        // Pre-orders don't reduce inventory since items are already out of stock
+        const reservation = isPreOrder
+          ? {
+              inventoryUpdates: [{ message: "Pre-order - inventory not reduced", orderType: "pre-order" }],
+              stockMovements: [],
             }
+          : await this._reserveStockForOrder(tx, orderData);
+
+        const [created] = await tx`
+          INSERT INTO orders ${tx(toSqlRow(tx, orderData))}
+          RETURNING id
+        `;
+
+        await StockLedgerService.recordMovements(
+          reservation.stockMovements.map((movement) => ({
+            ...movement,
+            reasonCode: StockLedgerService.REASON_CODES.ORDER_PLACED,
+            orderId: created.id,
+            orderNumber: orderData.order_number,
+            actorId: orderData.student_id,
+            actorEmail: orderData.student_email,
+          })),
+          tx
+        );
+        return { orderId: created.id, inventoryUpdates: reservation.inventoryUpdates };
+      });
 
-          } catch (itemError) {
-            console.error(`Error processing item ${item.name}:`, itemError);
-            inventoryUpdates.push({
-              item: item.name,
-              quantity: item.quantity,
-              success: false,
-              error: itemError.message,
-            });
-          }
-        }
-      } else {
-        if (!isProduction) {
-          console.log("Pre-order detected - skipping inventory reduction");
-        }
-        inventoryUpdates.push({
-          message: "Pre-order - inventory not reduced",
-          orderType: "pre-order",
-        });
-      }
+      const { data, error } = await supabase
+        .from("orders")
+        .select("*")
+        .eq("id", orderId)
+        .single();
+
+      if (error) throw error;
 
       // Log transaction for order creation
       try {
@@ -1079,6 +1310,11 @@ class OrderService {
         }
       }
 
+      // Email is sent in the background; notifyOrderEvent never throws
+      OrderEmailService.notifyOrderEvent(OrderEmailService.EVENTS.PLACED, data, {
+        claimDeadline: isPreOrder ? null : await this.getClaimDeadline(data),
+      });
+
       return {
         success: true,
         data,
@@ -1093,132 +1329,41 @@ class OrderService {
 
   /**
    * Restore inventory for a cancelled order (add quantities back to items table).
-   * Only runs for regular orders; pre-orders did not reduce inventory.
+   * Lines already released to the student are not restored. Pre-orders only reduced inventory
+   * by the units the restock queue set aside for them (allocated_quantity), so only those go back.
+   * Runs in one transaction under the same row locks as order placement, so a concurrent order
+   * or restock can't overwrite the restored stock. Lines whose item no longer exists are skipped.
    * @param {Object} order - Order with items, education_level, order_type
    * @returns {Promise<void>}
    */
   async restoreInventoryForOrder(order) {
-    if (!order || order.order_type === "pre-order") return;
-
-    const items = parseOrderItemsField(order.items);
-    if (items.length === 0) return;
-
-    // Include items for student's level OR "All Education Levels" (e.g. Logo Patch)
-    const { data: allItems, error: itemsError } = await supabase
-      .from("items")
-      .select("*")
-      .or(`education_level.eq."${order.education_level}",education_level.eq."All Education Levels"`)
-      .eq("is_active", true);
-
-    if (itemsError) {
-      console.error("restoreInventoryForOrder: failed to fetch items", itemsError);
-      return;
-    }
-
-    const itemLookupMap = new Map();
-    for (const row of allItems || []) {
-      const key = (row.name || "").toLowerCase();
-      if (!itemLookupMap.has(key)) itemLookupMap.set(key, []);
-      itemLookupMap.get(key).push(row);
-    }
-
-    for (const item of items) {
-      try {
-        const itemSize = item.size || "N/A";
-        const potentialItems = itemLookupMap.get((item.name || "").toLowerCase()) || [];
-
-        if (!potentialItems.length) {
-          console.error(
-            `restoreInventoryForOrder: item not found ${item.name} (Education Level: ${order.education_level})`
-          );
-          continue;
-        }
-
-        let inventoryItem = null;
-        let isJsonVariant = false;
-        let variantIndex = -1;
-
-        for (const pItem of potentialItems) {
-          if (pItem.note) {
-            try {
-              const parsedNote = JSON.parse(pItem.note);
-              if (parsedNote && parsedNote._type === "sizeVariations" && Array.isArray(parsedNote.sizeVariations)) {
-                const vIndex = parsedNote.sizeVariations.findIndex((v) => {
-                  const vSize = v.size || "";
-                  if (vSize === itemSize) return true;
-                  return vSize.includes(itemSize) || itemSize.includes(vSize);
-                });
-                if (vIndex !== -1) {
-                  inventoryItem = pItem;
-                  isJsonVariant = true;
-                  variantIndex = vIndex;
-                  break;
-                }
-              }
-            } catch (e) {
-              // Not JSON
-            }
-          }
-          if (!inventoryItem) {
-            const dbSize = pItem.size || "N/A";
-            if (dbSize === itemSize || (itemSize === "N/A" && (!pItem.size || pItem.size === "N/A"))) {
-              inventoryItem = pItem;
-              break;
-            }
-          }
-        }
-
-        if (!inventoryItem) {
-          console.error(
-            `restoreInventoryForOrder: item not found ${item.name} (Size: ${itemSize}, Education Level: ${order.education_level})`
-          );
-          continue;
-        }
-
-        const quantity = Number(item.quantity) || 0;
-        if (quantity <= 0) continue;
-
-        if (isJsonVariant) {
-          const parsedNote = JSON.parse(inventoryItem.note);
-          const variant = parsedNote.sizeVariations[variantIndex];
-          const previousStock = Number(variant.stock) || 0;
-          const newVariantStock = previousStock + quantity;
-          parsedNote.sizeVariations[variantIndex].stock = newVariantStock;
-          const newStock = parsedNote.sizeVariations.reduce((sum, v) => sum + (Number(v.stock) || 0), 0);
-
-          const { error: updateError } = await supabase
-            .from("items")
-            .update({ stock: newStock, note: JSON.stringify(parsedNote) })
-            .eq("id", inventoryItem.id);
-
-          if (updateError) {
-            console.error(`restoreInventoryForOrder: failed to update ${item.name} (JSON variant):`, updateError);
-          } else if (!isProduction) {
-            console.log(
-              `Restored inventory: ${item.name} size ${variant.size} +${quantity} (${previousStock} -> ${newVariantStock})`
-            );
-          }
-        } else {
-          const previousStock = inventoryItem.stock;
-          const newStock = previousStock + quantity;
-
-          const { error: updateError } = await supabase
-            .from("items")
-            .update({ stock: newStock })
-            .eq("id", inventoryItem.id);
-
-          if (updateError) {
-            console.error(`restoreInventoryForOrder: failed to update ${item.name}:`, updateError);
-          } else if (!isProduction) {
-            console.log(
-              `Restored inventory: ${item.name} (Size: ${itemSize}) +${quantity} (${previousStock} -> ${newStock})`
-            );
-          }
-        }
-      } catch (itemError) {
-        console.error(`restoreInventoryForOrder: error processing item ${item.name}:`, itemError);
-      }
+    if (!order) return;
+    const isPreOrder = order.order_type === "pre-order";
+
+    const lines = [];
+    for (const item of parseOrderItemsField(order.items)) {
+      // Released units left the stockroom with the student; voided lines were restored already
+      if (item.fulfillment_status === LINE_STATUS.VOIDED) continue;
+      const quantity = isPreOrder
+        ? Number(item.allocated_quantity) || 0
+        : (Number(item.quantity) || 0) - getReleasedQuantity(item);
+      if (quantity <= 0) continue;
+      lines.push({ name: item.name, size: item.size || "N/A", quantity, restock: true, optional: true });
     }
+    if (lines.length === 0) return;
+
+    await sql.begin(async (tx) => {
+      const movement = await this._moveStockInTransaction(tx, order.education_level, lines);
+      await StockLedgerService.recordMovements(
+        movement.stockMovements.map((stockMovement) => ({
+          ...stockMovement,
+          reasonCode: StockLedgerService.REASON_CODES.ORDER_RESTOCK,
+          orderId: order.id,
+          orderNumber: order.order_number,
+        })),
+        tx
+      );
+    });
   }
 
   /**
@@ -1227,9 +1372,10 @@ class OrderService {
    * @param {string} status - New status
    * @param {string} [optionalNote] - Optional note (e.g. for auto-void reason when status is 'cancelled')
    * @param {Object} [io] - Socket.IO instance (for emitting student:permissions:updated on cancel)
+   * @param {Object} [options] - { sendEmail: false } to skip the student email (e.g. auto-void sends its own)
    * @returns {Promise<Object>} - Updated order
    */
-  async updateOrderStatus(id, status, optionalNote, io = null) {
+  async updateOrderStatus(id, status, optionalNote, io = null, options = {}) {
     try {
       const updates = {
         status,
@@ -1250,11 +1396,25 @@ class OrderService {
       // Get order before update to capture previous status
       const { data: orderBeforeUpdate } = await supabase
         .from("orders")
-        .select("status, order_number, student_id, student_name")
+        .select("status, order_number, student_id, student_name, items")
         .eq("id", id)
         .eq("is_active", true)
         .single();
 
+      // Claiming the whole order hands over every line that is still open
+      if (status === "claimed" && orderBeforeUpdate) {
+        updates.items = parseOrderItemsField(orderBeforeUpdate.items).map((item) =>
+          item.fulfillment_status === LINE_STATUS.VOIDED
+            ? item
+            : {
+                ...item,
+                fulfillment_status: LINE_STATUS.RELEASED,
+                released_quantity: Number(item.quantity) || 0,
+                released_at: item.released_at || updates.claimed_date,
+              }
+        );
+      }
+
       const { data, error } = await supabase
         .from("orders")
         .update(updates)
@@ -1266,7 +1426,7 @@ class OrderService {
       if (error) throw error;
       if (!data) throw new Error("Order not found");
 
-      // When order is cancelled, restore inventory (regular orders only)
+      // When order is cancelled, restore inventory (for pre-orders, the units set aside for them)
       if (status === "cancelled") {
         try {
           const { data: fullOrder } = await supabase
@@ -1332,7 +1492,18 @@ class OrderService {
         console.error("Failed to log transaction for order status update:", txError);
       }
 
-      return {
+      const statusEmailEvents = {
+        ready: OrderEmailService.EVENTS.READY,
+        claimed: OrderEmailService.EVENTS.CLAIMED,
+        cancelled: OrderEmailService.EVENTS.CANCELLED,
+      };
+      if (options.sendEmail !== false && statusEmailEvents[status] && orderBeforeUpdate?.status !== status) {
+        OrderEmailService.notifyOrderEvent(statusEmailEvents[status], data, {
+          claimDeadline: status === "ready" ? await this.getClaimDeadline(data) : null,
+        });
+      }
+
+      return {
         success: true,
         data,
         message: "Order status updated successfully",
@@ -1343,6 +1514,197 @@ class OrderService {
     }
   }
 
+  /**
+   * Build the claim checklist for a scanned receipt QR
+   * Verifies the QR, then lists every order line with what is still left to hand over.
+   * @param {string|Object} qrData - Scanned QR payload
+   * @returns {Promise<Object>} - { success, valid, reason?, data: { order, qr, lines } }
+   */
+  async getClaimChecklist(qrData) {
+    try {
+      const verification = await this.verifyOrderReceiptQR(qrData);
+      if (!verification.valid) {
+        return { ...verification, data: { ...verification.data, lines: [] } };
+      }
+
+      const { order } = verification.data;
+      if (order.order_type === "pre-order") {
+        return {
+          success: true,
+          valid: false,
+          reason: "Pre-orders must be converted before they can be released",
+          data: { ...verification.data, lines: [] },
+        };
+      }
+
+      const lines = parseOrderItemsField(order.items).map((item, index) => {
+        const quantity = Number(item.quantity) || 0;
+        const releasedQuantity = getReleasedQuantity(item, order.status);
+        return {
+          index,
+          name: item.name,
+          size: item.size || "N/A",
+          quantity,
+          fulfillment_status: item.fulfillment_status || LINE_STATUS.PENDING,
+          released_quantity: releasedQuantity,
+          remaining_quantity: getUnreleasedQuantity(item, order.status),
+        };
+      });
+
+      return {
+        success: true,
+        valid: true,
+        data: { ...verification.data, lines },
+      };
+    } catch (error) {
+      console.error("Get claim checklist error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release the confirmed lines of a scanned order to the student
+   * Lines not confirmed (e.g. a size that is missing on the shelf) stay on the order so they
+   * can be released on a later scan. The order becomes "claimed" once every line is released.
+   * @param {string|Object} qrData - Scanned QR payload
+   * @param {Array<{ index: number, quantity: number }>} confirmedLines - Lines the custodian handed over
+   * @param {Object} staff - Releasing staff member { id, name, email }
+   * @returns {Promise<Object>} - { success, data, releasedLines, fullyClaimed, message }
+   */
+  async releaseOrderFromScan(qrData, confirmedLines, staff) {
+    try {
+      const verification = await this.verifyOrderReceiptQR(qrData);
+      if (!verification.valid) {
+        throw new Error(verification.reason);
+      }
+
+      const { order } = verification.data;
+      if (order.order_type === "pre-order") {
+        throw new Error("Pre-orders must be converted before they can be released");
+      }
+      if (!Array.isArray(confirmedLines) || confirmedLines.length === 0) {
+        throw new Error("At least one confirmed line is required");
+      }
+
+      const verifiedQr = verification.data.qr;
+      const releasedAt = new Date().toISOString();
+
+      // Lock the order so two scans of the same receipt can't both release a line
+      const { previousStatus, releasedLines, backorderedLines, fullyClaimed } = await sql.begin(
+        async (tx) => {
+          const [locked] = await tx`
+            SELECT id, status, items, qr_code_data
+            FROM orders
+            WHERE id = ${order.id} AND is_active = true
+            FOR UPDATE
+          `;
+          if (!locked) throw new Error("Order not found");
+
+          const lockedStatus = String(locked.status || "").toLowerCase();
+          if (lockedStatus === "claimed" || lockedStatus === "completed") {
+            throw new Error("Order has already been claimed");
+          }
+          if (lockedStatus === "cancelled") {
+            throw new Error("Order has been cancelled");
+          }
+          const current = verifyOrderReceiptQRData(locked.qr_code_data);
+          if (!current.data || current.data.qrIssuedAt !== verifiedQr.qrIssuedAt) {
+            throw new Error("QR code has been replaced by a newer receipt");
+          }
+
+          const release = applyLineRelease(
+            parseOrderItemsField(locked.items),
+            confirmedLines,
+            staff,
+            releasedAt,
+          );
+          const newStatus = deriveOrderStatusFromLines(release.items, locked.status);
+          const claimed = newStatus === "claimed";
+
+          await tx`
+            UPDATE orders
+            SET items = ${tx.json(release.items)},
+                status = ${newStatus},
+                updated_at = ${releasedAt}
+                ${claimed ? tx`, claimed_date = ${releasedAt}` : tx``}
+            WHERE id = ${locked.id}
+          `;
+
+          return {
+            previousStatus: locked.status,
+            releasedLines: release.releasedLines,
+            backorderedLines: release.backorderedLines,
+            fullyClaimed: claimed,
+          };
+        },
+      );
+
+      const { data, error } = await supabase
+        .from("orders")
+        .select("*, items")
+        .eq("id", order.id)
+        .single();
+
+      if (error) throw error;
+      if (!data) throw new Error("Order not found");
+
+      if (releasedLines.length > 0 && data.student_id) {
+        try {
+          await this.checkAndDisablePermissionsOnClaim(data);
+        } catch (permErr) {
+          console.error("Failed to check and disable permissions on claim:", permErr);
+        }
+      }
+
+      // Log the release against the staff member who handed the items over
+      try {
+        const TransactionService = require("../../services/transaction.service");
+        const releasedSummary = releasedLines
+          .map((line) => `${line.name} (${line.size}) x${line.quantity}`)
+          .join(", ");
+        await TransactionService.logTransaction(
+          "Order",
+          fullyClaimed ? "ORDER CLAIMED" : "ORDER PARTIALLY CLAIMED",
+          staff?.id || null,
+          `Order #${data.order_number} ${fullyClaimed ? "claimed" : "partially claimed"}${data.student_name ? ` by ${data.student_name}` : ""}: ${releasedSummary || "no items released"}${backorderedLines.length > 0 ? ` (backordered: ${backorderedLines.map((line) => `${line.name} (${line.size})`).join(", ")})` : ""}`,
+          {
+            order_id: data.id,
+            order_number: data.order_number,
+            previous_status: previousStatus,
+            new_status: data.status,
+            student_id: data.student_id,
+            student_name: data.student_name,
+            released_items: releasedLines,
+            backordered_items: backorderedLines,
+            released_by: staff?.id || null,
+            released_by_name: staff?.name || null,
+          },
+          staff?.email || null
+        );
+      } catch (txError) {
+        console.error("Failed to log transaction for order release:", txError);
+      }
+
+      if (fullyClaimed) {
+        OrderEmailService.notifyOrderEvent(OrderEmailService.EVENTS.CLAIMED, data);
+      }
+
+      return {
+        success: true,
+        data,
+        releasedLines,
+        backorderedLines,
+        fullyClaimed,
+        message: fullyClaimed
+          ? "Order released and marked as claimed"
+          : "Items released; remaining items are still pending",
+      };
+    } catch (error) {
+      console.error("Release order from scan error:", error);
+      throw error;
+    }
+  }
+
   /**
    * Disable permissions for items when order is placed
    * This automatically unchecks eligible items in system admin when student places an order
@@ -1484,10 +1846,10 @@ class OrderService {
       // Get all claimed orders for this student to calculate total claimed quantities
       const { data: claimedOrders, error: claimedErr } = await supabase
         .from("orders")
-        .select("items")
+        .select("items, status")
         .eq("student_id", order.student_id)
         .eq("is_active", true)
-        .in("status", ["claimed", "completed"]);
+        .in("status", RELEASED_ORDER_STATUSES);
 
       if (claimedErr) {
         console.error("Error fetching claimed orders for permission check:", claimedErr);
@@ -1510,13 +1872,16 @@ class OrderService {
           }
           if (key && typeof key === "string" && key.toLowerCase().includes("logo patch")) key = "logo patch";
           if (!key) continue;
-          claimedQuantities[key] = (claimedQuantities[key] || 0) + (Number(item.quantity) || 0);
+          claimedQuantities[key] =
+            (claimedQuantities[key] || 0) + getReleasedQuantity(item, claimedOrder.status);
         }
       }
 
       // Check each item in the order and disable if appropriate
+      // Only lines actually handed over count; pending/backordered lines stay orderable
       const itemsToDisable = [];
       for (const item of parsedItems) {
+        if (getReleasedQuantity(item, order.status) <= 0) continue;
         const rawName = (item.name || "").trim();
         let key = resolveItemKey(rawName);
         if (!key && rawName) {
@@ -1613,10 +1978,10 @@ class OrderService {
       // Get all claimed orders for this student to calculate total claimed quantities
       const { data: claimedOrders, error: claimedErr } = await supabase
         .from("orders")
-        .select("items")
+        .select("items, status")
         .eq("student_id", order.student_id)
         .eq("is_active", true)
-        .in("status", ["claimed", "completed"]);
+        .in("status", RELEASED_ORDER_STATUSES);
 
       if (claimedErr) {
         console.error("Error fetching claimed orders for permission re-enable:", claimedErr);
@@ -1637,17 +2002,18 @@ class OrderService {
           }
           if (key && typeof key === "string" && key.toLowerCase().includes("logo patch")) key = "logo patch";
           if (!key) continue;
-          claimedQuantities[key] = (claimedQuantities[key] || 0) + (Number(item.quantity) || 0);
+          claimedQuantities[key] =
+            (claimedQuantities[key] || 0) + getReleasedQuantity(item, claimedOrder.status);
         }
       }
 
       // Get all placed orders (pending/processing) to check if there are other orders for these items
       const { data: placedOrders } = await supabase
         .from("orders")
-        .select("id, items")
+        .select("id, items, status")
         .eq("student_id", order.student_id)
         .eq("is_active", true)
-        .in("status", ["pending", "paid", "processing", "ready", "payment_pending"]);
+        .in("status", CLAIMABLE_STATUSES);
 
       // Calculate quantities in other placed orders (excluding the cancelled one)
       const placedQuantities = {};
@@ -1666,7 +2032,8 @@ class OrderService {
           }
           if (key && typeof key === "string" && key.toLowerCase().includes("logo patch")) key = "logo patch";
           if (!key) continue;
-          placedQuantities[key] = (placedQuantities[key] || 0) + (Number(item.quantity) || 0);
+          placedQuantities[key] =
+            (placedQuantities[key] || 0) + getUnreleasedQuantity(item, placedOrder.status);
         }
       }
 
@@ -1810,6 +2177,7 @@ class OrderService {
   /**
    * Increment student's unclaimed void count (strike). After 3 strikes, set max_items_per_order to 0 (block).
    * Only called from void-unclaimed code paths. Does not run on manual/admin cancel.
+   * Each strike is also recorded in student_void_strikes so the student can appeal it.
    * @param {Object} order - Order with student_id and/or student_email
    * @returns {Promise<void>}
    */
@@ -1831,7 +2199,7 @@ class OrderService {
 
       const { data: row, error: fetchErr } = await supabase
         .from(table)
-        .select("unclaimed_void_count")
+        .select("unclaimed_void_count, total_item_limit")
         .eq("id", targetId)
         .single();
       if (fetchErr) {
@@ -1848,46 +2216,333 @@ class OrderService {
         updatePayload.total_item_limit = 0;
       }
       const { error } = await supabase.from(table).update(updatePayload).eq("id", targetId);
-      if (error) console.error("incrementVoidStrikeAndBlockIfNeeded: update failed", error);
+      if (error) {
+        console.error("incrementVoidStrikeAndBlockIfNeeded: update failed", error);
+        return;
+      }
+
+      // Strike history for appeals: which order caused it and the limit to restore
+      const limitBefore = row?.total_item_limit ?? null;
+      await recordStrike({
+        studentId: targetId,
+        order,
+        strikeNumber: newCount,
+        limitBefore,
+        causedBlock: newCount >= strikesBeforeBlock && limitBefore !== 0,
+      });
     } catch (err) {
       console.error("incrementVoidStrikeAndBlockIfNeeded:", err);
     }
   }
 
   /**
-   * Get the date that is N weekdays (Mon–Fri) before a given date. Saturday/Sunday are not counted.
+   * Whether a date counts toward the claim window: Mon–Fri and not on the non-working days calendar
+   * @param {Date} date
+   * @param {Set<string>} [nonWorkingDays] - "YYYY-MM-DD" dates from getNonWorkingDateSet
+   * @returns {boolean}
+   */
+  _isWorkingDay(date, nonWorkingDays = null) {
+    const day = date.getDay();
+    if (day < 1 || day > 5) return false;
+    return !(nonWorkingDays && nonWorkingDays.has(toDateOnly(date)));
+  }
+
+  /**
+   * Get the date that is N weekdays (Mon–Fri) before a given date. Saturday/Sunday are not counted,
+   * nor are dates in nonWorkingDays (school holidays, exam weeks, office closures).
    * @param {Date} fromDate - Reference date (e.g. today)
    * @param {number} weekdays - Number of weekdays to go back
+   * @param {Set<string>} [nonWorkingDays] - "YYYY-MM-DD" dates to skip
    * @returns {Date} Start of day that is N weekdays before fromDate
    */
-  _dateSubtractWeekdays(fromDate, weekdays) {
+  _dateSubtractWeekdays(fromDate, weekdays, nonWorkingDays = null) {
     const d = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
     let remaining = weekdays;
     while (remaining > 0) {
       d.setDate(d.getDate() - 1);
-      const day = d.getDay();
-      if (day >= 1 && day <= 5) remaining--;
+      if (this._isWorkingDay(d, nonWorkingDays)) remaining--;
     }
     return d;
   }
 
   /**
-   * Void unclaimed orders older than the given number of **weekdays** (Mon–Fri only).
+   * Get the date that is N weekdays (Mon–Fri) after a given date. Saturday/Sunday are not counted,
+   * nor are dates in nonWorkingDays.
+   * @param {Date} fromDate - Reference date (e.g. order date)
+   * @param {number} weekdays - Number of weekdays to go forward
+   * @param {Set<string>} [nonWorkingDays] - "YYYY-MM-DD" dates to skip
+   * @returns {Date} Start of day that is N weekdays after fromDate
+   */
+  _dateAddWeekdays(fromDate, weekdays, nonWorkingDays = null) {
+    const d = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+    let remaining = weekdays;
+    while (remaining > 0) {
+      d.setDate(d.getDate() + 1);
+      if (this._isWorkingDay(d, nonWorkingDays)) remaining--;
+    }
+    return d;
+  }
+
+  /**
+   * Last day an order can be claimed before the auto-void job cancels it
+   * (VOID_UNCLAIMED_AFTER_DAYS working days after the order date, end of that day).
+   * @param {Object} order - Order with created_at
+   * @param {Set<string>} [nonWorkingDays] - Preloaded calendar (loaded when omitted)
+   * @returns {Promise<Date|null>}
+   */
+  async getClaimDeadline(order, nonWorkingDays = null) {
+    if (!order?.created_at) return null;
+    const calendar = nonWorkingDays || (await getNonWorkingDateSet());
+    const days = parseInt(process.env.VOID_UNCLAIMED_AFTER_DAYS, 10) || 7;
+    const deadline = this._dateAddWeekdays(new Date(order.created_at), days, calendar);
+    deadline.setHours(23, 59, 59, 999);
+    return deadline;
+  }
+
+  /**
+   * Add the computed claim_deadline to orders that can still be claimed (null otherwise)
+   * @param {Array<Object>} orders - Order rows
+   * @returns {Promise<Array<Object>>}
+   */
+  async _withClaimDeadlines(orders) {
+    if (!orders || orders.length === 0) return orders;
+    let calendar;
+    try {
+      calendar = await getNonWorkingDateSet();
+    } catch (calendarError) {
+      console.error("Failed to load non-working days for claim deadlines:", calendarError);
+      calendar = new Set();
+    }
+    return Promise.all(
+      orders.map(async (order) => {
+        if (!order || !CLAIMABLE_STATUSES.includes(order.status)) {
+          return order ? { ...order, claim_deadline: null } : order;
+        }
+        const deadline = await this.getClaimDeadline(order, calendar);
+        return { ...order, claim_deadline: deadline ? deadline.toISOString() : null };
+      })
+    );
+  }
+
+  /**
+   * Make sure an order carries a stored receipt QR before it is printed.
+   * Orders placed before every order got a signed QR have none; one is signed and stored
+   * here so the printed receipt matches what verify-qr compares against at the counter.
+   * @param {Object} order - orders row
+   * @returns {Promise<Object>} The order with qr_code_data set
+   */
+  async ensureReceiptQR(order) {
+    if (!order || order.qr_code_data) return order;
+
+    const qrCodeData = generateOrderReceiptQRData({
+      orderNumber: order.order_number,
+      studentId: order.student_id,
+      studentName: order.student_name,
+      studentEmail: order.student_email,
+      items: parseOrderItemsField(order.items),
+      educationLevel: order.education_level,
+      totalAmount: order.total_amount,
+      orderDate: order.created_at,
+      status: order.status,
+    });
+    // COALESCE keeps the QR a concurrent print stored first
+    const [row] = await sql`
+      UPDATE orders
+      SET qr_code_data = COALESCE(qr_code_data, ${qrCodeData})
+      WHERE id = ${order.id}
+      RETURNING qr_code_data
+    `;
+    if (!row) throw new Error("Order not found");
+    return { ...order, qr_code_data: row.qr_code_data };
+  }
+
+  /**
+   * Orders waiting at the counter (status "ready"), oldest first, for printing claim slips
+   * @param {Object} filters - { education_level }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getReadyOrders(filters = {}) {
+    try {
+      let query = supabase
+        .from("orders")
+        .select("*")
+        .eq("is_active", true)
+        .eq("status", "ready")
+        .order("created_at", { ascending: true });
+      if (filters.education_level) {
+        query = query.eq("education_level", filters.education_level);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return { success: true, data: await this._withClaimDeadlines(data || []) };
+    } catch (error) {
+      console.error("Get ready orders error:", error);
+      throw new Error(`Failed to fetch ready orders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Void only the unreleased remainder of a partially claimed order.
+   * Restores inventory for the lines still waiting, marks them "voided" and closes the
+   * order as claimed so the items the student already received stay on record.
+   * @param {string} id - Order ID
+   * @param {string} [note] - Reason stored on the order
+   * @returns {Promise<Object>} - Updated order
+   */
+  async voidUnreleasedRemainder(id, note) {
+    try {
+      // Read, restock and update under the order lock, so a release at the counter can't
+      // hand over a line that is being voided (or the other way round)
+      const { order, data, remainderLines } = await sql.begin(async (tx) => {
+        const [order] = await tx`
+          SELECT * FROM orders
+          WHERE id = ${id} AND is_active = true
+          FOR UPDATE
+        `;
+        if (!order) throw new Error("Order not found");
+
+        const items = parseOrderItemsField(order.items);
+        const remainderLines = items.filter((item) => getUnreleasedQuantity(item, order.status) > 0);
+        if (remainderLines.length === 0) return { order, data: order, remainderLines };
+
+        const movement = await this._moveStockInTransaction(
+          tx,
+          order.education_level,
+          remainderLines.map((item) => ({
+            name: item.name,
+            size: item.size || "N/A",
+            quantity: getUnreleasedQuantity(item, order.status),
+            restock: true,
+            optional: true,
+          }))
+        );
+        await StockLedgerService.recordMovements(
+          movement.stockMovements.map((stockMovement) => ({
+            ...stockMovement,
+            reasonCode: StockLedgerService.REASON_CODES.ORDER_RESTOCK,
+            orderId: order.id,
+            orderNumber: order.order_number,
+          })),
+          tx
+        );
+
+        const voidedItems = items.map((item) => {
+          const unreleased = getUnreleasedQuantity(item, order.status);
+          if (unreleased <= 0) return item;
+          return {
+            ...item,
+            fulfillment_status: LINE_STATUS.VOIDED,
+            voided_quantity: unreleased,
+          };
+        });
+        const now = new Date().toISOString();
+        const status = deriveOrderStatusFromLines(voidedItems, "cancelled");
+        const [data] = await tx`
+          UPDATE orders
+          SET items = ${tx.json(voidedItems)},
+              status = ${status},
+              updated_at = ${now}
+              ${status === "claimed" ? tx`, claimed_date = ${now}` : tx``}
+              ${note ? tx`, notes = ${note}` : tx``}
+          WHERE id = ${order.id}
+          RETURNING *
+        `;
+        return { order, data, remainderLines };
+      });
+      if (remainderLines.length === 0) {
+        return { success: true, data, message: "Nothing left to void" };
+      }
+
+      if (data.student_id) {
+        try {
+          await this.reEnablePermissionsOnOrderCancellation({
+            ...data,
+            items: remainderLines,
+          });
+        } catch (permErr) {
+          console.error("Failed to re-enable permissions for voided remainder:", permErr);
+        }
+      }
+
+      try {
+        const TransactionService = require("../../services/transaction.service");
+        const summary = remainderLines
+          .map((item) => `${item.name} (${item.size || "N/A"}) x${getUnreleasedQuantity(item, order.status)}`)
+          .join(", ");
+        await TransactionService.logTransaction(
+          "Order",
+          "ORDER REMAINDER VOIDED",
+          data.student_id || null,
+          `Unreleased items on order #${data.order_number} voided: ${summary}`,
+          {
+            order_id: data.id,
+            order_number: data.order_number,
+            previous_status: order.status,
+            new_status: data.status,
+            student_id: data.student_id,
+            student_name: data.student_name,
+            voided_items: remainderLines.map((item) => ({
+              name: item.name,
+              size: item.size || "N/A",
+              quantity: getUnreleasedQuantity(item, order.status),
+            })),
+            reason: note || null,
+          }
+        );
+      } catch (txError) {
+        console.error("Failed to log transaction for voided remainder:", txError);
+      }
+
+      return {
+        success: true,
+        data,
+        message: "Unreleased items voided",
+      };
+    } catch (error) {
+      console.error("Void unreleased remainder error:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Auto-void a single unclaimed order and record the strike.
+   * Partially claimed orders only lose their unreleased remainder.
+   * @param {Object} order - Order row with id, status, student_id, student_email
+   * @param {string} note - Reason stored on the order
+   * @returns {Promise<void>}
+   */
+  async _voidUnclaimedOrder(order, note) {
+    let result;
+    if (order.status === "partially_claimed") {
+      result = await this.voidUnreleasedRemainder(order.id, note);
+    } else {
+      result = await this.updateOrderStatus(order.id, "cancelled", note, null, { sendEmail: false });
+    }
+    await this.incrementVoidStrikeAndBlockIfNeeded(order);
+    if (result?.data) {
+      OrderEmailService.notifyOrderEvent(OrderEmailService.EVENTS.AUTO_VOIDED, result.data);
+    }
+  }
+
+  /**
+   * Void unclaimed orders older than the given number of **weekdays** (Mon–Fri only;
+   * dates on the non-working days calendar are not counted either).
    * Sets status to 'cancelled' and restores inventory (via updateOrderStatus).
+   * Partially claimed orders only have their unreleased remainder voided.
    * @param {number} [days=7] - Number of weekdays after which to void unclaimed orders (Sat/Sun not counted)
    * @returns {Promise<{ voidedCount: number, orderIds: string[] }>}
    */
   async voidUnclaimedOrdersOlderThanDays(days = 7) {
-    const claimableStatuses = ["pending", "paid", "processing", "ready", "payment_pending"];
     const now = new Date();
-    const cutoff = this._dateSubtractWeekdays(now, days);
+    const cutoff = this._dateSubtractWeekdays(now, days, await getNonWorkingDateSet());
     const cutoffIso = cutoff.toISOString();
 
     const { data: orders, error } = await supabase
       .from("orders")
-      .select("id, order_number, student_id, student_email")
+      .select("id, order_number, status, student_id, student_email")
       .eq("is_active", true)
-      .in("status", claimableStatuses)
+      .in("status", CLAIMABLE_STATUSES)
       .lt("created_at", cutoffIso);
 
     if (error) {
@@ -1900,8 +2555,7 @@ class OrderService {
 
     for (const order of orders || []) {
       try {
-        await this.updateOrderStatus(order.id, "cancelled", note);
-        await this.incrementVoidStrikeAndBlockIfNeeded(order);
+        await this._voidUnclaimedOrder(order, note);
         if (!isProduction) {
           console.log(`Auto-voided order ${order.order_number || order.id} (older than ${days} weekday(s))`);
         }
@@ -1917,6 +2571,147 @@ class OrderService {
     return { voidedCount: orderIds.length, orderIds };
   }
 
+  /**
+   * Warn students before the auto-void job cancels their unclaimed orders.
+   * For each threshold (weekdays before the void cutoff) the orders that
+   * voidUnclaimedOrdersOlderThanDays will void in that many weekdays get an in-app
+   * notification and an email. Reminders are recorded in order_claim_reminders so an
+   * order is reminded at most once per threshold.
+   * @param {number} [days=7] - Weekday window of the auto-void job
+   * @param {number[]} [thresholds=[1]] - Weekdays before the void cutoff to remind at
+   * @param {Object} [io] - Socket.IO instance (for emitting notification:created)
+   * @returns {Promise<{ remindedCount: number, orderIds: string[] }>}
+   */
+  async sendClaimDeadlineReminders(days = 7, thresholds = [1], io = null) {
+    const now = new Date();
+    const orderIds = [];
+
+    // Without the reminders table there is no way to send each reminder only once
+    const { error: tableError } = await supabase
+      .from("order_claim_reminders")
+      .select("id")
+      .limit(1);
+    if (tableError) {
+      if (isMissingTableError(tableError)) {
+        console.warn("Claim reminder job: order_claim_reminders table not found; run migrations/create_order_claim_reminders_table.sql");
+      } else {
+        console.error("sendClaimDeadlineReminders: query error", tableError);
+      }
+      return { remindedCount: 0, orderIds };
+    }
+
+    const nonWorkingDays = await getNonWorkingDateSet();
+    const validThresholds = [...new Set(thresholds.map(Number))]
+      .filter((threshold) => Number.isInteger(threshold) && threshold > 0 && threshold < days)
+      .sort((a, b) => b - a);
+
+    for (const threshold of validThresholds) {
+      // Orders that cross the void cutoff in exactly `threshold` weekday(s); the windows of
+      // different thresholds don't overlap, so a missed run never sends two reminders at once
+      const windowStart = this._dateSubtractWeekdays(now, days - threshold + 1, nonWorkingDays);
+      const windowEnd = this._dateSubtractWeekdays(now, days - threshold, nonWorkingDays);
+
+      const { data: orders, error } = await supabase
+        .from("orders")
+        .select("*")
+        .eq("is_active", true)
+        .in("status", CLAIMABLE_STATUSES)
+        .gte("created_at", windowStart.toISOString())
+        .lt("created_at", windowEnd.toISOString());
+
+      if (error) {
+        console.error("sendClaimDeadlineReminders: query error", error);
+        continue;
+      }
+
+      for (const order of orders || []) {
+        try {
+          const sent = await this._sendClaimReminder(order, threshold, io);
+          if (sent) orderIds.push(order.id);
+        } catch (err) {
+          console.error(`sendClaimDeadlineReminders: failed to remind order ${order.id}:`, err);
+        }
+      }
+    }
+
+    if (orderIds.length > 0) {
+      console.log(`Claim reminder job: reminded ${orderIds.length} unclaimed order(s)`);
+    }
+
+    return { remindedCount: orderIds.length, orderIds };
+  }
+
+  /**
+   * Record and send one claim reminder (in-app + email). Returns false when this
+   * order was already reminded at this threshold.
+   * @param {Object} order - Order row
+   * @param {number} threshold - Weekdays before the void cutoff
+   * @param {Object} [io] - Socket.IO instance
+   * @returns {Promise<boolean>}
+   */
+  async _sendClaimReminder(order, threshold, io = null) {
+    const claimDeadline = await this.getClaimDeadline(order);
+
+    // Claim the (order, threshold) slot first so concurrent runs can't both send
+    const { data: recorded, error } = await supabase
+      .from("order_claim_reminders")
+      .upsert(
+        {
+          order_id: order.id,
+          order_number: order.order_number,
+          threshold_weekdays: threshold,
+          claim_deadline: claimDeadline ? claimDeadline.toISOString() : null,
+        },
+        { onConflict: "order_id,threshold_weekdays", ignoreDuplicates: true }
+      )
+      .select("id");
+    if (error) throw error;
+    if (!recorded || recorded.length === 0) return false;
+
+    let inAppSent = false;
+    let studentUserId = order.student_id || null;
+    if (order.student_id) {
+      const studentRow = await getStudentRowById(order.student_id);
+      if (studentRow?.user_id) studentUserId = studentRow.user_id;
+    }
+    if (studentUserId) {
+      try {
+        const notificationResult = await NotificationService.createClaimReminderNotification({
+          studentId: studentUserId,
+          orderNumber: order.order_number,
+          orderId: order.id,
+          claimDeadline,
+          weekdaysLeft: threshold,
+        });
+        inAppSent = true;
+        if (io && notificationResult?.data) {
+          io.emit("notification:created", {
+            userId: studentUserId,
+            notification: notificationResult.data,
+          });
+        }
+      } catch (notifError) {
+        console.error(`Failed to create claim reminder notification for order ${order.id}:`, notifError);
+      }
+    }
+
+    const emailResult = await OrderEmailService.notifyOrderEvent(
+      OrderEmailService.EVENTS.CLAIM_REMINDER,
+      order,
+      { claimDeadline }
+    );
+
+    const { error: updateError } = await supabase
+      .from("order_claim_reminders")
+      .update({ in_app_sent: inAppSent, email_sent: emailResult.sent })
+      .eq("id", recorded[0].id);
+    if (updateError) {
+      console.error(`Failed to record claim reminder delivery for order ${order.id}:`, updateError);
+    }
+
+    return true;
+  }
+
   /**
    * Void unclaimed orders older than the given number of minutes (for testing).
    * Same as days but with minute cutoff. Does not check student_confirmed_at.
@@ -1924,16 +2719,15 @@ class OrderService {
    * @returns {Promise<{ voidedCount: number, orderIds: string[] }>}
    */
   async voidUnclaimedOrdersOlderThanMinutes(minutes) {
-    const claimableStatuses = ["pending", "paid", "processing", "ready", "payment_pending"];
     const cutoff = new Date();
     cutoff.setMinutes(cutoff.getMinutes() - minutes);
     const cutoffIso = cutoff.toISOString();
 
     let query = supabase
       .from("orders")
-      .select("id, order_number, student_id, student_email")
+      .select("id, order_number, status, student_id, student_email")
       .eq("is_active", true)
-      .in("status", claimableStatuses)
+      .in("status", CLAIMABLE_STATUSES)
       .lt("created_at", cutoffIso);
 
     const { data: orders, error } = await query;
@@ -1946,8 +2740,7 @@ class OrderService {
     const note = `Auto-voided: not claimed within ${minutes} minute(s).`;
     for (const order of orders || []) {
       try {
-        await this.updateOrderStatus(order.id, "cancelled", note);
-        await this.incrementVoidStrikeAndBlockIfNeeded(order);
+        await this._voidUnclaimedOrder(order, note);
         if (!isProduction) {
           console.log(`Auto-voided order ${order.order_number || order.id} (older than ${minutes} minute(s))`);
         }
@@ -1968,16 +2761,15 @@ class OrderService {
    * @returns {Promise<{ voidedCount: number, orderIds: string[] }>}
    */
   async voidUnclaimedOrdersOlderThanSeconds(seconds) {
-    const claimableStatuses = ["pending", "paid", "processing", "ready", "payment_pending"];
     const cutoff = new Date();
     cutoff.setSeconds(cutoff.getSeconds() - seconds);
     const cutoffIso = cutoff.toISOString();
 
     const { data: orders, error } = await supabase
       .from("orders")
-      .select("id, order_number, student_id, student_email")
+      .select("id, order_number, status, student_id, student_email")
       .eq("is_active", true)
-      .in("status", claimableStatuses)
+      .in("status", CLAIMABLE_STATUSES)
       .lt("created_at", cutoffIso)
       .is("student_confirmed_at", null);
     if (error) {
@@ -1989,8 +2781,7 @@ class OrderService {
     const note = `Auto-voided: not claimed within ${seconds} second(s).`;
     for (const order of orders || []) {
       try {
-        await this.updateOrderStatus(order.id, "cancelled", note);
-        await this.incrementVoidStrikeAndBlockIfNeeded(order);
+        await this._voidUnclaimedOrder(order, note);
         if (!isProduction) {
           console.log(`Auto-voided order ${order.order_number || order.id} (older than ${seconds} second(s))`);
         }
@@ -2138,6 +2929,7 @@ class OrderService {
         pending_orders: data.filter((o) => o.status === "pending").length,
         paid_orders: data.filter((o) => o.status === "paid").length,
         claimed_orders: data.filter((o) => o.status === "claimed").length,
+        partially_claimed_orders: data.filter((o) => o.status === "partially_claimed").length,
         total_revenue: data.reduce(
           (sum, o) => sum + parseFloat(o.total_amount || 0),
           0
@@ -2224,164 +3016,77 @@ class OrderService {
         created_at: order.created_at,
       });
 
-      // Step 5: Update order to regular order
-      const updates = {
-        order_type: "regular",
-        qr_code_data: qrCodeData,
-        status: "pending", // Reset to pending for regular order processing
-        updated_at: new Date().toISOString(),
-      };
+      // Step 5/6: Update order to regular order and take its stock out, in one transaction
+      // under the same row locks as order placement. Units the restock queue already set aside
+      // for this pre-order left stock back then. Lines whose item no longer exists are skipped.
+      const converted = await sql.begin(async (tx) => {
+        const [locked] = await tx`
+          SELECT id, order_type, items
+          FROM orders
+          WHERE id = ${orderId} AND is_active = true
+          FOR UPDATE
+        `;
+        if (!locked) throw new Error("Order not found");
+        if (locked.order_type !== "pre-order") return null;
+
+        const lines = [];
+        for (const item of parseOrderItemsField(locked.items)) {
+          const quantity = (Number(item.quantity) || 0) - (Number(item.allocated_quantity) || 0);
+          if (quantity <= 0) continue;
+          lines.push({ name: item.name, size: item.size || "N/A", quantity, optional: true });
+        }
+
+        await tx`
+          UPDATE orders
+          SET order_type = 'regular',
+              qr_code_data = ${qrCodeData},
+              status = 'pending',
+              updated_at = NOW()
+          WHERE id = ${locked.id}
+        `;
+
+        const movement = await this._moveStockInTransaction(tx, order.education_level, lines);
+        await StockLedgerService.recordMovements(
+          movement.stockMovements.map((stockMovement) => ({
+            ...stockMovement,
+            reasonCode: StockLedgerService.REASON_CODES.ORDER_PLACED,
+            orderId: order.id,
+            orderNumber: order.order_number,
+            actorId: order.student_id,
+            actorEmail: order.student_email,
+          })),
+          tx
+        );
+        return movement;
+      });
+
+      if (!converted) {
+        console.log(
+          `⚠️ Order ${orderId} is not a pre-order, skipping conversion`
+        );
+        return {
+          success: false,
+          message: "Order is not a pre-order",
+          data: order,
+        };
+      }
 
-      const { data: updatedOrder, error: updateError } = await supabase
+      const { data: updatedOrder, error: refetchError } = await supabase
         .from("orders")
-        .update(updates)
+        .select("*")
         .eq("id", orderId)
-        .select()
         .single();
 
-      if (updateError) throw updateError;
-
-      // Step 6: Reduce inventory stock for the items (since it's now a regular order)
-      const inventoryUpdates = [];
-      for (const item of items) {
-        try {
-          // Find inventory item by name; allow student's level OR "All Education Levels" (e.g. Logo Patch)
-          const { data: inventoryItems, error: searchError } = await supabase
-            .from("items")
-            .select("*")
-            .ilike("name", item.name)
-            .or(`education_level.eq."${order.education_level}",education_level.eq."All Education Levels"`)
-            .eq("is_active", true)
-            .limit(1);
-
-          if (searchError) {
-             console.error(`Failed to find inventory for ${item.name}:`, searchError);
-            continue;
-          }
-
-          if (!inventoryItems || inventoryItems.length === 0) {
-            console.error(`Inventory item not found: ${item.name}`);
-            continue;
-          }
-
-          const inventoryItem = inventoryItems[0];
-          let newStock = 0;
-          let noteUpdate = null;
-          let variantFound = false;
-
-          // Check if item has JSON variations in note field
-          if (inventoryItem.note) {
-             try {
-                const parsedNote = JSON.parse(inventoryItem.note);
-                if (parsedNote && parsedNote._type === 'sizeVariations' && Array.isArray(parsedNote.sizeVariations)) {
-                   
-                   // Find the variant
-                   const variantIndex = parsedNote.sizeVariations.findIndex(v => {
-                      const vSize = v.size || "";
-                      return vSize === item.size || vSize.includes(item.size) || (item.size && item.size.includes(vSize));
-                   });
-
-                   if (variantIndex !== -1) {
-                      variantFound = true;
-                      const variant = parsedNote.sizeVariations[variantIndex];
-                      const currentVariantStock = Number(variant.stock) || 0;
-                      
-                      // Deduct from variant
-                      const newVariantStock = Math.max(0, currentVariantStock - item.quantity);
-                      parsedNote.sizeVariations[variantIndex].stock = newVariantStock;
-                      
-                      noteUpdate = JSON.stringify(parsedNote);
-                      
-                      // Also update total stock for compatibility
-                      // Recalculate total stock from all variants
-                      newStock = parsedNote.sizeVariations.reduce((acc, v) => acc + (Number(v.stock) || 0), 0);
-                   }
-                }
-             } catch (e) {
-                console.warn("Failed to parse item note for variant deduction:", e);
-             }
-          }
-
-          // If no variant logic applied, fall back to standard deduction
-          if (!variantFound) {
-             // Only proceed if size matches (or item has no size/N/A)
-             // We relax the size match here because we pulled by name/edu level. 
-             // If the row relies on 'size' column for differentiation:
-             if (inventoryItem.size !== 'N/A' && inventoryItem.size !== item.size && item.size !== 'N/A') {
-                 // Try to find exact match row; allow student's level OR "All Education Levels"
-                 const { data: exactMatch } = await supabase
-                    .from('items')
-                    .select('*')
-                    .ilike('name', item.name)
-                    .or(`education_level.eq."${order.education_level}",education_level.eq."All Education Levels"`)
-                    .eq('size', item.size)
-                    .eq('is_active', true)
-                    .single();
-                 
-                 if (exactMatch) {
-                    newStock = Math.max(0, exactMatch.stock - item.quantity);
-                    // Update exact match
-                    await supabase.from('items').update({ stock: newStock }).eq('id', exactMatch.id);
-                    // Continue to next item
-                    continue; 
-                 }
-             }
-             
-             newStock = Math.max(0, inventoryItem.stock - item.quantity);
-          }
+      if (refetchError) throw refetchError;
 
-          // Update inventory stock (and note if applicable)
-          const updatePayload = { stock: newStock };
-          if (noteUpdate) {
-             updatePayload.note = noteUpdate;
-          }
-
-          const { data: updatedItem, error: updateItemError } = await supabase
-            .from("items")
-            .update(updatePayload)
-            .eq("id", inventoryItem.id)
-            .select()
-            .single();
-
-          if (updateItemError) {
-            console.error(
-              `Failed to update inventory for ${item.name}:`,
-              updateItemError
-            );
-            continue;
-          }
-
-          inventoryUpdates.push({
-            item: item.name,
-            size: item.size || "N/A",
-            quantity: item.quantity,
-            previousStock: inventoryItem.stock,
-            newStock: newStock,
-            success: true,
-          });
-
-          console.log(
-            `Inventory reduced: ${item.name}${
-              item.size ? ` (Size: ${item.size})` : ""
-            } from ${inventoryItem.stock} to ${newStock} (ordered: ${
-              item.quantity
-            })`
-          );
-        } catch (itemError) {
-          console.error(`Error processing item ${item.name}:`, itemError);
-          inventoryUpdates.push({
-            item: item.name,
-            quantity: item.quantity,
-            success: false,
-            error: itemError.message,
-          });
-        }
-      }
+      const inventoryUpdates = converted.inventoryUpdates;
 
       console.log(
         `✅ Successfully converted pre-order ${orderId} to regular order`
       );
 
+      OrderEmailService.notifyOrderEvent(OrderEmailService.EVENTS.PRE_ORDER_CONVERTED, updatedOrder);
+
       return {
         success: true,
         data: updatedOrder,
@@ -0,0 +1,382 @@
+const { sql } = require("../../config/database");
+const OrderService = require("./order.service");
+const CashierPaymentService = require("./cashierPayment.service");
+const StockLedgerService = require("./stockLedger.service");
+const {
+  LINE_STATUS,
+  RELEASED_ORDER_STATUSES,
+  getReleasedQuantity,
+} = require("../../utils/orderFulfillment");
+
+/**
+ * Order Return Service
+ *
+ * Returns and size exchanges tied to a released order line:
+ * 1. Only units that were handed over (released_quantity) can come back
+ * 2. The returned units are restocked; for an exchange the replacement size is taken out of
+ *    stock and released to the student in the same transaction
+ * 3. The order line shrinks by the returned units (returned_quantity keeps the history) and
+ *    the replacement becomes a new released line, so per-student limits and release history
+ *    stay correct
+ * 4. orders.total_amount follows the change; the price difference to collect or the amount
+ *    to refund is recorded on the return and settled at the cashier (/api/cashier)
+ */
+
+const RETURN_TYPES = {
+  RETURN: "return",
+  EXCHANGE: "exchange",
+};
+
+function sameSize(a, b) {
+  return String(a || "N/A").trim().toLowerCase() === String(b || "N/A").trim().toLowerCase();
+}
+
+/** Units of a line the student still has and can bring back */
+function getReturnableQuantity(item, orderStatus) {
+  if (!item || item.fulfillment_status === LINE_STATUS.VOIDED) return 0;
+  return getReleasedQuantity(item, orderStatus);
+}
+
+function normalizeRow(row) {
+  return {
+    ...row,
+    unit_price: Number(row.unit_price),
+    replacement_unit_price: row.replacement_unit_price === null ? null : Number(row.replacement_unit_price),
+    price_difference: Number(row.price_difference),
+    amount_due: Number(row.amount_due),
+    refund_amount: Number(row.refund_amount),
+  };
+}
+
+async function logReturnTransaction(type, action, staff, details, metadata) {
+  try {
+    const TransactionService = require("../transaction.service");
+    await TransactionService.logTransaction(type, action, staff?.id || null, details, metadata, staff?.email || null);
+  } catch (txError) {
+    console.error(`Failed to log ${action} transaction:`, txError);
+  }
+}
+
+class OrderReturnService {
+  /**
+   * Returns and exchanges, newest first
+   * @param {Object} filters - { orderId?, type?, from?, to? }
+   */
+  async getReturns(filters = {}) {
+    try {
+      const rows = await sql`
+        SELECT * FROM order_returns
+        WHERE TRUE
+          ${filters.orderId ? sql`AND order_id = ${filters.orderId}` : sql``}
+          ${filters.type ? sql`AND type = ${filters.type}` : sql``}
+          ${filters.from ? sql`AND created_at >= ${new Date(filters.from)}` : sql``}
+          ${filters.to ? sql`AND created_at <= ${new Date(filters.to)}` : sql``}
+        ORDER BY created_at DESC
+      `;
+      return { success: true, data: rows.map(normalizeRow) };
+    } catch (error) {
+      console.error("Get order returns error:", error);
+      throw new Error(`Failed to fetch returns: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lines of an order with what can still be returned, plus the order's past returns
+   * @param {string} orderId
+   */
+  async getReturnableLines(orderId) {
+    try {
+      const [order] = await sql`
+        SELECT id, order_number, status, items, total_amount, student_name
+        FROM orders
+        WHERE id = ${orderId} AND is_active = true
+      `;
+      if (!order) throw new Error("Order not found");
+
+      const lines = OrderService.parseOrderItems(order.items).map((item, index) => ({
+        index,
+        name: item.name,
+        size: item.size || "N/A",
+        quantity: Number(item.quantity) || 0,
+        price: Number(item.price) || 0,
+        released_quantity: getReleasedQuantity(item, order.status),
+        returned_quantity: Number(item.returned_quantity) || 0,
+        returnable_quantity: RELEASED_ORDER_STATUSES.includes(order.status)
+          ? getReturnableQuantity(item, order.status)
+          : 0,
+        exchanged_from_line: item.exchanged_from_line ?? null,
+      }));
+      const { data: returns } = await this.getReturns({ orderId });
+
+      return {
+        success: true,
+        data: {
+          order: {
+            id: order.id,
+            order_number: order.order_number,
+            status: order.status,
+            total_amount: Number(order.total_amount),
+            student_name: order.student_name,
+          },
+          lines,
+          returns,
+        },
+      };
+    } catch (error) {
+      console.error("Get returnable lines error:", error);
+      throw new Error(`Failed to fetch returnable lines: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take back released units of an order line, refunding them or exchanging them for
+   * another size of the same item
+   * @param {string} orderId
+   * @param {Object} input - { lineIndex, quantity, type: "return" | "exchange", replacementSize?, reason, notes? }
+   * @param {Object} staff - { id, name, email }
+   * @param {Object} [io] - Socket.IO instance
+   * @returns {Promise<Object>} { success, data: { return, order }, message }
+   */
+  async createReturn(orderId, input = {}, staff = {}, io = null) {
+    const type = String(input.type || "").trim().toLowerCase();
+    if (!Object.values(RETURN_TYPES).includes(type)) {
+      throw new Error(`type must be one of: ${Object.values(RETURN_TYPES).join(", ")}`);
+    }
+    const lineIndex = Number(input.lineIndex);
+    if (!Number.isInteger(lineIndex) || lineIndex < 0) throw new Error("lineIndex must be a line of the order");
+    const quantity = Number(input.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) throw new Error("quantity must be a positive whole number");
+    const reason = input.reason ? String(input.reason).trim() : "";
+    if (!reason) throw new Error("reason is required");
+    const replacementSize = input.replacementSize ? String(input.replacementSize).trim() : "";
+    if (type === RETURN_TYPES.EXCHANGE && !replacementSize) {
+      throw new Error("replacementSize is required for an exchange");
+    }
+
+    const { order, returnRow, inventoryUpdates } = await sql.begin(async (tx) => {
+      const [order] = await tx`
+        SELECT id, order_number, status, education_level, items, total_amount,
+               student_id, student_name, student_email
+        FROM orders
+        WHERE id = ${orderId} AND is_active = true
+        FOR UPDATE
+      `;
+      if (!order) throw new Error("Order not found");
+      if (!RELEASED_ORDER_STATUSES.includes(order.status)) {
+        throw new Error(`Nothing has been released on this order yet (status: ${order.status})`);
+      }
+
+      const items = OrderService.parseOrderItems(order.items).map((item) => ({ ...item }));
+      const line = items[lineIndex];
+      if (!line) throw new Error(`Order line ${lineIndex} does not exist`);
+      const lineSize = line.size || "N/A";
+      const returnable = getReturnableQuantity(line, order.status);
+      if (quantity > returnable) {
+        throw new Error(
+          `Only ${returnable} unit(s) of ${line.name} (${lineSize}) were released and can be returned`
+        );
+      }
+      if (type === RETURN_TYPES.EXCHANGE && sameSize(replacementSize, lineSize)) {
+        throw new Error("replacementSize must be different from the returned size");
+      }
+
+      // Returned size goes back on the shelf; the replacement comes off it
+      const stockLines = [{ name: line.name, size: lineSize, quantity, restock: true }];
+      if (type === RETURN_TYPES.EXCHANGE) {
+        stockLines.push({ name: line.name, size: replacementSize, quantity, restock: false });
+      }
+      let movement;
+      try {
+        movement = await OrderService._moveStockInTransaction(tx, order.education_level, stockLines);
+      } catch (stockError) {
+        if (stockError.outOfStockLine) {
+          const { name, size, available } = stockError.outOfStockLine;
+          throw new Error(`Not enough stock for ${name} (Size: ${size}): only ${available} available`);
+        }
+        throw stockError;
+      }
+      const [returned, replacement] = movement.inventoryUpdates;
+      if (
+        replacement &&
+        String(replacement.itemId) === String(returned.itemId) &&
+        sameSize(replacement.size, returned.size)
+      ) {
+        throw new Error("replacementSize must be different from the returned size");
+      }
+
+      // The student paid the line price; the replacement costs what that size costs today
+      const returnedPriceCents = CashierPaymentService.toCents(line.price != null ? line.price : returned.unitPrice);
+      const replacementPriceCents = replacement
+        ? replacement.unitPrice != null
+          ? CashierPaymentService.toCents(replacement.unitPrice)
+          : returnedPriceCents
+        : null;
+      const priceDifferenceCents = replacement ? (replacementPriceCents - returnedPriceCents) * quantity : 0;
+      const refundCents = replacement ? Math.max(-priceDifferenceCents, 0) : returnedPriceCents * quantity;
+      const amountDueCents = Math.max(priceDifferenceCents, 0);
+      const totalChangeCents = replacement ? priceDifferenceCents : -refundCents;
+      const totalAmount = CashierPaymentService.fromCents(
+        CashierPaymentService.toCents(order.total_amount) + totalChangeCents
+      );
+
+      const releasedBefore = getReleasedQuantity(line, order.status);
+      const now = new Date().toISOString();
+      items[lineIndex] = {
+        ...line,
+        quantity: (Number(line.quantity) || 0) - quantity,
+        released_quantity: releasedBefore - quantity,
+        returned_quantity: (Number(line.returned_quantity) || 0) + quantity,
+        fulfillment_status: line.fulfillment_status || LINE_STATUS.RELEASED,
+      };
+      if (replacement) {
+        const { returned_quantity: _returned, ...lineFields } = line;
+        items.push({
+          ...lineFields,
+          size: replacement.size,
+          quantity,
+          price: CashierPaymentService.fromCents(replacementPriceCents),
+          fulfillment_status: LINE_STATUS.RELEASED,
+          released_quantity: quantity,
+          released_at: now,
+          released_by: staff?.id || null,
+          exchanged_from_line: lineIndex,
+        });
+      }
+
+      const [returnRow] = await tx`
+        INSERT INTO order_returns ${tx({
+          order_id: order.id,
+          order_number: order.order_number,
+          line_index: lineIndex,
+          type,
+          item_id: returned.itemId,
+          item_name: line.name,
+          returned_size: returned.size,
+          quantity,
+          unit_price: CashierPaymentService.fromCents(returnedPriceCents),
+          replacement_item_id: replacement ? replacement.itemId : null,
+          replacement_size: replacement ? replacement.size : null,
+          replacement_unit_price: replacement ? CashierPaymentService.fromCents(replacementPriceCents) : null,
+          price_difference: CashierPaymentService.fromCents(priceDifferenceCents),
+          amount_due: CashierPaymentService.fromCents(amountDueCents),
+          refund_amount: CashierPaymentService.fromCents(refundCents),
+          reason,
+          notes: input.notes ? String(input.notes).trim() : null,
+          processed_by: staff?.id || null,
+          processed_by_name: staff?.name || null,
+        })}
+        RETURNING *
+      `;
+
+      await tx`
+        UPDATE orders
+        SET items = ${tx.json(items)},
+            total_amount = ${totalAmount},
+            updated_at = ${now}
+        WHERE id = ${order.id}
+      `;
+
+      await StockLedgerService.recordMovements(
+        movement.stockMovements.map((stockMovement, index) => ({
+          ...stockMovement,
+          reasonCode: index === 0 ? StockLedgerService.REASON_CODES.RETURN : StockLedgerService.REASON_CODES.EXCHANGE,
+          orderId: order.id,
+          orderNumber: order.order_number,
+          returnId: returnRow.id,
+          actorId: staff?.id || null,
+          actorEmail: staff?.email || null,
+          note: reason,
+        })),
+        tx
+      );
+
+      return {
+        order: { ...order, items, total_amount: totalAmount },
+        returnRow: normalizeRow(returnRow),
+        inventoryUpdates: movement.inventoryUpdates,
+      };
+    });
+
+    // Returned units show in the inventory report's Returns column like item-level returns
+    const [returned, replacement] = inventoryUpdates;
+    await logReturnTransaction(
+      "Inventory",
+      "RETURN RECORDED",
+      staff,
+      `Return recorded: ${quantity} unit(s) of ${returnRow.item_name} (Size: ${returnRow.returned_size}) from order ${order.order_number} | Remarks: ${reason}`,
+      {
+        item_id: returnRow.item_id,
+        item_name: returnRow.item_name,
+        size: returnRow.returned_size,
+        quantity,
+        unit_price: returnRow.unit_price,
+        remarks: reason,
+        order_id: order.id,
+        order_number: order.order_number,
+        return_id: returnRow.id,
+        previous_stock: returned.previousStock,
+        new_stock: returned.newStock,
+      }
+    );
+
+    const settlement =
+      returnRow.amount_due > 0
+        ? `; ${returnRow.amount_due.toFixed(2)} to collect`
+        : returnRow.refund_amount > 0
+          ? `; ${returnRow.refund_amount.toFixed(2)} to refund`
+          : "";
+    await logReturnTransaction(
+      "Order",
+      type === RETURN_TYPES.EXCHANGE ? "ORDER ITEM EXCHANGED" : "ORDER ITEM RETURNED",
+      staff,
+      type === RETURN_TYPES.EXCHANGE
+        ? `Order #${order.order_number}: exchanged ${quantity} ${returnRow.item_name} (${returnRow.returned_size} -> ${returnRow.replacement_size})${order.student_name ? ` for ${order.student_name}` : ""}${settlement}`
+        : `Order #${order.order_number}: returned ${quantity} ${returnRow.item_name} (${returnRow.returned_size})${order.student_name ? ` by ${order.student_name}` : ""}${settlement}`,
+      {
+        order_id: order.id,
+        order_number: order.order_number,
+        return_id: returnRow.id,
+        line_index: lineIndex,
+        type,
+        item_name: returnRow.item_name,
+        returned_size: returnRow.returned_size,
+        replacement_size: returnRow.replacement_size,
+        replacement_previous_stock: replacement?.previousStock ?? null,
+        replacement_new_stock: replacement?.newStock ?? null,
+        quantity,
+        price_difference: returnRow.price_difference,
+        amount_due: returnRow.amount_due,
+        refund_amount: returnRow.refund_amount,
+        new_total_amount: Number(order.total_amount),
+        student_id: order.student_id,
+        student_name: order.student_name,
+        processed_by: staff?.id || null,
+        processed_by_name: staff?.name || null,
+      }
+    );
+
+    if (io) {
+      io.emit("order:updated", {
+        orderId: order.id,
+        order_number: order.order_number,
+        orderNumber: order.order_number,
+        status: order.status,
+        order,
+      });
+    }
+
+    return {
+      success: true,
+      data: { return: returnRow, order },
+      message:
+        type === RETURN_TYPES.EXCHANGE
+          ? `Exchanged ${quantity} ${returnRow.item_name} from ${returnRow.returned_size} to ${returnRow.replacement_size}${settlement}`
+          : `Returned ${quantity} ${returnRow.item_name} (${returnRow.returned_size})${settlement}`,
+    };
+  }
+}
+
+const orderReturnService = new OrderReturnService();
+orderReturnService.RETURN_TYPES = RETURN_TYPES;
+
+module.exports = orderReturnService;
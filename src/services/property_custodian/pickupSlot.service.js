@@ -0,0 +1,696 @@
+const supabase = require("../../config/supabase");
+const { sql } = require("../../config/database");
+const OrderService = require("./order.service");
+const NotificationService = require("../notification.service");
+const { getStudentRowById } = require("../profileResolver.service");
+const { getNonWorkingDateSet } = require("../system_admin/nonWorkingDays.service");
+const { toDateOnly } = require("../../utils/dateOnly");
+const { getUnreleasedQuantity } = require("../../utils/orderFulfillment");
+const { isOrderOwner } = require("../../utils/orderOwnership");
+
+/**
+ * Pickup Slot Service
+ *
+ * Claim appointment scheduling:
+ * 1. Custodians open time windows (pickup_slots) with a capacity
+ * 2. Students with orders ready for pickup book a slot per order, reschedule or cancel
+ * 3. A job reminds students shortly before their slot
+ * 4. Custodians get a per-slot queue of the orders to prepare, grouped by item and size
+ */
+
+const APPOINTMENT_STATUS = {
+  BOOKED: "booked",
+  CANCELLED: "cancelled",
+};
+
+/** Orders that can be booked for pickup */
+const BOOKABLE_ORDER_STATUSES = ["ready", "partially_claimed"];
+
+/** Shortest slot, and the most slots one generate request may open */
+const MIN_SLOT_MINUTES = 5;
+const MAX_SLOTS_PER_DAY = 96;
+
+function parseOrderItems(items) {
+  if (Array.isArray(items)) return items;
+  if (typeof items === "string") {
+    try {
+      const parsed = JSON.parse(items);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+/** HH:MM on a YYYY-MM-DD date, local time */
+function parseDateTime(date, time) {
+  const dateMatch = String(date || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const timeMatch = String(time || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!dateMatch || !timeMatch) return null;
+  const value = new Date(
+    Number(dateMatch[1]),
+    Number(dateMatch[2]) - 1,
+    Number(dateMatch[3]),
+    Number(timeMatch[1]),
+    Number(timeMatch[2])
+  );
+  if (toDateOnly(value) !== date || Number(timeMatch[1]) > 23 || Number(timeMatch[2]) > 59) {
+    return null;
+  }
+  return value;
+}
+
+/** Booked appointments still holding a place: cancelled orders free their place */
+async function countBooked(tx, slotId) {
+  const [{ count }] = await tx`
+    SELECT COUNT(*)::int AS count
+    FROM pickup_appointments a
+    JOIN orders o ON o.id = a.order_id
+    WHERE a.slot_id = ${slotId}
+      AND a.status = 'booked'
+      AND o.status <> 'cancelled'
+  `;
+  return count;
+}
+
+class PickupSlotService {
+  /**
+   * Booked counts per slot (appointments of cancelled orders don't count)
+   * @param {Array<string>} slotIds
+   * @returns {Promise<Map<string, number>>}
+   */
+  async _getBookedCounts(slotIds) {
+    const counts = new Map();
+    if (slotIds.length === 0) return counts;
+    const rows = await sql`
+      SELECT a.slot_id, COUNT(*)::int AS count
+      FROM pickup_appointments a
+      JOIN orders o ON o.id = a.order_id
+      WHERE a.slot_id IN ${sql(slotIds)}
+        AND a.status = 'booked'
+        AND o.status <> 'cancelled'
+      GROUP BY a.slot_id
+    `;
+    for (const row of rows) counts.set(String(row.slot_id), row.count);
+    return counts;
+  }
+
+  async _withAvailability(slots) {
+    const counts = await this._getBookedCounts(slots.map((slot) => slot.id));
+    return slots.map((slot) => {
+      const bookedCount = counts.get(String(slot.id)) || 0;
+      return {
+        ...slot,
+        booked_count: bookedCount,
+        remaining: Math.max(0, slot.capacity - bookedCount),
+      };
+    });
+  }
+
+  /**
+   * Fetch an order and make sure it belongs to the student and is ready for pickup
+   */
+  async _getBookableOrder(orderId, student) {
+    const { data: order, error } = await supabase
+      .from("orders")
+      .select("*")
+      .eq("id", orderId)
+      .eq("is_active", true)
+      .maybeSingle();
+    if (error) throw error;
+    if (!order || !isOrderOwner(student, order)) throw new Error("Order not found");
+    if (!BOOKABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new Error("Only orders that are ready for pickup can be booked");
+    }
+    return order;
+  }
+
+  /**
+   * Make sure a slot can take this order: active, not started yet, and before the
+   * order's claim deadline (the order would be auto-voided before a later slot)
+   */
+  _assertSlotFitsOrder(slot, claimDeadline) {
+    if (!slot || !slot.is_active) throw new Error("Pickup slot not found");
+    if (new Date(slot.starts_at) <= new Date()) {
+      throw new Error("This pickup slot has already started");
+    }
+    if (claimDeadline && new Date(slot.starts_at) > claimDeadline) {
+      throw new Error("This pickup slot is after the order's claim deadline");
+    }
+  }
+
+  // ==========================================================================
+  // SLOTS (custodian)
+  // ==========================================================================
+
+  /**
+   * List slots with booked counts and remaining capacity
+   * @param {Object} filters - { from, to, includeInactive }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getSlots(filters = {}) {
+    try {
+      let query = supabase
+        .from("pickup_slots")
+        .select("*")
+        .order("starts_at", { ascending: true });
+
+      if (!filters.includeInactive) query = query.eq("is_active", true);
+      if (filters.from) query = query.gte("starts_at", new Date(filters.from).toISOString());
+      if (filters.to) query = query.lte("starts_at", new Date(filters.to).toISOString());
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return { success: true, data: await this._withAvailability(data || []) };
+    } catch (error) {
+      console.error("Get pickup slots error:", error);
+      throw new Error(`Failed to fetch pickup slots: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a single pickup slot
+   * @param {Object} input - { startsAt, endsAt, capacity, notes? }
+   * @param {string|null} staffId - staff.id of the custodian
+   */
+  async createSlot(input, staffId) {
+    const startsAt = new Date(input.startsAt);
+    const endsAt = new Date(input.endsAt);
+    const capacity = parseInt(input.capacity, 10);
+    if (Number.isNaN(startsAt.getTime())) throw new Error("startsAt must be a valid date/time");
+    if (Number.isNaN(endsAt.getTime())) throw new Error("endsAt must be a valid date/time");
+    if (endsAt <= startsAt) throw new Error("endsAt must be after startsAt");
+    if (!Number.isInteger(capacity) || capacity < 1) throw new Error("capacity must be at least 1");
+
+    const { data, error } = await supabase
+      .from("pickup_slots")
+      .insert({
+        starts_at: startsAt.toISOString(),
+        ends_at: endsAt.toISOString(),
+        capacity,
+        notes: input.notes?.trim() || null,
+        created_by: staffId || null,
+        updated_by: staffId || null,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`Failed to create pickup slot: ${error.message}`);
+
+    return { success: true, data: { ...data, booked_count: 0, remaining: capacity }, message: "Pickup slot created successfully" };
+  }
+
+  /**
+   * Open back-to-back slots for one day, e.g. 08:00–12:00 in 30-minute slots
+   * @param {Object} input - { date: "YYYY-MM-DD", startTime: "HH:MM", endTime: "HH:MM", slotMinutes, capacity, notes? }
+   * @param {string|null} staffId - staff.id of the custodian
+   */
+  async generateSlots(input, staffId) {
+    const dayStart = parseDateTime(input.date, input.startTime);
+    const dayEnd = parseDateTime(input.date, input.endTime);
+    const slotMinutes = parseInt(input.slotMinutes, 10);
+    const capacity = parseInt(input.capacity, 10);
+    if (!dayStart) throw new Error("date (YYYY-MM-DD) and startTime (HH:MM) are required");
+    if (!dayEnd) throw new Error("endTime (HH:MM) is required");
+    if (dayEnd <= dayStart) throw new Error("endTime must be after startTime");
+    if (!Number.isInteger(slotMinutes) || slotMinutes < MIN_SLOT_MINUTES) {
+      throw new Error(`slotMinutes must be at least ${MIN_SLOT_MINUTES}`);
+    }
+    if (!Number.isInteger(capacity) || capacity < 1) throw new Error("capacity must be at least 1");
+
+    const nonWorkingDays = await getNonWorkingDateSet();
+    if (nonWorkingDays.has(input.date)) {
+      throw new Error(`${input.date} is a non-working day`);
+    }
+
+    const rows = [];
+    for (
+      let start = new Date(dayStart);
+      start.getTime() + slotMinutes * 60 * 1000 <= dayEnd.getTime();
+      start = new Date(start.getTime() + slotMinutes * 60 * 1000)
+    ) {
+      rows.push({
+        starts_at: start.toISOString(),
+        ends_at: new Date(start.getTime() + slotMinutes * 60 * 1000).toISOString(),
+        capacity,
+        notes: input.notes?.trim() || null,
+        created_by: staffId || null,
+        updated_by: staffId || null,
+      });
+    }
+    if (rows.length === 0) throw new Error("The time window is shorter than one slot");
+    if (rows.length > MAX_SLOTS_PER_DAY) {
+      throw new Error(`Cannot create more than ${MAX_SLOTS_PER_DAY} slots at once`);
+    }
+
+    const { data, error } = await supabase.from("pickup_slots").insert(rows).select();
+    if (error) throw new Error(`Failed to create pickup slots: ${error.message}`);
+
+    return {
+      success: true,
+      data: (data || []).map((slot) => ({ ...slot, booked_count: 0, remaining: slot.capacity })),
+      message: `Created ${data.length} pickup slot(s)`,
+    };
+  }
+
+  /**
+   * Change a slot's time, capacity or notes. Capacity cannot go below the booked count.
+   * @param {string} id - Slot ID
+   * @param {Object} input - { startsAt?, endsAt?, capacity?, notes? }
+   * @param {string|null} staffId - staff.id of the custodian
+   */
+  async updateSlot(id, input, staffId) {
+    const result = await sql.begin(async (tx) => {
+      const [slot] = await tx`
+        SELECT * FROM pickup_slots WHERE id = ${id} AND is_active = true FOR UPDATE
+      `;
+      if (!slot) throw new Error("Pickup slot not found");
+
+      const startsAt = input.startsAt !== undefined ? new Date(input.startsAt) : new Date(slot.starts_at);
+      const endsAt = input.endsAt !== undefined ? new Date(input.endsAt) : new Date(slot.ends_at);
+      const capacity = input.capacity !== undefined ? parseInt(input.capacity, 10) : slot.capacity;
+      if (Number.isNaN(startsAt.getTime())) throw new Error("startsAt must be a valid date/time");
+      if (Number.isNaN(endsAt.getTime())) throw new Error("endsAt must be a valid date/time");
+      if (endsAt <= startsAt) throw new Error("endsAt must be after startsAt");
+      if (!Number.isInteger(capacity) || capacity < 1) throw new Error("capacity must be at least 1");
+
+      const bookedCount = await countBooked(tx, id);
+      if (capacity < bookedCount) {
+        throw new Error(`capacity cannot be less than the ${bookedCount} booked appointment(s)`);
+      }
+
+      const timeChanged = startsAt.getTime() !== new Date(slot.starts_at).getTime();
+      const [updated] = await tx`
+        UPDATE pickup_slots
+        SET starts_at = ${startsAt},
+            ends_at = ${endsAt},
+            capacity = ${capacity},
+            notes = ${input.notes !== undefined ? input.notes?.trim() || null : slot.notes},
+            updated_by = ${staffId || null},
+            updated_at = ${new Date()}
+        WHERE id = ${id}
+        RETURNING *
+      `;
+      // Students get a fresh reminder for the new time
+      if (timeChanged) {
+        await tx`
+          UPDATE pickup_appointments SET reminder_sent_at = NULL, updated_at = ${new Date()}
+          WHERE slot_id = ${id} AND status = 'booked'
+        `;
+      }
+      return { ...updated, booked_count: bookedCount, remaining: capacity - bookedCount };
+    });
+
+    return { success: true, data: result, message: "Pickup slot updated successfully" };
+  }
+
+  /**
+   * Close a slot. Slots with booked appointments must be emptied (students reschedule) first.
+   * @param {string} id - Slot ID
+   * @param {string|null} staffId - staff.id of the custodian
+   */
+  async deleteSlot(id, staffId) {
+    await sql.begin(async (tx) => {
+      const [slot] = await tx`
+        SELECT id FROM pickup_slots WHERE id = ${id} AND is_active = true FOR UPDATE
+      `;
+      if (!slot) throw new Error("Pickup slot not found");
+
+      const bookedCount = await countBooked(tx, id);
+      if (bookedCount > 0) {
+        throw new Error(`Cannot remove a slot with ${bookedCount} booked appointment(s)`);
+      }
+
+      await tx`
+        UPDATE pickup_slots
+        SET is_active = false, updated_by = ${staffId || null}, updated_at = ${new Date()}
+        WHERE id = ${id}
+      `;
+    });
+
+    return { success: true, message: "Pickup slot removed successfully" };
+  }
+
+  /**
+   * Per-slot queue: booked orders with what is left to release, and totals per item / size
+   * @param {string} id - Slot ID
+   * @returns {Promise<Object>} { success, data: { slot, orders, itemsToPrepare } }
+   */
+  async getSlotQueue(id) {
+    try {
+      const { data: slot, error: slotError } = await supabase
+        .from("pickup_slots")
+        .select("*")
+        .eq("id", id)
+        .maybeSingle();
+      if (slotError) throw slotError;
+      if (!slot) throw new Error("Pickup slot not found");
+
+      const { data: appointments, error: appointmentsError } = await supabase
+        .from("pickup_appointments")
+        .select("*")
+        .eq("slot_id", id)
+        .eq("status", APPOINTMENT_STATUS.BOOKED)
+        .order("created_at", { ascending: true });
+      if (appointmentsError) throw appointmentsError;
+
+      const orderIds = (appointments || []).map((appointment) => appointment.order_id);
+      let orders = [];
+      if (orderIds.length > 0) {
+        const { data, error } = await supabase
+          .from("orders")
+          .select("id, order_number, student_name, student_email, education_level, status, items")
+          .in("id", orderIds);
+        if (error) throw error;
+        orders = data || [];
+      }
+      const ordersById = new Map(orders.map((order) => [String(order.id), order]));
+
+      const queue = [];
+      const totals = new Map();
+      for (const appointment of appointments || []) {
+        const order = ordersById.get(String(appointment.order_id));
+        if (!order || order.status === "cancelled") continue;
+
+        const lines = parseOrderItems(order.items)
+          .map((item) => ({
+            name: item.name,
+            size: item.size || "N/A",
+            quantity: getUnreleasedQuantity(item, order.status),
+          }))
+          .filter((line) => line.quantity > 0);
+
+        for (const line of lines) {
+          const key = `${line.name}|${line.size}`;
+          const total = totals.get(key) || { name: line.name, size: line.size, quantity: 0, orderCount: 0 };
+          total.quantity += line.quantity;
+          total.orderCount += 1;
+          totals.set(key, total);
+        }
+
+        queue.push({
+          appointmentId: appointment.id,
+          bookedAt: appointment.created_at,
+          orderId: order.id,
+          orderNumber: order.order_number,
+          studentName: order.student_name,
+          studentEmail: order.student_email,
+          educationLevel: order.education_level,
+          status: order.status,
+          items: lines,
+        });
+      }
+
+      const itemsToPrepare = [...totals.values()].sort(
+        (a, b) => a.name.localeCompare(b.name) || a.size.localeCompare(b.size)
+      );
+      const bookedCount = queue.length;
+
+      return {
+        success: true,
+        data: {
+          slot: { ...slot, booked_count: bookedCount, remaining: Math.max(0, slot.capacity - bookedCount) },
+          orders: queue,
+          itemsToPrepare,
+        },
+      };
+    } catch (error) {
+      if (error.message === "Pickup slot not found") throw error;
+      console.error("Get pickup slot queue error:", error);
+      throw new Error(`Failed to fetch pickup slot queue: ${error.message}`);
+    }
+  }
+
+  // ==========================================================================
+  // APPOINTMENTS (student)
+  // ==========================================================================
+
+  /**
+   * Upcoming slots with room left; with an order, only slots before its claim deadline
+   * @param {Object} student - { userId, studentId, email }
+   * @param {string} [orderId]
+   */
+  async getAvailableSlots(student, orderId = null) {
+    let claimDeadline = null;
+    if (orderId) {
+      const order = await this._getBookableOrder(orderId, student);
+      claimDeadline = await OrderService.getClaimDeadline(order);
+    }
+
+    const { data } = await this.getSlots({
+      from: new Date(),
+      to: claimDeadline || undefined,
+    });
+    return { success: true, data: data.filter((slot) => slot.remaining > 0) };
+  }
+
+  /**
+   * The student's booked appointments with slot times
+   * @param {Object} student - { userId, studentId, email }
+   */
+  async getMyAppointments(student) {
+    try {
+      const ids = [student.userId, student.studentId].filter(Boolean);
+      const filters = [];
+      if (ids.length > 0) filters.push(`student_id.in.(${ids.join(",")})`);
+      if (student.email) filters.push(`student_email.eq.${student.email.trim().toLowerCase()}`);
+      if (filters.length === 0) return { success: true, data: [] };
+
+      const { data, error } = await supabase
+        .from("pickup_appointments")
+        .select("*, slot:pickup_slots(id, starts_at, ends_at)")
+        .eq("status", APPOINTMENT_STATUS.BOOKED)
+        .or(filters.join(","))
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error("Get pickup appointments error:", error);
+      throw new Error(`Failed to fetch pickup appointments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Book a pickup slot for an order (one booked appointment per order)
+   * @param {string} orderId
+   * @param {string} slotId
+   * @param {Object} student - { userId, studentId, email }
+   */
+  async bookAppointment(orderId, slotId, student) {
+    if (!orderId || !slotId) throw new Error("orderId and slotId are required");
+    const order = await this._getBookableOrder(orderId, student);
+    const claimDeadline = await OrderService.getClaimDeadline(order);
+
+    const appointment = await sql.begin(async (tx) => {
+      const [slot] = await tx`SELECT * FROM pickup_slots WHERE id = ${slotId} FOR UPDATE`;
+      this._assertSlotFitsOrder(slot, claimDeadline);
+
+      const [existing] = await tx`
+        SELECT id FROM pickup_appointments WHERE order_id = ${order.id} AND status = 'booked'
+      `;
+      if (existing) throw new Error("This order already has a pickup appointment; reschedule it instead");
+
+      if ((await countBooked(tx, slotId)) >= slot.capacity) {
+        throw new Error("This pickup slot is full");
+      }
+
+      const [created] = await tx`
+        INSERT INTO pickup_appointments ${tx({
+          slot_id: slotId,
+          order_id: order.id,
+          order_number: order.order_number,
+          student_id: order.student_id || null,
+          student_email: order.student_email ? order.student_email.trim().toLowerCase() : null,
+        })}
+        RETURNING *
+      `;
+      return { ...created, slot: { id: slot.id, starts_at: slot.starts_at, ends_at: slot.ends_at } };
+    });
+
+    return { success: true, data: appointment, message: "Pickup appointment booked" };
+  }
+
+  /**
+   * Fetch a booked appointment that belongs to the student
+   */
+  async _getOwnAppointment(tx, appointmentId, student) {
+    const [appointment] = await tx`
+      SELECT * FROM pickup_appointments WHERE id = ${appointmentId} FOR UPDATE
+    `;
+    if (!appointment || !isOrderOwner(student, appointment)) {
+      throw new Error("Pickup appointment not found");
+    }
+    if (appointment.status !== APPOINTMENT_STATUS.BOOKED) {
+      throw new Error(`Pickup appointment is already ${appointment.status}`);
+    }
+    return appointment;
+  }
+
+  /**
+   * Move an appointment to another slot
+   * @param {string} appointmentId
+   * @param {string} slotId - New slot
+   * @param {Object} student - { userId, studentId, email }
+   */
+  async rescheduleAppointment(appointmentId, slotId, student) {
+    if (!slotId) throw new Error("slotId is required");
+
+    const { data: current, error } = await supabase
+      .from("pickup_appointments")
+      .select("order_id")
+      .eq("id", appointmentId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!current) throw new Error("Pickup appointment not found");
+    const order = await this._getBookableOrder(current.order_id, student);
+    const claimDeadline = await OrderService.getClaimDeadline(order);
+
+    const appointment = await sql.begin(async (tx) => {
+      const existing = await this._getOwnAppointment(tx, appointmentId, student);
+      if (String(existing.slot_id) === String(slotId)) {
+        throw new Error("The appointment is already in this slot");
+      }
+
+      const [slot] = await tx`SELECT * FROM pickup_slots WHERE id = ${slotId} FOR UPDATE`;
+      this._assertSlotFitsOrder(slot, claimDeadline);
+      if ((await countBooked(tx, slotId)) >= slot.capacity) {
+        throw new Error("This pickup slot is full");
+      }
+
+      const [updated] = await tx`
+        UPDATE pickup_appointments
+        SET slot_id = ${slotId},
+            reschedule_count = reschedule_count + 1,
+            reminder_sent_at = NULL,
+            updated_at = ${new Date()}
+        WHERE id = ${appointmentId}
+        RETURNING *
+      `;
+      return { ...updated, slot: { id: slot.id, starts_at: slot.starts_at, ends_at: slot.ends_at } };
+    });
+
+    return { success: true, data: appointment, message: "Pickup appointment rescheduled" };
+  }
+
+  /**
+   * Cancel an appointment (the order itself is not affected)
+   * @param {string} appointmentId
+   * @param {Object} student - { userId, studentId, email }
+   */
+  async cancelAppointment(appointmentId, student) {
+    const appointment = await sql.begin(async (tx) => {
+      await this._getOwnAppointment(tx, appointmentId, student);
+      const now = new Date();
+      const [updated] = await tx`
+        UPDATE pickup_appointments
+        SET status = 'cancelled', cancelled_at = ${now}, updated_at = ${now}
+        WHERE id = ${appointmentId}
+        RETURNING *
+      `;
+      return updated;
+    });
+
+    return { success: true, data: appointment, message: "Pickup appointment cancelled" };
+  }
+
+  // ==========================================================================
+  // REMINDERS
+  // ==========================================================================
+
+  /**
+   * Remind students whose slot starts within the next `minutesBefore` minutes.
+   * Each appointment is reminded once per slot (rescheduling resets it).
+   * @param {number} minutesBefore
+   * @param {Object} io - Socket.IO instance for real-time notification events
+   * @returns {Promise<{ remindedCount: number, appointmentIds: string[] }>}
+   */
+  async sendPickupReminders(minutesBefore = 60, io = null) {
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + minutesBefore * 60 * 1000);
+    const appointmentIds = [];
+
+    const { data: slots, error: slotsError } = await supabase
+      .from("pickup_slots")
+      .select("id, starts_at, ends_at")
+      .eq("is_active", true)
+      .gt("starts_at", now.toISOString())
+      .lte("starts_at", windowEnd.toISOString());
+    if (slotsError) {
+      console.error("sendPickupReminders: query error", slotsError);
+      return { remindedCount: 0, appointmentIds };
+    }
+    if (!slots || slots.length === 0) return { remindedCount: 0, appointmentIds };
+    const slotsById = new Map(slots.map((slot) => [String(slot.id), slot]));
+
+    const { data: appointments, error } = await supabase
+      .from("pickup_appointments")
+      .select("*")
+      .in("slot_id", slots.map((slot) => slot.id))
+      .eq("status", APPOINTMENT_STATUS.BOOKED)
+      .is("reminder_sent_at", null);
+    if (error) {
+      console.error("sendPickupReminders: query error", error);
+      return { remindedCount: 0, appointmentIds };
+    }
+
+    for (const appointment of appointments || []) {
+      try {
+        // Claim the reminder first so overlapping runs can't both send it
+        const { data: claimed, error: claimError } = await supabase
+          .from("pickup_appointments")
+          .update({ reminder_sent_at: new Date().toISOString() })
+          .eq("id", appointment.id)
+          .is("reminder_sent_at", null)
+          .select("id");
+        if (claimError) throw claimError;
+        if (!claimed || claimed.length === 0) continue;
+
+        const { data: order } = await supabase
+          .from("orders")
+          .select("id, order_number, status, student_id")
+          .eq("id", appointment.order_id)
+          .maybeSingle();
+        if (!order || !BOOKABLE_ORDER_STATUSES.includes(order.status)) continue;
+
+        let studentUserId = order.student_id || null;
+        if (order.student_id) {
+          const studentRow = await getStudentRowById(order.student_id);
+          if (studentRow?.user_id) studentUserId = studentRow.user_id;
+        }
+        if (!studentUserId) continue;
+
+        const slot = slotsById.get(String(appointment.slot_id));
+        const notificationResult = await NotificationService.createPickupReminderNotification({
+          studentId: studentUserId,
+          orderNumber: order.order_number,
+          orderId: order.id,
+          appointmentId: appointment.id,
+          startsAt: slot.starts_at,
+          endsAt: slot.ends_at,
+        });
+        if (io && notificationResult?.data) {
+          io.emit("notification:created", {
+            userId: studentUserId,
+            notification: notificationResult.data,
+          });
+        }
+        appointmentIds.push(appointment.id);
+      } catch (reminderError) {
+        console.error(`Failed to send pickup reminder for appointment ${appointment.id}:`, reminderError);
+      }
+    }
+
+    if (appointmentIds.length > 0) {
+      console.log(`Pickup reminder job: reminded ${appointmentIds.length} appointment(s)`);
+    }
+    return { remindedCount: appointmentIds.length, appointmentIds };
+  }
+}
+
+const pickupSlotService = new PickupSlotService();
+pickupSlotService.APPOINTMENT_STATUS = APPOINTMENT_STATUS;
+pickupSlotService.BOOKABLE_ORDER_STATUSES = BOOKABLE_ORDER_STATUSES;
+
+module.exports = pickupSlotService;
@@ -0,0 +1,327 @@
+const { sql } = require("../../config/database");
+const OrderService = require("./order.service");
+const StockLedgerService = require("./stockLedger.service");
+const NotificationService = require("../notification.service");
+const OrderEmailService = require("../orderEmail.service");
+const { getStudentRowById } = require("../profileResolver.service");
+const { generateOrderReceiptQRData } = require("../../utils/qrCodeGenerator");
+const isProduction = process.env.NODE_ENV === "production";
+
+/**
+ * Pre-Order Queue Service
+ *
+ * First-come-first-served allocation of restocked units to pre-orders:
+ * 1. Pre-orders for the same item, size and education level queue by order date (created_at)
+ * 2. When stock comes in, the oldest pre-orders get units first, up to the received quantity.
+ *    Allocated units leave stock right away and are recorded on the order line (allocated_quantity)
+ * 3. A pre-order whose lines are all fully allocated becomes a regular order with a signed
+ *    receipt QR, exactly like a manual conversion
+ * 4. Students still waiting are told their position in the queue
+ * Orders, item rows and size variants are locked for the whole allocation, so two restocks
+ * (or a restock and an order placement) can't hand out the same units twice.
+ */
+
+/** Pre-order statuses that still wait for stock (same as findStudentsWithPendingPreOrders) */
+const QUEUED_PRE_ORDER_STATUSES = ["pending", "processing", "payment_pending"];
+
+function parseOrderItems(items) {
+  if (Array.isArray(items)) return items;
+  if (typeof items === "string") {
+    try {
+      const parsed = JSON.parse(items);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+/** Units of a pre-order line still waiting for stock */
+function getWaitingQuantity(line) {
+  return Math.max((Number(line.quantity) || 0) - (Number(line.allocated_quantity) || 0), 0);
+}
+
+function sameLine(line, queuedLine) {
+  return (
+    line.name === queuedLine.name &&
+    String(line.size || "N/A") === String(queuedLine.size || "N/A") &&
+    (line.education_level || null) === (queuedLine.education_level || null)
+  );
+}
+
+/** Index of the order line the restock serves: the matched line, preferring one still waiting */
+function findQueuedLineIndex(items, queuedLine) {
+  const indexes = items.map((line, index) => (sameLine(line, queuedLine) ? index : -1)).filter((i) => i !== -1);
+  return indexes.find((index) => getWaitingQuantity(items[index]) > 0) ?? indexes[0] ?? -1;
+}
+
+/** Notifications use the Supabase Auth UID; orders may store students.id */
+async function resolveNotificationUserId(order) {
+  if (!order.student_id) return null;
+  try {
+    const studentRow = await getStudentRowById(order.student_id);
+    if (studentRow?.user_id) return studentRow.user_id;
+  } catch (lookupError) {
+    console.error(`Failed to resolve auth user for student ${order.student_id}:`, lookupError);
+  }
+  return order.student_id;
+}
+
+class PreOrderQueueService {
+  /**
+   * Allocate restocked units of one item/size to the oldest waiting pre-orders, convert the
+   * pre-orders that are now complete, and tell the rest where they stand in the queue
+   * @param {Object} item - Restocked item row ({ id, name, education_level, size, stock });
+   *   size is the inventory size (variant) that received stock
+   * @param {Object} [options] - { matchSize, quantity, io }
+   *   matchSize: size used to find pre-orders (defaults to item.size)
+   *   quantity: units received; allocation never exceeds it or what is on hand (all on hand when omitted)
+   * @returns {Promise<Object>} { notified, converted, allocated, total, students, conversions }
+   */
+  async allocateRestock(item, options = {}) {
+    const { matchSize = item.size, quantity = null, io = null } = options;
+    const empty = { notified: 0, converted: 0, allocated: 0, total: 0, students: [], conversions: [] };
+
+    const candidates = await NotificationService.findStudentsWithPendingPreOrders(
+      item.name,
+      item.education_level,
+      matchSize || null
+    );
+    if (candidates.length === 0) return empty;
+
+    const queuedLines = new Map(candidates.map((candidate) => [String(candidate.orderId), candidate.item]));
+    const stockSize = item.size || "N/A";
+
+    const { allocations, conversions, waiting } = await sql.begin(async (tx) => {
+      // Orders first, then item rows: the same lock order as returns and exchanges
+      const orders = await tx`
+        SELECT id, order_number, status, order_type, education_level, items, total_amount,
+               created_at, student_id, student_name, student_email
+        FROM orders
+        WHERE id IN ${tx([...queuedLines.keys()])}
+          AND is_active = true
+          AND order_type = 'pre-order'
+          AND status IN ${tx(QUEUED_PRE_ORDER_STATUSES)}
+        ORDER BY created_at, id
+        FOR UPDATE
+      `;
+
+      const available = await OrderService._availableStockInTransaction(tx, item.education_level, {
+        name: item.name,
+        size: stockSize,
+      });
+      const received = quantity === null ? Infinity : Math.max(Number(quantity) || 0, 0);
+      let supply = Math.min(available ?? 0, received);
+
+      const allocations = [];
+      const conversions = [];
+      const waiting = [];
+      const now = new Date().toISOString();
+
+      for (const order of orders) {
+        const items = parseOrderItems(order.items).map((line) => ({ ...line }));
+        const lineIndex = findQueuedLineIndex(items, queuedLines.get(String(order.id)));
+        if (lineIndex === -1) continue;
+
+        const line = items[lineIndex];
+        const take = Math.min(getWaitingQuantity(line), supply);
+        if (take > 0) {
+          line.allocated_quantity = (Number(line.allocated_quantity) || 0) + take;
+          supply -= take;
+          allocations.push({ order, lineIndex, quantity: take });
+        }
+
+        if (items.every((orderLine) => getWaitingQuantity(orderLine) === 0)) {
+          const qrCodeData = generateOrderReceiptQRData({
+            orderNumber: order.order_number,
+            studentId: order.student_id,
+            studentName: order.student_name,
+            studentEmail: order.student_email,
+            items,
+            educationLevel: order.education_level,
+            totalAmount: order.total_amount,
+            orderDate: order.created_at,
+            status: "pending",
+          });
+          const [converted] = await tx`
+            UPDATE orders
+            SET items = ${tx.json(items)},
+                order_type = 'regular',
+                status = 'pending',
+                qr_code_data = ${qrCodeData},
+                updated_at = ${now}
+            WHERE id = ${order.id}
+            RETURNING *
+          `;
+          conversions.push(converted);
+          continue;
+        }
+
+        if (take > 0) {
+          await tx`
+            UPDATE orders
+            SET items = ${tx.json(items)}, updated_at = ${now}
+            WHERE id = ${order.id}
+          `;
+        }
+        if (getWaitingQuantity(line) > 0) {
+          waiting.push({ order, line, position: waiting.length + 1 });
+        }
+      }
+
+      if (allocations.length > 0) {
+        const movement = await OrderService._moveStockInTransaction(
+          tx,
+          item.education_level,
+          allocations.map((allocation) => ({
+            name: item.name,
+            size: stockSize,
+            quantity: allocation.quantity,
+            restock: false,
+          }))
+        );
+        await StockLedgerService.recordMovements(
+          movement.stockMovements.map((stockMovement, index) => ({
+            ...stockMovement,
+            reasonCode: StockLedgerService.REASON_CODES.PRE_ORDER_ALLOCATED,
+            orderId: allocations[index].order.id,
+            orderNumber: allocations[index].order.order_number,
+            actorId: allocations[index].order.student_id,
+            actorEmail: allocations[index].order.student_email,
+          })),
+          tx
+        );
+      }
+
+      return { allocations, conversions, waiting };
+    });
+
+    const allocatedUnits = allocations.reduce((sum, allocation) => sum + allocation.quantity, 0);
+    if (!isProduction) {
+      console.log(
+        `Pre-order queue for ${item.name} (Size: ${stockSize}): allocated ${allocatedUnits} unit(s), converted ${conversions.length}, still waiting ${waiting.length}`
+      );
+    }
+
+    const students = [];
+    for (const order of conversions) {
+      students.push(await this._notifyConverted(order, item, io));
+      OrderEmailService.notifyOrderEvent(OrderEmailService.EVENTS.PRE_ORDER_CONVERTED, order);
+    }
+    for (const entry of waiting) {
+      students.push(await this._notifyQueuePosition(entry, item, io));
+    }
+
+    return {
+      notified: students.filter((student) => student.success).length,
+      converted: conversions.length,
+      allocated: allocatedUnits,
+      total: students.length,
+      students,
+      conversions: conversions.map((order) => ({
+        orderId: order.id,
+        orderNumber: order.order_number,
+        studentId: order.student_id,
+      })),
+    };
+  }
+
+  /**
+   * Tell a student their pre-order became a regular order
+   * @returns {Promise<Object>} Per-student result for allocateRestock
+   */
+  async _notifyConverted(order, item, io) {
+    const result = {
+      studentId: order.student_id,
+      studentName: order.student_name,
+      orderNumber: order.order_number,
+      orderId: order.id,
+      converted: true,
+      success: true,
+    };
+    try {
+      const studentUserId = await resolveNotificationUserId(order);
+      if (!studentUserId) return { ...result, success: false, error: "Student not found" };
+
+      const notification = await NotificationService.createRestockNotification({
+        studentId: studentUserId,
+        itemName: item.name,
+        educationLevel: item.education_level,
+        size: item.size || null,
+        orderNumber: order.order_number,
+        inventoryId: item.id,
+        orderConverted: true,
+      });
+      if (io) {
+        io.emit("items:restocked", {
+          userId: studentUserId,
+          notification: notification.data,
+          item: {
+            id: item.id,
+            name: item.name,
+            educationLevel: item.education_level,
+            size: item.size || null,
+            stock: item.stock,
+          },
+          order: { id: order.id, orderNumber: order.order_number, converted: true },
+        });
+        io.emit("order:converted", {
+          orderId: order.id,
+          orderNumber: order.order_number,
+          userId: order.student_id,
+          order,
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error(`Failed to notify student ${order.student_id} of pre-order conversion:`, error);
+      return { ...result, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Tell a student still waiting on this item their position in the queue
+   * @param {Object} entry - { order, line, position }
+   * @returns {Promise<Object>} Per-student result for allocateRestock
+   */
+  async _notifyQueuePosition({ order, line, position }, item, io) {
+    const result = {
+      studentId: order.student_id,
+      studentName: order.student_name,
+      orderNumber: order.order_number,
+      orderId: order.id,
+      converted: false,
+      position,
+      success: true,
+    };
+    try {
+      const studentUserId = await resolveNotificationUserId(order);
+      if (!studentUserId) return { ...result, success: false, error: "Student not found" };
+
+      const notification = await NotificationService.createPreOrderQueueNotification({
+        studentId: studentUserId,
+        itemName: item.name,
+        educationLevel: item.education_level,
+        size: line.size || item.size || null,
+        orderNumber: order.order_number,
+        orderId: order.id,
+        position,
+        waitingQuantity: getWaitingQuantity(line),
+        allocatedQuantity: Number(line.allocated_quantity) || 0,
+      });
+      if (io && notification?.data) {
+        io.emit("notification:created", {
+          userId: studentUserId,
+          notification: notification.data,
+        });
+      }
+      return result;
+    } catch (error) {
+      console.error(`Failed to notify student ${order.student_id} of pre-order queue position:`, error);
+      return { ...result, success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new PreOrderQueueService();
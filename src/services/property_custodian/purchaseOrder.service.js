@@ -0,0 +1,966 @@
+const { sql } = require("../../config/database");
+const InventoryService = require("./inventory.service");
+const ItemVariantsService = require("./itemVariants.service");
+const { toDateOnly, parseDateOnly } = require("../../utils/dateOnly");
+
+/**
+ * Purchase Order Service
+ *
+ * Purchase orders (PO) for restocking:
+ * 1. Draft a PO for a supplier with one line per item / size (quantity and unit cost)
+ * 2. Mark it ordered once sent to the supplier; the expected date defaults to the order
+ *    date plus the supplier's quoted lead time
+ * 3. Receive deliveries against it, in full or in parts. The received quantities are
+ *    claimed on the PO lines in one transaction (so two receipts can't over-receive), then
+ *    each delivered line is posted to stock through InventoryService.addStock: purchases,
+ *    FIFO purchase batch at the delivered unit cost, stock ledger PURCHASE movement with the
+ *    PO number as reference, and pre-order allocation. A line that fails to post keeps its
+ *    error and can be posted again.
+ * 4. Outstanding balances: what is still to be delivered on open POs, per line and per
+ *    item / size (on order)
+ * A partially received PO whose balance won't come is closed; a PO with nothing received
+ * can be cancelled.
+ */
+
+const PO_STATUS = {
+  DRAFT: "draft",
+  ORDERED: "ordered",
+  PARTIALLY_RECEIVED: "partially_received",
+  RECEIVED: "received",
+  CLOSED: "closed",
+  CANCELLED: "cancelled",
+};
+
+/** Statuses that still expect deliveries */
+const OPEN_STATUSES = [PO_STATUS.ORDERED, PO_STATUS.PARTIALLY_RECEIVED];
+
+const PO_SEQUENCE = "purchase_order";
+
+function isProvided(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+function cleanText(value) {
+  return isProvided(value) ? String(value).trim() || null : null;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/** DATE columns come back as UTC-midnight Dates */
+function dateOnly(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function formatPoNumber(prefix, number, padding) {
+  return `${prefix || ""}${String(number).padStart(padding, "0")}`;
+}
+
+/** Take the next PO number; runs in the PO's transaction so the sequence has no gaps */
+async function issuePoNumber(tx) {
+  const [sequence] = await tx`
+    UPDATE receipt_number_sequences
+    SET next_number = next_number + 1
+    WHERE name = ${PO_SEQUENCE}
+    RETURNING prefix, next_number - 1 AS number, padding
+  `;
+  if (!sequence) throw new Error("Purchase order number sequence is not configured");
+  return formatPoNumber(sequence.prefix, sequence.number, sequence.padding);
+}
+
+async function lockPurchaseOrder(tx, purchaseOrderId) {
+  const [purchaseOrder] = await tx`
+    SELECT p.*, s.name AS supplier_name, s.lead_time_days AS supplier_lead_time_days
+    FROM purchase_orders p
+    JOIN suppliers s ON s.id = p.supplier_id
+    WHERE p.id = ${purchaseOrderId}
+    FOR UPDATE OF p
+  `;
+  if (!purchaseOrder) throw new Error("Purchase order not found");
+  return purchaseOrder;
+}
+
+async function getActiveSupplier(db, supplierId) {
+  if (!supplierId) throw new Error("supplierId is required");
+  const [supplier] = await db`SELECT * FROM suppliers WHERE id = ${supplierId}`;
+  if (!supplier) throw new Error("Supplier not found");
+  if (!supplier.is_active) throw new Error(`Supplier ${supplier.name} is inactive`);
+  return supplier;
+}
+
+/** YYYY-MM-DD; undefined when not provided, throws when invalid */
+function parseExpectedDate(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  if (!parseDateOnly(String(value))) throw new Error("expectedDate must be a YYYY-MM-DD date");
+  return String(value);
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/** "Small (S)" / "small" / "S" all match the same size variant */
+function findSizeVariant(sizeVariations, size) {
+  const strip = (s) =>
+    String(s || "")
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  const abbreviation = (s) => {
+    const match = String(s || "").match(/\(([^)]+)\)/);
+    return match ? match[1].trim().toLowerCase() : null;
+  };
+  const requested = strip(size);
+  return (
+    sizeVariations.find((v) => String(v.size || "").trim().toLowerCase() === String(size).trim().toLowerCase()) ||
+    sizeVariations.find((v) => strip(v.size) === requested) ||
+    sizeVariations.find((v) => abbreviation(v.size) === requested) ||
+    null
+  );
+}
+
+function normalizeLine(line) {
+  const unitCost = Number(line.unit_cost);
+  const outstanding = line.quantity_ordered - line.quantity_received;
+  return {
+    ...line,
+    unit_cost: unitCost,
+    line_amount: roundAmount(line.quantity_ordered * unitCost),
+    outstanding_quantity: outstanding,
+    outstanding_amount: roundAmount(outstanding * unitCost),
+  };
+}
+
+function normalizePurchaseOrder(purchaseOrder, lines = null) {
+  const normalized = {
+    ...purchaseOrder,
+    expected_date: dateOnly(purchaseOrder.expected_date),
+  };
+  if (lines) {
+    const isOpen = OPEN_STATUSES.includes(purchaseOrder.status);
+    normalized.quantity_ordered = lines.reduce((sum, line) => sum + line.quantity_ordered, 0);
+    normalized.quantity_received = lines.reduce((sum, line) => sum + line.quantity_received, 0);
+    normalized.total_amount = roundAmount(lines.reduce((sum, line) => sum + line.line_amount, 0));
+    normalized.outstanding_quantity = isOpen
+      ? lines.reduce((sum, line) => sum + line.outstanding_quantity, 0)
+      : 0;
+    normalized.outstanding_amount = isOpen
+      ? roundAmount(lines.reduce((sum, line) => sum + line.outstanding_amount, 0))
+      : 0;
+  }
+  normalized.is_overdue = Boolean(
+    OPEN_STATUSES.includes(purchaseOrder.status) &&
+      normalized.expected_date &&
+      normalized.expected_date < toDateOnly(new Date()),
+  );
+  return normalized;
+}
+
+async function logPurchaseOrderTransaction(action, actor, details, metadata) {
+  try {
+    const TransactionService = require("../transaction.service");
+    await TransactionService.logTransaction(
+      "Inventory",
+      action,
+      actor?.userId || null,
+      details,
+      metadata,
+      actor?.email || null,
+    );
+  } catch (txError) {
+    console.error(`Failed to log ${action} transaction:`, txError);
+  }
+}
+
+class PurchaseOrderService {
+  /**
+   * List purchase orders with their quantities, total and outstanding balance
+   * @param {Object} filters - { status, supplierId, search (PO number or supplier) }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getPurchaseOrders(filters = {}) {
+    try {
+      const search = cleanText(filters.search);
+      const rows = await sql`
+        SELECT p.*, s.name AS supplier_name,
+               COALESCE(SUM(l.quantity_ordered), 0)::int AS quantity_ordered,
+               COALESCE(SUM(l.quantity_received), 0)::int AS quantity_received,
+               COALESCE(SUM(l.quantity_ordered * l.unit_cost), 0) AS total_amount,
+               COALESCE(SUM((l.quantity_ordered - l.quantity_received) * l.unit_cost), 0) AS balance_amount
+        FROM purchase_orders p
+        JOIN suppliers s ON s.id = p.supplier_id
+        LEFT JOIN purchase_order_lines l ON l.purchase_order_id = p.id
+        WHERE TRUE
+          ${filters.status ? sql`AND p.status = ${filters.status}` : sql``}
+          ${filters.supplierId ? sql`AND p.supplier_id = ${filters.supplierId}` : sql``}
+          ${search ? sql`AND (p.po_number ILIKE ${`%${search}%`} OR s.name ILIKE ${`%${search}%`})` : sql``}
+        GROUP BY p.id, s.name
+        ORDER BY p.created_at DESC
+      `;
+
+      return {
+        success: true,
+        data: rows.map(({ balance_amount: balanceAmount, ...row }) => {
+          const isOpen = OPEN_STATUSES.includes(row.status);
+          return {
+            ...normalizePurchaseOrder(row),
+            total_amount: roundAmount(row.total_amount),
+            outstanding_quantity: isOpen ? row.quantity_ordered - row.quantity_received : 0,
+            outstanding_amount: isOpen ? roundAmount(balanceAmount) : 0,
+          };
+        }),
+      };
+    } catch (error) {
+      console.error("Get purchase orders error:", error);
+      throw new Error(`Failed to fetch purchase orders: ${error.message}`);
+    }
+  }
+
+  /**
+   * Purchase order with its lines (received / outstanding) and deliveries
+   * @param {string} purchaseOrderId
+   * @returns {Promise<Object>} { success, data: { purchase_order, lines, deliveries } }
+   */
+  async getPurchaseOrderById(purchaseOrderId) {
+    try {
+      const [purchaseOrder] = await sql`
+        SELECT p.*, s.name AS supplier_name, s.lead_time_days AS supplier_lead_time_days
+        FROM purchase_orders p
+        JOIN suppliers s ON s.id = p.supplier_id
+        WHERE p.id = ${purchaseOrderId}
+      `;
+      if (!purchaseOrder) throw new Error("Purchase order not found");
+
+      const lines = (
+        await sql`
+          SELECT * FROM purchase_order_lines
+          WHERE purchase_order_id = ${purchaseOrder.id}
+          ORDER BY item_name ASC, size ASC
+        `
+      ).map(normalizeLine);
+
+      const deliveries = await sql`
+        SELECT * FROM purchase_order_deliveries
+        WHERE purchase_order_id = ${purchaseOrder.id}
+        ORDER BY delivered_at ASC, created_at ASC
+      `;
+      const deliveryLines = deliveries.length
+        ? await sql`
+            SELECT dl.*, l.item_name
+            FROM purchase_order_delivery_lines dl
+            JOIN purchase_order_lines l ON l.id = dl.purchase_order_line_id
+            WHERE dl.delivery_id IN ${sql(deliveries.map((delivery) => delivery.id))}
+            ORDER BY l.item_name ASC, dl.size ASC
+          `
+        : [];
+
+      return {
+        success: true,
+        data: {
+          purchase_order: normalizePurchaseOrder(purchaseOrder, lines),
+          lines,
+          deliveries: deliveries.map((delivery) => {
+            const ownLines = deliveryLines
+              .filter((line) => String(line.delivery_id) === String(delivery.id))
+              .map((line) => ({ ...line, unit_cost: Number(line.unit_cost) }));
+            return {
+              ...delivery,
+              lines: ownLines,
+              unposted_lines: ownLines.filter((line) => !line.posted_at).length,
+            };
+          }),
+        },
+      };
+    } catch (error) {
+      console.error("Get purchase order error:", error);
+      throw new Error(`Failed to fetch purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate requested lines against active items and their size variants
+   * @param {Array<Object>} lines - [{ itemId, size?, quantity, unitCost? }]
+   *   unitCost defaults to the size's last purchase unit cost (or the item price)
+   * @returns {Promise<Array<Object>>} purchase_order_lines rows without purchase_order_id
+   */
+  async _resolveLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new Error("lines must be a non-empty array");
+    }
+    for (const line of lines) {
+      if (!line.itemId) throw new Error("Each line needs an itemId");
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error("quantity must be a whole number greater than 0");
+      }
+      if (isProvided(line.unitCost) && !(Number(line.unitCost) >= 0)) {
+        throw new Error("unitCost must be a number of 0 or more");
+      }
+    }
+
+    const itemIds = [...new Set(lines.map((line) => String(line.itemId)))];
+    const items = await sql`
+      SELECT id, name, education_level, size, stock, note, price, is_active
+      FROM items
+      WHERE id IN ${sql(itemIds)}
+    `;
+    const itemsById = new Map(items.map((item) => [String(item.id), item]));
+    const variantsByItemId = await ItemVariantsService.getVariantsByItemIds(itemIds);
+
+    const resolved = new Map();
+    for (const line of lines) {
+      const item = itemsById.get(String(line.itemId));
+      if (!item || item.is_active === false) throw new Error(`Item ${line.itemId} not found`);
+
+      const { sizeVariations } = ItemVariantsService.getLayout(item, variantsByItemId);
+      let size = item.size || "N/A";
+      let variant = null;
+      if (sizeVariations.length > 0) {
+        if (isProvided(line.size)) {
+          variant = findSizeVariant(sizeVariations, line.size);
+          if (!variant) {
+            throw new Error(
+              `Size "${line.size}" not found for ${item.name}. Available: ${sizeVariations.map((v) => v.size).join(", ")}`,
+            );
+          }
+        } else if (sizeVariations.length === 1) {
+          variant = sizeVariations[0];
+        } else {
+          throw new Error(`${item.name} has multiple sizes; each line needs a size`);
+        }
+        size = variant.size || "N/A";
+      }
+
+      const key = `${item.id}:${size}`;
+      if (resolved.has(key)) throw new Error(`${item.name} (Size: ${size}) is listed more than once`);
+
+      const defaultCost =
+        Number(variant?.purchase_unit_price) || Number(variant?.price) || Number(item.price) || 0;
+      resolved.set(key, {
+        item_id: item.id,
+        variant_id: variant?.variant_id || null,
+        item_name: item.name,
+        education_level: item.education_level,
+        size,
+        quantity_ordered: line.quantity,
+        unit_cost: roundAmount(isProvided(line.unitCost) ? Number(line.unitCost) : defaultCost),
+      });
+    }
+    return [...resolved.values()];
+  }
+
+  /**
+   * Draft a purchase order and issue its PO number
+   * @param {Object} input - { supplierId, expectedDate?, notes?, lines: [{ itemId, size?, quantity, unitCost? }] }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async createPurchaseOrder(input = {}, actor = {}) {
+    const expectedDate = parseExpectedDate(input.expectedDate);
+    const lines = await this._resolveLines(input.lines);
+
+    try {
+      const purchaseOrder = await sql.begin(async (tx) => {
+        const supplier = await getActiveSupplier(tx, input.supplierId);
+        const poNumber = await issuePoNumber(tx);
+        const [created] = await tx`
+          INSERT INTO purchase_orders ${tx({
+            po_number: poNumber,
+            supplier_id: supplier.id,
+            status: PO_STATUS.DRAFT,
+            expected_date: expectedDate ?? null,
+            notes: cleanText(input.notes),
+            created_by: actor.staffId || null,
+          })}
+          RETURNING *
+        `;
+        await tx`
+          INSERT INTO purchase_order_lines
+          ${tx(lines.map((line) => ({ ...line, purchase_order_id: created.id })))}
+        `;
+        return { ...created, supplier_name: supplier.name };
+      });
+
+      const totalAmount = roundAmount(
+        lines.reduce((sum, line) => sum + line.quantity_ordered * line.unit_cost, 0),
+      );
+      await logPurchaseOrderTransaction(
+        "PURCHASE ORDER CREATED",
+        actor,
+        `Purchase order ${purchaseOrder.po_number} drafted for ${purchaseOrder.supplier_name}: ${lines.length} line(s), ₱${totalAmount.toFixed(2)}`,
+        {
+          purchase_order_id: purchaseOrder.id,
+          po_number: purchaseOrder.po_number,
+          supplier_id: purchaseOrder.supplier_id,
+          line_count: lines.length,
+          total_amount: totalAmount,
+        },
+      );
+
+      return {
+        success: true,
+        data: normalizePurchaseOrder(purchaseOrder),
+        message: `Purchase order ${purchaseOrder.po_number} created`,
+      };
+    } catch (error) {
+      console.error("Create purchase order error:", error);
+      throw new Error(`Failed to create purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a draft: supplier, expected date, notes, or replace its lines
+   * @param {string} purchaseOrderId
+   * @param {Object} input - Any of { supplierId, expectedDate, notes, lines }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async updatePurchaseOrder(purchaseOrderId, input = {}, actor = {}) {
+    const expectedDate = parseExpectedDate(input.expectedDate);
+    const lines = input.lines !== undefined ? await this._resolveLines(input.lines) : null;
+
+    try {
+      const purchaseOrder = await sql.begin(async (tx) => {
+        const current = await lockPurchaseOrder(tx, purchaseOrderId);
+        if (current.status !== PO_STATUS.DRAFT) {
+          throw new Error(`Only draft purchase orders can be edited (this one is ${current.status})`);
+        }
+
+        const updates = { updated_at: new Date().toISOString() };
+        let supplierName = current.supplier_name;
+        if (input.supplierId !== undefined) {
+          const supplier = await getActiveSupplier(tx, input.supplierId);
+          updates.supplier_id = supplier.id;
+          supplierName = supplier.name;
+        }
+        if (expectedDate !== undefined) updates.expected_date = expectedDate;
+        if (input.notes !== undefined) updates.notes = cleanText(input.notes);
+
+        const [updated] = await tx`
+          UPDATE purchase_orders SET ${tx(updates)}
+          WHERE id = ${current.id}
+          RETURNING *
+        `;
+        if (lines) {
+          await tx`DELETE FROM purchase_order_lines WHERE purchase_order_id = ${current.id}`;
+          await tx`
+            INSERT INTO purchase_order_lines
+            ${tx(lines.map((line) => ({ ...line, purchase_order_id: current.id })))}
+          `;
+        }
+        return { ...updated, supplier_name: supplierName };
+      });
+
+      await logPurchaseOrderTransaction(
+        "PURCHASE ORDER UPDATED",
+        actor,
+        `Purchase order ${purchaseOrder.po_number} updated${lines ? ` (${lines.length} line(s))` : ""}`,
+        { purchase_order_id: purchaseOrder.id, po_number: purchaseOrder.po_number },
+      );
+
+      return {
+        success: true,
+        data: normalizePurchaseOrder(purchaseOrder),
+        message: `Purchase order ${purchaseOrder.po_number} updated`,
+      };
+    } catch (error) {
+      console.error("Update purchase order error:", error);
+      throw new Error(`Failed to update purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark a draft as sent to the supplier. The expected date defaults to today plus the
+   * supplier's quoted lead time.
+   * @param {string} purchaseOrderId
+   * @param {Object} input - { expectedDate? }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async placeOrder(purchaseOrderId, input = {}, actor = {}) {
+    const expectedDate = parseExpectedDate(input.expectedDate);
+
+    try {
+      const purchaseOrder = await sql.begin(async (tx) => {
+        const current = await lockPurchaseOrder(tx, purchaseOrderId);
+        if (current.status !== PO_STATUS.DRAFT) {
+          throw new Error(`Purchase order is already ${current.status}`);
+        }
+
+        const now = new Date();
+        const leadTimeDays = current.supplier_lead_time_days;
+        const [updated] = await tx`
+          UPDATE purchase_orders
+          SET status = ${PO_STATUS.ORDERED},
+              ordered_by = ${actor.staffId || null},
+              ordered_at = ${now.toISOString()},
+              expected_date = ${
+                expectedDate ??
+                dateOnly(current.expected_date) ??
+                (leadTimeDays != null ? toDateOnly(addDays(now, leadTimeDays)) : null)
+              },
+              updated_at = ${now.toISOString()}
+          WHERE id = ${current.id}
+          RETURNING *
+        `;
+        return { ...updated, supplier_name: current.supplier_name };
+      });
+
+      await logPurchaseOrderTransaction(
+        "PURCHASE ORDER PLACED",
+        actor,
+        `Purchase order ${purchaseOrder.po_number} sent to ${purchaseOrder.supplier_name}${purchaseOrder.expected_date ? `, expected ${dateOnly(purchaseOrder.expected_date)}` : ""}`,
+        {
+          purchase_order_id: purchaseOrder.id,
+          po_number: purchaseOrder.po_number,
+          supplier_id: purchaseOrder.supplier_id,
+          expected_date: dateOnly(purchaseOrder.expected_date),
+        },
+      );
+
+      return {
+        success: true,
+        data: normalizePurchaseOrder(purchaseOrder),
+        message: `Purchase order ${purchaseOrder.po_number} ordered`,
+      };
+    } catch (error) {
+      console.error("Place purchase order error:", error);
+      throw new Error(`Failed to place purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Receive a delivery (full or partial) and post it to stock
+   * @param {string} purchaseOrderId
+   * @param {Object} input - { lines: [{ lineId, quantity, unitCost? }], deliveryReference?, deliveredAt?, notes? }
+   *   unitCost defaults to the PO line's unit cost; deliveredAt (YYYY-MM-DD or ISO) defaults to now
+   * @param {Object} actor - { staffId, userId, email }
+   * @param {Object} [io] - Socket.IO instance
+   * @returns {Promise<Object>} { success, data: { delivery, posting, purchase_order }, message }
+   */
+  async receiveDelivery(purchaseOrderId, input = {}, actor = {}, io = null) {
+    const received = input.lines;
+    if (!Array.isArray(received) || received.length === 0) {
+      throw new Error("lines must be a non-empty array");
+    }
+    for (const line of received) {
+      if (!line.lineId) throw new Error("Each line needs a lineId");
+      if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+        throw new Error("quantity must be a whole number greater than 0");
+      }
+      if (isProvided(line.unitCost) && !(Number(line.unitCost) >= 0)) {
+        throw new Error("unitCost must be a number of 0 or more");
+      }
+    }
+    if (new Set(received.map((line) => String(line.lineId))).size !== received.length) {
+      throw new Error("Each PO line can appear only once per delivery");
+    }
+    let deliveredAt = new Date();
+    if (isProvided(input.deliveredAt)) {
+      const dateOnlyValue = parseDateOnly(String(input.deliveredAt));
+      deliveredAt = dateOnlyValue || new Date(input.deliveredAt);
+      if (Number.isNaN(deliveredAt.getTime())) throw new Error("deliveredAt must be a valid date");
+      if (deliveredAt > new Date()) throw new Error("deliveredAt cannot be in the future");
+    }
+
+    let purchaseOrder;
+    let delivery;
+    let deliveryLines;
+    try {
+      ({ purchaseOrder, delivery, deliveryLines } = await sql.begin(async (tx) => {
+        const current = await lockPurchaseOrder(tx, purchaseOrderId);
+        if (!OPEN_STATUSES.includes(current.status)) {
+          throw new Error(
+            current.status === PO_STATUS.DRAFT
+              ? "Mark the purchase order as ordered before receiving deliveries"
+              : `Purchase order is already ${current.status}`,
+          );
+        }
+
+        const poLines = await tx`
+          SELECT * FROM purchase_order_lines
+          WHERE purchase_order_id = ${current.id}
+          FOR UPDATE
+        `;
+        const poLinesById = new Map(poLines.map((line) => [String(line.id), line]));
+        for (const line of received) {
+          const poLine = poLinesById.get(String(line.lineId));
+          if (!poLine) throw new Error(`PO line ${line.lineId} not found on ${current.po_number}`);
+          const outstanding = poLine.quantity_ordered - poLine.quantity_received;
+          if (line.quantity > outstanding) {
+            throw new Error(
+              `${poLine.item_name} (Size: ${poLine.size}): only ${outstanding} of ${poLine.quantity_ordered} still to be delivered`,
+            );
+          }
+        }
+
+        const [delivery] = await tx`
+          INSERT INTO purchase_order_deliveries ${tx({
+            purchase_order_id: current.id,
+            delivery_reference: cleanText(input.deliveryReference),
+            delivered_at: deliveredAt.toISOString(),
+            notes: cleanText(input.notes),
+            received_by: actor.staffId || null,
+            received_by_email: actor.email || null,
+          })}
+          RETURNING *
+        `;
+        const deliveryLines = await tx`
+          INSERT INTO purchase_order_delivery_lines ${tx(
+            received.map((line) => {
+              const poLine = poLinesById.get(String(line.lineId));
+              return {
+                delivery_id: delivery.id,
+                purchase_order_line_id: poLine.id,
+                item_id: poLine.item_id,
+                size: poLine.size,
+                quantity: line.quantity,
+                unit_cost: roundAmount(isProvided(line.unitCost) ? Number(line.unitCost) : poLine.unit_cost),
+              };
+            }),
+          )}
+          RETURNING *
+        `;
+
+        const now = new Date().toISOString();
+        for (const line of received) {
+          const poLine = poLinesById.get(String(line.lineId));
+          poLine.quantity_received += line.quantity;
+          await tx`
+            UPDATE purchase_order_lines
+            SET quantity_received = ${poLine.quantity_received}, updated_at = ${now}
+            WHERE id = ${poLine.id}
+          `;
+        }
+
+        const fullyReceived = poLines.every((line) => line.quantity_received >= line.quantity_ordered);
+        const [updated] = await tx`
+          UPDATE purchase_orders
+          SET status = ${fullyReceived ? PO_STATUS.RECEIVED : PO_STATUS.PARTIALLY_RECEIVED},
+              received_at = ${fullyReceived ? deliveredAt.toISOString() : null},
+              updated_at = ${now}
+          WHERE id = ${current.id}
+          RETURNING *
+        `;
+        return {
+          purchaseOrder: { ...updated, supplier_name: current.supplier_name },
+          delivery,
+          deliveryLines,
+        };
+      }));
+    } catch (error) {
+      console.error("Receive purchase order delivery error:", error);
+      throw new Error(`Failed to receive delivery: ${error.message}`);
+    }
+
+    const posting = await this._postDeliveryLines(purchaseOrder, delivery, deliveryLines, actor, io);
+    const units = deliveryLines.reduce((sum, line) => sum + line.quantity, 0);
+
+    await logPurchaseOrderTransaction(
+      "PURCHASE ORDER DELIVERY RECEIVED",
+      actor,
+      `Delivery received on ${purchaseOrder.po_number} from ${purchaseOrder.supplier_name}: ${units} unit(s) in ${deliveryLines.length} line(s)${delivery.delivery_reference ? ` (DR ${delivery.delivery_reference})` : ""}; PO ${purchaseOrder.status.replace("_", " ")}`,
+      {
+        purchase_order_id: purchaseOrder.id,
+        po_number: purchaseOrder.po_number,
+        delivery_id: delivery.id,
+        delivery_reference: delivery.delivery_reference,
+        units,
+        posted_lines: posting.posted.length,
+        failed_lines: posting.failed.length,
+        status: purchaseOrder.status,
+      },
+    );
+
+    return {
+      success: true,
+      data: { delivery, posting, purchase_order: normalizePurchaseOrder(purchaseOrder) },
+      message:
+        posting.failed.length > 0
+          ? `Delivery received; ${posting.failed.length} line(s) could not be posted to stock and can be posted again`
+          : `Delivery received and posted to stock (${units} unit(s))`,
+    };
+  }
+
+  /**
+   * Post a delivery's lines that are not in stock yet (after a failed add stock)
+   * @param {string} purchaseOrderId
+   * @param {string} deliveryId
+   * @param {Object} actor - { staffId, userId, email }
+   * @param {Object} [io] - Socket.IO instance
+   * @returns {Promise<Object>} { success, data: { delivery, posting }, message }
+   */
+  async postDelivery(purchaseOrderId, deliveryId, actor = {}, io = null) {
+    let purchaseOrder;
+    let delivery;
+    let unposted;
+    try {
+      [purchaseOrder] = await sql`
+        SELECT p.*, s.name AS supplier_name
+        FROM purchase_orders p
+        JOIN suppliers s ON s.id = p.supplier_id
+        WHERE p.id = ${purchaseOrderId}
+      `;
+      if (!purchaseOrder) throw new Error("Purchase order not found");
+      [delivery] = await sql`
+        SELECT * FROM purchase_order_deliveries
+        WHERE id = ${deliveryId} AND purchase_order_id = ${purchaseOrder.id}
+      `;
+      if (!delivery) throw new Error("Delivery not found on this purchase order");
+      unposted = await sql`
+        SELECT * FROM purchase_order_delivery_lines
+        WHERE delivery_id = ${delivery.id} AND posted_at IS NULL
+      `;
+      if (unposted.length === 0) throw new Error("Every line of this delivery is already in stock");
+    } catch (error) {
+      console.error("Post purchase order delivery error:", error);
+      throw new Error(`Failed to post delivery: ${error.message}`);
+    }
+
+    const posting = await this._postDeliveryLines(purchaseOrder, delivery, unposted, actor, io);
+    return {
+      success: true,
+      data: { delivery, posting },
+      message:
+        posting.failed.length > 0
+          ? `${posting.failed.length} line(s) still could not be posted to stock`
+          : `${posting.posted.length} line(s) posted to stock`,
+    };
+  }
+
+  /**
+   * Add delivered lines to stock one by one. Each line is claimed (posted_at set) before
+   * add stock runs so a retry running at the same time can't post it twice; a failure
+   * releases the claim and keeps the error on the line.
+   * @returns {Promise<Object>} { posted: [...], failed: [...] }
+   */
+  async _postDeliveryLines(purchaseOrder, delivery, deliveryLines, actor, io) {
+    const posted = [];
+    const failed = [];
+    const note = `Delivery${delivery.delivery_reference ? ` ${delivery.delivery_reference}` : ""} from ${purchaseOrder.supplier_name}`;
+
+    for (const line of deliveryLines) {
+      const [claimed] = await sql`
+        UPDATE purchase_order_delivery_lines
+        SET posted_at = ${new Date().toISOString()}
+        WHERE id = ${line.id} AND posted_at IS NULL
+        RETURNING id
+      `;
+      if (!claimed) continue;
+
+      const summary = {
+        deliveryLineId: line.id,
+        itemId: line.item_id,
+        size: line.size,
+        quantity: line.quantity,
+        unitCost: Number(line.unit_cost),
+      };
+      try {
+        const result = await InventoryService.addStock(
+          line.item_id,
+          line.quantity,
+          line.size !== "N/A" ? line.size : null,
+          Number(line.unit_cost),
+          io,
+          actor.userId || null,
+          actor.email || null,
+          { reference: purchaseOrder.po_number, note },
+        );
+        await sql`
+          UPDATE purchase_order_delivery_lines SET post_error = NULL WHERE id = ${line.id}
+        `;
+        posted.push({ ...summary, stock: result.data?.stock, preOrderAllocation: result.preOrderAllocation });
+      } catch (error) {
+        console.error(`Failed to post delivery line ${line.id} of ${purchaseOrder.po_number} to stock:`, error);
+        await sql`
+          UPDATE purchase_order_delivery_lines
+          SET posted_at = NULL, post_error = ${error.message}
+          WHERE id = ${line.id}
+        `;
+        failed.push({ ...summary, error: error.message });
+      }
+    }
+    return { posted, failed };
+  }
+
+  /**
+   * Close a partially received purchase order: the remaining balance is no longer expected
+   * @param {string} purchaseOrderId
+   * @param {Object} input - { reason }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async closePurchaseOrder(purchaseOrderId, input = {}, actor = {}) {
+    const reason = cleanText(input.reason);
+    if (!reason) throw new Error("A reason is required to close a purchase order");
+
+    try {
+      const purchaseOrder = await sql.begin(async (tx) => {
+        const current = await lockPurchaseOrder(tx, purchaseOrderId);
+        if (current.status !== PO_STATUS.PARTIALLY_RECEIVED) {
+          throw new Error(
+            current.status === PO_STATUS.ORDERED
+              ? "Nothing has been received yet; cancel the purchase order instead"
+              : `Purchase order is ${current.status}`,
+          );
+        }
+        const now = new Date().toISOString();
+        const [updated] = await tx`
+          UPDATE purchase_orders
+          SET status = ${PO_STATUS.CLOSED},
+              closed_by = ${actor.staffId || null},
+              closed_at = ${now},
+              close_reason = ${reason},
+              updated_at = ${now}
+          WHERE id = ${current.id}
+          RETURNING *
+        `;
+        return { ...updated, supplier_name: current.supplier_name };
+      });
+
+      await logPurchaseOrderTransaction(
+        "PURCHASE ORDER CLOSED",
+        actor,
+        `Purchase order ${purchaseOrder.po_number} closed with a balance | Reason: ${reason}`,
+        { purchase_order_id: purchaseOrder.id, po_number: purchaseOrder.po_number, reason },
+      );
+
+      return {
+        success: true,
+        data: normalizePurchaseOrder(purchaseOrder),
+        message: `Purchase order ${purchaseOrder.po_number} closed`,
+      };
+    } catch (error) {
+      console.error("Close purchase order error:", error);
+      throw new Error(`Failed to close purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel a draft or ordered purchase order that has nothing received
+   * @param {string} purchaseOrderId
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async cancelPurchaseOrder(purchaseOrderId, actor = {}) {
+    try {
+      const purchaseOrder = await sql.begin(async (tx) => {
+        const current = await lockPurchaseOrder(tx, purchaseOrderId);
+        if (![PO_STATUS.DRAFT, PO_STATUS.ORDERED].includes(current.status)) {
+          throw new Error(
+            current.status === PO_STATUS.PARTIALLY_RECEIVED
+              ? "Deliveries were already received; close the purchase order instead"
+              : `Purchase order is already ${current.status}`,
+          );
+        }
+        const now = new Date().toISOString();
+        const [updated] = await tx`
+          UPDATE purchase_orders
+          SET status = ${PO_STATUS.CANCELLED},
+              cancelled_by = ${actor.staffId || null},
+              cancelled_at = ${now},
+              updated_at = ${now}
+          WHERE id = ${current.id}
+          RETURNING *
+        `;
+        return { ...updated, supplier_name: current.supplier_name };
+      });
+
+      await logPurchaseOrderTransaction(
+        "PURCHASE ORDER CANCELLED",
+        actor,
+        `Purchase order ${purchaseOrder.po_number} cancelled`,
+        { purchase_order_id: purchaseOrder.id, po_number: purchaseOrder.po_number },
+      );
+
+      return {
+        success: true,
+        data: normalizePurchaseOrder(purchaseOrder),
+        message: `Purchase order ${purchaseOrder.po_number} cancelled`,
+      };
+    } catch (error) {
+      console.error("Cancel purchase order error:", error);
+      throw new Error(`Failed to cancel purchase order: ${error.message}`);
+    }
+  }
+
+  /**
+   * Outstanding balances: lines of open purchase orders still to be delivered, and the
+   * units on order per item / size
+   * @param {Object} filters - { supplierId, itemId, educationLevel }
+   * @returns {Promise<Object>} { success, data: { lines, on_order, totals } }
+   */
+  async getOutstanding(filters = {}) {
+    try {
+      const rows = await sql`
+        SELECT l.*, p.po_number, p.status, p.ordered_at, p.expected_date,
+               p.supplier_id, s.name AS supplier_name
+        FROM purchase_order_lines l
+        JOIN purchase_orders p ON p.id = l.purchase_order_id
+        JOIN suppliers s ON s.id = p.supplier_id
+        WHERE p.status IN ${sql(OPEN_STATUSES)}
+          AND l.quantity_received < l.quantity_ordered
+          ${filters.supplierId ? sql`AND p.supplier_id = ${filters.supplierId}` : sql``}
+          ${filters.itemId ? sql`AND l.item_id = ${filters.itemId}` : sql``}
+          ${filters.educationLevel ? sql`AND l.education_level = ${filters.educationLevel}` : sql``}
+        ORDER BY p.expected_date ASC NULLS LAST, p.po_number ASC, l.item_name ASC, l.size ASC
+      `;
+
+      const today = toDateOnly(new Date());
+      const lines = rows.map((row) => {
+        const expectedDate = dateOnly(row.expected_date);
+        return {
+          ...normalizeLine(row),
+          expected_date: expectedDate,
+          is_overdue: Boolean(expectedDate && expectedDate < today),
+        };
+      });
+
+      const onOrder = new Map();
+      for (const line of lines) {
+        const key = `${line.item_id}:${line.size}`;
+        if (!onOrder.has(key)) {
+          onOrder.set(key, {
+            item_id: line.item_id,
+            item_name: line.item_name,
+            education_level: line.education_level,
+            size: line.size,
+            on_order: 0,
+            next_expected_date: null,
+            purchase_orders: [],
+          });
+        }
+        const entry = onOrder.get(key);
+        entry.on_order += line.outstanding_quantity;
+        if (line.expected_date && (!entry.next_expected_date || line.expected_date < entry.next_expected_date)) {
+          entry.next_expected_date = line.expected_date;
+        }
+        entry.purchase_orders.push(line.po_number);
+      }
+
+      return {
+        success: true,
+        data: {
+          lines,
+          on_order: [...onOrder.values()],
+          totals: {
+            purchase_orders: new Set(lines.map((line) => line.purchase_order_id)).size,
+            outstanding_quantity: lines.reduce((sum, line) => sum + line.outstanding_quantity, 0),
+            outstanding_amount: roundAmount(lines.reduce((sum, line) => sum + line.outstanding_amount, 0)),
+            overdue_lines: lines.filter((line) => line.is_overdue).length,
+          },
+        },
+      };
+    } catch (error) {
+      console.error("Get outstanding purchase orders error:", error);
+      throw new Error(`Failed to fetch outstanding purchase orders: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new PurchaseOrderService();
@@ -0,0 +1,689 @@
+const supabase = require("../../config/supabase");
+const { sql } = require("../../config/database");
+const ItemsService = require("./items.service");
+const ItemVariantsService = require("./itemVariants.service");
+const StockLedgerService = require("./stockLedger.service");
+
+/**
+ * Stock Count Service
+ *
+ * Physical stock count (cycle count) sessions:
+ * 1. Open a session: the count sheet gets one line per item / size (optionally one education level)
+ * 2. Enter counted quantities; each line keeps the system stock at the time it was counted
+ * 3. Review the variance (counted - stock at count time); approve each variance with a reason
+ * 4. Post: approved variances are applied to live stock in one transaction (stock ledger
+ *    ADJUSTMENT movements), then logged in transactions
+ */
+
+const SESSION_STATUS = {
+  OPEN: "open",
+  POSTED: "posted",
+  CANCELLED: "cancelled",
+};
+
+/** PostgREST returns at most 1000 rows per request */
+const PAGE_SIZE = 1000;
+
+async function selectAllLines(sessionId) {
+  const lines = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("stock_count_lines")
+      .select("*")
+      .eq("session_id", sessionId)
+      .order("item_name", { ascending: true })
+      .order("size", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    lines.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return lines;
+}
+
+async function logStockCountTransaction(action, actor, details, metadata) {
+  try {
+    const TransactionService = require("../transaction.service");
+    await TransactionService.logTransaction(
+      "Inventory",
+      action,
+      actor?.userId || null,
+      details,
+      metadata,
+      actor?.email || null,
+    );
+  } catch (txError) {
+    console.error(`Failed to log ${action} transaction:`, txError);
+  }
+}
+
+class StockCountService {
+  /**
+   * Fetch a session and make sure it can still be changed
+   */
+  async _getOpenSession(sessionId) {
+    const { data: session, error } = await supabase
+      .from("stock_count_sessions")
+      .select("*")
+      .eq("id", sessionId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!session) throw new Error("Stock count session not found");
+    if (session.status !== SESSION_STATUS.OPEN) {
+      throw new Error(`Stock count session is already ${session.status}`);
+    }
+    return session;
+  }
+
+  /**
+   * Current stock per count line (size variant stock, or the item row stock)
+   * @param {Array<Object>} lines - stock_count_lines rows
+   * @returns {Promise<Map<string, { stock: number, isVariant: boolean }>>} Keyed by line id
+   */
+  async _getLiveStock(lines) {
+    const itemIds = [...new Set(lines.map((line) => line.item_id))];
+    const liveStock = new Map();
+    if (itemIds.length === 0) return liveStock;
+
+    const items = [];
+    for (let i = 0; i < itemIds.length; i += 100) {
+      const { data, error } = await supabase
+        .from("items")
+        .select("id, size, stock, note")
+        .in("id", itemIds.slice(i, i + 100));
+      if (error) throw error;
+      items.push(...(data || []));
+    }
+    const itemsById = new Map(items.map((item) => [String(item.id), item]));
+    const variantsByItemId = await ItemVariantsService.getVariantsByItemIds(itemIds);
+
+    for (const line of lines) {
+      const item = itemsById.get(String(line.item_id));
+      if (!item) {
+        liveStock.set(line.id, { stock: 0, isVariant: false });
+        continue;
+      }
+      const { sizeVariations } = ItemVariantsService.getLayout(item, variantsByItemId);
+      const variant =
+        sizeVariations.find((v) => line.variant_id && v.variant_id === line.variant_id) ||
+        sizeVariations.find((v) => (v.size || "N/A") === line.size);
+      liveStock.set(line.id, {
+        stock: variant ? Number(variant.stock) || 0 : Number(item.stock) || 0,
+        isVariant: Boolean(variant),
+      });
+    }
+    return liveStock;
+  }
+
+  /**
+   * Variance of a count line: counted quantity minus the system stock when it was counted
+   * (lines counted before stock_at_count existed fall back to the stock at session open)
+   * @param {Object} line - stock_count_lines row
+   * @returns {number|null} null while the line is not counted
+   */
+  getLineVariance(line) {
+    if (!line || line.counted_quantity == null) return null;
+    const stockAtCount = line.stock_at_count != null ? line.stock_at_count : line.system_stock;
+    return (Number(line.counted_quantity) || 0) - (Number(stockAtCount) || 0);
+  }
+
+  /**
+   * List count sessions
+   * @param {Object} filters - { status, educationLevel }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getSessions(filters = {}) {
+    try {
+      let query = supabase
+        .from("stock_count_sessions")
+        .select("*")
+        .order("created_at", { ascending: false });
+
+      if (filters.status) query = query.eq("status", filters.status);
+      if (filters.educationLevel) query = query.eq("education_level", filters.educationLevel);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error("Get stock count sessions error:", error);
+      throw new Error(`Failed to fetch stock count sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a count session and build its count sheet from active items
+   * @param {Object} sessionData - { title, educationLevel?, notes? }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async openSession(sessionData, actor = {}) {
+    try {
+      const educationLevel = sessionData.educationLevel || null;
+      const title =
+        (sessionData.title || "").trim() ||
+        `Stock count ${new Date().toISOString().slice(0, 10)}${educationLevel ? ` - ${educationLevel}` : ""}`;
+
+      let itemsQuery = supabase
+        .from("items")
+        .select("id, name, education_level, size, stock, note")
+        .eq("is_active", true)
+        .order("name", { ascending: true });
+      if (educationLevel) itemsQuery = itemsQuery.eq("education_level", educationLevel);
+
+      const { data: items, error: itemsError } = await itemsQuery;
+      if (itemsError) throw itemsError;
+      if (!items || items.length === 0) {
+        throw new Error(
+          `No active items to count${educationLevel ? ` for ${educationLevel}` : ""}`,
+        );
+      }
+
+      const { data: session, error: sessionError } = await supabase
+        .from("stock_count_sessions")
+        .insert({
+          title,
+          education_level: educationLevel,
+          notes: sessionData.notes || null,
+          opened_by: actor.staffId || null,
+        })
+        .select()
+        .single();
+      if (sessionError) throw sessionError;
+
+      const variantsByItemId = await ItemVariantsService.getVariantsByItemIds(
+        items.map((item) => item.id),
+      );
+
+      const linesByKey = new Map();
+      for (const item of items) {
+        const { sizeVariations } = ItemVariantsService.getLayout(item, variantsByItemId);
+        const entries =
+          sizeVariations.length > 0
+            ? sizeVariations.map((v) => ({
+                size: v.size || "N/A",
+                stock: Number(v.stock) || 0,
+                variantId: v.variant_id || null,
+              }))
+            : [{ size: item.size || "N/A", stock: Number(item.stock) || 0, variantId: null }];
+
+        for (const entry of entries) {
+          const key = `${item.id}:${entry.size}`;
+          if (linesByKey.has(key)) continue;
+          linesByKey.set(key, {
+            session_id: session.id,
+            item_id: item.id,
+            variant_id: entry.variantId,
+            item_name: item.name,
+            education_level: item.education_level,
+            size: entry.size,
+            system_stock: entry.stock,
+          });
+        }
+      }
+
+      const lines = [...linesByKey.values()];
+      for (let i = 0; i < lines.length; i += 500) {
+        const { error: linesError } = await supabase
+          .from("stock_count_lines")
+          .insert(lines.slice(i, i + 500));
+        if (linesError) {
+          await supabase.from("stock_count_sessions").delete().eq("id", session.id);
+          throw linesError;
+        }
+      }
+
+      await logStockCountTransaction(
+        "STOCK COUNT OPENED",
+        actor,
+        `Stock count opened: ${title} (${lines.length} line(s))`,
+        {
+          stock_count_session_id: session.id,
+          title,
+          education_level: educationLevel,
+          line_count: lines.length,
+        },
+      );
+
+      return {
+        success: true,
+        data: { ...session, line_count: lines.length },
+        message: `Stock count opened with ${lines.length} line(s)`,
+      };
+    } catch (error) {
+      console.error("Open stock count session error:", error);
+      throw new Error(`Failed to open stock count session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Session with its count sheet and the variance of each line against the stock when it was counted
+   * @param {string} sessionId - Session ID
+   * @param {Object} filters - { educationLevel, onlyVariances }
+   * @returns {Promise<Object>} { success, data: { session, lines, summary } }
+   */
+  async getSessionById(sessionId, filters = {}) {
+    try {
+      const { data: session, error } = await supabase
+        .from("stock_count_sessions")
+        .select("*")
+        .eq("id", sessionId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!session) throw new Error("Stock count session not found");
+
+      let lines = await selectAllLines(sessionId);
+      if (filters.educationLevel) {
+        lines = lines.filter((line) => line.education_level === filters.educationLevel);
+      }
+
+      // current_stock is for reference only (live for open sessions); the variance is what posting applies
+      const liveStock =
+        session.status === SESSION_STATUS.OPEN ? await this._getLiveStock(lines) : new Map();
+
+      let reviewed = lines.map((line) => {
+        const currentStock = liveStock.has(line.id)
+          ? liveStock.get(line.id).stock
+          : line.system_stock;
+        return { ...line, current_stock: currentStock, variance: this.getLineVariance(line) };
+      });
+
+      if (filters.onlyVariances) {
+        reviewed = reviewed.filter((line) => line.variance != null && line.variance !== 0);
+      }
+
+      const counted = reviewed.filter((line) => line.counted_quantity != null);
+      const withVariance = counted.filter((line) => line.variance !== 0);
+
+      return {
+        success: true,
+        data: {
+          session,
+          lines: reviewed,
+          summary: {
+            total_lines: reviewed.length,
+            counted_lines: counted.length,
+            uncounted_lines: reviewed.length - counted.length,
+            lines_with_variance: withVariance.length,
+            approved_lines: withVariance.filter((line) => line.approved).length,
+            net_variance: withVariance.reduce((sum, line) => sum + line.variance, 0),
+          },
+        },
+      };
+    } catch (error) {
+      console.error("Get stock count session error:", error);
+      throw new Error(`Failed to fetch stock count session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enter counted quantities. Each counted line records the system stock at that moment
+   * (stock_at_count). Re-counting a line clears its approval.
+   * @param {string} sessionId - Session ID
+   * @param {Array<Object>} counts - [{ lineId, countedQuantity }]
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async enterCounts(sessionId, counts, actor = {}) {
+    try {
+      await this._getOpenSession(sessionId);
+
+      if (!Array.isArray(counts) || counts.length === 0) {
+        throw new Error("counts must be a non-empty array");
+      }
+      for (const count of counts) {
+        const quantity = count.countedQuantity;
+        if (!count.lineId) throw new Error("Each count needs a lineId");
+        if (quantity !== null && (!Number.isInteger(quantity) || quantity < 0)) {
+          throw new Error("countedQuantity must be a whole number of 0 or more (or null to clear)");
+        }
+      }
+
+      const lineIds = [...new Set(counts.map((count) => count.lineId))];
+      const sheetLines = [];
+      for (let i = 0; i < lineIds.length; i += 100) {
+        const { data, error } = await supabase
+          .from("stock_count_lines")
+          .select("id, item_id, variant_id, size")
+          .eq("session_id", sessionId)
+          .in("id", lineIds.slice(i, i + 100));
+        if (error) throw error;
+        sheetLines.push(...(data || []));
+      }
+      const liveStock = await this._getLiveStock(sheetLines);
+
+      const now = new Date().toISOString();
+      const updated = [];
+      for (const count of counts) {
+        if (!liveStock.has(count.lineId)) {
+          throw new Error(`Count line ${count.lineId} not found in this session`);
+        }
+        const { data, error } = await supabase
+          .from("stock_count_lines")
+          .update({
+            counted_quantity: count.countedQuantity,
+            stock_at_count:
+              count.countedQuantity === null ? null : liveStock.get(count.lineId).stock,
+            counted_by: count.countedQuantity === null ? null : actor.staffId || null,
+            counted_at: count.countedQuantity === null ? null : now,
+            approved: false,
+            reviewed_by: null,
+            reviewed_at: null,
+            updated_at: now,
+          })
+          .eq("id", count.lineId)
+          .eq("session_id", sessionId)
+          .select()
+          .maybeSingle();
+        if (error) throw error;
+        if (!data) throw new Error(`Count line ${count.lineId} not found in this session`);
+        updated.push(data);
+      }
+
+      return {
+        success: true,
+        data: updated,
+        message: `${updated.length} count(s) saved`,
+      };
+    } catch (error) {
+      console.error("Enter stock counts error:", error);
+      throw new Error(`Failed to save counts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Approve or reject variances. Approving a line requires a reason.
+   * @param {string} sessionId - Session ID
+   * @param {Array<Object>} decisions - [{ lineId, approved, reason }]
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async reviewVariances(sessionId, decisions, actor = {}) {
+    try {
+      await this._getOpenSession(sessionId);
+
+      if (!Array.isArray(decisions) || decisions.length === 0) {
+        throw new Error("lines must be a non-empty array");
+      }
+
+      const now = new Date().toISOString();
+      const updated = [];
+      for (const decision of decisions) {
+        if (!decision.lineId) throw new Error("Each line needs a lineId");
+        const approved = decision.approved === true;
+        const reason = (decision.reason || "").trim();
+        if (approved && !reason) {
+          throw new Error(`A reason is required to approve the variance on line ${decision.lineId}`);
+        }
+
+        if (approved) {
+          const { data: line, error: lineError } = await supabase
+            .from("stock_count_lines")
+            .select("id, counted_quantity")
+            .eq("id", decision.lineId)
+            .eq("session_id", sessionId)
+            .maybeSingle();
+          if (lineError) throw lineError;
+          if (!line) throw new Error(`Count line ${decision.lineId} not found in this session`);
+          if (line.counted_quantity == null) {
+            throw new Error(`Line ${decision.lineId} has not been counted yet`);
+          }
+        }
+
+        const { data, error } = await supabase
+          .from("stock_count_lines")
+          .update({
+            approved,
+            reason: reason || null,
+            reviewed_by: actor.staffId || null,
+            reviewed_at: now,
+            updated_at: now,
+          })
+          .eq("id", decision.lineId)
+          .eq("session_id", sessionId)
+          .select()
+          .maybeSingle();
+        if (error) throw error;
+        if (!data) throw new Error(`Count line ${decision.lineId} not found in this session`);
+        updated.push(data);
+      }
+
+      return {
+        success: true,
+        data: updated,
+        message: `${updated.filter((line) => line.approved).length} variance(s) approved`,
+      };
+    } catch (error) {
+      console.error("Review stock count variances error:", error);
+      throw new Error(`Failed to review variances: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post approved variances as stock adjustments and close the session.
+   * Unapproved lines are left unchanged. Each line's variance (counted - stock when counted)
+   * is added to the live stock, so orders, releases and restocks made after the line was
+   * counted are kept. Stock, ledger, lines and session are written in one transaction with
+   * the session and item rows locked.
+   * @param {string} sessionId - Session ID
+   * @param {Object} actor - { staffId, userId, email }
+   * @param {Object} io - Socket.IO instance
+   * @returns {Promise<Object>} { success, data: { session, adjustments }, message }
+   */
+  async postSession(sessionId, actor = {}, io = null) {
+    try {
+      const { session, postedSession, adjustments, updatedItems } = await sql.begin(async (tx) => {
+        const [session] = await tx`
+          SELECT * FROM stock_count_sessions WHERE id = ${sessionId} FOR UPDATE
+        `;
+        if (!session) throw new Error("Stock count session not found");
+        if (session.status !== SESSION_STATUS.OPEN) {
+          throw new Error(`Stock count session is already ${session.status}`);
+        }
+
+        const lines = await tx`
+          SELECT * FROM stock_count_lines
+          WHERE session_id = ${sessionId}
+            AND approved = true
+            AND counted_quantity IS NOT NULL
+            AND posted_at IS NULL
+          ORDER BY item_name, size
+        `;
+
+        // Lock the items in id order (same sequence as order placement) before touching variants
+        const itemIds = [...new Set(lines.map((line) => String(line.item_id)))].sort();
+        if (itemIds.length > 0) {
+          await tx`SELECT id FROM items WHERE id IN ${tx(itemIds)} ORDER BY id FOR UPDATE`;
+        }
+
+        const adjustments = [];
+        const movements = [];
+        const updatedItems = [];
+        for (const itemId of itemIds) {
+          const itemLines = lines.filter((line) => String(line.item_id) === itemId);
+          const { before, after } = await ItemVariantsService.updateItemVariants(
+            itemId,
+            (item, layout) => {
+              const { sizeVariations } = layout;
+              for (const line of itemLines) {
+                const variant =
+                  sizeVariations.find((v) => line.variant_id && v.variant_id === line.variant_id) ||
+                  sizeVariations.find((v) => (v.size || "N/A") === line.size);
+                if (!variant && sizeVariations.length > 0) {
+                  throw new Error(
+                    `${line.item_name} no longer has a size "${line.size}"; recount it in a new session`,
+                  );
+                }
+                const previousStock = Number(variant ? variant.stock : item.stock) || 0;
+                const newStock = Math.max(0, previousStock + this.getLineVariance(line));
+                if (variant) variant.stock = newStock;
+                else item.stock = newStock;
+
+                adjustments.push({
+                  line,
+                  variantId: variant?.variant_id || null,
+                  previousStock,
+                  adjustment: newStock - previousStock,
+                });
+              }
+              // items.stock is recomputed from the variants when they are written
+              return sizeVariations.length > 0 ? {} : { stock: item.stock };
+            },
+            tx,
+          );
+          if (Number(before.stock) !== Number(after.stock)) updatedItems.push({ before, after });
+        }
+
+        const postedAt = new Date().toISOString();
+        for (const entry of adjustments) {
+          const { line, adjustment } = entry;
+          if (adjustment !== 0) {
+            movements.push({
+              itemId: line.item_id,
+              variantId: entry.variantId,
+              size: line.size,
+              delta: adjustment,
+              reasonCode: StockLedgerService.REASON_CODES.ADJUSTMENT,
+              reference: session.id,
+              actorId: actor.userId || null,
+              actorEmail: actor.email || null,
+              note: `Stock count "${session.title}": ${line.reason}`,
+            });
+          }
+          await tx`
+            UPDATE stock_count_lines
+            SET posted_adjustment = ${adjustment}, posted_at = ${postedAt}, updated_at = ${postedAt}
+            WHERE id = ${line.id}
+          `;
+        }
+        await StockLedgerService.recordMovements(movements, tx);
+
+        const [postedSession] = await tx`
+          UPDATE stock_count_sessions
+          SET status = ${SESSION_STATUS.POSTED},
+              posted_by = ${actor.staffId || null},
+              posted_at = ${postedAt},
+              updated_at = ${postedAt}
+          WHERE id = ${sessionId}
+          RETURNING *
+        `;
+
+        return { session, postedSession, adjustments, updatedItems };
+      });
+
+      for (const { line, previousStock, adjustment } of adjustments) {
+        if (adjustment === 0) continue;
+        await logStockCountTransaction(
+          "STOCK COUNT ADJUSTMENT",
+          actor,
+          `Stock count adjustment: ${line.item_name}${line.size !== "N/A" ? ` (Size: ${line.size})` : ""} ${adjustment > 0 ? "+" : ""}${adjustment} (system ${previousStock}, counted ${line.counted_quantity} against ${line.stock_at_count ?? line.system_stock} at count time) | Reason: ${line.reason}`,
+          {
+            stock_count_session_id: session.id,
+            stock_count_line_id: line.id,
+            item_id: line.item_id,
+            item_name: line.item_name,
+            education_level: line.education_level,
+            size: line.size,
+            previous_stock: previousStock,
+            stock_at_count: line.stock_at_count ?? line.system_stock,
+            counted_quantity: line.counted_quantity,
+            adjustment,
+            reason: line.reason,
+          },
+        );
+      }
+
+      for (const { after } of updatedItems) {
+        if (io) {
+          io.emit("item:updated", {
+            itemId: after.id,
+            item: after,
+            reason: `Stock count "${session.title}" posted`,
+          });
+        }
+        // Units found go to waiting pre-orders of that size
+        for (const { line, adjustment } of adjustments) {
+          if (String(line.item_id) !== String(after.id) || adjustment <= 0) continue;
+          await ItemsService.handleRestockNotifications({ ...after, size: line.size }, io, adjustment);
+        }
+      }
+
+      const changed = adjustments.filter((a) => a.adjustment !== 0);
+      const netAdjustment = changed.reduce((sum, a) => sum + a.adjustment, 0);
+      await logStockCountTransaction(
+        "STOCK COUNT POSTED",
+        actor,
+        `Stock count posted: ${session.title} (${changed.length} adjustment(s), net ${netAdjustment})`,
+        {
+          stock_count_session_id: session.id,
+          title: session.title,
+          education_level: session.education_level,
+          adjusted_lines: changed.length,
+          net_adjustment: netAdjustment,
+        },
+      );
+
+      return {
+        success: true,
+        data: {
+          session: postedSession,
+          adjustments: adjustments.map(({ line, previousStock, adjustment }) => ({
+            lineId: line.id,
+            itemId: line.item_id,
+            item: line.item_name,
+            size: line.size,
+            previousStock,
+            stockAtCount: line.stock_at_count ?? line.system_stock,
+            countedQuantity: line.counted_quantity,
+            adjustment,
+          })),
+        },
+        message: `Stock count posted: ${changed.length} adjustment(s)`,
+      };
+    } catch (error) {
+      console.error("Post stock count session error:", error);
+      throw new Error(`Failed to post stock count: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancel an open session without touching stock
+   * @param {string} sessionId - Session ID
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async cancelSession(sessionId, actor = {}) {
+    try {
+      const session = await this._getOpenSession(sessionId);
+
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from("stock_count_sessions")
+        .update({
+          status: SESSION_STATUS.CANCELLED,
+          cancelled_by: actor.staffId || null,
+          cancelled_at: now,
+          updated_at: now,
+        })
+        .eq("id", sessionId)
+        .select()
+        .single();
+      if (error) throw error;
+
+      await logStockCountTransaction(
+        "STOCK COUNT CANCELLED",
+        actor,
+        `Stock count cancelled: ${session.title}`,
+        { stock_count_session_id: session.id, title: session.title },
+      );
+
+      return { success: true, data, message: "Stock count cancelled" };
+    } catch (error) {
+      console.error("Cancel stock count session error:", error);
+      throw new Error(`Failed to cancel stock count: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new StockCountService();
@@ -0,0 +1,397 @@
+const supabase = require("../../config/supabase");
+const { sql } = require("../../config/database");
+const ItemVariantsService = require("./itemVariants.service");
+const { isMissingTableError } = require("../../utils/dbErrors");
+
+/**
+ * Stock Ledger Service
+ *
+ * Append-only stock movement ledger (stock_movements). Every change to on-hand stock
+ * is recorded as a signed delta with a reason code, the order/return it belongs to and
+ * the actor. items.stock / item_variants.stock stay the fast "current" numbers; the
+ * ledger is the history used to rebuild on-hand at a past date and to reconcile.
+ */
+
+const REASON_CODES = {
+  OPENING_BALANCE: "OPENING_BALANCE", // Stock on hand when the ledger was introduced
+  INITIAL_STOCK: "INITIAL_STOCK", // New item created with stock
+  PURCHASE: "PURCHASE", // Add stock (purchases)
+  ADJUSTMENT: "ADJUSTMENT", // Manual stock adjustment
+  ITEM_EDIT: "ITEM_EDIT", // Stock changed from the item edit form
+  RETURN: "RETURN", // Student returned an item
+  ORDER_PLACED: "ORDER_PLACED", // Stock reserved for an order
+  ORDER_RESTOCK: "ORDER_RESTOCK", // Unreleased order stock put back (cancel / void)
+  EXCHANGE: "EXCHANGE", // Replacement size handed over in a size exchange
+  PRE_ORDER_ALLOCATED: "PRE_ORDER_ALLOCATED", // Restocked units set aside for a queued pre-order
+};
+
+/** "Small (S)" / "small" / "S" all compare equal to the same variant */
+function sizeMatches(storedSize, requestedSize) {
+  const strip = (s) =>
+    String(s || "N/A")
+      .toLowerCase()
+      .replace(/\([^)]*\)/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  const abbreviation = (s) => {
+    const match = String(s || "").match(/\(([^)]+)\)/);
+    return match ? match[1].trim().toLowerCase() : null;
+  };
+  const stored = strip(storedSize);
+  const requested = strip(requestedSize);
+  if (stored === requested) return true;
+  const storedAbbr = abbreviation(storedSize);
+  return Boolean(storedAbbr && storedAbbr === requested);
+}
+
+/** Date-only values ("2025-06-30") mean the end of that day */
+function parseAsOf(asOf) {
+  if (!asOf) return new Date();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(asOf))) {
+    const [y, m, d] = String(asOf).split("-").map(Number);
+    return new Date(y, m - 1, d, 23, 59, 59, 999);
+  }
+  const date = new Date(asOf);
+  if (Number.isNaN(date.getTime())) throw new Error("asOf must be a valid date");
+  return date;
+}
+
+/** Stock per size for an items row (its size_variants, else the row itself) */
+function stockBySize(row) {
+  const map = new Map();
+  if (!row) return map;
+  const sizeVariations = Array.isArray(row.size_variants) ? row.size_variants : [];
+  if (sizeVariations.length > 0) {
+    for (const variant of sizeVariations) {
+      const size = variant.size || "N/A";
+      map.set(size, (map.get(size) || 0) + (Number(variant.stock) || 0));
+    }
+  } else {
+    map.set(row.size || "N/A", Number(row.stock) || 0);
+  }
+  return map;
+}
+
+function toLedgerRow(movement) {
+  return {
+    item_id: movement.itemId,
+    variant_id: movement.variantId || null,
+    size: movement.size || "N/A",
+    delta: Math.trunc(Number(movement.delta) || 0),
+    reason_code: movement.reasonCode,
+    order_id: movement.orderId || null,
+    order_number: movement.orderNumber || null,
+    return_id: movement.returnId || null,
+    reference: movement.reference || null,
+    actor_id: movement.actorId != null ? String(movement.actorId) : null,
+    actor_email: movement.actorEmail || null,
+    note: movement.note || null,
+  };
+}
+
+class StockLedgerService {
+  /**
+   * Append movements to the ledger.
+   * Outside a transaction a failure is logged and swallowed (like transaction logging) so the
+   * stock change itself is not rolled back; inside `tx` the insert is part of the transaction.
+   * @param {Array<Object>} movements - { itemId, variantId?, size, delta, reasonCode, orderId?, orderNumber?, returnId?, reference?, actorId?, actorEmail?, note? }
+   * @param {Function} [tx] - postgres transaction (sql.begin callback argument)
+   * @returns {Promise<Array<Object>>} Inserted rows
+   */
+  async recordMovements(movements, tx = null) {
+    const list = (movements || []).filter(
+      (m) => m && m.itemId && Math.trunc(Number(m.delta) || 0) !== 0,
+    );
+    if (list.length === 0) return [];
+
+    for (const movement of list) {
+      if (!Object.values(REASON_CODES).includes(movement.reasonCode)) {
+        throw new Error(`Unknown stock movement reason code: ${movement.reasonCode}`);
+      }
+    }
+
+    if (tx) {
+      const [{ has_ledger: hasLedger }] = await tx`
+        SELECT to_regclass('stock_movements') IS NOT NULL AS has_ledger
+      `;
+      if (!hasLedger) return [];
+      const rows = await this._withVariantIds(list.map(toLedgerRow), tx);
+      return tx`INSERT INTO stock_movements ${tx(rows)} RETURNING *`;
+    }
+
+    try {
+      const rows = await this._withVariantIds(list.map(toLedgerRow));
+      const { data, error } = await supabase
+        .from("stock_movements")
+        .insert(rows)
+        .select();
+      if (error) throw error;
+      return data || [];
+    } catch (error) {
+      if (isMissingTableError(error)) {
+        console.warn(
+          "stock_movements table not found; stock change not recorded in the ledger (run migrations/create_stock_movements_table.sql)",
+        );
+      } else {
+        console.error("Record stock movements error:", error);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Record whatever changed between two snapshots of an items row, one movement per size.
+   * Used by write paths that rewrite stock in place (add stock, adjust, returns, item edit).
+   * Pass the transaction that wrote the stock, so a failed ledger insert rolls the write back.
+   * @param {Object|null} before - items row before the write, with size_variants (null for a new item)
+   * @param {Object} after - items row after the write, with size_variants
+   * @param {Object} context - { reasonCode, orderId?, orderNumber?, returnId?, reference?, actorId?, actorEmail?, note? }
+   * @param {Function} [tx] - postgres transaction (sql.begin callback argument)
+   * @returns {Promise<Array<Object>>} Inserted rows
+   */
+  async recordStockChange(before, after, context, tx = null) {
+    if (!after?.id) return [];
+    const beforeBySize = stockBySize(before);
+    const afterBySize = stockBySize(after);
+    const sizes = new Set([...beforeBySize.keys(), ...afterBySize.keys()]);
+
+    const movements = [];
+    for (const size of sizes) {
+      const delta = (afterBySize.get(size) || 0) - (beforeBySize.get(size) || 0);
+      if (delta !== 0) movements.push({ ...context, itemId: after.id, size, delta });
+    }
+    return this.recordMovements(movements, tx);
+  }
+
+  /**
+   * Change an item's stock under its row lock (ItemVariantsService.updateItemVariants) and
+   * record the change in the ledger in the same transaction
+   * @param {string} itemId - Item ID
+   * @param {Function} change - (item, layout) => item columns, as for updateItemVariants
+   * @param {Object} context - Ledger context, as for recordStockChange
+   * @param {Function} [tx] - postgres transaction to join
+   * @returns {Promise<{ before: Object, after: Object }>}
+   */
+  async updateItemStock(itemId, change, context, tx = null) {
+    const run = async (db) => {
+      const result = await ItemVariantsService.updateItemVariants(itemId, change, db);
+      await this.recordStockChange(result.before, result.after, context, db);
+      return result;
+    };
+    return tx ? run(tx) : sql.begin(run);
+  }
+
+  /**
+   * Fill variant_id from item_variants (matched on exact size) where the caller did not know it
+   * @param {Array<Object>} rows - Ledger rows
+   * @param {Function} [tx] - postgres transaction the rows are inserted in
+   */
+  async _withVariantIds(rows, tx = null) {
+    const missing = rows.filter((r) => !r.variant_id && r.size && r.size !== "N/A");
+    if (missing.length === 0) return rows;
+    const itemIds = [...new Set(missing.map((r) => r.item_id))];
+
+    let variants;
+    if (tx) {
+      variants = await tx`
+        SELECT id, item_id, size FROM item_variants
+        WHERE item_id IN ${tx(itemIds)} AND kind = 'size'
+      `;
+    } else {
+      const { data, error } = await supabase
+        .from("item_variants")
+        .select("id, item_id, size")
+        .in("item_id", itemIds)
+        .eq("kind", "size");
+      if (error) {
+        if (!isMissingTableError(error)) console.error("Resolve ledger variant ids error:", error);
+        return rows;
+      }
+      variants = data;
+    }
+
+    return rows.map((row) => {
+      if (row.variant_id) return row;
+      const variant = (variants || []).find(
+        (v) => String(v.item_id) === String(row.item_id) && v.size === row.size,
+      );
+      return variant ? { ...row, variant_id: variant.id } : row;
+    });
+  }
+
+  /**
+   * Ledger entries for an item
+   * @param {string} itemId - Item ID
+   * @param {Object} filters - { size, from, to, reasonCode, limit }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getMovements(itemId, filters = {}) {
+    try {
+      let query = supabase
+        .from("stock_movements")
+        .select("*")
+        .eq("item_id", itemId)
+        .order("created_at", { ascending: false })
+        .limit(Math.min(Number(filters.limit) || 200, 1000));
+
+      if (filters.from) query = query.gte("created_at", new Date(filters.from).toISOString());
+      if (filters.to) query = query.lte("created_at", parseAsOf(filters.to).toISOString());
+      if (filters.reasonCode) query = query.eq("reason_code", filters.reasonCode);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const rows = filters.size
+        ? (data || []).filter((m) => sizeMatches(m.size, filters.size))
+        : data || [];
+      return { success: true, data: rows };
+    } catch (error) {
+      console.error("Get stock movements error:", error);
+      throw new Error(`Failed to fetch stock movements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild on-hand quantity of an item (optionally one size) at a past date from the ledger
+   * @param {string} itemId - Item ID
+   * @param {Object} options - { size, asOf }
+   * @returns {Promise<Object>} { success, data: { item_id, size, as_of, on_hand, sizes[] } }
+   */
+  async getOnHandAt(itemId, { size = null, asOf = null } = {}) {
+    try {
+      const asOfDate = parseAsOf(asOf);
+
+      const { data: item, error: itemError } = await supabase
+        .from("items")
+        .select("id, name, education_level, size")
+        .eq("id", itemId)
+        .maybeSingle();
+      if (itemError) throw itemError;
+      if (!item) throw new Error("Item not found");
+
+      const rows = await sql`
+        SELECT
+          size,
+          SUM(delta)::int AS on_hand,
+          COUNT(*)::int AS movement_count,
+          MAX(created_at) AS last_movement_at
+        FROM stock_movements
+        WHERE item_id = ${itemId}
+          AND created_at <= ${asOfDate}
+        GROUP BY size
+        ORDER BY size
+      `;
+
+      const sizes = rows
+        .filter((row) => !size || sizeMatches(row.size, size))
+        .map((row) => ({
+          size: row.size,
+          on_hand: row.on_hand,
+          movement_count: row.movement_count,
+          last_movement_at: row.last_movement_at,
+        }));
+
+      return {
+        success: true,
+        data: {
+          item_id: item.id,
+          item_name: item.name,
+          education_level: item.education_level,
+          size: size || null,
+          as_of: asOfDate.toISOString(),
+          on_hand: sizes.reduce((sum, s) => sum + s.on_hand, 0),
+          sizes,
+        },
+      };
+    } catch (error) {
+      console.error("Get on-hand at date error:", error);
+      throw new Error(`Failed to rebuild on-hand quantity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Flag items (and size variants) whose current stock disagrees with the ledger sum
+   * @param {Object} filters - { itemId, educationLevel }
+   * @returns {Promise<Object>} { success, data: { checked_at, items[], variants[] }, summary }
+   */
+  async reconcile(filters = {}) {
+    try {
+      const itemFilter = filters.itemId ? sql`AND i.id = ${filters.itemId}` : sql``;
+      const levelFilter = filters.educationLevel
+        ? sql`AND i.education_level = ${filters.educationLevel}`
+        : sql``;
+
+      const items = await sql`
+        WITH ledger AS (
+          SELECT item_id, SUM(delta)::int AS ledger_stock, COUNT(*)::int AS movement_count
+          FROM stock_movements
+          GROUP BY item_id
+        )
+        SELECT
+          i.id AS item_id,
+          i.name,
+          i.education_level,
+          COALESCE(i.stock, 0)::int AS current_stock,
+          COALESCE(l.ledger_stock, 0) AS ledger_stock,
+          COALESCE(i.stock, 0)::int - COALESCE(l.ledger_stock, 0) AS difference,
+          COALESCE(l.movement_count, 0) AS movement_count
+        FROM items i
+        LEFT JOIN ledger l ON l.item_id = i.id
+        WHERE i.is_active = true
+          AND COALESCE(i.stock, 0) <> COALESCE(l.ledger_stock, 0)
+          ${itemFilter}
+          ${levelFilter}
+        ORDER BY i.name, i.education_level
+      `;
+
+      const variants = await sql`
+        WITH ledger AS (
+          SELECT variant_id, SUM(delta)::int AS ledger_stock
+          FROM stock_movements
+          WHERE variant_id IS NOT NULL
+          GROUP BY variant_id
+        )
+        SELECT
+          v.item_id,
+          v.id AS variant_id,
+          i.name,
+          i.education_level,
+          v.size,
+          COALESCE(v.stock, 0) AS current_stock,
+          COALESCE(l.ledger_stock, 0) AS ledger_stock,
+          COALESCE(v.stock, 0) - COALESCE(l.ledger_stock, 0) AS difference
+        FROM item_variants v
+        JOIN items i ON i.id = v.item_id
+        LEFT JOIN ledger l ON l.variant_id = v.id
+        WHERE v.kind = 'size'
+          AND i.is_active = true
+          AND COALESCE(v.stock, 0) <> COALESCE(l.ledger_stock, 0)
+          ${itemFilter}
+          ${levelFilter}
+        ORDER BY i.name, i.education_level, v.position
+      `;
+
+      return {
+        success: true,
+        data: {
+          checked_at: new Date().toISOString(),
+          items,
+          variants,
+        },
+        summary: {
+          items_out_of_balance: items.length,
+          variants_out_of_balance: variants.length,
+          in_balance: items.length === 0 && variants.length === 0,
+        },
+      };
+    } catch (error) {
+      console.error("Stock reconciliation error:", error);
+      throw new Error(`Failed to reconcile stock: ${error.message}`);
+    }
+  }
+}
+
+const stockLedgerService = new StockLedgerService();
+stockLedgerService.REASON_CODES = REASON_CODES;
+
+module.exports = stockLedgerService;
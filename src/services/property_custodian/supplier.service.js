@@ -0,0 +1,325 @@
+const { sql } = require("../../config/database");
+
+/**
+ * Supplier Service
+ *
+ * Suppliers of uniforms and items for purchase orders:
+ * - Contact details and the quoted lead time (days from ordering to delivery); the quoted
+ *   lead time sets the expected date of new purchase orders
+ * - Actual lead times from received purchase orders (ordered -> first delivery, and
+ *   ordered -> fully received) and the share delivered by the expected date
+ * - Open purchase orders and their outstanding balance
+ */
+
+/** Purchase order statuses that still expect deliveries */
+const OPEN_PO_STATUSES = ["ordered", "partially_received"];
+
+const EDITABLE_FIELDS = {
+  name: "name",
+  contactPerson: "contact_person",
+  email: "email",
+  phone: "phone",
+  address: "address",
+  notes: "notes",
+};
+
+function isProvided(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+function cleanText(value) {
+  return isProvided(value) ? String(value).trim() || null : null;
+}
+
+/** Whole days of 0 or more, null to clear; undefined when not a valid lead time */
+function parseLeadTimeDays(value) {
+  if (value === null || value === "") return null;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 ? days : undefined;
+}
+
+function roundDays(value) {
+  return value === null || value === undefined ? null : Math.round(Number(value) * 10) / 10;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function isUniqueViolation(error) {
+  return error?.code === "23505";
+}
+
+/**
+ * Actual lead times per supplier from purchase orders that had at least one delivery
+ * @param {Array<string>|null} supplierIds - null for every supplier
+ * @returns {Promise<Map<string, Object>>} Keyed by supplier id
+ */
+async function loadLeadTimes(supplierIds = null) {
+  const rows = await sql`
+    WITH delivered AS (
+      SELECT p.id, p.supplier_id, p.ordered_at, p.received_at, p.expected_date,
+             MIN(d.delivered_at) AS first_delivery_at
+      FROM purchase_orders p
+      JOIN purchase_order_deliveries d ON d.purchase_order_id = p.id
+      WHERE p.ordered_at IS NOT NULL
+        ${supplierIds ? sql`AND p.supplier_id IN ${sql(supplierIds)}` : sql``}
+      GROUP BY p.id
+    )
+    SELECT supplier_id,
+           COUNT(*)::int AS delivered_purchase_orders,
+           AVG(EXTRACT(EPOCH FROM first_delivery_at - ordered_at) / 86400) AS average_days_to_first_delivery,
+           AVG(EXTRACT(EPOCH FROM received_at - ordered_at) / 86400)
+             FILTER (WHERE received_at IS NOT NULL) AS average_days_to_full_receipt,
+           COUNT(*) FILTER (WHERE expected_date IS NOT NULL)::int AS with_expected_date,
+           COUNT(*) FILTER (WHERE expected_date IS NOT NULL AND first_delivery_at::date <= expected_date)::int AS on_time
+    FROM delivered
+    GROUP BY supplier_id
+  `;
+  return new Map(
+    rows.map((row) => [
+      String(row.supplier_id),
+      {
+        delivered_purchase_orders: row.delivered_purchase_orders,
+        average_days_to_first_delivery: roundDays(row.average_days_to_first_delivery),
+        average_days_to_full_receipt: roundDays(row.average_days_to_full_receipt),
+        on_time_rate:
+          row.with_expected_date > 0
+            ? Math.round((row.on_time / row.with_expected_date) * 1000) / 1000
+            : null,
+      },
+    ]),
+  );
+}
+
+/**
+ * Open purchase orders and what is still to be delivered on them, per supplier
+ * @param {Array<string>|null} supplierIds - null for every supplier
+ * @returns {Promise<Map<string, Object>>} Keyed by supplier id
+ */
+async function loadOutstanding(supplierIds = null) {
+  const rows = await sql`
+    SELECT p.supplier_id,
+           COUNT(DISTINCT p.id)::int AS open_purchase_orders,
+           COALESCE(SUM(l.quantity_ordered - l.quantity_received), 0)::int AS outstanding_quantity,
+           COALESCE(SUM((l.quantity_ordered - l.quantity_received) * l.unit_cost), 0) AS outstanding_amount
+    FROM purchase_orders p
+    JOIN purchase_order_lines l ON l.purchase_order_id = p.id
+    WHERE p.status IN ${sql(OPEN_PO_STATUSES)}
+      ${supplierIds ? sql`AND p.supplier_id IN ${sql(supplierIds)}` : sql``}
+    GROUP BY p.supplier_id
+  `;
+  return new Map(
+    rows.map((row) => [
+      String(row.supplier_id),
+      {
+        open_purchase_orders: row.open_purchase_orders,
+        outstanding_quantity: row.outstanding_quantity,
+        outstanding_amount: roundAmount(row.outstanding_amount),
+      },
+    ]),
+  );
+}
+
+const NO_LEAD_TIMES = {
+  delivered_purchase_orders: 0,
+  average_days_to_first_delivery: null,
+  average_days_to_full_receipt: null,
+  on_time_rate: null,
+};
+
+const NO_OUTSTANDING = {
+  open_purchase_orders: 0,
+  outstanding_quantity: 0,
+  outstanding_amount: 0,
+};
+
+function withStats(supplier, leadTimes, outstanding) {
+  const key = String(supplier.id);
+  return {
+    ...supplier,
+    lead_time: {
+      quoted_days: supplier.lead_time_days,
+      ...(leadTimes.get(key) || NO_LEAD_TIMES),
+    },
+    ...(outstanding.get(key) || NO_OUTSTANDING),
+  };
+}
+
+async function logSupplierTransaction(action, actor, details, metadata) {
+  try {
+    const TransactionService = require("../transaction.service");
+    await TransactionService.logTransaction(
+      "Inventory",
+      action,
+      actor?.userId || null,
+      details,
+      metadata,
+      actor?.email || null,
+    );
+  } catch (txError) {
+    console.error(`Failed to log ${action} transaction:`, txError);
+  }
+}
+
+class SupplierService {
+  /**
+   * List suppliers with lead times and outstanding purchase order balances
+   * @param {Object} filters - { active ("true" | "false"), search }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getSuppliers(filters = {}) {
+    try {
+      const search = cleanText(filters.search);
+      const suppliers = await sql`
+        SELECT * FROM suppliers
+        WHERE TRUE
+          ${filters.active === "true" ? sql`AND is_active = true` : sql``}
+          ${filters.active === "false" ? sql`AND is_active = false` : sql``}
+          ${search ? sql`AND (name ILIKE ${`%${search}%`} OR contact_person ILIKE ${`%${search}%`})` : sql``}
+        ORDER BY name ASC
+      `;
+
+      const [leadTimes, outstanding] = await Promise.all([loadLeadTimes(), loadOutstanding()]);
+      return {
+        success: true,
+        data: suppliers.map((supplier) => withStats(supplier, leadTimes, outstanding)),
+      };
+    } catch (error) {
+      console.error("Get suppliers error:", error);
+      throw new Error(`Failed to fetch suppliers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Supplier with lead times, outstanding balance and its open purchase orders
+   * @param {string} supplierId
+   * @returns {Promise<Object>} { success, data }
+   */
+  async getSupplierById(supplierId) {
+    try {
+      const [supplier] = await sql`SELECT * FROM suppliers WHERE id = ${supplierId}`;
+      if (!supplier) throw new Error("Supplier not found");
+
+      const [leadTimes, outstanding] = await Promise.all([
+        loadLeadTimes([supplier.id]),
+        loadOutstanding([supplier.id]),
+      ]);
+      const openPurchaseOrders = await sql`
+        SELECT p.id, p.po_number, p.status, p.ordered_at, p.expected_date,
+               COALESCE(SUM(l.quantity_ordered - l.quantity_received), 0)::int AS outstanding_quantity,
+               COALESCE(SUM((l.quantity_ordered - l.quantity_received) * l.unit_cost), 0) AS outstanding_amount
+        FROM purchase_orders p
+        JOIN purchase_order_lines l ON l.purchase_order_id = p.id
+        WHERE p.supplier_id = ${supplier.id}
+          AND p.status IN ${sql(OPEN_PO_STATUSES)}
+        GROUP BY p.id
+        ORDER BY p.expected_date ASC NULLS LAST, p.ordered_at ASC
+      `;
+
+      return {
+        success: true,
+        data: {
+          ...withStats(supplier, leadTimes, outstanding),
+          open_purchase_order_list: openPurchaseOrders.map((po) => ({
+            ...po,
+            outstanding_amount: roundAmount(po.outstanding_amount),
+          })),
+        },
+      };
+    } catch (error) {
+      console.error("Get supplier error:", error);
+      throw new Error(`Failed to fetch supplier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a supplier
+   * @param {Object} input - { name, contactPerson?, email?, phone?, address?, leadTimeDays?, notes? }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async createSupplier(input = {}, actor = {}) {
+    const name = cleanText(input.name);
+    if (!name) throw new Error("name is required");
+    const leadTimeDays = isProvided(input.leadTimeDays) ? parseLeadTimeDays(input.leadTimeDays) : null;
+    if (leadTimeDays === undefined) throw new Error("leadTimeDays must be a whole number of 0 or more");
+
+    try {
+      const [supplier] = await sql`
+        INSERT INTO suppliers ${sql({
+          name,
+          contact_person: cleanText(input.contactPerson),
+          email: cleanText(input.email),
+          phone: cleanText(input.phone),
+          address: cleanText(input.address),
+          lead_time_days: leadTimeDays,
+          notes: cleanText(input.notes),
+          created_by: actor.staffId || null,
+        })}
+        RETURNING *
+      `;
+
+      await logSupplierTransaction(
+        "SUPPLIER CREATED",
+        actor,
+        `Supplier added: ${supplier.name}${leadTimeDays !== null ? ` (lead time ${leadTimeDays} day(s))` : ""}`,
+        { supplier_id: supplier.id, supplier_name: supplier.name, lead_time_days: leadTimeDays },
+      );
+
+      return { success: true, data: supplier, message: "Supplier added" };
+    } catch (error) {
+      console.error("Create supplier error:", error);
+      if (isUniqueViolation(error)) throw new Error(`A supplier named "${name}" already exists`);
+      throw new Error(`Failed to add supplier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a supplier's details, quoted lead time or active flag
+   * @param {string} supplierId
+   * @param {Object} input - Any of { name, contactPerson, email, phone, address, leadTimeDays, notes, isActive }
+   * @param {Object} actor - { staffId, userId, email }
+   * @returns {Promise<Object>} { success, data, message }
+   */
+  async updateSupplier(supplierId, input = {}, actor = {}) {
+    const updates = {};
+    for (const [field, column] of Object.entries(EDITABLE_FIELDS)) {
+      if (input[field] !== undefined) updates[column] = cleanText(input[field]);
+    }
+    if (input.name !== undefined && !updates.name) throw new Error("name cannot be empty");
+    if (input.leadTimeDays !== undefined) {
+      updates.lead_time_days = parseLeadTimeDays(input.leadTimeDays);
+      if (updates.lead_time_days === undefined) {
+        throw new Error("leadTimeDays must be a whole number of 0 or more");
+      }
+    }
+    if (input.isActive !== undefined) updates.is_active = input.isActive === true || input.isActive === "true";
+    if (Object.keys(updates).length === 0) throw new Error("Nothing to update");
+
+    try {
+      const [supplier] = await sql`
+        UPDATE suppliers
+        SET ${sql({ ...updates, updated_at: new Date().toISOString() })}
+        WHERE id = ${supplierId}
+        RETURNING *
+      `;
+      if (!supplier) throw new Error("Supplier not found");
+
+      await logSupplierTransaction(
+        "SUPPLIER UPDATED",
+        actor,
+        `Supplier updated: ${supplier.name} (${Object.keys(updates).join(", ")})`,
+        { supplier_id: supplier.id, supplier_name: supplier.name, changes: updates },
+      );
+
+      return { success: true, data: supplier, message: "Supplier updated" };
+    } catch (error) {
+      console.error("Update supplier error:", error);
+      if (isUniqueViolation(error)) throw new Error(`A supplier named "${updates.name}" already exists`);
+      throw new Error(`Failed to update supplier: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new SupplierService();
@@ -0,0 +1,437 @@
+const supabase = require("../../config/supabase");
+const { isMissingTableError } = require("../../utils/dbErrors");
+const { toDateOnly } = require("../../utils/dateOnly");
+
+/**
+ * Max Order Rules Service
+ *
+ * Handles database operations for per-item max order rules
+ * (education level × student type × gender → max quantity per item).
+ * Rules have effective dates; every change is written to max_order_rule_audit.
+ * src/config/itemMaxOrder.js SEGMENT_RULES is only used to seed the table.
+ */
+
+const RULES_CACHE_TTL_MS = 60 * 1000;
+const STUDENT_TYPES = ["new", "old"];
+const GENDERS = ["Male", "Female"];
+
+let rulesCache = { loadedAt: 0, rows: null };
+
+function clearRulesCache() {
+  rulesCache = { loadedAt: 0, rows: null };
+}
+
+/**
+ * Whether a rule is in effect on a given date
+ * @param {Object} rule - Rule row
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isRuleEffective(rule, asOf) {
+  if (!rule.is_active) return false;
+  if (rule.effective_from && rule.effective_from > asOf) return false;
+  if (rule.effective_to && rule.effective_to < asOf) return false;
+  return true;
+}
+
+/**
+ * Load all active rules (cached briefly; writes clear the cache)
+ * @returns {Promise<Array<Object>|null>} Rule rows, or null when the table is not migrated yet
+ */
+async function loadActiveRules() {
+  if (rulesCache.rows && Date.now() - rulesCache.loadedAt < RULES_CACHE_TTL_MS) {
+    return rulesCache.rows;
+  }
+
+  const { data, error } = await supabase
+    .from("max_order_rules")
+    .select("*")
+    .eq("is_active", true);
+
+  if (error) {
+    if (isMissingTableError(error)) {
+      console.warn(
+        "max_order_rules table not found. Run migrations/create_max_order_rules_table.sql; using seed rules from itemMaxOrder.js"
+      );
+      return null;
+    }
+    throw error;
+  }
+
+  rulesCache = { loadedAt: Date.now(), rows: data || [] };
+  return rulesCache.rows;
+}
+
+/**
+ * Get the effective rules for one segment as { itemKey: maxQuantity }
+ * When several rules for the same item are in effect, the latest effective_from wins.
+ * @param {string} educationLevel - Canonical education level (Vocational already mapped to College)
+ * @param {string} studentType - "new" or "old"
+ * @param {string} gender - "Male" or "Female"
+ * @param {Date|string} [asOf] - Date to evaluate (default: today)
+ * @returns {Promise<Object|null>} Rules map, or null when the table is not migrated yet
+ */
+async function getSegmentRules(educationLevel, studentType, gender, asOf = new Date()) {
+  const rows = await loadActiveRules();
+  if (rows === null) return null;
+
+  const day = toDateOnly(asOf);
+  const type = (studentType || "new").toLowerCase();
+  const g = (gender || "").trim();
+  const winners = {};
+
+  for (const rule of rows) {
+    if (rule.education_level !== educationLevel) continue;
+    if (rule.student_type !== type || rule.gender !== g) continue;
+    if (!isRuleEffective(rule, day)) continue;
+    const current = winners[rule.item_key];
+    if (!current || (rule.effective_from || "") > (current.effective_from || "")) {
+      winners[rule.item_key] = rule;
+    }
+  }
+
+  const out = {};
+  for (const [itemKey, rule] of Object.entries(winners)) {
+    out[itemKey] = rule.max_quantity;
+  }
+  return out;
+}
+
+/**
+ * Write an audit entry for a rule change
+ * @param {string} ruleId - Rule ID
+ * @param {string} action - CREATE | UPDATE | DELETE | SEED
+ * @param {Object|null} oldValues - Row before the change
+ * @param {Object|null} newValues - Row after the change
+ * @param {string|null} staffId - staff.id of the admin
+ */
+async function writeAudit(ruleId, action, oldValues, newValues, staffId) {
+  const { error } = await supabase.from("max_order_rule_audit").insert({
+    rule_id: ruleId,
+    action,
+    old_values: oldValues,
+    new_values: newValues,
+    changed_by: staffId || null,
+  });
+  if (error) {
+    console.error("Failed to write max order rule audit:", error);
+  }
+}
+
+/**
+ * Validate and normalize rule input
+ * @param {Object} input - Raw rule fields
+ * @param {Object} [existing] - Existing rule when updating
+ * @returns {Object} Normalized fields
+ */
+function normalizeRuleInput(input, existing = {}) {
+  const { normalizeItemName } = require("../../config/itemMaxOrder");
+  const merged = { ...existing, ...input };
+
+  const educationLevel = (merged.education_level || "").trim();
+  const studentType = String(merged.student_type || "").toLowerCase().trim();
+  const gender = (merged.gender || "").trim();
+  const itemKey = normalizeItemName(merged.item_key || "");
+  const maxQuantity = Number(merged.max_quantity);
+
+  if (!educationLevel) throw new Error("education_level is required");
+  if (!STUDENT_TYPES.includes(studentType)) {
+    throw new Error(`student_type must be one of: ${STUDENT_TYPES.join(", ")}`);
+  }
+  if (!GENDERS.includes(gender)) {
+    throw new Error(`gender must be one of: ${GENDERS.join(", ")}`);
+  }
+  if (!itemKey) throw new Error("item_key is required");
+  if (!Number.isInteger(maxQuantity) || maxQuantity < 0) {
+    throw new Error("max_quantity must be a whole number of 0 or more");
+  }
+
+  const effectiveFrom = merged.effective_from || toDateOnly(new Date());
+  const effectiveTo = merged.effective_to || null;
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!dateRegex.test(effectiveFrom) || (effectiveTo && !dateRegex.test(effectiveTo))) {
+    throw new Error("Invalid date format. Expected YYYY-MM-DD");
+  }
+  if (effectiveTo && effectiveTo < effectiveFrom) {
+    throw new Error("effective_to must be on or after effective_from");
+  }
+
+  return {
+    education_level: educationLevel,
+    student_type: studentType,
+    gender,
+    item_key: itemKey,
+    max_quantity: maxQuantity,
+    effective_from: effectiveFrom,
+    effective_to: effectiveTo,
+    notes: merged.notes?.trim() || null,
+  };
+}
+
+/**
+ * Reject a rule whose date range overlaps another active rule for the same segment and item
+ * @param {Object} fields - Normalized rule fields
+ * @param {string} [excludeId] - Rule being updated
+ */
+async function assertNoOverlap(fields, excludeId = null) {
+  let query = supabase
+    .from("max_order_rules")
+    .select("id, effective_from, effective_to")
+    .eq("is_active", true)
+    .eq("education_level", fields.education_level)
+    .eq("student_type", fields.student_type)
+    .eq("gender", fields.gender)
+    .eq("item_key", fields.item_key);
+  if (excludeId) query = query.neq("id", excludeId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const overlapping = (data || []).find((other) => {
+    const startsBeforeOtherEnds = !other.effective_to || fields.effective_from <= other.effective_to;
+    const endsAfterOtherStarts = !fields.effective_to || fields.effective_to >= other.effective_from;
+    return startsBeforeOtherEnds && endsAfterOtherStarts;
+  });
+
+  if (overlapping) {
+    throw new Error(
+      `A rule for ${fields.item_key} (${fields.education_level}, ${fields.student_type}, ${fields.gender}) is already in effect from ${overlapping.effective_from}${overlapping.effective_to ? ` to ${overlapping.effective_to}` : ""}. End it before adding a new one.`
+    );
+  }
+}
+
+/**
+ * List rules with optional filters
+ * @param {Object} filters - { education_level, student_type, gender, item_key, as_of, include_inactive }
+ * @returns {Promise<Object>} { success, data }
+ */
+async function getRules(filters = {}) {
+  try {
+    let query = supabase
+      .from("max_order_rules")
+      .select("*")
+      .order("education_level", { ascending: true })
+      .order("student_type", { ascending: true })
+      .order("gender", { ascending: true })
+      .order("item_key", { ascending: true })
+      .order("effective_from", { ascending: false });
+
+    if (!filters.include_inactive) query = query.eq("is_active", true);
+    if (filters.education_level) query = query.eq("education_level", filters.education_level);
+    if (filters.student_type) query = query.eq("student_type", String(filters.student_type).toLowerCase());
+    if (filters.gender) query = query.eq("gender", filters.gender);
+    if (filters.item_key) query = query.ilike("item_key", `%${filters.item_key}%`);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const rows = filters.as_of
+      ? (data || []).filter((rule) => isRuleEffective(rule, filters.as_of))
+      : data || [];
+
+    return { success: true, data: rows };
+  } catch (error) {
+    console.error("Get max order rules error:", error);
+    throw new Error(`Failed to fetch max order rules: ${error.message}`);
+  }
+}
+
+/**
+ * Create a rule
+ * @param {Object} input - Rule fields
+ * @param {string|null} staffId - staff.id of the admin
+ * @returns {Promise<Object>} { success, data, message }
+ */
+async function createRule(input, staffId) {
+  const fields = normalizeRuleInput(input);
+  await assertNoOverlap(fields);
+
+  const { data, error } = await supabase
+    .from("max_order_rules")
+    .insert({ ...fields, created_by: staffId || null, updated_by: staffId || null })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to create max order rule: ${error.message}`);
+
+  clearRulesCache();
+  await writeAudit(data.id, "CREATE", null, data, staffId);
+
+  return { success: true, data, message: "Max order rule created successfully" };
+}
+
+/**
+ * Update a rule
+ * @param {string} id - Rule ID
+ * @param {Object} input - Fields to change
+ * @param {string|null} staffId - staff.id of the admin
+ * @returns {Promise<Object>} { success, data, message }
+ */
+async function updateRule(id, input, staffId) {
+  const { data: existing, error: fetchError } = await supabase
+    .from("max_order_rules")
+    .select("*")
+    .eq("id", id)
+    .eq("is_active", true)
+    .maybeSingle();
+  if (fetchError) throw new Error(`Failed to fetch max order rule: ${fetchError.message}`);
+  if (!existing) throw new Error("Max order rule not found");
+
+  const fields = normalizeRuleInput(input, existing);
+  await assertNoOverlap(fields, id);
+
+  const { data, error } = await supabase
+    .from("max_order_rules")
+    .update({ ...fields, updated_by: staffId || null, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to update max order rule: ${error.message}`);
+
+  clearRulesCache();
+  await writeAudit(id, "UPDATE", existing, data, staffId);
+
+  return { success: true, data, message: "Max order rule updated successfully" };
+}
+
+/**
+ * Deactivate a rule (kept for the audit trail)
+ * @param {string} id - Rule ID
+ * @param {string|null} staffId - staff.id of the admin
+ * @returns {Promise<Object>} { success, message }
+ */
+async function deleteRule(id, staffId) {
+  const { data: existing, error: fetchError } = await supabase
+    .from("max_order_rules")
+    .select("*")
+    .eq("id", id)
+    .eq("is_active", true)
+    .maybeSingle();
+  if (fetchError) throw new Error(`Failed to fetch max order rule: ${fetchError.message}`);
+  if (!existing) throw new Error("Max order rule not found");
+
+  const { data, error } = await supabase
+    .from("max_order_rules")
+    .update({ is_active: false, updated_by: staffId || null, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to delete max order rule: ${error.message}`);
+
+  clearRulesCache();
+  await writeAudit(id, "DELETE", existing, data, staffId);
+
+  return { success: true, message: "Max order rule deleted successfully" };
+}
+
+/**
+ * Get the audit trail (optionally for one rule)
+ * @param {Object} options - { rule_id, limit }
+ * @returns {Promise<Object>} { success, data }
+ */
+async function getRuleAudit(options = {}) {
+  try {
+    let query = supabase
+      .from("max_order_rule_audit")
+      .select("*")
+      .order("changed_at", { ascending: false })
+      .limit(Math.min(parseInt(options.limit, 10) || 100, 500));
+    if (options.rule_id) query = query.eq("rule_id", options.rule_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error("Get max order rule audit error:", error);
+    throw new Error(`Failed to fetch max order rule audit: ${error.message}`);
+  }
+}
+
+/**
+ * Seed the table from itemMaxOrder.js SEGMENT_RULES (only segments with no rules yet)
+ * @param {string|null} staffId - staff.id of the admin
+ * @returns {Promise<Object>} { success, message, stats }
+ */
+async function seedRulesFromDefaults(staffId) {
+  const { SEED_SEGMENT_RULES } = require("../../config/itemMaxOrder");
+
+  const { data: existing, error } = await supabase
+    .from("max_order_rules")
+    .select("education_level, student_type, gender")
+    .eq("is_active", true);
+  if (error) {
+    if (isMissingTableError(error)) {
+      throw new Error(
+        "max_order_rules table not found. Please run the migration: migrations/create_max_order_rules_table.sql"
+      );
+    }
+    throw new Error(`Failed to seed max order rules: ${error.message}`);
+  }
+
+  const seeded = new Set(
+    (existing || []).map((r) => `${r.education_level}_${r.student_type}_${r.gender}`)
+  );
+  const effectiveFrom = toDateOnly(new Date());
+  const rows = [];
+  for (const [segment, rules] of Object.entries(SEED_SEGMENT_RULES)) {
+    if (seeded.has(segment)) continue;
+    const [educationLevel, studentType, gender] = segment.split("_");
+    // Vocational reads College rules at lookup time
+    if (educationLevel === "Vocational") continue;
+    for (const [itemKey, maxQuantity] of Object.entries(rules)) {
+      rows.push({
+        education_level: educationLevel,
+        student_type: studentType,
+        gender,
+        item_key: itemKey,
+        max_quantity: maxQuantity,
+        effective_from: effectiveFrom,
+        notes: "Seeded from itemMaxOrder.js",
+        created_by: staffId || null,
+        updated_by: staffId || null,
+      });
+    }
+  }
+
+  if (rows.length === 0) {
+    return { success: true, message: "All segments already have rules", stats: { created: 0 } };
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from("max_order_rules")
+    .insert(rows)
+    .select();
+  if (insertError) throw new Error(`Failed to seed max order rules: ${insertError.message}`);
+
+  clearRulesCache();
+  const { error: auditError } = await supabase.from("max_order_rule_audit").insert(
+    (inserted || []).map((rule) => ({
+      rule_id: rule.id,
+      action: "SEED",
+      old_values: null,
+      new_values: rule,
+      changed_by: staffId || null,
+    }))
+  );
+  if (auditError) {
+    console.error("Failed to write max order rule audit:", auditError);
+  }
+
+  return {
+    success: true,
+    message: `Seeded ${inserted.length} max order rule(s)`,
+    stats: { created: inserted.length },
+  };
+}
+
+module.exports = {
+  getSegmentRules,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getRuleAudit,
+  seedRulesFromDefaults,
+  clearRulesCache,
+  STUDENT_TYPES,
+  GENDERS,
+};
@@ -0,0 +1,217 @@
+const supabase = require("../../config/supabase");
+const { isMissingTableError } = require("../../utils/dbErrors");
+const { toDateOnly, parseDateOnly } = require("../../utils/dateOnly");
+
+/**
+ * Non-Working Days Service
+ *
+ * Admin-managed calendar of holidays, exam weeks and office closures. The claim window
+ * (VOID_UNCLAIMED_AFTER_DAYS) already skips Saturday/Sunday; these dates are skipped too
+ * by the auto-void job, claim reminders and each order's claim_deadline.
+ */
+
+const CALENDAR_CACHE_TTL_MS = 60 * 1000;
+const DAY_TYPES = ["holiday", "exam_week", "office_closure", "other"];
+
+/** Longest range a single entry may cover (guards against typos like 2025 -> 2052) */
+const MAX_RANGE_DAYS = 366;
+
+let calendarCache = { loadedAt: 0, dates: null };
+
+function clearCalendarCache() {
+  calendarCache = { loadedAt: 0, dates: null };
+}
+
+/** Every YYYY-MM-DD from start_date through end_date */
+function expandRange(startDate, endDate) {
+  const dates = [];
+  const cursor = parseDateOnly(startDate);
+  const end = parseDateOnly(endDate);
+  if (!cursor || !end) return dates;
+  while (cursor <= end && dates.length <= MAX_RANGE_DAYS) {
+    dates.push(toDateOnly(cursor));
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return dates;
+}
+
+/**
+ * All active non-working dates as a Set of "YYYY-MM-DD" (cached briefly; writes clear the cache).
+ * Returns an empty set when the table is not migrated yet, so claim windows fall back to Mon–Fri.
+ * @returns {Promise<Set<string>>}
+ */
+async function getNonWorkingDateSet() {
+  if (calendarCache.dates && Date.now() - calendarCache.loadedAt < CALENDAR_CACHE_TTL_MS) {
+    return calendarCache.dates;
+  }
+
+  const { data, error } = await supabase
+    .from("non_working_days")
+    .select("start_date, end_date")
+    .eq("is_active", true);
+
+  if (error) {
+    if (isMissingTableError(error)) {
+      console.warn(
+        "non_working_days table not found. Run migrations/create_non_working_days_table.sql; claim windows count Mon–Fri only"
+      );
+      return new Set();
+    }
+    throw error;
+  }
+
+  const dates = new Set();
+  for (const row of data || []) {
+    for (const date of expandRange(row.start_date, row.end_date)) dates.add(date);
+  }
+  calendarCache = { loadedAt: Date.now(), dates };
+  return dates;
+}
+
+/**
+ * Non-working dates (YYYY-MM-DD, ascending) between two dates, inclusive
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {Promise<string[]>}
+ */
+async function getNonWorkingDatesBetween(from, to) {
+  const fromDay = toDateOnly(from);
+  const toDay = toDateOnly(to);
+  const dates = await getNonWorkingDateSet();
+  return [...dates].filter((date) => date >= fromDay && date <= toDay).sort();
+}
+
+/**
+ * List calendar entries
+ * @param {Object} filters - { from, to, type, include_inactive }
+ * @returns {Promise<Object>} { success, data }
+ */
+async function getNonWorkingDays(filters = {}) {
+  try {
+    let query = supabase
+      .from("non_working_days")
+      .select("*")
+      .order("start_date", { ascending: true });
+
+    if (!filters.include_inactive) query = query.eq("is_active", true);
+    if (filters.from) query = query.gte("end_date", filters.from);
+    if (filters.to) query = query.lte("start_date", filters.to);
+    if (filters.type) query = query.eq("type", filters.type);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error("Get non-working days error:", error);
+    throw new Error(`Failed to fetch non-working days: ${error.message}`);
+  }
+}
+
+function normalizeDayInput(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  const startDate = String(merged.start_date || "").trim();
+  const endDate = String(merged.end_date || merged.start_date || "").trim();
+  const type = String(merged.type || "holiday").toLowerCase().trim();
+  const name = String(merged.name || "").trim();
+
+  const start = parseDateOnly(startDate);
+  const end = parseDateOnly(endDate);
+  if (!start) throw new Error("start_date must be a valid date (YYYY-MM-DD)");
+  if (!end) throw new Error("end_date must be a valid date (YYYY-MM-DD)");
+  if (end < start) throw new Error("end_date cannot be before start_date");
+  if (expandRange(startDate, endDate).length > MAX_RANGE_DAYS) {
+    throw new Error(`A single entry cannot cover more than ${MAX_RANGE_DAYS} days`);
+  }
+  if (!name) throw new Error("name is required");
+  if (!DAY_TYPES.includes(type)) {
+    throw new Error(`type must be one of: ${DAY_TYPES.join(", ")}`);
+  }
+
+  return {
+    start_date: startDate,
+    end_date: endDate,
+    name,
+    type,
+    notes: merged.notes?.trim() || null,
+  };
+}
+
+/**
+ * Add a non-working day (or range)
+ * @param {Object} input - { start_date, end_date?, name, type?, notes? }
+ * @param {string|null} staffId - staff.id of the admin
+ */
+async function createNonWorkingDay(input, staffId) {
+  const fields = normalizeDayInput(input);
+
+  const { data, error } = await supabase
+    .from("non_working_days")
+    .insert({ ...fields, created_by: staffId || null, updated_by: staffId || null })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to create non-working day: ${error.message}`);
+
+  clearCalendarCache();
+  return { success: true, data, message: "Non-working day added successfully" };
+}
+
+/**
+ * Update a non-working day
+ * @param {string} id - Entry ID
+ * @param {Object} input - Fields to change
+ * @param {string|null} staffId - staff.id of the admin
+ */
+async function updateNonWorkingDay(id, input, staffId) {
+  const { data: existing, error: fetchError } = await supabase
+    .from("non_working_days")
+    .select("*")
+    .eq("id", id)
+    .eq("is_active", true)
+    .maybeSingle();
+  if (fetchError) throw new Error(`Failed to fetch non-working day: ${fetchError.message}`);
+  if (!existing) throw new Error("Non-working day not found");
+
+  const fields = normalizeDayInput(input, existing);
+
+  const { data, error } = await supabase
+    .from("non_working_days")
+    .update({ ...fields, updated_by: staffId || null, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to update non-working day: ${error.message}`);
+
+  clearCalendarCache();
+  return { success: true, data, message: "Non-working day updated successfully" };
+}
+
+/**
+ * Remove (deactivate) a non-working day
+ * @param {string} id - Entry ID
+ * @param {string|null} staffId - staff.id of the admin
+ */
+async function deleteNonWorkingDay(id, staffId) {
+  const { data, error } = await supabase
+    .from("non_working_days")
+    .update({ is_active: false, updated_by: staffId || null, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("is_active", true)
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(`Failed to delete non-working day: ${error.message}`);
+  if (!data) throw new Error("Non-working day not found");
+
+  clearCalendarCache();
+  return { success: true, message: "Non-working day removed successfully" };
+}
+
+module.exports = {
+  DAY_TYPES,
+  getNonWorkingDateSet,
+  getNonWorkingDatesBetween,
+  getNonWorkingDays,
+  createNonWorkingDay,
+  updateNonWorkingDay,
+  deleteNonWorkingDay,
+};
@@ -0,0 +1,288 @@
+const supabase = require("../../config/supabase");
+const { isMissingTableError } = require("../../utils/dbErrors");
+
+/**
+ * Total Item Limit Policy Service
+ *
+ * Default total item limits (number of distinct item types a student may have in
+ * placed orders) per education level, student type and school year.
+ * A student's own total_item_limit (set by a system admin) still wins over these defaults.
+ */
+
+/** Built-in defaults used when no policy row matches (and before the table is migrated) */
+const BUILT_IN_DEFAULT_LIMITS = {
+  new: 8,
+  old: 2,
+};
+
+const STUDENT_TYPES = ["new", "old"];
+
+/** First month (1-12) of the school year; S.Y. 2025-2026 starts June 2025 by default */
+const SCHOOL_YEAR_START_MONTH = parseInt(process.env.SCHOOL_YEAR_START_MONTH, 10) || 6;
+
+/**
+ * School year label for a date, e.g. "2025-2026"
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function getSchoolYearForDate(date = new Date()) {
+  const year = date.getFullYear();
+  const startYear = date.getMonth() + 1 >= SCHOOL_YEAR_START_MONTH ? year : year - 1;
+  return `${startYear}-${startYear + 1}`;
+}
+
+function normalizeSchoolYear(value) {
+  if (!value) return null;
+  const match = String(value).match(/(\d{4})\s*-\s*(\d{4})/);
+  if (!match || Number(match[2]) !== Number(match[1]) + 1) {
+    throw new Error('school_year must look like "2025-2026"');
+  }
+  return `${match[1]}-${match[2]}`;
+}
+
+/**
+ * Human-readable description of the rule that produced a limit
+ * @param {Object} rule - Rule returned by resolveTotalItemLimit
+ * @returns {string}
+ */
+function describeLimitRule(rule) {
+  if (!rule) return "no limit rule";
+  if (rule.source === "student") {
+    return `limit set by the administration for this student (${rule.limit})`;
+  }
+  const scope = [
+    rule.education_level || "all education levels",
+    rule.school_year ? `S.Y. ${rule.school_year}` : "any school year",
+  ].join(", ");
+  const origin = rule.source === "policy" ? "policy" : "built-in default";
+  return `${origin} for ${rule.student_type} students (${scope}): ${rule.limit}`;
+}
+
+/**
+ * Pick the most specific policy: exact level + exact year, then level, then year, then catch-all
+ */
+function pickMostSpecific(policies, educationLevel, schoolYear) {
+  const score = (p) =>
+    (p.education_level ? 2 : 0) + (p.school_year ? 1 : 0);
+  return (policies || [])
+    .filter(
+      (p) =>
+        (!p.education_level || p.education_level === educationLevel) &&
+        (!p.school_year || p.school_year === schoolYear)
+    )
+    .sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+/**
+ * Resolve the total item limit that applies to a student
+ * @param {Object} params
+ * @param {string} params.educationLevel - Student education level
+ * @param {string} params.studentType - "new" or "old"
+ * @param {number|null} [params.studentLimit] - students.total_item_limit (admin override)
+ * @param {string} [params.schoolYear] - e.g. "2025-2026" (default: current school year)
+ * @returns {Promise<{ limit: number|null, rule: Object }>}
+ */
+async function resolveTotalItemLimit({ educationLevel, studentType, studentLimit = null, schoolYear = null }) {
+  const type = String(studentType || "new").toLowerCase();
+  const year = schoolYear || getSchoolYearForDate();
+
+  if (studentLimit != null && Number(studentLimit) > 0) {
+    const limit = Number(studentLimit);
+    return { limit, rule: { source: "student", limit, student_type: type } };
+  }
+
+  const { data, error } = await supabase
+    .from("total_item_limit_policies")
+    .select("*")
+    .eq("is_active", true)
+    .eq("student_type", type);
+
+  // Only a table that has not been migrated yet falls back to the built-in defaults;
+  // any other failure must not silently loosen or tighten the limit
+  if (error && !isMissingTableError(error)) {
+    throw new Error(`Failed to load total item limit policies: ${error.message}`);
+  }
+
+  const policy = error ? null : pickMostSpecific(data, educationLevel, year);
+  if (policy) {
+    return {
+      limit: policy.total_item_limit,
+      rule: {
+        source: "policy",
+        id: policy.id,
+        limit: policy.total_item_limit,
+        student_type: policy.student_type,
+        education_level: policy.education_level,
+        school_year: policy.school_year,
+      },
+    };
+  }
+
+  const limit = BUILT_IN_DEFAULT_LIMITS[type] ?? null;
+  return {
+    limit,
+    rule: {
+      source: "default",
+      limit,
+      student_type: type,
+      education_level: null,
+      school_year: null,
+    },
+  };
+}
+
+/**
+ * List policies
+ * @param {Object} filters - { education_level, student_type, school_year, include_inactive }
+ * @returns {Promise<Object>} { success, data, defaults, currentSchoolYear }
+ */
+async function getPolicies(filters = {}) {
+  try {
+    let query = supabase
+      .from("total_item_limit_policies")
+      .select("*")
+      .order("school_year", { ascending: false, nullsFirst: false })
+      .order("education_level", { ascending: true, nullsFirst: true })
+      .order("student_type", { ascending: true });
+
+    if (!filters.include_inactive) query = query.eq("is_active", true);
+    if (filters.education_level) query = query.eq("education_level", filters.education_level);
+    if (filters.student_type) query = query.eq("student_type", String(filters.student_type).toLowerCase());
+    if (filters.school_year) query = query.eq("school_year", normalizeSchoolYear(filters.school_year));
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return {
+      success: true,
+      data: data || [],
+      defaults: BUILT_IN_DEFAULT_LIMITS,
+      currentSchoolYear: getSchoolYearForDate(),
+    };
+  } catch (error) {
+    console.error("Get total item limit policies error:", error);
+    throw new Error(`Failed to fetch total item limit policies: ${error.message}`);
+  }
+}
+
+function normalizePolicyInput(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  const studentType = String(merged.student_type || "").toLowerCase().trim();
+  const limit = Number(merged.total_item_limit);
+
+  if (!STUDENT_TYPES.includes(studentType)) {
+    throw new Error(`student_type must be one of: ${STUDENT_TYPES.join(", ")}`);
+  }
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error("total_item_limit must be a whole number of 0 or more");
+  }
+
+  return {
+    education_level: merged.education_level?.trim() || null,
+    student_type: studentType,
+    school_year: normalizeSchoolYear(merged.school_year),
+    total_item_limit: limit,
+    notes: merged.notes?.trim() || null,
+  };
+}
+
+async function assertUniqueScope(fields, excludeId = null) {
+  let query = supabase
+    .from("total_item_limit_policies")
+    .select("id")
+    .eq("is_active", true)
+    .eq("student_type", fields.student_type);
+  query = fields.education_level
+    ? query.eq("education_level", fields.education_level)
+    : query.is("education_level", null);
+  query = fields.school_year
+    ? query.eq("school_year", fields.school_year)
+    : query.is("school_year", null);
+  if (excludeId) query = query.neq("id", excludeId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  if (data && data.length > 0) {
+    throw new Error("A policy for this education level, student type and school year already exists");
+  }
+}
+
+/**
+ * Create a policy
+ * @param {Object} input - { education_level?, student_type, school_year?, total_item_limit, notes? }
+ * @param {string|null} staffId - staff.id of the admin
+ */
+async function createPolicy(input, staffId) {
+  const fields = normalizePolicyInput(input);
+  await assertUniqueScope(fields);
+
+  const { data, error } = await supabase
+    .from("total_item_limit_policies")
+    .insert({ ...fields, created_by: staffId || null, updated_by: staffId || null })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to create total item limit policy: ${error.message}`);
+
+  return { success: true, data, message: "Total item limit policy created successfully" };
+}
+
+/**
+ * Update a policy
+ * @param {string} id - Policy ID
+ * @param {Object} input - Fields to change
+ * @param {string|null} staffId - staff.id of the admin
+ */
+async function updatePolicy(id, input, staffId) {
+  const { data: existing, error: fetchError } = await supabase
+    .from("total_item_limit_policies")
+    .select("*")
+    .eq("id", id)
+    .eq("is_active", true)
+    .maybeSingle();
+  if (fetchError) throw new Error(`Failed to fetch total item limit policy: ${fetchError.message}`);
+  if (!existing) throw new Error("Total item limit policy not found");
+
+  const fields = normalizePolicyInput(input, existing);
+  await assertUniqueScope(fields, id);
+
+  const { data, error } = await supabase
+    .from("total_item_limit_policies")
+    .update({ ...fields, updated_by: staffId || null, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to update total item limit policy: ${error.message}`);
+
+  return { success: true, data, message: "Total item limit policy updated successfully" };
+}
+
+/**
+ * Deactivate a policy
+ * @param {string} id - Policy ID
+ * @param {string|null} staffId - staff.id of the admin
+ */
+async function deletePolicy(id, staffId) {
+  const { data, error } = await supabase
+    .from("total_item_limit_policies")
+    .update({ is_active: false, updated_by: staffId || null, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .eq("is_active", true)
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(`Failed to delete total item limit policy: ${error.message}`);
+  if (!data) throw new Error("Total item limit policy not found");
+
+  return { success: true, message: "Total item limit policy deleted successfully" };
+}
+
+module.exports = {
+  resolveTotalItemLimit,
+  describeLimitRule,
+  getSchoolYearForDate,
+  SCHOOL_YEAR_START_MONTH,
+  getPolicies,
+  createPolicy,
+  updatePolicy,
+  deletePolicy,
+  BUILT_IN_DEFAULT_LIMITS,
+};
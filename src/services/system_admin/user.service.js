@@ -204,6 +204,7 @@ async function getUsers({
         "pending",
         "paid",
         "claimed",
+        "partially_claimed",
         "processing",
         "ready",
         "payment_pending",
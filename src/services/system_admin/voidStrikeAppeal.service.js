@@ -0,0 +1,415 @@
+const supabase = require("../../config/supabase");
+const { sql } = require("../../config/database");
+const { isMissingTableError } = require("../../utils/dbErrors");
+
+/**
+ * Void Strike Appeal Service
+ *
+ * Every auto-voided (unclaimed) order is a strike against the student; enough strikes set
+ * students.total_item_limit to 0. Each strike is recorded in student_void_strikes with the
+ * order that caused it, students can appeal, and approving an appeal clears the strikes and
+ * restores the limit the student had before the block. Every step is written to void_strike_audit.
+ */
+
+const APPEAL_STATUSES = ["pending", "approved", "rejected"];
+const MAX_REASON_LENGTH = 2000;
+
+/**
+ * Write an audit entry for a strike or appeal
+ * @param {Object} entry - { student_id, appeal_id, action, old_values, new_values, changed_by }
+ */
+async function writeAudit(entry) {
+  const { error } = await supabase.from("void_strike_audit").insert({
+    student_id: entry.student_id,
+    appeal_id: entry.appeal_id || null,
+    action: entry.action,
+    old_values: entry.old_values || null,
+    new_values: entry.new_values || null,
+    changed_by: entry.changed_by || null,
+  });
+  if (error) {
+    console.error("Failed to write void strike audit:", error);
+  }
+}
+
+/**
+ * Record a strike (called by the auto-void job after students.unclaimed_void_count is incremented).
+ * Never throws so the void job keeps going when the tables are not migrated yet.
+ * @param {Object} strike - { studentId, order, strikeNumber, limitBefore, causedBlock }
+ */
+async function recordStrike({ studentId, order, strikeNumber, limitBefore, causedBlock }) {
+  try {
+    const { data, error } = await supabase
+      .from("student_void_strikes")
+      .insert({
+        student_id: studentId,
+        order_id: order?.id || null,
+        order_number: order?.order_number || null,
+        strike_number: strikeNumber,
+        total_item_limit_before: limitBefore ?? null,
+        caused_block: !!causedBlock,
+      })
+      .select()
+      .single();
+    if (error) {
+      if (isMissingTableError(error)) {
+        console.warn(
+          "student_void_strikes table not found. Run migrations/create_void_strike_appeals_tables.sql to keep strike history"
+        );
+        return null;
+      }
+      throw error;
+    }
+
+    await writeAudit({
+      student_id: studentId,
+      action: "STRIKE",
+      old_values: { unclaimed_void_count: strikeNumber - 1, total_item_limit: limitBefore ?? null },
+      new_values: {
+        unclaimed_void_count: strikeNumber,
+        total_item_limit: causedBlock ? 0 : limitBefore ?? null,
+        order_id: data.order_id,
+        order_number: data.order_number,
+      },
+    });
+    return data;
+  } catch (error) {
+    console.error("Record void strike error:", error);
+    return null;
+  }
+}
+
+/**
+ * Strike history, current block state and appeals for one student
+ * @param {string} studentId - students.id
+ * @returns {Promise<Object>} { success, data: { student, strikes, active_strikes, blocked, appeals } }
+ */
+async function getStrikeHistory(studentId) {
+  try {
+    const { data: student, error: studentError } = await supabase
+      .from("students")
+      .select("id, name, email, unclaimed_void_count, total_item_limit")
+      .eq("id", studentId)
+      .maybeSingle();
+    if (studentError) throw studentError;
+    if (!student) throw new Error("Student not found");
+
+    const [{ data: strikes, error: strikesError }, { data: appeals, error: appealsError }] =
+      await Promise.all([
+        supabase
+          .from("student_void_strikes")
+          .select("*")
+          .eq("student_id", studentId)
+          .order("created_at", { ascending: false }),
+        supabase
+          .from("void_strike_appeals")
+          .select("*")
+          .eq("student_id", studentId)
+          .order("created_at", { ascending: false }),
+      ]);
+    if (strikesError) throw strikesError;
+    if (appealsError) throw appealsError;
+
+    return {
+      success: true,
+      data: {
+        student,
+        strikes: strikes || [],
+        active_strikes: (strikes || []).filter((s) => !s.cleared_at).length,
+        blocked: student.total_item_limit === 0,
+        appeals: appeals || [],
+      },
+    };
+  } catch (error) {
+    if (error.message === "Student not found") throw error;
+    console.error("Get void strike history error:", error);
+    throw new Error(`Failed to fetch void strike history: ${error.message}`);
+  }
+}
+
+/**
+ * Submit an appeal (student). Only one pending appeal per student.
+ * @param {string} studentId - students.id
+ * @param {string} reason - Why the strikes should be cleared
+ */
+async function submitAppeal(studentId, reason) {
+  const trimmed = String(reason || "").trim();
+  if (!trimmed) throw new Error("reason is required");
+  if (trimmed.length > MAX_REASON_LENGTH) {
+    throw new Error(`reason cannot be longer than ${MAX_REASON_LENGTH} characters`);
+  }
+
+  const { data: student, error: studentError } = await supabase
+    .from("students")
+    .select("id, unclaimed_void_count, total_item_limit")
+    .eq("id", studentId)
+    .maybeSingle();
+  if (studentError) throw new Error(`Failed to fetch student: ${studentError.message}`);
+  if (!student) throw new Error("Student not found");
+
+  const strikeCount = Number(student.unclaimed_void_count) || 0;
+  if (strikeCount === 0 && student.total_item_limit !== 0) {
+    throw new Error("You have no void strikes to appeal");
+  }
+
+  const { data: pending, error: pendingError } = await supabase
+    .from("void_strike_appeals")
+    .select("id")
+    .eq("student_id", studentId)
+    .eq("status", "pending")
+    .maybeSingle();
+  if (pendingError) throw new Error(`Failed to submit appeal: ${pendingError.message}`);
+  if (pending) throw new Error("You already have a pending appeal");
+
+  const { data, error } = await supabase
+    .from("void_strike_appeals")
+    .insert({
+      student_id: studentId,
+      reason: trimmed,
+      strike_count_at_submission: strikeCount,
+    })
+    .select()
+    .single();
+  if (error) {
+    // Unique index on (student_id) WHERE status = 'pending'
+    if (error.code === "23505") throw new Error("You already have a pending appeal");
+    throw new Error(`Failed to submit appeal: ${error.message}`);
+  }
+
+  await writeAudit({
+    student_id: studentId,
+    appeal_id: data.id,
+    action: "APPEAL_SUBMITTED",
+    new_values: { reason: trimmed, unclaimed_void_count: strikeCount, total_item_limit: student.total_item_limit },
+  });
+
+  return { success: true, data, message: "Appeal submitted successfully" };
+}
+
+/**
+ * List appeals for review
+ * @param {Object} filters - { status, student_id, limit }
+ * @returns {Promise<Object>} { success, data }
+ */
+async function getAppeals(filters = {}) {
+  try {
+    let query = supabase
+      .from("void_strike_appeals")
+      .select("*, student:students(id, name, email, education_level, unclaimed_void_count, total_item_limit)")
+      .order("created_at", { ascending: false })
+      .limit(Math.min(parseInt(filters.limit, 10) || 100, 500));
+
+    if (filters.status) {
+      if (!APPEAL_STATUSES.includes(filters.status)) {
+        throw new Error(`status must be one of: ${APPEAL_STATUSES.join(", ")}`);
+      }
+      query = query.eq("status", filters.status);
+    }
+    if (filters.student_id) query = query.eq("student_id", filters.student_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error("Get void strike appeals error:", error);
+    throw new Error(`Failed to fetch void strike appeals: ${error.message}`);
+  }
+}
+
+/**
+ * Approve an appeal: clear the student's active strikes, reset unclaimed_void_count and,
+ * if the strikes blocked the student, restore the limit they had before the block.
+ * Runs in one transaction so the student row, strikes and appeal cannot drift apart.
+ * @param {string} id - Appeal ID
+ * @param {string|null} staffId - staff.id of the admin
+ * @param {string} [notes] - Review notes
+ */
+async function approveAppeal(id, staffId, notes) {
+  const result = await sql.begin(async (tx) => {
+    const [appeal] = await tx`
+      SELECT * FROM void_strike_appeals WHERE id = ${id} FOR UPDATE
+    `;
+    if (!appeal) throw new Error("Appeal not found");
+    if (appeal.status !== "pending") throw new Error(`Appeal has already been ${appeal.status}`);
+
+    const [student] = await tx`
+      SELECT id, name, email, unclaimed_void_count, total_item_limit
+      FROM students WHERE id = ${appeal.student_id} FOR UPDATE
+    `;
+    if (!student) throw new Error("Student not found");
+
+    const activeStrikes = await tx`
+      SELECT id, order_number, strike_number, total_item_limit_before, caused_block
+      FROM student_void_strikes
+      WHERE student_id = ${student.id} AND cleared_at IS NULL
+      ORDER BY created_at DESC
+    `;
+
+    // Only undo a block the strikes caused; a limit the admin changed since then is kept
+    const blockingStrike = activeStrikes.find((s) => s.caused_block);
+    const blocked = student.total_item_limit === 0;
+    const restoredLimit = blocked
+      ? blockingStrike
+        ? blockingStrike.total_item_limit_before
+        : null
+      : student.total_item_limit;
+
+    const now = new Date();
+    await tx`
+      UPDATE students
+      SET unclaimed_void_count = 0,
+          total_item_limit = ${restoredLimit},
+          updated_at = ${now}
+      WHERE id = ${student.id}
+    `;
+
+    await tx`
+      UPDATE student_void_strikes
+      SET cleared_at = ${now}, cleared_by = ${staffId || null}, cleared_by_appeal_id = ${id}
+      WHERE student_id = ${student.id} AND cleared_at IS NULL
+    `;
+
+    const [updated] = await tx`
+      UPDATE void_strike_appeals
+      SET status = 'approved',
+          reviewed_by = ${staffId || null},
+          reviewed_at = ${now},
+          review_notes = ${notes?.trim() || null},
+          strikes_cleared = ${activeStrikes.length},
+          blocked_total_item_limit = ${student.total_item_limit},
+          restored_total_item_limit = ${restoredLimit},
+          updated_at = ${now}
+      WHERE id = ${id}
+      RETURNING *
+    `;
+
+    await tx`
+      INSERT INTO void_strike_audit ${tx({
+        student_id: student.id,
+        appeal_id: id,
+        action: "APPEAL_APPROVED",
+        old_values: tx.json({
+          unclaimed_void_count: student.unclaimed_void_count,
+          total_item_limit: student.total_item_limit,
+          active_strikes: activeStrikes.map((s) => s.order_number),
+        }),
+        new_values: tx.json({
+          unclaimed_void_count: 0,
+          total_item_limit: restoredLimit,
+          strikes_cleared: activeStrikes.length,
+        }),
+        changed_by: staffId || null,
+      })}
+    `;
+
+    return { appeal: updated, student, strikesCleared: activeStrikes.length, restoredLimit };
+  });
+
+  try {
+    const TransactionService = require("../transaction.service");
+    await TransactionService.logTransaction(
+      "User",
+      "VOID STRIKE APPEAL APPROVED",
+      staffId || null,
+      `Cleared ${result.strikesCleared} void strike(s) for ${result.student.name || result.student.email}`,
+      {
+        appeal_id: id,
+        student_id: result.student.id,
+        strikes_cleared: result.strikesCleared,
+        previous_total_item_limit: result.student.total_item_limit,
+        restored_total_item_limit: result.restoredLimit,
+        reviewed_by: staffId || null,
+      }
+    );
+  } catch (logError) {
+    console.error("Failed to log void strike appeal approval:", logError);
+  }
+
+  return {
+    success: true,
+    data: result.appeal,
+    message: `Appeal approved; ${result.strikesCleared} strike(s) cleared`,
+  };
+}
+
+/**
+ * Reject an appeal (strikes and limit are left as they are)
+ * @param {string} id - Appeal ID
+ * @param {string|null} staffId - staff.id of the admin
+ * @param {string} notes - Reason for rejecting (required so the student knows why)
+ */
+async function rejectAppeal(id, staffId, notes) {
+  const reviewNotes = String(notes || "").trim();
+  if (!reviewNotes) throw new Error("notes are required when rejecting an appeal");
+
+  const { data: existing, error: fetchError } = await supabase
+    .from("void_strike_appeals")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (fetchError) throw new Error(`Failed to fetch appeal: ${fetchError.message}`);
+  if (!existing) throw new Error("Appeal not found");
+  if (existing.status !== "pending") throw new Error(`Appeal has already been ${existing.status}`);
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("void_strike_appeals")
+    .update({
+      status: "rejected",
+      reviewed_by: staffId || null,
+      reviewed_at: now,
+      review_notes: reviewNotes,
+      updated_at: now,
+    })
+    .eq("id", id)
+    .eq("status", "pending")
+    .select()
+    .maybeSingle();
+  if (error) throw new Error(`Failed to reject appeal: ${error.message}`);
+  if (!data) throw new Error("Appeal has already been reviewed");
+
+  await writeAudit({
+    student_id: existing.student_id,
+    appeal_id: id,
+    action: "APPEAL_REJECTED",
+    old_values: { status: existing.status },
+    new_values: { status: "rejected", review_notes: reviewNotes },
+    changed_by: staffId,
+  });
+
+  return { success: true, data, message: "Appeal rejected" };
+}
+
+/**
+ * Get the audit trail for one student (or all students)
+ * @param {Object} options - { student_id, limit }
+ * @returns {Promise<Object>} { success, data }
+ */
+async function getAudit(options = {}) {
+  try {
+    let query = supabase
+      .from("void_strike_audit")
+      .select("*")
+      .order("changed_at", { ascending: false })
+      .limit(Math.min(parseInt(options.limit, 10) || 100, 500));
+    if (options.student_id) query = query.eq("student_id", options.student_id);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return { success: true, data: data || [] };
+  } catch (error) {
+    console.error("Get void strike audit error:", error);
+    throw new Error(`Failed to fetch void strike audit: ${error.message}`);
+  }
+}
+
+module.exports = {
+  APPEAL_STATUSES,
+  recordStrike,
+  getStrikeHistory,
+  submitAppeal,
+  getAppeals,
+  approveAppeal,
+  rejectAppeal,
+  getAudit,
+};
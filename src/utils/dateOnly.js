@@ -0,0 +1,35 @@
+/**
+ * Date-Only Utility
+ *
+ * Calendar dates (effective dates, non-working days, report periods) are stored and compared
+ * as YYYY-MM-DD strings in local time.
+ */
+
+/**
+ * YYYY-MM-DD for a Date (local time)
+ * @param {Date|string|number} date
+ * @returns {string}
+ */
+function toDateOnly(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse YYYY-MM-DD as a local date (new Date("YYYY-MM-DD") would be UTC midnight)
+ * @param {string} value
+ * @returns {Date|null} null when the value is not a real calendar date
+ */
+function parseDateOnly(value) {
+  const match = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return toDateOnly(date) === value ? date : null;
+}
+
+module.exports = {
+  toDateOnly,
+  parseDateOnly,
+};
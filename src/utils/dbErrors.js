@@ -0,0 +1,22 @@
+/**
+ * Database Error Utility
+ *
+ * Features backed by a table that ships in migrations/ keep working (or fail with a clear
+ * message) until that migration has been run; these helpers recognize the errors involved.
+ */
+
+/**
+ * Whether an error (Supabase or postgres) means the table or relation does not exist yet
+ * @param {Object} error - Error from a query
+ * @returns {boolean}
+ */
+function isMissingTableError(error) {
+  return Boolean(
+    error &&
+      (error.code === "42P01" || error.message?.includes("does not exist"))
+  );
+}
+
+module.exports = {
+  isMissingTableError,
+};
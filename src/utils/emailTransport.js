@@ -0,0 +1,101 @@
+/**
+ * Email Transport Utility
+ *
+ * Sends one email through the configured transport (EMAIL_TRANSPORT):
+ * - resend:  Resend API (RESEND_API_KEY, RESEND_FROM_EMAIL), same account as contact emails
+ * - file:    writes each email as .json + .html into EMAIL_OUTBOX_DIR (default tmp/emails)
+ * - console: prints the subject and text body to the server log
+ *
+ * When EMAIL_TRANSPORT is not set, production uses Resend (if RESEND_API_KEY is set)
+ * and development uses the console transport, so local testing never emails students.
+ */
+
+require("dotenv").config();
+const fs = require("fs/promises");
+const path = require("path");
+const { Resend } = require("resend");
+
+const TRANSPORTS = ["resend", "file", "console"];
+
+function getTransportName() {
+  const configured = String(process.env.EMAIL_TRANSPORT || "").trim().toLowerCase();
+  if (TRANSPORTS.includes(configured)) return configured;
+  if (process.env.NODE_ENV === "production" && process.env.RESEND_API_KEY) return "resend";
+  return "console";
+}
+
+function getFromEmail() {
+  return process.env.RESEND_FROM_EMAIL || process.env.CONTACT_FROM_EMAIL || "onboarding@resend.dev";
+}
+
+async function sendViaResend(message) {
+  const apiKey = process.env.RESEND_API_KEY;
+  if (!apiKey) {
+    console.warn("Email transport: RESEND_API_KEY not set; skipping email to", message.to);
+    return { success: false, transport: "resend", error: "RESEND_API_KEY not set" };
+  }
+  const resend = new Resend(apiKey);
+  const result = await resend.emails.send({ from: getFromEmail(), ...message });
+  if (result.error) {
+    console.error("❌ Email transport: Resend API error:", result.error);
+    return { success: false, transport: "resend", error: result.error.message || String(result.error) };
+  }
+  return { success: true, transport: "resend", id: result.data?.id || null };
+}
+
+async function sendViaFile(message) {
+  const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join("tmp", "emails"));
+  await fs.mkdir(outboxDir, { recursive: true });
+  const slug = String(message.subject || "email")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 60);
+  const baseName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${slug}`;
+  await fs.writeFile(
+    path.join(outboxDir, `${baseName}.json`),
+    JSON.stringify({ from: getFromEmail(), ...message, html: undefined }, null, 2)
+  );
+  if (message.html) {
+    await fs.writeFile(path.join(outboxDir, `${baseName}.html`), message.html);
+  }
+  console.log(`📧 Email transport (file): "${message.subject}" to ${message.to} -> ${outboxDir}/${baseName}.json`);
+  return { success: true, transport: "file", id: baseName };
+}
+
+function sendViaConsole(message) {
+  console.log(
+    [
+      "📧 Email transport (console) ----------------------------------",
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      "",
+      message.text || "",
+      "---------------------------------------------------------------",
+    ].join("\n")
+  );
+  return { success: true, transport: "console", id: null };
+}
+
+/**
+ * Send an email through the configured transport. Never throws.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ * @returns {Promise<{ success: boolean, transport: string, id?: string|null, error?: string }>}
+ */
+async function sendEmail(message) {
+  const transport = getTransportName();
+  try {
+    if (transport === "resend") return await sendViaResend(message);
+    if (transport === "file") return await sendViaFile(message);
+    return sendViaConsole(message);
+  } catch (error) {
+    console.error(`❌ Email transport (${transport}) failed:`, error.message || error);
+    return { success: false, transport, error: error.message || String(error) };
+  }
+}
+
+module.exports = {
+  TRANSPORTS,
+  getTransportName,
+  sendEmail,
+};
@@ -0,0 +1,244 @@
+/**
+ * Inventory Report Export Utility
+ *
+ * Turns inventory report rows (InventoryService.getInventoryReport, one row per size)
+ * into the school's property report layout: per-size lines grouped by item, a subtotal
+ * after each item and a grand total, then writes it as CSV or Excel (.xlsx).
+ */
+
+const ExcelJS = require("exceljs");
+const {
+  SCHOOL_NAME,
+  PROPERTY_OFFICE_NAME,
+  REPORT_TITLE,
+  REPORT_COLUMNS,
+  TOTALED_COLUMNS,
+} = require("../config/propertyReportTemplate");
+
+const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const SIZE_ORDER = [
+  "xxs",
+  "xs",
+  "xsmall",
+  "s",
+  "small",
+  "m",
+  "medium",
+  "l",
+  "large",
+  "xl",
+  "xlarge",
+  "2xl",
+  "xxl",
+  "3xl",
+  "xxxl",
+  "4xl",
+  "5xl",
+];
+
+function sizeRank(size) {
+  const base = String(size || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, "")
+    .replace(/[\s-]/g, "");
+  const index = SIZE_ORDER.indexOf(base);
+  if (index !== -1) return index;
+  const numeric = parseFloat(base);
+  return Number.isNaN(numeric) ? SIZE_ORDER.length + 100 : SIZE_ORDER.length + numeric;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(TOTALED_COLUMNS.map((key) => [key, 0]));
+}
+
+function addToTotals(totals, row) {
+  for (const key of TOTALED_COLUMNS) totals[key] += Number(row[key]) || 0;
+}
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Group report rows by item (name + education level) with subtotals and a grand total
+ * @param {Array<Object>} reportData - Inventory report rows
+ * @returns {Array<Object>} Export rows: { rowType: "line" | "subtotal" | "total", ...columns }
+ */
+function buildExportRows(reportData) {
+  const groups = new Map();
+  for (const row of reportData || []) {
+    const key = `${row.education_level || ""}|${(row.name || "").toLowerCase()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  const sortedGroups = [...groups.values()].sort((a, b) => {
+    const level = String(a[0].education_level || "").localeCompare(String(b[0].education_level || ""));
+    return level !== 0 ? level : String(a[0].name || "").localeCompare(String(b[0].name || ""));
+  });
+
+  const exportRows = [];
+  const grandTotal = emptyTotals();
+  let lineNumber = 0;
+
+  for (const group of sortedGroups) {
+    const subtotal = emptyTotals();
+    group.sort((a, b) => sizeRank(a.size) - sizeRank(b.size));
+
+    for (const row of group) {
+      lineNumber += 1;
+      const line = {
+        rowType: "line",
+        no: lineNumber,
+        description: row.name,
+        education_level: row.education_level,
+        size: row.size || "N/A",
+        beginning_inventory: Number(row.beginning_inventory) || 0,
+        unit_price_beginning: roundAmount(row.unit_price_beginning),
+        purchases: Number(row.purchases) || 0,
+        purchase_unit_price: roundAmount(row.purchase_unit_price),
+        released: Number(row.released) || 0,
+        returns: Number(row.returns) || 0,
+        ending_inventory: Number(row.ending_inventory) || 0,
+        total_amount: roundAmount(row.total_amount),
+        remarks: row.status || "",
+      };
+      addToTotals(subtotal, line);
+      exportRows.push(line);
+    }
+
+    exportRows.push({
+      rowType: "subtotal",
+      description: `Subtotal - ${group[0].name}`,
+      education_level: group[0].education_level,
+      ...subtotal,
+      total_amount: roundAmount(subtotal.total_amount),
+    });
+    addToTotals(grandTotal, subtotal);
+  }
+
+  exportRows.push({
+    rowType: "total",
+    description: "GRAND TOTAL",
+    ...grandTotal,
+    total_amount: roundAmount(grandTotal.total_amount),
+  });
+
+  return exportRows;
+}
+
+/** Header lines above the table (school, office, title, period, filters) */
+function buildHeaderLines(meta = {}) {
+  const period =
+    meta.startDate && meta.endDate
+      ? `For the period ${meta.startDate} to ${meta.endDate}`
+      : `As of ${meta.generatedAt ? meta.generatedAt.slice(0, 10) : new Date().toISOString().slice(0, 10)}`;
+  return [
+    SCHOOL_NAME,
+    PROPERTY_OFFICE_NAME,
+    REPORT_TITLE,
+    period,
+    `Education Level: ${meta.educationLevel || "All Education Levels"}`,
+  ];
+}
+
+/**
+ * One CSV cell. Text starting with =, +, - or @ gets a leading ' so spreadsheet apps
+ * show it as text instead of running it as a formula (numbers are left as they are).
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export (UTF-8 with BOM so Excel opens peso signs and ñ correctly)
+ * @param {Array<Object>} exportRows - Result of buildExportRows
+ * @param {Object} meta - { startDate, endDate, educationLevel, generatedAt }
+ * @returns {string}
+ */
+function toCsv(exportRows, meta = {}) {
+  const lines = buildHeaderLines(meta).map((line) => csvCell(line));
+  lines.push("");
+  lines.push(REPORT_COLUMNS.map((column) => csvCell(column.header)).join(","));
+  for (const row of exportRows) {
+    lines.push(REPORT_COLUMNS.map((column) => csvCell(row[column.key])).join(","));
+  }
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Excel export
+ * @param {Array<Object>} exportRows - Result of buildExportRows
+ * @param {Object} meta - { startDate, endDate, educationLevel, generatedAt }
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(exportRows, meta = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = PROPERTY_OFFICE_NAME;
+  workbook.created = meta.generatedAt ? new Date(meta.generatedAt) : new Date();
+
+  const sheet = workbook.addWorksheet("Inventory Report", {
+    pageSetup: { orientation: "landscape", fitToPage: true, fitToWidth: 1, fitToHeight: 0 },
+  });
+  sheet.columns = REPORT_COLUMNS.map((column) => ({ key: column.key, width: column.width }));
+
+  const headerLines = buildHeaderLines(meta);
+  headerLines.forEach((text, index) => {
+    const row = sheet.addRow([text]);
+    sheet.mergeCells(row.number, 1, row.number, REPORT_COLUMNS.length);
+    row.getCell(1).alignment = { horizontal: "center" };
+    row.getCell(1).font = { bold: index <= 2, size: index === 0 ? 14 : 11 };
+  });
+  sheet.addRow([]);
+
+  const headerRow = sheet.addRow(REPORT_COLUMNS.map((column) => column.header));
+  headerRow.font = { bold: true };
+  headerRow.alignment = { horizontal: "center", vertical: "middle", wrapText: true };
+  headerRow.eachCell((cell) => {
+    cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFD9E1F2" } };
+    cell.border = {
+      top: { style: "thin" },
+      left: { style: "thin" },
+      bottom: { style: "thin" },
+      right: { style: "thin" },
+    };
+  });
+  sheet.views = [{ state: "frozen", ySplit: headerRow.number }];
+
+  for (const exportRow of exportRows) {
+    const row = sheet.addRow(REPORT_COLUMNS.map((column) => exportRow[column.key] ?? null));
+    REPORT_COLUMNS.forEach((column, index) => {
+      const cell = row.getCell(index + 1);
+      if (column.type === "currency") cell.numFmt = "#,##0.00";
+      if (column.type === "integer") cell.numFmt = "#,##0";
+    });
+    if (exportRow.rowType !== "line") {
+      row.font = { bold: true };
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = { top: { style: "thin" } };
+      });
+    }
+    if (exportRow.rowType === "total") {
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = { top: { style: "thin" }, bottom: { style: "double" } };
+      });
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  sizeRank,
+  csvCell,
+  buildExportRows,
+  toCsv,
+  toXlsx,
+};
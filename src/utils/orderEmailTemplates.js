@@ -0,0 +1,231 @@
+/**
+ * Order Email Templates
+ *
+ * Subject, plain-text and HTML bodies for the order lifecycle emails sent to students.
+ * Event keys match the columns of email_notification_preferences.
+ */
+
+const ORDER_EMAIL_EVENTS = {
+  PLACED: "order_placed",
+  READY: "order_ready",
+  CLAIMED: "order_claimed",
+  CANCELLED: "order_cancelled",
+  AUTO_VOIDED: "order_auto_voided",
+  PRE_ORDER_CONVERTED: "pre_order_converted",
+  CLAIM_REMINDER: "claim_reminder",
+};
+
+const escapeHtml = (s) =>
+  String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+function parseItems(items) {
+  if (Array.isArray(items)) return items;
+  if (typeof items === "string") {
+    try {
+      const parsed = JSON.parse(items);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+function formatAmount(value) {
+  return `₱${(Number(value) || 0).toLocaleString("en-PH", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function formatDate(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString("en-PH", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+/** Headline and paragraphs for each event; extras carry event-specific values */
+function getEventContent(event, order, extras) {
+  const orderNumber = order.order_number;
+  const deadline = formatDate(extras.claimDeadline);
+  const office = extras.officeName || "Property Custodian Office";
+
+  switch (event) {
+    case ORDER_EMAIL_EVENTS.PLACED:
+      return {
+        subject: `Order ${orderNumber} received`,
+        headline: "We received your order",
+        paragraphs: [
+          order.order_type === "pre-order"
+            ? "Your pre-order has been recorded. We will email you once the items are in stock and your pre-order is converted."
+            : "Your order has been placed. We will email you again once it is ready for pickup.",
+          deadline ? `Please claim your order on or before ${deadline}; unclaimed orders are voided automatically.` : null,
+        ],
+      };
+    case ORDER_EMAIL_EVENTS.READY:
+      return {
+        subject: `Order ${orderNumber} is ready for pickup`,
+        headline: "Your order is ready for pickup",
+        paragraphs: [
+          `Bring your order receipt (or show the QR code in the app) to the ${office}.`,
+          deadline ? `Claim on or before ${deadline}. Orders not claimed by then are voided automatically.` : null,
+        ],
+      };
+    case ORDER_EMAIL_EVENTS.CLAIMED:
+      return {
+        subject: `Order ${orderNumber} claimed`,
+        headline: "Your order has been claimed",
+        paragraphs: ["All items on this order have been released to you. Thank you!"],
+      };
+    case ORDER_EMAIL_EVENTS.CANCELLED:
+      return {
+        subject: `Order ${orderNumber} cancelled`,
+        headline: "Your order has been cancelled",
+        paragraphs: [
+          order.notes ? `Reason: ${order.notes}` : null,
+          "You can place a new order from the student portal at any time.",
+        ],
+      };
+    case ORDER_EMAIL_EVENTS.AUTO_VOIDED:
+      return {
+        subject: `Order ${orderNumber} voided (not claimed)`,
+        headline: "Your order was voided",
+        paragraphs: [
+          order.status === "claimed"
+            ? "The items you had not yet claimed were voided because they were not picked up in time. Items you already received are not affected."
+            : "This order was voided because it was not claimed in time, and the items were returned to stock.",
+          "Repeatedly leaving orders unclaimed may limit your ability to place new orders.",
+        ],
+      };
+    case ORDER_EMAIL_EVENTS.PRE_ORDER_CONVERTED:
+      return {
+        subject: `Pre-order ${orderNumber} is now an order`,
+        headline: "Your pre-ordered items are in stock",
+        paragraphs: [
+          "Your pre-order has been converted to a regular order and the items have been reserved for you.",
+          "We will email you once it is ready for pickup.",
+        ],
+      };
+    case ORDER_EMAIL_EVENTS.CLAIM_REMINDER:
+      return {
+        subject: `Reminder: claim order ${orderNumber} by ${deadline}`,
+        headline: "Your order has not been claimed yet",
+        paragraphs: [
+          `Please claim your order at the ${office} on or before ${deadline}.`,
+          "Unclaimed orders are voided automatically after the deadline, and repeatedly leaving orders unclaimed may limit your ability to place new orders.",
+        ],
+      };
+    default:
+      throw new Error(`Unknown order email event: ${event}`);
+  }
+}
+
+/**
+ * Build the email for an order event
+ * @param {string} event - One of ORDER_EMAIL_EVENTS
+ * @param {Object} order - Order row
+ * @param {Object} extras - { claimDeadline?: Date, officeName?: string, portalUrl?: string }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function buildOrderEmail(event, order, extras = {}) {
+  const content = getEventContent(event, order, extras);
+  const paragraphs = content.paragraphs.filter(Boolean);
+  const items = parseItems(order.items);
+  const studentName = order.student_name || "Student";
+  const subject = `${content.subject} – La Verdad OrderFlow`;
+
+  const text = [
+    `Hi ${studentName},`,
+    "",
+    content.headline,
+    "",
+    ...paragraphs.flatMap((paragraph) => [paragraph, ""]),
+    `Order number: ${order.order_number}`,
+    ...items.map((item) => `- ${item.name} (${item.size || "N/A"}) x${Number(item.quantity) || 0}`),
+    `Total: ${formatAmount(order.total_amount)}`,
+    "",
+    extras.portalUrl ? `View your orders: ${extras.portalUrl}` : null,
+    "You can turn these emails off in your notification settings.",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+
+  const itemRows = items
+    .map(
+      (item) => `
+                <tr>
+                  <td style="padding: 6px 0; font-size: 14px; color: #374151;">${escapeHtml(item.name)} (${escapeHtml(item.size || "N/A")})</td>
+                  <td style="padding: 6px 0; font-size: 14px; color: #374151; text-align: right;">x${Number(item.quantity) || 0}</td>
+                </tr>`
+    )
+    .join("");
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(content.subject)}</title>
+</head>
+<body style="margin:0; padding:0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f3f4f6;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f3f4f6; padding: 24px 16px;">
+    <tr>
+      <td align="center">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width: 560px; background-color: #ffffff; border-radius: 12px; box-shadow: 0 4px 6px rgba(0,0,0,0.07); overflow: hidden;">
+          <tr>
+            <td style="background: linear-gradient(135deg, #003363 0%, #0C2340 100%); padding: 24px 32px; text-align: center;">
+              <h1 style="margin:0; font-size: 22px; font-weight: 700; color: #ffffff;">
+                <span style="color: #ffffff;">La Verdad</span> <span style="color: #F28C28;">OrderFlow</span>
+              </h1>
+              <p style="margin: 8px 0 0 0; font-size: 13px; color: rgba(255,255,255,0.85);">Order ${escapeHtml(order.order_number)}</p>
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 28px 32px;">
+              <p style="margin: 0 0 8px 0; font-size: 15px; color: #374151;">Hi ${escapeHtml(studentName)},</p>
+              <h2 style="margin: 0 0 16px 0; font-size: 18px; color: #003363;">${escapeHtml(content.headline)}</h2>
+              ${paragraphs.map((paragraph) => `<p style="margin: 0 0 16px 0; font-size: 15px; color: #374151; line-height: 1.6;">${escapeHtml(paragraph)}</p>`).join("\n              ")}
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f9fafb; border-radius: 8px; border: 1px solid #e5e7eb;">
+                <tr><td style="padding: 16px 24px;">
+                  <table role="presentation" width="100%" cellpadding="0" cellspacing="0">${itemRows}
+                    <tr>
+                      <td style="padding: 10px 0 0 0; font-size: 15px; font-weight: 600; color: #111827; border-top: 1px solid #e5e7eb;">Total</td>
+                      <td style="padding: 10px 0 0 0; font-size: 15px; font-weight: 600; color: #111827; border-top: 1px solid #e5e7eb; text-align: right;">${escapeHtml(formatAmount(order.total_amount))}</td>
+                    </tr>
+                  </table>
+                </td></tr>
+              </table>
+              ${extras.portalUrl ? `<p style="margin: 24px 0 0 0; text-align: center;"><a href="${escapeHtml(extras.portalUrl)}" style="display: inline-block; padding: 10px 20px; background-color: #F28C28; color: #ffffff; border-radius: 8px; text-decoration: none; font-weight: 600;">View my orders</a></p>` : ""}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding: 16px 32px 24px; border-top: 1px solid #e5e7eb; text-align: center;">
+              <p style="margin: 0; font-size: 12px; color: #9ca3af;">La Verdad OrderFlow – Uniform ordering system. You can turn these emails off in your notification settings.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+
+  return { subject, text, html };
+}
+
+module.exports = {
+  ORDER_EMAIL_EVENTS,
+  buildOrderEmail,
+};
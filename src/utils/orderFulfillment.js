@@ -0,0 +1,151 @@
+/**
+ * Order Fulfillment Utility
+ *
+ * Per-line fulfillment state stored inside orders.items[]:
+ * - fulfillment_status: "pending" | "released" | "backordered" | "voided"
+ * - released_quantity: how many units of the line were handed over
+ *
+ * Orders placed before per-line tracking have no fulfillment_status; for those the
+ * order status decides (claimed/completed = everything released).
+ */
+
+const LINE_STATUS = {
+  PENDING: "pending",
+  RELEASED: "released",
+  BACKORDERED: "backordered",
+  VOIDED: "voided",
+};
+
+/** Order statuses where at least part of the order has been handed over */
+const RELEASED_ORDER_STATUSES = ["claimed", "completed", "partially_claimed"];
+
+/**
+ * Quantity of a line that has been released to the student
+ * @param {Object} item - Order line
+ * @param {string} orderStatus - Status of the order the line belongs to
+ * @returns {number}
+ */
+function getReleasedQuantity(item, orderStatus) {
+  if (!item) return 0;
+  const quantity = Number(item.quantity) || 0;
+  if (item.fulfillment_status || item.released_quantity != null) {
+    return Math.min(quantity, Number(item.released_quantity) || 0);
+  }
+  const status = String(orderStatus || "").toLowerCase();
+  return status === "claimed" || status === "completed" ? quantity : 0;
+}
+
+/**
+ * Quantity of a line still reserved for the student (not released, not voided)
+ * @param {Object} item - Order line
+ * @param {string} orderStatus - Status of the order the line belongs to
+ * @returns {number}
+ */
+function getUnreleasedQuantity(item, orderStatus) {
+  if (!item) return 0;
+  const status = String(orderStatus || "").toLowerCase();
+  if (status === "cancelled" || item.fulfillment_status === LINE_STATUS.VOIDED) return 0;
+  const quantity = Number(item.quantity) || 0;
+  return Math.max(0, quantity - getReleasedQuantity(item, orderStatus));
+}
+
+/**
+ * Order status implied by the state of its lines
+ * @param {Array<Object>} items - Order lines
+ * @param {string} currentStatus - Status to keep when nothing has been released yet
+ * @returns {string}
+ */
+function deriveOrderStatusFromLines(items, currentStatus) {
+  const lines = Array.isArray(items) ? items : [];
+  const open = lines.filter((item) => item.fulfillment_status !== LINE_STATUS.VOIDED);
+  const anyReleased = lines.some((item) => (Number(item.released_quantity) || 0) > 0);
+  const allReleased = open.every(
+    (item) => (Number(item.released_quantity) || 0) >= (Number(item.quantity) || 0)
+  );
+
+  if (anyReleased && allReleased) return "claimed";
+  if (anyReleased) return "partially_claimed";
+  return currentStatus;
+}
+
+/**
+ * Apply a custodian's confirmed release to the lines of an order
+ * Lines flagged backordered keep their remaining quantity open for a later scan.
+ * @param {Array<Object>} orderItems - Current order lines (not modified)
+ * @param {Array<{ index: number, quantity?: number, backordered?: boolean }>} confirmedLines
+ * @param {Object} staff - Releasing staff member { id }
+ * @param {string} releasedAt - ISO timestamp of the release
+ * @returns {{ items: Array<Object>, releasedLines: Array<Object>, backorderedLines: Array<Object> }}
+ * @throws {Error} If a line does not exist, is voided, or the quantity is invalid
+ */
+function applyLineRelease(orderItems, confirmedLines, staff, releasedAt) {
+  const items = (Array.isArray(orderItems) ? orderItems : []).map((item) => ({ ...item }));
+  const releasedLines = [];
+  const backorderedLines = [];
+
+  for (const line of confirmedLines) {
+    const index = Number(line.index);
+    const item = items[index];
+    if (!Number.isInteger(index) || !item) {
+      throw new Error(`Order line ${line.index} does not exist`);
+    }
+    if (item.fulfillment_status === LINE_STATUS.VOIDED) {
+      throw new Error(`${item.name} (${item.size || "N/A"}) was voided and can no longer be released`);
+    }
+    const ordered = Number(item.quantity) || 0;
+    const alreadyReleased = Number(item.released_quantity) || 0;
+    const remaining = ordered - alreadyReleased;
+    const quantity =
+      line.quantity != null ? Number(line.quantity) : line.backordered ? 0 : remaining;
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new Error(`Invalid release quantity for ${item.name} (${item.size || "N/A"})`);
+    }
+    if (quantity > remaining) {
+      throw new Error(
+        `Cannot release ${quantity} of ${item.name} (${item.size || "N/A"}); only ${remaining} left to release`
+      );
+    }
+
+    // Custodian flags a line as backordered when the size is not on the shelf
+    if (line.backordered && quantity < remaining) {
+      item.fulfillment_status = LINE_STATUS.BACKORDERED;
+      backorderedLines.push({ index, name: item.name, size: item.size || "N/A" });
+    }
+    if (quantity === 0) continue;
+
+    item.released_quantity = alreadyReleased + quantity;
+    item.released_at = releasedAt;
+    item.released_by = staff?.id || null;
+    releasedLines.push({
+      index,
+      name: item.name,
+      size: item.size || "N/A",
+      quantity,
+    });
+  }
+
+  if (releasedLines.length === 0 && backorderedLines.length === 0) {
+    throw new Error("No items were confirmed for release");
+  }
+
+  for (const item of items) {
+    if (item.fulfillment_status === LINE_STATUS.VOIDED) continue;
+    if ((Number(item.released_quantity) || 0) >= (Number(item.quantity) || 0)) {
+      item.fulfillment_status = LINE_STATUS.RELEASED;
+    } else if (item.fulfillment_status !== LINE_STATUS.BACKORDERED) {
+      item.fulfillment_status = LINE_STATUS.PENDING;
+    }
+    item.released_quantity = Number(item.released_quantity) || 0;
+  }
+
+  return { items, releasedLines, backorderedLines };
+}
+
+module.exports = {
+  LINE_STATUS,
+  RELEASED_ORDER_STATUSES,
+  getReleasedQuantity,
+  getUnreleasedQuantity,
+  deriveOrderStatusFromLines,
+  applyLineRelease,
+};
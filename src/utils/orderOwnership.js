@@ -0,0 +1,29 @@
+/**
+ * Order Ownership Utility
+ *
+ * Orders store either students.id or the auth user id in student_id (older orders),
+ * plus the student's email. An order belongs to a student when any of those match.
+ * Resolve the identity with getOrderOwnerIdentity (profileResolver.service).
+ */
+
+/**
+ * Whether the student is the one who placed the order
+ * @param {Object} owner - { userId, studentId, email }
+ * @param {Object} order - { student_id, student_email }
+ * @returns {boolean}
+ */
+function isOrderOwner(owner, order) {
+  if (!owner || !order) return false;
+  const orderStudentId = order.student_id ? String(order.student_id) : "";
+  const orderEmail = (order.student_email || "").trim().toLowerCase();
+  const email = (owner.email || "").trim().toLowerCase();
+  return Boolean(
+    (orderStudentId &&
+      [owner.userId, owner.studentId].filter(Boolean).map(String).includes(orderStudentId)) ||
+      (email && orderEmail && orderEmail === email)
+  );
+}
+
+module.exports = {
+  isOrderOwner,
+};
@@ -0,0 +1,288 @@
+/**
+ * Order Receipt PDF Utility
+ *
+ * Builds printable PDFs for orders:
+ * - Order receipt: one page per order (student details, items, total, QR, claim deadline)
+ * - Claim slips: compact slips, three per page, for printing all orders that are ready
+ *
+ * The QR image encodes the order's signed receipt payload (qr_code_data), so a printed
+ * receipt scans the same as the one on the student's phone. Orders must carry a stored QR.
+ */
+
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const { SCHOOL_NAME, PROPERTY_OFFICE_NAME } = require("../config/propertyReportTemplate");
+
+const PAGE_MARGIN = 50;
+const SLIPS_PER_PAGE = 3;
+
+/** Standard PDF fonts have no peso sign, so amounts are printed as "PHP 1,250.00" */
+function formatAmount(value) {
+  return `PHP ${(Number(value) || 0).toLocaleString("en-PH", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+}
+
+function formatDate(value) {
+  if (!value) return "—";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleDateString("en-PH", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+function parseItems(items) {
+  if (Array.isArray(items)) return items;
+  if (typeof items === "string") {
+    try {
+      const parsed = JSON.parse(items);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+}
+
+/**
+ * Signed QR payload stored on the order. A QR signed here would not match the stored one
+ * when scanned, so orders without one are refused (see OrderService.ensureReceiptQR).
+ */
+function getQRPayload(order) {
+  if (!order.qr_code_data) {
+    throw new Error(`Order ${order.order_number || order.id} has no receipt QR code`);
+  }
+  return typeof order.qr_code_data === "string"
+    ? order.qr_code_data
+    : JSON.stringify(order.qr_code_data);
+}
+
+async function renderQRImage(order) {
+  return QRCode.toBuffer(getQRPayload(order), {
+    type: "png",
+    errorCorrectionLevel: process.env.QR_CODE_ERROR_CORRECTION || "M",
+    margin: 1,
+    width: 300,
+  });
+}
+
+/** Collect a PDFDocument into a Buffer */
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+    doc.end();
+  });
+}
+
+function drawItemsTable(doc, items, { x, y, width, fontSize = 10 }) {
+  const columns = [
+    { header: "Item", width: width * 0.5, align: "left" },
+    { header: "Size", width: width * 0.2, align: "left" },
+    { header: "Qty", width: width * 0.1, align: "right" },
+    { header: "Amount", width: width * 0.2, align: "right" },
+  ];
+
+  const drawRow = (values, rowY, bold = false) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(fontSize);
+    let cellX = x;
+    let rowHeight = 0;
+    columns.forEach((column, index) => {
+      const text = String(values[index] ?? "");
+      doc.text(text, cellX, rowY, { width: column.width - 4, align: column.align });
+      rowHeight = Math.max(rowHeight, doc.heightOfString(text, { width: column.width - 4 }));
+      cellX += column.width;
+    });
+    return rowY + rowHeight + 4;
+  };
+
+  let rowY = drawRow(columns.map((column) => column.header), y, true);
+  doc.moveTo(x, rowY - 2).lineTo(x + width, rowY - 2).stroke();
+
+  for (const item of items) {
+    const quantity = Number(item.quantity) || 0;
+    const lineAmount =
+      item.subtotal != null
+        ? Number(item.subtotal)
+        : (Number(item.price) || 0) * quantity;
+    rowY = drawRow(
+      [item.name || "Item", item.size || "N/A", quantity, formatAmount(lineAmount)],
+      rowY,
+    );
+  }
+  return rowY;
+}
+
+/**
+ * One-page order receipt
+ * @param {Object} order - Order row
+ * @param {Object} options - { claimDeadline: Date|string (order.claim_deadline), claimDays: number }
+ * @returns {Promise<Buffer>} PDF
+ */
+async function buildOrderReceiptPdf(order, { claimDeadline, claimDays } = {}) {
+  const qrImage = await renderQRImage(order);
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    info: { Title: `Order Receipt ${order.order_number}`, Author: PROPERTY_OFFICE_NAME },
+  });
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.font("Helvetica-Bold").fontSize(16).text(SCHOOL_NAME, { align: "center" });
+  doc.font("Helvetica").fontSize(11).text(PROPERTY_OFFICE_NAME, { align: "center" });
+  doc.moveDown(0.5);
+  doc.font("Helvetica-Bold").fontSize(14).text("ORDER RECEIPT", { align: "center" });
+  doc.moveDown(1);
+
+  const detailsTop = doc.y;
+  const qrSize = 140;
+  doc.image(qrImage, PAGE_MARGIN + contentWidth - qrSize, detailsTop, { width: qrSize });
+
+  const details = [
+    ["Order Number", order.order_number],
+    ["Order Date", formatDate(order.created_at)],
+    ["Status", String(order.status || "").replace(/_/g, " ").toUpperCase()],
+    ["Student Name", order.student_name || "—"],
+    ["Student Number", order.student_number || "—"],
+    ["Email", order.student_email || "—"],
+    ["Education Level", order.education_level || "—"],
+  ];
+  let detailY = detailsTop;
+  for (const [label, value] of details) {
+    doc.font("Helvetica-Bold").fontSize(10).text(`${label}:`, PAGE_MARGIN, detailY, { width: 110 });
+    doc.font("Helvetica").fontSize(10).text(String(value), PAGE_MARGIN + 110, detailY, {
+      width: contentWidth - qrSize - 120,
+    });
+    detailY += 16;
+  }
+
+  const tableTop = Math.max(detailY, detailsTop + qrSize) + 20;
+  const items = parseItems(order.items);
+  const tableBottom = drawItemsTable(doc, items, {
+    x: PAGE_MARGIN,
+    y: tableTop,
+    width: contentWidth,
+  });
+
+  doc.moveTo(PAGE_MARGIN, tableBottom).lineTo(PAGE_MARGIN + contentWidth, tableBottom).stroke();
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(12)
+    .text(`TOTAL: ${formatAmount(order.total_amount)}`, PAGE_MARGIN, tableBottom + 8, {
+      width: contentWidth,
+      align: "right",
+    });
+
+  doc.moveDown(2);
+  if (claimDeadline) {
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(11)
+      .text(`Claim on or before: ${formatDate(claimDeadline)}`, PAGE_MARGIN, doc.y, {
+        width: contentWidth,
+      });
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(
+        `Orders not claimed within ${claimDays} school day(s) of ordering (weekends and school holidays not counted) are voided automatically and the items are returned to stock.`,
+        { width: contentWidth },
+      );
+  }
+  doc.moveDown(1);
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(
+      `Present this receipt (or the QR code in the app) at the ${PROPERTY_OFFICE_NAME} when claiming.`,
+      { width: contentWidth },
+    );
+
+  return toBuffer(doc);
+}
+
+/**
+ * Claim slips for many orders, three per A4 page
+ * @param {Array<Object>} orders - Order rows with the computed claim_deadline
+ * @returns {Promise<Buffer>} PDF
+ */
+async function buildClaimSlipsPdf(orders) {
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    autoFirstPage: false,
+    info: { Title: "Claim Slips", Author: PROPERTY_OFFICE_NAME },
+  });
+
+  if (orders.length === 0) {
+    doc.addPage();
+    doc.font("Helvetica").fontSize(12).text("No orders are ready for claiming.", { align: "center" });
+    return toBuffer(doc);
+  }
+
+  for (let index = 0; index < orders.length; index++) {
+    const order = orders[index];
+    const slot = index % SLIPS_PER_PAGE;
+    if (slot === 0) doc.addPage();
+
+    const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+    const slipHeight = (doc.page.height - PAGE_MARGIN * 2) / SLIPS_PER_PAGE;
+    const top = PAGE_MARGIN + slot * slipHeight;
+    const qrSize = 100;
+    const qrImage = await renderQRImage(order);
+
+    doc.image(qrImage, PAGE_MARGIN + contentWidth - qrSize, top + 10, { width: qrSize });
+    const textWidth = contentWidth - qrSize - 15;
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(11)
+      .text(`CLAIM SLIP — ${SCHOOL_NAME}`, PAGE_MARGIN, top + 10, { width: textWidth });
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(`Order #${order.order_number}   |   ${order.education_level || ""}`, { width: textWidth })
+      .text(`${order.student_name || "—"}${order.student_number ? ` (${order.student_number})` : ""}`, {
+        width: textWidth,
+      });
+
+    if (order.claim_deadline) {
+      doc.font("Helvetica-Bold").fontSize(10).text(`Claim on or before: ${formatDate(order.claim_deadline)}`, {
+        width: textWidth,
+      });
+    }
+
+    const summary = parseItems(order.items)
+      .map((item) => `${item.name} (${item.size || "N/A"}) x${Number(item.quantity) || 0}`)
+      .join(", ");
+    doc.font("Helvetica").fontSize(9).text(summary, { width: textWidth, height: slipHeight - 100, ellipsis: true });
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(10)
+      .text(`Total: ${formatAmount(order.total_amount)}`, { width: textWidth });
+
+    // Cut line between slips
+    if (slot < SLIPS_PER_PAGE - 1 && index < orders.length - 1) {
+      const cutY = top + slipHeight - 5;
+      doc
+        .moveTo(PAGE_MARGIN, cutY)
+        .lineTo(PAGE_MARGIN + contentWidth, cutY)
+        .dash(4, { space: 4 })
+        .stroke()
+        .undash();
+    }
+  }
+
+  return toBuffer(doc);
+}
+
+module.exports = {
+  buildOrderReceiptPdf,
+  buildClaimSlipsPdf,
+};
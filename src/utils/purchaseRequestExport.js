@@ -0,0 +1,159 @@
+/**
+ * Purchase Request Export Utility
+ *
+ * Turns a demand forecast (DemandForecastService.getForecast) into a purchase request draft:
+ * one line per item / size with a suggested quantity, a grand total and a signature block,
+ * written as CSV or Excel (.xlsx).
+ */
+
+const ExcelJS = require("exceljs");
+const {
+  SCHOOL_NAME,
+  PROPERTY_OFFICE_NAME,
+  PURCHASE_REQUEST_TITLE,
+  PURCHASE_REQUEST_COLUMNS,
+  SIGNATORIES,
+} = require("../config/purchaseRequestTemplate");
+const { EXPORT_FORMATS, csvCell } = require("./inventoryReportExport");
+
+function roundAmount(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Request lines for every size with a suggested quantity, plus a grand total
+ * @param {Object} forecast - data of DemandForecastService.getForecast
+ * @returns {Array<Object>} Export rows: { rowType: "line" | "total", ...columns }
+ */
+function buildPurchaseRequestRows(forecast) {
+  const rows = [];
+  let quantity = 0;
+  let amount = 0;
+
+  for (const item of forecast?.items || []) {
+    for (const size of item.sizes) {
+      if (size.suggested_quantity <= 0) continue;
+      rows.push({
+        rowType: "line",
+        no: rows.length + 1,
+        description: item.name,
+        education_level: item.education_level,
+        size: size.size || "N/A",
+        unit: "pc",
+        quantity: size.suggested_quantity,
+        unit_cost: size.unit_cost === null ? null : roundAmount(size.unit_cost),
+        amount: roundAmount(size.estimated_amount),
+        basis: `${size.forecast_demand} + ${size.pending_pre_orders} + ${size.reorder_point} - ${size.on_hand} - ${size.on_order || 0}`,
+      });
+      quantity += size.suggested_quantity;
+      amount += size.estimated_amount;
+    }
+  }
+
+  rows.push({
+    rowType: "total",
+    description: "TOTAL",
+    quantity,
+    amount: roundAmount(amount),
+  });
+  return rows;
+}
+
+/** Header lines above the table (school, office, title, school year, basis) */
+function buildHeaderLines(forecast = {}) {
+  return [
+    SCHOOL_NAME,
+    PROPERTY_OFFICE_NAME,
+    PURCHASE_REQUEST_TITLE,
+    `For School Year ${forecast.school_year || ""}`,
+    `Education Level: ${forecast.education_level || "All Education Levels"}`,
+    `Based on orders of S.Y. ${(forecast.history?.school_years || []).join(", ")} and current enrolment`,
+  ];
+}
+
+/**
+ * CSV export (UTF-8 with BOM, like the inventory report)
+ * @param {Array<Object>} exportRows - Result of buildPurchaseRequestRows
+ * @param {Object} forecast - data of DemandForecastService.getForecast
+ * @returns {string}
+ */
+function toCsv(exportRows, forecast = {}) {
+  const lines = buildHeaderLines(forecast).map((line) => csvCell(line));
+  lines.push("");
+  lines.push(PURCHASE_REQUEST_COLUMNS.map((column) => csvCell(column.header)).join(","));
+  for (const row of exportRows) {
+    lines.push(PURCHASE_REQUEST_COLUMNS.map((column) => csvCell(row[column.key])).join(","));
+  }
+  lines.push("");
+  for (const signatory of SIGNATORIES) lines.push(csvCell(signatory));
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Excel export
+ * @param {Array<Object>} exportRows - Result of buildPurchaseRequestRows
+ * @param {Object} forecast - data of DemandForecastService.getForecast
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(exportRows, forecast = {}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = PROPERTY_OFFICE_NAME;
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet("Purchase Request", {
+    pageSetup: { orientation: "landscape", fitToPage: true, fitToWidth: 1, fitToHeight: 0 },
+  });
+  sheet.columns = PURCHASE_REQUEST_COLUMNS.map((column) => ({ key: column.key, width: column.width }));
+
+  buildHeaderLines(forecast).forEach((text, index) => {
+    const row = sheet.addRow([text]);
+    sheet.mergeCells(row.number, 1, row.number, PURCHASE_REQUEST_COLUMNS.length);
+    row.getCell(1).alignment = { horizontal: "center" };
+    row.getCell(1).font = { bold: index <= 2, size: index === 0 ? 14 : 11 };
+  });
+  sheet.addRow([]);
+
+  const headerRow = sheet.addRow(PURCHASE_REQUEST_COLUMNS.map((column) => column.header));
+  headerRow.font = { bold: true };
+  headerRow.alignment = { horizontal: "center", vertical: "middle", wrapText: true };
+  headerRow.eachCell((cell) => {
+    cell.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFD9E1F2" } };
+    cell.border = {
+      top: { style: "thin" },
+      left: { style: "thin" },
+      bottom: { style: "thin" },
+      right: { style: "thin" },
+    };
+  });
+  sheet.views = [{ state: "frozen", ySplit: headerRow.number }];
+
+  for (const exportRow of exportRows) {
+    const row = sheet.addRow(PURCHASE_REQUEST_COLUMNS.map((column) => exportRow[column.key] ?? null));
+    PURCHASE_REQUEST_COLUMNS.forEach((column, index) => {
+      const cell = row.getCell(index + 1);
+      if (column.type === "currency") cell.numFmt = "#,##0.00";
+      if (column.type === "integer") cell.numFmt = "#,##0";
+    });
+    if (exportRow.rowType === "total") {
+      row.font = { bold: true };
+      row.eachCell({ includeEmpty: true }, (cell) => {
+        cell.border = { top: { style: "thin" }, bottom: { style: "double" } };
+      });
+    }
+  }
+
+  sheet.addRow([]);
+  for (const signatory of SIGNATORIES) {
+    sheet.addRow([]);
+    sheet.addRow([signatory, null, "________________________________"]);
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  buildPurchaseRequestRows,
+  toCsv,
+  toXlsx,
+};
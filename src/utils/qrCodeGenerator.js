@@ -2,10 +2,53 @@
  * QR Code Generator Utility (Backend)
  *
  * Provides functions to generate QR code data for student orders
- * The QR code contains order information that can be scanned by admins
+ * The QR code contains order information that can be scanned by admins.
+ * Payloads are signed (HMAC-SHA256) so a scanned receipt can be verified
+ * against the server before items are released.
  */
 
+const crypto = require("crypto");
+
 const QR_VALID_DAYS = 7;
+const QR_SIGNATURE_ALGORITHM = "HS256";
+
+/**
+ * Secret used to sign receipt payloads. Falls back to JWT_SECRET so existing
+ * deployments keep working without a new env var.
+ * @returns {string}
+ * @throws {Error} If neither QR_SIGNING_SECRET nor JWT_SECRET is set
+ */
+function getQRSigningSecret() {
+  const secret = process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error(
+      "Missing receipt QR signing secret: set QR_SIGNING_SECRET (or JWT_SECRET)\n" +
+        "Please ensure it is set in your .env file or environment configuration.",
+    );
+  }
+  return secret;
+}
+
+/**
+ * Validate at startup that receipt QRs can be signed, so the server never runs
+ * with a guessable secret
+ * @throws {Error} If no signing secret is configured
+ */
+function validateQRSigningConfig() {
+  getQRSigningSecret();
+}
+
+/**
+ * Compute the HMAC signature of a payload (without its signature field)
+ * @param {Object} payload - QR payload fields in the order they are serialized
+ * @returns {string} base64url signature
+ */
+function signQRPayload(payload) {
+  return crypto
+    .createHmac("sha256", getQRSigningSecret())
+    .update(JSON.stringify(payload))
+    .digest("base64url");
+}
 
 /**
  * Generate QR code data for an order receipt
@@ -50,6 +93,7 @@ function generateOrderReceiptQRData(orderData) {
     "General";
   const status = orderData.status || "pending";
   const totalAmount = orderData.totalAmount || orderData.total_amount || 0;
+  const issuedAt = new Date();
 
   const qrData = {
     type: "order_receipt",
@@ -63,8 +107,12 @@ function generateOrderReceiptQRData(orderData) {
     orderDate,
     educationLevel,
     status,
-    qrIssuedAt: new Date().toISOString(),
+    qrIssuedAt: issuedAt.toISOString(),
     qrValidDays: QR_VALID_DAYS,
+    qrExpiresAt: new Date(
+      issuedAt.getTime() + QR_VALID_DAYS * 24 * 60 * 60 * 1000
+    ).toISOString(),
+    alg: QR_SIGNATURE_ALGORITHM,
   };
 
   // Validate the generated QR data structure
@@ -72,9 +120,55 @@ function generateOrderReceiptQRData(orderData) {
     throw new Error("Invalid QR code data: missing required fields");
   }
 
-  return JSON.stringify(qrData);
+  return JSON.stringify({ ...qrData, signature: signQRPayload(qrData) });
+}
+
+/**
+ * Verify a scanned order receipt QR payload
+ * Checks the HMAC signature and the expiry embedded in the payload.
+ * @param {string|Object} rawData - Scanned QR text (JSON) or already-parsed object
+ * @returns {{ valid: boolean, expired?: boolean, reason?: string, data?: Object }}
+ */
+function verifyOrderReceiptQRData(rawData) {
+  let parsed = rawData;
+  if (typeof rawData === "string") {
+    try {
+      parsed = JSON.parse(rawData);
+    } catch (_) {
+      return { valid: false, reason: "QR code is not a valid order receipt" };
+    }
+  }
+
+  if (!parsed || typeof parsed !== "object" || parsed.type !== "order_receipt") {
+    return { valid: false, reason: "QR code is not a valid order receipt" };
+  }
+
+  const { signature, ...payload } = parsed;
+  if (!signature || typeof signature !== "string") {
+    return { valid: false, reason: "QR code is not signed", data: payload };
+  }
+
+  const expected = Buffer.from(signQRPayload(payload));
+  const received = Buffer.from(signature);
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    return { valid: false, reason: "QR code signature is invalid", data: payload };
+  }
+
+  const expiresAt = payload.qrExpiresAt ? new Date(payload.qrExpiresAt) : null;
+  if (!expiresAt || Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+    // Signature is genuine: callers may still honour it (e.g. partially claimed orders)
+    return { valid: false, expired: true, reason: "QR code has expired", data: payload };
+  }
+
+  return { valid: true, data: payload };
 }
 
 module.exports = {
+  QR_VALID_DAYS,
+  validateQRSigningConfig,
   generateOrderReceiptQRData,
+  verifyOrderReceiptQRData,
 };
@@ -0,0 +1,82 @@
+/**
+ * Fake postgres.js `sql` for service tests
+ *
+ * Awaited queries are answered by the first handler whose pattern matches the query text
+ * (whitespace collapsed, nested fragments inlined); unmatched queries return no rows. Helper calls (tx(object),
+ * tx(array), tx.json) return their argument. Every query is recorded in `sql.queries`,
+ * and `sql.begin` marks `sql.rolledBack` when the callback throws.
+ */
+
+function createFakeSql() {
+  const handlers = [];
+
+  function sql(first, ...values) {
+    if (!Array.isArray(first) || !first.raw) return first;
+
+    // Nested fragments (sql`...` inside a query) are inlined into the query text
+    let text = first[0];
+    const params = [];
+    values.forEach((value, index) => {
+      if (value && value.isFragment) {
+        text += value.text;
+        params.push(...value.values);
+      } else {
+        text += "?";
+        params.push(value);
+      }
+      text += first[index + 1];
+    });
+
+    // Only queries that are awaited run (and are recorded); fragments never are
+    let result;
+    const run = () => {
+      if (!result) {
+        const query = { text: text.replace(/\s+/g, " ").trim(), values: params };
+        sql.queries.push(query);
+        const handler = handlers.find(({ pattern }) => pattern.test(query.text));
+        result = Promise.resolve().then(() => (handler ? handler.reply(query.values, query.text) : []));
+      }
+      return result;
+    };
+    return {
+      isFragment: true,
+      text,
+      values: params,
+      then: (onFulfilled, onRejected) => run().then(onFulfilled, onRejected),
+      catch: (onRejected) => run().catch(onRejected),
+    };
+  }
+
+  sql.queries = [];
+  sql.rolledBack = false;
+  sql.json = (value) => value;
+
+  /** Answer queries matching `pattern` with reply(values, text) */
+  sql.on = (pattern, reply) => {
+    handlers.push({ pattern, reply: typeof reply === "function" ? reply : () => reply });
+    return sql;
+  };
+
+  /** Queries whose text matches `pattern` */
+  sql.find = (pattern) => sql.queries.filter(({ text }) => pattern.test(text));
+
+  /** Forget handlers and recorded queries */
+  sql.reset = () => {
+    handlers.length = 0;
+    sql.queries = [];
+    sql.rolledBack = false;
+  };
+
+  sql.begin = async (callback) => {
+    try {
+      return await callback(sql);
+    } catch (error) {
+      sql.rolledBack = true;
+      throw error;
+    }
+  };
+
+  return sql;
+}
+
+module.exports = { createFakeSql };
@@ -0,0 +1,216 @@
+/**
+ * In-memory Supabase client for service tests
+ *
+ * Supports the query builder calls the services use (select / insert / update / delete / upsert,
+ * eq / neq / in / is / gt / gte / lt / lte / ilike filters, order, limit, range, single,
+ * maybeSingle). Tables are plain arrays (setDefaults fills column defaults on insert); a table removed with dropTable answers like an
+ * unmigrated one (42P01), and failOn(table, op, error) makes that operation fail.
+ */
+
+function compare(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function matches(row, [op, column, value]) {
+  const actual = row[column];
+  switch (op) {
+    case "eq":
+      return actual != null && String(actual) === String(value);
+    case "neq":
+      return actual == null || String(actual) !== String(value);
+    case "in":
+      return value.map(String).includes(String(actual));
+    case "is":
+      return value === null ? actual == null : actual === value;
+    case "gt":
+      return actual != null && compare(actual, value) > 0;
+    case "gte":
+      return actual != null && compare(actual, value) >= 0;
+    case "lt":
+      return actual != null && compare(actual, value) < 0;
+    case "lte":
+      return actual != null && compare(actual, value) <= 0;
+    case "ilike": {
+      const pattern = String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*");
+      return new RegExp(`^${pattern}$`, "i").test(String(actual ?? ""));
+    }
+    default:
+      throw new Error(`fakeSupabase: unsupported filter ${op}`);
+  }
+}
+
+function createFakeSupabase() {
+  const state = { tables: {}, defaults: {}, missing: new Set(), failures: new Map(), nextId: 1 };
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.op = "select";
+      this.filters = [];
+      this.orders = [];
+      this.mode = null;
+      this.count = false;
+    }
+
+    select(_columns, options = {}) {
+      if (this.op === "select") this.count = options.count === "exact";
+      return this;
+    }
+
+    insert(rows) {
+      this.op = "insert";
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      return this;
+    }
+
+    upsert(rows, options = {}) {
+      this.op = "upsert";
+      this.payload = Array.isArray(rows) ? rows : [rows];
+      this.conflict = (options.onConflict || "id").split(",").map((c) => c.trim());
+      this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+      return this;
+    }
+
+    update(values) {
+      this.op = "update";
+      this.payload = values;
+      return this;
+    }
+
+    delete() {
+      this.op = "delete";
+      return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+      this.orders.push({ column, ascending });
+      return this;
+    }
+
+    limit(n) {
+      this.limitTo = n;
+      return this;
+    }
+
+    range(from, to) {
+      this.rangeOf = [from, to];
+      return this;
+    }
+
+    single() {
+      this.mode = "single";
+      return this;
+    }
+
+    maybeSingle() {
+      this.mode = "maybeSingle";
+      return this;
+    }
+
+    then(onFulfilled, onRejected) {
+      return Promise.resolve()
+        .then(() => this._execute())
+        .then(onFulfilled, onRejected);
+    }
+
+    _execute() {
+      if (state.missing.has(this.table)) {
+        return { data: null, error: { code: "42P01", message: `relation "public.${this.table}" does not exist` } };
+      }
+      const failure = state.failures.get(`${this.table}:${this.op}`);
+      if (failure) return { data: null, error: failure };
+
+      const rows = (state.tables[this.table] = state.tables[this.table] || []);
+      const selected = () => rows.filter((row) => this.filters.every((filter) => matches(row, filter)));
+      let result;
+
+      if (this.op === "insert" || this.op === "upsert") {
+        result = [];
+        for (const values of this.payload) {
+          const existing =
+            this.op === "upsert" &&
+            rows.find((row) => this.conflict.every((column) => String(row[column]) === String(values[column])));
+          if (existing) {
+            // ignoreDuplicates leaves the row alone and returns nothing for it, like ON CONFLICT DO NOTHING
+            if (!this.ignoreDuplicates) result.push(Object.assign(existing, clone(values)));
+            continue;
+          }
+          const row = {
+            id: `${this.table}-${state.nextId++}`,
+            created_at: new Date().toISOString(),
+            ...state.defaults[this.table],
+            ...clone(values),
+          };
+          rows.push(row);
+          result.push(row);
+        }
+      } else if (this.op === "update") {
+        result = selected().map((row) => Object.assign(row, clone(this.payload)));
+      } else if (this.op === "delete") {
+        result = selected();
+        state.tables[this.table] = rows.filter((row) => !result.includes(row));
+      } else {
+        result = selected();
+        for (const { column, ascending } of [...this.orders].reverse()) {
+          result = [...result].sort((a, b) => (ascending ? 1 : -1) * compare(a[column] ?? "", b[column] ?? ""));
+        }
+        const total = result.length;
+        if (this.rangeOf) result = result.slice(this.rangeOf[0], this.rangeOf[1] + 1);
+        if (this.limitTo != null) result = result.slice(0, this.limitTo);
+        if (this.count) return { data: clone(result), error: null, count: total };
+      }
+
+      result = clone(result);
+      if (this.mode === "single" && result.length !== 1) {
+        return { data: null, error: { code: "PGRST116", message: "JSON object requested, multiple (or no) rows returned" } };
+      }
+      if (this.mode === "maybeSingle") {
+        if (result.length > 1) return { data: null, error: { code: "PGRST116", message: "Multiple rows returned" } };
+        return { data: result[0] || null, error: null };
+      }
+      return { data: this.mode === "single" ? result[0] : result, error: null };
+    }
+  }
+
+  for (const op of ["eq", "neq", "in", "is", "gt", "gte", "lt", "lte", "ilike"]) {
+    Query.prototype[op] = function filter(column, value) {
+      this.filters.push([op, column, value]);
+      return this;
+    };
+  }
+
+  return {
+    from: (table) => new Query(table),
+
+    /** Replace a table's rows */
+    setTable(table, rows) {
+      state.missing.delete(table);
+      state.tables[table] = clone(rows);
+    },
+
+    /** Column defaults for inserted rows (e.g. { is_active: true }) */
+    setDefaults(table, defaults) {
+      state.defaults[table] = defaults;
+    },
+
+    /** Current rows of a table */
+    table: (table) => state.tables[table] || [],
+
+    /** Answer every query on the table as if it was never migrated */
+    dropTable: (table) => state.missing.add(table),
+
+    /** Make one operation (select / insert / update / delete / upsert) on a table fail */
+    failOn: (table, op, error) => state.failures.set(`${table}:${op}`, error),
+
+    reset() {
+      state.tables = {};
+      state.defaults = {};
+      state.missing.clear();
+      state.failures.clear();
+    },
+  };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,36 @@
+const { stableStringify, hashRequestBody } = require("../../src/middleware/idempotency");
+
+describe("stableStringify", () => {
+  it("sorts object keys at every level", () => {
+    expect(stableStringify({ b: 1, a: { d: [2, { z: 1, y: 2 }], c: "x" } })).toBe(
+      '{"a":{"c":"x","d":[2,{"y":2,"z":1}]},"b":1}',
+    );
+  });
+
+  it("keeps array order", () => {
+    expect(stableStringify([3, 1, 2])).toBe("[3,1,2]");
+    expect(stableStringify([3, 1, 2])).not.toBe(stableStringify([1, 2, 3]));
+  });
+
+  it("writes undefined as null and primitives as JSON", () => {
+    expect(stableStringify(undefined)).toBe("null");
+    expect(stableStringify({ a: undefined })).toBe('{"a":null}');
+    expect(stableStringify(null)).toBe("null");
+    expect(stableStringify("text")).toBe('"text"');
+    expect(stableStringify(1.5)).toBe("1.5");
+  });
+});
+
+describe("hashRequestBody", () => {
+  it("hashes the same body the same regardless of key order", () => {
+    const first = hashRequestBody({ items: [{ name: "Polo", quantity: 1 }], notes: "a" });
+    const second = hashRequestBody({ notes: "a", items: [{ quantity: 1, name: "Polo" }] });
+    expect(first).toBe(second);
+    expect(first).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it("hashes a different body differently and treats a missing body as {}", () => {
+    expect(hashRequestBody({ quantity: 1 })).not.toBe(hashRequestBody({ quantity: 2 }));
+    expect(hashRequestBody(undefined)).toBe(hashRequestBody({}));
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock("../../src/config/supabase", () => require("../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../src/utils/emailTransport", () => ({
+  sendEmail: jest.fn(),
+}));
+
+const supabase = require("../../src/config/supabase");
+const { sendEmail } = require("../../src/utils/emailTransport");
+const OrderEmailService = require("../../src/services/orderEmail.service");
+
+const { PLACED, READY } = OrderEmailService.EVENTS;
+
+const order = {
+  id: "order-1",
+  order_number: "ORD-1",
+  student_name: "Juan Dela Cruz",
+  student_email: " Juan@Example.com ",
+  education_level: "College",
+  items: [{ name: "Polo", size: "M", quantity: 1, price: 350 }],
+  total_amount: 350,
+};
+
+beforeEach(() => {
+  supabase.reset();
+  sendEmail.mockResolvedValue({ success: true, transport: "console" });
+});
+
+describe("OrderEmailService.notifyOrderEvent", () => {
+  it("emails a student who has no saved preferences", async () => {
+    const result = await OrderEmailService.notifyOrderEvent(PLACED, order);
+
+    expect(result).toEqual({ sent: true, transport: "console" });
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: "juan@example.com" }));
+  });
+
+  it("skips an event the student turned off and keeps sending the others", async () => {
+    await OrderEmailService.updatePreferences("JUAN@example.com", { [READY]: false });
+
+    expect(await OrderEmailService.notifyOrderEvent(READY, order)).toEqual({
+      sent: false,
+      reason: "Student opted out",
+    });
+    expect((await OrderEmailService.notifyOrderEvent(PLACED, order)).sent).toBe(true);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it("sends nothing once the student unsubscribes from everything", async () => {
+    await OrderEmailService.updatePreferences("juan@example.com", { unsubscribed_all: true, [PLACED]: true });
+
+    for (const event of Object.values(OrderEmailService.EVENTS)) {
+      expect((await OrderEmailService.notifyOrderEvent(event, order)).reason).toBe("Student opted out");
+    }
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("keeps emailing before the preferences table is migrated", async () => {
+    supabase.dropTable("email_notification_preferences");
+
+    expect((await OrderEmailService.notifyOrderEvent(PLACED, order)).sent).toBe(true);
+  });
+
+  it("reports failures instead of throwing", async () => {
+    sendEmail.mockResolvedValue({ success: false, error: "Rate limited", transport: "resend" });
+    expect(await OrderEmailService.notifyOrderEvent(PLACED, order)).toEqual({
+      sent: false,
+      reason: "Rate limited",
+      transport: "resend",
+    });
+
+    supabase.failOn("email_notification_preferences", "select", { message: "connection reset" });
+    const result = await OrderEmailService.notifyOrderEvent(PLACED, order);
+    expect(result.sent).toBe(false);
+    expect(result.reason).toMatch(/connection reset/);
+
+    expect(await OrderEmailService.notifyOrderEvent("order_lost", order)).toEqual({
+      sent: false,
+      reason: "Unknown order email event: order_lost",
+    });
+    expect(await OrderEmailService.notifyOrderEvent(PLACED, { ...order, student_email: "" })).toEqual({
+      sent: false,
+      reason: "Order has no student email",
+    });
+  });
+});
+
+describe("OrderEmailService.updatePreferences", () => {
+  it("stores one row per normalized email and merges later changes", async () => {
+    await OrderEmailService.updatePreferences(" Juan@Example.com", { [READY]: false }, "student-1");
+    await OrderEmailService.updatePreferences("juan@example.com", { [PLACED]: false });
+
+    const rows = supabase.table("email_notification_preferences");
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ email: "juan@example.com", student_id: "student-1", [READY]: false, [PLACED]: false });
+  });
+
+  it("rejects non-boolean values and empty updates", async () => {
+    await expect(OrderEmailService.updatePreferences("juan@example.com", { [READY]: "no" })).rejects.toThrow(
+      `${READY} must be true or false`
+    );
+    await expect(OrderEmailService.updatePreferences("juan@example.com", { unknown: false })).rejects.toThrow(
+      "No preferences to update"
+    );
+    expect(supabase.table("email_notification_preferences")).toHaveLength(0);
+  });
+
+  it("returns every email on for a student without saved preferences", async () => {
+    const { data } = await OrderEmailService.getPreferences("maria@example.com");
+
+    expect(data).toMatchObject({ email: "maria@example.com", unsubscribed_all: false, [PLACED]: true, [READY]: true });
+  });
+});
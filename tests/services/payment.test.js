@@ -0,0 +1,215 @@
+jest.mock("../../src/config/supabase", () => require("../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../src/services/property_custodian/order.service", () => ({
+  updateOrderStatus: jest.fn(),
+}));
+jest.mock("../../src/services/property_custodian/cashierPayment.service", () => ({
+  recordOnlinePayment: jest.fn(),
+}));
+jest.mock("../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const supabase = require("../../src/config/supabase");
+const OrderService = require("../../src/services/property_custodian/order.service");
+const CashierPaymentService = require("../../src/services/property_custodian/cashierPayment.service");
+const TransactionService = require("../../src/services/transaction.service");
+const PaymentService = require("../../src/services/payment.service");
+const mockProvider = require("../../src/services/paymentProviders/mock.provider");
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+function webhookBody(overrides = {}, data = {}) {
+  return JSON.stringify({
+    id: "evt_1",
+    type: mockProvider.EVENT_TYPES.PAID,
+    created_at: "2026-06-01T08:00:00.000Z",
+    ...overrides,
+    data: { checkout_id: "mock_checkout", amount: 700, currency: "PHP", ...data },
+  });
+}
+
+function signed(rawBody, timestamp) {
+  return { [mockProvider.signatureHeader]: mockProvider.signPayload(rawBody, timestamp) };
+}
+
+function deliver(rawBody, headers = signed(rawBody)) {
+  return PaymentService.handleWebhook("mock", rawBody, headers);
+}
+
+beforeEach(() => {
+  supabase.reset();
+  supabase.setTable("payment_transactions", [
+    {
+      id: "tx-1",
+      order_id: "order-1",
+      order_number: "ORD-1",
+      provider: "mock",
+      provider_reference: "mock_checkout",
+      amount: "700.00",
+      currency: "PHP",
+      status: "pending",
+    },
+  ]);
+  supabase.setTable("orders", [
+    { id: "order-1", order_number: "ORD-1", status: "payment_pending", total_amount: "700.00", is_active: true },
+  ]);
+});
+
+describe("PaymentService.handleWebhook verification", () => {
+  it("rejects a body whose signature does not match", async () => {
+    const rawBody = webhookBody();
+    const tampered = webhookBody({}, { amount: 1 });
+
+    await expect(deliver(tampered, signed(rawBody))).rejects.toThrow("Invalid webhook signature");
+    await expect(deliver(rawBody, { [mockProvider.signatureHeader]: `t=${nowSeconds()},v1=00` })).rejects.toThrow(
+      "Invalid webhook signature"
+    );
+    await expect(deliver(rawBody, {})).rejects.toThrow("Invalid webhook signature");
+    expect(supabase.table("payment_webhook_events")).toHaveLength(0);
+    expect(CashierPaymentService.recordOnlinePayment).not.toHaveBeenCalled();
+  });
+
+  it("rejects a signature older than the five-minute tolerance", async () => {
+    const rawBody = webhookBody();
+
+    await expect(deliver(rawBody, signed(rawBody, nowSeconds() - 6 * 60))).rejects.toThrow(
+      "Invalid webhook signature"
+    );
+    await expect(deliver(rawBody, signed(rawBody, nowSeconds() + 6 * 60))).rejects.toThrow(
+      "Invalid webhook signature"
+    );
+    expect(CashierPaymentService.recordOnlinePayment).not.toHaveBeenCalled();
+  });
+
+  it("accepts a signature inside the tolerance", async () => {
+    const rawBody = webhookBody();
+
+    const result = await deliver(rawBody, signed(rawBody, nowSeconds() - 4 * 60));
+
+    expect(result).toEqual({ success: true, result: "order_paid" });
+  });
+
+  it("rejects a signed body that is not a provider event", async () => {
+    const rawBody = JSON.stringify({ hello: "world" });
+
+    await expect(deliver(rawBody)).rejects.toThrow("Invalid webhook payload");
+  });
+});
+
+describe("PaymentService.handleWebhook event handling", () => {
+  it("records a paid event once and marks the checkout paid", async () => {
+    const result = await deliver(webhookBody());
+
+    expect(result).toEqual({ success: true, result: "order_paid" });
+    expect(CashierPaymentService.recordOnlinePayment).toHaveBeenCalledTimes(1);
+    expect(CashierPaymentService.recordOnlinePayment.mock.calls[0][0]).toMatchObject({ id: "tx-1", amount: "700.00" });
+    expect(supabase.table("payment_transactions")[0]).toMatchObject({
+      status: "paid",
+      paid_at: "2026-06-01T08:00:00.000Z",
+    });
+    expect(supabase.table("payment_webhook_events")[0]).toMatchObject({
+      provider: "mock",
+      event_id: "evt_1",
+      result: "order_paid",
+    });
+  });
+
+  it("ignores a replayed event id", async () => {
+    const rawBody = webhookBody();
+    await deliver(rawBody);
+
+    const replay = await deliver(rawBody);
+
+    expect(replay).toEqual({ success: true, duplicate: true, result: "duplicate event" });
+    expect(CashierPaymentService.recordOnlinePayment).toHaveBeenCalledTimes(1);
+    expect(supabase.table("payment_webhook_events")).toHaveLength(1);
+  });
+
+  it("does not pay twice when the provider resends the payment under a new event id", async () => {
+    await deliver(webhookBody());
+
+    const result = await deliver(webhookBody({ id: "evt_2" }));
+
+    expect(result.result).toBe("ignored: already paid");
+    expect(CashierPaymentService.recordOnlinePayment).toHaveBeenCalledTimes(1);
+  });
+
+  it("fails the checkout instead of recording a payment when the amount does not match", async () => {
+    const result = await deliver(webhookBody({}, { amount: 699.99 }));
+
+    expect(result.result).toBe("ignored: amount mismatch");
+    expect(CashierPaymentService.recordOnlinePayment).not.toHaveBeenCalled();
+    expect(supabase.table("payment_transactions")[0]).toMatchObject({
+      status: "failed",
+      failure_reason: "Amount mismatch: expected 700.00, received 699.99",
+    });
+  });
+
+  it("treats amounts that differ only in float noise as equal", async () => {
+    supabase.table("payment_transactions")[0].amount = "0.30";
+
+    const result = await deliver(webhookBody({}, { amount: 0.1 + 0.2 }));
+
+    expect(result.result).toBe("order_paid");
+  });
+
+  it("drops the event row when applying it fails so the redelivery is processed", async () => {
+    CashierPaymentService.recordOnlinePayment.mockRejectedValueOnce(new Error("database unavailable"));
+    const rawBody = webhookBody();
+
+    await expect(deliver(rawBody)).rejects.toThrow("database unavailable");
+    expect(supabase.table("payment_webhook_events")).toHaveLength(0);
+    expect(supabase.table("payment_transactions")[0]).toMatchObject({ status: "pending", paid_at: null });
+
+    const retry = await deliver(rawBody);
+    expect(retry.result).toBe("order_paid");
+    expect(CashierPaymentService.recordOnlinePayment).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps an overpayment for review instead of failing the webhook", async () => {
+    CashierPaymentService.recordOnlinePayment.mockRejectedValueOnce(new Error("Order is already fully paid"));
+
+    const result = await deliver(webhookBody());
+
+    expect(result.result).toBe("ignored: more than the outstanding balance");
+    expect(TransactionService.logTransaction).toHaveBeenCalledWith(
+      "Order",
+      "ONLINE PAYMENT NEEDS REVIEW",
+      null,
+      expect.stringContaining("ORD-1"),
+      expect.objectContaining({ provider_reference: "mock_checkout", amount: 700 })
+    );
+  });
+
+  it("ignores events for an unknown checkout", async () => {
+    const result = await deliver(webhookBody({}, { checkout_id: "mock_other" }));
+
+    expect(result.result).toBe("ignored: unknown checkout");
+  });
+
+  it("puts the order back to pending when the last open checkout fails", async () => {
+    const result = await deliver(
+      webhookBody({ type: mockProvider.EVENT_TYPES.FAILED }, { failure_reason: "Declined" })
+    );
+
+    expect(result.result).toBe("payment_failed");
+    expect(supabase.table("payment_transactions")[0]).toMatchObject({ status: "failed", failure_reason: "Declined" });
+    expect(OrderService.updateOrderStatus).toHaveBeenCalledWith("order-1", "pending", null, null);
+  });
+
+  it("leaves the order payment_pending while another checkout is still open", async () => {
+    supabase.table("payment_transactions").push({
+      id: "tx-2",
+      order_id: "order-1",
+      provider: "mock",
+      provider_reference: "mock_newer",
+      amount: "700.00",
+      status: "pending",
+    });
+
+    await deliver(webhookBody({ type: mockProvider.EVENT_TYPES.EXPIRED }));
+
+    expect(supabase.table("payment_transactions")[0].status).toBe("expired");
+    expect(OrderService.updateOrderStatus).not.toHaveBeenCalled();
+  });
+});
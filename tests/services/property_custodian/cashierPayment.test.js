@@ -0,0 +1,237 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/order.service", () => ({
+  updateOrderStatus: jest.fn(),
+}));
+jest.mock("../../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const OrderService = require("../../../src/services/property_custodian/order.service");
+const CashierPaymentService = require("../../../src/services/property_custodian/cashierPayment.service");
+
+const cashier = { staffId: "staff-1", name: "Cashier", email: "cashier@example.com" };
+
+let order;
+let payments;
+let sequence;
+
+/** order_payments, the OR sequence and one order kept in memory behind the fake sql */
+function givenLedger() {
+  order = { id: "order-1", order_number: "ORD-1", status: "pending", total_amount: "700.00" };
+  payments = [];
+  sequence = { name: "official_receipt", prefix: "OR-", next_number: 41, padding: 6 };
+
+  sql.on(/FROM orders/, () => [order]);
+  sql.on(/SUM\(amount\)/, () => {
+    const sum = (kind) => payments.filter((p) => p.kind === kind).reduce((total, p) => total + Number(p.amount), 0);
+    return [{ paid: sum("payment").toFixed(2), refunded: sum("refund").toFixed(2) }];
+  });
+  sql.on(/^SELECT \* FROM order_payments/, () => payments);
+  sql.on(/^UPDATE receipt_number_sequences SET next_number = next_number \+ 1/, () => {
+    sequence.next_number += 1;
+    return [{ prefix: sequence.prefix, number: sequence.next_number - 1, padding: sequence.padding }];
+  });
+  sql.on(/^INSERT INTO order_payments/, ([values]) => {
+    const row = { id: `payment-${payments.length + 1}`, amount_tendered: null, change_given: 0, ...values };
+    payments.push(row);
+    return [row];
+  });
+}
+
+function pay(input) {
+  return CashierPaymentService.recordPayment("order-1", input, cashier);
+}
+
+function refund(input) {
+  return CashierPaymentService.refundPayment("order-1", { method: "cash", reason: "Cancelled", ...input }, cashier);
+}
+
+beforeEach(() => {
+  sql.reset();
+  givenLedger();
+});
+
+describe("CashierPaymentService official receipt numbers", () => {
+  it("issues consecutive OR numbers across payments", async () => {
+    await pay({ method: "cash", amount: 200 });
+    await pay({ method: "gcash", amount: 300, referenceNumber: "GC-1" });
+    await CashierPaymentService.recordOnlinePayment({
+      id: "tx-1",
+      order_id: "order-1",
+      amount: "200.00",
+      provider: "mock",
+      provider_reference: "mock_1",
+    });
+
+    expect(payments.map((p) => p.or_number)).toEqual(["OR-000041", "OR-000042", "OR-000043"]);
+    expect(sequence.next_number).toBe(44);
+  });
+
+  it("does not take a number for a payment that is rejected", async () => {
+    await expect(pay({ method: "cash", amount: 800 })).rejects.toThrow(
+      "Payment exceeds the outstanding balance of 700.00"
+    );
+    await expect(pay({ method: "cash", amount: 100, amountTendered: 50 })).rejects.toThrow(
+      "amountTendered cannot be less than the amount being paid"
+    );
+    await expect(pay({ method: "gcash", amount: 100 })).rejects.toThrow("referenceNumber is required for gcash payments");
+
+    expect(sql.find(/^UPDATE receipt_number_sequences/)).toHaveLength(0);
+    await pay({ method: "cash", amount: 100 });
+    expect(payments[0].or_number).toBe("OR-000041");
+  });
+
+  it("issues the number inside the payment transaction so a failed insert gives it back", async () => {
+    // Handlers answer first match first, so this one wins over the ledger's insert
+    sql.reset();
+    sql.on(/^INSERT INTO order_payments/, () => {
+      throw new Error("insert failed");
+    });
+    givenLedger();
+
+    await expect(pay({ method: "cash", amount: 100 })).rejects.toThrow("insert failed");
+
+    expect(sql.rolledBack).toBe(true);
+    expect(sql.find(/^UPDATE receipt_number_sequences/)).toHaveLength(1);
+  });
+
+  it("refuses to move the sequence back within the same prefix", async () => {
+    sql.on(/^SELECT \* FROM receipt_number_sequences/, () => [sequence]);
+
+    await expect(CashierPaymentService.updateReceiptSequence({ nextNumber: 40 }, cashier)).rejects.toThrow(
+      'nextNumber cannot go back below 41 for prefix "OR-"'
+    );
+    expect(sql.find(/^UPDATE receipt_number_sequences SET prefix/)).toHaveLength(0);
+  });
+
+  it("refuses a new series that would reissue an existing OR number", async () => {
+    sql.on(/^SELECT \* FROM receipt_number_sequences/, () => [sequence]);
+    sql.on(/^SELECT 1 FROM order_payments WHERE or_number/, ([orNumber]) =>
+      orNumber === "B-0001" ? [{ "?column?": 1 }] : []
+    );
+
+    await expect(
+      CashierPaymentService.updateReceiptSequence({ prefix: "B-", nextNumber: 1, padding: 4 }, cashier)
+    ).rejects.toThrow("That OR number has already been issued");
+    expect(sql.find(/^UPDATE receipt_number_sequences SET prefix/)).toHaveLength(0);
+  });
+
+  it("starts a new booklet series under a new prefix", async () => {
+    sql.on(/^SELECT \* FROM receipt_number_sequences/, () => [sequence]);
+    sql.on(/^UPDATE receipt_number_sequences SET prefix/, ([prefix, nextNumber, padding]) => [
+      { ...sequence, prefix, next_number: nextNumber, padding },
+    ]);
+
+    const result = await CashierPaymentService.updateReceiptSequence({ prefix: "B-", nextNumber: 1, padding: 4 }, cashier);
+
+    expect(result.data.next_or_number).toBe("B-0001");
+  });
+});
+
+describe("CashierPaymentService refunds", () => {
+  it("refunds everything paid on a cancelled order by default", async () => {
+    await pay({ method: "cash", amount: 500 });
+    order.status = "cancelled";
+
+    const result = await refund({});
+
+    expect(result.data.refund).toMatchObject({ kind: "refund", amount: 500, refund_reason: "Cancelled" });
+    expect(result.data.summary).toMatchObject({ payment_status: "refunded", refund_due: 0, balance: 0 });
+  });
+
+  it("rejects a refund larger than what is refundable", async () => {
+    await pay({ method: "cash", amount: 500 });
+    order.status = "cancelled";
+
+    await expect(refund({ amount: 500.01 })).rejects.toThrow("Refund exceeds the refundable amount of 500.00");
+    await refund({ amount: 300 });
+    await expect(refund({ amount: 250 })).rejects.toThrow("Refund exceeds the refundable amount of 200.00");
+    await refund({ amount: 200 });
+    await expect(refund({})).rejects.toThrow("Nothing to refund on this order");
+    expect(payments.filter((p) => p.kind === "refund").map((p) => p.amount)).toEqual([300, 200]);
+  });
+
+  it("only refunds what an open order was paid beyond its total", async () => {
+    await pay({ method: "cash" });
+    order.total_amount = "550.00"; // an item was returned after payment
+
+    await expect(refund({ amount: 200 })).rejects.toThrow("Refund exceeds the refundable amount of 150.00");
+    const result = await refund({ reason: "Returned item" });
+
+    expect(result.data.refund.amount).toBe(150);
+    expect(result.data.summary).toMatchObject({ payment_status: "paid", net_paid: 550, refund_due: 0 });
+  });
+
+  it("has nothing to refund on an order paid exactly its total", async () => {
+    await pay({ method: "cash" });
+
+    await expect(refund({})).rejects.toThrow("Nothing to refund on this order");
+  });
+});
+
+describe("CashierPaymentService payment summary", () => {
+  async function summary() {
+    return (await CashierPaymentService.getOrderPayments("order-1")).data.summary;
+  }
+
+  it("reports an unpaid order", async () => {
+    expect(await summary()).toEqual({
+      order_id: "order-1",
+      order_number: "ORD-1",
+      order_status: "pending",
+      total_amount: 700,
+      amount_paid: 0,
+      amount_refunded: 0,
+      net_paid: 0,
+      balance: 700,
+      refund_due: 0,
+      payment_status: "unpaid",
+    });
+  });
+
+  it("keeps cent totals exact across partial payments", async () => {
+    order.total_amount = "0.30";
+    await pay({ method: "cash", amount: 0.1 });
+    await pay({ method: "cash", amount: 0.2 });
+
+    expect(await summary()).toMatchObject({ amount_paid: 0.3, balance: 0, payment_status: "paid" });
+  });
+
+  it("reports a partial payment with its balance and change given", async () => {
+    const result = await pay({ method: "cash", amount: 250, amountTendered: 500 });
+
+    expect(result.data.payment).toMatchObject({ amount: 250, amount_tendered: 500, change_given: 250 });
+    expect(result.message).toBe("Partial payment recorded");
+    expect(await summary()).toMatchObject({ amount_paid: 250, net_paid: 250, balance: 450, payment_status: "partial" });
+    expect(OrderService.updateOrderStatus).not.toHaveBeenCalled();
+  });
+
+  it("moves a pending order to paid once the balance reaches zero", async () => {
+    await pay({ method: "cash", amount: 250 });
+    const result = await pay({ method: "cash" });
+
+    expect(result.data.payment.amount).toBe(450);
+    expect(result.data.summary).toMatchObject({ payment_status: "paid", balance: 0, order_status: "paid" });
+    expect(OrderService.updateOrderStatus).toHaveBeenCalledWith("order-1", "paid", null, null);
+    await expect(pay({ method: "cash", amount: 1 })).rejects.toThrow("Order is already fully paid");
+  });
+
+  it("reports money held beyond the order total as refund due", async () => {
+    await pay({ method: "cash" });
+    order.total_amount = "600.00";
+
+    expect(await summary()).toMatchObject({ net_paid: 700, balance: 0, refund_due: 100, payment_status: "refund_due" });
+  });
+
+  it("reports a cancelled order as refund due until it is refunded", async () => {
+    await pay({ method: "cash", amount: 300 });
+    order.status = "cancelled";
+
+    expect(await summary()).toMatchObject({ balance: 0, refund_due: 300, payment_status: "refund_due" });
+    await refund({});
+    expect(await summary()).toMatchObject({ amount_refunded: 300, net_paid: 0, refund_due: 0, payment_status: "refunded" });
+  });
+});
@@ -0,0 +1,135 @@
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../../src/services/system_admin/nonWorkingDays.service", () => ({
+  getNonWorkingDateSet: jest.fn(async () => new Set()),
+}));
+jest.mock("../../../src/services/profileResolver.service", () => ({
+  getStudentRowById: jest.fn(async () => ({ id: "student-1", user_id: "user-1" })),
+}));
+jest.mock("../../../src/services/notification.service", () => ({
+  createClaimReminderNotification: jest.fn(async () => ({ data: { id: "notification-1" } })),
+}));
+jest.mock("../../../src/services/orderEmail.service", () => ({
+  EVENTS: { CLAIM_REMINDER: "claim_reminder" },
+  notifyOrderEvent: jest.fn(async () => ({ sent: true })),
+}));
+
+const supabase = require("../../../src/config/supabase");
+const NotificationService = require("../../../src/services/notification.service");
+const OrderEmailService = require("../../../src/services/orderEmail.service");
+const OrderService = require("../../../src/services/property_custodian/order.service");
+
+const DAYS = 7;
+const deadline = new Date("2026-06-10T15:59:59.999Z");
+
+/** created_at inside the reminder window of a threshold (orders voided in that many weekdays) */
+function createdAtForThreshold(threshold) {
+  const windowStart = OrderService._dateSubtractWeekdays(new Date(), DAYS - threshold + 1, new Set());
+  return new Date(windowStart.getTime() + 60 * 60 * 1000).toISOString();
+}
+
+function givenOrders(...orders) {
+  supabase.setTable(
+    "orders",
+    orders.map((order, index) => ({
+      id: `order-${index + 1}`,
+      order_number: `ORD-${index + 1}`,
+      status: "ready",
+      is_active: true,
+      student_id: "student-1",
+      student_email: "student@example.com",
+      ...order,
+    }))
+  );
+}
+
+beforeEach(() => {
+  supabase.reset();
+  supabase.setTable("order_claim_reminders", []);
+  jest.spyOn(OrderService, "getClaimDeadline").mockResolvedValue(deadline);
+});
+
+describe("OrderService.sendClaimDeadlineReminders", () => {
+  it("reminds each order in the window once, in the app and by email", async () => {
+    givenOrders({ created_at: createdAtForThreshold(1) });
+
+    const result = await OrderService.sendClaimDeadlineReminders(DAYS, [1]);
+
+    expect(result).toEqual({ remindedCount: 1, orderIds: ["order-1"] });
+    expect(NotificationService.createClaimReminderNotification).toHaveBeenCalledWith({
+      studentId: "user-1",
+      orderNumber: "ORD-1",
+      orderId: "order-1",
+      claimDeadline: deadline,
+      weekdaysLeft: 1,
+    });
+    expect(OrderEmailService.notifyOrderEvent).toHaveBeenCalledWith(
+      "claim_reminder",
+      expect.objectContaining({ id: "order-1" }),
+      { claimDeadline: deadline }
+    );
+    expect(supabase.table("order_claim_reminders")).toEqual([
+      expect.objectContaining({
+        order_id: "order-1",
+        threshold_weekdays: 1,
+        claim_deadline: deadline.toISOString(),
+        in_app_sent: true,
+        email_sent: true,
+      }),
+    ]);
+  });
+
+  it("does not remind the same order twice at a threshold", async () => {
+    givenOrders({ created_at: createdAtForThreshold(1) });
+
+    await OrderService.sendClaimDeadlineReminders(DAYS, [1]);
+    const rerun = await OrderService.sendClaimDeadlineReminders(DAYS, [1]);
+
+    expect(rerun).toEqual({ remindedCount: 0, orderIds: [] });
+    expect(OrderService.getClaimDeadline).toHaveBeenCalledTimes(2);
+    expect(NotificationService.createClaimReminderNotification).toHaveBeenCalledTimes(1);
+    expect(OrderEmailService.notifyOrderEvent).toHaveBeenCalledTimes(1);
+    expect(supabase.table("order_claim_reminders")).toHaveLength(1);
+  });
+
+  it("sends one reminder per threshold as the order gets closer to the cutoff", async () => {
+    givenOrders({ created_at: createdAtForThreshold(3) });
+    await OrderService.sendClaimDeadlineReminders(DAYS, [3, 1]);
+
+    supabase.table("orders")[0].created_at = createdAtForThreshold(1);
+    await OrderService.sendClaimDeadlineReminders(DAYS, [3, 1]);
+
+    expect(supabase.table("order_claim_reminders").map((row) => row.threshold_weekdays)).toEqual([3, 1]);
+    expect(NotificationService.createClaimReminderNotification).toHaveBeenCalledTimes(2);
+  });
+
+  it("skips orders outside the window and orders that can no longer be claimed", async () => {
+    givenOrders(
+      { created_at: createdAtForThreshold(2) },
+      { created_at: createdAtForThreshold(1), status: "claimed" },
+      { created_at: createdAtForThreshold(1), is_active: false }
+    );
+
+    const result = await OrderService.sendClaimDeadlineReminders(DAYS, [1]);
+
+    expect(result.remindedCount).toBe(0);
+  });
+
+  it("keeps the reminder recorded when the email is not sent", async () => {
+    OrderEmailService.notifyOrderEvent.mockResolvedValueOnce({ sent: false, reason: "Student opted out" });
+    givenOrders({ created_at: createdAtForThreshold(1) });
+
+    await OrderService.sendClaimDeadlineReminders(DAYS, [1]);
+
+    expect(supabase.table("order_claim_reminders")[0]).toMatchObject({ in_app_sent: true, email_sent: false });
+  });
+
+  it("sends nothing before the reminders table is migrated", async () => {
+    supabase.dropTable("order_claim_reminders");
+    givenOrders({ created_at: createdAtForThreshold(1) });
+
+    const result = await OrderService.sendClaimDeadlineReminders(DAYS, [1]);
+
+    expect(result.remindedCount).toBe(0);
+    expect(OrderEmailService.notifyOrderEvent).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/itemVariants.service", () => ({
+  getVariantsByItemIds: jest.fn(async () => new Map()),
+  getLayout: jest.fn(() => ({ sizeVariations: [], accessoryEntries: [] })),
+}));
+jest.mock("../../../src/config/itemMaxOrder", () => ({
+  ...jest.requireActual("../../../src/config/itemMaxOrder"),
+  getMaxQuantitiesForStudent: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const { getMaxQuantitiesForStudent, resolveItemKey } = require("../../../src/config/itemMaxOrder");
+const DemandForecastService = require("../../../src/services/property_custodian/demandForecast.service");
+
+const polo = (size, fields = {}) => ({
+  id: `polo-${size}`,
+  name: "Polo",
+  education_level: "College",
+  size,
+  stock: 0,
+  price: 300,
+  reorder_point: 0,
+  for_gender: "Unisex",
+  ...fields,
+});
+
+const order = (studentId, studentType, items) => ({
+  student_id: studentId,
+  education_level: "College",
+  student_type: studentType,
+  items,
+});
+
+function given({ items, enrolment = [], history = [], preOrders = [], onOrder = [] }) {
+  sql.on(/^SELECT id, name, education_level, size, stock/, () => items);
+  sql.on(/LEFT JOIN LATERAL/, () => history);
+  sql.on(/^SELECT education_level, COALESCE\(LOWER\(student_type\)/, () => enrolment);
+  sql.on(/order_type = 'pre-order'/, () => preOrders);
+  sql.on(/to_regclass/, () => [{ has_purchase_orders: true }]);
+  sql.on(/FROM purchase_order_lines/, () => onOrder);
+}
+
+const range = (count, prefix) => Array.from({ length: count }, (_, index) => `${prefix}-${index + 1}`);
+
+beforeEach(() => {
+  sql.reset();
+  getMaxQuantitiesForStudent.mockResolvedValue({ [resolveItemKey("Polo")]: 2 });
+});
+
+describe("DemandForecastService.getForecast", () => {
+  // 10 new and 20 old students may each order 2 polos. Last year half of each group ordered,
+  // using half of their allowance: 5 new students took one M each, 10 old students one S each.
+  const enrolment = [
+    { education_level: "College", student_type: "new", gender: null, students: 10 },
+    { education_level: "College", student_type: "old", gender: null, students: 20 },
+  ];
+  const history = [
+    ...range(4, "new").map((id) => order(id, "new", [{ name: "Polo", size: "M", quantity: 1 }])),
+    order("new-5", "new", [
+      { name: "polo", size: "Medium (M)", quantity: 1 },
+      { name: "Polo", size: "L", quantity: 3, fulfillment_status: "voided" },
+    ]),
+    ...range(10, "old").map((id) => order(id, "old", [{ name: "Polo", size: "S", quantity: 1 }])),
+  ];
+
+  it("scales each student type's allowance by participation and uptake", async () => {
+    given({ items: [polo("S"), polo("M")], enrolment, history });
+
+    const { data } = await DemandForecastService.getForecast({ schoolYear: "2026-2027" });
+
+    // new: 10 x 2 x 0.5 x 0.5 = 5; old: 20 x 2 x 0.5 x 0.5 = 10
+    expect(data.items[0]).toMatchObject({
+      name: "Polo",
+      historical_units: 15,
+      enrolment_ceiling: 60,
+      expected_demand: 15,
+    });
+    expect(data.items[0].sizes.map(({ size, historical_units, forecast_demand }) => [size, historical_units, forecast_demand])).toEqual([
+      ["S", 10, 10],
+      ["M", 5, 5],
+    ]);
+    expect(data.history).toMatchObject({ school_years: ["2025-2026"], orders: 15 });
+  });
+
+  it("adds waiting pre-orders and the reorder point, and takes off stock and open purchase orders", async () => {
+    given({
+      items: [polo("S", { stock: 2, reorder_point: 1 }), polo("M", { price: 320 })],
+      enrolment,
+      history,
+      preOrders: [{ education_level: "College", items: [{ name: "Polo", size: "M", quantity: 3, allocated_quantity: 1 }] }],
+      onOrder: [{ name: "Polo", education_level: "College", size: "S", units: 4 }],
+    });
+
+    const { data } = await DemandForecastService.getForecast({ schoolYear: "2026-2027" });
+
+    expect(data.items[0].sizes).toEqual([
+      expect.objectContaining({ size: "S", forecast_demand: 10, on_hand: 2, reorder_point: 1, on_order: 4, suggested_quantity: 5, estimated_amount: 1500 }),
+      expect.objectContaining({ size: "M", forecast_demand: 5, pending_pre_orders: 2, suggested_quantity: 7, estimated_amount: 2240 }),
+    ]);
+    expect(data.totals).toEqual({ suggested_quantity: 12, estimated_amount: 3740 });
+  });
+
+  it("never suggests a negative quantity", async () => {
+    given({ items: [polo("S", { stock: 50 }), polo("M")], enrolment, history });
+
+    const { data } = await DemandForecastService.getForecast({ schoolYear: "2026-2027" });
+
+    expect(data.items[0].sizes[0]).toMatchObject({ size: "S", suggested_quantity: 0, estimated_amount: 0 });
+  });
+
+  it("expects students without order history to order up to their limit, spread over the sizes carried", async () => {
+    given({ items: [polo("S"), polo("M")], enrolment });
+
+    const { data } = await DemandForecastService.getForecast({ schoolYear: "2026-2027" });
+
+    expect(data.items[0].expected_demand).toBe(60);
+    expect(data.items[0].sizes.map((size) => size.forecast_demand)).toEqual([30, 30]);
+  });
+
+  it("repeats the average history year when no students are enrolled at the item's level", async () => {
+    given({ items: [polo("S"), polo("M")], history });
+
+    const { data } = await DemandForecastService.getForecast({ schoolYear: "2026-2027", historyYears: 2 });
+
+    expect(data.history.school_years).toEqual(["2024-2025", "2025-2026"]);
+    expect(data.items[0]).toMatchObject({ enrolment_ceiling: 0, expected_demand: 8 });
+  });
+
+  it("leaves out items the segment is not allowed to order", async () => {
+    getMaxQuantitiesForStudent.mockResolvedValue({ [resolveItemKey("Polo")]: 0 });
+    given({ items: [polo("S"), polo("M")], enrolment });
+
+    const { data } = await DemandForecastService.getForecast({ schoolYear: "2026-2027" });
+
+    expect(data.items[0]).toMatchObject({ enrolment_ceiling: 0, expected_demand: 0, suggested_quantity: 0 });
+  });
+
+  it("validates the period", async () => {
+    await expect(DemandForecastService.getForecast({ historyYears: 6 })).rejects.toThrow(
+      "historyYears must be a whole number from 1 to 5"
+    );
+    await expect(DemandForecastService.getForecast({ schoolYear: "2026-2028" })).rejects.toThrow(
+      'schoolYear must look like "2026-2027"'
+    );
+  });
+});
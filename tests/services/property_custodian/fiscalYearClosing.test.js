@@ -0,0 +1,302 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../../src/services/property_custodian/inventory.service", () => ({
+  getInventoryReportForExport: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const InventoryService = require("../../../src/services/property_custodian/inventory.service");
+const FiscalYearClosingService = require("../../../src/services/property_custodian/fiscalYearClosing.service");
+const { getSchoolYearForDate } = require("../../../src/services/system_admin/totalItemLimitPolicy.service");
+const { toDateOnly } = require("../../../src/utils/dateOnly");
+
+/** An inventory report export row */
+const reportRow = (fields) => ({ education_level: "College", category: "Uniform", size: "N/A", ...fields });
+
+/** A fiscal_year_closing_snapshots row of a completed run */
+const closingRow = (fields) => ({
+  education_level: "College",
+  category: "Uniform",
+  unit_price_beginning: 250,
+  purchase_unit_price: 275,
+  ...fields,
+});
+
+let closingRows;
+
+function givenClosings(...rows) {
+  closingRows = rows;
+  sql.on(/^SELECT c\.\* FROM fiscal_year_closing_snapshots c/, ([fiscalYear, educationLevel]) =>
+    closingRows.filter(
+      (row) => row.fiscal_year === fiscalYear && (!educationLevel || row.education_level === educationLevel)
+    )
+  );
+}
+
+const polo2024 = [
+  closingRow({ fiscal_year: "2024-2025", item_id: "item-polo", item_name: "Polo", size: "S", period_start: "2024-06-01", period_end: "2025-05-31",
+    beginning_inventory: 10, purchases: 20, released: 25, returns: 1, ending_inventory: 6, ending_value: "1500.00" }),
+  closingRow({ fiscal_year: "2024-2025", item_id: "item-polo", item_name: "Polo", size: "M", period_start: "2024-06-01", period_end: "2025-05-31",
+    beginning_inventory: 5, purchases: 5, released: 8, returns: 0, ending_inventory: 2, ending_value: "500.00" }),
+];
+
+/** 2025-2026 was closed by two runs: a December rollover and the June one */
+const twoRuns2025 = [
+  closingRow({ fiscal_year: "2025-2026", run_id: "run-1", item_id: "item-polo", item_name: "Polo", size: "S", period_start: "2025-06-01", period_end: "2025-12-31",
+    beginning_inventory: 6, purchases: 10, released: 12, returns: 0, ending_inventory: 4, ending_value: "1000.00", purchase_unit_price: 275 }),
+  closingRow({ fiscal_year: "2025-2026", run_id: "run-1", item_id: "item-patch", item_name: "Logo Patch", size: "N/A", period_start: "2025-06-01", period_end: "2025-12-31",
+    beginning_inventory: 0, purchases: 50, released: 20, returns: 0, ending_inventory: 30, ending_value: "1500.00" }),
+  closingRow({ fiscal_year: "2025-2026", run_id: "run-2", item_id: "item-polo", item_name: "Polo", size: "s", period_start: "2026-01-01", period_end: "2026-05-31",
+    beginning_inventory: 4, purchases: 30, released: 30, returns: 2, ending_inventory: 6, ending_value: "1650.20", purchase_unit_price: 290 }),
+];
+
+beforeEach(() => {
+  sql.reset();
+  givenClosings();
+});
+
+describe("FiscalYearClosingService.captureClosing", () => {
+  const run = { id: "run-1" };
+
+  beforeEach(() => {
+    sql.on(/to_regclass\('fiscal_year_closing_snapshots'\)/, [{ exists: true }]);
+  });
+
+  it("freezes the report figures of the rolled over items up to the day before the rollover", async () => {
+    InventoryService.getInventoryReportForExport.mockResolvedValue({
+      data: [
+        reportRow({ item_id: "item-polo", name: "Polo", size: "S", beginning_inventory: 6, purchases: 40, released: 42, returns: 2, ending_inventory: 6, total_amount: 1650.2049, unit_price_beginning: 250, purchase_unit_price: 290 }),
+        reportRow({ item_id: "item-polo", name: "Polo", size: "S", beginning_inventory: 99 }),
+        reportRow({ item_id: "item-patch", name: "Logo Patch", beginning_inventory: 0, purchases: 50, released: 20, ending_inventory: 30, total_amount: 1500 }),
+        reportRow({ item_id: "item-lanyard", name: "Lanyard", ending_inventory: 40 }),
+      ],
+    });
+
+    const result = await FiscalYearClosingService.captureClosing(
+      sql,
+      run,
+      [
+        { item: { id: "item-polo" }, fiscal_year_start: "2025-06-01" },
+        { item: { id: "item-patch" }, fiscal_year_start: null },
+      ],
+      "2026-06-01"
+    );
+
+    expect(result).toEqual({ rows: 2, fiscalYears: ["2025-2026"] });
+    expect(InventoryService.getInventoryReportForExport).toHaveBeenCalledTimes(1);
+    expect(InventoryService.getInventoryReportForExport).toHaveBeenCalledWith({ startDate: "2025-06-01", endDate: "2026-05-31" });
+    const [insert] = sql.find(/^INSERT INTO fiscal_year_closing_snapshots/);
+    expect(insert.values[0]).toEqual([
+      {
+        fiscal_year: "2025-2026",
+        run_id: "run-1",
+        item_id: "item-polo",
+        item_name: "Polo",
+        education_level: "College",
+        category: "Uniform",
+        size: "S",
+        period_start: "2025-06-01",
+        period_end: "2026-05-31",
+        beginning_inventory: 6,
+        purchases: 40,
+        released: 42,
+        returns: 2,
+        ending_inventory: 6,
+        unit_price_beginning: 250,
+        purchase_unit_price: 290,
+        ending_value: 1650.2,
+      },
+      expect.objectContaining({ item_id: "item-patch", size: "N/A", ending_inventory: 30, ending_value: 1500 }),
+    ]);
+  });
+
+  it("runs one report per fiscal year start and closes each year it covers", async () => {
+    InventoryService.getInventoryReportForExport.mockImplementation(async ({ startDate }) => ({
+      data:
+        startDate === "2025-06-01"
+          ? [reportRow({ item_id: "item-polo", name: "Polo", ending_inventory: 6 })]
+          : [reportRow({ item_id: "item-patch", name: "Logo Patch", ending_inventory: 30 })],
+    }));
+
+    const result = await FiscalYearClosingService.captureClosing(
+      sql,
+      run,
+      [
+        { item: { id: "item-polo" }, fiscal_year_start: "2025-06-01" },
+        { item: { id: "item-patch" }, fiscal_year_start: "2025-03-01" },
+      ],
+      "2026-06-01"
+    );
+
+    expect(result).toEqual({ rows: 2, fiscalYears: ["2024-2025", "2025-2026"] });
+    expect(InventoryService.getInventoryReportForExport.mock.calls.map(([params]) => params.startDate)).toEqual([
+      "2025-06-01",
+      "2025-03-01",
+    ]);
+    expect(sql.find(/^INSERT INTO fiscal_year_closing_snapshots/).map(({ values }) => values[0][0].fiscal_year)).toEqual([
+      "2025-2026",
+      "2024-2025",
+    ]);
+  });
+
+  it("skips the capture before the snapshots table is migrated", async () => {
+    sql.reset();
+    sql.on(/to_regclass/, [{ exists: false }]);
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const result = await FiscalYearClosingService.captureClosing(
+      sql,
+      run,
+      [{ item: { id: "item-polo" }, fiscal_year_start: "2025-06-01" }],
+      "2026-06-01"
+    );
+
+    expect(result).toEqual({ rows: 0, fiscalYears: [] });
+    expect(InventoryService.getInventoryReportForExport).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("fiscal_year_closing_snapshots table not found"));
+  });
+
+  it("does nothing when no item is rolled over", async () => {
+    expect(await FiscalYearClosingService.captureClosing(sql, run, [], "2026-06-01")).toEqual({ rows: 0, fiscalYears: [] });
+    expect(sql.queries).toHaveLength(0);
+  });
+});
+
+describe("FiscalYearClosingService.getClosing", () => {
+  it("combines a year closed by two runs per item and size", async () => {
+    givenClosings(...polo2024, ...twoRuns2025);
+
+    const { data } = await FiscalYearClosingService.getClosing("2025 - 2026");
+
+    expect(sql.find(/fiscal_year_closing_snapshots/)[0].text).toContain("WHERE r.status = 'completed'");
+    expect(data.fiscal_year).toBe("2025-2026");
+    expect(data.rows).toEqual([
+      expect.objectContaining({
+        item_id: "item-polo",
+        size: "S",
+        period_start: "2025-06-01",
+        period_end: "2026-05-31",
+        beginning_inventory: 6,
+        purchases: 40,
+        released: 42,
+        returns: 2,
+        ending_inventory: 6,
+        ending_value: 1650.2,
+        unit_price_beginning: 250,
+        purchase_unit_price: 290,
+      }),
+      expect.objectContaining({ item_id: "item-patch", size: "N/A", purchases: 50, ending_inventory: 30 }),
+    ]);
+    expect(data.totals).toEqual({
+      beginning_inventory: 6,
+      purchases: 90,
+      released: 62,
+      returns: 2,
+      ending_inventory: 36,
+      ending_value: 3150.2,
+    });
+  });
+
+  it("filters by education level", async () => {
+    givenClosings(...polo2024, closingRow({ ...polo2024[0], education_level: "Senior High School", item_id: "item-shs-polo" }));
+
+    const { data } = await FiscalYearClosingService.getClosing("2024-2025", { educationLevel: "Senior High School" });
+
+    expect(sql.queries[0].values).toEqual(["2024-2025", "Senior High School"]);
+    expect(data.rows.map((row) => row.item_id)).toEqual(["item-shs-polo"]);
+  });
+
+  it("rejects a year with no closing and a malformed year", async () => {
+    await expect(FiscalYearClosingService.getClosing("2023-2024")).rejects.toThrow(
+      "Closing snapshot for fiscal year 2023-2024 not found"
+    );
+    await expect(FiscalYearClosingService.getClosing("2023-2025")).rejects.toThrow(
+      'fiscalYear must look like "2025-2026"'
+    );
+  });
+});
+
+describe("FiscalYearClosingService.compareFiscalYears", () => {
+  it("lines two closed years up per item and size with the change between them", async () => {
+    givenClosings(...polo2024, ...twoRuns2025);
+
+    const { data } = await FiscalYearClosingService.compareFiscalYears({ baseYear: "2024-2025", compareYear: "2025-2026" });
+
+    expect(data.base).toEqual({ fiscal_year: "2024-2025", source: "closing", period_start: "2024-06-01", period_end: "2025-05-31" });
+    expect(data.compare).toEqual({ fiscal_year: "2025-2026", source: "closing", period_start: "2025-06-01", period_end: "2026-05-31" });
+    expect(data.rows.map((row) => [row.name, row.size])).toEqual([
+      ["Logo Patch", "N/A"],
+      ["Polo", "M"],
+      ["Polo", "S"],
+    ]);
+
+    const [patch, poloM, poloS] = data.rows;
+    expect(patch.base).toBeNull();
+    expect(patch.change).toMatchObject({ purchases: 50, ending_inventory: 30, released_pct: null, ending_value_pct: null });
+    expect(poloM.compare).toBeNull();
+    expect(poloM.change).toMatchObject({ released: -8, ending_value: -500, released_pct: null });
+    expect(poloS.base).toMatchObject({ released: 25, ending_value: 1500 });
+    expect(poloS.compare).toMatchObject({ released: 42, ending_value: 1650.2 });
+    expect(poloS.change).toEqual({
+      beginning_inventory: -4,
+      purchases: 20,
+      released: 17,
+      returns: 1,
+      ending_inventory: 0,
+      ending_value: 150.2,
+      released_pct: 68,
+      ending_value_pct: 10,
+    });
+
+    expect(data.totals.base).toMatchObject({ released: 33, ending_value: 2000 });
+    expect(data.totals.compare).toMatchObject({ released: 62, ending_value: 3150.2 });
+    expect(data.totals.change).toMatchObject({ released: 29, ending_value: 1150.2, released_pct: 87.9, ending_value_pct: 57.5 });
+    expect(InventoryService.getInventoryReportForExport).not.toHaveBeenCalled();
+  });
+
+  it("compares against the live figures of the current fiscal year", async () => {
+    const currentYear = getSchoolYearForDate(new Date());
+    const startYear = Number(currentYear.slice(0, 4));
+    const previousYear = `${startYear - 1}-${startYear}`;
+    givenClosings(closingRow({ ...polo2024[0], fiscal_year: previousYear }));
+    InventoryService.getInventoryReportForExport.mockResolvedValue({
+      data: [reportRow({ item_id: "item-polo", name: "Polo", size: "S", released: 30, ending_inventory: 9, total_amount: 2250 })],
+    });
+
+    const { data } = await FiscalYearClosingService.compareFiscalYears({
+      baseYear: previousYear,
+      compareYear: currentYear,
+      educationLevel: "College",
+    });
+
+    expect(InventoryService.getInventoryReportForExport).toHaveBeenCalledWith({
+      startDate: `${startYear}-06-01`,
+      endDate: toDateOnly(new Date()),
+      educationLevel: "College",
+    });
+    expect(data.compare).toMatchObject({ fiscal_year: currentYear, source: "live", period_start: `${startYear}-06-01` });
+    expect(data.rows).toEqual([
+      expect.objectContaining({
+        size: "S",
+        compare: expect.objectContaining({ released: 30, ending_inventory: 9, ending_value: 2250 }),
+        change: expect.objectContaining({ released: 5, released_pct: 20, ending_value: 750, ending_value_pct: 50 }),
+      }),
+    ]);
+  });
+
+  it("rejects a past year that was never closed and comparing a year with itself", async () => {
+    givenClosings(...polo2024);
+
+    await expect(
+      FiscalYearClosingService.compareFiscalYears({ baseYear: "2023-2024", compareYear: "2024-2025" })
+    ).rejects.toThrow("Closing snapshot for fiscal year 2023-2024 not found");
+    await expect(
+      FiscalYearClosingService.compareFiscalYears({ baseYear: "2024-2025", compareYear: "2024 - 2025" })
+    ).rejects.toThrow("baseYear must be different from compareYear");
+    await expect(
+      FiscalYearClosingService.compareFiscalYears({ baseYear: "2024-2025", compareYear: "FY25" })
+    ).rejects.toThrow('compareYear must look like "2025-2026"');
+  });
+});
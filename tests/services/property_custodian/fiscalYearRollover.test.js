@@ -0,0 +1,352 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../../src/services/property_custodian/inventory.service", () => ({
+  endingInventoryOf: (item) => Math.max((item.beginning_inventory || 0) + (item.purchases || 0), 0),
+}));
+jest.mock("../../../src/services/property_custodian/itemVariants.service", () => ({
+  loadLayouts: jest.fn(),
+  getLayout: (item, layouts) => layouts.get(String(item.id)) || { sizeVariations: [], accessoryEntries: [] },
+}));
+jest.mock("../../../src/services/property_custodian/fiscalYearClosing.service", () => ({
+  captureClosing: jest.fn(),
+}));
+jest.mock("../../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const ItemVariantsService = require("../../../src/services/property_custodian/itemVariants.service");
+const FiscalYearClosingService = require("../../../src/services/property_custodian/fiscalYearClosing.service");
+const TransactionService = require("../../../src/services/transaction.service");
+const FiscalYearRolloverService = require("../../../src/services/property_custodian/fiscalYearRollover.service");
+
+const custodian = { staffId: "staff-1", userId: "user-1", email: "custodian@example.com" };
+const admin = { staffId: "staff-9", userId: "user-9", email: "admin@example.com" };
+
+let items;
+let variants;
+let runs;
+let snapshots;
+
+/**
+ * items, item_variants, rollover runs and snapshots kept in memory behind the fake sql:
+ * a polo with sizes, a patch without, and a lanyard whose fiscal year already starts on
+ * the June rollover
+ */
+function givenInventory() {
+  items = [
+    { id: "item-lanyard", name: "Lanyard", stock: 40, beginning_inventory: 40, purchases: 0, fiscal_year_start: "2026-06-01" },
+    { id: "item-patch", name: "Logo Patch", stock: 18, beginning_inventory: 20, purchases: 6, fiscal_year_start: "2025-06-01" },
+    { id: "item-polo", name: "Polo", stock: 15, beginning_inventory: 14, purchases: 5, fiscal_year_start: "2025-06-01" },
+  ];
+  variants = [
+    { id: "variant-S", item_id: "item-polo", size: "S", stock: 12, beginning_inventory: 10, purchases: 5 },
+    { id: "variant-M", item_id: "item-polo", size: "M", stock: 3, beginning_inventory: 4, purchases: 0 },
+  ];
+  runs = [];
+  snapshots = [];
+
+  ItemVariantsService.loadLayouts.mockImplementation(async (db, itemIds) => {
+    const layouts = new Map();
+    for (const variant of variants.filter((v) => itemIds.includes(v.item_id))) {
+      if (!layouts.has(variant.item_id)) layouts.set(variant.item_id, { sizeVariations: [], accessoryEntries: [] });
+      const { id, item_id: itemId, ...fields } = variant;
+      layouts.get(variant.item_id).sizeVariations.push({ variant_id: id, ...fields });
+    }
+    return layouts;
+  });
+  FiscalYearClosingService.captureClosing.mockResolvedValue({ rows: 3, fiscalYears: ["2025-2026"] });
+
+  const latestCompleted = () => [...runs].reverse().filter((run) => run.status === "completed");
+
+  sql.on(/^SELECT \* FROM items WHERE is_active/, () => items.map((item) => ({ ...item })));
+  sql.on(/^SELECT \* FROM items WHERE id IN/, ([ids]) =>
+    items.filter((item) => ids.includes(item.id)).map((item) => ({ ...item }))
+  );
+  sql.on(/^UPDATE items SET/, ([update, id]) => {
+    Object.assign(items.find((item) => item.id === id), update);
+  });
+  sql.on(/^UPDATE item_variants/, ([beginningInventory, purchases, id]) => {
+    Object.assign(variants.find((variant) => variant.id === id), { beginning_inventory: beginningInventory, purchases });
+  });
+
+  sql.on(/^INSERT INTO fiscal_year_rollover_runs/, ([values]) => {
+    const run = {
+      id: `run-${runs.length + 1}`,
+      created_at: new Date(Date.UTC(2026, 5, 1, 0, 0, runs.length)).toISOString(),
+      ...values,
+    };
+    runs.push(run);
+    return [run];
+  });
+  sql.on(/^SELECT id FROM fiscal_year_rollover_runs WHERE status/, () => latestCompleted().slice(0, 1));
+  sql.on(/^SELECT id, rollover_date, status, items_updated, created_at FROM fiscal_year_rollover_runs/, ([year]) =>
+    [...runs].reverse().filter((run) => run.fiscal_year === year)
+  );
+  sql.on(/^SELECT \* FROM fiscal_year_rollover_runs WHERE TRUE/, () => [...runs].reverse());
+  sql.on(/^SELECT \* FROM fiscal_year_rollover_runs WHERE id/, ([id]) => runs.filter((run) => run.id === id));
+  sql.on(/^SELECT id, rollover_date FROM fiscal_year_rollover_runs/, ([status, id, createdAt]) =>
+    latestCompleted().filter((run) => run.id !== id && run.created_at > createdAt).slice(0, 1)
+  );
+  sql.on(/^UPDATE fiscal_year_rollover_runs SET status/, ([status, by, email, reason, id]) => {
+    const run = runs.find((candidate) => candidate.id === id);
+    Object.assign(run, { status, rolled_back_by: by, rolled_back_by_email: email, rollback_reason: reason });
+    return [run];
+  });
+
+  sql.on(/^INSERT INTO fiscal_year_rollover_snapshots/, ([rows]) => {
+    for (const row of rows) snapshots.push({ id: `snapshot-${snapshots.length + 1}`, ...row });
+  });
+  sql.on(/^SELECT \* FROM fiscal_year_rollover_snapshots WHERE run_id/, ([runId]) =>
+    snapshots.filter((snapshot) => snapshot.run_id === runId)
+  );
+  sql.on(/^UPDATE fiscal_year_rollover_snapshots SET restore_skipped_reason/, ([reason, id]) => {
+    snapshots.find((snapshot) => snapshot.id === id).restore_skipped_reason = reason;
+  });
+  sql.on(/^UPDATE fiscal_year_rollover_snapshots SET restored_at/, ([id]) => {
+    snapshots.find((snapshot) => snapshot.id === id).restored_at = "now";
+  });
+}
+
+const item = (id) => items.find((candidate) => candidate.id === id);
+const variant = (id) => variants.find((candidate) => candidate.id === id);
+const writes = () => sql.find(/^(INSERT|UPDATE)/);
+
+beforeEach(() => {
+  sql.reset();
+  givenInventory();
+});
+
+describe("FiscalYearRolloverService.previewRollover", () => {
+  it("plans the carry-forward per item and per size without writing anything", async () => {
+    const result = await FiscalYearRolloverService.previewRollover("2026-06-01");
+
+    expect(result).toMatchObject({
+      dryRun: true,
+      rolloverDate: "2026-06-01",
+      fiscalYear: "2026-2027",
+      itemsProcessed: 3,
+      itemsUpdated: 2,
+      itemsSkipped: 1,
+      totals: { beginning_inventory_before: 34, purchases_carried_forward: 11, beginning_inventory_after: 45 },
+      previousRuns: [],
+    });
+    expect(result.items.map((plan) => [plan.name, plan.action, plan.beginning_inventory_after])).toEqual([
+      ["Lanyard", "skip", null],
+      ["Logo Patch", "rollover", 26],
+      ["Polo", "rollover", 19],
+    ]);
+    expect(result.items[0].skip_reason).toBe("Fiscal year already starts 2026-06-01");
+    expect(result.items[2].sizes).toEqual([
+      { variant_id: "variant-S", size: "S", stock: 12, beginning_inventory_before: 10, purchases_before: 5, beginning_inventory_after: 15, purchases_after: 0 },
+      { variant_id: "variant-M", size: "M", stock: 3, beginning_inventory_before: 4, purchases_before: 0, beginning_inventory_after: 4, purchases_after: 0 },
+    ]);
+
+    expect(writes()).toHaveLength(0);
+    expect(sql.find(/FOR UPDATE/)).toHaveLength(0);
+    expect(FiscalYearClosingService.captureClosing).not.toHaveBeenCalled();
+    expect(item("item-polo")).toMatchObject({ beginning_inventory: 14, purchases: 5, fiscal_year_start: "2025-06-01" });
+  });
+
+  it("lists the year's earlier runs and which one can be rolled back", async () => {
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+    await FiscalYearRolloverService.performRollover("2026-08-01", custodian);
+
+    const result = await FiscalYearRolloverService.previewRollover("2026-09-01");
+
+    expect(result.previousRuns.map((run) => [run.id, run.can_roll_back])).toEqual([
+      ["run-2", true],
+      ["run-1", false],
+    ]);
+  });
+
+  it("rejects a rollover date that is not a date", async () => {
+    await expect(FiscalYearRolloverService.previewRollover("next june")).rejects.toThrow(
+      "rolloverDate must be a valid date (YYYY-MM-DD)"
+    );
+  });
+});
+
+describe("FiscalYearRolloverService.performRollover", () => {
+  it("carries ending inventory forward and resets purchases in one locked transaction", async () => {
+    const result = await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+
+    expect(sql.queries[0].text).toMatch(/^SELECT \* FROM items WHERE is_active = true ORDER BY name, id FOR UPDATE$/);
+    expect(ItemVariantsService.loadLayouts).toHaveBeenCalledWith(sql, ["item-lanyard", "item-patch", "item-polo"], {
+      forUpdate: true,
+    });
+    expect(sql.rolledBack).toBe(false);
+    expect(result).toMatchObject({
+      runId: "run-1",
+      fiscalYear: "2026-2027",
+      itemsUpdated: 2,
+      itemsSkipped: 1,
+      closing: { rows: 3, fiscalYears: ["2025-2026"] },
+    });
+
+    expect(item("item-polo")).toMatchObject({ stock: 15, beginning_inventory: 19, purchases: 0, fiscal_year_start: "2026-06-01" });
+    expect(item("item-patch")).toMatchObject({ stock: 18, beginning_inventory: 26, purchases: 0, fiscal_year_start: "2026-06-01" });
+    expect(item("item-lanyard")).toMatchObject({ beginning_inventory: 40, fiscal_year_start: "2026-06-01" });
+    expect(variant("variant-S")).toMatchObject({ stock: 12, beginning_inventory: 15, purchases: 0 });
+    expect(variant("variant-M")).toMatchObject({ stock: 3, beginning_inventory: 4, purchases: 0 });
+  });
+
+  it("records the run with a before snapshot of every item it changed", async () => {
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+
+    expect(runs).toEqual([
+      expect.objectContaining({
+        fiscal_year: "2026-2027",
+        rollover_date: "2026-06-01",
+        status: "completed",
+        items_processed: 3,
+        items_updated: 2,
+        items_skipped: 1,
+        performed_by: "staff-1",
+        performed_by_email: "custodian@example.com",
+      }),
+    ]);
+    expect(snapshots.map((snapshot) => [snapshot.run_id, snapshot.item_id, snapshot.before])).toEqual([
+      ["run-1", "item-patch", { beginning_inventory: 20, purchases: 6, beginning_inventory_date: null, fiscal_year_start: "2025-06-01" }],
+      ["run-1", "item-polo", { beginning_inventory: 14, purchases: 5, beginning_inventory_date: null, fiscal_year_start: "2025-06-01" }],
+    ]);
+    expect(snapshots[1].sizes.map((size) => [size.variant_id, size.beginning_inventory_before, size.purchases_before])).toEqual([
+      ["variant-S", 10, 5],
+      ["variant-M", 4, 0],
+    ]);
+    expect(TransactionService.logTransaction).toHaveBeenCalledWith(
+      "Inventory",
+      "FISCAL YEAR ROLLOVER",
+      "user-1",
+      expect.stringContaining("2 items updated, 1 skipped"),
+      expect.objectContaining({ run_id: "run-1", closed_fiscal_years: ["2025-2026"] }),
+      "custodian@example.com"
+    );
+  });
+
+  it("freezes the closing figures of the items it rolls over before they change", async () => {
+    let itemUpdatesBeforeClosing;
+    FiscalYearClosingService.captureClosing.mockImplementation(async () => {
+      itemUpdatesBeforeClosing = sql.find(/^UPDATE (items|item_variants)/).length;
+      return { rows: 3, fiscalYears: ["2025-2026"] };
+    });
+
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+
+    expect(FiscalYearClosingService.captureClosing).toHaveBeenCalledWith(
+      sql,
+      runs[0],
+      [
+        expect.objectContaining({ item: expect.objectContaining({ id: "item-patch" }), fiscal_year_start: "2025-06-01" }),
+        expect.objectContaining({ item: expect.objectContaining({ id: "item-polo" }), fiscal_year_start: "2025-06-01" }),
+      ],
+      "2026-06-01"
+    );
+    expect(itemUpdatesBeforeClosing).toBe(0);
+  });
+
+  it("changes no item when the closing cannot be captured", async () => {
+    FiscalYearClosingService.captureClosing.mockRejectedValue(new Error("report failed"));
+
+    await expect(FiscalYearRolloverService.performRollover("2026-06-01", custodian)).rejects.toThrow("report failed");
+
+    expect(sql.rolledBack).toBe(true);
+    expect(sql.find(/^UPDATE items/)).toHaveLength(0);
+    expect(sql.find(/^INSERT INTO fiscal_year_rollover_snapshots/)).toHaveLength(0);
+    expect(TransactionService.logTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe("FiscalYearRolloverService.rollbackRun", () => {
+  it("restores beginning inventory and adds purchases made since the rollover back", async () => {
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+    Object.assign(item("item-polo"), { purchases: 3 });
+    Object.assign(variant("variant-S"), { purchases: 3 });
+    Object.assign(item("item-patch"), { purchases: 2 });
+
+    const result = await FiscalYearRolloverService.rollbackRun("run-1", { reason: " Wrong date " }, admin);
+
+    expect(result.data).toMatchObject({ status: "rolled_back", rollback_reason: "Wrong date", itemsRestored: 2, itemsSkipped: 0 });
+    expect(item("item-polo")).toMatchObject({ beginning_inventory: 14, purchases: 8, fiscal_year_start: "2025-06-01" });
+    expect(item("item-patch")).toMatchObject({ beginning_inventory: 20, purchases: 8, fiscal_year_start: "2025-06-01" });
+    expect(variant("variant-S")).toMatchObject({ beginning_inventory: 10, purchases: 8 });
+    expect(variant("variant-M")).toMatchObject({ beginning_inventory: 4, purchases: 0 });
+    expect(snapshots.every((snapshot) => snapshot.restored_at)).toBe(true);
+    expect(TransactionService.logTransaction).toHaveBeenLastCalledWith(
+      "Inventory",
+      "FISCAL YEAR ROLLOVER ROLLED BACK",
+      "user-9",
+      expect.stringContaining("2 items restored, 0 skipped (Wrong date)"),
+      expect.objectContaining({ run_id: "run-1", items_restored: 2 }),
+      "admin@example.com"
+    );
+  });
+
+  it("leaves an item whose beginning inventory was reset again since the run", async () => {
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+    Object.assign(item("item-patch"), { beginning_inventory: 30, fiscal_year_start: "2026-07-01" });
+
+    const result = await FiscalYearRolloverService.rollbackRun("run-1", { reason: "Wrong date" }, admin);
+
+    expect(result.data).toMatchObject({ itemsRestored: 1, itemsSkipped: 1 });
+    expect(result.data.skipped).toEqual([
+      { item_id: "item-patch", name: "Logo Patch", reason: "Beginning inventory was reset again after this rollover" },
+    ]);
+    expect(item("item-patch")).toMatchObject({ beginning_inventory: 30, fiscal_year_start: "2026-07-01" });
+    expect(snapshots[0].restore_skipped_reason).toBe("Beginning inventory was reset again after this rollover");
+    expect(item("item-polo")).toMatchObject({ beginning_inventory: 14, fiscal_year_start: "2025-06-01" });
+  });
+
+  it("requires a reason and rolls a run back only once", async () => {
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+
+    await expect(FiscalYearRolloverService.rollbackRun("run-1", { reason: "  " }, admin)).rejects.toThrow(
+      "A reason is required to roll back a rollover"
+    );
+    await FiscalYearRolloverService.rollbackRun("run-1", { reason: "Wrong date" }, admin);
+    await expect(FiscalYearRolloverService.rollbackRun("run-1", { reason: "Again" }, admin)).rejects.toThrow(
+      "This rollover has already been rolled back"
+    );
+    await expect(FiscalYearRolloverService.rollbackRun("run-404", { reason: "Wrong date" }, admin)).rejects.toThrow(
+      "Rollover run not found"
+    );
+  });
+
+  it("refuses to roll back a run a later rollover built on", async () => {
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+    Object.assign(item("item-polo"), { purchases: 4 });
+    await FiscalYearRolloverService.performRollover("2026-08-01", custodian);
+    const afterSecondRun = JSON.parse(JSON.stringify({ items, variants }));
+
+    await expect(FiscalYearRolloverService.rollbackRun("run-1", { reason: "Wrong date" }, admin)).rejects.toThrow(
+      "Roll back the later rollover of 2026-08-01 first"
+    );
+
+    expect(sql.rolledBack).toBe(true);
+    expect({ items, variants }).toEqual(afterSecondRun);
+    expect(runs.map((run) => run.status)).toEqual(["completed", "completed"]);
+    const { data } = await FiscalYearRolloverService.getRuns();
+    expect(data.map((run) => [run.id, run.can_roll_back])).toEqual([
+      ["run-2", true],
+      ["run-1", false],
+    ]);
+  });
+
+  it("unwinds chained runs newest first back to the original figures", async () => {
+    await FiscalYearRolloverService.performRollover("2026-06-01", custodian);
+    Object.assign(item("item-polo"), { purchases: 4 });
+    await FiscalYearRolloverService.performRollover("2026-08-01", custodian);
+    Object.assign(item("item-polo"), { purchases: 1 });
+
+    await FiscalYearRolloverService.rollbackRun("run-2", { reason: "Second run by mistake" }, admin);
+    expect(item("item-polo")).toMatchObject({ beginning_inventory: 19, purchases: 5, fiscal_year_start: "2026-06-01" });
+
+    await FiscalYearRolloverService.rollbackRun("run-1", { reason: "Wrong date" }, admin);
+    expect(item("item-polo")).toMatchObject({ beginning_inventory: 14, purchases: 10, fiscal_year_start: "2025-06-01" });
+    expect(item("item-patch")).toMatchObject({ beginning_inventory: 20, purchases: 6, fiscal_year_start: "2025-06-01" });
+    expect(variant("variant-S")).toMatchObject({ beginning_inventory: 10, purchases: 5 });
+    expect(runs.map((run) => run.status)).toEqual(["rolled_back", "rolled_back"]);
+  });
+});
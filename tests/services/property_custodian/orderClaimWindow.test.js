@@ -0,0 +1,63 @@
+const OrderService = require("../../../src/services/property_custodian/order.service");
+const { toDateOnly } = require("../../../src/utils/dateOnly");
+
+// 2025-10-09 is a Thursday; 2025-10-13 / 2025-10-14 (Mon / Tue) are school holidays
+const thursday = new Date(2025, 9, 9, 15, 30);
+const holidays = new Set(["2025-10-13", "2025-10-14"]);
+
+describe("OrderService._dateAddWeekdays", () => {
+  it("skips weekends", () => {
+    expect(toDateOnly(OrderService._dateAddWeekdays(thursday, 1))).toBe("2025-10-10");
+    expect(toDateOnly(OrderService._dateAddWeekdays(thursday, 2))).toBe("2025-10-13");
+    expect(toDateOnly(OrderService._dateAddWeekdays(thursday, 7))).toBe("2025-10-20");
+  });
+
+  it("skips non-working days as well", () => {
+    expect(toDateOnly(OrderService._dateAddWeekdays(thursday, 2, holidays))).toBe("2025-10-15");
+    expect(toDateOnly(OrderService._dateAddWeekdays(thursday, 7, holidays))).toBe("2025-10-22");
+  });
+
+  it("returns the start of the reference day for zero weekdays", () => {
+    const result = OrderService._dateAddWeekdays(thursday, 0, holidays);
+    expect(toDateOnly(result)).toBe("2025-10-09");
+    expect(result.getHours()).toBe(0);
+  });
+});
+
+describe("OrderService._dateSubtractWeekdays", () => {
+  const wednesday = new Date(2025, 9, 15, 9, 0);
+
+  it("skips weekends", () => {
+    expect(toDateOnly(OrderService._dateSubtractWeekdays(wednesday, 2))).toBe("2025-10-13");
+    expect(toDateOnly(OrderService._dateSubtractWeekdays(wednesday, 3))).toBe("2025-10-10");
+  });
+
+  it("skips non-working days as well", () => {
+    expect(toDateOnly(OrderService._dateSubtractWeekdays(wednesday, 1, holidays))).toBe("2025-10-10");
+    expect(toDateOnly(OrderService._dateSubtractWeekdays(wednesday, 2, holidays))).toBe("2025-10-09");
+  });
+
+  it("is the inverse of _dateAddWeekdays on working days", () => {
+    const deadline = OrderService._dateAddWeekdays(thursday, 7, holidays);
+    expect(toDateOnly(OrderService._dateSubtractWeekdays(deadline, 7, holidays))).toBe("2025-10-09");
+  });
+});
+
+describe("OrderService.getClaimDeadline", () => {
+  const previous = process.env.VOID_UNCLAIMED_AFTER_DAYS;
+  afterEach(() => {
+    if (previous === undefined) delete process.env.VOID_UNCLAIMED_AFTER_DAYS;
+    else process.env.VOID_UNCLAIMED_AFTER_DAYS = previous;
+  });
+
+  it("ends VOID_UNCLAIMED_AFTER_DAYS working days after the order date", async () => {
+    process.env.VOID_UNCLAIMED_AFTER_DAYS = "3";
+    const deadline = await OrderService.getClaimDeadline({ created_at: thursday }, holidays);
+    expect(toDateOnly(deadline)).toBe("2025-10-16");
+    expect([deadline.getHours(), deadline.getMinutes()]).toEqual([23, 59]);
+  });
+
+  it("is null for an order without a date", async () => {
+    expect(await OrderService.getClaimDeadline({}, holidays)).toBeNull();
+  });
+});
@@ -0,0 +1,178 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../../src/services/property_custodian/stockLedger.service", () => ({
+  REASON_CODES: { ORDER_PLACED: "order_placed" },
+  recordMovements: jest.fn(),
+}));
+jest.mock("../../../src/services/orderEmail.service", () => ({
+  EVENTS: { PLACED: "placed" },
+  notifyOrderEvent: jest.fn(),
+}));
+jest.mock("../../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const supabase = require("../../../src/config/supabase");
+const StockLedgerService = require("../../../src/services/property_custodian/stockLedger.service");
+const OrderEmailService = require("../../../src/services/orderEmail.service");
+const OrderService = require("../../../src/services/property_custodian/order.service");
+
+/** A polo with size variants and a patch without sizes */
+function givenInventory({ polo = { S: 3, M: 1 }, patch = 5 } = {}) {
+  const variants = Object.entries(polo).map(([size, stock], position) => ({
+    id: `variant-${size}`,
+    item_id: "item-polo",
+    position,
+    size,
+    stock,
+    price: 350,
+  }));
+  sql.on(/FROM items WHERE/, () => [
+    { id: "item-patch", name: "Logo Patch", size: "N/A", stock: patch, price: 50 },
+    { id: "item-polo", name: "Polo", size: "N/A", stock: variants.reduce((sum, v) => sum + v.stock, 0), price: 350 },
+  ]);
+  sql.on(/FROM item_variants WHERE/, () => variants.map((variant) => ({ ...variant })));
+}
+
+function order(items, overrides = {}) {
+  return {
+    order_number: "ORD-1",
+    student_id: "student-1",
+    student_name: "Student",
+    student_email: "student@example.com",
+    education_level: "College",
+    total_amount: 750,
+    items,
+    ...overrides,
+  };
+}
+
+function stockUpdates() {
+  return {
+    variants: sql.find(/^UPDATE item_variants/).map(({ values }) => ({ id: values[1], stock: values[0] })),
+    items: sql.find(/^UPDATE items/).map(({ values }) => ({ id: values[1], stock: values[0] })),
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sql.reset();
+  supabase.reset();
+  supabase.setTable("orders", [{ id: "order-1", order_number: "ORD-1", status: "pending" }]);
+  sql.on(/^INSERT INTO orders/, () => [{ id: "order-1" }]);
+  jest.spyOn(OrderService, "_enforceStudentOrderLimits").mockResolvedValue();
+  jest.spyOn(OrderService, "disablePermissionsOnOrderPlacement").mockResolvedValue();
+  jest.spyOn(OrderService, "getClaimDeadline").mockResolvedValue(null);
+});
+
+describe("OrderService.createOrder", () => {
+  it("reserves stock for every line and inserts the order in one transaction", async () => {
+    givenInventory();
+
+    const result = await OrderService.createOrder(
+      order([
+        { name: "Polo", size: "S", quantity: 2 },
+        { name: "Logo Patch", size: "N/A", quantity: 1 },
+      ])
+    );
+
+    expect(sql.queries[0].text).toMatch(/^SELECT pg_advisory_xact_lock/);
+    expect(sql.queries[0].values).toEqual(["order-placement:student-1"]);
+    expect(sql.rolledBack).toBe(false);
+    expect(stockUpdates()).toEqual({
+      variants: [{ id: "variant-S", stock: 1 }],
+      items: [
+        { id: "item-polo", stock: 2 },
+        { id: "item-patch", stock: 4 },
+      ],
+    });
+    expect(sql.find(/^INSERT INTO orders/)).toHaveLength(1);
+    expect(StockLedgerService.recordMovements).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({ itemId: "item-polo", variantId: "variant-S", delta: -2, orderId: "order-1" }),
+        expect.objectContaining({ itemId: "item-patch", variantId: null, delta: -1, orderId: "order-1" }),
+      ],
+      sql
+    );
+    expect(result.inventoryUpdates).toEqual([
+      expect.objectContaining({ itemId: "item-polo", size: "S", previousStock: 3, newStock: 1, unitPrice: 350 }),
+      expect.objectContaining({ itemId: "item-patch", size: "N/A", previousStock: 5, newStock: 4, unitPrice: 50 }),
+    ]);
+    expect(result.data.id).toBe("order-1");
+    expect(OrderEmailService.notifyOrderEvent).toHaveBeenCalledWith("placed", result.data, { claimDeadline: null });
+  });
+
+  it("rejects the whole order when one line is out of stock", async () => {
+    givenInventory();
+
+    const placing = OrderService.createOrder(
+      order([
+        { name: "Logo Patch", size: "N/A", quantity: 1 },
+        { name: "Polo", size: "M", quantity: 2 },
+      ])
+    );
+
+    await expect(placing).rejects.toThrow(
+      "Not enough stock for line 2 (Polo, Size: M): requested 2, only 1 available. No part of the order was placed."
+    );
+    await expect(placing).rejects.toMatchObject({
+      outOfStockLine: { index: 1, name: "Polo", size: "M", requested: 2, available: 1 },
+    });
+    expect(sql.rolledBack).toBe(true);
+    expect(stockUpdates()).toEqual({ variants: [], items: [] });
+    expect(sql.find(/^INSERT INTO orders/)).toHaveLength(0);
+    expect(StockLedgerService.recordMovements).not.toHaveBeenCalled();
+    expect(OrderEmailService.notifyOrderEvent).not.toHaveBeenCalled();
+  });
+
+  it("counts lines that draw from the same size together", async () => {
+    givenInventory({ polo: { S: 3, M: 1 } });
+
+    await expect(
+      OrderService.createOrder(
+        order([
+          { name: "Polo", size: "S", quantity: 2 },
+          { name: "polo", size: "S", quantity: 2 },
+        ])
+      )
+    ).rejects.toMatchObject({ outOfStockLine: { index: 1, requested: 2, available: 1 } });
+    expect(sql.find(/^INSERT INTO orders/)).toHaveLength(0);
+  });
+
+  it("rejects a line no inventory item matches", async () => {
+    givenInventory();
+
+    await expect(OrderService.createOrder(order([{ name: "Necktie", size: "N/A", quantity: 1 }]))).rejects.toMatchObject({
+      missingInventoryLine: { index: 0, name: "Necktie", size: "N/A" },
+    });
+    expect(sql.rolledBack).toBe(true);
+  });
+
+  it("does not touch stock for a pre-order", async () => {
+    givenInventory({ polo: { S: 0 } });
+
+    const result = await OrderService.createOrder(
+      order([{ name: "Polo", size: "S", quantity: 1 }], { order_type: "pre-order" })
+    );
+
+    expect(sql.find(/FROM items WHERE/)).toHaveLength(0);
+    expect(stockUpdates()).toEqual({ variants: [], items: [] });
+    expect(StockLedgerService.recordMovements).toHaveBeenCalledWith([], sql);
+    expect(result.inventoryUpdates).toEqual([expect.objectContaining({ orderType: "pre-order" })]);
+  });
+
+  it("places nothing when the student's order limits reject it", async () => {
+    givenInventory();
+    OrderService._enforceStudentOrderLimits.mockRejectedValue(new Error("Total item limit reached"));
+
+    await expect(OrderService.createOrder(order([{ name: "Polo", size: "S", quantity: 1 }]))).rejects.toThrow(
+      "Total item limit reached"
+    );
+    expect(sql.rolledBack).toBe(true);
+    expect(sql.find(/FOR UPDATE/)).toHaveLength(0);
+    expect(sql.find(/^INSERT INTO orders/)).toHaveLength(0);
+  });
+});
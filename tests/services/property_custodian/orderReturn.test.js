@@ -0,0 +1,192 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/stockLedger.service", () => ({
+  REASON_CODES: { RETURN: "return", EXCHANGE: "exchange" },
+  recordMovements: jest.fn(),
+}));
+jest.mock("../../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const OrderService = require("../../../src/services/property_custodian/order.service");
+const StockLedgerService = require("../../../src/services/property_custodian/stockLedger.service");
+const OrderReturnService = require("../../../src/services/property_custodian/orderReturn.service");
+
+const staff = { id: "staff-1", name: "Custodian", email: "custodian@example.com" };
+const prices = { M: 350, L: 400, S: 300 };
+const onHand = { M: 5, L: 5, S: 0 };
+
+function givenOrder(overrides = {}) {
+  const order = {
+    id: "order-1",
+    order_number: "ORD-1",
+    status: "claimed",
+    education_level: "College",
+    total_amount: "700.00",
+    student_id: "s-1",
+    student_name: "Student",
+    items: [{ name: "Polo", size: "M", quantity: 2, price: 350, fulfillment_status: "released", released_quantity: 2 }],
+    ...overrides,
+  };
+  sql.on(/FROM orders/, [order]);
+  return order;
+}
+
+function orderUpdate() {
+  const [update] = sql.find(/^UPDATE orders/);
+  return { items: update.values[0], totalAmount: update.values[1] };
+}
+
+function insertedReturn() {
+  return sql.find(/^INSERT INTO order_returns/)[0].values[0];
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sql.reset();
+  sql.on(/^INSERT INTO order_returns/, (values) => [{ id: "return-1", ...values[0] }]);
+
+  // Stock per size of one item row; restocked lines add, the rest take
+  jest.spyOn(OrderService, "_moveStockInTransaction").mockImplementation(async (tx, level, lines) => {
+    const inventoryUpdates = [];
+    for (const line of lines) {
+      const previousStock = onHand[line.size];
+      if (!line.restock && line.quantity > previousStock) {
+        const error = new Error("Not enough stock");
+        error.outOfStockLine = { name: line.name, size: line.size, available: previousStock };
+        throw error;
+      }
+      inventoryUpdates.push({
+        itemId: "item-1",
+        size: line.size,
+        unitPrice: prices[line.size],
+        previousStock,
+        newStock: previousStock + (line.restock ? line.quantity : -line.quantity),
+      });
+    }
+    return {
+      inventoryUpdates,
+      stockMovements: lines.map((line) => ({ itemId: "item-1", size: line.size, delta: line.restock ? line.quantity : -line.quantity })),
+    };
+  });
+});
+
+describe("OrderReturnService.createReturn", () => {
+  it("restocks a returned unit and refunds the line price", async () => {
+    givenOrder();
+    const result = await OrderReturnService.createReturn(
+      "order-1",
+      { type: "return", lineIndex: 0, quantity: 1, reason: "Too small" },
+      staff,
+    );
+
+    expect(OrderService._moveStockInTransaction).toHaveBeenCalledWith(sql, "College", [
+      { name: "Polo", size: "M", quantity: 1, restock: true },
+    ]);
+    expect(insertedReturn()).toEqual(
+      expect.objectContaining({ type: "return", quantity: 1, unit_price: 350, refund_amount: 350, amount_due: 0 }),
+    );
+    const { items, totalAmount } = orderUpdate();
+    expect(totalAmount).toBe(350);
+    expect(items).toEqual([
+      expect.objectContaining({ quantity: 1, released_quantity: 1, returned_quantity: 1 }),
+    ]);
+    expect(StockLedgerService.recordMovements).toHaveBeenCalledWith(
+      [expect.objectContaining({ delta: 1, reasonCode: "return", returnId: "return-1" })],
+      sql,
+    );
+    expect(result.data.order.total_amount).toBe(350);
+  });
+
+  it("releases the replacement size and charges the price difference", async () => {
+    givenOrder();
+    const result = await OrderReturnService.createReturn(
+      "order-1",
+      { type: "exchange", lineIndex: 0, quantity: 2, replacementSize: "L", reason: "Too small" },
+      staff,
+    );
+
+    expect(OrderService._moveStockInTransaction).toHaveBeenCalledWith(sql, "College", [
+      { name: "Polo", size: "M", quantity: 2, restock: true },
+      { name: "Polo", size: "L", quantity: 2, restock: false },
+    ]);
+    expect(insertedReturn()).toEqual(
+      expect.objectContaining({ replacement_size: "L", price_difference: 100, amount_due: 100, refund_amount: 0 }),
+    );
+    const { items, totalAmount } = orderUpdate();
+    expect(totalAmount).toBe(800);
+    expect(items[0]).toEqual(expect.objectContaining({ quantity: 0, returned_quantity: 2 }));
+    expect(items[1]).toEqual(
+      expect.objectContaining({
+        size: "L",
+        quantity: 2,
+        price: 400,
+        released_quantity: 2,
+        fulfillment_status: "released",
+        exchanged_from_line: 0,
+      }),
+    );
+    expect(StockLedgerService.recordMovements).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({ delta: 2, reasonCode: "return" }),
+        expect.objectContaining({ delta: -2, reasonCode: "exchange" }),
+      ],
+      sql,
+    );
+    expect(result.message).toMatch(/100\.00 to collect/);
+  });
+
+  it("refunds the difference when the replacement is cheaper", async () => {
+    givenOrder({ items: [{ name: "Polo", size: "L", quantity: 1, price: 400, released_quantity: 1 }], total_amount: 400 });
+    await OrderReturnService.createReturn(
+      "order-1",
+      { type: "exchange", lineIndex: 0, quantity: 1, replacementSize: "M", reason: "Too big" },
+      staff,
+    );
+
+    expect(insertedReturn()).toEqual(
+      expect.objectContaining({ price_difference: -50, amount_due: 0, refund_amount: 50 }),
+    );
+    expect(orderUpdate().totalAmount).toBe(350);
+  });
+
+  it("only takes back units that were released", async () => {
+    givenOrder({
+      status: "partially_claimed",
+      items: [{ name: "Polo", size: "M", quantity: 2, price: 350, fulfillment_status: "pending", released_quantity: 1 }],
+    });
+    await expect(
+      OrderReturnService.createReturn("order-1", { type: "return", lineIndex: 0, quantity: 2, reason: "x" }, staff),
+    ).rejects.toThrow("Only 1 unit(s) of Polo (M) were released and can be returned");
+
+    expect(sql.rolledBack).toBe(true);
+    expect(OrderService._moveStockInTransaction).not.toHaveBeenCalled();
+  });
+
+  it("rolls back when the replacement size is out of stock", async () => {
+    givenOrder();
+    await expect(
+      OrderReturnService.createReturn(
+        "order-1",
+        { type: "exchange", lineIndex: 0, quantity: 1, replacementSize: "S", reason: "Too big" },
+        staff,
+      ),
+    ).rejects.toThrow("Not enough stock for Polo (Size: S): only 0 available");
+
+    expect(sql.rolledBack).toBe(true);
+    expect(sql.find(/^INSERT INTO order_returns/)).toHaveLength(0);
+  });
+
+  it("rejects an exchange for the same size", async () => {
+    givenOrder();
+    await expect(
+      OrderReturnService.createReturn(
+        "order-1",
+        { type: "exchange", lineIndex: 0, quantity: 1, replacementSize: "m", reason: "x" },
+        staff,
+      ),
+    ).rejects.toThrow("replacementSize must be different from the returned size");
+  });
+});
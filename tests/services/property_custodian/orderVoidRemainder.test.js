@@ -0,0 +1,81 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/stockLedger.service", () => ({
+  REASON_CODES: { ORDER_RESTOCK: "order_restock" },
+  recordMovements: jest.fn(),
+}));
+jest.mock("../../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const OrderService = require("../../../src/services/property_custodian/order.service");
+const StockLedgerService = require("../../../src/services/property_custodian/stockLedger.service");
+
+const partiallyClaimed = {
+  id: "order-1",
+  order_number: "ORD-1",
+  status: "partially_claimed",
+  education_level: "College",
+  student_id: null,
+  items: [
+    { name: "Polo", size: "M", quantity: 2, fulfillment_status: "released", released_quantity: 2 },
+    { name: "Pants", size: "30", quantity: 3, fulfillment_status: "pending", released_quantity: 1 },
+  ],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sql.reset();
+  sql.on(/^SELECT \* FROM orders/, () => [{ ...partiallyClaimed }]);
+  sql.on(/^UPDATE orders/, (values) => [{ ...partiallyClaimed, items: values[0], status: values[1] }]);
+  jest.spyOn(OrderService, "_moveStockInTransaction").mockImplementation(async (tx, level, lines) => ({
+    inventoryUpdates: [],
+    stockMovements: lines.map((line) => ({ itemId: "item-2", size: line.size, delta: line.quantity })),
+  }));
+});
+
+describe("OrderService.voidUnreleasedRemainder", () => {
+  it("locks the order, restocks the unreleased units and closes the order in one transaction", async () => {
+    const result = await OrderService.voidUnreleasedRemainder("order-1", "Not claimed in time");
+
+    const [select] = sql.find(/FROM orders/);
+    expect(select.text).toMatch(/FOR UPDATE$/);
+    expect(OrderService._moveStockInTransaction).toHaveBeenCalledWith(sql, "College", [
+      { name: "Pants", size: "30", quantity: 2, restock: true, optional: true },
+    ]);
+    expect(StockLedgerService.recordMovements).toHaveBeenCalledWith(
+      [expect.objectContaining({ delta: 2, reasonCode: "order_restock", orderId: "order-1" })],
+      sql,
+    );
+
+    const [update] = sql.find(/^UPDATE orders/);
+    expect(update.text).toMatch(/claimed_date/);
+    expect(update.text).toMatch(/notes/);
+    expect(update.values[1]).toBe("claimed");
+    expect(update.values[0][1]).toEqual(
+      expect.objectContaining({ fulfillment_status: "voided", voided_quantity: 2 }),
+    );
+    expect(result.data.status).toBe("claimed");
+    expect(result.message).toBe("Unreleased items voided");
+  });
+
+  it("leaves the order alone when a restock fails", async () => {
+    OrderService._moveStockInTransaction.mockRejectedValue(new Error("lock timeout"));
+
+    await expect(OrderService.voidUnreleasedRemainder("order-1")).rejects.toThrow("lock timeout");
+    expect(sql.rolledBack).toBe(true);
+    expect(sql.find(/^UPDATE orders/)).toHaveLength(0);
+  });
+
+  it("does nothing when every line was released", async () => {
+    sql.reset();
+    sql.on(/^SELECT \* FROM orders/, [{ ...partiallyClaimed, items: [partiallyClaimed.items[0]] }]);
+
+    const result = await OrderService.voidUnreleasedRemainder("order-1");
+    expect(result.message).toBe("Nothing left to void");
+    expect(OrderService._moveStockInTransaction).not.toHaveBeenCalled();
+    expect(sql.find(/^UPDATE orders/)).toHaveLength(0);
+  });
+});
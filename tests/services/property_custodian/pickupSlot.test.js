@@ -0,0 +1,173 @@
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/order.service", () => ({
+  getClaimDeadline: jest.fn(),
+}));
+jest.mock("../../../src/services/notification.service", () => ({}));
+jest.mock("../../../src/services/profileResolver.service", () => ({}));
+jest.mock("../../../src/services/system_admin/nonWorkingDays.service", () => ({
+  getNonWorkingDateSet: jest.fn(async () => new Set(["2026-06-12"])),
+}));
+
+const supabase = require("../../../src/config/supabase");
+const { sql } = require("../../../src/config/database");
+const OrderService = require("../../../src/services/property_custodian/order.service");
+const PickupSlotService = require("../../../src/services/property_custodian/pickupSlot.service");
+
+const DAY = 24 * 60 * 60 * 1000;
+const student = { userId: "user-1", studentId: "student-1", email: "juan@example.com" };
+
+let slot;
+let appointments;
+let orderStatuses;
+
+/** One slot and its appointments kept in memory behind the fake sql */
+function givenSlot(fields = {}) {
+  slot = {
+    id: "slot-1",
+    starts_at: new Date(Date.now() + DAY).toISOString(),
+    ends_at: new Date(Date.now() + DAY + 30 * 60 * 1000).toISOString(),
+    capacity: 2,
+    is_active: true,
+    ...fields,
+  };
+  appointments = [];
+  orderStatuses = {};
+
+  sql.on(/FROM pickup_slots WHERE id/, ([id]) => (id === slot.id ? [slot] : []));
+  sql.on(/SELECT COUNT\(\*\)::int AS count FROM pickup_appointments/, ([slotId]) => [
+    {
+      count: appointments.filter(
+        (a) => a.slot_id === slotId && a.status === "booked" && orderStatuses[a.order_id] !== "cancelled"
+      ).length,
+    },
+  ]);
+  sql.on(/^SELECT id FROM pickup_appointments WHERE order_id/, ([orderId]) =>
+    appointments.filter((a) => a.order_id === orderId && a.status === "booked")
+  );
+  sql.on(/^INSERT INTO pickup_appointments/, ([values]) => {
+    const row = { id: `appointment-${appointments.length + 1}`, status: "booked", ...values };
+    appointments.push(row);
+    return [row];
+  });
+  sql.on(/^UPDATE pickup_slots/, (values) => [{ ...slot, capacity: values[2] }]);
+}
+
+function givenOrders(count) {
+  supabase.setTable(
+    "orders",
+    Array.from({ length: count }, (_, index) => ({
+      id: `order-${index + 1}`,
+      order_number: `ORD-${index + 1}`,
+      status: "ready",
+      is_active: true,
+      student_id: "student-1",
+      student_email: "Juan@Example.com",
+    }))
+  );
+}
+
+const book = (orderId) => PickupSlotService.bookAppointment(orderId, "slot-1", student);
+
+beforeEach(() => {
+  supabase.reset();
+  sql.reset();
+  givenSlot();
+  givenOrders(3);
+  OrderService.getClaimDeadline.mockResolvedValue(new Date(Date.now() + 7 * DAY));
+});
+
+describe("PickupSlotService.bookAppointment", () => {
+  it("books orders until the slot is full", async () => {
+    const first = await book("order-1");
+    await book("order-2");
+
+    expect(first.data).toMatchObject({ slot_id: "slot-1", order_id: "order-1", student_email: "juan@example.com" });
+    await expect(book("order-3")).rejects.toThrow("This pickup slot is full");
+    expect(sql.rolledBack).toBe(true);
+    expect(appointments).toHaveLength(2);
+  });
+
+  it("takes the slot row lock before counting its bookings", async () => {
+    await book("order-1");
+
+    const texts = sql.queries.map((query) => query.text);
+    const lockIndex = texts.findIndex((text) => /FROM pickup_slots WHERE id = \? FOR UPDATE/.test(text));
+    const countIndex = texts.findIndex((text) => /COUNT\(\*\)/.test(text));
+    expect(lockIndex).toBeGreaterThan(-1);
+    expect(lockIndex).toBeLessThan(countIndex);
+  });
+
+  it("frees the place of an appointment whose order was cancelled", async () => {
+    await book("order-1");
+    await book("order-2");
+    orderStatuses["order-1"] = "cancelled";
+
+    await expect(book("order-3")).resolves.toMatchObject({ success: true });
+  });
+
+  it("allows one booked appointment per order", async () => {
+    await book("order-1");
+
+    await expect(book("order-1")).rejects.toThrow(
+      "This order already has a pickup appointment; reschedule it instead"
+    );
+  });
+
+  it("refuses slots after the claim deadline, slots that started and inactive slots", async () => {
+    OrderService.getClaimDeadline.mockResolvedValue(new Date(Date.now() + 60 * 60 * 1000));
+    await expect(book("order-1")).rejects.toThrow("This pickup slot is after the order's claim deadline");
+
+    OrderService.getClaimDeadline.mockResolvedValue(null);
+    slot.starts_at = new Date(Date.now() - 60 * 1000).toISOString();
+    await expect(book("order-1")).rejects.toThrow("This pickup slot has already started");
+
+    slot.is_active = false;
+    await expect(book("order-1")).rejects.toThrow("Pickup slot not found");
+    expect(appointments).toHaveLength(0);
+  });
+
+  it("only books the student's own orders that are ready", async () => {
+    supabase.table("orders")[1].status = "pending";
+
+    await expect(
+      PickupSlotService.bookAppointment("order-1", "slot-1", { userId: "user-2", email: "maria@example.com" })
+    ).rejects.toThrow("Order not found");
+    await expect(book("order-2")).rejects.toThrow("Only orders that are ready for pickup can be booked");
+  });
+});
+
+describe("PickupSlotService.updateSlot", () => {
+  it("does not lower capacity below the booked appointments", async () => {
+    await book("order-1");
+    await book("order-2");
+
+    await expect(PickupSlotService.updateSlot("slot-1", { capacity: 1 }, "staff-1")).rejects.toThrow(
+      "capacity cannot be less than the 2 booked appointment(s)"
+    );
+    const result = await PickupSlotService.updateSlot("slot-1", { capacity: 3 }, "staff-1");
+    expect(result.data).toMatchObject({ capacity: 3, booked_count: 2, remaining: 1 });
+  });
+});
+
+describe("PickupSlotService.generateSlots", () => {
+  it("splits the window into back-to-back slots with the same capacity", async () => {
+    const result = await PickupSlotService.generateSlots(
+      { date: "2026-06-11", startTime: "08:00", endTime: "09:45", slotMinutes: 30, capacity: 5 },
+      "staff-1"
+    );
+
+    expect(result.data.map((row) => new Date(row.starts_at).getHours() * 60 + new Date(row.starts_at).getMinutes())).toEqual([
+      480, 510, 540,
+    ]);
+    expect(result.data.every((row) => row.capacity === 5 && row.remaining === 5)).toBe(true);
+  });
+
+  it("refuses non-working days", async () => {
+    await expect(
+      PickupSlotService.generateSlots({ date: "2026-06-12", startTime: "08:00", endTime: "12:00", slotMinutes: 30, capacity: 5 })
+    ).rejects.toThrow("2026-06-12 is a non-working day");
+  });
+});
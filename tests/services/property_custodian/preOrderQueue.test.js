@@ -0,0 +1,150 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/order.service", () => ({
+  _availableStockInTransaction: jest.fn(),
+  _moveStockInTransaction: jest.fn(),
+}));
+jest.mock("../../../src/services/property_custodian/stockLedger.service", () => ({
+  REASON_CODES: { PRE_ORDER_ALLOCATED: "pre_order_allocated" },
+  recordMovements: jest.fn(),
+}));
+jest.mock("../../../src/services/notification.service", () => ({
+  findStudentsWithPendingPreOrders: jest.fn(),
+  createRestockNotification: jest.fn(),
+  createPreOrderQueueNotification: jest.fn(),
+}));
+jest.mock("../../../src/services/orderEmail.service", () => ({
+  EVENTS: { PRE_ORDER_CONVERTED: "pre_order_converted" },
+  notifyOrderEvent: jest.fn(),
+}));
+jest.mock("../../../src/services/profileResolver.service", () => ({
+  getStudentRowById: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const OrderService = require("../../../src/services/property_custodian/order.service");
+const StockLedgerService = require("../../../src/services/property_custodian/stockLedger.service");
+const NotificationService = require("../../../src/services/notification.service");
+const { getStudentRowById } = require("../../../src/services/profileResolver.service");
+const PreOrderQueueService = require("../../../src/services/property_custodian/preOrderQueue.service");
+
+const item = { id: "item-1", name: "Polo", education_level: "College", size: "M", stock: 5 };
+const line = (quantity, allocated = 0) => ({
+  name: "Polo",
+  size: "M",
+  education_level: "College",
+  quantity,
+  allocated_quantity: allocated,
+});
+
+// Oldest first, as the query returns them (ORDER BY created_at, id)
+const preOrders = [
+  { id: "o-1", order_number: "PO-1", created_at: "2025-08-01T08:00:00Z", student_id: "s-1", items: [line(2)] },
+  { id: "o-2", order_number: "PO-2", created_at: "2025-08-02T08:00:00Z", student_id: "s-2", items: [line(1)] },
+  { id: "o-3", order_number: "PO-3", created_at: "2025-08-03T08:00:00Z", student_id: "s-3", items: [line(3)] },
+];
+
+function givenStock(available) {
+  OrderService._availableStockInTransaction.mockResolvedValue(available);
+}
+
+function updatedOrder(orderId) {
+  const update = sql.find(/^UPDATE orders/).find(({ values }) => values[values.length - 1] === orderId);
+  return update && { items: update.values[0], converted: /order_type = 'regular'/.test(update.text) };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sql.reset();
+  sql.on(/FROM orders/, () => preOrders.map((order) => ({ ...order, items: order.items.map((l) => ({ ...l })) })));
+  sql.on(/^UPDATE orders/, (values) => [{ id: values[values.length - 1] }]);
+
+  NotificationService.findStudentsWithPendingPreOrders.mockResolvedValue(
+    preOrders.map((order) => ({ orderId: order.id, item: line(0) })),
+  );
+  NotificationService.createRestockNotification.mockResolvedValue({ data: {} });
+  NotificationService.createPreOrderQueueNotification.mockResolvedValue({ data: {} });
+  getStudentRowById.mockResolvedValue({ user_id: "auth-user" });
+  OrderService._moveStockInTransaction.mockImplementation(async (tx, level, lines) => ({
+    stockMovements: lines.map((l) => ({ itemId: item.id, size: l.size, delta: -l.quantity })),
+  }));
+});
+
+describe("PreOrderQueueService.allocateRestock", () => {
+  it("locks the queued pre-orders oldest first", async () => {
+    givenStock(5);
+    await PreOrderQueueService.allocateRestock(item, { quantity: 1 });
+
+    const [select] = sql.find(/FROM orders/);
+    expect(select.text).toMatch(/ORDER BY created_at, id FOR UPDATE/);
+    expect(select.values[0]).toEqual(["o-1", "o-2", "o-3"]);
+  });
+
+  it("gives the received units to the oldest pre-orders first", async () => {
+    givenStock(10);
+    const result = await PreOrderQueueService.allocateRestock(item, { quantity: 3 });
+
+    expect(result.allocated).toBe(3);
+    expect(result.converted).toBe(2);
+    expect(result.conversions.map((c) => c.orderId)).toEqual(["o-1", "o-2"]);
+    expect(updatedOrder("o-1")).toEqual({ items: [line(2, 2)], converted: true });
+    expect(updatedOrder("o-2")).toEqual({ items: [line(1, 1)], converted: true });
+    expect(updatedOrder("o-3")).toBeUndefined();
+
+    // The one still waiting is told it is first in line now
+    const waiting = result.students.filter((s) => !s.converted);
+    expect(waiting).toEqual([expect.objectContaining({ orderId: "o-3", position: 1 })]);
+  });
+
+  it("never hands out more than was received, even with more on hand", async () => {
+    givenStock(10);
+    const result = await PreOrderQueueService.allocateRestock(item, { quantity: 1 });
+
+    expect(result.allocated).toBe(1);
+    expect(result.converted).toBe(0);
+    expect(updatedOrder("o-1")).toEqual({ items: [line(2, 1)], converted: false });
+    expect(OrderService._moveStockInTransaction).toHaveBeenCalledWith(sql, "College", [
+      { name: "Polo", size: "M", quantity: 1, restock: false },
+    ]);
+    expect(result.students.map((s) => s.position)).toEqual([1, 2, 3]);
+  });
+
+  it("never hands out more than is on hand", async () => {
+    givenStock(2);
+    const result = await PreOrderQueueService.allocateRestock(item, { quantity: 5 });
+
+    expect(result.allocated).toBe(2);
+    expect(result.conversions.map((c) => c.orderId)).toEqual(["o-1"]);
+  });
+
+  it("allocates all on-hand stock when no quantity is given", async () => {
+    givenStock(4);
+    const result = await PreOrderQueueService.allocateRestock(item);
+
+    expect(result.allocated).toBe(4);
+    expect(result.conversions.map((c) => c.orderId)).toEqual(["o-1", "o-2"]);
+    expect(updatedOrder("o-3")).toEqual({ items: [line(3, 1)], converted: false });
+  });
+
+  it("records one ledger movement per allocation inside the transaction", async () => {
+    givenStock(10);
+    await PreOrderQueueService.allocateRestock(item, { quantity: 3 });
+
+    expect(StockLedgerService.recordMovements).toHaveBeenCalledWith(
+      [
+        expect.objectContaining({ delta: -2, orderId: "o-1", reasonCode: "pre_order_allocated" }),
+        expect.objectContaining({ delta: -1, orderId: "o-2", reasonCode: "pre_order_allocated" }),
+      ],
+      sql,
+    );
+  });
+
+  it("does nothing when no pre-order waits for the item", async () => {
+    NotificationService.findStudentsWithPendingPreOrders.mockResolvedValue([]);
+    const result = await PreOrderQueueService.allocateRestock(item, { quantity: 3 });
+
+    expect(result).toEqual(expect.objectContaining({ allocated: 0, converted: 0, total: 0 }));
+    expect(sql.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,192 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/inventory.service", () => ({
+  addStock: jest.fn(),
+}));
+jest.mock("../../../src/services/property_custodian/itemVariants.service", () => ({}));
+jest.mock("../../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const InventoryService = require("../../../src/services/property_custodian/inventory.service");
+const PurchaseOrderService = require("../../../src/services/property_custodian/purchaseOrder.service");
+
+const actor = { staffId: "staff-1", userId: "user-1", email: "custodian@example.com" };
+
+let purchaseOrder;
+let poLines;
+let deliveries;
+let deliveryLines;
+
+/** One PO with a polo and a patch line, and its deliveries, kept in memory behind the fake sql */
+function givenPurchaseOrder(status = "ordered") {
+  purchaseOrder = { id: "po-1", po_number: "PO-0001", status, supplier_id: "supplier-1", supplier_name: "Uniform Co." };
+  poLines = [
+    { id: "line-1", purchase_order_id: "po-1", item_id: "item-polo", item_name: "Polo", size: "M", quantity_ordered: 10, quantity_received: 0, unit_cost: "300.00" },
+    { id: "line-2", purchase_order_id: "po-1", item_id: "item-patch", item_name: "Logo Patch", size: "N/A", quantity_ordered: 5, quantity_received: 0, unit_cost: "25.00" },
+  ];
+  deliveries = [];
+  deliveryLines = [];
+
+  sql.on(/FROM purchase_orders p JOIN suppliers/, () => [{ ...purchaseOrder }]);
+  sql.on(/^SELECT \* FROM purchase_order_lines WHERE purchase_order_id/, () => poLines.map((line) => ({ ...line })));
+  sql.on(/^INSERT INTO purchase_order_deliveries/, ([values]) => {
+    const row = { id: `delivery-${deliveries.length + 1}`, ...values };
+    deliveries.push(row);
+    return [row];
+  });
+  sql.on(/^INSERT INTO purchase_order_delivery_lines/, ([rows]) =>
+    rows.map((values) => {
+      const row = { id: `delivery-line-${deliveryLines.length + 1}`, posted_at: null, post_error: null, ...values };
+      deliveryLines.push(row);
+      return { ...row };
+    })
+  );
+  sql.on(/^UPDATE purchase_order_lines SET quantity_received/, ([quantity, , id]) => {
+    poLines.find((line) => line.id === id).quantity_received = quantity;
+    return [];
+  });
+  sql.on(/^UPDATE purchase_orders SET status = \?, received_at/, ([status, receivedAt]) => {
+    Object.assign(purchaseOrder, { status, received_at: receivedAt });
+    return [{ ...purchaseOrder }];
+  });
+  sql.on(/^UPDATE purchase_orders SET status = \?, closed_by/, ([status, , , reason]) => {
+    Object.assign(purchaseOrder, { status, close_reason: reason });
+    return [{ ...purchaseOrder }];
+  });
+  sql.on(/^UPDATE purchase_order_delivery_lines SET posted_at = NULL, post_error = \?/, ([error, id]) => {
+    Object.assign(deliveryLines.find((line) => line.id === id), { posted_at: null, post_error: error });
+    return [];
+  });
+  sql.on(/^UPDATE purchase_order_delivery_lines SET posted_at = \?/, ([postedAt, id]) => {
+    const line = deliveryLines.find((row) => row.id === id && !row.posted_at);
+    if (!line) return [];
+    line.posted_at = postedAt;
+    return [{ id }];
+  });
+  sql.on(/^SELECT \* FROM purchase_order_deliveries WHERE id/, ([id]) => deliveries.filter((row) => row.id === id));
+  sql.on(/^SELECT \* FROM purchase_order_delivery_lines WHERE delivery_id/, ([id]) =>
+    deliveryLines.filter((row) => row.delivery_id === id && !row.posted_at).map((row) => ({ ...row }))
+  );
+}
+
+const receive = (lines, input = {}) => PurchaseOrderService.receiveDelivery("po-1", { lines, ...input }, actor);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sql.reset();
+  givenPurchaseOrder();
+  InventoryService.addStock.mockImplementation(async (itemId, quantity) => ({ data: { stock: quantity } }));
+});
+
+describe("PurchaseOrderService.receiveDelivery", () => {
+  it("leaves the PO partially received until every line is delivered", async () => {
+    const first = await receive([{ lineId: "line-1", quantity: 6 }], { deliveryReference: "DR-1" });
+
+    expect(first.data.purchase_order.status).toBe("partially_received");
+    expect(poLines.map((line) => line.quantity_received)).toEqual([6, 0]);
+
+    const second = await receive([
+      { lineId: "line-1", quantity: 4 },
+      { lineId: "line-2", quantity: 5, unitCost: 24 },
+    ]);
+
+    expect(second.data.purchase_order).toMatchObject({ status: "received", received_at: expect.any(String) });
+    expect(poLines.map((line) => line.quantity_received)).toEqual([10, 5]);
+    expect(deliveryLines.map(({ quantity, unit_cost }) => [quantity, unit_cost])).toEqual([
+      [6, 300],
+      [4, 300],
+      [5, 24],
+    ]);
+  });
+
+  it("posts each delivered line to stock with the PO number as reference", async () => {
+    await receive([
+      { lineId: "line-1", quantity: 6 },
+      { lineId: "line-2", quantity: 2 },
+    ], { deliveryReference: "DR-1" });
+
+    expect(InventoryService.addStock).toHaveBeenCalledWith("item-polo", 6, "M", 300, null, "user-1", actor.email, {
+      reference: "PO-0001",
+      note: "Delivery DR-1 from Uniform Co.",
+    });
+    expect(InventoryService.addStock).toHaveBeenCalledWith("item-patch", 2, null, 25, null, "user-1", actor.email, expect.any(Object));
+    expect(deliveryLines.every((line) => line.posted_at)).toBe(true);
+  });
+
+  it("refuses to receive more than is still outstanding on a line", async () => {
+    await receive([{ lineId: "line-1", quantity: 8 }]);
+
+    await expect(receive([{ lineId: "line-1", quantity: 3 }])).rejects.toThrow(
+      "Failed to receive delivery: Polo (Size: M): only 2 of 10 still to be delivered"
+    );
+    expect(sql.rolledBack).toBe(true);
+    expect(poLines[0].quantity_received).toBe(8);
+    expect(deliveries).toHaveLength(1);
+  });
+
+  it("validates the delivery lines before touching the PO", async () => {
+    await expect(receive([])).rejects.toThrow("lines must be a non-empty array");
+    await expect(receive([{ lineId: "line-1", quantity: 1.5 }])).rejects.toThrow(
+      "quantity must be a whole number greater than 0"
+    );
+    await expect(
+      receive([
+        { lineId: "line-1", quantity: 1 },
+        { lineId: "line-1", quantity: 1 },
+      ])
+    ).rejects.toThrow("Each PO line can appear only once per delivery");
+    await expect(receive([{ lineId: "line-9", quantity: 1 }])).rejects.toThrow("PO line line-9 not found on PO-0001");
+    expect(sql.find(/^INSERT/)).toHaveLength(0);
+  });
+
+  it("only receives against ordered or partially received POs", async () => {
+    purchaseOrder.status = "draft";
+    await expect(receive([{ lineId: "line-1", quantity: 1 }])).rejects.toThrow(
+      "Mark the purchase order as ordered before receiving deliveries"
+    );
+
+    purchaseOrder.status = "closed";
+    await expect(receive([{ lineId: "line-1", quantity: 1 }])).rejects.toThrow("Purchase order is already closed");
+  });
+
+  it("keeps a line that failed to post and posts it again later", async () => {
+    InventoryService.addStock.mockRejectedValueOnce(new Error("Item not found"));
+
+    const result = await receive([
+      { lineId: "line-1", quantity: 6 },
+      { lineId: "line-2", quantity: 5 },
+    ]);
+
+    expect(result.message).toBe("Delivery received; 1 line(s) could not be posted to stock and can be posted again");
+    expect(result.data.posting.failed).toEqual([expect.objectContaining({ itemId: "item-polo", error: "Item not found" })]);
+    expect(deliveryLines[0]).toMatchObject({ posted_at: null, post_error: "Item not found" });
+    expect(poLines.map((line) => line.quantity_received)).toEqual([6, 5]);
+
+    const retry = await PurchaseOrderService.postDelivery("po-1", "delivery-1", actor);
+
+    expect(retry.message).toBe("1 line(s) posted to stock");
+    expect(InventoryService.addStock).toHaveBeenCalledTimes(3);
+    await expect(PurchaseOrderService.postDelivery("po-1", "delivery-1", actor)).rejects.toThrow(
+      "Every line of this delivery is already in stock"
+    );
+  });
+});
+
+describe("PurchaseOrderService.closePurchaseOrder", () => {
+  it("closes a partially received PO whose balance will not come", async () => {
+    await receive([{ lineId: "line-1", quantity: 6 }]);
+
+    const result = await PurchaseOrderService.closePurchaseOrder("po-1", { reason: "Supplier out of stock" }, actor);
+
+    expect(result.data).toMatchObject({ status: "closed", close_reason: "Supplier out of stock" });
+  });
+
+  it("sends a PO with nothing received to cancel instead", async () => {
+    await expect(PurchaseOrderService.closePurchaseOrder("po-1", { reason: "No longer needed" }, actor)).rejects.toThrow(
+      "Nothing has been received yet; cancel the purchase order instead"
+    );
+  });
+});
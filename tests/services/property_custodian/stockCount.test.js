@@ -0,0 +1,27 @@
+const StockCountService = require("../../../src/services/property_custodian/stockCount.service");
+
+describe("StockCountService.getLineVariance", () => {
+  it("is counted minus the system stock when the line was counted", () => {
+    expect(StockCountService.getLineVariance({ counted_quantity: 36, stock_at_count: 38, system_stock: 40 })).toBe(-2);
+    expect(StockCountService.getLineVariance({ counted_quantity: 12, stock_at_count: 10, system_stock: 0 })).toBe(2);
+  });
+
+  it("does not change when stock moves after the count", () => {
+    // Counted 10 against 12 on the shelf, then 2 were sold: still a shortage of 2, not a surplus
+    const line = { counted_quantity: 10, stock_at_count: 12, system_stock: 12 };
+    const liveStockAfterSale = 10;
+    const variance = StockCountService.getLineVariance(line);
+    expect(variance).toBe(-2);
+    expect(Math.max(0, liveStockAfterSale + variance)).toBe(8);
+  });
+
+  it("falls back to the stock at session open for lines counted before stock_at_count", () => {
+    expect(StockCountService.getLineVariance({ counted_quantity: 5, stock_at_count: null, system_stock: 7 })).toBe(-2);
+  });
+
+  it("is null for lines not counted yet and zero for exact counts", () => {
+    expect(StockCountService.getLineVariance({ counted_quantity: null, system_stock: 7 })).toBeNull();
+    expect(StockCountService.getLineVariance(null)).toBeNull();
+    expect(StockCountService.getLineVariance({ counted_quantity: 0, stock_at_count: 0, system_stock: 4 })).toBe(0);
+  });
+});
@@ -0,0 +1,169 @@
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/property_custodian/itemVariants.service", () => ({
+  updateItemVariants: jest.fn(),
+}));
+
+const { sql } = require("../../../src/config/database");
+const ItemVariantsService = require("../../../src/services/property_custodian/itemVariants.service");
+const StockLedgerService = require("../../../src/services/property_custodian/stockLedger.service");
+
+const { REASON_CODES } = StockLedgerService;
+
+const withSizes = (stocks) => ({
+  id: "item-1",
+  stock: Object.values(stocks).reduce((sum, stock) => sum + stock, 0),
+  size_variants: Object.entries(stocks).map(([size, stock]) => ({ size, stock })),
+});
+
+function insertedRows() {
+  const inserts = sql.find(/^INSERT INTO stock_movements/);
+  return inserts.flatMap(({ values }) => values[0]);
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sql.reset();
+  sql.on(/to_regclass\('stock_movements'\)/, [{ has_ledger: true }]);
+  sql.on(/FROM item_variants/, [
+    { id: "variant-s", item_id: "item-1", size: "S" },
+    { id: "variant-m", item_id: "item-1", size: "M" },
+  ]);
+  sql.on(/^INSERT INTO stock_movements/, (values) => values[0]);
+});
+
+describe("StockLedgerService.recordStockChange", () => {
+  it("records one movement per size that changed, inside the given transaction", async () => {
+    await StockLedgerService.recordStockChange(
+      withSizes({ S: 4, M: 2 }),
+      withSizes({ S: 4, M: 7 }),
+      { reasonCode: REASON_CODES.PURCHASE, reference: "DR-12", actorId: 7 },
+      sql,
+    );
+
+    expect(insertedRows()).toEqual([
+      expect.objectContaining({
+        item_id: "item-1",
+        variant_id: "variant-m",
+        size: "M",
+        delta: 5,
+        reason_code: "PURCHASE",
+        reference: "DR-12",
+        actor_id: "7",
+      }),
+    ]);
+  });
+
+  it("records the whole stock of a new item", async () => {
+    await StockLedgerService.recordStockChange(
+      null,
+      withSizes({ S: 3, M: 1 }),
+      { reasonCode: REASON_CODES.INITIAL_STOCK },
+      sql,
+    );
+
+    expect(insertedRows().map(({ size, delta }) => [size, delta])).toEqual([
+      ["S", 3],
+      ["M", 1],
+    ]);
+  });
+
+  it("writes nothing when the stock did not change", async () => {
+    const rows = await StockLedgerService.recordStockChange(
+      withSizes({ S: 1 }),
+      withSizes({ S: 1 }),
+      { reasonCode: REASON_CODES.ITEM_EDIT },
+      sql,
+    );
+    expect(rows).toEqual([]);
+    expect(sql.queries).toHaveLength(0);
+  });
+
+  it("skips the ledger until its migration has run", async () => {
+    sql.reset();
+    sql.on(/to_regclass\('stock_movements'\)/, [{ has_ledger: false }]);
+
+    const rows = await StockLedgerService.recordStockChange(
+      null,
+      { id: "item-1", stock: 5 },
+      { reasonCode: REASON_CODES.INITIAL_STOCK },
+      sql,
+    );
+    expect(rows).toEqual([]);
+    expect(sql.find(/^INSERT/)).toHaveLength(0);
+  });
+
+  it("rejects unknown reason codes", async () => {
+    await expect(
+      StockLedgerService.recordStockChange(null, { id: "item-1", stock: 1 }, { reasonCode: "GIFT" }, sql),
+    ).rejects.toThrow("Unknown stock movement reason code: GIFT");
+  });
+});
+
+describe("StockLedgerService.updateItemStock", () => {
+  it("writes the stock and its ledger rows in one transaction", async () => {
+    ItemVariantsService.updateItemVariants.mockResolvedValue({
+      before: { id: "item-1", stock: 2 },
+      after: { id: "item-1", stock: 5 },
+    });
+    const change = jest.fn();
+
+    const { after } = await StockLedgerService.updateItemStock("item-1", change, {
+      reasonCode: REASON_CODES.ADJUSTMENT,
+      note: "Found in storeroom",
+    });
+
+    expect(after.stock).toBe(5);
+    expect(ItemVariantsService.updateItemVariants).toHaveBeenCalledWith("item-1", change, sql);
+    expect(insertedRows()).toEqual([
+      expect.objectContaining({ delta: 3, reason_code: "ADJUSTMENT", note: "Found in storeroom" }),
+    ]);
+  });
+
+  it("rolls the stock write back when the ledger insert fails", async () => {
+    ItemVariantsService.updateItemVariants.mockResolvedValue({
+      before: { id: "item-1", stock: 2 },
+      after: { id: "item-1", stock: 5 },
+    });
+    sql.reset();
+    sql.on(/to_regclass\('stock_movements'\)/, [{ has_ledger: true }]);
+    sql.on(/^INSERT INTO stock_movements/, () => {
+      throw new Error("permission denied for table stock_movements");
+    });
+
+    await expect(
+      StockLedgerService.updateItemStock("item-1", jest.fn(), { reasonCode: REASON_CODES.ADJUSTMENT }),
+    ).rejects.toThrow("permission denied for table stock_movements");
+    expect(sql.rolledBack).toBe(true);
+  });
+});
+
+describe("StockLedgerService.reconcile", () => {
+  beforeEach(() => sql.reset());
+
+  it("is in balance when no item or variant disagrees with the ledger", async () => {
+    const result = await StockLedgerService.reconcile();
+
+    expect(result.summary).toEqual({ items_out_of_balance: 0, variants_out_of_balance: 0, in_balance: true });
+  });
+
+  it("lists the items and variants whose stock differs from the ledger sum", async () => {
+    sql.on(/FROM items i LEFT JOIN ledger/, [
+      { item_id: "item-1", name: "Polo", current_stock: 12, ledger_stock: 10, difference: 2 },
+    ]);
+    sql.on(/FROM item_variants v/, [
+      { item_id: "item-1", variant_id: "variant-m", size: "M", current_stock: 7, ledger_stock: 5, difference: 2 },
+    ]);
+
+    const result = await StockLedgerService.reconcile({ itemId: "item-1", educationLevel: "College" });
+
+    expect(result.data.items).toHaveLength(1);
+    expect(result.data.variants[0]).toEqual(expect.objectContaining({ variant_id: "variant-m", difference: 2 }));
+    expect(result.summary).toEqual({ items_out_of_balance: 1, variants_out_of_balance: 1, in_balance: false });
+
+    const [itemsQuery] = sql.find(/FROM items i LEFT JOIN ledger/);
+    expect(itemsQuery.text).toMatch(/AND i.id = \? AND i.education_level = \?/);
+    expect(itemsQuery.values).toEqual(["item-1", "College"]);
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+
+const supabase = require("../../../src/config/supabase");
+const MaxOrderRulesService = require("../../../src/services/system_admin/maxOrderRules.service");
+const { getMaxQuantityForItem, DEFAULT_MAX } = require("../../../src/config/itemMaxOrder");
+
+const rule = (overrides = {}) => ({
+  education_level: "College",
+  student_type: "old",
+  gender: "Female",
+  item_key: "Logo Patch",
+  max_quantity: 4,
+  effective_from: "2025-06-01",
+  ...overrides,
+});
+
+function auditActions() {
+  return supabase.table("max_order_rule_audit").map((entry) => entry.action);
+}
+
+beforeEach(() => {
+  supabase.reset();
+  supabase.setTable("max_order_rules", []);
+  supabase.setDefaults("max_order_rules", { is_active: true });
+  supabase.setTable("max_order_rule_audit", []);
+  MaxOrderRulesService.clearRulesCache();
+});
+
+describe("max order rule CRUD", () => {
+  it("creates a rule with a normalized item key and audits it", async () => {
+    const { data } = await MaxOrderRulesService.createRule(rule({ notes: "  SY 2025 " }), "staff-1");
+
+    expect(data).toEqual(
+      expect.objectContaining({ item_key: "logo patch", max_quantity: 4, notes: "SY 2025", created_by: "staff-1" }),
+    );
+    const [audit] = supabase.table("max_order_rule_audit");
+    expect(audit).toEqual(
+      expect.objectContaining({ rule_id: data.id, action: "CREATE", old_values: null, changed_by: "staff-1" }),
+    );
+    expect(audit.new_values.max_quantity).toBe(4);
+  });
+
+  it("validates the rule fields", async () => {
+    await expect(MaxOrderRulesService.createRule(rule({ gender: "Other" }))).rejects.toThrow(
+      "gender must be one of: Male, Female",
+    );
+    await expect(MaxOrderRulesService.createRule(rule({ max_quantity: 1.5 }))).rejects.toThrow(
+      "max_quantity must be a whole number of 0 or more",
+    );
+    await expect(
+      MaxOrderRulesService.createRule(rule({ effective_from: "2025-06-01", effective_to: "2025-05-01" })),
+    ).rejects.toThrow("effective_to must be on or after effective_from");
+    expect(supabase.table("max_order_rules")).toHaveLength(0);
+  });
+
+  it("rejects a rule overlapping one already in effect for the same segment and item", async () => {
+    await MaxOrderRulesService.createRule(rule({ effective_to: "2025-12-31" }));
+
+    await expect(MaxOrderRulesService.createRule(rule({ effective_from: "2025-10-01" }))).rejects.toThrow(
+      /already in effect from 2025-06-01 to 2025-12-31/,
+    );
+    await expect(MaxOrderRulesService.createRule(rule({ effective_from: "2026-01-01" }))).resolves.toEqual(
+      expect.objectContaining({ success: true }),
+    );
+  });
+
+  it("audits updates with the values before and after", async () => {
+    const { data: created } = await MaxOrderRulesService.createRule(rule());
+    await MaxOrderRulesService.updateRule(created.id, { max_quantity: 2 }, "staff-2");
+
+    const update = supabase.table("max_order_rule_audit").find((entry) => entry.action === "UPDATE");
+    expect(update.old_values.max_quantity).toBe(4);
+    expect(update.new_values.max_quantity).toBe(2);
+    expect(update.changed_by).toBe("staff-2");
+  });
+
+  it("deactivates deleted rules and keeps them for the audit trail", async () => {
+    const { data: created } = await MaxOrderRulesService.createRule(rule());
+    await MaxOrderRulesService.deleteRule(created.id, "staff-1");
+
+    expect(supabase.table("max_order_rules")[0].is_active).toBe(false);
+    expect(auditActions()).toEqual(["CREATE", "DELETE"]);
+    await expect(MaxOrderRulesService.deleteRule(created.id)).rejects.toThrow("Max order rule not found");
+  });
+});
+
+describe("MaxOrderRulesService.getSegmentRules", () => {
+  it("uses the rule in effect on the date, the latest effective_from winning", async () => {
+    supabase.setTable("max_order_rules", [
+      { ...rule({ item_key: "logo patch", max_quantity: 3, effective_from: "2024-06-01" }), is_active: true },
+      { ...rule({ item_key: "logo patch", max_quantity: 5, effective_from: "2025-06-01" }), is_active: true },
+      { ...rule({ item_key: "jersey", max_quantity: 2, effective_from: "2026-06-01" }), is_active: true },
+    ]);
+
+    await expect(MaxOrderRulesService.getSegmentRules("College", "old", "Female", "2025-07-01")).resolves.toEqual({
+      "logo patch": 5,
+    });
+    await expect(MaxOrderRulesService.getSegmentRules("College", "old", "Female", "2024-07-01")).resolves.toEqual({
+      "logo patch": 3,
+    });
+  });
+
+  it("is null while the table is not migrated", async () => {
+    supabase.dropTable("max_order_rules");
+    await expect(MaxOrderRulesService.getSegmentRules("College", "old", "Female")).resolves.toBeNull();
+  });
+});
+
+describe("getMaxQuantityForItem", () => {
+  it("falls back to the built-in defaults only while the table is missing", async () => {
+    supabase.dropTable("max_order_rules");
+    await expect(getMaxQuantityForItem("Logo Patch", "College", "old", "Female")).resolves.toBe(3);
+  });
+
+  it("does not bring the defaults back when every rule of a segment is removed", async () => {
+    const { data: created } = await MaxOrderRulesService.createRule(rule({ effective_from: "2020-01-01" }));
+    await expect(getMaxQuantityForItem("Logo Patch", "College", "old", "Female")).resolves.toBe(4);
+
+    await MaxOrderRulesService.deleteRule(created.id);
+    await expect(getMaxQuantityForItem("Logo Patch", "College", "old", "Female")).resolves.toBe(DEFAULT_MAX);
+  });
+
+  it("reads College rules for Vocational students", async () => {
+    await MaxOrderRulesService.createRule(rule({ effective_from: "2020-01-01", max_quantity: 6 }));
+    await expect(getMaxQuantityForItem("New Logo Patch", "Vocational", "old", "Female")).resolves.toBe(6);
+  });
+});
@@ -0,0 +1,161 @@
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+
+const supabase = require("../../../src/config/supabase");
+const {
+  resolveTotalItemLimit,
+  describeLimitRule,
+  getSchoolYearForDate,
+  createPolicy,
+  updatePolicy,
+} = require("../../../src/services/system_admin/totalItemLimitPolicy.service");
+
+const policy = (fields) => ({ is_active: true, education_level: null, school_year: null, ...fields });
+
+function givenPolicies(...rows) {
+  supabase.setTable(
+    "total_item_limit_policies",
+    rows.map((row, index) => ({ id: `policy-${index + 1}`, ...policy(row) }))
+  );
+}
+
+const college = { educationLevel: "College", studentType: "old", schoolYear: "2025-2026" };
+
+beforeEach(() => {
+  supabase.reset();
+  supabase.setDefaults("total_item_limit_policies", { is_active: true });
+});
+
+describe("resolveTotalItemLimit", () => {
+  it("uses the student's own limit over any policy", async () => {
+    givenPolicies({ student_type: "old", total_item_limit: 5 });
+
+    const { limit, rule } = await resolveTotalItemLimit({ ...college, studentLimit: 3 });
+
+    expect(limit).toBe(3);
+    expect(rule).toEqual({ source: "student", limit: 3, student_type: "old" });
+  });
+
+  it("ignores an unset or zero student limit", async () => {
+    givenPolicies({ student_type: "old", total_item_limit: 5 });
+
+    expect((await resolveTotalItemLimit({ ...college, studentLimit: 0 })).limit).toBe(5);
+    expect((await resolveTotalItemLimit({ ...college, studentLimit: null })).limit).toBe(5);
+  });
+
+  it("picks the most specific matching policy", async () => {
+    givenPolicies(
+      { student_type: "old", total_item_limit: 2 },
+      { student_type: "old", school_year: "2025-2026", total_item_limit: 3 },
+      { student_type: "old", education_level: "College", total_item_limit: 4 },
+      { student_type: "old", education_level: "College", school_year: "2025-2026", total_item_limit: 5 },
+      { student_type: "new", education_level: "College", school_year: "2025-2026", total_item_limit: 9 }
+    );
+
+    expect((await resolveTotalItemLimit(college)).rule).toMatchObject({ source: "policy", id: "policy-4", limit: 5 });
+    expect((await resolveTotalItemLimit({ ...college, schoolYear: "2024-2025" })).limit).toBe(4);
+    expect((await resolveTotalItemLimit({ ...college, educationLevel: "Senior High School" })).limit).toBe(3);
+    expect(
+      (await resolveTotalItemLimit({ ...college, educationLevel: "Senior High School", schoolYear: "2024-2025" })).limit
+    ).toBe(2);
+  });
+
+  it("prefers an education-level policy over a school-year one", async () => {
+    givenPolicies(
+      { student_type: "old", school_year: "2025-2026", total_item_limit: 3 },
+      { student_type: "old", education_level: "College", total_item_limit: 4 }
+    );
+
+    expect((await resolveTotalItemLimit(college)).limit).toBe(4);
+  });
+
+  it("skips inactive policies and policies for the other student type", async () => {
+    givenPolicies(
+      { student_type: "old", education_level: "College", total_item_limit: 6, is_active: false },
+      { student_type: "new", education_level: "College", total_item_limit: 7 }
+    );
+
+    const { limit, rule } = await resolveTotalItemLimit(college);
+
+    expect(limit).toBe(2);
+    expect(rule.source).toBe("default");
+  });
+
+  it("falls back to the built-in defaults before the table is migrated", async () => {
+    supabase.dropTable("total_item_limit_policies");
+
+    expect((await resolveTotalItemLimit({ ...college, studentType: "new" })).limit).toBe(8);
+    expect((await resolveTotalItemLimit(college)).limit).toBe(2);
+  });
+
+  it("fails instead of guessing when the policies cannot be read", async () => {
+    supabase.failOn("total_item_limit_policies", "select", { code: "57014", message: "statement timeout" });
+
+    await expect(resolveTotalItemLimit(college)).rejects.toThrow(
+      "Failed to load total item limit policies: statement timeout"
+    );
+  });
+
+  it("defaults to the current school year", async () => {
+    const currentYear = getSchoolYearForDate();
+    givenPolicies(
+      { student_type: "old", school_year: currentYear, total_item_limit: 6 },
+      { student_type: "old", school_year: "1999-2000", total_item_limit: 9 }
+    );
+
+    expect((await resolveTotalItemLimit({ educationLevel: "College", studentType: "old" })).limit).toBe(6);
+  });
+});
+
+describe("getSchoolYearForDate", () => {
+  it("starts the school year in June", () => {
+    expect(getSchoolYearForDate(new Date(2026, 4, 31))).toBe("2025-2026");
+    expect(getSchoolYearForDate(new Date(2026, 5, 1))).toBe("2026-2027");
+  });
+});
+
+describe("describeLimitRule", () => {
+  it("names where the limit came from", () => {
+    expect(describeLimitRule({ source: "student", limit: 3 })).toBe(
+      "limit set by the administration for this student (3)"
+    );
+    expect(
+      describeLimitRule({ source: "policy", limit: 5, student_type: "old", education_level: "College", school_year: "2025-2026" })
+    ).toBe("policy for old students (College, S.Y. 2025-2026): 5");
+    expect(describeLimitRule({ source: "default", limit: 8, student_type: "new" })).toBe(
+      "built-in default for new students (all education levels, any school year): 8"
+    );
+  });
+});
+
+describe("policy validation", () => {
+  it("rejects a second active policy for the same scope", async () => {
+    await createPolicy({ student_type: "old", education_level: "College", total_item_limit: 4 }, "staff-1");
+
+    await expect(
+      createPolicy({ student_type: "OLD", education_level: "College", total_item_limit: 5 }, "staff-1")
+    ).rejects.toThrow("A policy for this education level, student type and school year already exists");
+    await expect(
+      createPolicy({ student_type: "old", education_level: "College", school_year: "2025 - 2026", total_item_limit: 5 }, "staff-1")
+    ).resolves.toMatchObject({ data: { school_year: "2025-2026" } });
+  });
+
+  it("rejects bad school years, student types and limits", async () => {
+    await expect(createPolicy({ student_type: "old", school_year: "2025-2027", total_item_limit: 1 })).rejects.toThrow(
+      'school_year must look like "2025-2026"'
+    );
+    await expect(createPolicy({ student_type: "transferee", total_item_limit: 1 })).rejects.toThrow(
+      "student_type must be one of: new, old"
+    );
+    await expect(createPolicy({ student_type: "old", total_item_limit: 1.5 })).rejects.toThrow(
+      "total_item_limit must be a whole number of 0 or more"
+    );
+  });
+
+  it("lets a policy be updated without clashing with itself", async () => {
+    const { data } = await createPolicy({ student_type: "new", total_item_limit: 8 }, "staff-1");
+
+    const result = await updatePolicy(data.id, { total_item_limit: 10 }, "staff-2");
+
+    expect(result.data).toMatchObject({ total_item_limit: 10, updated_by: "staff-2" });
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock("../../../src/config/supabase", () => require("../../helpers/fakeSupabase").createFakeSupabase());
+jest.mock("../../../src/config/database", () => ({
+  sql: require("../../helpers/fakeSql").createFakeSql(),
+}));
+jest.mock("../../../src/services/transaction.service", () => ({
+  logTransaction: jest.fn(),
+}));
+
+const supabase = require("../../../src/config/supabase");
+const { sql } = require("../../../src/config/database");
+const {
+  recordStrike,
+  submitAppeal,
+  approveAppeal,
+  rejectAppeal,
+} = require("../../../src/services/system_admin/voidStrikeAppeal.service");
+
+function givenStudent(fields = {}) {
+  supabase.setTable("students", [
+    { id: "student-1", name: "Juan", email: "juan@example.com", unclaimed_void_count: 3, total_item_limit: 0, ...fields },
+  ]);
+}
+
+function auditActions() {
+  return supabase.table("void_strike_audit").map((entry) => entry.action);
+}
+
+beforeEach(() => {
+  supabase.reset();
+  supabase.setDefaults("void_strike_appeals", { status: "pending" });
+  sql.reset();
+});
+
+describe("recordStrike", () => {
+  it("records the strike with the limit it replaced and audits it", async () => {
+    const strike = await recordStrike({
+      studentId: "student-1",
+      order: { id: "order-1", order_number: "ORD-1" },
+      strikeNumber: 3,
+      limitBefore: 5,
+      causedBlock: true,
+    });
+
+    expect(strike).toMatchObject({ order_number: "ORD-1", strike_number: 3, total_item_limit_before: 5, caused_block: true });
+    expect(supabase.table("void_strike_audit")[0]).toMatchObject({
+      action: "STRIKE",
+      old_values: { unclaimed_void_count: 2, total_item_limit: 5 },
+      new_values: { unclaimed_void_count: 3, total_item_limit: 0, order_number: "ORD-1" },
+    });
+  });
+
+  it("never throws so the void job keeps going before the tables are migrated", async () => {
+    supabase.dropTable("student_void_strikes");
+
+    await expect(recordStrike({ studentId: "student-1", strikeNumber: 1 })).resolves.toBeNull();
+  });
+});
+
+describe("submitAppeal", () => {
+  it("submits an appeal for a blocked student", async () => {
+    givenStudent();
+
+    const result = await submitAppeal("student-1", "  I was sick that week  ");
+
+    expect(result.data).toMatchObject({ reason: "I was sick that week", strike_count_at_submission: 3, status: "pending" });
+    expect(auditActions()).toEqual(["APPEAL_SUBMITTED"]);
+  });
+
+  it("allows only one pending appeal", async () => {
+    givenStudent();
+    await submitAppeal("student-1", "First");
+
+    await expect(submitAppeal("student-1", "Second")).rejects.toThrow("You already have a pending appeal");
+  });
+
+  it("refuses an appeal from a student with nothing to appeal", async () => {
+    givenStudent({ unclaimed_void_count: 0, total_item_limit: 5 });
+
+    await expect(submitAppeal("student-1", "Please")).rejects.toThrow("You have no void strikes to appeal");
+  });
+
+  it("validates the reason", async () => {
+    givenStudent();
+
+    await expect(submitAppeal("student-1", "   ")).rejects.toThrow("reason is required");
+    await expect(submitAppeal("student-1", "x".repeat(2001))).rejects.toThrow(
+      "reason cannot be longer than 2000 characters"
+    );
+  });
+});
+
+describe("approveAppeal", () => {
+  function givenAppeal({ appeal = {}, student = {}, strikes = [] } = {}) {
+    sql.on(/FROM void_strike_appeals WHERE id/, () => [{ id: "appeal-1", student_id: "student-1", status: "pending", ...appeal }]);
+    sql.on(/FROM students WHERE id/, () => [
+      { id: "student-1", name: "Juan", unclaimed_void_count: 3, total_item_limit: 0, ...student },
+    ]);
+    sql.on(/FROM student_void_strikes/, () => strikes);
+    sql.on(/^UPDATE void_strike_appeals/, (values) => [{ id: "appeal-1", status: "approved", restored_total_item_limit: values[6] }]);
+  }
+
+  const studentUpdate = () => sql.find(/^UPDATE students/)[0].values;
+
+  it("clears the strikes and restores the limit the student had before the block", async () => {
+    givenAppeal({
+      strikes: [
+        { id: "strike-3", order_number: "ORD-3", caused_block: true, total_item_limit_before: 5 },
+        { id: "strike-2", order_number: "ORD-2", caused_block: false, total_item_limit_before: 5 },
+      ],
+    });
+
+    const result = await approveAppeal("appeal-1", "staff-1", "Verified");
+
+    expect(result.message).toBe("Appeal approved; 2 strike(s) cleared");
+    expect(studentUpdate()[0]).toBe(5);
+    expect(sql.find(/^UPDATE student_void_strikes SET cleared_at/)[0].values.slice(1)).toEqual(["staff-1", "appeal-1", "student-1"]);
+    const [audit] = sql.find(/^INSERT INTO void_strike_audit/);
+    expect(audit.values[0]).toMatchObject({
+      action: "APPEAL_APPROVED",
+      old_values: { total_item_limit: 0, active_strikes: ["ORD-3", "ORD-2"] },
+      new_values: { unclaimed_void_count: 0, total_item_limit: 5, strikes_cleared: 2 },
+    });
+  });
+
+  it("keeps a limit the admin changed after the strikes", async () => {
+    givenAppeal({
+      student: { total_item_limit: 4 },
+      strikes: [{ id: "strike-1", order_number: "ORD-1", caused_block: true, total_item_limit_before: 5 }],
+    });
+
+    await approveAppeal("appeal-1", "staff-1");
+
+    expect(studentUpdate()[0]).toBe(4);
+  });
+
+  it("clears a block no recorded strike caused back to the default limit", async () => {
+    givenAppeal({ strikes: [] });
+
+    await approveAppeal("appeal-1", "staff-1");
+
+    expect(studentUpdate()[0]).toBeNull();
+  });
+
+  it("refuses an appeal that was already reviewed", async () => {
+    givenAppeal({ appeal: { status: "rejected" } });
+
+    await expect(approveAppeal("appeal-1", "staff-1")).rejects.toThrow("Appeal has already been rejected");
+    expect(sql.rolledBack).toBe(true);
+    expect(sql.find(/^UPDATE/)).toHaveLength(0);
+  });
+});
+
+describe("rejectAppeal", () => {
+  it("requires notes and leaves the strikes alone", async () => {
+    givenStudent();
+    const { data: appeal } = await submitAppeal("student-1", "Please");
+
+    await expect(rejectAppeal(appeal.id, "staff-1", " ")).rejects.toThrow("notes are required when rejecting an appeal");
+    const result = await rejectAppeal(appeal.id, "staff-1", "Orders were left twice");
+
+    expect(result.data).toMatchObject({ status: "rejected", review_notes: "Orders were left twice" });
+    expect(supabase.table("students")[0]).toMatchObject({ unclaimed_void_count: 3, total_item_limit: 0 });
+    expect(auditActions()).toEqual(["APPEAL_SUBMITTED", "APPEAL_REJECTED"]);
+    await expect(rejectAppeal(appeal.id, "staff-1", "Again")).rejects.toThrow("Appeal has already been rejected");
+  });
+});
@@ -0,0 +1,26 @@
+const { toDateOnly, parseDateOnly } = require("../../src/utils/dateOnly");
+
+describe("toDateOnly", () => {
+  it("formats the local calendar date", () => {
+    expect(toDateOnly(new Date(2025, 0, 5, 23, 59))).toBe("2025-01-05");
+    expect(toDateOnly(new Date(2025, 11, 31, 0, 0))).toBe("2025-12-31");
+  });
+
+  it("accepts timestamps and date strings", () => {
+    expect(toDateOnly(new Date(2025, 5, 1, 12).getTime())).toBe("2025-06-01");
+    expect(toDateOnly("2025-06-01T12:00:00")).toBe("2025-06-01");
+  });
+});
+
+describe("parseDateOnly", () => {
+  it("parses YYYY-MM-DD as local midnight", () => {
+    const date = parseDateOnly("2025-10-13");
+    expect([date.getFullYear(), date.getMonth(), date.getDate(), date.getHours()]).toEqual([2025, 9, 13, 0]);
+  });
+
+  it("rejects other formats and dates that do not exist", () => {
+    expect(parseDateOnly("10/13/2025")).toBeNull();
+    expect(parseDateOnly("2025-02-30")).toBeNull();
+    expect(parseDateOnly(null)).toBeNull();
+  });
+});
@@ -0,0 +1,13 @@
+const { isMissingTableError } = require("../../src/utils/dbErrors");
+
+describe("isMissingTableError", () => {
+  it("recognizes an undefined table from postgres and from PostgREST", () => {
+    expect(isMissingTableError({ code: "42P01", message: 'relation "stock_movements" does not exist' })).toBe(true);
+    expect(isMissingTableError({ message: 'relation "public.max_order_rules" does not exist' })).toBe(true);
+  });
+
+  it("does not swallow other errors", () => {
+    expect(isMissingTableError({ code: "23505", message: "duplicate key value violates unique constraint" })).toBe(false);
+    expect(isMissingTableError(null)).toBe(false);
+  });
+});
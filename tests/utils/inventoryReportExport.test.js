@@ -0,0 +1,146 @@
+const ExcelJS = require("exceljs");
+const {
+  sizeRank,
+  csvCell,
+  buildExportRows,
+  toCsv,
+  toXlsx,
+} = require("../../src/utils/inventoryReportExport");
+
+const reportRows = [
+  {
+    name: "Polo",
+    education_level: "College",
+    size: "Large (L)",
+    beginning_inventory: 10,
+    unit_price_beginning: 250,
+    purchases: 5,
+    purchase_unit_price: 260,
+    released: 4,
+    returns: 1,
+    ending_inventory: 12,
+    total_amount: 3010.004,
+    status: "In Stock",
+  },
+  {
+    name: "Polo",
+    education_level: "College",
+    size: "Small (S)",
+    beginning_inventory: 3,
+    unit_price_beginning: 250,
+    purchases: 0,
+    purchase_unit_price: 0,
+    released: 1,
+    returns: 0,
+    ending_inventory: 2,
+    total_amount: 500,
+    status: "Critical",
+  },
+  {
+    name: "Blouse",
+    education_level: "Senior High School",
+    size: "M",
+    beginning_inventory: 1,
+    unit_price_beginning: 300,
+    purchases: 0,
+    purchase_unit_price: 0,
+    released: 0,
+    returns: 0,
+    ending_inventory: 1,
+    total_amount: 300,
+    status: "Critical",
+  },
+];
+
+describe("sizeRank", () => {
+  it("orders letter sizes, then numeric sizes, then anything else", () => {
+    const sizes = ["XL", "Small (S)", "Free size", "32", "Medium", "28", "XS"];
+    expect([...sizes].sort((a, b) => sizeRank(a) - sizeRank(b))).toEqual([
+      "XS",
+      "Small (S)",
+      "Medium",
+      "XL",
+      "28",
+      "32",
+      "Free size",
+    ]);
+  });
+});
+
+describe("buildExportRows", () => {
+  const rows = buildExportRows(reportRows);
+
+  it("groups lines by education level and item with sizes in order", () => {
+    expect(rows.map((row) => [row.rowType, row.description, row.size])).toEqual([
+      ["line", "Polo", "Small (S)"],
+      ["line", "Polo", "Large (L)"],
+      ["subtotal", "Subtotal - Polo", undefined],
+      ["line", "Blouse", "M"],
+      ["subtotal", "Subtotal - Blouse", undefined],
+      ["total", "GRAND TOTAL", undefined],
+    ]);
+    expect(rows.filter((row) => row.rowType === "line").map((row) => row.no)).toEqual([1, 2, 3]);
+  });
+
+  it("sums subtotals and the grand total and rounds amounts", () => {
+    const [, polo, poloSubtotal, , , grandTotal] = rows;
+    expect(polo.total_amount).toBe(3010);
+    expect(poloSubtotal).toMatchObject({
+      beginning_inventory: 13,
+      purchases: 5,
+      released: 5,
+      returns: 1,
+      ending_inventory: 14,
+      total_amount: 3510,
+    });
+    expect(grandTotal).toMatchObject({ beginning_inventory: 14, ending_inventory: 15, total_amount: 3810 });
+  });
+});
+
+describe("csvCell", () => {
+  it("quotes cells with commas, quotes or line breaks", () => {
+    expect(csvCell('Polo, "white"')).toBe('"Polo, ""white"""');
+    expect(csvCell(null)).toBe("");
+    expect(csvCell(12)).toBe("12");
+  });
+
+  it("keeps spreadsheet formulas in text cells from running", () => {
+    expect(csvCell("=1+2")).toBe("'=1+2");
+    expect(csvCell("=A1,B1")).toBe('"\'=A1,B1"');
+    expect(csvCell("+1")).toBe("'+1");
+    expect(csvCell("-1")).toBe("'-1");
+    expect(csvCell("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(csvCell(-3)).toBe("-3");
+  });
+});
+
+describe("toCsv", () => {
+  it("writes the header lines, the column headers and one line per row", () => {
+    const csv = toCsv(buildExportRows(reportRows), {
+      startDate: "2025-06-01",
+      endDate: "2025-06-30",
+      educationLevel: "College",
+    });
+    const lines = csv.replace(/^\uFEFF/, "").trimEnd().split("\r\n");
+
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(lines[3]).toBe("For the period 2025-06-01 to 2025-06-30");
+    expect(lines[4]).toBe("Education Level: College");
+    expect(lines[6]).toMatch(/^No\.,Item Description,/);
+    expect(lines[7]).toBe("1,Polo,College,Small (S),3,250,0,0,1,0,2,500,Critical");
+    expect(lines).toHaveLength(7 + 6);
+  });
+});
+
+describe("toXlsx", () => {
+  it("writes a workbook with the report rows", async () => {
+    const buffer = await toXlsx(buildExportRows(reportRows), { generatedAt: "2025-06-30T00:00:00.000Z" });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.getWorksheet("Inventory Report");
+
+    expect(sheet.getCell("A4").value).toBe("As of 2025-06-30");
+    expect(sheet.getRow(8).getCell(2).value).toBe("Polo");
+    expect(sheet.getRow(13).getCell(2).value).toBe("GRAND TOTAL");
+  });
+});
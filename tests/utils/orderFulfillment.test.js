@@ -0,0 +1,109 @@
+const {
+  LINE_STATUS,
+  getReleasedQuantity,
+  getUnreleasedQuantity,
+  deriveOrderStatusFromLines,
+  applyLineRelease,
+} = require("../../src/utils/orderFulfillment");
+
+const staff = { id: "staff-1" };
+const releasedAt = "2025-06-02T08:00:00.000Z";
+
+describe("getReleasedQuantity / getUnreleasedQuantity", () => {
+  it("uses released_quantity for tracked lines", () => {
+    const line = { quantity: 3, released_quantity: 1, fulfillment_status: LINE_STATUS.PENDING };
+    expect(getReleasedQuantity(line, "partially_claimed")).toBe(1);
+    expect(getUnreleasedQuantity(line, "partially_claimed")).toBe(2);
+  });
+
+  it("falls back to the order status for lines placed before per-line tracking", () => {
+    expect(getReleasedQuantity({ quantity: 2 }, "claimed")).toBe(2);
+    expect(getReleasedQuantity({ quantity: 2 }, "pending")).toBe(0);
+  });
+
+  it("leaves nothing to release on voided lines and cancelled orders", () => {
+    expect(getUnreleasedQuantity({ quantity: 2, fulfillment_status: LINE_STATUS.VOIDED }, "pending")).toBe(0);
+    expect(getUnreleasedQuantity({ quantity: 2 }, "cancelled")).toBe(0);
+  });
+});
+
+describe("deriveOrderStatusFromLines", () => {
+  it("keeps the current status while nothing is released", () => {
+    const items = [{ quantity: 2, released_quantity: 0 }];
+    expect(deriveOrderStatusFromLines(items, "ready")).toBe("ready");
+  });
+
+  it("is partially_claimed when only some units are released", () => {
+    const items = [
+      { quantity: 2, released_quantity: 2 },
+      { quantity: 1, released_quantity: 0 },
+    ];
+    expect(deriveOrderStatusFromLines(items, "ready")).toBe("partially_claimed");
+  });
+
+  it("is claimed when every open line is fully released, ignoring voided lines", () => {
+    const items = [
+      { quantity: 2, released_quantity: 2 },
+      { quantity: 1, released_quantity: 0, fulfillment_status: LINE_STATUS.VOIDED },
+    ];
+    expect(deriveOrderStatusFromLines(items, "partially_claimed")).toBe("claimed");
+  });
+});
+
+describe("applyLineRelease", () => {
+  const orderItems = [
+    { name: "Polo", size: "M", quantity: 2 },
+    { name: "Pants", size: "L", quantity: 1 },
+  ];
+
+  it("releases the remaining quantity by default without changing the input", () => {
+    const result = applyLineRelease(orderItems, [{ index: 0 }], staff, releasedAt);
+
+    expect(result.items[0]).toMatchObject({
+      released_quantity: 2,
+      released_at: releasedAt,
+      released_by: "staff-1",
+      fulfillment_status: LINE_STATUS.RELEASED,
+    });
+    expect(result.items[1]).toMatchObject({
+      released_quantity: 0,
+      fulfillment_status: LINE_STATUS.PENDING,
+    });
+    expect(result.releasedLines).toEqual([{ index: 0, name: "Polo", size: "M", quantity: 2 }]);
+    expect(orderItems[0].released_quantity).toBeUndefined();
+  });
+
+  it("adds a partial release to what was already released", () => {
+    const items = [{ name: "Polo", size: "M", quantity: 3, released_quantity: 1 }];
+    const result = applyLineRelease(items, [{ index: 0, quantity: 1 }], staff, releasedAt);
+    expect(result.items[0].released_quantity).toBe(2);
+    expect(result.items[0].fulfillment_status).toBe(LINE_STATUS.PENDING);
+  });
+
+  it("keeps a backordered line open for a later scan", () => {
+    const result = applyLineRelease(orderItems, [{ index: 1, backordered: true }], staff, releasedAt);
+    expect(result.items[1].fulfillment_status).toBe(LINE_STATUS.BACKORDERED);
+    expect(result.releasedLines).toEqual([]);
+    expect(result.backorderedLines).toEqual([{ index: 1, name: "Pants", size: "L" }]);
+  });
+
+  it("rejects unknown, voided and over-released lines", () => {
+    expect(() => applyLineRelease(orderItems, [{ index: 5 }], staff, releasedAt)).toThrow(
+      "Order line 5 does not exist",
+    );
+    const voided = [{ name: "Polo", size: "M", quantity: 1, fulfillment_status: LINE_STATUS.VOIDED }];
+    expect(() => applyLineRelease(voided, [{ index: 0 }], staff, releasedAt)).toThrow(/was voided/);
+    expect(() => applyLineRelease(orderItems, [{ index: 0, quantity: 3 }], staff, releasedAt)).toThrow(
+      "Cannot release 3 of Polo (M); only 2 left to release",
+    );
+    expect(() => applyLineRelease(orderItems, [{ index: 0, quantity: 1.5 }], staff, releasedAt)).toThrow(
+      /Invalid release quantity/,
+    );
+  });
+
+  it("refuses a confirmation that releases nothing", () => {
+    expect(() => applyLineRelease(orderItems, [{ index: 0, quantity: 0 }], staff, releasedAt)).toThrow(
+      "No items were confirmed for release",
+    );
+  });
+});
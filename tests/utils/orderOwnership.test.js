@@ -0,0 +1,25 @@
+const { isOrderOwner } = require("../../src/utils/orderOwnership");
+
+const order = { student_id: "student-1", student_email: "Juan@Example.com" };
+
+describe("isOrderOwner", () => {
+  it("matches the students.id or the auth user id stored on the order", () => {
+    expect(isOrderOwner({ studentId: "student-1" }, order)).toBe(true);
+    expect(isOrderOwner({ userId: "student-1", studentId: "other" }, order)).toBe(true);
+  });
+
+  it("matches the order email regardless of case and spacing", () => {
+    expect(isOrderOwner({ studentId: "student-2", email: " juan@example.COM " }, order)).toBe(true);
+  });
+
+  it("rejects another student", () => {
+    expect(isOrderOwner({ userId: "user-2", studentId: "student-2", email: "maria@example.com" }, order)).toBe(false);
+  });
+
+  it("never matches on missing ids or emails", () => {
+    expect(isOrderOwner({}, { student_id: null, student_email: null })).toBe(false);
+    expect(isOrderOwner({ userId: null, email: "" }, { student_id: "", student_email: "" })).toBe(false);
+    expect(isOrderOwner(null, order)).toBe(false);
+    expect(isOrderOwner({ studentId: "student-1" }, null)).toBe(false);
+  });
+});
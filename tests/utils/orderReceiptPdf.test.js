@@ -0,0 +1,63 @@
+const QRCode = require("qrcode");
+const { buildOrderReceiptPdf, buildClaimSlipsPdf } = require("../../src/utils/orderReceiptPdf");
+
+const order = {
+  id: "order-1",
+  order_number: "ORD-2025-001",
+  status: "ready",
+  student_name: "Juan Dela Cruz",
+  student_email: "juan@example.com",
+  education_level: "College",
+  items: JSON.stringify([{ name: "Polo", size: "M", quantity: 2, price: 350 }]),
+  total_amount: 700,
+  created_at: "2026-06-01T08:00:00.000Z",
+  qr_code_data: '{"type":"order_receipt","orderNumber":"ORD-2025-001","signature":"abc"}',
+};
+
+function pageCount(pdf) {
+  return (pdf.toString("latin1").match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe("buildOrderReceiptPdf", () => {
+  it("renders a one-page PDF whose QR is the order's stored receipt payload", async () => {
+    const toBuffer = jest.spyOn(QRCode, "toBuffer");
+
+    const pdf = await buildOrderReceiptPdf(order, { claimDeadline: "2026-06-10", claimDays: 7 });
+
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    expect(pageCount(pdf)).toBe(1);
+    expect(toBuffer).toHaveBeenCalledWith(order.qr_code_data, expect.objectContaining({ type: "png" }));
+  });
+
+  it("encodes a QR stored as JSON the same way as one stored as text", async () => {
+    const toBuffer = jest.spyOn(QRCode, "toBuffer");
+
+    await buildOrderReceiptPdf({ ...order, qr_code_data: JSON.parse(order.qr_code_data) });
+
+    expect(toBuffer).toHaveBeenCalledWith(order.qr_code_data, expect.any(Object));
+  });
+
+  it("refuses an order without a stored receipt QR", async () => {
+    await expect(buildOrderReceiptPdf({ ...order, qr_code_data: null })).rejects.toThrow(
+      "Order ORD-2025-001 has no receipt QR code"
+    );
+  });
+});
+
+describe("buildClaimSlipsPdf", () => {
+  it("prints three slips per page", async () => {
+    const orders = [1, 2, 3, 4].map((n) => ({ ...order, order_number: `ORD-${n}`, qr_code_data: `qr-${n}` }));
+    const toBuffer = jest.spyOn(QRCode, "toBuffer");
+
+    const pdf = await buildClaimSlipsPdf(orders);
+
+    expect(pageCount(pdf)).toBe(2);
+    expect(toBuffer.mock.calls.map(([payload]) => payload)).toEqual(["qr-1", "qr-2", "qr-3", "qr-4"]);
+  });
+
+  it("prints a single notice page when no orders are ready", async () => {
+    const pdf = await buildClaimSlipsPdf([]);
+
+    expect(pageCount(pdf)).toBe(1);
+  });
+});
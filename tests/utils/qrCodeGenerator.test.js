@@ -0,0 +1,84 @@
+const {
+  QR_VALID_DAYS,
+  generateOrderReceiptQRData,
+  verifyOrderReceiptQRData,
+} = require("../../src/utils/qrCodeGenerator");
+
+const order = {
+  order_number: "ORD-2025-001",
+  student_id: "student-1",
+  student_name: "Juan Dela Cruz",
+  student_email: "juan@example.com",
+  items: [{ name: "Polo", quantity: 2, size: "M" }],
+  education_level: "College",
+  total_amount: 900,
+  status: "pending",
+};
+
+describe("receipt QR sign / verify", () => {
+  it("verifies a freshly generated receipt", () => {
+    const qr = generateOrderReceiptQRData(order);
+    const result = verifyOrderReceiptQRData(qr);
+
+    expect(result.valid).toBe(true);
+    expect(result.data).toMatchObject({
+      type: "order_receipt",
+      orderNumber: "ORD-2025-001",
+      studentId: "student-1",
+      items: [{ name: "Polo", quantity: 2, size: "M" }],
+      qrValidDays: QR_VALID_DAYS,
+    });
+    expect(result.data.signature).toBeUndefined();
+  });
+
+  it("accepts an already parsed payload", () => {
+    const qr = JSON.parse(generateOrderReceiptQRData(order));
+    expect(verifyOrderReceiptQRData(qr).valid).toBe(true);
+  });
+
+  it("rejects a payload changed after signing", () => {
+    const qr = JSON.parse(generateOrderReceiptQRData(order));
+    qr.items[0].quantity = 5;
+    const result = verifyOrderReceiptQRData(JSON.stringify(qr));
+    expect(result).toMatchObject({ valid: false, reason: "QR code signature is invalid" });
+  });
+
+  it("rejects a receipt signed with another secret", () => {
+    const qr = generateOrderReceiptQRData(order);
+    const secret = process.env.QR_SIGNING_SECRET;
+    process.env.QR_SIGNING_SECRET = `${secret}-rotated`;
+    try {
+      expect(verifyOrderReceiptQRData(qr).valid).toBe(false);
+    } finally {
+      process.env.QR_SIGNING_SECRET = secret;
+    }
+  });
+
+  it("flags an expired receipt whose signature is still genuine", () => {
+    jest.useFakeTimers({ now: new Date("2025-06-01T00:00:00.000Z") });
+    try {
+      const qr = generateOrderReceiptQRData(order);
+      jest.setSystemTime(new Date("2025-06-09T00:00:00.000Z"));
+      const result = verifyOrderReceiptQRData(qr);
+      expect(result).toMatchObject({ valid: false, expired: true, reason: "QR code has expired" });
+      expect(result.data.orderNumber).toBe("ORD-2025-001");
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("rejects unsigned and non-receipt payloads", () => {
+    const { signature, ...unsigned } = JSON.parse(generateOrderReceiptQRData(order));
+    expect(signature).toEqual(expect.any(String));
+    expect(verifyOrderReceiptQRData(unsigned)).toMatchObject({ valid: false, reason: "QR code is not signed" });
+    expect(verifyOrderReceiptQRData("not json").valid).toBe(false);
+    expect(verifyOrderReceiptQRData({ type: "something_else" }).valid).toBe(false);
+  });
+
+  it("needs an order number and at least one item", () => {
+    expect(() => generateOrderReceiptQRData({ ...order, order_number: null })).toThrow(
+      "Order number is required for QR code generation",
+    );
+    expect(() => generateOrderReceiptQRData({ ...order, items: [] })).toThrow(/at least one item/);
+  });
+});